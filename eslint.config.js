@@ -21,6 +21,8 @@ export default [
                 clearInterval: 'readonly',
                 URL: 'readonly',
                 URLSearchParams: 'readonly',
+                fetch: 'readonly',
+                AbortSignal: 'readonly',
             },
         },
         plugins: {
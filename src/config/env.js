@@ -86,6 +86,16 @@ export const config = {
         sasExpiryMinutes: parseInt(process.env.AZURE_STORAGE_SAS_EXPIRY || '15', 10),
     },
 
+    // Exportación de telemetría (CSV/XLSX)
+    telemetryExport: {
+        // Filas estimadas por encima de las cuales la exportación pasa a job en background
+        syncMaxRows: parseInt(process.env.TELEMETRY_EXPORT_SYNC_MAX_ROWS || '50000', 10),
+        // Máximo de canales por exportación
+        maxChannels: parseInt(process.env.TELEMETRY_EXPORT_MAX_CHANNELS || '50', 10),
+        // TTL del estado de un job en Redis en segundos (24 horas)
+        jobTTL: parseInt(process.env.TELEMETRY_EXPORT_JOB_TTL || '86400', 10),
+    },
+
     // Cloudflare Turnstile (Captcha)
     // Si está configurado Y habilitado, se valida el captcha en el login
     turnstile: {
@@ -141,6 +151,193 @@ export const config = {
         // Intervalo del sweep de suscripciones idle (en ms, default 60 segundos)
         subscriptionIdleSweepInterval: parseInt(process.env.WS_SUBSCRIPTION_IDLE_SWEEP_INTERVAL || '60000', 10),
     },
+
+    // Motor de alertas sobre telemetría
+    alerts: {
+        // Permite desactivar el motor (ej: instancias de solo API)
+        enabled: process.env.ALERTS_ENGINE_ENABLED !== 'false',
+        // Intervalo del chequeo periódico contra Cassandra y de no_data (en segundos)
+        checkInterval: parseInt(process.env.ALERTS_CHECK_INTERVAL || '60', 10),
+        // Intervalo de recarga de reglas y suscripciones MQTT (en segundos)
+        refreshInterval: parseInt(process.env.ALERTS_RULES_REFRESH_INTERVAL || '300', 10),
+    },
+
+    // Comandos a dispositivos via MQTT publish (EC:IOT)
+    deviceCommands: {
+        // Segundos de espera del ack del device antes de marcar el comando como timeout
+        ackTimeout: parseInt(process.env.DEVICE_COMMANDS_ACK_TIMEOUT || '30', 10),
+        // Sub-topic donde el device responde: {Device.topic}/{ackTopicSuffix}
+        ackTopicSuffix: process.env.DEVICE_COMMANDS_ACK_SUFFIX || 'ack',
+    },
+
+    // Presencia de devices desde el tráfico MQTT (lastSeenAt / lastSyncAt y estado de conectividad)
+    presence: {
+        // Permite desactivar el tracker (ej: instancias de solo API)
+        enabled: process.env.DEVICE_PRESENCE_ENABLED !== 'false',
+        // Intervalo de volcado buffer -> Redis -> Postgres y de evaluación de transiciones (en segundos)
+        flushInterval: parseInt(process.env.DEVICE_PRESENCE_FLUSH_INTERVAL || '30', 10),
+        // Defaults de umbrales; cada DeviceType puede sobrescribirlos (presenceOnlineSeconds / presenceOfflineSeconds)
+        onlineSeconds: parseInt(process.env.DEVICE_PRESENCE_ONLINE_SECONDS || '300', 10),
+        offlineSeconds: parseInt(process.env.DEVICE_PRESENCE_OFFLINE_SECONDS || '1800', 10),
+    },
+
+    // Vigencia de licencias de devices (expirationDate) y recordatorios de renovación
+    licenses: {
+        // Permite desactivar el job de recordatorios (ej: instancias de solo API)
+        remindersEnabled: process.env.LICENSE_REMINDERS_ENABLED !== 'false',
+        // Días antes del vencimiento en los que se avisa (cada umbral una sola vez por vencimiento)
+        reminderDays: (process.env.LICENSE_REMINDER_DAYS || '60,30,7')
+            .split(',')
+            .map((days) => parseInt(days.trim(), 10))
+            .filter((days) => Number.isInteger(days) && days > 0),
+        // Intervalo del job de recordatorios (en horas)
+        reminderIntervalHours: parseInt(process.env.LICENSE_REMINDER_INTERVAL_HOURS || '24', 10),
+    },
+
+    // Actualizaciones de firmware OTA (campañas por modelo de device)
+    firmware: {
+        // Sub-topic donde el device informa el avance: {Device.topic}/{replyTopicSuffix}
+        replyTopicSuffix: process.env.FIRMWARE_OTA_REPLY_SUFFIX || 'ota',
+        // Validez de la URL de descarga (SAS de lectura) enviada en el aviso OTA (en minutos)
+        downloadUrlMinutes: parseInt(process.env.FIRMWARE_OTA_DOWNLOAD_URL_MINUTES || '1440', 10),
+        // Horas sin llegar a applied/failed hasta marcar el device como failed (timeout)
+        timeoutHours: parseInt(process.env.FIRMWARE_OTA_TIMEOUT_HOURS || '24', 10),
+    },
+
+    // Reset de password (forgot password)
+    passwordReset: {
+        // Minutos de validez del token de reset (single-use)
+        tokenTTLMinutes: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || '30', 10),
+        // URL del frontend que recibe ?token=... para completar el reset
+        resetUrl: process.env.PASSWORD_RESET_URL || `${process.env.DEV_FRONT_URL || 'http://localhost:3000'}/reset-password`,
+    },
+
+    // Política de contraseñas y bloqueo de cuentas (defaults; cada organización puede endurecerlos
+    // en Organization.config.security.passwordPolicy, ver modules/auth/passwordPolicy.js)
+    passwordPolicy: {
+        minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+        requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+        requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+        requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+        requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+        // Rechazar contraseñas presentes en la lista local de contraseñas filtradas
+        checkBreached: process.env.PASSWORD_CHECK_BREACHED !== 'false',
+        // Lista local (una por línea, texto plano o SHA-1 en formato HIBP "HASH:count"); default: lista incluida
+        breachedListPath: process.env.PASSWORD_BREACHED_LIST_PATH || null,
+        // Días de validez de la contraseña (0 = no vence)
+        expiryDays: parseInt(process.env.PASSWORD_EXPIRY_DAYS || '0', 10),
+        // Últimas N contraseñas que no se pueden reutilizar (0 = sin historial)
+        historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT || '0', 10),
+        // Intentos fallidos consecutivos que bloquean la cuenta (0 = sin bloqueo)
+        lockoutThreshold: parseInt(process.env.ACCOUNT_LOCKOUT_THRESHOLD || '10', 10),
+        // Minutos de bloqueo (también ventana en la que se acumulan los fallos)
+        lockoutDurationMinutes: parseInt(process.env.ACCOUNT_LOCKOUT_DURATION_MINUTES || '30', 10),
+        // Máximo de hashes guardados por usuario en password_history
+        maxStoredHistory: 24,
+    },
+
+    // Verificación de email
+    emailVerification: {
+        // Horas de validez del enlace de verificación
+        tokenTTLHours: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS || '48', 10),
+        // URL del frontend que recibe ?token=... para confirmar el email
+        verifyUrl: process.env.EMAIL_VERIFICATION_URL || `${process.env.DEV_FRONT_URL || 'http://localhost:3000'}/verify-email`,
+    },
+
+    // Autenticación en dos pasos (TOTP)
+    twoFactor: {
+        // Nombre del servicio en la app autenticadora (otpauth issuer)
+        issuer: process.env.TWO_FACTOR_ISSUER || 'EC.DATA',
+        // Clave para cifrar los secretos TOTP en la BD (AES-256-GCM)
+        encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || 'dev-2fa-key-change-in-production',
+        // Segundos de validez del challenge entre /auth/login y /auth/login/2fa
+        challengeTTLSeconds: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS || '300', 10),
+        // Intentos de código por challenge antes de invalidarlo
+        maxAttempts: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS || '5', 10),
+        // Cantidad de recovery codes por generación
+        recoveryCodes: 10,
+    },
+
+    // Single sign-on (OpenID Connect) por organización
+    sso: {
+        // Clave para cifrar los client secrets de los proveedores en la BD (AES-256-GCM)
+        encryptionKey: process.env.SSO_ENCRYPTION_KEY || 'dev-sso-key-change-in-production',
+        // URL del frontend registrada como redirect_uri en el IdP; recibe ?code=...&state=... y llama a POST /auth/sso/callback
+        callbackUrl: process.env.SSO_CALLBACK_URL || `${process.env.DEV_FRONT_URL || 'http://localhost:3000'}/auth/sso/callback`,
+        // Segundos de validez del state (inicio del login → callback)
+        stateTTLSeconds: parseInt(process.env.SSO_STATE_TTL_SECONDS || '600', 10),
+        // Segundos que se cachean discovery document y JWKS de cada proveedor
+        metadataCacheSeconds: 3600,
+        // Timeout de las llamadas HTTP al proveedor
+        httpTimeoutMs: parseInt(process.env.SSO_HTTP_TIMEOUT_MS || '10000', 10),
+        // Solo desarrollo/tests: acepta issuers http y en direcciones privadas o loopback (IdP local)
+        allowInsecureProviders: process.env.SSO_ALLOW_INSECURE_PROVIDERS === 'true',
+    },
+
+    // Invitaciones a organizaciones
+    invitations: {
+        // Días de validez del enlace de invitación (se renueva al reenviar)
+        tokenTTLDays: parseInt(process.env.INVITATION_TOKEN_TTL_DAYS || '7', 10),
+        // URL del frontend que recibe ?token=... para aceptar o rechazar
+        acceptUrl: process.env.INVITATION_ACCEPT_URL || `${process.env.DEV_FRONT_URL || 'http://localhost:3000'}/invitations`,
+    },
+
+    // API keys por organización (acceso máquina a máquina)
+    apiKeys: {
+        // Prefijo de las keys emitidas (ecd_<id>_<secreto>)
+        prefix: process.env.API_KEY_PREFIX || 'ecd',
+        // Requests por minuto por key si la key no define su propio límite
+        defaultRateLimitPerMinute: parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT || '120', 10),
+        // Máximo de keys activas por organización
+        maxPerOrganization: parseInt(process.env.API_KEY_MAX_PER_ORGANIZATION || '25', 10),
+        // Segundos que se cachea en Redis la key resuelta por hash
+        cacheTTLSeconds: 300,
+        // Como mucho una escritura de last_used_at por key en esta ventana
+        lastUsedThrottleSeconds: 60,
+    },
+
+    // Eventos de seguridad y detección de anomalías en logins
+    security: {
+        // CSV local de geolocalización (formato DB-IP Lite country o city); sin archivo no se evalúa ubicación
+        geoIpDatabasePath: process.env.GEOIP_DATABASE_PATH || null,
+        // Días de historial de logins contra los que se compara (dispositivo, país, rango de IP)
+        historyDays: parseInt(process.env.SECURITY_HISTORY_DAYS || '90', 10),
+        // Velocidad (km/h) por encima de la cual el desplazamiento entre sesiones es "viaje imposible"
+        impossibleTravelSpeedKmh: parseInt(process.env.SECURITY_IMPOSSIBLE_TRAVEL_KMH || '900', 10),
+        // Distancia mínima (km) para evaluar viaje imposible (evita falsos positivos de la geolocalización)
+        impossibleTravelMinDistanceKm: parseInt(process.env.SECURITY_IMPOSSIBLE_TRAVEL_MIN_KM || '300', 10),
+        // Fallos consecutivos por identificador que generan el evento repeated_failures
+        repeatedFailuresThreshold: parseInt(process.env.SECURITY_REPEATED_FAILURES_THRESHOLD || '3', 10),
+        // Acción ante viaje imposible al refrescar la sesión: none (solo registrar) | reauth (revocar y pedir login)
+        anomalyAction: process.env.SECURITY_ANOMALY_ACTION === 'reauth' ? 'reauth' : 'none',
+        // Días que se conservan los eventos de seguridad
+        retentionDays: parseInt(process.env.SECURITY_EVENTS_RETENTION_DAYS || '180', 10),
+    },
+
+    // Email transaccional
+    mail: {
+        // Transporte: smtp | file (archivos .eml, dev/tests) | console (solo log)
+        transport: process.env.MAIL_TRANSPORT
+            || (process.env.NODE_ENV === 'production' ? 'smtp' : process.env.NODE_ENV === 'test' ? 'file' : 'console'),
+        from: process.env.MAIL_FROM || 'EC.DATA <no-reply@ecdata.com>',
+        smtp: {
+            host: process.env.MAIL_SMTP_HOST || 'localhost',
+            port: parseInt(process.env.MAIL_SMTP_PORT || '587', 10),
+            // true = TLS implícito (465); false = STARTTLS si el servidor lo ofrece
+            secure: process.env.MAIL_SMTP_SECURE === 'true',
+            user: process.env.MAIL_SMTP_USER || null,
+            password: process.env.MAIL_SMTP_PASS || null,
+        },
+        // Directorio del transporte file
+        fileDir: process.env.MAIL_FILE_DIR || 'tmp/mail',
+        // Reintentos de la cola: backoff exponencial desde backoffSeconds
+        retry: {
+            attempts: parseInt(process.env.MAIL_RETRY_ATTEMPTS || '5', 10),
+            backoffSeconds: parseInt(process.env.MAIL_RETRY_BACKOFF_SECONDS || '30', 10),
+        },
+        // Cada cuántos segundos se revisan los emails pendientes (tabla mail_jobs)
+        pollSeconds: parseInt(process.env.MAIL_QUEUE_POLL_SECONDS || '10', 10),
+    },
 };
 
 /**
@@ -158,6 +355,12 @@ export const validateConfig = () => {
         if (config.jwt.refreshSecret === 'dev-refresh-secret-change-in-production') {
             required.push('JWT_REFRESH_SECRET');
         }
+        if (config.twoFactor.encryptionKey === 'dev-2fa-key-change-in-production') {
+            required.push('TWO_FACTOR_ENCRYPTION_KEY');
+        }
+        if (config.sso.encryptionKey === 'dev-sso-key-change-in-production') {
+            required.push('SSO_ENCRYPTION_KEY');
+        }
     }
 
     if (required.length > 0) {
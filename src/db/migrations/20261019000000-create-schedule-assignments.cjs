@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * Migración: Crear tabla schedule_assignments
+ *
+ * Vincula un schedule con un site, device, canal o nodo de la jerarquía.
+ * Una entidad tiene como máximo una asignación; las entidades sin asignación
+ * heredan el schedule de la más específica que lo tenga (canal > device > jerarquía > site).
+ *
+ * target_id es polimórfico (sin FK): la integridad se valida en la capa de servicio.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            DO $$ BEGIN
+                CREATE TYPE schedule_assignment_target_type AS ENUM ('site', 'device', 'channel', 'hierarchy_node');
+            EXCEPTION WHEN duplicate_object THEN null; END $$;
+        `);
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS schedule_assignments (
+                id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                schedule_id      UUID NOT NULL REFERENCES schedules(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                organization_id  UUID NOT NULL REFERENCES organizations(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                target_type      schedule_assignment_target_type NOT NULL,
+                target_id        UUID NOT NULL,
+                created_by       UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS schedule_assignments_target_idx
+                ON schedule_assignments (target_type, target_id);
+            CREATE INDEX IF NOT EXISTS schedule_assignments_schedule_id_idx
+                ON schedule_assignments (schedule_id);
+            CREATE INDEX IF NOT EXISTS schedule_assignments_organization_id_idx
+                ON schedule_assignments (organization_id);
+        `);
+    },
+
+    async down(queryInterface, Sequelize) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`DROP TABLE IF EXISTS schedule_assignments;`);
+        await q.query(`DROP TYPE IF EXISTS schedule_assignment_target_type;`);
+    }
+};
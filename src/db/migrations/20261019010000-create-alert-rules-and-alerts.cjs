@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Migración: Crear tablas alert_rules y alerts
+ *
+ * Motor de alertas sobre telemetría: reglas (umbral, tasa de cambio, sin datos,
+ * fuera de horario) evaluadas sobre el stream MQTT y con un chequeo periódico contra Cassandra.
+ * Cada disparo genera una alerta (open → acknowledged → resolved) y una anotación alert_auto.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const q = queryInterface.sequelize;
+
+        // Crear ENUMs con manejo de duplicados
+        await q.query(`
+            DO $$ BEGIN
+                CREATE TYPE alert_rule_target_type AS ENUM ('channel', 'device', 'site', 'hierarchy_node');
+            EXCEPTION WHEN duplicate_object THEN null; END $$;
+        `);
+
+        await q.query(`
+            DO $$ BEGIN
+                CREATE TYPE alert_condition_type AS ENUM ('threshold', 'rate_of_change', 'no_data', 'outside_schedule');
+            EXCEPTION WHEN duplicate_object THEN null; END $$;
+        `);
+
+        await q.query(`
+            DO $$ BEGIN
+                CREATE TYPE alert_severity AS ENUM ('info', 'warning', 'critical');
+            EXCEPTION WHEN duplicate_object THEN null; END $$;
+        `);
+
+        await q.query(`
+            DO $$ BEGIN
+                CREATE TYPE alert_status AS ENUM ('open', 'acknowledged', 'resolved');
+            EXCEPTION WHEN duplicate_object THEN null; END $$;
+        `);
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS alert_rules (
+                id               UUID PRIMARY KEY,
+                public_code      VARCHAR(20) NOT NULL UNIQUE,
+                organization_id  UUID NOT NULL REFERENCES organizations(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                name             VARCHAR(200) NOT NULL,
+                description      TEXT,
+                target_type      alert_rule_target_type NOT NULL,
+                target_id        UUID NOT NULL,
+                variable_id      INTEGER REFERENCES variables(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                condition_type   alert_condition_type NOT NULL,
+                params           JSONB NOT NULL DEFAULT '{}',
+                severity         alert_severity NOT NULL DEFAULT 'warning',
+                auto_resolve     BOOLEAN NOT NULL DEFAULT true,
+                is_enabled       BOOLEAN NOT NULL DEFAULT true,
+                created_by       UUID NOT NULL REFERENCES users(id) ON UPDATE CASCADE ON DELETE RESTRICT,
+                created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+                deleted_at       TIMESTAMPTZ
+            );
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS alert_rules_organization_id_idx
+                ON alert_rules (organization_id);
+            CREATE INDEX IF NOT EXISTS alert_rules_target_idx
+                ON alert_rules (target_type, target_id);
+        `);
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS alerts (
+                id               UUID PRIMARY KEY,
+                public_code      VARCHAR(20) NOT NULL UNIQUE,
+                rule_id          UUID NOT NULL REFERENCES alert_rules(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                organization_id  UUID NOT NULL REFERENCES organizations(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                channel_id       UUID NOT NULL REFERENCES channels(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                variable_id      INTEGER,
+                status           alert_status NOT NULL DEFAULT 'open',
+                severity         alert_severity NOT NULL,
+                triggered_at     TIMESTAMPTZ NOT NULL,
+                value            DOUBLE PRECISION,
+                message          TEXT NOT NULL,
+                details          JSONB NOT NULL DEFAULT '{}',
+                acknowledged_at  TIMESTAMPTZ,
+                acknowledged_by  UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                resolved_at      TIMESTAMPTZ,
+                resolved_by      UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                annotation_id    UUID REFERENCES annotations(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        // Una sola alerta activa por regla y canal (evita duplicados entre instancias del motor)
+        await q.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS alerts_active_rule_channel_idx
+                ON alerts (rule_id, channel_id)
+                WHERE status IN ('open', 'acknowledged');
+            CREATE INDEX IF NOT EXISTS alerts_organization_status_idx
+                ON alerts (organization_id, status);
+            CREATE INDEX IF NOT EXISTS alerts_rule_id_idx
+                ON alerts (rule_id);
+            CREATE INDEX IF NOT EXISTS alerts_channel_triggered_idx
+                ON alerts (channel_id, triggered_at);
+        `);
+    },
+
+    async down(queryInterface, Sequelize) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`DROP TABLE IF EXISTS alerts;`);
+        await q.query(`DROP TABLE IF EXISTS alert_rules;`);
+        await q.query(`DROP TYPE IF EXISTS alert_status;`);
+        await q.query(`DROP TYPE IF EXISTS alert_severity;`);
+        await q.query(`DROP TYPE IF EXISTS alert_condition_type;`);
+        await q.query(`DROP TYPE IF EXISTS alert_rule_target_type;`);
+    }
+};
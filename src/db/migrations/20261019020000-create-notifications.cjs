@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * Migración: Crear tabla notifications
+ *
+ * Centro de notificaciones in-app (EC:NOTIFY): una fila por destinatario,
+ * con estado de lectura para los contadores de no leídas.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS notifications (
+                id               UUID PRIMARY KEY,
+                public_code      VARCHAR(20) NOT NULL UNIQUE,
+                user_id          UUID NOT NULL REFERENCES users(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                organization_id  UUID REFERENCES organizations(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                type             VARCHAR(50) NOT NULL,
+                title            VARCHAR(255) NOT NULL,
+                body             TEXT,
+                data             JSONB NOT NULL DEFAULT '{}',
+                read_at          TIMESTAMPTZ,
+                created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS notifications_user_created_idx
+                ON notifications (user_id, created_at);
+            CREATE INDEX IF NOT EXISTS notifications_user_read_idx
+                ON notifications (user_id, read_at);
+            CREATE INDEX IF NOT EXISTS notifications_user_unread_idx
+                ON notifications (user_id)
+                WHERE read_at IS NULL;
+        `);
+    },
+
+    async down(queryInterface, Sequelize) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`DROP TABLE IF EXISTS notifications;`);
+    }
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Migración: Crear tabla device_commands
+ *
+ * Log de comandos enviados a devices via MQTT publish (EC:IOT), con
+ * correlation id para asociar el ack del device y límite de espera.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            DO $$ BEGIN
+                CREATE TYPE enum_device_commands_status AS ENUM ('pending', 'sent', 'acknowledged', 'failed', 'timeout');
+            EXCEPTION WHEN duplicate_object THEN NULL;
+            END $$;
+
+            DO $$ BEGIN
+                CREATE TYPE enum_device_commands_source AS ENUM ('api', 'ws');
+            EXCEPTION WHEN duplicate_object THEN NULL;
+            END $$;
+        `);
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS device_commands (
+                id               UUID PRIMARY KEY,
+                public_code      VARCHAR(20) NOT NULL UNIQUE,
+                correlation_id   UUID NOT NULL UNIQUE,
+                device_id        UUID NOT NULL REFERENCES devices(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                organization_id  UUID NOT NULL REFERENCES organizations(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                command          VARCHAR(50) NOT NULL,
+                params           JSONB NOT NULL DEFAULT '{}',
+                topic            VARCHAR(500) NOT NULL,
+                status           enum_device_commands_status NOT NULL DEFAULT 'pending',
+                source           enum_device_commands_source NOT NULL,
+                requested_by     UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                sent_at          TIMESTAMPTZ,
+                timeout_at       TIMESTAMPTZ,
+                responded_at     TIMESTAMPTZ,
+                response         JSONB,
+                error            TEXT,
+                created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS device_commands_device_created_idx
+                ON device_commands (device_id, created_at);
+            CREATE INDEX IF NOT EXISTS device_commands_org_created_idx
+                ON device_commands (organization_id, created_at);
+            CREATE INDEX IF NOT EXISTS device_commands_pending_idx
+                ON device_commands (timeout_at)
+                WHERE status IN ('pending', 'sent');
+        `);
+    },
+
+    async down(queryInterface, Sequelize) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`DROP TABLE IF EXISTS device_commands;`);
+        await q.query(`DROP TYPE IF EXISTS enum_device_commands_status;`);
+        await q.query(`DROP TYPE IF EXISTS enum_device_commands_source;`);
+    }
+};
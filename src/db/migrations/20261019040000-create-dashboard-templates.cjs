@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Migración: Crear tabla dashboard_templates
+ *
+ * Templates reutilizables de dashboards: snapshot de páginas, widgets y data sources
+ * donde cada recurso se reemplaza por un placeholder que se vincula al crear el dashboard.
+ * Agrega además la FK de dashboards.template_id (la columna existía sin FK).
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS dashboard_templates (
+                id                     UUID PRIMARY KEY,
+                public_code            VARCHAR(50) NOT NULL UNIQUE,
+                organization_id        UUID REFERENCES organizations(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                created_by             UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                name                   VARCHAR(200) NOT NULL,
+                description            TEXT,
+                icon                   VARCHAR(50),
+                size                   VARCHAR(20) NOT NULL DEFAULT 'FREE',
+                positioning            VARCHAR(20) NOT NULL DEFAULT 'AUTO',
+                custom_width           INTEGER,
+                custom_height          INTEGER,
+                settings               JSONB NOT NULL DEFAULT '{}',
+                placeholders           JSONB NOT NULL DEFAULT '[]',
+                pages                  JSONB NOT NULL DEFAULT '[]',
+                page_count             INTEGER NOT NULL DEFAULT 0,
+                widget_count           INTEGER NOT NULL DEFAULT 0,
+                source_dashboard_code  VARCHAR(50),
+                created_at             TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at             TIMESTAMPTZ NOT NULL DEFAULT now(),
+                deleted_at             TIMESTAMPTZ
+            );
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS dashboard_templates_organization_id_idx
+                ON dashboard_templates (organization_id);
+        `);
+
+        // template_id se aceptaba sin FK: limpiar referencias huérfanas antes de agregarla
+        await q.query(`
+            UPDATE dashboards SET template_id = NULL
+            WHERE template_id IS NOT NULL
+              AND template_id NOT IN (SELECT id FROM dashboard_templates);
+
+            DO $$ BEGIN
+                ALTER TABLE dashboards
+                    ADD CONSTRAINT dashboards_template_id_fkey
+                    FOREIGN KEY (template_id) REFERENCES dashboard_templates(id)
+                    ON UPDATE CASCADE ON DELETE SET NULL;
+            EXCEPTION WHEN duplicate_object THEN NULL;
+            END $$;
+
+            CREATE INDEX IF NOT EXISTS dashboards_template_id_idx
+                ON dashboards (template_id);
+        `);
+    },
+
+    async down(queryInterface, Sequelize) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            DROP INDEX IF EXISTS dashboards_template_id_idx;
+            ALTER TABLE dashboards DROP CONSTRAINT IF EXISTS dashboards_template_id_fkey;
+        `);
+        await q.query(`DROP TABLE IF EXISTS dashboard_templates;`);
+    }
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Migración: Crear tabla password_reset_tokens
+ *
+ * Tokens de un solo uso para el flujo "forgot password". Se guardan hasheados
+ * (SHA-256) igual que refresh_tokens; used_at marca el consumo o la invalidación.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id                    UUID PRIMARY KEY,
+                user_id               UUID NOT NULL REFERENCES users(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                token_hash            VARCHAR(64) NOT NULL,
+                expires_at            TIMESTAMPTZ NOT NULL,
+                used_at               TIMESTAMPTZ,
+                requested_ip          VARCHAR(45),
+                requested_user_agent  TEXT,
+                used_ip               VARCHAR(45),
+                created_at            TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at            TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_password_reset_tokens_token_hash
+                ON password_reset_tokens (token_hash);
+            CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id
+                ON password_reset_tokens (user_id);
+            CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_expires_at
+                ON password_reset_tokens (expires_at);
+        `);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.sequelize.query('DROP TABLE IF EXISTS password_reset_tokens;');
+    }
+};
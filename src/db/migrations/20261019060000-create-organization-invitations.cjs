@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Migración: Crear tabla organization_invitations
+ *
+ * Invitaciones de un email a una organización con un role_in_org. El token del
+ * enlace se guarda hasheado (SHA-256); solo puede haber una invitación pendiente
+ * por email y organización.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            DO $$ BEGIN
+                CREATE TYPE enum_organization_invitations_role_in_org AS ENUM ('admin', 'member', 'viewer');
+            EXCEPTION WHEN duplicate_object THEN NULL;
+            END $$;
+
+            DO $$ BEGIN
+                CREATE TYPE enum_organization_invitations_status AS ENUM ('pending', 'accepted', 'declined', 'revoked');
+            EXCEPTION WHEN duplicate_object THEN NULL;
+            END $$;
+        `);
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS organization_invitations (
+                id                UUID PRIMARY KEY,
+                public_code       VARCHAR(20) NOT NULL UNIQUE,
+                organization_id   UUID NOT NULL REFERENCES organizations(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                email             VARCHAR(255) NOT NULL,
+                role_in_org       enum_organization_invitations_role_in_org NOT NULL DEFAULT 'member',
+                token_hash        VARCHAR(64) NOT NULL UNIQUE,
+                status            enum_organization_invitations_status NOT NULL DEFAULT 'pending',
+                expires_at        TIMESTAMPTZ NOT NULL,
+                invited_by        UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                sent_count        INTEGER NOT NULL DEFAULT 1,
+                last_sent_at      TIMESTAMPTZ NOT NULL,
+                responded_at      TIMESTAMPTZ,
+                accepted_user_id  UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                revoked_by        UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at        TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS organization_invitations_org_status_idx
+                ON organization_invitations (organization_id, status);
+            CREATE UNIQUE INDEX IF NOT EXISTS organization_invitations_pending_email_idx
+                ON organization_invitations (organization_id, email)
+                WHERE status = 'pending';
+        `);
+    },
+
+    async down(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`DROP TABLE IF EXISTS organization_invitations;`);
+        await q.query(`DROP TYPE IF EXISTS enum_organization_invitations_role_in_org;`);
+        await q.query(`DROP TYPE IF EXISTS enum_organization_invitations_status;`);
+    }
+};
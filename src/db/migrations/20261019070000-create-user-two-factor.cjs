@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Migración: Crear tablas user_two_factor y two_factor_recovery_codes
+ *
+ * 2FA por TOTP. El secreto se guarda cifrado (AES-256-GCM) en una tabla propia
+ * para que no viaje en el caché de usuario; enabled_at null = enrolamiento pendiente.
+ * Los recovery codes se guardan hasheados (SHA-256) y son de un solo uso.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS user_two_factor (
+                user_id           UUID PRIMARY KEY REFERENCES users(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                secret_encrypted  TEXT NOT NULL,
+                enabled_at        TIMESTAMPTZ,
+                last_used_step    BIGINT,
+                created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at        TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+                id          UUID PRIMARY KEY,
+                user_id     UUID NOT NULL REFERENCES users(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                code_hash   VARCHAR(64) NOT NULL,
+                used_at     TIMESTAMPTZ,
+                created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_code
+                ON two_factor_recovery_codes (user_id, code_hash);
+        `);
+    },
+
+    async down(queryInterface) {
+        const q = queryInterface.sequelize;
+        await q.query('DROP TABLE IF EXISTS two_factor_recovery_codes;');
+        await q.query('DROP TABLE IF EXISTS user_two_factor;');
+    }
+};
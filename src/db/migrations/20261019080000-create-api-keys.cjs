@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Migración: Crear tabla api_keys
+ *
+ * API keys por organización para integraciones máquina a máquina (BI, scripts, partners).
+ * La key completa se muestra una sola vez al crearla; se guarda su hash SHA-256 y un
+ * prefijo en claro para identificarla en los listados.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id                      UUID PRIMARY KEY,
+                public_code             VARCHAR(20) NOT NULL UNIQUE,
+                organization_id         UUID NOT NULL REFERENCES organizations(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                name                    VARCHAR(100) NOT NULL,
+                key_prefix              VARCHAR(20) NOT NULL,
+                key_hash                VARCHAR(64) NOT NULL UNIQUE,
+                scopes                  VARCHAR(50)[] NOT NULL DEFAULT '{}',
+                allowed_ips             VARCHAR(64)[] NOT NULL DEFAULT '{}',
+                rate_limit_per_minute   INTEGER,
+                expires_at              TIMESTAMPTZ,
+                last_used_at            TIMESTAMPTZ,
+                last_used_ip            VARCHAR(64),
+                created_by              UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                revoked_at              TIMESTAMPTZ,
+                revoked_by              UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                created_at              TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at              TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS api_keys_organization_idx
+                ON api_keys (organization_id, revoked_at);
+        `);
+    },
+
+    async down(queryInterface) {
+        const q = queryInterface.sequelize;
+        await q.query('DROP TABLE IF EXISTS api_keys;');
+    }
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Migración: Crear tablas organization_sso_providers y user_sso_identities
+ *
+ * Login SSO por OpenID Connect (authorization code + PKCE) con un proveedor por
+ * organización. El client secret se guarda cifrado (AES-256-GCM). user_sso_identities
+ * vincula el sub del IdP con la cuenta local creada o encontrada por email.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS organization_sso_providers (
+                id                       UUID PRIMARY KEY,
+                organization_id          UUID NOT NULL UNIQUE REFERENCES organizations(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                display_name             VARCHAR(100) NOT NULL,
+                issuer                   VARCHAR(500) NOT NULL,
+                client_id                VARCHAR(255) NOT NULL,
+                client_secret_encrypted  TEXT,
+                scopes                   VARCHAR(50)[] NOT NULL DEFAULT '{openid,email,profile}',
+                allowed_domains          VARCHAR(255)[] NOT NULL DEFAULT '{}',
+                jit_provisioning         BOOLEAN NOT NULL DEFAULT true,
+                default_role_in_org      VARCHAR(20) NOT NULL DEFAULT 'member',
+                is_enabled               BOOLEAN NOT NULL DEFAULT true,
+                updated_by               UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                created_at               TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at               TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS idx_organization_sso_providers_domains
+                ON organization_sso_providers USING GIN (allowed_domains);
+        `);
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS user_sso_identities (
+                id             UUID PRIMARY KEY,
+                user_id        UUID NOT NULL REFERENCES users(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                provider_id    UUID NOT NULL REFERENCES organization_sso_providers(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                subject        VARCHAR(255) NOT NULL,
+                email          VARCHAR(255) NOT NULL,
+                last_login_at  TIMESTAMPTZ,
+                created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_user_sso_identities_provider_subject
+                ON user_sso_identities (provider_id, subject);
+            CREATE INDEX IF NOT EXISTS idx_user_sso_identities_user
+                ON user_sso_identities (user_id);
+        `);
+    },
+
+    async down(queryInterface) {
+        const q = queryInterface.sequelize;
+        await q.query('DROP TABLE IF EXISTS user_sso_identities;');
+        await q.query('DROP TABLE IF EXISTS organization_sso_providers;');
+    }
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Migración: Permission sets por rol y roles propios por organización
+ *
+ * - roles.permissions: permisos con nombre (<recurso>.<acción>, ver modules/roles/permissions.js)
+ * - roles.organization_id: NULL = rol del sistema; con valor = rol propio de esa organización
+ * - roles.is_system: los roles del sistema no se eliminan ni se renombran
+ * - user_organizations.role_id: rol asignado al miembro en esa organización (reemplaza al
+ *   rol global mientras la organización está activa)
+ *
+ * Los roles existentes reciben el permission set equivalente a los requireRole() que
+ * reemplaza (mismos valores que DEFAULT_ROLE_PERMISSIONS).
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+
+const ORG_ADMIN_PERMISSIONS = [
+    'organizations.create', 'organizations.edit', 'organizations.delete',
+    'users.view', 'users.manage', 'roles.manage', 'invitations.manage', 'api_keys.manage', 'sso.manage',
+    'sites.create', 'sites.edit',
+    'devices.create', 'devices.edit', 'device_commands.send',
+    'channels.create', 'channels.edit',
+    'dashboards.create', 'dashboards.import', 'dashboards.delete',
+    'dashboard_groups.manage', 'dashboard_templates.manage',
+    'schedules.manage', 'alerts.manage',
+    'resource_hierarchy.edit', 'resource_hierarchy.delete', 'resource_hierarchy.manage_access',
+    'asset_categories.create', 'telemetry.export'
+];
+
+const ROLE_PERMISSIONS = {
+    'system-admin': ['*'],
+    'org-admin': ORG_ADMIN_PERMISSIONS,
+    'org-manager': ['users.view', 'device_commands.send', 'alerts.manage', 'resource_hierarchy.edit', 'telemetry.export'],
+    'user': ['telemetry.export'],
+    'viewer': ['telemetry.export'],
+    'guest': ['telemetry.export'],
+    'demo': ['telemetry.export']
+};
+
+module.exports = {
+    async up(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            ALTER TABLE roles
+                ADD COLUMN IF NOT EXISTS permissions VARCHAR(100)[] NOT NULL DEFAULT '{}',
+                ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                ADD COLUMN IF NOT EXISTS is_system BOOLEAN NOT NULL DEFAULT false;
+        `);
+
+        // El nombre deja de ser único global: único entre roles del sistema y dentro de cada organización
+        await q.query(`
+            ALTER TABLE roles DROP CONSTRAINT IF EXISTS roles_name_key;
+            DROP INDEX IF EXISTS roles_name_unique;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_roles_system_name
+                ON roles (name) WHERE organization_id IS NULL;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_roles_organization_name
+                ON roles (organization_id, name) WHERE organization_id IS NOT NULL;
+        `);
+
+        for (const [name, permissions] of Object.entries(ROLE_PERMISSIONS)) {
+            await q.query(
+                `UPDATE roles SET permissions = :permissions::VARCHAR(100)[], is_system = true
+                 WHERE name = :name AND organization_id IS NULL;`,
+                { replacements: { name, permissions: `{${permissions.join(',')}}` } }
+            );
+        }
+
+        await q.query(`
+            ALTER TABLE user_organizations
+                ADD COLUMN IF NOT EXISTS role_id UUID REFERENCES roles(id) ON UPDATE CASCADE ON DELETE SET NULL;
+            CREATE INDEX IF NOT EXISTS idx_user_organizations_role_id
+                ON user_organizations (role_id) WHERE role_id IS NOT NULL;
+        `);
+    },
+
+    async down(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            DROP INDEX IF EXISTS idx_user_organizations_role_id;
+            ALTER TABLE user_organizations DROP COLUMN IF EXISTS role_id;
+        `);
+
+        await q.query('DELETE FROM roles WHERE organization_id IS NOT NULL;');
+
+        await q.query(`
+            DROP INDEX IF EXISTS idx_roles_organization_name;
+            DROP INDEX IF EXISTS idx_roles_system_name;
+            CREATE UNIQUE INDEX IF NOT EXISTS roles_name_unique ON roles (name);
+        `);
+
+        await q.query(`
+            ALTER TABLE roles
+                DROP COLUMN IF EXISTS is_system,
+                DROP COLUMN IF EXISTS organization_id,
+                DROP COLUMN IF EXISTS permissions;
+        `);
+    }
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Migración: Crear tabla security_events
+ *
+ * Feed de eventos de seguridad por usuario: logins exitosos (base de comparación) y
+ * anomalías detectadas (dispositivo nuevo, país o rango de IP nuevo, viaje imposible,
+ * fallos repetidos y bloqueos). Lo consultan el propio usuario y los org-admins
+ * (permiso security_events.view) vía GET /auth/security-events.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS security_events (
+                id             UUID PRIMARY KEY,
+                public_code    VARCHAR(20) NOT NULL UNIQUE,
+                user_id        UUID NOT NULL REFERENCES users(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                event_type     VARCHAR(40) NOT NULL,
+                severity       VARCHAR(10) NOT NULL DEFAULT 'info',
+                ip_address     VARCHAR(45),
+                user_agent     TEXT,
+                device         VARCHAR(100),
+                country_code   VARCHAR(2),
+                city           VARCHAR(100),
+                latitude       DOUBLE PRECISION,
+                longitude      DOUBLE PRECISION,
+                metadata       JSONB NOT NULL DEFAULT '{}',
+                created_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS idx_security_events_user_created
+                ON security_events (user_id, created_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_security_events_type
+                ON security_events (event_type);
+            CREATE INDEX IF NOT EXISTS idx_security_events_created
+                ON security_events (created_at);
+        `);
+
+        // Nuevo permiso del catálogo para el rol org-admin del sistema
+        await q.query(`
+            UPDATE roles
+               SET permissions = array_append(permissions, 'security_events.view')
+             WHERE name = 'org-admin'
+               AND organization_id IS NULL
+               AND NOT ('security_events.view' = ANY(permissions));
+        `);
+    },
+
+    async down(queryInterface) {
+        const q = queryInterface.sequelize;
+        await q.query(`
+            UPDATE roles SET permissions = array_remove(permissions, 'security_events.view');
+        `);
+        await q.query('DROP TABLE IF EXISTS security_events;');
+    }
+};
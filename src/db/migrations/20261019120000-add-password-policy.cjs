@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Migración: Política de contraseñas, historial y bloqueo de cuentas
+ *
+ * - users.password_changed_at: base para el vencimiento (expiryDays de la política);
+ *   se inicializa con created_at para no vencer en bloque las contraseñas existentes
+ * - users.failed_login_attempts / last_failed_login_at / locked_until: bloqueo temporal
+ *   de la cuenta tras N fallos (lo levanta un admin o el vencimiento de locked_until)
+ * - password_history: hashes de contraseñas anteriores para impedir su reutilización
+ *
+ * La política por organización vive en organizations.config.security.passwordPolicy (sin cambios de esquema).
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            ALTER TABLE users
+                ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ,
+                ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMPTZ,
+                ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+        `);
+
+        await q.query(`
+            UPDATE users SET password_changed_at = created_at WHERE password_changed_at IS NULL;
+        `);
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS password_history (
+                id             UUID PRIMARY KEY,
+                user_id        UUID NOT NULL REFERENCES users(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                password_hash  VARCHAR(255) NOT NULL,
+                created_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS idx_password_history_user_created
+                ON password_history (user_id, created_at DESC);
+        `);
+    },
+
+    async down(queryInterface) {
+        const q = queryInterface.sequelize;
+        await q.query('DROP TABLE IF EXISTS password_history;');
+        await q.query(`
+            ALTER TABLE users
+                DROP COLUMN IF EXISTS password_changed_at,
+                DROP COLUMN IF EXISTS failed_login_attempts,
+                DROP COLUMN IF EXISTS last_failed_login_at,
+                DROP COLUMN IF EXISTS locked_until;
+        `);
+    }
+};
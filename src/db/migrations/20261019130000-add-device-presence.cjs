@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Migración: Presencia y conectividad de devices
+ *
+ * - device_types: umbrales de presencia por tipo (null = defaults de config.presence)
+ * - devices: último estado de conectividad evaluado (base para detectar transiciones)
+ * - device_connectivity_events: historial de transiciones online/stale/offline
+ *
+ * last_seen_at (devices) y last_sync_at (channels) ya existen; ahora los alimenta
+ * el tracker de presencia desde el tráfico MQTT (modules/devices/presence.js).
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            ALTER TABLE device_types
+                ADD COLUMN IF NOT EXISTS presence_online_seconds INTEGER,
+                ADD COLUMN IF NOT EXISTS presence_offline_seconds INTEGER;
+        `);
+
+        await q.query(`
+            ALTER TABLE devices
+                ADD COLUMN IF NOT EXISTS connectivity_state VARCHAR(10),
+                ADD COLUMN IF NOT EXISTS connectivity_changed_at TIMESTAMPTZ;
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS idx_devices_last_seen_at
+                ON devices (last_seen_at);
+        `);
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS device_connectivity_events (
+                id               UUID PRIMARY KEY,
+                public_code      VARCHAR(20) NOT NULL UNIQUE,
+                device_id        UUID NOT NULL REFERENCES devices(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                organization_id  UUID NOT NULL REFERENCES organizations(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                from_state       VARCHAR(10) NOT NULL,
+                to_state         VARCHAR(10) NOT NULL,
+                last_seen_at     TIMESTAMPTZ,
+                created_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS idx_device_connectivity_events_device_created
+                ON device_connectivity_events (device_id, created_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_device_connectivity_events_org_created
+                ON device_connectivity_events (organization_id, created_at DESC);
+        `);
+    },
+
+    async down(queryInterface) {
+        const q = queryInterface.sequelize;
+        await q.query('DROP TABLE IF EXISTS device_connectivity_events;');
+        await q.query('DROP INDEX IF EXISTS idx_devices_last_seen_at;');
+        await q.query(`
+            ALTER TABLE devices
+                DROP COLUMN IF EXISTS connectivity_state,
+                DROP COLUMN IF EXISTS connectivity_changed_at;
+        `);
+        await q.query(`
+            ALTER TABLE device_types
+                DROP COLUMN IF EXISTS presence_online_seconds,
+                DROP COLUMN IF EXISTS presence_offline_seconds;
+        `);
+    }
+};
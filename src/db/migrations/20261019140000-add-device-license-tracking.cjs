@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Migración: Vigencia de licencias de devices y renovaciones
+ *
+ * - devices: último umbral de recordatorio avisado para el vencimiento actual
+ *   (se limpia al renovar o al recalcular expiration_date)
+ * - índice sobre expiration_date para el listado de próximos vencimientos y el job diario
+ * - device_license_renewals: historial de renovaciones (base de facturación)
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            ALTER TABLE devices
+                ADD COLUMN IF NOT EXISTS license_reminder_days SMALLINT,
+                ADD COLUMN IF NOT EXISTS license_reminder_sent_at TIMESTAMPTZ;
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS idx_devices_expiration_date
+                ON devices (expiration_date)
+                WHERE deleted_at IS NULL AND expiration_date IS NOT NULL;
+        `);
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS device_license_renewals (
+                id                        UUID PRIMARY KEY,
+                public_code               VARCHAR(20) NOT NULL UNIQUE,
+                device_id                 UUID NOT NULL REFERENCES devices(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                organization_id           UUID NOT NULL REFERENCES organizations(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                license_id                INTEGER REFERENCES device_licenses(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                validity_period_id        INTEGER REFERENCES device_validity_periods(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                months                    INTEGER NOT NULL,
+                previous_expiration_date  DATE,
+                start_date                DATE NOT NULL,
+                new_expiration_date       DATE NOT NULL,
+                notes                     TEXT,
+                renewed_by                UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                created_at                TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS idx_device_license_renewals_device_created
+                ON device_license_renewals (device_id, created_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_device_license_renewals_org_created
+                ON device_license_renewals (organization_id, created_at DESC);
+        `);
+    },
+
+    async down(queryInterface) {
+        const q = queryInterface.sequelize;
+        await q.query('DROP TABLE IF EXISTS device_license_renewals;');
+        await q.query('DROP INDEX IF EXISTS idx_devices_expiration_date;');
+        await q.query(`
+            ALTER TABLE devices
+                DROP COLUMN IF EXISTS license_reminder_days,
+                DROP COLUMN IF EXISTS license_reminder_sent_at;
+        `);
+    }
+};
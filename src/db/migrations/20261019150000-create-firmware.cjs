@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Migración: Catálogo de firmware por modelo y campañas de actualización OTA
+ *
+ * - firmware_images: versiones de firmware de cada device_model; el binario vive en
+ *   file_uploads (category 'firmware')
+ * - firmware_rollouts: campañas que publican una versión a los devices del modelo
+ *   (acotadas por organización y, opcionalmente, site)
+ * - firmware_rollout_devices: estado por device (pending → downloading → applied | failed)
+ * - permisos firmware.manage (catálogo, solo system-admin) y firmware.deploy (campañas, org-admin)
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS firmware_images (
+                id              UUID PRIMARY KEY,
+                public_code     VARCHAR(20) NOT NULL UNIQUE,
+                model_id        INTEGER NOT NULL REFERENCES device_models(id) ON UPDATE CASCADE ON DELETE RESTRICT,
+                version         VARCHAR(50) NOT NULL,
+                release_notes   TEXT,
+                file_id         UUID NOT NULL REFERENCES file_uploads(id) ON UPDATE CASCADE ON DELETE RESTRICT,
+                is_active       BOOLEAN NOT NULL DEFAULT true,
+                created_by      UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+                CONSTRAINT firmware_images_model_version_key UNIQUE (model_id, version)
+            );
+        `);
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS firmware_rollouts (
+                id               UUID PRIMARY KEY,
+                public_code      VARCHAR(20) NOT NULL UNIQUE,
+                firmware_id      UUID NOT NULL REFERENCES firmware_images(id) ON UPDATE CASCADE ON DELETE RESTRICT,
+                organization_id  UUID REFERENCES organizations(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                site_id          UUID REFERENCES sites(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                name             VARCHAR(200),
+                status           VARCHAR(20) NOT NULL DEFAULT 'active'
+                                 CHECK (status IN ('active', 'completed', 'cancelled')),
+                created_by       UUID REFERENCES users(id) ON UPDATE CASCADE ON DELETE SET NULL,
+                completed_at     TIMESTAMPTZ,
+                created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS idx_firmware_rollouts_org_created
+                ON firmware_rollouts (organization_id, created_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_firmware_rollouts_firmware
+                ON firmware_rollouts (firmware_id);
+        `);
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS firmware_rollout_devices (
+                id                UUID PRIMARY KEY,
+                rollout_id        UUID NOT NULL REFERENCES firmware_rollouts(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                device_id         UUID NOT NULL REFERENCES devices(id) ON UPDATE CASCADE ON DELETE CASCADE,
+                correlation_id    UUID NOT NULL UNIQUE,
+                status            VARCHAR(20) NOT NULL DEFAULT 'pending'
+                                  CHECK (status IN ('pending', 'downloading', 'applied', 'failed')),
+                previous_version  VARCHAR(50),
+                reported_version  VARCHAR(50),
+                error             TEXT,
+                sent_at           TIMESTAMPTZ,
+                last_report_at    TIMESTAMPTZ,
+                completed_at      TIMESTAMPTZ,
+                created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+                CONSTRAINT firmware_rollout_devices_rollout_device_key UNIQUE (rollout_id, device_id)
+            );
+        `);
+
+        // Devices con actualización en curso (respuestas MQTT, barrido de timeouts y
+        // exclusión de devices ya incluidos en otra campaña)
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS idx_firmware_rollout_devices_in_flight
+                ON firmware_rollout_devices (device_id)
+                WHERE status IN ('pending', 'downloading');
+            CREATE INDEX IF NOT EXISTS idx_firmware_rollout_devices_rollout_status
+                ON firmware_rollout_devices (rollout_id, status);
+        `);
+
+        await q.query(`
+            UPDATE roles
+               SET permissions = array_append(permissions, 'firmware.deploy')
+             WHERE name = 'org-admin'
+               AND organization_id IS NULL
+               AND NOT ('firmware.deploy' = ANY(permissions));
+        `);
+    },
+
+    async down(queryInterface) {
+        const q = queryInterface.sequelize;
+        await q.query(`
+            UPDATE roles SET permissions = array_remove(array_remove(permissions, 'firmware.deploy'), 'firmware.manage');
+        `);
+        await q.query('DROP TABLE IF EXISTS firmware_rollout_devices;');
+        await q.query('DROP TABLE IF EXISTS firmware_rollouts;');
+        await q.query('DROP TABLE IF EXISTS firmware_images;');
+    }
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Migración: Crear tabla mail_jobs
+ *
+ * Cola persistente del email transaccional: los envíos pendientes y en reintento
+ * sobreviven reinicios y se reparten entre instancias (FOR UPDATE SKIP LOCKED).
+ * Los jobs enviados se borran; los descartados conservan solo destinatario y error.
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            CREATE TABLE IF NOT EXISTS mail_jobs (
+                id               UUID PRIMARY KEY,
+                template         VARCHAR(50),
+                recipient        VARCHAR(255) NOT NULL,
+                message          JSONB,
+                status           VARCHAR(20) NOT NULL DEFAULT 'pending'
+                                 CHECK (status IN ('pending', 'sending', 'failed')),
+                attempts         INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+                locked_until     TIMESTAMPTZ,
+                last_error       TEXT,
+                created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+                updated_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS mail_jobs_due_idx
+                ON mail_jobs (next_attempt_at)
+                WHERE status IN ('pending', 'sending');
+        `);
+    },
+
+    async down(queryInterface, Sequelize) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`DROP TABLE IF EXISTS mail_jobs;`);
+    }
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Migración: Verificación de dominios del proveedor SSO
+ *
+ * - organization_sso_providers.domain_verification_token: valor que la organización publica
+ *   en un registro TXT (_ecdata-sso.<dominio>) para probar que controla el dominio
+ * - organization_sso_providers.verified_domains: dominios de allowed_domains ya verificados;
+ *   el proveedor solo se puede habilitar con todos sus dominios verificados
+ *
+ * Los proveedores existentes no tienen dominios verificados: se deshabilitan hasta que
+ * la organización publique el registro y los verifique (POST /organizations/:id/security/sso/verify-domains).
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface) {
+        const q = queryInterface.sequelize;
+
+        await q.query(`
+            ALTER TABLE organization_sso_providers
+                ADD COLUMN IF NOT EXISTS domain_verification_token VARCHAR(64),
+                ADD COLUMN IF NOT EXISTS verified_domains VARCHAR(255)[] NOT NULL DEFAULT '{}';
+        `);
+
+        await q.query(`
+            UPDATE organization_sso_providers
+               SET domain_verification_token = md5(random()::text || id::text || clock_timestamp()::text)
+             WHERE domain_verification_token IS NULL;
+        `);
+
+        await q.query(`
+            ALTER TABLE organization_sso_providers
+                ALTER COLUMN domain_verification_token SET NOT NULL;
+        `);
+
+        await q.query(`
+            UPDATE organization_sso_providers SET is_enabled = false WHERE is_enabled = true;
+        `);
+
+        await q.query(`
+            CREATE INDEX IF NOT EXISTS idx_organization_sso_providers_verified_domains
+                ON organization_sso_providers USING GIN (verified_domains);
+        `);
+    },
+
+    async down(queryInterface) {
+        const q = queryInterface.sequelize;
+        await q.query('DROP INDEX IF EXISTS idx_organization_sso_providers_verified_domains;');
+        await q.query(`
+            ALTER TABLE organization_sso_providers
+                DROP COLUMN IF EXISTS domain_verification_token,
+                DROP COLUMN IF EXISTS verified_domains;
+        `);
+    }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Migración: Exención del 2FA local por proveedor SSO
+ *
+ * - organization_sso_providers.waive_local_two_factor: la organización confía en el MFA de su IdP
+ *   y los logins por este proveedor no piden el segundo factor local (por defecto se pide)
+ *
+ * @type {import('sequelize-cli').Migration}
+ */
+module.exports = {
+    async up(queryInterface) {
+        await queryInterface.sequelize.query(`
+            ALTER TABLE organization_sso_providers
+                ADD COLUMN IF NOT EXISTS waive_local_two_factor BOOLEAN NOT NULL DEFAULT false;
+        `);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.sequelize.query(`
+            ALTER TABLE organization_sso_providers
+                DROP COLUMN IF EXISTS waive_local_two_factor;
+        `);
+    }
+};
@@ -20,6 +20,13 @@ import UserOrganization from '../modules/auth/models/UserOrganization.js';
 
 // Modelos con dependencia a Users
 import RefreshToken from '../modules/auth/models/RefreshToken.js';
+import PasswordResetToken from '../modules/auth/models/PasswordResetToken.js';
+import UserTwoFactor from '../modules/auth/models/UserTwoFactor.js';
+import TwoFactorRecoveryCode from '../modules/auth/models/TwoFactorRecoveryCode.js';
+import OrganizationSsoProvider from '../modules/auth/models/OrganizationSsoProvider.js';
+import UserSsoIdentity from '../modules/auth/models/UserSsoIdentity.js';
+import SecurityEvent from '../modules/auth/models/SecurityEvent.js';
+import PasswordHistory from '../modules/auth/models/PasswordHistory.js';
 
 // Modelos del módulo Schedules (dependencias: Organizations)
 import Schedule from '../modules/schedules/models/Schedule.js';
@@ -27,6 +34,7 @@ import ScheduleException from '../modules/schedules/models/ScheduleException.js'
 import Validity from '../modules/schedules/models/Validity.js';
 import TimeProfile from '../modules/schedules/models/TimeProfile.js';
 import TimeRange from '../modules/schedules/models/TimeRange.js';
+import ScheduleAssignment from '../modules/schedules/models/ScheduleAssignment.js';
 
 // Modelos del módulo Dashboards (dependencias: Organizations, Users)
 import Dashboard from '../modules/dashboards/models/Dashboard.js';
@@ -37,6 +45,7 @@ import DashboardGroup from '../modules/dashboards/models/DashboardGroup.js';
 import DashboardGroupItem from '../modules/dashboards/models/DashboardGroupItem.js';
 import DashboardCollaborator from '../modules/dashboards/models/DashboardCollaborator.js';
 import DashboardGroupCollaborator from '../modules/dashboards/models/DashboardGroupCollaborator.js';
+import DashboardTemplate from '../modules/dashboards/models/DashboardTemplate.js';
 
 // Definir asociaciones adicionales después de importar todos los modelos
 // para evitar dependencias circulares
@@ -45,6 +54,19 @@ User.hasMany(UserOrganization, {
     as: 'UserOrganizations'
 });
 
+// --- Asociaciones de roles por organización (permission sets) ---
+Role.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organization' });
+UserOrganization.belongsTo(Role, { foreignKey: 'roleId', as: 'orgRole' });
+
+// --- Asociaciones de SSO (OIDC) ---
+OrganizationSsoProvider.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organization' });
+UserSsoIdentity.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+UserSsoIdentity.belongsTo(OrganizationSsoProvider, { foreignKey: 'providerId', as: 'provider' });
+
+// --- Asociaciones de eventos de seguridad e historial de contraseñas ---
+SecurityEvent.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+PasswordHistory.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
 // --- Asociaciones del módulo Schedules ---
 
 // Schedule → Organization (N:1)
@@ -67,11 +89,16 @@ TimeProfile.belongsTo(Validity, { foreignKey: 'validityId', as: 'validity' });
 TimeProfile.hasMany(TimeRange, { foreignKey: 'timeProfileId', as: 'timeRanges', onDelete: 'CASCADE' });
 TimeRange.belongsTo(TimeProfile, { foreignKey: 'timeProfileId', as: 'timeProfile' });
 
+// Schedule → ScheduleAssignment (1:N)
+Schedule.hasMany(ScheduleAssignment, { foreignKey: 'scheduleId', as: 'assignments', onDelete: 'CASCADE' });
+ScheduleAssignment.belongsTo(Schedule, { foreignKey: 'scheduleId', as: 'schedule' });
+
 // --- Asociaciones del módulo Dashboards ---
 
 // Dashboard
 Dashboard.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organization' });
 Dashboard.belongsTo(User, { foreignKey: 'ownerId', as: 'owner' });
+Dashboard.belongsTo(DashboardTemplate, { foreignKey: 'templateId', as: 'template' });
 Dashboard.hasMany(DashboardPage, { foreignKey: 'dashboardId', as: 'pages', onDelete: 'CASCADE' });
 Dashboard.hasMany(DashboardCollaborator, { foreignKey: 'dashboardId', as: 'collaborators', onDelete: 'CASCADE' });
 Dashboard.belongsToMany(DashboardGroup, { through: DashboardGroupItem, foreignKey: 'dashboardId', otherKey: 'dashboardGroupId', as: 'groups' });
@@ -105,6 +132,10 @@ DashboardCollaborator.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 DashboardGroupCollaborator.belongsTo(DashboardGroup, { foreignKey: 'dashboardGroupId', as: 'group' });
 DashboardGroupCollaborator.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
+// DashboardTemplate
+DashboardTemplate.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organization' });
+DashboardTemplate.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
 /**
  * Array de modelos en orden de dependencia
  * Sequelize.sync() los crea en este orden
@@ -118,6 +149,14 @@ export const models = [
     User,
     UserOrganization,
     RefreshToken,
+    PasswordResetToken,
+    UserTwoFactor,
+    TwoFactorRecoveryCode,
+    OrganizationSsoProvider,
+    UserSsoIdentity,
+    SecurityEvent,
+    PasswordHistory,
+    DashboardTemplate,
     Dashboard,
     DashboardPage,
     Widget,
@@ -130,7 +169,8 @@ export const models = [
     ScheduleException,
     Validity,
     TimeProfile,
-    TimeRange
+    TimeRange,
+    ScheduleAssignment
 ];
 
 export default {
@@ -142,6 +182,14 @@ export default {
     User,
     UserOrganization,
     RefreshToken,
+    PasswordResetToken,
+    UserTwoFactor,
+    TwoFactorRecoveryCode,
+    OrganizationSsoProvider,
+    UserSsoIdentity,
+    SecurityEvent,
+    PasswordHistory,
+    DashboardTemplate,
     Dashboard,
     DashboardPage,
     Widget,
@@ -154,5 +202,6 @@ export default {
     ScheduleException,
     Validity,
     TimeProfile,
-    TimeRange
+    TimeRange,
+    ScheduleAssignment
 };
@@ -355,6 +355,63 @@ export const incrWithTTL = async (key, ttl) => {
     }
 };
 
+/**
+ * Escribe campos en un hash (HSET), sobrescribiendo los existentes
+ * @param {string} key - Clave de Redis
+ * @param {Object<string, string|number>} fields - Campos a escribir
+ * @returns {Promise<boolean>}
+ */
+export const setHashFields = async (key, fields) => {
+    const prefixedKey = addPrefix(key);
+    const writeInMemory = () => {
+        const current = inMemoryCache.get(prefixedKey) || {};
+        inMemoryCache.set(prefixedKey, { ...current, ...fields });
+        return true;
+    };
+
+    if (!isRedisAvailable) {
+        return writeInMemory();
+    }
+
+    try {
+        await redisClient.hSet(prefixedKey, Object.fromEntries(
+            Object.entries(fields).map(([field, value]) => [field, String(value)])
+        ));
+        return true;
+    } catch (error) {
+        dbLogger.error(error, 'Redis HSET error');
+        activateFallback(`HSET error: ${error.message}`);
+        return writeInMemory();
+    }
+};
+
+/**
+ * Lee y elimina un hash completo de forma atómica (HGETALL + DEL en MULTI)
+ * Permite que varias instancias consuman el mismo buffer sin procesar dos veces un campo
+ * @param {string} key - Clave de Redis
+ * @returns {Promise<Object<string, string>>} Campos del hash ({} si no existe)
+ */
+export const getAndDeleteHash = async (key) => {
+    const prefixedKey = addPrefix(key);
+    if (!isRedisAvailable) {
+        const value = inMemoryCache.get(prefixedKey) || {};
+        inMemoryCache.delete(prefixedKey);
+        return value;
+    }
+
+    try {
+        const [value] = await redisClient.multi()
+            .hGetAll(prefixedKey)
+            .del(prefixedKey)
+            .exec();
+        return value || {};
+    } catch (error) {
+        dbLogger.error(error, 'Redis HGETALL+DEL error');
+        activateFallback(`HGETALL+DEL error: ${error.message}`);
+        return {};
+    }
+};
+
 export const isConnected = () => isRedisAvailable;
 
 // Las funciones withPrefix ya no son necesarias (addPrefix se aplica globalmente)
@@ -24,19 +24,28 @@ import '../sql/sequelize.js';
 import '../models.js';
 
 // --- Modelos adicionales no incluidos en models.js ---
+import '../../modules/alerts/models/index.js';
+import '../../modules/api-keys/models/index.js';
 import '../../modules/asset-categories/models/AssetCategory.js';
 import '../../modules/audit/models/AuditLog.js';
 import '../../modules/channels/models/Channel.js';
+import '../../modules/device-commands/models/index.js';
 import '../../modules/device-metadata/models/index.js';
 import '../../modules/devices/models/Device.js';
+import '../../modules/devices/models/DeviceConnectivityEvent.js';
+import '../../modules/devices/models/DeviceLicenseRenewal.js';
 import '../../modules/error-logs/models/ErrorLog.js';
 import '../../modules/files/models/FileUpload.js';
+import '../../modules/firmware/models/index.js';
+import '../../modules/invitations/models/index.js';
 import '../../modules/locations/models/index.js';
+import '../../modules/notifications/models/index.js';
 import '../../modules/organizations/models/OrganizationCountry.js';
 import '../../modules/resource-hierarchy/models/OrganizationResourceCounter.js';
 import '../../modules/resource-hierarchy/models/ResourceHierarchy.js';
 import '../../modules/resource-hierarchy/models/UserResourceAccess.js';
 import '../../modules/telemetry/models/index.js';
+import '../../services/mail/models/MailJob.js';
 
 import sequelize from '../sql/sequelize.js';
 
@@ -13,7 +13,7 @@ export const seedAdminUser = async () => {
     try {
         dbLogger.info('👤 Iniciando seeder de usuario admin...');
 
-        const adminRole = await Role.findOne({ where: { name: 'system-admin' } });
+        const adminRole = await Role.findOne({ where: { name: 'system-admin', organizationId: null } });
         if (!adminRole) {
             throw new Error('Rol system-admin no encontrado. Ejecutar seedRoles primero.');
         }
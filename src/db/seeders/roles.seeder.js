@@ -1,53 +1,68 @@
 import Role from '../../modules/auth/models/Role.js';
 import { generateUuidV7 } from '../../utils/identifiers.js';
+import { DEFAULT_ROLE_PERMISSIONS } from '../../modules/roles/permissions.js';
 import { dbLogger } from '../../utils/logger.js';
 
 /**
  * Datos de roles del sistema RBAC
- * 7 roles con sus descripciones en inglés
+ * 7 roles con sus descripciones en inglés y su permission set inicial (DEFAULT_ROLE_PERMISSIONS)
  */
 const rolesData = [
     {
         id: generateUuidV7(),
         name: 'system-admin',
         description: 'Full platform control (all organizations). Access to global panel, auditing, plans/quotas, feature flags. Can create/suspend/delete organizations and users. No tenant restrictions.',
-        is_active: true
+        is_active: true,
+        permissions: DEFAULT_ROLE_PERMISSIONS['system-admin'],
+        isSystem: true
     },
     {
         id: generateUuidV7(),
         name: 'org-admin',
         description: 'Administrator of their organization (and sub-organizations if they exist). Creates/manages users in their org, assigns roles, configures org preferences/themes/languages, and can create other org-admins. Rule: an organization cannot exist without at least one org-admin.',
-        is_active: true
+        is_active: true,
+        permissions: DEFAULT_ROLE_PERMISSIONS['org-admin'],
+        isSystem: true
     },
     {
         id: generateUuidV7(),
         name: 'org-manager',
         description: 'Advanced operational management within the org (teams/sections/processes). Can view and manage operational data (e.g., invoices, reports, dashboards) and users in their area, but cannot change global organization settings (billing, branding, SSO, etc.).',
-        is_active: true
+        is_active: true,
+        permissions: DEFAULT_ROLE_PERMISSIONS['org-manager'],
+        isSystem: true
     },
     {
         id: generateUuidV7(),
         name: 'user',
         description: 'Standard internal user. Access to enabled sections; can create/view own content or team content (e.g., upload invoices, view dashboards), without user management or configuration permissions.',
-        is_active: true
+        is_active: true,
+        permissions: DEFAULT_ROLE_PERMISSIONS['user'],
+        isSystem: true
     },
     {
         id: generateUuidV7(),
         name: 'viewer',
         description: 'Read-only access. Ideal for dashboards and reports. Can view information and (if enabled) download files/reports. Cannot edit or execute actions that modify data.',
-        is_active: true
+        is_active: true,
+        permissions: DEFAULT_ROLE_PERMISSIONS['viewer'],
+        isSystem: true
     },
     {
         id: generateUuidV7(),
         name: 'guest',
         description: 'Temporary or limited access (via token/link with expiration). Normally read-only on a specific subset of resources; designed to share specific data with third parties without full registration.',
-        is_active: true
+        is_active: true,
+        permissions: DEFAULT_ROLE_PERMISSIONS['guest'],
+        isSystem: true
     },
     {
         id: generateUuidV7(),
         name: 'demo',
         description: 'Demo environment user. Always read-only and isolated from real data; sees example data (mock) with statistical consistency. Cannot modify anything, even if the UI attempts it.',
-        is_active: true
+        is_active: true,
+        permissions: DEFAULT_ROLE_PERMISSIONS['demo'],
+        isSystem: true
     }
 ];
 
@@ -28,7 +28,7 @@ export const seedUsers = async () => {
         }
 
         const roles = await Role.findAll({
-            where: { isActive: true },
+            where: { isActive: true, organizationId: null },
             attributes: ['id', 'name']
         });
 
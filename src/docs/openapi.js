@@ -142,6 +142,34 @@ const swaggerOptions = {
                             type: 'string',
                             nullable: true,
                         },
+                        device: {
+                            type: 'string',
+                            nullable: true,
+                            example: 'Chrome on Windows',
+                            description: 'Navegador y sistema operativo derivados del user agent',
+                        },
+                        location: {
+                            type: 'object',
+                            nullable: true,
+                            description: 'Ubicación según la base GeoIP local (null sin base o IP privada)',
+                            properties: {
+                                country: { type: 'string', example: 'PE' },
+                                city: { type: 'string', nullable: true, example: 'Lima' },
+                            },
+                        },
+                        securityEvents: {
+                            type: 'array',
+                            description: 'Anomalías recientes registradas desde la IP de la sesión',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    id: { type: 'string', example: 'SEV-7K2M9-X' },
+                                    type: { type: 'string', example: 'new_device' },
+                                    severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+                                    createdAt: { type: 'string', format: 'date-time' },
+                                },
+                            },
+                        },
                     },
                 },
                 Error: {
@@ -0,0 +1,76 @@
+// helpers/bulkOperations.js
+// Operaciones masivas (PATCH /<recurso>/bulk): ejecución item por item
+// Cada item pasa por la misma validación de ownership, grants de la jerarquía y servicio que la operación individual
+// El schema del body vive en helpers/bulkSchema.js (sin dependencias de BD, lo importan los DTOs)
+
+import { checkResourceOwnership } from '../middleware/validateResourceOwnership.js';
+import { canAccessResource } from '../modules/resource-hierarchy/accessScope.js';
+import { translate } from '../middleware/i18n.js';
+import logger from '../utils/logger.js';
+
+const bulkLogger = logger.child({ component: 'bulkOperations' });
+
+/**
+ * Ejecuta una operación sobre cada item y devuelve el resultado por item
+ * Los items se procesan en serie; el error de uno no detiene al resto.
+ *
+ * @param {Object} params
+ * @param {string[]} params.ids - Public codes (sin duplicados)
+ * @param {Object} params.user - req.user
+ * @param {Object} params.ownership - Opciones de validateResourceOwnership (findById, findByPublicCode, resourceName)
+ * @param {'channel'|'device'} params.resourceType - Tipo para los grants de la jerarquía
+ * @param {Function} params.resolveAccessScope - (organizationId) => scope (ver resolveRequestAccessScope)
+ * @param {Function} params.execute - (publicCode, resource) => Promise<Object> resultado del servicio individual
+ * @param {string} [params.locale] - Idioma para los mensajes de ownership/acceso (claves i18n)
+ * @returns {Promise<{results: Object[], summary: {requested: number, succeeded: number, failed: number}}>}
+ */
+export const runBulkOperation = async ({ ids, user, ownership, resourceType, resolveAccessScope, execute, locale = null }) => {
+    const scopes = new Map();
+    const results = [];
+
+    for (const id of ids) {
+        try {
+            const { resource, resourceOrgId, error } = await checkResourceOwnership(user, id, ownership);
+            if (error) {
+                results.push({
+                    id,
+                    ok: false,
+                    error: { status: error.status, code: error.code, message: translate(error.message, {}, locale) }
+                });
+                continue;
+            }
+
+            if (!scopes.has(resourceOrgId)) {
+                scopes.set(resourceOrgId, await resolveAccessScope(resourceOrgId));
+            }
+            if (!canAccessResource(scopes.get(resourceOrgId), resourceType, resource.publicCode, 'edit')) {
+                results.push({
+                    id,
+                    ok: false,
+                    error: {
+                        status: 403,
+                        code: `${resourceType.toUpperCase()}_ACCESS_DENIED`,
+                        message: translate('auth.resource_access.denied', {}, locale)
+                    }
+                });
+                continue;
+            }
+
+            const data = await execute(resource.publicCode, resource);
+            results.push({ id, ok: true, data });
+        } catch (error) {
+            bulkLogger.warn({ err: error, id, resourceType }, 'Bulk: item falló');
+            results.push({
+                id,
+                ok: false,
+                error: { status: error.status || 500, code: error.code || 'INTERNAL_ERROR', message: error.message }
+            });
+        }
+    }
+
+    const succeeded = results.filter(result => result.ok).length;
+    return {
+        results,
+        summary: { requested: ids.length, succeeded, failed: results.length - succeeded }
+    };
+};
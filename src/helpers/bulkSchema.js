@@ -0,0 +1,60 @@
+// helpers/bulkSchema.js
+// Body de las operaciones masivas (PATCH /<recurso>/bulk) y cambios por acción
+
+import { z } from 'zod';
+
+export const BULK_ACTIONS = ['update', 'activate', 'deactivate', 'delete'];
+export const MAX_BULK_ITEMS = 500;
+
+/**
+ * Crea el schema Zod del body de una operación masiva
+ * Exactamente uno de `ids` (public codes) o `filter` (no vacío); `changes` es requerido con action 'update'.
+ * Filtros y cambios no admiten campos desconocidos; los ids duplicados se descartan.
+ *
+ * @param {Object} options
+ * @param {z.ZodObject} options.filterSchema - Filtros admitidos para seleccionar items
+ * @param {z.ZodObject} options.changesSchema - Campos editables en masa (parcial del schema de update)
+ * @returns {z.ZodObject} Schema con estructura { body }
+ */
+export const createBulkSchema = ({ filterSchema, changesSchema }) => z.object({
+    body: z.object({
+        ids: z
+            .array(z.string().min(1, 'Los ids no pueden estar vacíos'))
+            .min(1, 'ids debe tener al menos un elemento')
+            .max(MAX_BULK_ITEMS, `ids no puede exceder ${MAX_BULK_ITEMS} elementos`)
+            .transform((ids) => [...new Set(ids)])
+            .optional(),
+        filter: filterSchema.strict().optional(),
+        action: z
+            .enum(BULK_ACTIONS, {
+                errorMap: () => ({ message: `action debe ser: ${BULK_ACTIONS.join(', ')}` })
+            })
+            .optional()
+            .default('update'),
+        changes: changesSchema.strict().optional()
+    })
+        .refine((body) => Boolean(body.ids) !== Boolean(body.filter), {
+            message: 'Debe enviar ids o filter (uno de los dos)',
+            path: ['ids']
+        })
+        .refine((body) => !body.filter || Object.keys(body.filter).length > 0, {
+            message: 'filter debe tener al menos un criterio',
+            path: ['filter']
+        })
+        .refine((body) => body.action !== 'update' || (body.changes && Object.keys(body.changes).length > 0), {
+            message: 'changes es requerido y no puede estar vacío con action update',
+            path: ['changes']
+        })
+});
+
+/**
+ * Cambios a aplicar según la acción (activate/deactivate son updates de isActive)
+ * @param {string} action - Uno de BULK_ACTIONS (excepto delete)
+ * @param {Object} [changes]
+ * @returns {Object}
+ */
+export const resolveBulkChanges = (action, changes = {}) => {
+    if (action === 'activate') return { isActive: true };
+    if (action === 'deactivate') return { isActive: false };
+    return changes;
+};
@@ -0,0 +1,46 @@
+// helpers/bulkSchema.test.js
+// Tests del body de operaciones masivas (helpers/bulkSchema.js)
+
+import { describe, it, expect } from 'vitest';
+import { z } from 'zod';
+import { createBulkSchema, resolveBulkChanges, MAX_BULK_ITEMS } from './bulkSchema.js';
+
+const schema = createBulkSchema({
+    filterSchema: z.object({ status: z.string().optional() }),
+    changesSchema: z.object({ description: z.string().optional(), isActive: z.boolean().optional() })
+});
+
+const issuesOf = (body) => schema.safeParse({ body }).error?.issues.map(issue => issue.path.join('.')) ?? [];
+
+describe('createBulkSchema', () => {
+    it('acepta ids con action update por defecto y descarta duplicados', () => {
+        const result = schema.parse({ body: { ids: ['DEV-1', 'DEV-1', 'DEV-2'], changes: { description: 'x' } } });
+        expect(result.body).toEqual({ ids: ['DEV-1', 'DEV-2'], action: 'update', changes: { description: 'x' } });
+    });
+
+    it('exige exactamente uno de ids o filter, y filter no vacío', () => {
+        expect(issuesOf({ action: 'activate' })).toEqual(['body.ids']);
+        expect(issuesOf({ ids: ['DEV-1'], filter: { status: 'active' }, action: 'activate' })).toEqual(['body.ids']);
+        expect(issuesOf({ filter: {}, action: 'activate' })).toEqual(['body.filter']);
+    });
+
+    it('exige changes con action update y rechaza campos desconocidos', () => {
+        expect(issuesOf({ ids: ['DEV-1'] })).toEqual(['body.changes']);
+        expect(issuesOf({ ids: ['DEV-1'], changes: {} })).toEqual(['body.changes']);
+        expect(issuesOf({ ids: ['DEV-1'], changes: { name: 'x' } })).toContain('body.changes');
+        expect(issuesOf({ filter: { site: 'x' }, action: 'delete' })).toContain('body.filter');
+    });
+
+    it(`limita ids a ${MAX_BULK_ITEMS} elementos`, () => {
+        const ids = Array.from({ length: MAX_BULK_ITEMS + 1 }, (_, i) => `DEV-${i}`);
+        expect(issuesOf({ ids, action: 'delete' })).toContain('body.ids');
+    });
+});
+
+describe('resolveBulkChanges', () => {
+    it('traduce activate/deactivate a isActive y deja pasar changes en update', () => {
+        expect(resolveBulkChanges('activate', { description: 'x' })).toEqual({ isActive: true });
+        expect(resolveBulkChanges('deactivate')).toEqual({ isActive: false });
+        expect(resolveBulkChanges('update', { description: 'x' })).toEqual({ description: 'x' });
+    });
+});
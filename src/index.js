@@ -7,6 +7,12 @@ import { initCassandra, closeCassandra, hasCredentials } from './db/cassandra/cl
 import { startTokenCleanupScheduler } from './utils/cleanupTokens.js';
 import { warmUpTelemetryCache } from './modules/telemetry/index.js';
 import { initializeMqtt, closeMqtt, initializeWebSocket, closeWebSocket } from './modules/realtime/index.js';
+import { startAlertEngine } from './modules/alerts/engine.js';
+import { startCommandTracker } from './modules/device-commands/services.js';
+import { startFirmwareOtaTracker } from './modules/firmware/ota.js';
+import { startPresenceTracker } from './modules/devices/presence.js';
+import { startLicenseReminderScheduler } from './modules/devices/licenseReminders.js';
+import { verifyMailTransport, startMailQueue, stopMailQueue } from './services/mail/index.js';
 import logger from './utils/logger.js';
 
 // Importar todos los modelos en orden de dependencias (necesario para Sequelize.sync())
@@ -14,6 +20,11 @@ import './db/models.js';
 
 // Variable global para el cleanup scheduler
 let stopTokenCleanup = null;
+let stopAlertEngine = null;
+let stopCommandTracker = null;
+let stopPresenceTracker = null;
+let stopLicenseReminders = null;
+let stopFirmwareOta = null;
 
 /**
  * Inicializa todos los servicios (DB, Redis, etc.)
@@ -111,6 +122,45 @@ const startServer = async () => {
             logger.warn({ err: mqttError }, '⚠️  MQTT initialization failed (non-critical)');
         }
 
+        // Motor de alertas (usa el stream MQTT y el chequeo periódico contra Cassandra)
+        try {
+            stopAlertEngine = startAlertEngine();
+        } catch (alertsError) {
+            logger.warn({ err: alertsError }, '⚠️  Alert engine initialization failed (non-critical)');
+        }
+
+        // Seguimiento de ack/timeout de comandos a devices (EC:IOT)
+        try {
+            stopCommandTracker = startCommandTracker();
+        } catch (commandsError) {
+            logger.warn({ err: commandsError }, '⚠️  Device command tracker initialization failed (non-critical)');
+        }
+
+        // Presencia de devices desde el tráfico MQTT (lastSeenAt / lastSyncAt y conectividad)
+        try {
+            stopPresenceTracker = startPresenceTracker();
+        } catch (presenceError) {
+            logger.warn({ err: presenceError }, '⚠️  Device presence tracker initialization failed (non-critical)');
+        }
+
+        // Recordatorios de vencimiento de licencias de devices (job diario)
+        try {
+            stopLicenseReminders = startLicenseReminderScheduler();
+        } catch (licenseError) {
+            logger.warn({ err: licenseError }, '⚠️  License reminder scheduler initialization failed (non-critical)');
+        }
+
+        // Entrega y seguimiento OTA de campañas de firmware
+        try {
+            stopFirmwareOta = startFirmwareOtaTracker();
+        } catch (firmwareError) {
+            logger.warn({ err: firmwareError }, '⚠️  Firmware OTA tracker initialization failed (non-critical)');
+        }
+
+        // Email transaccional (no-bloqueante: un SMTP caído solo demora los envíos)
+        verifyMailTransport();
+        startMailQueue();
+
         // Manejo de señales para graceful shutdown
         const gracefulShutdown = async signal => {
             logger.info(`${signal} received. Starting graceful shutdown...`);
@@ -122,6 +172,34 @@ const startServer = async () => {
                 if (stopTokenCleanup) {
                     stopTokenCleanup();
                 }
+
+                // Detener motor de alertas
+                if (stopAlertEngine) {
+                    stopAlertEngine();
+                }
+
+                // Detener tracker de comandos a devices
+                if (stopCommandTracker) {
+                    stopCommandTracker();
+                }
+
+                // Detener tracker de presencia de devices
+                if (stopPresenceTracker) {
+                    stopPresenceTracker();
+                }
+
+                // Detener recordatorios de licencias
+                if (stopLicenseReminders) {
+                    stopLicenseReminders();
+                }
+
+                // Detener tracker OTA de firmware
+                if (stopFirmwareOta) {
+                    stopFirmwareOta();
+                }
+
+                // Detener cola de email (los pendientes quedan en mail_jobs)
+                await stopMailQueue();
                 
                 // Cerrar conexiones a servicios externos
                 closeWebSocket();
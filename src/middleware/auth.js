@@ -1,19 +1,71 @@
 // middleware/auth.js
-// Middleware de autenticación JWT
+// Middleware de autenticación JWT y API keys de organización
 
 import * as authServices from '../modules/auth/services.js';
+import * as apiKeyServices from '../modules/api-keys/services.js';
+import * as rolesServices from '../modules/roles/services.js';
+import { hasPermission } from '../modules/roles/permissions.js';
+import { orgRateLimitMiddleware } from './rateLimit.js';
 import { errorResponse } from '../utils/response.js';
 import logger from '../utils/logger.js';
 
+// Rate limit por key (sin contexto de organización todavía solo aplica el bucket de la key)
+const apiKeyRateLimit = orgRateLimitMiddleware();
+
+/**
+ * Autentica un request con API key: valida la key, la IP y el scope requerido por la ruta
+ * y aplica el rate limit por key
+ *
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @param {Function} next
+ * @param {string} key - API key recibida
+ */
+const authenticateWithApiKey = async (req, res, next, key) => {
+    const apiKeyUser = await apiKeyServices.authenticateApiKey(key, req.ip || req.connection?.remoteAddress);
+
+    const requiredScope = apiKeyServices.resolveRequiredScope(req.originalUrl, req.method);
+    if (!requiredScope) {
+        return errorResponse(res, {
+            message: 'auth.api_key.resource_not_allowed',
+            status: 403,
+            code: 'API_KEY_RESOURCE_NOT_ALLOWED'
+        });
+    }
+
+    if (!apiKeyUser.scopes.includes(requiredScope)) {
+        logger.warn({ clientId: apiKeyUser.clientId, requiredScope, path: req.originalUrl }, 'API key without required scope');
+
+        return errorResponse(res, {
+            message: 'auth.api_key.insufficient_scope',
+            status: 403,
+            code: 'API_KEY_SCOPE_DENIED',
+            details: { required: requiredScope }
+        });
+    }
+
+    req.user = apiKeyUser;
+
+    return apiKeyRateLimit(req, res, next);
+};
+
 /**
  * Middleware para verificar token JWT en headers
  * Extrae el token del header Authorization: Bearer <token>
  * Verifica el token y adjunta los datos del usuario a req.user
  * 
+ * También acepta API keys de organización (Authorization: Bearer ecd_... o X-API-Key),
+ * con un req.user equivalente (tokenType 'api_key') fijo a la organización de la key
+ * 
  * @returns {Function} - Middleware de Express
  */
 export const authenticate = async (req, res, next) => {
     try {
+        const apiKeyHeader = req.headers['x-api-key'];
+        if (apiKeyHeader) {
+            return await authenticateWithApiKey(req, res, next, apiKeyHeader);
+        }
+
         // Extraer token del header Authorization
         const authHeader = req.headers.authorization;
 
@@ -38,6 +90,10 @@ export const authenticate = async (req, res, next) => {
 
         const token = parts[1];
 
+        if (apiKeyServices.isApiKeyToken(token)) {
+            return await authenticateWithApiKey(req, res, next, token);
+        }
+
         // Verificar token con el servicio de auth
         const userData = await authServices.verifyToken(token);
 
@@ -78,6 +134,19 @@ export const authorize = (allowedRoles = []) => {
             });
         }
 
+        // API keys: el acceso ya se validó por scope en authenticate; se excluyen las rutas exclusivas
+        // de system-admin y la key queda acotada al rol de su creador
+        if (req.user.tokenType === 'api_key') {
+            if (!allowedRoles.some(role => role !== 'system-admin') || !allowedRoles.includes(req.user.creatorRole)) {
+                return errorResponse(res, {
+                    message: 'auth.permission.denied',
+                    status: 403,
+                    code: 'FORBIDDEN'
+                });
+            }
+            return next();
+        }
+
         // Verificar que el usuario tenga un rol permitido (role ahora es un string con el nombre del rol)
         const userRoleName = req.user.role;
         if (!userRoleName || !allowedRoles.includes(userRoleName)) {
@@ -110,6 +179,48 @@ export const requireRole = (roleNames = []) => {
     return authorize(roleNames);
 };
 
+/**
+ * Middleware para requerir un permiso con nombre (ej: 'dashboards.create')
+ * Debe usarse DESPUÉS de authenticate
+ *
+ * El permission set del usuario se resuelve una vez por sesión y organización activa y se guarda
+ * en session_context (ver modules/roles/services.js); queda disponible en req.user.permissions.
+ * Las API keys tienen los permisos que conceden sus scopes, acotados a los de su creador (getApiKeyPermissions).
+ *
+ * @param {string} permission - Permiso requerido (ver modules/roles/permissions.js)
+ * @returns {Function} - Middleware de Express
+ */
+export const requirePermission = (permission) => async (req, res, next) => {
+    if (!req.user) {
+        return errorResponse(res, {
+            message: 'auth.token.missing',
+            status: 401,
+            code: 'UNAUTHORIZED'
+        });
+    }
+
+    try {
+        if (!req.user.permissions) {
+            req.user.permissions = await rolesServices.getUserPermissions(req.user);
+        }
+
+        if (!hasPermission(req.user.permissions, permission)) {
+            logger.warn(`User ${req.user.email || req.user.userId} with role ${req.user.role} attempted to access protected route without permission ${permission}`);
+
+            return errorResponse(res, {
+                message: 'auth.permission.denied',
+                status: 403,
+                code: 'FORBIDDEN',
+                details: { required: permission }
+            });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Middleware opcional de autenticación
  * Intenta autenticar pero NO bloquea si falla
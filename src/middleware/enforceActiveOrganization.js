@@ -196,7 +196,7 @@ export const enforceActiveOrganization = async (req, res, next) => {
         const tokenType = user.tokenType === 'api_key' ? 'api_key' : 'session';
         const isApiKey = tokenType === 'api_key';
 
-        // ============ CASO: JWT de API Key (clientes externos) ============
+        // ============ CASO: API Key de organización (clientes externos, ver modules/api-keys) ============
         if (isApiKey) {
             // Los API keys están fijos a una organización, no pueden cambiar
             const apiOrgId = user.organizationId || user.activeOrgCode;
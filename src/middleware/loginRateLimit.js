@@ -1,6 +1,7 @@
 // middleware/loginRateLimit.js
 // Rate limiter específico para login con doble capa (IP + identifier)
 // Previene ataques de fuerza bruta tanto por IP como por usuario/email
+// También limita forgot/reset password con los mismos contadores Redis
 
 import { createClient } from 'redis';
 import { config } from '../config/env.js';
@@ -28,12 +29,33 @@ const LOGIN_RATE_CONFIG = {
     }
 };
 
+// Configuración del rate limiter para forgot/reset password
+// Cuenta TODAS las solicitudes (no solo las fallidas): cada forgot-password puede disparar un email
+const PASSWORD_RESET_RATE_CONFIG = {
+    // Capa 1: Por IP
+    ip: {
+        maxAttempts: 10,        // 10 solicitudes por IP
+        windowSeconds: 900,     // Ventana de 15 minutos
+        blockSeconds: 1800      // Bloqueo de 30 minutos
+    },
+    // Capa 2: Por email (solo forgot-password)
+    identifier: {
+        maxAttempts: 3,         // 3 solicitudes por email
+        windowSeconds: 3600,    // Ventana de 1 hora
+        blockSeconds: 3600      // Bloqueo de 1 hora
+    }
+};
+
 // Prefijos para Redis
 const REDIS_PREFIX = {
     ipFail: 'login_fail_ip:',
     idFail: 'login_fail_id:',
     ipBlock: 'login_block_ip:',
-    idBlock: 'login_block_id:'
+    idBlock: 'login_block_id:',
+    resetIp: 'pwd_reset_ip:',
+    resetId: 'pwd_reset_id:',
+    resetIpBlock: 'pwd_reset_block_ip:',
+    resetIdBlock: 'pwd_reset_block_id:'
 };
 
 // Cliente Redis (se inicializa lazy)
@@ -154,12 +176,38 @@ export const resetLoginCounters = async (ip, identifier) => {
     }
 };
 
+/**
+ * Levantar el bloqueo temporal de un identificador (desbloqueo de la cuenta por un admin)
+ * No toca los contadores de IP: el bloqueo por IP sigue protegiendo contra fuerza bruta distribuida.
+ *
+ * @param {string} identifier - Email o username
+ */
+export const clearIdentifierBlock = async (identifier) => {
+    const redis = await getRedisClient();
+    if (!redis) return;
+
+    const normalizedId = identifier.toLowerCase();
+
+    try {
+        await redis.del([
+            `${REDIS_PREFIX.idBlock}${normalizedId}`,
+            `${REDIS_PREFIX.idFail}${normalizedId}`
+        ]);
+
+        loginRateLimitLogger.info({ identifier: normalizedId }, 'Identifier block cleared');
+    } catch (error) {
+        loginRateLimitLogger.error(error, 'Error clearing identifier block');
+    }
+};
+
 /**
  * Registrar intento de login fallido
  * Incrementa contadores y establece bloqueos si es necesario
  * 
  * @param {string} ip - IP del cliente
  * @param {string} identifier - Email o username
+ * @returns {Promise<{identifierFailCount: number, identifierLocked: boolean, lockSeconds: number}>}
+ *   identifierLocked es true solo en el intento que dispara el bloqueo (para eventos de seguridad)
  */
 export const recordFailedLogin = async (ip, identifier) => {
     const normalizedId = identifier.toLowerCase();
@@ -197,6 +245,12 @@ export const recordFailedLogin = async (ip, identifier) => {
             blockDuration: LOGIN_RATE_CONFIG.identifier.blockSeconds
         }, 'Identifier blocked due to too many failed login attempts');
     }
+
+    return {
+        identifierFailCount: idFailCount,
+        identifierLocked: idFailCount === LOGIN_RATE_CONFIG.identifier.maxAttempts,
+        lockSeconds: LOGIN_RATE_CONFIG.identifier.blockSeconds
+    };
 };
 
 /**
@@ -291,4 +345,102 @@ export const loginRateLimitMiddleware = async (req, res, next) => {
     }
 };
 
+/**
+ * Registrar una solicitud de forgot/reset password en una capa y bloquear si supera el límite
+ * @param {string} counterKey - Clave del contador
+ * @param {string} blockKey - Clave de bloqueo
+ * @param {Object} layerConfig - { maxAttempts, windowSeconds, blockSeconds }
+ * @returns {Promise<number|null>} - Segundos de bloqueo si se superó el límite, o null
+ */
+const recordPasswordResetRequest = async (counterKey, blockKey, layerConfig) => {
+    const count = await incrementFailCount(counterKey, layerConfig.windowSeconds);
+
+    if (count > layerConfig.maxAttempts) {
+        await setBlock(blockKey, layerConfig.blockSeconds);
+        return layerConfig.blockSeconds;
+    }
+
+    return null;
+};
+
+/**
+ * Middleware de rate limiting para forgot-password y reset-password
+ * Capa IP en ambos endpoints; capa identifier (email) solo si el body trae email.
+ * El límite por email se aplica exista o no la cuenta, así el 429 no revela nada.
+ *
+ * SEGURIDAD FAIL-CLOSED: Si Redis no está disponible → 503
+ *
+ * Uso:
+ * router.post('/forgot-password', passwordResetRateLimitMiddleware, validate(forgotPasswordSchema), handler);
+ */
+export const passwordResetRateLimitMiddleware = async (req, res, next) => {
+    const ip = req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress;
+    const rawEmail = req.body?.email;
+    const normalizedId = (typeof rawEmail === 'string' && rawEmail.trim())
+        ? rawEmail.toLowerCase().trim()
+        : null;
+
+    const tooManyRequests = (retryAfter, blockedBy) => res.status(429).json({
+        ok: false,
+        error: {
+            code: 'TOO_MANY_ATTEMPTS',
+            message: 'auth.password.reset_too_many_requests',
+            params: {
+                retryAfter,
+                blockedBy
+            }
+        }
+    });
+
+    try {
+        const ipBlockKey = `${REDIS_PREFIX.resetIpBlock}${ip}`;
+        const ipBlockTtl = await checkBlock(ipBlockKey);
+        if (ipBlockTtl) {
+            return tooManyRequests(ipBlockTtl, 'ip');
+        }
+
+        const idBlockKey = normalizedId ? `${REDIS_PREFIX.resetIdBlock}${normalizedId}` : null;
+        if (idBlockKey) {
+            const idBlockTtl = await checkBlock(idBlockKey);
+            if (idBlockTtl) {
+                return tooManyRequests(idBlockTtl, 'identifier');
+            }
+        }
+
+        const ipBlocked = await recordPasswordResetRequest(
+            `${REDIS_PREFIX.resetIp}${ip}`,
+            ipBlockKey,
+            PASSWORD_RESET_RATE_CONFIG.ip
+        );
+        if (ipBlocked) {
+            loginRateLimitLogger.warn({ ip, blockDuration: ipBlocked }, 'IP blocked due to too many password reset requests');
+            return tooManyRequests(ipBlocked, 'ip');
+        }
+
+        if (idBlockKey) {
+            const idBlocked = await recordPasswordResetRequest(
+                `${REDIS_PREFIX.resetId}${normalizedId}`,
+                idBlockKey,
+                PASSWORD_RESET_RATE_CONFIG.identifier
+            );
+            if (idBlocked) {
+                loginRateLimitLogger.warn({ identifier: normalizedId, blockDuration: idBlocked }, 'Identifier blocked due to too many password reset requests');
+                return tooManyRequests(idBlocked, 'identifier');
+            }
+        }
+
+        next();
+    } catch (error) {
+        loginRateLimitLogger.error({ err: error }, 'Redis unavailable - rejecting password reset to prevent rate limit bypass');
+
+        return res.status(503).json({
+            ok: false,
+            error: {
+                code: 'SERVICE_UNAVAILABLE',
+                message: 'auth.login.service_unavailable'
+            }
+        });
+    }
+};
+
 export default loginRateLimitMiddleware;
@@ -212,11 +212,75 @@ const ORG_RATE_LIMITS = {
     message: 'errors.rate_limit_exceeded_org'
 };
 
+/**
+ * Configuración de límites por API key
+ * Ventana de 1 minuto; el máximo viene de la key (req.user.rateLimitPerMinute)
+ */
+const API_KEY_RATE_LIMITS = {
+    windowMs: 60000,
+    message: 'errors.rate_limit_exceeded_api_key'
+};
+
+/**
+ * Aplica el límite propio de una API key (una sola vez por request)
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @returns {Promise<boolean>} true si se excedió el límite (ya se envió la respuesta 429)
+ */
+const applyApiKeyRateLimit = async (req, res) => {
+    const { clientId, rateLimitPerMinute: max } = req.user;
+    req.apiKeyRateLimited = true;
+
+    const windowMs = API_KEY_RATE_LIMITS.windowMs;
+    const newCount = await incrWithTTL(`ratelimit:api_key:${clientId}`, Math.ceil(windowMs / 1000));
+    const resetTime = Date.now() + windowMs;
+
+    res.set({
+        'X-ApiKey-RateLimit-Limit': max,
+        'X-ApiKey-RateLimit-Remaining': Math.max(0, max - newCount),
+        'X-ApiKey-RateLimit-Reset': new Date(resetTime).toISOString()
+    });
+
+    if (newCount <= max) return false;
+
+    logger.warn({
+        msg: 'API key rate limit exceeded',
+        clientId,
+        organization: req.user.organizationId,
+        count: newCount,
+        limit: max,
+        path: req.path
+    });
+
+    const retryAfterSeconds = Math.ceil(windowMs / 1000);
+    res.set('Retry-After', retryAfterSeconds);
+
+    res.status(429).json({
+        ok: false,
+        error: {
+            code: 'API_KEY_RATE_LIMIT_EXCEEDED',
+            message: req.t
+                ? req.t(API_KEY_RATE_LIMITS.message)
+                : 'This API key has exceeded its request limit. Please try again shortly.',
+            params: {
+                limit: max,
+                window: `${windowMs / 1000}s`,
+                reset: new Date(resetTime).toISOString(),
+                retry_after: retryAfterSeconds
+            }
+        }
+    });
+    return true;
+};
+
 /**
  * Middleware de rate limiting por organización
  * Limita el total de requests que una organización puede hacer por ventana de tiempo
  * Se aplica DESPUÉS de enforceActiveOrganization (necesita req.organizationContext)
  * 
+ * Para requests con API key aplica además el límite propio de la key. authenticate ya lo
+ * aplica al validar la key; req.apiKeyRateLimited evita contarlo dos veces.
+ * 
  * @param {Object} options - Opciones de configuración
  * @param {number} [options.max] - Máximo de requests por ventana (default: 600/min)
  * @param {number} [options.windowMs] - Ventana en ms (default: 60000)
@@ -228,6 +292,10 @@ export const orgRateLimitMiddleware = (options = {}) => {
     
     return async (req, res, next) => {
         try {
+            if (req.user?.tokenType === 'api_key' && !req.apiKeyRateLimited) {
+                if (await applyApiKeyRateLimit(req, res)) return;
+            }
+
             const orgContext = req.organizationContext;
             
             // Sin contexto de org o admin global sin org activa → no aplicar
@@ -299,5 +367,6 @@ export const orgRateLimitMiddleware = (options = {}) => {
  */
 export const RATE_LIMIT_CONFIG = RATE_LIMITS;
 export const ORG_RATE_LIMIT_CONFIG = ORG_RATE_LIMITS;
+export const API_KEY_RATE_LIMIT_CONFIG = API_KEY_RATE_LIMITS;
 
 export default rateLimitMiddleware;
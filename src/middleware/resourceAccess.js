@@ -0,0 +1,85 @@
+// middleware/resourceAccess.js
+// Middlewares para aplicar los grants de la jerarquía de recursos (UserResourceAccess)
+// a channels, devices y sites: scope para filtrar listados y verificación por recurso
+
+import * as rolesServices from '../modules/roles/services.js';
+import { getAccessScope, canAccessResource } from '../modules/resource-hierarchy/accessScope.js';
+import { errorResponse } from '../utils/response.js';
+import logger from '../utils/logger.js';
+
+const accessLogger = logger.child({ component: 'resourceAccess' });
+
+/**
+ * Resuelve el scope de acceso del usuario del request en una organización
+ * Reutiliza req.user.permissions si requirePermission ya lo resolvió
+ *
+ * @param {Object} req - Express request (autenticado)
+ * @param {string|null} organizationId - UUID de la organización
+ * @returns {Promise<Object|null>} Scope o null si el usuario no está restringido
+ */
+export const resolveRequestAccessScope = async (req, organizationId) => {
+    const user = req.user;
+
+    if (!user.permissions && user.role !== 'system-admin' && user.tokenType !== 'api_key') {
+        user.permissions = await rolesServices.getUserPermissions(user);
+    }
+
+    return await getAccessScope({
+        userId: user.userId,
+        role: user.role,
+        tokenType: user.tokenType,
+        permissions: user.permissions,
+        organizationId
+    });
+};
+
+/**
+ * Middleware que deja en req.resourceAccess el scope de la organización activa
+ * Debe usarse DESPUÉS de enforceActiveOrganization; null = sin restricción
+ *
+ * @returns {Function} - Middleware de Express
+ */
+export const attachResourceAccess = async (req, res, next) => {
+    try {
+        req.resourceAccess = await resolveRequestAccessScope(req, req.organizationContext?.id ?? null);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Middleware para requerir acceso de la jerarquía sobre el recurso del request
+ * Debe usarse DESPUÉS de validateResourceOwnership (usa req.resource y req.resourceOrgId)
+ *
+ * @param {'channel'|'device'|'site'} resourceType - Tipo de recurso
+ * @param {string} [requiredAccess='view'] - view | edit | admin
+ * @returns {Function} - Middleware de Express
+ */
+export const requireResourceAccess = (resourceType, requiredAccess = 'view') => async (req, res, next) => {
+    try {
+        const scope = await resolveRequestAccessScope(req, req.resourceOrgId);
+
+        if (!canAccessResource(scope, resourceType, req.resource.publicCode, requiredAccess)) {
+            accessLogger.warn({
+                userId: req.user.userId,
+                resourceType,
+                resourceId: req.resource.publicCode,
+                requiredAccess
+            }, 'User attempted to access resource outside granted hierarchy nodes');
+
+            return errorResponse(res, {
+                message: 'auth.resource_access.denied',
+                status: 403,
+                code: `${resourceType.toUpperCase()}_ACCESS_DENIED`,
+                details: { required: requiredAccess }
+            });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default requireResourceAccess;
@@ -8,6 +8,137 @@ import logger from '../utils/logger.js';
 
 const ownershipLogger = logger.child({ component: 'validateResourceOwnership' });
 
+/**
+ * Verifica que el usuario puede acceder a un recurso específico (sin depender de req/res)
+ * Usado por el middleware y por las operaciones masivas, que validan cada item por separado.
+ *
+ * @param {Object} user - req.user autenticado
+ * @param {string} resourceId - UUID o public_code del recurso
+ * @param {Object} options - Ver validateResourceOwnership
+ * @returns {Promise<{resource: Object, resourceOrgId: string}|{error: {message: string, status: number, code: string}}>}
+ */
+export const checkResourceOwnership = async (user, resourceId, options) => {
+    const {
+        findById,
+        findByPublicCode,
+        resourceName,
+        checkSoftDelete = true
+    } = options;
+
+    // Detectar si es UUID o public_code
+    const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(resourceId);
+
+    let resource = null;
+
+    if (isUuid) {
+        // Buscar por UUID
+        resource = await findById(resourceId);
+    } else if (findByPublicCode) {
+        // Buscar por public_code
+        resource = await findByPublicCode(resourceId);
+    } else {
+        // Solo soporta UUID
+        return {
+            error: {
+                message: `errors.${resourceName}.invalid_id`,
+                status: 400,
+                code: 'INVALID_ID_FORMAT'
+            }
+        };
+    }
+
+    // Error 404: Recurso no existe
+    if (!resource) {
+        ownershipLogger.debug({
+            userId: user.userId,
+            resourceId,
+            resourceName
+        }, 'Resource not found');
+
+        return {
+            error: {
+                message: `errors.${resourceName}.not_found`,
+                status: 404,
+                code: `${resourceName.toUpperCase()}_NOT_FOUND`
+            }
+        };
+    }
+
+    // Error 404: Recurso soft-deleted
+    if (checkSoftDelete && resource.deletedAt) {
+        ownershipLogger.debug({
+            userId: user.userId,
+            resourceId,
+            resourceName,
+            deletedAt: resource.deletedAt
+        }, 'Resource is soft-deleted');
+
+        return {
+            error: {
+                message: `errors.${resourceName}.not_found`,
+                status: 404,
+                code: `${resourceName.toUpperCase()}_NOT_FOUND`
+            }
+        };
+    }
+
+    // Verificar que el recurso tiene organizationId
+    const resourceOrgId = resource.organizationId;
+
+    if (!resourceOrgId) {
+        // Recurso sin organización (error de datos)
+        ownershipLogger.error({
+            userId: user.userId,
+            resourceId,
+            resourceName
+        }, 'Resource has no organization_id - data integrity issue');
+
+        return {
+            error: {
+                message: 'errors.internal',
+                status: 500,
+                code: 'DATA_INTEGRITY_ERROR'
+            }
+        };
+    }
+
+    // Verificar que el usuario puede acceder a la organización del recurso
+    const hasAccess = await canAccessOrganization(
+        user.userId,
+        resourceOrgId,
+        user.role
+    );
+
+    // Error 403: Usuario no tiene acceso a la organización del recurso
+    if (!hasAccess) {
+        ownershipLogger.warn({
+            userId: user.userId,
+            role: user.role,
+            resourceId,
+            resourceName,
+            resourceOrgId,
+            userActiveOrgCode: user.activeOrgCode
+        }, 'User attempted to access resource from unauthorized organization');
+
+        return {
+            error: {
+                message: `auth.${resourceName}.access_denied`,
+                status: 403,
+                code: `${resourceName.toUpperCase()}_ACCESS_DENIED`
+            }
+        };
+    }
+
+    ownershipLogger.debug({
+        userId: user.userId,
+        resourceId,
+        resourceName,
+        resourceOrgId
+    }, 'Resource ownership validated successfully');
+
+    return { resource, resourceOrgId };
+};
+
 /**
  * Crea un middleware para validar que el usuario puede acceder a un recurso específico
  * 
@@ -26,13 +157,7 @@ const ownershipLogger = logger.child({ component: 'validateResourceOwnership' })
  * @returns {Function} - Middleware de Express
  */
 export const validateResourceOwnership = (options) => {
-    const {
-        findById,
-        findByPublicCode,
-        resourceName,
-        paramName = 'id',
-        checkSoftDelete = true
-    } = options;
+    const { resourceName, paramName = 'id' } = options;
 
     return async (req, res, next) => {
         try {
@@ -57,111 +182,16 @@ export const validateResourceOwnership = (options) => {
                 });
             }
 
-            // Detectar si es UUID o public_code
-            const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(resourceId);
-
-            let resource = null;
+            const { resource, resourceOrgId, error } = await checkResourceOwnership(user, resourceId, options);
 
-            if (isUuid) {
-                // Buscar por UUID
-                resource = await findById(resourceId);
-            } else if (findByPublicCode) {
-                // Buscar por public_code
-                resource = await findByPublicCode(resourceId);
-            } else {
-                // Solo soporta UUID
-                return errorResponse(res, {
-                    message: `errors.${resourceName}.invalid_id`,
-                    status: 400,
-                    code: 'INVALID_ID_FORMAT'
-                });
-            }
-
-            // Error 404: Recurso no existe
-            if (!resource) {
-                ownershipLogger.debug({
-                    userId: user.userId,
-                    resourceId,
-                    resourceName
-                }, 'Resource not found');
-
-                return errorResponse(res, {
-                    message: `errors.${resourceName}.not_found`,
-                    status: 404,
-                    code: `${resourceName.toUpperCase()}_NOT_FOUND`
-                });
-            }
-
-            // Error 404: Recurso soft-deleted
-            if (checkSoftDelete && resource.deletedAt) {
-                ownershipLogger.debug({
-                    userId: user.userId,
-                    resourceId,
-                    resourceName,
-                    deletedAt: resource.deletedAt
-                }, 'Resource is soft-deleted');
-
-                return errorResponse(res, {
-                    message: `errors.${resourceName}.not_found`,
-                    status: 404,
-                    code: `${resourceName.toUpperCase()}_NOT_FOUND`
-                });
-            }
-
-            // Verificar que el recurso tiene organizationId
-            const resourceOrgId = resource.organizationId;
-
-            if (!resourceOrgId) {
-                // Recurso sin organización (error de datos)
-                ownershipLogger.error({
-                    userId: user.userId,
-                    resourceId,
-                    resourceName
-                }, 'Resource has no organization_id - data integrity issue');
-
-                return errorResponse(res, {
-                    message: 'errors.internal',
-                    status: 500,
-                    code: 'DATA_INTEGRITY_ERROR'
-                });
-            }
-
-            // Verificar que el usuario puede acceder a la organización del recurso
-            const hasAccess = await canAccessOrganization(
-                user.userId,
-                resourceOrgId,
-                user.role
-            );
-
-            // Error 403: Usuario no tiene acceso a la organización del recurso
-            if (!hasAccess) {
-                ownershipLogger.warn({
-                    userId: user.userId,
-                    role: user.role,
-                    resourceId,
-                    resourceName,
-                    resourceOrgId,
-                    userActiveOrgCode: user.activeOrgCode
-                }, 'User attempted to access resource from unauthorized organization');
-
-                return errorResponse(res, {
-                    message: `auth.${resourceName}.access_denied`,
-                    status: 403,
-                    code: `${resourceName.toUpperCase()}_ACCESS_DENIED`
-                });
+            if (error) {
+                return errorResponse(res, error);
             }
 
             // Usuario tiene acceso, adjuntar recurso a request
             req.resource = resource;
             req.resourceOrgId = resourceOrgId;
 
-            ownershipLogger.debug({
-                userId: user.userId,
-                resourceId,
-                resourceName,
-                resourceOrgId
-            }, 'Resource ownership validated successfully');
-
             next();
         } catch (error) {
             ownershipLogger.error({ err: error, resourceName }, 'Error validating resource ownership');
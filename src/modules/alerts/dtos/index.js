@@ -0,0 +1,114 @@
+import { z } from 'zod';
+
+const targetTypeSchema = z.enum(['channel', 'device', 'site', 'hierarchy_node']);
+const conditionTypeSchema = z.enum(['threshold', 'rate_of_change', 'no_data', 'outside_schedule']);
+const severitySchema = z.enum(['info', 'warning', 'critical']);
+const operatorSchema = z.enum(['gt', 'gte', 'lt', 'lte']);
+const alertStatusSchema = z.enum(['open', 'acknowledged', 'resolved']);
+
+/**
+ * Parámetros de la condición según su tipo (ver helpers/conditions.js)
+ */
+export const conditionParamsSchemas = {
+    threshold: z.object({
+        operator: operatorSchema,
+        value:    z.number()
+    }).strict(),
+    rate_of_change: z.object({
+        delta:         z.number().positive(),
+        windowMinutes: z.number().int().min(1).max(1440),
+        direction:     z.enum(['up', 'down', 'any']).default('any')
+    }).strict(),
+    no_data: z.object({
+        minutes: z.number().int().min(1).max(10080)
+    }).strict(),
+    outside_schedule: z.object({
+        scheduleId: z.string().min(1).optional(),
+        operator:   operatorSchema.optional(),
+        value:      z.number().optional()
+    }).strict()
+};
+
+// Agrega los issues de params al path body.params
+const refineParams = (conditionType, params, ctx) => {
+    const result = conditionParamsSchemas[conditionType].safeParse(params ?? {});
+    if (!result.success) {
+        for (const issue of result.error.issues) {
+            ctx.addIssue({ ...issue, path: ['params', ...issue.path] });
+        }
+    }
+};
+
+export const createAlertRuleSchema = z.object({
+    body: z.object({
+        name:          z.string().min(1).max(200),
+        description:   z.string().max(2000).nullable().optional(),
+        targetType:    targetTypeSchema,
+        targetId:      z.string().min(1),
+        variableId:    z.number().int().positive().nullable().optional(),
+        conditionType: conditionTypeSchema,
+        params:        z.record(z.unknown()).default({}),
+        severity:      severitySchema.default('warning'),
+        autoResolve:   z.boolean().default(true),
+        isEnabled:     z.boolean().default(true)
+    }).superRefine((body, ctx) => refineParams(body.conditionType, body.params, ctx))
+        .transform(body => ({
+            ...body,
+            params: conditionParamsSchemas[body.conditionType].parse(body.params)
+        }))
+});
+
+export const updateAlertRuleSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    // Target y conditionType son inmutables; params se valida contra el tipo de la regla en el service
+    body: z.object({
+        name:        z.string().min(1).max(200).optional(),
+        description: z.string().max(2000).nullable().optional(),
+        variableId:  z.number().int().positive().nullable().optional(),
+        params:      z.record(z.unknown()).optional(),
+        severity:    severitySchema.optional(),
+        autoResolve: z.boolean().optional(),
+        isEnabled:   z.boolean().optional()
+    }).refine(body => Object.keys(body).length > 0, { message: 'Debe enviar al menos un campo' })
+});
+
+export const getAlertRuleSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    })
+});
+
+export const listAlertRulesSchema = z.object({
+    query: z.object({
+        targetType:    targetTypeSchema.optional(),
+        conditionType: conditionTypeSchema.optional(),
+        isEnabled:     z.enum(['true', 'false']).transform(v => v === 'true').optional(),
+        limit:         z.coerce.number().int().min(1).max(100).default(20),
+        offset:        z.coerce.number().int().min(0).default(0)
+    }).optional()
+});
+
+export const getAlertSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    })
+});
+
+export const listAlertsSchema = z.object({
+    query: z.object({
+        // status acepta lista separada por comas: ?status=open,acknowledged
+        status:    z.string()
+            .transform(v => v.split(',').map(s => s.trim()).filter(Boolean))
+            .pipe(z.array(alertStatusSchema).min(1))
+            .optional(),
+        severity:  severitySchema.optional(),
+        ruleId:    z.string().min(1).optional(),
+        channelId: z.string().min(1).optional(),
+        from:      z.string().datetime({ offset: true }).optional(),
+        to:        z.string().datetime({ offset: true }).optional(),
+        limit:     z.coerce.number().int().min(1).max(200).default(50),
+        offset:    z.coerce.number().int().min(0).default(0)
+    }).optional()
+});
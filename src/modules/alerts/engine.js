@@ -0,0 +1,406 @@
+// modules/alerts/engine.js
+// Motor de evaluación de reglas de alerta
+//
+// Dos fuentes de muestras:
+// 1) Stream MQTT: callback registrado en el cliente MQTT; cada item de rtdata se cruza con
+//    los bindings regla×canal del device (canal por uid, variable por mqtt_key).
+// 2) Chequeo periódico: último dato de Cassandra por canal (cubre equipos que no publican
+//    en tiempo real) y evaluación de no_data.
+//
+// El índice de bindings se reconstruye cada `config.alerts.refreshInterval` segundos o
+// cuando la API modifica reglas (requestAlertEngineRefresh).
+
+import { config } from '../../config/env.js';
+import { hasCredentials } from '../../db/cassandra/client.js';
+import { subscribeToDevice, unsubscribeFromDevice, onMessage, removeMessageCallback } from '../realtime/mqtt/client.js';
+import { extractChannelFromUid } from '../realtime/helpers/mqttPayload.js';
+import { getLatest } from '../telemetry/services/telemetryService.js';
+import { getScheduleEvaluator, resolveEffectiveSchedule } from '../schedules/services.js';
+import { SEGMENT_TYPES } from '../schedules/helpers/evaluator.js';
+import * as repository from './repository.js';
+import { openAlert, autoResolveAlert } from './services.js';
+import { CONDITION_TYPES, evaluateCondition, pushHistory } from './helpers/conditions.js';
+import { dayjs } from '../../utils/dateUtils.js';
+import { schedulerLogger } from '../../utils/logger.js';
+
+const MQTT_CALLBACK_ID = 'alerts-engine';
+const REFRESH_DEBOUNCE_MS = 1000;
+
+// Estado en memoria del motor
+let rulesById = new Map();          // ruleId → AlertRule
+let bindings = [];                  // [{ key, ruleId, channelId, channelCode, ... }]
+let bindingsByDevice = new Map();   // deviceUuid → Map<ch, binding[]>
+const activeAlerts = new Map();     // bindingKey → alertId
+const lastSamples = new Map();      // bindingKey → { ts, value }
+const histories = new Map();        // bindingKey → [{ ts, value }] (rate_of_change)
+const firstSeen = new Map();        // bindingKey → ms desde que el binding está indexado (no_data)
+const scheduleEvaluators = new Map(); // bindingKey → evaluador | null (outside_schedule)
+const inFlight = new Set();         // bindingKeys con evaluación en curso
+const pendingSamples = new Map();   // bindingKey → [{ sample, source }] llegadas durante una evaluación
+let subscribedDevices = new Set();
+
+let running = false;
+let refreshPromise = null;
+let refreshTimer = null;
+let checking = false;
+
+const bindingKey = (ruleId, channelId) => `${ruleId}:${channelId}`;
+
+// El ts de rtdata puede venir en segundos, milisegundos o ISO
+const toMillis = (ts) => {
+    if (ts === undefined || ts === null) return Date.now();
+    if (typeof ts === 'number') return ts < 1e12 ? ts * 1000 : ts;
+    const parsed = new Date(ts).getTime();
+    return Number.isNaN(parsed) ? Date.now() : parsed;
+};
+
+/**
+ * Reconstruye el índice de bindings, las alertas activas y las suscripciones MQTT
+ */
+const refresh = async () => {
+    const rows = await repository.findRuleBindings();
+    const ruleIds = [...new Set(rows.map(r => r.rule_id))];
+    const rules = await repository.findEnabledRulesByIds(ruleIds);
+    rulesById = new Map(rules.map(r => [r.id, r]));
+
+    const nextBindings = [];
+    const nextByDevice = new Map();
+    const now = Date.now();
+
+    for (const row of rows) {
+        if (!rulesById.has(row.rule_id)) continue;
+
+        const binding = {
+            key: bindingKey(row.rule_id, row.channel_id),
+            ruleId: row.rule_id,
+            channelId: row.channel_id,
+            channelCode: row.channel_code,
+            channelName: row.channel_name,
+            ch: row.ch,
+            deviceUuid: row.device_uuid,
+            timezone: row.device_timezone,
+            variableId: row.variable_id,
+            mqttKey: row.mqtt_key
+        };
+        nextBindings.push(binding);
+        if (!firstSeen.has(binding.key)) firstSeen.set(binding.key, now);
+
+        if (!binding.deviceUuid || typeof binding.ch !== 'number') continue;
+        if (!nextByDevice.has(binding.deviceUuid)) nextByDevice.set(binding.deviceUuid, new Map());
+        const byCh = nextByDevice.get(binding.deviceUuid);
+        if (!byCh.has(binding.ch)) byCh.set(binding.ch, []);
+        byCh.get(binding.ch).push(binding);
+    }
+
+    // Descartar estado de bindings que ya no existen
+    const liveKeys = new Set(nextBindings.map(b => b.key));
+    for (const state of [lastSamples, histories, firstSeen]) {
+        for (const key of state.keys()) {
+            if (!liveKeys.has(key)) state.delete(key);
+        }
+    }
+    // Los schedules efectivos pueden haber cambiado: se resuelven de nuevo bajo demanda
+    scheduleEvaluators.clear();
+
+    const active = await repository.findActiveAlertKeys();
+    activeAlerts.clear();
+    for (const alert of active) {
+        activeAlerts.set(bindingKey(alert.ruleId, alert.channelId), alert.id);
+    }
+
+    // Diff de suscripciones MQTT (el cliente lleva ref count compartido con dashboards)
+    const nextDevices = new Set(nextByDevice.keys());
+    for (const uuid of nextDevices) {
+        if (!subscribedDevices.has(uuid)) subscribeToDevice(uuid);
+    }
+    for (const uuid of subscribedDevices) {
+        if (!nextDevices.has(uuid)) unsubscribeFromDevice(uuid);
+    }
+    subscribedDevices = nextDevices;
+
+    bindings = nextBindings;
+    bindingsByDevice = nextByDevice;
+
+    schedulerLogger.debug({ rules: rulesById.size, bindings: bindings.length, devices: subscribedDevices.size }, 'Alertas: índice de reglas actualizado');
+};
+
+const runRefresh = () => {
+    if (!refreshPromise) {
+        refreshPromise = refresh()
+            .catch(error => schedulerLogger.error(error, '❌ Alertas: error recargando reglas'))
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
+/**
+ * Solicita recargar el índice de reglas (tras crear/editar/eliminar reglas o resolver alertas).
+ * Agrupa solicitudes cercanas; no hace nada si el motor no está corriendo.
+ */
+export const requestAlertEngineRefresh = () => {
+    if (!running || refreshTimer) return;
+    refreshTimer = setTimeout(() => {
+        refreshTimer = null;
+        runRefresh();
+    }, REFRESH_DEBOUNCE_MS);
+};
+
+/**
+ * Resuelve si un instante cae dentro del horario para una regla outside_schedule.
+ * Usa el schedule explícito de la regla o, si no tiene, el schedule efectivo del canal.
+ *
+ * @returns {Promise<boolean|null>} null si el canal no tiene schedule aplicable
+ */
+const isInHours = async (rule, binding, ts) => {
+    if (!scheduleEvaluators.has(binding.key)) {
+        let evaluator = null;
+        try {
+            let scheduleCode = rule.params?.scheduleId ?? null;
+            if (!scheduleCode) {
+                const effective = await resolveEffectiveSchedule('channel', binding.channelCode, { organizationId: rule.organizationId });
+                scheduleCode = effective.schedule?.id ?? null;
+            }
+            if (scheduleCode) {
+                evaluator = await getScheduleEvaluator(scheduleCode, { organizationId: rule.organizationId });
+            }
+        } catch (error) {
+            schedulerLogger.warn({ err: error, ruleId: rule.publicCode, channelId: binding.channelCode }, 'Alertas: no se pudo resolver el schedule');
+        }
+        scheduleEvaluators.set(binding.key, evaluator);
+    }
+
+    const evaluator = scheduleEvaluators.get(binding.key);
+    if (!evaluator) return null;
+    return evaluator.evaluate(dayjs(ts).tz(binding.timezone)).type !== SEGMENT_TYPES.OUT_OF_HOURS;
+};
+
+/**
+ * Abre o resuelve la alerta del binding según el resultado de la evaluación
+ */
+const applyEvaluation = async (rule, binding, evaluation, ts, source) => {
+    if (evaluation.triggered === null) return;
+
+    const activeId = activeAlerts.get(binding.key);
+
+    if (evaluation.triggered && !activeId) {
+        const alert = await openAlert(rule, binding, evaluation, { ts, source });
+        if (alert) activeAlerts.set(binding.key, alert.id);
+    } else if (!evaluation.triggered && activeId && rule.autoResolve) {
+        await autoResolveAlert(activeId, ts);
+        activeAlerts.delete(binding.key);
+    }
+};
+
+/**
+ * Evalúa una muestra contra la regla vigente del binding
+ *
+ * @param {Object} binding
+ * @param {{ ts: number, value: number|null }} sample
+ * @param {string} source - mqtt | periodic
+ */
+const evaluateSample = async (binding, sample, source) => {
+    const rule = rulesById.get(binding.ruleId);
+    if (!rule) return;
+
+    const context = { sample, now: Date.now() };
+
+    if (rule.conditionType === CONDITION_TYPES.RATE_OF_CHANGE && sample.value !== null) {
+        const history = pushHistory(histories.get(binding.key) || [], sample, rule.params.windowMinutes);
+        histories.set(binding.key, history);
+        context.history = history;
+    }
+
+    if (rule.conditionType === CONDITION_TYPES.OUTSIDE_SCHEDULE) {
+        context.inHours = await isInHours(rule, binding, sample.ts);
+    }
+
+    await applyEvaluation(rule, binding, evaluateCondition(rule, context), sample.ts, source);
+};
+
+/**
+ * Ejecuta `task` con el binding reservado (evita aperturas duplicadas si llegan dos
+ * muestras del mismo binding en paralelo) y después evalúa, en orden, las muestras
+ * que quedaron encoladas mientras tanto.
+ *
+ * @param {Object} binding
+ * @param {Function} task
+ */
+const runExclusive = async (binding, task) => {
+    inFlight.add(binding.key);
+
+    try {
+        await task();
+
+        let queued;
+        while ((queued = pendingSamples.get(binding.key)?.shift())) {
+            await evaluateSample(binding, queued.sample, queued.source);
+        }
+    } finally {
+        pendingSamples.delete(binding.key);
+        inFlight.delete(binding.key);
+    }
+};
+
+/**
+ * Procesa una muestra nueva de un binding. Ignora muestras ya vistas
+ * (el mismo dato puede llegar por MQTT y luego por el chequeo periódico).
+ * Si el binding se está evaluando, la muestra se encola y la evalúa quien lo tiene reservado.
+ *
+ * @param {Object} binding
+ * @param {{ ts: number, value: number|null }} sample
+ * @param {string} source - mqtt | periodic
+ */
+const handleSample = async (binding, sample, source) => {
+    if (!rulesById.has(binding.ruleId)) return;
+
+    const previous = lastSamples.get(binding.key);
+    if (previous && sample.ts <= previous.ts) return;
+    lastSamples.set(binding.key, sample);
+
+    if (inFlight.has(binding.key)) {
+        if (!pendingSamples.has(binding.key)) pendingSamples.set(binding.key, []);
+        pendingSamples.get(binding.key).push({ sample, source });
+        return;
+    }
+
+    await runExclusive(binding, () => evaluateSample(binding, sample, source));
+};
+
+/**
+ * Callback MQTT: cruza cada item de rtdata con los bindings del device
+ */
+const processMqttMessage = ({ deviceUuid, payload }) => {
+    const byCh = bindingsByDevice.get(deviceUuid);
+    if (!byCh) return;
+
+    let parsedPayload;
+    try {
+        parsedPayload = JSON.parse(payload);
+    } catch {
+        return;
+    }
+
+    const rtdata = parsedPayload.rtdata;
+    if (!Array.isArray(rtdata) || rtdata.length === 0) return;
+
+    for (const dataItem of rtdata) {
+        const channelNumber = extractChannelFromUid(dataItem.uid) ?? dataItem.canal;
+        if (channelNumber == null) continue;
+
+        const matching = byCh.get(channelNumber);
+        if (!matching) continue;
+
+        const ts = toMillis(dataItem.ts);
+
+        for (const binding of matching) {
+            let value = null;
+            if (binding.mqttKey) {
+                const raw = dataItem[binding.mqttKey];
+                if (raw === undefined || raw === null) continue;
+                value = Number(raw);
+                if (Number.isNaN(value)) continue;
+            }
+
+            handleSample(binding, { ts, value }, 'mqtt')
+                .catch(error => schedulerLogger.error({ err: error, ruleId: binding.ruleId, channelId: binding.channelCode }, 'Alertas: error evaluando muestra MQTT'));
+        }
+    }
+};
+
+/**
+ * Chequeo periódico:
+ * - último dato de Cassandra por canal (si hay credenciales)
+ * - no_data contra la última muestra conocida del binding
+ */
+const runPeriodicCheck = async () => {
+    if (checking) return;
+    checking = true;
+
+    try {
+        if (hasCredentials()) {
+            const byChannel = new Map();
+            for (const binding of bindings) {
+                if (!byChannel.has(binding.channelCode)) byChannel.set(binding.channelCode, []);
+                byChannel.get(binding.channelCode).push(binding);
+            }
+
+            for (const [channelCode, channelBindings] of byChannel) {
+                let latest;
+                try {
+                    latest = await getLatest(channelCode);
+                } catch (error) {
+                    schedulerLogger.warn({ err: error, channelId: channelCode }, 'Alertas: no se pudo leer el último dato del canal');
+                    continue;
+                }
+                if (!latest?.data) continue;
+
+                const ts = new Date(latest.data.ts).getTime();
+                for (const binding of channelBindings) {
+                    const value = binding.variableId ? (latest.data.values[String(binding.variableId)] ?? null) : null;
+                    if (binding.variableId && value === null) continue;
+                    await handleSample(binding, { ts, value }, 'periodic');
+                }
+            }
+        }
+
+        const now = Date.now();
+        for (const binding of bindings) {
+            const rule = rulesById.get(binding.ruleId);
+            if (rule?.conditionType !== CONDITION_TYPES.NO_DATA || inFlight.has(binding.key)) continue;
+
+            // Sin muestras desde que el binding se indexó: contar el silencio desde ese momento
+            const sample = lastSamples.get(binding.key) ?? { ts: firstSeen.get(binding.key) ?? now, value: null };
+            const evaluation = evaluateCondition(rule, { sample, now });
+            if (!lastSamples.has(binding.key)) evaluation.observed.lastSampleAt = null;
+
+            // no_data se resuelve en handleSample; aquí solo puede disparar
+            if (evaluation.triggered) {
+                await runExclusive(binding, () => applyEvaluation(rule, binding, evaluation, now, 'periodic'));
+            }
+        }
+    } catch (error) {
+        schedulerLogger.error(error, '❌ Alertas: error en chequeo periódico');
+    } finally {
+        checking = false;
+    }
+};
+
+/**
+ * Inicia el motor de alertas
+ * @returns {Function|null} Función para detener el motor (null si está deshabilitado)
+ */
+export const startAlertEngine = () => {
+    if (!config.alerts.enabled) {
+        schedulerLogger.info('⏸️  Motor de alertas deshabilitado (ALERTS_ENGINE_ENABLED=false)');
+        return null;
+    }
+
+    running = true;
+    onMessage(MQTT_CALLBACK_ID, processMqttMessage);
+
+    runRefresh().then(() => runPeriodicCheck());
+
+    const refreshInterval = setInterval(runRefresh, config.alerts.refreshInterval * 1000);
+    const checkInterval = setInterval(() => {
+        runPeriodicCheck();
+    }, config.alerts.checkInterval * 1000);
+
+    schedulerLogger.info(`⏰ Motor de alertas iniciado (chequeo cada ${config.alerts.checkInterval}s)`);
+
+    // Retornar función para detener el motor
+    return () => {
+        running = false;
+        clearInterval(refreshInterval);
+        clearInterval(checkInterval);
+        if (refreshTimer) {
+            clearTimeout(refreshTimer);
+            refreshTimer = null;
+        }
+        removeMessageCallback(MQTT_CALLBACK_ID);
+        for (const uuid of subscribedDevices) unsubscribeFromDevice(uuid);
+        subscribedDevices = new Set();
+        schedulerLogger.info('🛑 Motor de alertas detenido');
+    };
+};
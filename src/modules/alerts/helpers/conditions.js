@@ -0,0 +1,112 @@
+// helpers/conditions.js
+// Evaluación pura de condiciones de alerta (sin acceso a DB ni a Redis)
+
+/**
+ * Tipos de condición soportados y sus parámetros (`rule.params`):
+ * - threshold:        { operator: gt|gte|lt|lte, value }
+ * - rate_of_change:   { delta, windowMinutes, direction: up|down|any }
+ *                     dispara si la variable cambia al menos `delta` dentro de la ventana
+ * - no_data:          { minutes } — sin muestras del canal durante N minutos
+ * - outside_schedule: { scheduleId?, operator?, value? } — valor fuera del horario del schedule
+ *                     (sin scheduleId se usa el schedule efectivo del canal; sin operator: gt 0)
+ */
+export const CONDITION_TYPES = {
+    THRESHOLD: 'threshold',
+    RATE_OF_CHANGE: 'rate_of_change',
+    NO_DATA: 'no_data',
+    OUTSIDE_SCHEDULE: 'outside_schedule'
+};
+
+export const OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+/**
+ * Compara un valor contra un umbral
+ * @param {number} value
+ * @param {string} operator - gt | gte | lt | lte
+ * @param {number} threshold
+ * @returns {boolean}
+ */
+export const compare = (value, operator, threshold) => {
+    switch (operator) {
+    case 'gt': return value > threshold;
+    case 'gte': return value >= threshold;
+    case 'lt': return value < threshold;
+    case 'lte': return value <= threshold;
+    default: return false;
+    }
+};
+
+/**
+ * Recorta el historial de muestras a la ventana de la regla y agrega la nueva.
+ * Solo se usa en rate_of_change.
+ *
+ * @param {Array<{ts: number, value: number}>} history - Muestras previas (ms, ordenadas)
+ * @param {{ts: number, value: number}} sample
+ * @param {number} windowMinutes
+ * @returns {Array<{ts: number, value: number}>} Nuevo historial
+ */
+export const pushHistory = (history, sample, windowMinutes) => {
+    const windowStart = sample.ts - windowMinutes * 60_000;
+    return [...history.filter(h => h.ts >= windowStart && h.ts < sample.ts), sample];
+};
+
+/**
+ * Evalúa una condición contra una muestra.
+ *
+ * Devuelve `triggered: null` cuando la condición no puede evaluarse (ej: rate_of_change sin
+ * historial suficiente): en ese caso el motor no dispara ni resuelve.
+ *
+ * @param {Object} rule - { conditionType, params }
+ * @param {Object} context
+ * @param {{ts: number, value: number|null}|null} context.sample - Última muestra (ts en ms)
+ * @param {Array<{ts: number, value: number}>} [context.history] - Ventana (rate_of_change, incluye la muestra)
+ * @param {number} [context.now] - Instante de evaluación en ms (no_data)
+ * @param {boolean|null} [context.inHours] - Si la muestra cae dentro del horario (outside_schedule)
+ * @returns {{ triggered: boolean|null, value: number|null, observed?: Object }}
+ */
+export const evaluateCondition = (rule, { sample, history = [], now = Date.now(), inHours = null }) => {
+    const params = rule.params || {};
+    const value = sample?.value ?? null;
+
+    switch (rule.conditionType) {
+    case CONDITION_TYPES.THRESHOLD: {
+        if (value === null) return { triggered: null, value };
+        return { triggered: compare(value, params.operator, params.value), value };
+    }
+
+    case CONDITION_TYPES.RATE_OF_CHANGE: {
+        if (value === null || history.length < 2) return { triggered: null, value };
+        const oldest = history[0];
+        const change = value - oldest.value;
+        const direction = params.direction || 'any';
+        const matchesDirection = direction === 'any'
+                || (direction === 'up' && change > 0)
+                || (direction === 'down' && change < 0);
+        return {
+            triggered: matchesDirection && Math.abs(change) >= params.delta,
+            value,
+            observed: { change, since: new Date(oldest.ts).toISOString() }
+        };
+    }
+
+    case CONDITION_TYPES.NO_DATA: {
+        const silentMs = sample ? now - sample.ts : Infinity;
+        return {
+            triggered: silentMs > params.minutes * 60_000,
+            value: null,
+            observed: { lastSampleAt: sample ? new Date(sample.ts).toISOString() : null }
+        };
+    }
+
+    case CONDITION_TYPES.OUTSIDE_SCHEDULE: {
+        if (value === null || inHours === null) return { triggered: null, value };
+        if (inHours) return { triggered: false, value };
+        const operator = params.operator || 'gt';
+        const threshold = params.value ?? 0;
+        return { triggered: compare(value, operator, threshold), value };
+    }
+
+    default:
+        return { triggered: null, value };
+    }
+};
@@ -0,0 +1,93 @@
+// modules/alerts/helpers/conditions.test.js
+// Tests de la evaluación de condiciones de alerta (modules/alerts/helpers/conditions.js)
+
+import { describe, it, expect } from 'vitest';
+import { compare, pushHistory, evaluateCondition, CONDITION_TYPES } from './conditions.js';
+import { extractChannelFromUid } from '../../realtime/helpers/mqttPayload.js';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const MINUTE = 60_000;
+
+describe('compare', () => {
+    it('aplica los operadores soportados', () => {
+        expect(compare(5, 'gt', 5)).toBe(false);
+        expect(compare(5, 'gte', 5)).toBe(true);
+        expect(compare(4, 'lt', 5)).toBe(true);
+        expect(compare(5, 'lte', 5)).toBe(true);
+    });
+
+    it('un operador desconocido nunca dispara', () => {
+        expect(compare(100, 'eq', 100)).toBe(false);
+    });
+});
+
+describe('pushHistory', () => {
+    it('descarta muestras fuera de la ventana y agrega la nueva al final', () => {
+        const history = [
+            { ts: NOW - 20 * MINUTE, value: 1 },
+            { ts: NOW - 5 * MINUTE, value: 2 }
+        ];
+        expect(pushHistory(history, { ts: NOW, value: 3 }, 10)).toEqual([
+            { ts: NOW - 5 * MINUTE, value: 2 },
+            { ts: NOW, value: 3 }
+        ]);
+    });
+});
+
+describe('evaluateCondition', () => {
+    it('threshold: dispara al cruzar y no evalúa sin valor', () => {
+        const rule = { conditionType: CONDITION_TYPES.THRESHOLD, params: { operator: 'gt', value: 80 } };
+        expect(evaluateCondition(rule, { sample: { ts: NOW, value: 81 } }).triggered).toBe(true);
+        expect(evaluateCondition(rule, { sample: { ts: NOW, value: 80 } }).triggered).toBe(false);
+        expect(evaluateCondition(rule, { sample: null }).triggered).toBeNull();
+    });
+
+    it('rate_of_change: respeta delta y dirección, y necesita historial', () => {
+        const rule = { conditionType: CONDITION_TYPES.RATE_OF_CHANGE, params: { delta: 10, windowMinutes: 15, direction: 'down' } };
+        const sample = { ts: NOW, value: 40 };
+        const history = [{ ts: NOW - 10 * MINUTE, value: 55 }, sample];
+
+        const result = evaluateCondition(rule, { sample, history });
+        expect(result.triggered).toBe(true);
+        expect(result.observed.change).toBe(-15);
+
+        expect(evaluateCondition({ ...rule, params: { ...rule.params, direction: 'up' } }, { sample, history }).triggered).toBe(false);
+        expect(evaluateCondition(rule, { sample, history: [sample] }).triggered).toBeNull();
+    });
+
+    it('no_data: dispara tras N minutos sin muestras o sin ninguna muestra', () => {
+        const rule = { conditionType: CONDITION_TYPES.NO_DATA, params: { minutes: 30 } };
+        expect(evaluateCondition(rule, { sample: { ts: NOW - 31 * MINUTE, value: 1 }, now: NOW }).triggered).toBe(true);
+        expect(evaluateCondition(rule, { sample: { ts: NOW - 10 * MINUTE, value: 1 }, now: NOW }).triggered).toBe(false);
+
+        const silent = evaluateCondition(rule, { sample: null, now: NOW });
+        expect(silent.triggered).toBe(true);
+        expect(silent.observed.lastSampleAt).toBeNull();
+    });
+
+    it('outside_schedule: solo dispara fuera de horario (por defecto gt 0)', () => {
+        const rule = { conditionType: CONDITION_TYPES.OUTSIDE_SCHEDULE, params: {} };
+        const sample = { ts: NOW, value: 3 };
+        expect(evaluateCondition(rule, { sample, inHours: false }).triggered).toBe(true);
+        expect(evaluateCondition(rule, { sample, inHours: true }).triggered).toBe(false);
+        expect(evaluateCondition(rule, { sample: { ts: NOW, value: 0 }, inHours: false }).triggered).toBe(false);
+        expect(evaluateCondition(rule, { sample, inHours: null }).triggered).toBeNull();
+    });
+
+    it('un tipo desconocido no se evalúa', () => {
+        expect(evaluateCondition({ conditionType: 'unknown' }, { sample: { ts: NOW, value: 1 } }).triggered).toBeNull();
+    });
+});
+
+describe('extractChannelFromUid', () => {
+    it('toma el canal de los dos últimos bytes del uid', () => {
+        expect(extractChannelFromUid('EC:C3:8A:60:43:CC:00:05')).toBe(5);
+        expect(extractChannelFromUid('EC:C3:8A:60:43:CC:01:00')).toBe(256);
+    });
+
+    it('devuelve null con uids inválidos', () => {
+        expect(extractChannelFromUid(null)).toBeNull();
+        expect(extractChannelFromUid('EC')).toBeNull();
+        expect(extractChannelFromUid('EC:ZZ:05')).toBeNull();
+    });
+});
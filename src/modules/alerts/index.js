@@ -0,0 +1,8 @@
+// modules/alerts/index.js
+// Entry point del módulo Alerts (reglas de alerta sobre telemetría)
+
+import router from './routes.js';
+import { startAlertEngine, requestAlertEngineRefresh } from './engine.js';
+
+export { router as alertsRouter, startAlertEngine, requestAlertEngineRefresh };
+export default router;
@@ -0,0 +1,120 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+/**
+ * Alerta disparada por una regla sobre un canal.
+ * Ciclo de vida: open → acknowledged → resolved (o open → resolved).
+ * Solo puede haber una alerta activa (open/acknowledged) por regla y canal.
+ */
+const Alert = sequelize.define('Alert', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        comment: 'UUID v7 - clave primaria time-ordered'
+    },
+    publicCode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+        comment: 'Código público legible (ej: ALT-4X9-R2T). NUNCA exponer el UUID.'
+    },
+    ruleId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'alert_rules',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a alert_rules - regla que disparó la alerta'
+    },
+    organizationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'FK a organizations (denormalizado para filtrar sin join)'
+    },
+    channelId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'channels',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a channels - canal donde se cumplió la condición'
+    },
+    variableId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Variable evaluada (null en no_data sin variable)'
+    },
+    status: {
+        type: DataTypes.ENUM('open', 'acknowledged', 'resolved'),
+        allowNull: false,
+        defaultValue: 'open'
+    },
+    severity: {
+        type: DataTypes.ENUM('info', 'warning', 'critical'),
+        allowNull: false,
+        comment: 'Severidad de la regla al momento del disparo'
+    },
+    triggeredAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Timestamp de la muestra que disparó la alerta'
+    },
+    value: {
+        type: DataTypes.DOUBLE,
+        allowNull: true,
+        comment: 'Valor que disparó la alerta (null en no_data)'
+    },
+    message: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    details: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Snapshot de la condición evaluada (tipo, parámetros, fuente mqtt/periodic)'
+    },
+    acknowledgedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    acknowledgedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'FK a users'
+    },
+    resolvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    resolvedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'FK a users (null = resuelta automáticamente)'
+    },
+    annotationId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Anotación alert_auto creada al disparar'
+    }
+}, {
+    tableName: 'alerts',
+    timestamps: true,
+    underscored: true,
+    paranoid: false,
+    indexes: [
+        { fields: ['public_code'], unique: true, name: 'alerts_public_code_idx' },
+        { fields: ['organization_id', 'status'], name: 'alerts_organization_status_idx' },
+        { fields: ['rule_id'], name: 'alerts_rule_id_idx' },
+        { fields: ['channel_id', 'triggered_at'], name: 'alerts_channel_triggered_idx' }
+    ],
+    comment: 'Alertas disparadas por reglas de telemetría'
+});
+
+export default Alert;
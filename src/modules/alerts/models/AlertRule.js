@@ -0,0 +1,112 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+/**
+ * Regla de alerta sobre telemetría.
+ * Se define sobre un canal, device, site o nodo de jerarquía; aplica a todos los canales
+ * bajo esa entidad que tengan la variable indicada.
+ */
+const AlertRule = sequelize.define('AlertRule', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        comment: 'UUID v7 - clave primaria time-ordered'
+    },
+    publicCode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+        comment: 'Código público legible (ej: ARL-4X9-R2T). NUNCA exponer el UUID.'
+    },
+    organizationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'organizations',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a organizations - organización dueña de la regla'
+    },
+    name: {
+        type: DataTypes.STRING(200),
+        allowNull: false
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    targetType: {
+        type: DataTypes.ENUM('channel', 'device', 'site', 'hierarchy_node'),
+        allowNull: false,
+        comment: 'Tipo de entidad sobre la que aplica la regla'
+    },
+    targetId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'UUID interno de la entidad (channels.id, devices.id, sites.id o resource_hierarchy.id)'
+    },
+    variableId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'variables',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a variables - variable evaluada (opcional solo en no_data)'
+    },
+    conditionType: {
+        type: DataTypes.ENUM('threshold', 'rate_of_change', 'no_data', 'outside_schedule'),
+        allowNull: false,
+        comment: 'Tipo de condición'
+    },
+    params: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Parámetros de la condición (ver helpers/conditions.js)'
+    },
+    severity: {
+        type: DataTypes.ENUM('info', 'warning', 'critical'),
+        allowNull: false,
+        defaultValue: 'warning'
+    },
+    autoResolve: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Resolver la alerta automáticamente cuando la condición deja de cumplirse'
+    },
+    isEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    createdBy: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'FK a users - creador de la regla (autor de las anotaciones automáticas)'
+    }
+}, {
+    tableName: 'alert_rules',
+    timestamps: true,
+    underscored: true,
+    paranoid: true,
+    indexes: [
+        { fields: ['public_code'], unique: true, name: 'alert_rules_public_code_idx' },
+        { fields: ['organization_id'], name: 'alert_rules_organization_id_idx' },
+        { fields: ['target_type', 'target_id'], name: 'alert_rules_target_idx' }
+    ],
+    comment: 'Reglas de alerta sobre telemetría'
+});
+
+export default AlertRule;
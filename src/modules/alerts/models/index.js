@@ -0,0 +1,35 @@
+/**
+ * Índice de modelos del módulo Alerts
+ *
+ * Exporta reglas y alertas con sus asociaciones inline.
+ */
+import AlertRule from './AlertRule.js';
+import Alert from './Alert.js';
+import Organization from '../../organizations/models/Organization.js';
+import Channel from '../../channels/models/Channel.js';
+import User from '../../auth/models/User.js';
+import Variable from '../../telemetry/models/Variable.js';
+
+// AlertRule → Organization (N:1)
+AlertRule.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organization' });
+
+// AlertRule → User creador (N:1)
+AlertRule.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+// AlertRule → Variable (N:1)
+AlertRule.belongsTo(Variable, { foreignKey: 'variableId', as: 'variable' });
+
+// AlertRule → Alert (1:N)
+AlertRule.hasMany(Alert, { foreignKey: 'ruleId', as: 'alerts', onDelete: 'CASCADE' });
+Alert.belongsTo(AlertRule, { foreignKey: 'ruleId', as: 'rule' });
+
+// Alert → Channel (N:1)
+Alert.belongsTo(Channel, { foreignKey: 'channelId', as: 'channel' });
+
+// Alert → Users que reconocieron / resolvieron
+Alert.belongsTo(User, { foreignKey: 'acknowledgedBy', as: 'acknowledger' });
+Alert.belongsTo(User, { foreignKey: 'resolvedBy', as: 'resolver' });
+
+export { AlertRule, Alert };
+
+export default { AlertRule, Alert };
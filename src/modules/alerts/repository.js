@@ -0,0 +1,384 @@
+// modules/alerts/repository.js
+// Capa de acceso a datos para reglas de alerta y alertas
+
+import { Op, QueryTypes } from 'sequelize';
+import sequelize from '../../db/sql/sequelize.js';
+import { AlertRule, Alert } from './models/index.js';
+import Channel from '../channels/models/Channel.js';
+import User from '../auth/models/User.js';
+
+// Resuelve public code y nombre de la entidad de la regla según su tipo
+const ruleTargetJoins = `
+    LEFT JOIN channels c
+           ON r.target_type = 'channel' AND c.id = r.target_id AND c.deleted_at IS NULL
+    LEFT JOIN devices d
+           ON r.target_type = 'device' AND d.id = r.target_id AND d.deleted_at IS NULL
+    LEFT JOIN sites si
+           ON r.target_type = 'site' AND si.id = r.target_id AND si.deleted_at IS NULL
+    LEFT JOIN resource_hierarchy rh
+           ON r.target_type = 'hierarchy_node' AND rh.id = r.target_id AND rh.deleted_at IS NULL
+`;
+
+const ruleColumns = `
+    r.*,
+    COALESCE(c.public_code, d.public_code, si.public_code, rh.public_code) AS target_code,
+    COALESCE(c.name, d.name, si.name, rh.name)                             AS target_name,
+    v.code AS variable_code,
+    o.public_code AS organization_code
+`;
+
+/**
+ * Convierte una fila de regla (snake_case) a DTO público
+ * @param {Object} row
+ * @returns {Object}
+ */
+const toRuleDto = (row) => ({
+    id: row.public_code,
+    organizationId: row.organization_code,
+    name: row.name,
+    description: row.description,
+    targetType: row.target_type,
+    target: { id: row.target_code, name: row.target_name },
+    variableId: row.variable_id,
+    variableCode: row.variable_code ?? null,
+    conditionType: row.condition_type,
+    params: row.params,
+    severity: row.severity,
+    autoResolve: row.auto_resolve,
+    isEnabled: row.is_enabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+/**
+ * Convierte un usuario incluido a referencia pública
+ * @param {Object|null} user
+ * @returns {Object|null}
+ */
+const toUserRef = (user) => (user
+    ? { id: user.publicCode, name: `${user.firstName} ${user.lastName}`.trim() }
+    : null);
+
+/**
+ * Convierte una alerta (instancia con includes) a DTO público
+ * @param {Alert} alert
+ * @returns {Object}
+ */
+const toAlertDto = (alert) => ({
+    id: alert.publicCode,
+    rule: alert.rule ? { id: alert.rule.publicCode, name: alert.rule.name, conditionType: alert.rule.conditionType } : null,
+    channel: alert.channel ? { id: alert.channel.publicCode, name: alert.channel.name } : null,
+    variableId: alert.variableId,
+    status: alert.status,
+    severity: alert.severity,
+    triggeredAt: alert.triggeredAt,
+    value: alert.value,
+    message: alert.message,
+    details: alert.details,
+    acknowledgedAt: alert.acknowledgedAt,
+    acknowledgedBy: toUserRef(alert.acknowledger),
+    resolvedAt: alert.resolvedAt,
+    resolvedBy: toUserRef(alert.resolver),
+    annotationId: alert.annotationId,
+    createdAt: alert.createdAt,
+    updatedAt: alert.updatedAt
+});
+
+const alertIncludes = [
+    { model: AlertRule, as: 'rule', attributes: ['publicCode', 'name', 'conditionType'], paranoid: false },
+    { model: Channel, as: 'channel', attributes: ['publicCode', 'name'], paranoid: false },
+    { model: User, as: 'acknowledger', attributes: ['publicCode', 'firstName', 'lastName'] },
+    { model: User, as: 'resolver', attributes: ['publicCode', 'firstName', 'lastName'] }
+];
+
+// ============ REGLAS ============
+
+/**
+ * Crear una regla
+ * @param {Object} data - Campos del modelo AlertRule
+ * @returns {Promise<Object>} DTO de la regla
+ */
+export const createRule = async (data) => {
+    const rule = await AlertRule.create(data);
+    return findRuleByPublicCode(rule.publicCode);
+};
+
+/**
+ * Buscar regla por publicCode (DTO público)
+ * @param {string} publicCode
+ * @param {Object} options
+ * @param {string|null} options.organizationId - UUID de org para scoping (null = sin scoping)
+ * @returns {Promise<Object|null>}
+ */
+export const findRuleByPublicCode = async (publicCode, { organizationId = null } = {}) => {
+    const bind = [publicCode];
+    let orgFilter = '';
+    if (organizationId) {
+        bind.push(organizationId);
+        orgFilter = 'AND r.organization_id = $2';
+    }
+
+    const rows = await sequelize.query(`
+        SELECT ${ruleColumns}
+        FROM alert_rules r
+        JOIN organizations o ON o.id = r.organization_id
+        LEFT JOIN variables v ON v.id = r.variable_id
+        ${ruleTargetJoins}
+        WHERE r.public_code = $1
+          AND r.deleted_at IS NULL
+          ${orgFilter}
+    `, { bind, type: QueryTypes.SELECT });
+
+    return rows.length > 0 ? toRuleDto(rows[0]) : null;
+};
+
+/**
+ * Buscar regla por publicCode (USO INTERNO - modelo Sequelize)
+ * @param {string} publicCode
+ * @returns {Promise<AlertRule|null>}
+ */
+export const findRuleByPublicCodeInternal = async (publicCode) =>
+    AlertRule.findOne({ where: { publicCode } });
+
+/**
+ * Listar reglas
+ * @param {Object} filters
+ * @param {string|null} filters.organizationId - null = todas (system-admin)
+ * @param {string} [filters.targetType]
+ * @param {string} [filters.conditionType]
+ * @param {boolean} [filters.isEnabled]
+ * @param {number} filters.limit
+ * @param {number} filters.offset
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listRules = async ({ organizationId = null, targetType = null, conditionType = null, isEnabled = null, limit = 20, offset = 0 } = {}) => {
+    const conditions = ['r.deleted_at IS NULL'];
+    const bind = [];
+
+    if (organizationId) {
+        bind.push(organizationId);
+        conditions.push(`r.organization_id = $${bind.length}`);
+    }
+    if (targetType) {
+        bind.push(targetType);
+        conditions.push(`r.target_type = $${bind.length}`);
+    }
+    if (conditionType) {
+        bind.push(conditionType);
+        conditions.push(`r.condition_type = $${bind.length}`);
+    }
+    if (isEnabled !== null && isEnabled !== undefined) {
+        bind.push(isEnabled);
+        conditions.push(`r.is_enabled = $${bind.length}`);
+    }
+
+    bind.push(limit, offset);
+
+    const rows = await sequelize.query(`
+        SELECT ${ruleColumns},
+               COUNT(*) OVER() AS total_count
+        FROM alert_rules r
+        JOIN organizations o ON o.id = r.organization_id
+        LEFT JOIN variables v ON v.id = r.variable_id
+        ${ruleTargetJoins}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY r.created_at DESC
+        LIMIT $${bind.length - 1} OFFSET $${bind.length}
+    `, { bind, type: QueryTypes.SELECT });
+
+    return {
+        items: rows.map(toRuleDto),
+        total: rows.length > 0 ? parseInt(rows[0].total_count, 10) : 0
+    };
+};
+
+/**
+ * Actualizar campos de una regla
+ * @param {string} id - UUID interno
+ * @param {Object} data
+ * @returns {Promise<void>}
+ */
+export const updateRule = async (id, data) => {
+    await AlertRule.update(data, { where: { id } });
+};
+
+/**
+ * Soft delete de una regla
+ * @param {string} id - UUID interno
+ * @returns {Promise<void>}
+ */
+export const deleteRule = async (id) => {
+    await AlertRule.destroy({ where: { id } });
+};
+
+/**
+ * Expande las reglas habilitadas a pares regla × canal para el motor.
+ *
+ * Un canal queda cubierto por una regla si es el canal de la regla, pertenece a su device
+ * o site, o está bajo su nodo de jerarquía (como nodo canal o a través del nodo de su site).
+ * Si la regla tiene variable, solo se incluyen canales cuyo measurement type la tenga.
+ *
+ * @returns {Promise<Array<Object>>} Filas snake_case con datos de regla, canal, device y variable
+ */
+export const findRuleBindings = async () => sequelize.query(`
+    SELECT
+        r.id AS rule_id,
+        c.id AS channel_id,
+        c.public_code AS channel_code,
+        c.name AS channel_name,
+        c.ch,
+        d.uuid AS device_uuid,
+        COALESCE(d.timezone, 'UTC') AS device_timezone,
+        v.id AS variable_id,
+        COALESCE(v.mqtt_key, UPPER(v.column_name)) AS mqtt_key
+    FROM alert_rules r
+    JOIN channels c
+      ON c.organization_id = r.organization_id AND c.deleted_at IS NULL AND c.is_active = true
+    JOIN devices d
+      ON d.id = c.device_id AND d.deleted_at IS NULL
+    LEFT JOIN sites s
+      ON s.id = d.site_id
+    LEFT JOIN variables v
+      ON v.id = r.variable_id AND v.measurement_type_id = c.measurement_type_id AND v.is_active = true
+    WHERE r.is_enabled = true
+      AND r.deleted_at IS NULL
+      AND (r.variable_id IS NULL OR v.id IS NOT NULL)
+      AND (
+            (r.target_type = 'channel' AND c.id = r.target_id)
+         OR (r.target_type = 'device' AND d.id = r.target_id)
+         OR (r.target_type = 'site' AND d.site_id = r.target_id)
+         OR (r.target_type = 'hierarchy_node' AND EXISTS (
+                SELECT 1
+                FROM resource_hierarchy n
+                JOIN resource_hierarchy rn
+                  ON rn.path::ltree <@ n.path::ltree
+                 AND rn.organization_id = n.organization_id
+                 AND rn.deleted_at IS NULL
+                WHERE n.id = r.target_id
+                  AND n.deleted_at IS NULL
+                  AND (
+                        (rn.node_type = 'channel' AND rn.reference_id = c.public_code)
+                     OR (rn.node_type = 'site' AND rn.reference_id = s.public_code)
+                  )
+            ))
+      )
+`, { type: QueryTypes.SELECT });
+
+/**
+ * Reglas habilitadas (modelos) por id
+ * @param {string[]} ids
+ * @returns {Promise<AlertRule[]>}
+ */
+export const findEnabledRulesByIds = async (ids) => {
+    if (!ids.length) return [];
+    return AlertRule.findAll({ where: { id: { [Op.in]: ids }, isEnabled: true } });
+};
+
+// ============ ALERTAS ============
+
+/**
+ * Alertas activas (open/acknowledged) — estado inicial del motor
+ * @returns {Promise<Array<{ id: string, ruleId: string, channelId: string }>>}
+ */
+export const findActiveAlertKeys = async () => Alert.findAll({
+    where: { status: { [Op.in]: ['open', 'acknowledged'] } },
+    attributes: ['id', 'ruleId', 'channelId'],
+    raw: true
+});
+
+/**
+ * Alertas activas de una regla (USO INTERNO)
+ * @param {string} ruleId - UUID interno de la regla
+ * @returns {Promise<Alert[]>}
+ */
+export const findActiveAlertsByRule = async (ruleId) => Alert.findAll({
+    where: { ruleId, status: { [Op.in]: ['open', 'acknowledged'] } }
+});
+
+/**
+ * Crear una alerta
+ * @param {Object} data
+ * @param {Object} [transaction]
+ * @returns {Promise<Alert>}
+ */
+export const createAlert = async (data, transaction = null) => Alert.create(data, { transaction });
+
+/**
+ * Buscar alerta por UUID (USO INTERNO)
+ * @param {string} id
+ * @returns {Promise<Alert|null>}
+ */
+export const findAlertById = async (id) => Alert.findByPk(id);
+
+/**
+ * Buscar alerta por publicCode (USO INTERNO - modelo Sequelize)
+ * @param {string} publicCode
+ * @returns {Promise<Alert|null>}
+ */
+export const findAlertByPublicCodeInternal = async (publicCode) =>
+    Alert.findOne({ where: { publicCode } });
+
+/**
+ * Buscar alerta por publicCode (DTO público)
+ * @param {string} publicCode
+ * @param {Object} options
+ * @param {string|null} options.organizationId
+ * @returns {Promise<Object|null>}
+ */
+export const findAlertByPublicCode = async (publicCode, { organizationId = null } = {}) => {
+    const where = { publicCode };
+    if (organizationId) where.organizationId = organizationId;
+
+    const alert = await Alert.findOne({ where, include: alertIncludes });
+    return alert ? toAlertDto(alert) : null;
+};
+
+/**
+ * Listar alertas
+ * @param {Object} filters
+ * @param {string|null} filters.organizationId - null = todas (system-admin)
+ * @param {string[]} [filters.status]
+ * @param {string} [filters.severity]
+ * @param {string} [filters.ruleId] - UUID interno de la regla
+ * @param {string} [filters.channelId] - UUID interno del canal
+ * @param {Date} [filters.from]
+ * @param {Date} [filters.to]
+ * @param {number} filters.limit
+ * @param {number} filters.offset
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listAlerts = async ({ organizationId = null, status = null, severity = null, ruleId = null, channelId = null, from = null, to = null, limit = 20, offset = 0 } = {}) => {
+    const where = {};
+    if (organizationId) where.organizationId = organizationId;
+    if (status?.length) where.status = { [Op.in]: status };
+    if (severity) where.severity = severity;
+    if (ruleId) where.ruleId = ruleId;
+    if (channelId) where.channelId = channelId;
+    if (from || to) {
+        where.triggeredAt = {};
+        if (from) where.triggeredAt[Op.gte] = from;
+        if (to) where.triggeredAt[Op.lte] = to;
+    }
+
+    const { rows, count } = await Alert.findAndCountAll({
+        where,
+        include: alertIncludes,
+        order: [['triggeredAt', 'DESC']],
+        limit,
+        offset,
+        distinct: true
+    });
+
+    return { items: rows.map(toAlertDto), total: count };
+};
+
+/**
+ * Actualizar una alerta
+ * @param {string} id - UUID interno
+ * @param {Object} data
+ * @param {Object} [transaction]
+ * @returns {Promise<void>}
+ */
+export const updateAlert = async (id, data, transaction = null) => {
+    await Alert.update(data, { where: { id }, transaction });
+};
@@ -0,0 +1,296 @@
+// modules/alerts/routes.js
+// Rutas REST para reglas de alerta y alertas de telemetría
+
+import express from 'express';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { enforceActiveOrganization } from '../../middleware/enforceActiveOrganization.js';
+import * as services from './services.js';
+import { requestAlertEngineRefresh } from './engine.js';
+import {
+    createAlertRuleSchema,
+    updateAlertRuleSchema,
+    getAlertRuleSchema,
+    listAlertRulesSchema,
+    getAlertSchema,
+    listAlertsSchema
+} from './dtos/index.js';
+
+const router = express.Router();
+
+// ============ REGLAS ============
+
+// 📄 Swagger: src/docs/swagger/alerts.yaml -> POST /api/v1/alerts/rules
+router.post(
+    '/rules',
+    authenticate,
+    requirePermission('alerts.manage'),
+    enforceActiveOrganization,
+    validate(createAlertRuleSchema),
+    async (req, res, next) => {
+        try {
+            const userId     = req.user.userId;
+            const orgId      = req.organizationContext.id;
+            const ipAddress  = req.ip || req.connection?.remoteAddress;
+            const userAgent  = req.headers['user-agent'];
+
+            const rule = await services.createRule(req.body, userId, orgId, ipAddress, userAgent);
+            requestAlertEngineRefresh();
+
+            return res.status(201).json({
+                ok: true,
+                data: rule,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/alerts.yaml -> GET /api/v1/alerts/rules
+router.get(
+    '/rules',
+    authenticate,
+    enforceActiveOrganization,
+    validate(listAlertRulesSchema),
+    async (req, res, next) => {
+        try {
+            const canAccessAll = req.organizationContext?.canAccessAll ?? false;
+            const orgId  = canAccessAll ? null : req.organizationContext.id;
+            const limit  = req.query?.limit  ?? 20;
+            const offset = req.query?.offset ?? 0;
+
+            const result = await services.listRules({
+                organizationId: orgId,
+                targetType:     req.query?.targetType ?? null,
+                conditionType:  req.query?.conditionType ?? null,
+                isEnabled:      req.query?.isEnabled ?? null,
+                limit,
+                offset
+            });
+
+            return res.json({
+                ok: true,
+                data: result.items,
+                meta: {
+                    total:     result.total,
+                    limit:     Number(limit),
+                    offset:    Number(offset),
+                    timestamp: new Date().toISOString(),
+                    locale:    req.locale
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/alerts.yaml -> GET /api/v1/alerts/rules/:id
+router.get(
+    '/rules/:id',
+    authenticate,
+    enforceActiveOrganization,
+    validate(getAlertRuleSchema),
+    async (req, res, next) => {
+        try {
+            const canAccessAll = req.organizationContext?.canAccessAll ?? false;
+            const orgId = canAccessAll ? null : req.organizationContext.id;
+
+            const rule = await services.getRule(req.params.id, { organizationId: orgId });
+
+            return res.json({
+                ok: true,
+                data: rule,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/alerts.yaml -> PATCH /api/v1/alerts/rules/:id
+router.patch(
+    '/rules/:id',
+    authenticate,
+    requirePermission('alerts.manage'),
+    enforceActiveOrganization,
+    validate(updateAlertRuleSchema),
+    async (req, res, next) => {
+        try {
+            const canAccessAll = req.organizationContext?.canAccessAll ?? false;
+            const orgId      = canAccessAll ? null : req.organizationContext.id;
+            const userId     = req.user.userId;
+            const ipAddress  = req.ip || req.connection?.remoteAddress;
+            const userAgent  = req.headers['user-agent'];
+
+            const rule = await services.updateRule(req.params.id, req.body, { organizationId: orgId }, userId, ipAddress, userAgent);
+            requestAlertEngineRefresh();
+
+            return res.json({
+                ok: true,
+                data: rule,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/alerts.yaml -> DELETE /api/v1/alerts/rules/:id
+router.delete(
+    '/rules/:id',
+    authenticate,
+    requirePermission('alerts.manage'),
+    enforceActiveOrganization,
+    validate(getAlertRuleSchema),
+    async (req, res, next) => {
+        try {
+            const canAccessAll = req.organizationContext?.canAccessAll ?? false;
+            const orgId      = canAccessAll ? null : req.organizationContext.id;
+            const userId     = req.user.userId;
+            const ipAddress  = req.ip || req.connection?.remoteAddress;
+            const userAgent  = req.headers['user-agent'];
+
+            await services.deleteRule(req.params.id, { organizationId: orgId }, userId, ipAddress, userAgent);
+            requestAlertEngineRefresh();
+
+            return res.json({
+                ok: true,
+                data: { message: 'Regla de alerta eliminada correctamente' },
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// ============ ALERTAS ============
+
+// 📄 Swagger: src/docs/swagger/alerts.yaml -> GET /api/v1/alerts
+router.get(
+    '/',
+    authenticate,
+    enforceActiveOrganization,
+    validate(listAlertsSchema),
+    async (req, res, next) => {
+        try {
+            const canAccessAll = req.organizationContext?.canAccessAll ?? false;
+            const orgId  = canAccessAll ? null : req.organizationContext.id;
+            const limit  = req.query?.limit  ?? 50;
+            const offset = req.query?.offset ?? 0;
+
+            const result = await services.listAlerts({
+                organizationId: orgId,
+                status:         req.query?.status ?? null,
+                severity:       req.query?.severity ?? null,
+                ruleId:         req.query?.ruleId ?? null,
+                channelId:      req.query?.channelId ?? null,
+                from:           req.query?.from ?? null,
+                to:             req.query?.to ?? null,
+                limit,
+                offset
+            });
+
+            return res.json({
+                ok: true,
+                data: result.items,
+                meta: {
+                    total:     result.total,
+                    limit:     Number(limit),
+                    offset:    Number(offset),
+                    timestamp: new Date().toISOString(),
+                    locale:    req.locale
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/alerts.yaml -> GET /api/v1/alerts/:id
+router.get(
+    '/:id',
+    authenticate,
+    enforceActiveOrganization,
+    validate(getAlertSchema),
+    async (req, res, next) => {
+        try {
+            const canAccessAll = req.organizationContext?.canAccessAll ?? false;
+            const orgId = canAccessAll ? null : req.organizationContext.id;
+
+            const alert = await services.getAlert(req.params.id, { organizationId: orgId });
+
+            return res.json({
+                ok: true,
+                data: alert,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/alerts.yaml -> POST /api/v1/alerts/:id/acknowledge
+router.post(
+    '/:id/acknowledge',
+    authenticate,
+    enforceActiveOrganization,
+    validate(getAlertSchema),
+    async (req, res, next) => {
+        try {
+            const canAccessAll = req.organizationContext?.canAccessAll ?? false;
+            const orgId      = canAccessAll ? null : req.organizationContext.id;
+            const userId     = req.user.userId;
+            const ipAddress  = req.ip || req.connection?.remoteAddress;
+            const userAgent  = req.headers['user-agent'];
+
+            const alert = await services.acknowledgeAlert(req.params.id, { organizationId: orgId }, userId, ipAddress, userAgent);
+
+            return res.json({
+                ok: true,
+                data: alert,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/alerts.yaml -> POST /api/v1/alerts/:id/resolve
+// Resolución manual: si la condición persiste el motor abre una alerta nueva
+router.post(
+    '/:id/resolve',
+    authenticate,
+    enforceActiveOrganization,
+    validate(getAlertSchema),
+    async (req, res, next) => {
+        try {
+            const canAccessAll = req.organizationContext?.canAccessAll ?? false;
+            const orgId      = canAccessAll ? null : req.organizationContext.id;
+            const userId     = req.user.userId;
+            const ipAddress  = req.ip || req.connection?.remoteAddress;
+            const userAgent  = req.headers['user-agent'];
+
+            const alert = await services.resolveAlert(req.params.id, { organizationId: orgId }, userId, ipAddress, userAgent);
+            requestAlertEngineRefresh();
+
+            return res.json({
+                ok: true,
+                data: alert,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+export default router;
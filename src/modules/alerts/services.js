@@ -0,0 +1,517 @@
+// modules/alerts/services.js
+// Lógica de negocio para reglas de alerta y ciclo de vida de alertas
+
+import * as repository from './repository.js';
+import { CONDITION_TYPES } from './helpers/conditions.js';
+import { conditionParamsSchemas } from './dtos/index.js';
+import { findById as findVariableById } from '../telemetry/repositories/variablesRepository.js';
+import { createAnnotation, updateAnnotation } from '../telemetry/repositories/annotationsRepository.js';
+import { findScheduleByPublicCodeInternal } from '../schedules/repository.js';
+import { findSiteByPublicCodeInternal } from '../sites/repository.js';
+import { findDeviceByPublicCodeInternal } from '../devices/repository.js';
+import { findChannelByPublicCodeInternal } from '../channels/repository.js';
+import { findNodeByPublicCodeInternal } from '../resource-hierarchy/repository.js';
+import { notifyOrganizationPermission, NOTIFICATION_TYPES } from '../notifications/services.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import { generatePublicCode, generateUuidV7 } from '../../utils/identifiers.js';
+import { translate } from '../../middleware/i18n.js';
+import logger from '../../utils/logger.js';
+
+const alertsLogger = logger.child({ component: 'alerts' });
+
+// Permiso de quienes reciben notificación de cada alerta disparada (además del creador de la regla)
+const ALERT_NOTIFY_PERMISSION = 'alerts.manage';
+
+const notFound = (code, message) => {
+    const err = new Error(message);
+    err.status = 404;
+    err.code   = code;
+    return err;
+};
+
+const validationError = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    err.code   = 'VALIDATION_ERROR';
+    return err;
+};
+
+/**
+ * Carga la entidad de una regla por public code y valida que pertenezca a la organización
+ *
+ * @param {string} targetType - channel | device | site | hierarchy_node
+ * @param {string} targetCode - Public code de la entidad
+ * @param {string} organizationId - UUID de la organización dueña de la regla
+ * @returns {Promise<Object>} Modelo Sequelize de la entidad
+ */
+const loadRuleTarget = async (targetType, targetCode, organizationId) => {
+    const finders = {
+        channel: findChannelByPublicCodeInternal,
+        device: findDeviceByPublicCodeInternal,
+        site: findSiteByPublicCodeInternal,
+        hierarchy_node: findNodeByPublicCodeInternal
+    };
+
+    const entity = await finders[targetType](targetCode);
+    if (!entity || entity.organizationId !== organizationId) {
+        throw notFound('ALERT_TARGET_NOT_FOUND', `Entidad no encontrada: ${targetType} ${targetCode}`);
+    }
+    return entity;
+};
+
+/**
+ * Validaciones de negocio de la condición que requieren DB:
+ * variable existente y schedule de la misma organización (outside_schedule).
+ *
+ * @param {Object} data - { conditionType, variableId, params }
+ * @param {string} organizationId
+ */
+const validateCondition = async ({ conditionType, variableId, params }, organizationId) => {
+    if (conditionType !== CONDITION_TYPES.NO_DATA && !variableId) {
+        throw validationError(`La condición ${conditionType} requiere variableId`);
+    }
+
+    if (variableId) {
+        const variable = await findVariableById(variableId);
+        if (!variable || !variable.isActive) {
+            throw validationError(`Variable no encontrada: ${variableId}`);
+        }
+    }
+
+    if (conditionType === CONDITION_TYPES.OUTSIDE_SCHEDULE && params?.scheduleId) {
+        const schedule = await findScheduleByPublicCodeInternal(params.scheduleId);
+        if (!schedule || schedule.organizationId !== organizationId) {
+            throw notFound('SCHEDULE_NOT_FOUND', 'Schedule no encontrado');
+        }
+    }
+};
+
+/**
+ * Busca una regla respetando el scoping de organización
+ * @param {string} publicCode
+ * @param {string|null} organizationId - null = sin scoping (system-admin)
+ * @returns {Promise<AlertRule>}
+ */
+const findScopedRule = async (publicCode, organizationId) => {
+    const rule = await repository.findRuleByPublicCodeInternal(publicCode);
+    if (!rule || (organizationId && rule.organizationId !== organizationId)) {
+        throw notFound('ALERT_RULE_NOT_FOUND', 'Regla de alerta no encontrada');
+    }
+    return rule;
+};
+
+// ============ REGLAS ============
+
+/**
+ * Crear una regla de alerta
+ *
+ * @param {Object} payload - Body validado por Zod
+ * @param {string} userId - UUID del usuario autenticado
+ * @param {string} orgId - UUID de la organización activa
+ * @param {string} ipAddress
+ * @param {string} userAgent
+ * @returns {Promise<Object>} DTO de la regla
+ */
+export const createRule = async (payload, userId, orgId, ipAddress, userAgent) => {
+    const target = await loadRuleTarget(payload.targetType, payload.targetId, orgId);
+    await validateCondition(payload, orgId);
+
+    const publicCode = generatePublicCode('ARL');
+    const rule = await repository.createRule({
+        id: generateUuidV7(),
+        publicCode,
+        organizationId: orgId,
+        name: payload.name,
+        description: payload.description ?? null,
+        targetType: payload.targetType,
+        targetId: target.id,
+        variableId: payload.variableId ?? null,
+        conditionType: payload.conditionType,
+        params: payload.params,
+        severity: payload.severity,
+        autoResolve: payload.autoResolve,
+        isEnabled: payload.isEnabled,
+        createdBy: userId
+    });
+
+    await logAuditAction({
+        entityType:  'alert_rule',
+        entityId:    publicCode,
+        action:      'create',
+        performedBy: userId,
+        changes:     { new: { name: payload.name, conditionType: payload.conditionType, targetType: payload.targetType, targetId: payload.targetId } },
+        metadata:    { organizationId: orgId },
+        ipAddress,
+        userAgent
+    });
+
+    alertsLogger.info({ ruleId: publicCode, userId }, 'Regla de alerta creada');
+
+    return rule;
+};
+
+/**
+ * Obtener una regla
+ * @param {string} publicCode
+ * @param {Object} options
+ * @param {string|null} options.organizationId
+ * @returns {Promise<Object>} DTO de la regla
+ */
+export const getRule = async (publicCode, { organizationId = null } = {}) => {
+    const rule = await repository.findRuleByPublicCode(publicCode, { organizationId });
+    if (!rule) {
+        throw notFound('ALERT_RULE_NOT_FOUND', 'Regla de alerta no encontrada');
+    }
+    return rule;
+};
+
+/**
+ * Listar reglas de la organización
+ * @param {Object} filters - { organizationId, targetType, conditionType, isEnabled, limit, offset }
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listRules = async (filters) => repository.listRules(filters);
+
+/**
+ * Editar una regla. Target y tipo de condición son inmutables (crear otra regla para cambiarlos).
+ *
+ * @param {string} publicCode
+ * @param {Object} data - Campos validados por Zod
+ * @param {Object} options
+ * @param {string|null} options.organizationId
+ * @param {string} userId
+ * @param {string} ipAddress
+ * @param {string} userAgent
+ * @returns {Promise<Object>} DTO actualizado
+ */
+export const updateRule = async (publicCode, data, { organizationId = null } = {}, userId, ipAddress, userAgent) => {
+    const rule = await findScopedRule(publicCode, organizationId);
+
+    // Los params se validan contra el tipo de condición (inmutable) de la regla
+    if (data.params) {
+        const parsed = conditionParamsSchemas[rule.conditionType].safeParse(data.params);
+        if (!parsed.success) {
+            throw validationError(`Parámetros inválidos para ${rule.conditionType}: ${parsed.error.issues.map(i => `${i.path.join('.')} ${i.message}`).join(', ')}`);
+        }
+        data = { ...data, params: parsed.data };
+    }
+
+    const next = {
+        conditionType: rule.conditionType,
+        variableId: data.variableId !== undefined ? data.variableId : rule.variableId,
+        params: data.params ?? rule.params
+    };
+    await validateCondition(next, rule.organizationId);
+
+    const before = {
+        name: rule.name,
+        variableId: rule.variableId,
+        params: rule.params,
+        severity: rule.severity,
+        autoResolve: rule.autoResolve,
+        isEnabled: rule.isEnabled
+    };
+
+    await repository.updateRule(rule.id, data);
+
+    // Al deshabilitar, las alertas activas dejan de evaluarse: se resuelven
+    if (data.isEnabled === false && rule.isEnabled) {
+        await resolveActiveAlertsOfRule(rule.id);
+    }
+
+    await logAuditAction({
+        entityType:  'alert_rule',
+        entityId:    publicCode,
+        action:      'update',
+        performedBy: userId,
+        changes:     { old: before, new: data },
+        metadata:    { organizationId: rule.organizationId },
+        ipAddress,
+        userAgent
+    });
+
+    return repository.findRuleByPublicCode(publicCode);
+};
+
+/**
+ * Eliminar (soft delete) una regla. Sus alertas activas se resuelven.
+ *
+ * @param {string} publicCode
+ * @param {Object} options
+ * @param {string|null} options.organizationId
+ * @param {string} userId
+ * @param {string} ipAddress
+ * @param {string} userAgent
+ */
+export const deleteRule = async (publicCode, { organizationId = null } = {}, userId, ipAddress, userAgent) => {
+    const rule = await findScopedRule(publicCode, organizationId);
+
+    await resolveActiveAlertsOfRule(rule.id);
+    await repository.deleteRule(rule.id);
+
+    await logAuditAction({
+        entityType:  'alert_rule',
+        entityId:    publicCode,
+        action:      'delete',
+        performedBy: userId,
+        metadata:    { organizationId: rule.organizationId },
+        ipAddress,
+        userAgent
+    });
+
+    alertsLogger.info({ ruleId: publicCode, userId }, 'Regla de alerta eliminada');
+};
+
+// ============ CICLO DE VIDA DE ALERTAS ============
+
+/**
+ * Mensaje legible de la alerta en el idioma por defecto (es).
+ * El DTO incluye además `details` estructurado para que el frontend pueda traducir.
+ */
+const buildAlertMessage = (rule, binding, evaluation) => {
+    const params = rule.params || {};
+    return translate(`alerts.message.${rule.conditionType}`, {
+        rule: rule.name,
+        channel: binding.channelName,
+        value: evaluation.value ?? '',
+        operator: params.operator ?? 'gt',
+        threshold: params.value ?? 0,
+        delta: params.delta ?? '',
+        window: params.windowMinutes ?? '',
+        minutes: params.minutes ?? ''
+    }, 'es');
+};
+
+/**
+ * Abre una alerta para una regla y canal y crea la anotación alert_auto en el canal.
+ * Si ya existe una alerta activa para el par (otra instancia del motor la abrió), no hace nada.
+ *
+ * @param {AlertRule} rule - Modelo de la regla
+ * @param {Object} binding - { channelId, channelName, variableId }
+ * @param {Object} evaluation - Resultado de evaluateCondition
+ * @param {Object} context - { ts (ms), source: 'mqtt'|'periodic' }
+ * @returns {Promise<Alert|null>} Alerta creada o null si ya existía
+ */
+export const openAlert = async (rule, binding, evaluation, { ts, source }) => {
+    const message = buildAlertMessage(rule, binding, evaluation);
+    const triggeredAt = new Date(ts);
+
+    let alert;
+    try {
+        alert = await repository.createAlert({
+            id: generateUuidV7(),
+            publicCode: generatePublicCode('ALT'),
+            ruleId: rule.id,
+            organizationId: rule.organizationId,
+            channelId: binding.channelId,
+            variableId: binding.variableId ?? null,
+            status: 'open',
+            severity: rule.severity,
+            triggeredAt,
+            value: evaluation.value,
+            message,
+            details: {
+                conditionType: rule.conditionType,
+                params: rule.params,
+                source,
+                ...(evaluation.observed && { observed: evaluation.observed })
+            }
+        });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return null;
+        }
+        throw error;
+    }
+
+    // Anotación point-in-time; se convierte en rango al resolverse la alerta
+    const annotation = await createAnnotation({
+        channelId: binding.channelId,
+        fromTs: triggeredAt.getTime(),
+        toTs: triggeredAt.getTime(),
+        text: message,
+        category: 'alert_auto',
+        visibility: 'public',
+        authorId: rule.createdBy
+    });
+    await repository.updateAlert(alert.id, { annotationId: annotation.id });
+    alert.annotationId = annotation.id;
+
+    // Notificar a los responsables de la organización y al creador de la regla
+    await notifyOrganizationPermission(rule.organizationId, ALERT_NOTIFY_PERMISSION, {
+        type: NOTIFICATION_TYPES.ALERT_TRIGGERED,
+        params: { rule: rule.name, channel: binding.channelName, severity: rule.severity, message },
+        data: { alertId: alert.publicCode, ruleId: rule.publicCode, channelId: binding.channelCode, severity: rule.severity }
+    }, [rule.createdBy]);
+
+    alertsLogger.info({ alertId: alert.publicCode, ruleId: rule.publicCode, channelId: binding.channelCode, source }, 'Alerta disparada');
+
+    return alert;
+};
+
+/**
+ * Cierra una alerta (auto o manual) y extiende su anotación hasta el instante de resolución
+ *
+ * @param {Alert} alert - Modelo de la alerta
+ * @param {Object} options
+ * @param {Date} [options.resolvedAt]
+ * @param {string|null} [options.resolvedBy] - null = resuelta automáticamente
+ */
+const closeAlert = async (alert, { resolvedAt = new Date(), resolvedBy = null } = {}) => {
+    await repository.updateAlert(alert.id, { status: 'resolved', resolvedAt, resolvedBy });
+
+    if (alert.annotationId) {
+        const toTs = Math.max(resolvedAt.getTime(), new Date(alert.triggeredAt).getTime());
+        await updateAnnotation(alert.annotationId, { toTs });
+    }
+};
+
+/**
+ * Resolución automática: la condición dejó de cumplirse
+ * @param {string} alertId - UUID interno
+ * @param {number} ts - Timestamp (ms) de la muestra que resolvió la condición
+ * @returns {Promise<boolean>} true si la alerta seguía activa y se resolvió
+ */
+export const autoResolveAlert = async (alertId, ts) => {
+    const alert = await repository.findAlertById(alertId);
+    if (!alert || alert.status === 'resolved') return false;
+
+    await closeAlert(alert, { resolvedAt: new Date(ts) });
+    alertsLogger.info({ alertId: alert.publicCode }, 'Alerta resuelta automáticamente');
+    return true;
+};
+
+/**
+ * Resuelve todas las alertas activas de una regla (regla deshabilitada o eliminada)
+ * @param {string} ruleId - UUID interno
+ */
+const resolveActiveAlertsOfRule = async (ruleId) => {
+    const active = await repository.findActiveAlertsByRule(ruleId);
+    for (const alert of active) {
+        await closeAlert(alert);
+    }
+};
+
+/**
+ * Busca una alerta respetando el scoping de organización
+ */
+const findScopedAlert = async (publicCode, organizationId) => {
+    const alert = await repository.findAlertByPublicCodeInternal(publicCode);
+    if (!alert || (organizationId && alert.organizationId !== organizationId)) {
+        throw notFound('ALERT_NOT_FOUND', 'Alerta no encontrada');
+    }
+    return alert;
+};
+
+const invalidState = (status) => {
+    const err = new Error(`Transición inválida desde el estado ${status}`);
+    err.status = 409;
+    err.code   = 'ALERT_INVALID_STATE';
+    return err;
+};
+
+/**
+ * Reconocer una alerta (open → acknowledged)
+ *
+ * @param {string} publicCode
+ * @param {Object} options
+ * @param {string|null} options.organizationId
+ * @param {string} userId
+ * @param {string} ipAddress
+ * @param {string} userAgent
+ * @returns {Promise<Object>} DTO actualizado
+ */
+export const acknowledgeAlert = async (publicCode, { organizationId = null } = {}, userId, ipAddress, userAgent) => {
+    const alert = await findScopedAlert(publicCode, organizationId);
+    if (alert.status !== 'open') {
+        throw invalidState(alert.status);
+    }
+
+    await repository.updateAlert(alert.id, { status: 'acknowledged', acknowledgedAt: new Date(), acknowledgedBy: userId });
+
+    await logAuditAction({
+        entityType:  'alert',
+        entityId:    publicCode,
+        action:      'acknowledge',
+        performedBy: userId,
+        changes:     { old: { status: 'open' }, new: { status: 'acknowledged' } },
+        metadata:    { organizationId: alert.organizationId },
+        ipAddress,
+        userAgent
+    });
+
+    return repository.findAlertByPublicCode(publicCode);
+};
+
+/**
+ * Resolver manualmente una alerta (open | acknowledged → resolved).
+ * Si la condición persiste, el motor vuelve a dispararla en la siguiente evaluación.
+ *
+ * @param {string} publicCode
+ * @param {Object} options
+ * @param {string|null} options.organizationId
+ * @param {string} userId
+ * @param {string} ipAddress
+ * @param {string} userAgent
+ * @returns {Promise<Object>} DTO actualizado
+ */
+export const resolveAlert = async (publicCode, { organizationId = null } = {}, userId, ipAddress, userAgent) => {
+    const alert = await findScopedAlert(publicCode, organizationId);
+    if (alert.status === 'resolved') {
+        throw invalidState(alert.status);
+    }
+
+    await closeAlert(alert, { resolvedBy: userId });
+
+    await logAuditAction({
+        entityType:  'alert',
+        entityId:    publicCode,
+        action:      'resolve',
+        performedBy: userId,
+        changes:     { old: { status: alert.status }, new: { status: 'resolved' } },
+        metadata:    { organizationId: alert.organizationId },
+        ipAddress,
+        userAgent
+    });
+
+    return repository.findAlertByPublicCode(publicCode);
+};
+
+/**
+ * Obtener una alerta
+ * @param {string} publicCode
+ * @param {Object} options
+ * @param {string|null} options.organizationId
+ * @returns {Promise<Object>}
+ */
+export const getAlert = async (publicCode, { organizationId = null } = {}) => {
+    const alert = await repository.findAlertByPublicCode(publicCode, { organizationId });
+    if (!alert) {
+        throw notFound('ALERT_NOT_FOUND', 'Alerta no encontrada');
+    }
+    return alert;
+};
+
+/**
+ * Listar alertas. Traduce los filtros públicos (ARL-/CHN-) a ids internos.
+ *
+ * @param {Object} filters - { organizationId, status, severity, ruleId, channelId, from, to, limit, offset }
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listAlerts = async ({ ruleId = null, channelId = null, ...filters }) => {
+    let ruleUuid = null;
+    let channelUuid = null;
+
+    if (ruleId) {
+        ruleUuid = (await findScopedRule(ruleId, filters.organizationId)).id;
+    }
+    if (channelId) {
+        const channel = await findChannelByPublicCodeInternal(channelId);
+        if (!channel || (filters.organizationId && channel.organizationId !== filters.organizationId)) {
+            return { items: [], total: 0 };
+        }
+        channelUuid = channel.id;
+    }
+
+    return repository.listAlerts({ ...filters, ruleId: ruleUuid, channelId: channelUuid });
+};
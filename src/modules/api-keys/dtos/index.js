@@ -0,0 +1,102 @@
+import net from 'net';
+import { z } from 'zod';
+import { API_KEY_SCOPES } from '../services.js';
+
+const isIpOrCidr = (value) => {
+    const [range, bits, ...rest] = value.split('/');
+    const family = net.isIP(range);
+    if (!family || rest.length) return false;
+    if (bits === undefined) return true;
+    if (!/^\d{1,3}$/.test(bits)) return false;
+    return Number(bits) <= (family === 4 ? 32 : 128);
+};
+
+const nameSchema = z
+    .string({
+        required_error: 'Nombre es requerido'
+    })
+    .trim()
+    .min(1, 'Nombre no puede estar vacío')
+    .max(100, 'Nombre no puede exceder 100 caracteres');
+
+const scopesSchema = z
+    .array(z.enum(API_KEY_SCOPES), {
+        required_error: 'Scopes son requeridos'
+    })
+    .min(1, 'Se requiere al menos un scope');
+
+const allowedIpsSchema = z
+    .array(
+        z.string().trim().refine(isIpOrCidr, 'Debe ser una IP o un rango CIDR válido'),
+        { invalid_type_error: 'allowedIps debe ser una lista' }
+    )
+    .max(50, 'Máximo 50 IPs o rangos');
+
+const rateLimitSchema = z
+    .number()
+    .int()
+    .min(1)
+    .max(10000);
+
+const expiresAtSchema = z.coerce
+    .date()
+    .refine(date => date > new Date(), 'La fecha de vencimiento debe ser futura');
+
+const apiKeyParamsShape = {
+    id:       z.string().min(1),
+    apiKeyId: z.string().min(1)
+};
+
+/**
+ * POST /organizations/:id/api-keys
+ */
+export const createApiKeySchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    body: z.object({
+        name:               nameSchema,
+        scopes:             scopesSchema,
+        allowedIps:         allowedIpsSchema.default([]),
+        rateLimitPerMinute: rateLimitSchema.nullable().optional(),
+        expiresAt:          expiresAtSchema.nullable().optional()
+    }).strict()
+});
+
+/**
+ * GET /organizations/:id/api-keys
+ */
+export const listApiKeysSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    query: z.object({
+        status: z.enum(['active', 'expired', 'revoked']).optional(),
+        limit:  z.coerce.number().int().min(1).max(100).default(20),
+        offset: z.coerce.number().int().min(0).default(0)
+    }).optional()
+});
+
+/**
+ * GET/DELETE /organizations/:id/api-keys/:apiKeyId
+ */
+export const apiKeyParamsSchema = z.object({
+    params: z.object(apiKeyParamsShape)
+});
+
+/**
+ * PATCH /organizations/:id/api-keys/:apiKeyId
+ */
+export const updateApiKeySchema = z.object({
+    params: z.object(apiKeyParamsShape),
+    body: z.object({
+        name:               nameSchema.optional(),
+        scopes:             scopesSchema.optional(),
+        allowedIps:         allowedIpsSchema.optional(),
+        rateLimitPerMinute: rateLimitSchema.nullable().optional(),
+        expiresAt:          expiresAtSchema.nullable().optional()
+    }).strict().refine(
+        body => Object.keys(body).length > 0,
+        'Se requiere al menos un campo para actualizar'
+    )
+});
@@ -0,0 +1,7 @@
+// modules/api-keys/index.js
+// Entry point del módulo API Keys (acceso máquina a máquina por organización)
+
+import { organizationApiKeysRouter } from './routes.js';
+
+export { organizationApiKeysRouter };
+export default organizationApiKeysRouter;
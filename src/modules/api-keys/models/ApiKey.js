@@ -0,0 +1,117 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+/**
+ * API key de una organización para acceso máquina a máquina.
+ * Se guarda solo el hash SHA-256 de la key completa; key_prefix queda en claro para identificarla.
+ * Estado: activa | expirada (expires_at pasado) | revocada (revoked_at no nulo)
+ */
+const ApiKey = sequelize.define('ApiKey', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        comment: 'UUID v7 - clave primaria time-ordered'
+    },
+    publicCode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+        comment: 'Código público legible (ej: KEY-4X9-R2T). NUNCA exponer el UUID.'
+    },
+    organizationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'organizations',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a organizations - organización a la que queda fija la key'
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Nombre descriptivo (ej: "Power BI producción")'
+    },
+    keyPrefix: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'Inicio de la key en claro (ej: ecd_a1b2c3d4) para reconocerla en listados'
+    },
+    keyHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 de la key completa (nunca almacenar en claro)'
+    },
+    scopes: {
+        type: DataTypes.ARRAY(DataTypes.STRING(50)),
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Scopes <recurso>:<read|write> (ej: telemetry:read, devices:write)'
+    },
+    allowedIps: {
+        type: DataTypes.ARRAY(DataTypes.STRING(64)),
+        allowNull: false,
+        defaultValue: [],
+        comment: 'IPs o rangos CIDR permitidos (vacío = cualquier IP)'
+    },
+    rateLimitPerMinute: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Requests por minuto para esta key (null = config.apiKeys.defaultRateLimitPerMinute)'
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Vencimiento opcional (null = sin vencimiento)'
+    },
+    lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Último uso (se actualiza como mucho una vez por config.apiKeys.lastUsedThrottleSeconds)'
+    },
+    lastUsedIp: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+    },
+    createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'FK a users - admin que creó la key (autor de las acciones hechas con ella)'
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    revokedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'FK a users - admin que revocó'
+    }
+}, {
+    tableName: 'api_keys',
+    timestamps: true,
+    underscored: true,
+    paranoid: false,
+    indexes: [
+        { fields: ['public_code'], unique: true, name: 'api_keys_public_code_key' },
+        { fields: ['key_hash'], unique: true, name: 'api_keys_key_hash_key' },
+        { fields: ['organization_id', 'revoked_at'], name: 'api_keys_organization_idx' }
+    ]
+});
+
+export default ApiKey;
@@ -0,0 +1,19 @@
+/**
+ * Índice de modelos del módulo API Keys
+ */
+import ApiKey from './ApiKey.js';
+import Organization from '../../organizations/models/Organization.js';
+import User from '../../auth/models/User.js';
+
+// ApiKey → Organization (N:1)
+ApiKey.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organization' });
+
+// ApiKey → User que la creó (N:1)
+ApiKey.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+// ApiKey → User que la revocó (N:1)
+ApiKey.belongsTo(User, { foreignKey: 'revokedBy', as: 'revoker' });
+
+export { ApiKey };
+
+export default { ApiKey };
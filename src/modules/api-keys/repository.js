@@ -0,0 +1,159 @@
+// modules/api-keys/repository.js
+// Capa de acceso a datos para API keys de organizaciones
+
+import { Op } from 'sequelize';
+import { ApiKey } from './models/index.js';
+import Organization from '../organizations/models/Organization.js';
+import User from '../auth/models/User.js';
+import Role from '../auth/models/Role.js';
+
+const displayName = (user) =>
+    `${user.firstName ?? ''} ${user.lastName ?? ''}`.trim() || user.email;
+
+/**
+ * Estado efectivo de una key: revoked > expired > active
+ * @param {ApiKey} apiKey
+ * @returns {string}
+ */
+export const getEffectiveStatus = (apiKey) => {
+    if (apiKey.revokedAt) return 'revoked';
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return 'expired';
+    return 'active';
+};
+
+/**
+ * Convierte una API key a DTO público (nunca incluye hash ni UUIDs)
+ * @param {ApiKey} apiKey
+ * @returns {Object}
+ */
+export const toApiKeyDto = (apiKey) => ({
+    id: apiKey.publicCode,
+    name: apiKey.name,
+    keyPrefix: apiKey.keyPrefix,
+    scopes: apiKey.scopes,
+    allowedIps: apiKey.allowedIps,
+    rateLimitPerMinute: apiKey.rateLimitPerMinute,
+    status: getEffectiveStatus(apiKey),
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    createdBy: apiKey.creator
+        ? { id: apiKey.creator.publicCode, name: displayName(apiKey.creator) }
+        : null,
+    revokedAt: apiKey.revokedAt,
+    revokedBy: apiKey.revoker
+        ? { id: apiKey.revoker.publicCode, name: displayName(apiKey.revoker) }
+        : null,
+    createdAt: apiKey.createdAt,
+    updatedAt: apiKey.updatedAt
+});
+
+const apiKeyIncludes = [
+    { model: User, as: 'creator', attributes: ['publicCode', 'firstName', 'lastName', 'email'] },
+    { model: User, as: 'revoker', attributes: ['publicCode', 'firstName', 'lastName', 'email'] }
+];
+
+/**
+ * Crear una API key
+ * @param {Object} data - Campos del modelo ApiKey
+ * @returns {Promise<ApiKey>}
+ */
+export const createApiKey = async (data) => {
+    const apiKey = await ApiKey.create(data);
+    return ApiKey.findByPk(apiKey.id, { include: apiKeyIncludes });
+};
+
+/**
+ * Buscar una API key de una organización por public code
+ * @param {string} organizationId - UUID de la organización
+ * @param {string} publicCode
+ * @returns {Promise<ApiKey|null>}
+ */
+export const findOrganizationApiKey = async (organizationId, publicCode) =>
+    ApiKey.findOne({ where: { organizationId, publicCode }, include: apiKeyIncludes });
+
+/**
+ * Buscar una API key por hash, con la organización (autenticación)
+ * @param {string} keyHash - SHA-256 de la key completa
+ * @returns {Promise<ApiKey|null>}
+ */
+export const findApiKeyByHash = async (keyHash) =>
+    ApiKey.findOne({
+        where: { keyHash },
+        include: [{ model: Organization, as: 'organization', attributes: ['id', 'publicCode', 'isActive'] }]
+    });
+
+/**
+ * Estado actual del creador de una key (con su rol global) y de la organización de la key.
+ * Se consulta en cada request: no se cachea para que desactivaciones y bajas apliquen al instante.
+ * @param {string} userId - UUID del creador
+ * @param {string} organizationCode - Public code de la organización
+ * @returns {Promise<{ creator: User|null, organization: Organization|null }>}
+ */
+export const findApiKeyPrincipal = async (userId, organizationCode) => {
+    const [creator, organization] = await Promise.all([
+        User.findByPk(userId, {
+            attributes: ['id', 'isActive'],
+            include: [{ model: Role, as: 'role', attributes: ['name'] }]
+        }),
+        Organization.findOne({ where: { publicCode: organizationCode }, attributes: ['id', 'isActive'] })
+    ]);
+    return { creator, organization };
+};
+
+/**
+ * Listar las API keys de una organización
+ * @param {string} organizationId - UUID
+ * @param {Object} filters - { status, limit, offset }
+ * @returns {Promise<{ rows: ApiKey[], count: number }>}
+ */
+export const listOrganizationApiKeys = async (organizationId, { status = null, limit = 20, offset = 0 } = {}) => {
+    const where = { organizationId };
+    const now = new Date();
+
+    if (status === 'active') {
+        where.revokedAt = null;
+        where[Op.or] = [{ expiresAt: null }, { expiresAt: { [Op.gt]: now } }];
+    } else if (status === 'expired') {
+        where.revokedAt = null;
+        where.expiresAt = { [Op.lte]: now };
+    } else if (status === 'revoked') {
+        where.revokedAt = { [Op.ne]: null };
+    }
+
+    return ApiKey.findAndCountAll({
+        where,
+        include: apiKeyIncludes,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset,
+        distinct: true
+    });
+};
+
+/**
+ * Contar las keys vigentes (no revocadas ni vencidas) de una organización
+ * @param {string} organizationId - UUID
+ * @returns {Promise<number>}
+ */
+export const countActiveApiKeys = async (organizationId) =>
+    ApiKey.count({
+        where: {
+            organizationId,
+            revokedAt: null,
+            [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }]
+        }
+    });
+
+/**
+ * Registrar el último uso de una key
+ * @param {string} id - UUID de la key
+ * @param {string|null} ipAddress
+ * @returns {Promise<void>}
+ */
+export const touchApiKey = async (id, ipAddress) => {
+    await ApiKey.update(
+        { lastUsedAt: new Date(), lastUsedIp: ipAddress },
+        { where: { id }, silent: true }
+    );
+};
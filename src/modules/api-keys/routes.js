@@ -0,0 +1,171 @@
+// modules/api-keys/routes.js
+// Administración de API keys de una organización (montadas en /organizations/:id/api-keys)
+
+import express from 'express';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { requireOrgPermission } from '../organizations/middleware/permissions.js';
+import { findOrganizationByPublicCodeInternal } from '../organizations/repository.js';
+import { successResponse, errorResponse } from '../../utils/response.js';
+import * as services from './services.js';
+import {
+    createApiKeySchema,
+    listApiKeysSchema,
+    apiKeyParamsSchema,
+    updateApiKeySchema
+} from './dtos/index.js';
+
+/**
+ * Errores de negocio (status + clave i18n) como respuesta traducida; el resto al error handler
+ */
+const handleError = (res, next, error) => {
+    if (error.status) {
+        return errorResponse(res, {
+            message: error.message,
+            status: error.status,
+            code: error.code,
+            details: error.details ?? null
+        });
+    }
+    next(error);
+};
+
+/**
+ * requireOrgPermission no resuelve la organización para system-admin: completarla aquí
+ */
+const loadOrganization = async (req, res, next) => {
+    try {
+        if (!req.organizationInternal) {
+            const organization = await findOrganizationByPublicCodeInternal(req.params.id);
+            if (!organization) {
+                return errorResponse(res, {
+                    message: 'Organization not found',
+                    status: 404,
+                    code: 'ORGANIZATION_NOT_FOUND'
+                });
+            }
+            req.organizationInternal = organization;
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+const buildActor = (req) => ({
+    userId:    req.user.userId,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent']
+});
+
+const adminChain = [
+    authenticate,
+    requirePermission(services.API_KEY_ADMIN_PERMISSION),
+    requireOrgPermission('view'),
+    loadOrganization
+];
+
+export const organizationApiKeysRouter = express.Router();
+
+// 📄 Swagger: src/docs/swagger/api-keys.yaml -> GET /api/v1/organizations/:id/api-keys/scopes
+organizationApiKeysRouter.get(
+    '/:id/api-keys/scopes',
+    ...adminChain,
+    async (req, res) => successResponse(res, services.API_KEY_SCOPES)
+);
+
+// 📄 Swagger: src/docs/swagger/api-keys.yaml -> POST /api/v1/organizations/:id/api-keys
+organizationApiKeysRouter.post(
+    '/:id/api-keys',
+    ...adminChain,
+    validate(createApiKeySchema),
+    async (req, res, next) => {
+        try {
+            const apiKey = await services.createApiKey(req.organizationInternal, req.body, buildActor(req));
+            return successResponse(res, apiKey, 201);
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/api-keys.yaml -> GET /api/v1/organizations/:id/api-keys
+organizationApiKeysRouter.get(
+    '/:id/api-keys',
+    ...adminChain,
+    validate(listApiKeysSchema),
+    async (req, res, next) => {
+        try {
+            const limit  = req.query?.limit  ?? 20;
+            const offset = req.query?.offset ?? 0;
+
+            const result = await services.listApiKeys(req.organizationInternal, {
+                status: req.query?.status ?? null,
+                limit,
+                offset
+            });
+
+            return successResponse(res, result.items, 200, {
+                total:  result.total,
+                limit:  Number(limit),
+                offset: Number(offset)
+            });
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/api-keys.yaml -> GET /api/v1/organizations/:id/api-keys/:apiKeyId
+organizationApiKeysRouter.get(
+    '/:id/api-keys/:apiKeyId',
+    ...adminChain,
+    validate(apiKeyParamsSchema),
+    async (req, res, next) => {
+        try {
+            const apiKey = await services.getApiKey(req.organizationInternal, req.params.apiKeyId);
+            return successResponse(res, apiKey);
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/api-keys.yaml -> PATCH /api/v1/organizations/:id/api-keys/:apiKeyId
+organizationApiKeysRouter.patch(
+    '/:id/api-keys/:apiKeyId',
+    ...adminChain,
+    validate(updateApiKeySchema),
+    async (req, res, next) => {
+        try {
+            const apiKey = await services.updateApiKey(
+                req.organizationInternal,
+                req.params.apiKeyId,
+                req.body,
+                buildActor(req)
+            );
+            return successResponse(res, apiKey);
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/api-keys.yaml -> DELETE /api/v1/organizations/:id/api-keys/:apiKeyId
+organizationApiKeysRouter.delete(
+    '/:id/api-keys/:apiKeyId',
+    ...adminChain,
+    validate(apiKeyParamsSchema),
+    async (req, res, next) => {
+        try {
+            const apiKey = await services.revokeApiKey(
+                req.organizationInternal,
+                req.params.apiKeyId,
+                buildActor(req)
+            );
+            return successResponse(res, apiKey);
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
@@ -0,0 +1,422 @@
+// modules/api-keys/services.js
+// API keys por organización: emisión (se muestran una sola vez), administración
+// y autenticación de requests máquina a máquina en middleware/auth.js
+
+import crypto from 'crypto';
+import net from 'net';
+import * as repository from './repository.js';
+import { hashToken } from '../auth/refreshTokenRepository.js';
+import { canAccessOrganization } from '../organizations/services.js';
+import { getCache, setCache, deleteCache, incrWithTTL } from '../../db/redis/client.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import { generatePublicCode, generateUuidV7 } from '../../utils/identifiers.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+const apiKeysLogger = logger.child({ component: 'api-keys' });
+
+// Permiso que administra API keys (además del acceso a la organización, ver requireOrgPermission('view'))
+export const API_KEY_ADMIN_PERMISSION = 'api_keys.manage';
+
+// Rol que se asigna en req.user a los requests autenticados con API key
+export const API_KEY_ROLE = 'api-key';
+
+/**
+ * Scopes disponibles: <recurso>:<read|write>
+ * El recurso es el primer segmento de la ruta bajo /api/v1 (ver resolveRequiredScope).
+ * Las rutas de otros recursos (auth, users, organizations, ...) no aceptan API keys.
+ */
+export const API_KEY_SCOPES = [
+    'telemetry:read',
+    'devices:read',
+    'devices:write',
+    'channels:read',
+    'channels:write',
+    'sites:read',
+    'sites:write',
+    'alerts:read',
+    'alerts:write',
+    'dashboards:read',
+    'resource-hierarchy:read',
+    'resource-hierarchy:write',
+    'asset-categories:read',
+    'schedules:read',
+    'schedules:write'
+];
+
+const API_KEY_RESOURCES = new Set(API_KEY_SCOPES.map(scope => scope.split(':')[0]));
+
+// POST que solo leen datos (consultas batch y exportaciones): requieren scope de lectura
+const READ_ONLY_POST_PATHS = ['/telemetry/batch/latest', '/telemetry/export'];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const API_KEY_CACHE_PREFIX = 'ec:api_key:';
+const API_KEY_LAST_USED_PREFIX = 'ec:api_key_last_used:';
+
+const buildError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code   = code;
+    return err;
+};
+
+/**
+ * Indica si un token Bearer tiene formato de API key (los JWT empiezan con "eyJ")
+ * @param {string} token
+ * @returns {boolean}
+ */
+export const isApiKeyToken = (token) =>
+    typeof token === 'string' && token.startsWith(`${config.apiKeys.prefix}_`);
+
+/**
+ * Genera una key nueva: <prefijo>_<id>_<secreto>
+ * El id (hex) queda en claro como keyPrefix para reconocer la key en los listados.
+ * @returns {{ key: string, keyPrefix: string, keyHash: string }}
+ */
+const generateKey = () => {
+    const keyPrefix = `${config.apiKeys.prefix}_${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${keyPrefix}_${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, keyPrefix, keyHash: hashToken(key) };
+};
+
+/**
+ * Normaliza la IP del request (IPv4 mapeada en IPv6 → IPv4)
+ * @param {string|null} ip
+ * @returns {string|null}
+ */
+const normalizeIp = (ip) => {
+    if (!ip) return null;
+    return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+};
+
+/**
+ * Verifica una IP contra la allowlist (IPs exactas o rangos CIDR, IPv4 e IPv6)
+ * @param {string[]} allowedIps - Lista vacía = cualquier IP
+ * @param {string|null} ip
+ * @returns {boolean}
+ */
+export const isIpAllowed = (allowedIps, ip) => {
+    if (!allowedIps?.length) return true;
+
+    const address = normalizeIp(ip);
+    const family = net.isIP(address ?? '');
+    if (!family) return false;
+
+    const blockList = new net.BlockList();
+    for (const entry of allowedIps) {
+        const [range, bits] = entry.split('/');
+        const type = net.isIPv4(range) ? 'ipv4' : 'ipv6';
+        if (bits === undefined) {
+            blockList.addAddress(range, type);
+        } else {
+            blockList.addSubnet(range, parseInt(bits, 10), type);
+        }
+    }
+
+    return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Scope que requiere un request según recurso y método
+ * @param {string} originalUrl - URL original del request (ej: /api/v1/telemetry/channels/CHN-1/data?from=...)
+ * @param {string} method - Método HTTP
+ * @returns {string|null} Scope requerido, o null si el recurso no admite API keys
+ */
+export const resolveRequiredScope = (originalUrl, method) => {
+    const path = originalUrl.split('?')[0].replace(/^\/api\/v\d+/, '');
+    const resource = path.split('/')[1];
+    if (!API_KEY_RESOURCES.has(resource)) return null;
+
+    const isRead = READ_METHODS.includes(method)
+        || (method === 'POST' && READ_ONLY_POST_PATHS.some(readPath => path === readPath || path.startsWith(`${readPath}/`)));
+
+    return `${resource}:${isRead ? 'read' : 'write'}`;
+};
+
+/**
+ * Datos de la key que se cachean por hash (sin el hash ni datos de usuarios).
+ * El estado de la organización y del creador no se cachea: se verifica en cada request.
+ * @param {ApiKey} apiKey - Con organización incluida
+ * @returns {Object}
+ */
+const toCachedKey = (apiKey) => ({
+    id: apiKey.id,
+    publicCode: apiKey.publicCode,
+    name: apiKey.name,
+    organizationCode: apiKey.organization?.publicCode ?? null,
+    scopes: apiKey.scopes,
+    allowedIps: apiKey.allowedIps,
+    rateLimitPerMinute: apiKey.rateLimitPerMinute,
+    expiresAt: apiKey.expiresAt,
+    revokedAt: apiKey.revokedAt,
+    createdBy: apiKey.createdBy
+});
+
+const loadKeyByHash = async (keyHash) => {
+    const cacheKey = `${API_KEY_CACHE_PREFIX}${keyHash}`;
+    try {
+        const cached = await getCache(cacheKey);
+        if (cached) return typeof cached === 'string' ? JSON.parse(cached) : cached;
+    } catch (error) {
+        apiKeysLogger.warn({ err: error }, 'API key cache unavailable, falling back to DB');
+    }
+
+    const apiKey = await repository.findApiKeyByHash(keyHash);
+    if (!apiKey) return null;
+
+    const data = toCachedKey(apiKey);
+    try {
+        await setCache(cacheKey, JSON.stringify(data), config.apiKeys.cacheTTLSeconds);
+    } catch {
+        // Cache best-effort
+    }
+    return data;
+};
+
+const invalidateKeyCache = async (apiKey) => {
+    try {
+        await deleteCache(`${API_KEY_CACHE_PREFIX}${apiKey.keyHash}`);
+    } catch (error) {
+        apiKeysLogger.error({ err: error, apiKeyId: apiKey.publicCode }, 'Error invalidating API key cache');
+    }
+};
+
+/**
+ * Actualiza last_used_at como mucho una vez por ventana (contador Redis); nunca bloquea el request
+ * @param {Object} key - Key cacheada
+ * @param {string|null} ipAddress
+ */
+const trackLastUsed = (key, ipAddress) => {
+    incrWithTTL(`${API_KEY_LAST_USED_PREFIX}${key.id}`, config.apiKeys.lastUsedThrottleSeconds)
+        .then(count => (count === 1 ? repository.touchApiKey(key.id, ipAddress) : null))
+        .catch(error => apiKeysLogger.error({ err: error, apiKeyId: key.publicCode }, 'Error tracking API key usage'));
+};
+
+/**
+ * Verifica que la key siga actuando en nombre de alguien válido: la organización activa
+ * y el creador activo y con acceso a la organización (si lo desactivan o lo quitan
+ * de la organización, sus keys dejan de funcionar)
+ *
+ * @param {Object} apiKey - Key cacheada
+ * @returns {Promise<string|null>} Rol global del creador
+ */
+const verifyApiKeyPrincipal = async (apiKey) => {
+    const { creator, organization } = await repository.findApiKeyPrincipal(apiKey.createdBy, apiKey.organizationCode);
+
+    if (!organization?.isActive) {
+        throw buildError(403, 'ORGANIZATION_INACTIVE', 'auth.organization.inactive');
+    }
+    if (!creator?.isActive) {
+        apiKeysLogger.warn({ apiKeyId: apiKey.publicCode }, 'API key whose creator is inactive or deleted');
+        throw buildError(403, 'API_KEY_CREATOR_INACTIVE', 'auth.api_key.creator_inactive');
+    }
+
+    const creatorRole = creator.role?.name ?? null;
+    if (!await canAccessOrganization(creator.id, organization.id, creatorRole)) {
+        apiKeysLogger.warn({ apiKeyId: apiKey.publicCode }, 'API key whose creator no longer belongs to the organization');
+        throw buildError(403, 'API_KEY_CREATOR_NOT_MEMBER', 'auth.api_key.creator_not_member');
+    }
+
+    return creatorRole;
+};
+
+/**
+ * Autentica una API key y construye el req.user equivalente al de un JWT de sesión
+ *
+ * - tokenType 'api_key': enforceActiveOrganization fija el contexto a la organización de la key
+ * - userId = admin que creó la key (autor de las acciones en auditoría)
+ * - role = API_KEY_ROLE: el acceso se controla por scopes, acotado por creatorRole
+ *   (rol global del creador: la key nunca pasa un authorize() que el creador no pasaría)
+ *
+ * @param {string} key - Key completa recibida en el header
+ * @param {string|null} ipAddress - IP del request
+ * @returns {Promise<Object>} Datos para req.user
+ */
+export const authenticateApiKey = async (key, ipAddress) => {
+    const apiKey = await loadKeyByHash(hashToken(key));
+
+    if (!apiKey) {
+        throw buildError(401, 'INVALID_API_KEY', 'auth.api_key.invalid');
+    }
+    if (apiKey.revokedAt) {
+        throw buildError(401, 'API_KEY_REVOKED', 'auth.api_key.revoked');
+    }
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+        throw buildError(401, 'API_KEY_EXPIRED', 'auth.api_key.expired');
+    }
+    if (!isIpAllowed(apiKey.allowedIps, ipAddress)) {
+        apiKeysLogger.warn({ apiKeyId: apiKey.publicCode, ipAddress }, 'API key used from a non-allowed IP');
+        throw buildError(403, 'API_KEY_IP_NOT_ALLOWED', 'auth.api_key.ip_not_allowed');
+    }
+
+    const creatorRole = await verifyApiKeyPrincipal(apiKey);
+
+    trackLastUsed(apiKey, normalizeIp(ipAddress));
+
+    return {
+        userId: apiKey.createdBy,
+        userPublicCode: null,
+        email: null,
+        firstName: apiKey.name,
+        lastName: '',
+        role: API_KEY_ROLE,
+        creatorRole,
+        tokenType: 'api_key',
+        clientId: apiKey.publicCode,
+        organizationId: apiKey.organizationCode,
+        activeOrgCode: apiKey.organizationCode,
+        canAccessAllOrgs: false,
+        scopes: apiKey.scopes,
+        rateLimitPerMinute: apiKey.rateLimitPerMinute ?? config.apiKeys.defaultRateLimitPerMinute
+    };
+};
+
+/**
+ * Crear una API key. La key completa se devuelve solo en esta respuesta.
+ *
+ * @param {Object} organization - Organización (modelo interno, con UUID)
+ * @param {Object} data - { name, scopes, allowedIps, rateLimitPerMinute, expiresAt } validado con createApiKeySchema
+ * @param {Object} actor - { userId, ipAddress, userAgent }
+ * @returns {Promise<Object>} DTO de la key + `key` en texto plano
+ */
+export const createApiKey = async (organization, data, actor) => {
+    const activeCount = await repository.countActiveApiKeys(organization.id);
+    if (activeCount >= config.apiKeys.maxPerOrganization) {
+        const err = buildError(409, 'API_KEY_LIMIT_REACHED', 'api_keys.limit_reached');
+        err.details = { limit: config.apiKeys.maxPerOrganization };
+        throw err;
+    }
+
+    const { key, keyPrefix, keyHash } = generateKey();
+    const publicCode = generatePublicCode('KEY');
+
+    const apiKey = await repository.createApiKey({
+        id: generateUuidV7(),
+        publicCode,
+        organizationId: organization.id,
+        name: data.name,
+        keyPrefix,
+        keyHash,
+        scopes: [...new Set(data.scopes)],
+        allowedIps: data.allowedIps ?? [],
+        rateLimitPerMinute: data.rateLimitPerMinute ?? null,
+        expiresAt: data.expiresAt ?? null,
+        createdBy: actor.userId
+    });
+
+    await logAuditAction({
+        entityType:  'api_key',
+        entityId:    publicCode,
+        action:      'api_key_created',
+        performedBy: actor.userId,
+        changes:     {
+            name: apiKey.name,
+            scopes: apiKey.scopes,
+            allowedIps: apiKey.allowedIps,
+            rateLimitPerMinute: apiKey.rateLimitPerMinute,
+            expiresAt: apiKey.expiresAt
+        },
+        metadata:    { organizationId: organization.publicCode, keyPrefix },
+        ipAddress: actor.ipAddress,
+        userAgent: actor.userAgent
+    });
+
+    return { ...repository.toApiKeyDto(apiKey), key };
+};
+
+/**
+ * Listar las API keys de una organización
+ * @param {Object} organization - Modelo interno
+ * @param {Object} filters - { status, limit, offset }
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listApiKeys = async (organization, filters) => {
+    const { rows, count } = await repository.listOrganizationApiKeys(organization.id, filters);
+    return { items: rows.map(repository.toApiKeyDto), total: count };
+};
+
+const findKeyOrFail = async (organization, apiKeyId) => {
+    const apiKey = await repository.findOrganizationApiKey(organization.id, apiKeyId);
+    if (!apiKey) {
+        throw buildError(404, 'API_KEY_NOT_FOUND', 'api_keys.not_found');
+    }
+    return apiKey;
+};
+
+/**
+ * Detalle de una API key
+ * @param {Object} organization - Modelo interno
+ * @param {string} apiKeyId - Public code
+ * @returns {Promise<Object>}
+ */
+export const getApiKey = async (organization, apiKeyId) =>
+    repository.toApiKeyDto(await findKeyOrFail(organization, apiKeyId));
+
+/**
+ * Actualizar nombre, scopes, allowlist de IPs, límite o vencimiento de una key vigente
+ * @param {Object} organization - Modelo interno
+ * @param {string} apiKeyId - Public code
+ * @param {Object} data - Campos validados con updateApiKeySchema
+ * @param {Object} actor - { userId, ipAddress, userAgent }
+ * @returns {Promise<Object>}
+ */
+export const updateApiKey = async (organization, apiKeyId, data, actor) => {
+    const apiKey = await findKeyOrFail(organization, apiKeyId);
+    if (apiKey.revokedAt) {
+        throw buildError(409, 'API_KEY_REVOKED', 'api_keys.already_revoked');
+    }
+
+    const updates = { ...data };
+    if (updates.scopes) updates.scopes = [...new Set(updates.scopes)];
+
+    const changes = {};
+    for (const [field, value] of Object.entries(updates)) {
+        changes[field] = { old: apiKey[field], new: value };
+    }
+
+    await apiKey.update(updates);
+    await invalidateKeyCache(apiKey);
+
+    await logAuditAction({
+        entityType:  'api_key',
+        entityId:    apiKey.publicCode,
+        action:      'api_key_updated',
+        performedBy: actor.userId,
+        changes,
+        metadata:    { organizationId: organization.publicCode },
+        ipAddress: actor.ipAddress,
+        userAgent: actor.userAgent
+    });
+
+    return repository.toApiKeyDto(await repository.findOrganizationApiKey(organization.id, apiKey.publicCode));
+};
+
+/**
+ * Revocar una API key (efecto inmediato: se invalida el cache por hash)
+ * @param {Object} organization - Modelo interno
+ * @param {string} apiKeyId - Public code
+ * @param {Object} actor - { userId, ipAddress, userAgent }
+ * @returns {Promise<Object>}
+ */
+export const revokeApiKey = async (organization, apiKeyId, actor) => {
+    const apiKey = await findKeyOrFail(organization, apiKeyId);
+    if (apiKey.revokedAt) {
+        throw buildError(409, 'API_KEY_REVOKED', 'api_keys.already_revoked');
+    }
+
+    await apiKey.update({ revokedAt: new Date(), revokedBy: actor.userId });
+    await invalidateKeyCache(apiKey);
+
+    await logAuditAction({
+        entityType:  'api_key',
+        entityId:    apiKey.publicCode,
+        action:      'api_key_revoked',
+        performedBy: actor.userId,
+        metadata:    { organizationId: organization.publicCode, keyPrefix: apiKey.keyPrefix },
+        ipAddress: actor.ipAddress,
+        userAgent: actor.userAgent
+    });
+
+    return repository.toApiKeyDto(await repository.findOrganizationApiKey(organization.id, apiKey.publicCode));
+};
@@ -0,0 +1,66 @@
+// modules/api-keys/services.test.js
+// Tests de la allowlist de IPs y de la resolución de scopes de las API keys (modules/api-keys/services.js)
+
+import { describe, it, expect } from 'vitest';
+import { isIpAllowed, resolveRequiredScope, API_KEY_SCOPES } from './services.js';
+
+describe('isIpAllowed', () => {
+    it('sin allowlist acepta cualquier IP', () => {
+        expect(isIpAllowed([], '203.0.113.7')).toBe(true);
+        expect(isIpAllowed(null, null)).toBe(true);
+    });
+
+    it('acepta IPs exactas y rangos CIDR IPv4', () => {
+        const allowed = ['203.0.113.7', '10.20.0.0/16'];
+        expect(isIpAllowed(allowed, '203.0.113.7')).toBe(true);
+        expect(isIpAllowed(allowed, '10.20.255.1')).toBe(true);
+        expect(isIpAllowed(allowed, '203.0.113.8')).toBe(false);
+        expect(isIpAllowed(allowed, '10.21.0.1')).toBe(false);
+    });
+
+    it('normaliza IPv4 mapeada en IPv6', () => {
+        expect(isIpAllowed(['10.20.0.0/16'], '::ffff:10.20.3.4')).toBe(true);
+    });
+
+    it('acepta rangos IPv6', () => {
+        expect(isIpAllowed(['2001:db8::/32'], '2001:db8:1::5')).toBe(true);
+        expect(isIpAllowed(['2001:db8::/32'], '2001:db9::5')).toBe(false);
+    });
+
+    it('rechaza IPs ausentes o inválidas si hay allowlist', () => {
+        expect(isIpAllowed(['203.0.113.7'], null)).toBe(false);
+        expect(isIpAllowed(['203.0.113.7'], 'localhost')).toBe(false);
+    });
+});
+
+describe('resolveRequiredScope', () => {
+    it('usa el primer segmento bajo /api/vN como recurso', () => {
+        expect(resolveRequiredScope('/api/v1/devices/DEV-1?limit=10', 'GET')).toBe('devices:read');
+        expect(resolveRequiredScope('/api/v1/devices/DEV-1', 'PATCH')).toBe('devices:write');
+        expect(resolveRequiredScope('/api/v2/sites', 'POST')).toBe('sites:write');
+    });
+
+    it('HEAD y OPTIONS son lecturas', () => {
+        expect(resolveRequiredScope('/api/v1/alerts', 'HEAD')).toBe('alerts:read');
+        expect(resolveRequiredScope('/api/v1/alerts', 'OPTIONS')).toBe('alerts:read');
+    });
+
+    it('los POST de solo lectura de telemetría requieren scope de lectura', () => {
+        expect(resolveRequiredScope('/api/v1/telemetry/batch/latest', 'POST')).toBe('telemetry:read');
+        expect(resolveRequiredScope('/api/v1/telemetry/export?format=csv', 'POST')).toBe('telemetry:read');
+        expect(resolveRequiredScope('/api/v1/telemetry/exported', 'POST')).toBe('telemetry:write');
+    });
+
+    it('devuelve null para recursos que no admiten API keys', () => {
+        expect(resolveRequiredScope('/api/v1/users', 'GET')).toBeNull();
+        expect(resolveRequiredScope('/api/v1/organizations/ORG-1/api-keys', 'POST')).toBeNull();
+        expect(resolveRequiredScope('/api/v1/auth/me', 'GET')).toBeNull();
+    });
+
+    it('todo scope resuelto para lecturas existe en el catálogo', () => {
+        const resources = new Set(API_KEY_SCOPES.map(scope => scope.split(':')[0]));
+        for (const resource of resources) {
+            expect(API_KEY_SCOPES).toContain(resolveRequiredScope(`/api/v1/${resource}`, 'GET'));
+        }
+    });
+});
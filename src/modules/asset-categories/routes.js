@@ -2,7 +2,7 @@
 // Rutas REST para el módulo de AssetCategory (Tags jerárquicos)
 
 import express from 'express';
-import { authenticate, requireRole } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import { validate } from '../../middleware/validate.js';
 import { enforceActiveOrganization } from '../../middleware/enforceActiveOrganization.js';
 import * as categoryServices from './services.js';
@@ -69,7 +69,7 @@ router.post(
   '/organization',
   authenticate,
   enforceActiveOrganization,
-  requireRole(['system-admin', 'org-admin']),
+  requirePermission('asset_categories.create'),
   validate(createOrganizationCategorySchema),
   async (req, res) => {
     try {
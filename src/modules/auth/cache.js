@@ -1,4 +1,4 @@
-import { getCache, setCache, deleteCache } from '../../db/redis/client.js';
+import { getCache, setCache, deleteCache, incrWithTTL, getAndDeleteCache } from '../../db/redis/client.js';
 import { dbLogger } from '../../utils/logger.js';
 
 const USER_CACHE_PREFIX = 'ec:user:';
@@ -107,3 +107,86 @@ export const setUserIdByPublicCode = async (publicCode, userId) => {
         return false;
     }
 };
+
+// Contador de reenvíos del email de verificación (ventana de 1 hora por usuario)
+const EMAIL_VERIFICATION_COUNT_PREFIX = 'ec:auth:email_verify:';
+const EMAIL_VERIFICATION_WINDOW_TTL = 3600;
+
+export const countEmailVerificationRequest = async (userId) => {
+    try {
+        return await incrWithTTL(`${EMAIL_VERIFICATION_COUNT_PREFIX}${userId}`, EMAIL_VERIFICATION_WINDOW_TTL);
+    } catch (error) {
+        dbLogger.error({ error, userId }, 'Error al contar solicitudes de verificación de email');
+        return 0;
+    }
+};
+
+
+// Challenges de login con 2FA: estado entre /auth/login y /auth/login/2fa (clave = hash del challenge token)
+const TWO_FACTOR_CHALLENGE_PREFIX = 'ec:auth:2fa_challenge:';
+const TWO_FACTOR_ATTEMPTS_PREFIX = 'ec:auth:2fa_attempts:';
+
+export const setTwoFactorChallenge = async (challengeHash, data, ttlSeconds) => {
+    try {
+        await setCache(`${TWO_FACTOR_CHALLENGE_PREFIX}${challengeHash}`, JSON.stringify(data), ttlSeconds);
+        return true;
+    } catch (error) {
+        dbLogger.error({ error }, 'Error al guardar challenge 2FA');
+        return false;
+    }
+};
+
+export const getTwoFactorChallenge = async (challengeHash) => {
+    try {
+        const cached = await getCache(`${TWO_FACTOR_CHALLENGE_PREFIX}${challengeHash}`);
+        return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+        dbLogger.error({ error }, 'Error al obtener challenge 2FA');
+        return null;
+    }
+};
+
+export const deleteTwoFactorChallenge = async (challengeHash) => {
+    try {
+        await deleteCache(`${TWO_FACTOR_CHALLENGE_PREFIX}${challengeHash}`);
+        await deleteCache(`${TWO_FACTOR_ATTEMPTS_PREFIX}${challengeHash}`);
+        return true;
+    } catch (error) {
+        dbLogger.error({ error }, 'Error al eliminar challenge 2FA');
+        return false;
+    }
+};
+
+// Si Redis falla se devuelve Infinity: sin contador no se aceptan más intentos (fail closed)
+export const countTwoFactorAttempt = async (challengeHash, ttlSeconds) => {
+    try {
+        return await incrWithTTL(`${TWO_FACTOR_ATTEMPTS_PREFIX}${challengeHash}`, ttlSeconds);
+    } catch (error) {
+        dbLogger.error({ error }, 'Error al contar intentos de challenge 2FA');
+        return Infinity;
+    }
+};
+
+// Estado de un login SSO entre /auth/sso/start y /auth/sso/callback (clave = hash del state; un solo uso)
+const SSO_STATE_PREFIX = 'ec:auth:sso_state:';
+
+export const setSsoState = async (stateHash, data, ttlSeconds) => {
+    try {
+        await setCache(`${SSO_STATE_PREFIX}${stateHash}`, JSON.stringify(data), ttlSeconds);
+        return true;
+    } catch (error) {
+        dbLogger.error({ error }, 'Error al guardar state SSO');
+        return false;
+    }
+};
+
+export const consumeSsoState = async (stateHash) => {
+    try {
+        const cached = await getAndDeleteCache(`${SSO_STATE_PREFIX}${stateHash}`);
+        if (!cached) return null;
+        return typeof cached === 'string' ? JSON.parse(cached) : cached;
+    } catch (error) {
+        dbLogger.error({ error }, 'Error al consumir state SSO');
+        return null;
+    }
+};
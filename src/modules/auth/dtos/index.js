@@ -22,11 +22,7 @@ export const registerSchema = z.object({
                 required_error: 'Password es requerido'
             })
             .min(8, 'Password debe tener al menos 8 caracteres')
-            .max(100, 'Password no puede exceder 100 caracteres')
-            .regex(
-                /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
-                'Password debe contener al menos una mayúscula, una minúscula y un número'
-            ),
+            .max(100, 'Password no puede exceder 100 caracteres'),
         firstName: z
             .string({
                 required_error: 'Nombre es requerido'
@@ -131,10 +127,36 @@ export const changePasswordSchema = z.object({
             })
             .min(8, 'Nuevo password debe tener al menos 8 caracteres')
             .max(100, 'Nuevo password no puede exceder 100 caracteres')
-            .regex(
-                /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
-                'Nuevo password debe contener al menos una mayúscula, una minúscula y un número'
-            )
+    })
+});
+
+/**
+ * Schema para cambiar un password vencido (sin sesión)
+ * POST /auth/change-expired-password
+ *
+ * La composición del nuevo password (clases de caracteres, filtradas, historial) la valida la
+ * política de contraseñas de las organizaciones del usuario (passwordPolicyServices).
+ */
+export const changeExpiredPasswordSchema = z.object({
+    body: z.object({
+        identifier: z
+            .string({
+                required_error: 'Email o nombre de usuario es requerido'
+            })
+            .min(1, 'Email o nombre de usuario no puede estar vacío')
+            .max(255, 'Identificador demasiado largo')
+            .trim(),
+        currentPassword: z
+            .string({
+                required_error: 'Password actual es requerido'
+            })
+            .min(1, 'Password actual no puede estar vacío'),
+        newPassword: z
+            .string({
+                required_error: 'Nuevo password es requerido'
+            })
+            .min(8, 'Nuevo password debe tener al menos 8 caracteres')
+            .max(100, 'Nuevo password no puede exceder 100 caracteres')
     })
 });
 
@@ -171,10 +193,241 @@ export const resetPasswordSchema = z.object({
             })
             .min(8, 'Nuevo password debe tener al menos 8 caracteres')
             .max(100, 'Nuevo password no puede exceder 100 caracteres')
-            .regex(
-                /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
-                'Nuevo password debe contener al menos una mayúscula, una minúscula y un número'
-            )
+    })
+});
+
+/**
+ * Schema para confirmar email con el token del enlace de verificación
+ * POST /auth/verify-email
+ */
+export const verifyEmailSchema = z.object({
+    body: z.object({
+        token: z
+            .string({
+                required_error: 'Token es requerido'
+            })
+            .min(1, 'Token no puede estar vacío')
+    })
+});
+
+const totpCodeSchema = z
+    .string()
+    .trim()
+    .regex(/^\d{6}$/, 'El código debe tener 6 dígitos');
+
+const recoveryCodeSchema = z
+    .string()
+    .trim()
+    .min(10, 'Recovery code inválido')
+    .max(20, 'Recovery code inválido');
+
+const challengeTokenSchema = z
+    .string({
+        required_error: 'challengeToken es requerido'
+    })
+    .min(1, 'challengeToken no puede estar vacío');
+
+/**
+ * Schema para segundo paso del login con 2FA
+ * POST /auth/login/2fa
+ * Se envía code (TOTP) o recoveryCode, no ambos
+ */
+export const loginTwoFactorSchema = z.object({
+    body: z.object({
+        challengeToken: challengeTokenSchema,
+        code: totpCodeSchema.optional(),
+        recoveryCode: recoveryCodeSchema.optional()
+    }).refine(
+        (data) => Boolean(data.code) !== Boolean(data.recoveryCode),
+        { message: 'Se requiere code o recoveryCode', path: ['code'] }
+    )
+});
+
+/**
+ * Schema para enrolarse durante el login (2FA exigido por la organización)
+ * POST /auth/login/2fa/setup
+ */
+export const loginTwoFactorSetupSchema = z.object({
+    body: z.object({
+        challengeToken: challengeTokenSchema
+    })
+});
+
+/**
+ * Schema para confirmar el enrolamiento o regenerar recovery codes
+ * POST /auth/2fa/confirm, POST /auth/2fa/recovery-codes
+ */
+export const twoFactorCodeSchema = z.object({
+    body: z.object({
+        code: totpCodeSchema
+    })
+});
+
+/**
+ * Schema para desactivar 2FA
+ * POST /auth/2fa/disable
+ */
+export const disableTwoFactorSchema = z.object({
+    body: z.object({
+        password: z
+            .string({
+                required_error: 'Password es requerido'
+            })
+            .min(1, 'Password no puede estar vacío'),
+        code: totpCodeSchema.optional(),
+        recoveryCode: recoveryCodeSchema.optional()
+    }).refine(
+        (data) => Boolean(data.code) !== Boolean(data.recoveryCode),
+        { message: 'Se requiere code o recoveryCode', path: ['code'] }
+    )
+});
+
+const ssoEmailSchema = z
+    .string({
+        invalid_type_error: 'Email debe ser un string'
+    })
+    .email('Formato de email inválido')
+    .toLowerCase()
+    .trim();
+
+/**
+ * Schema para consultar si el dominio del email tiene SSO
+ * POST /auth/sso/discover
+ */
+export const ssoDiscoverSchema = z.object({
+    body: z.object({
+        email: ssoEmailSchema
+    })
+});
+
+/**
+ * Schema para iniciar un login SSO
+ * POST /auth/sso/start
+ * El proveedor se elige por el dominio del email o por el publicCode de la organización
+ */
+export const ssoStartSchema = z.object({
+    body: z.object({
+        email: ssoEmailSchema.optional(),
+        organizationId: z
+            .string()
+            .min(1, 'organizationId no puede estar vacío')
+            .optional(),
+        rememberMe: z
+            .boolean()
+            .optional()
+            .default(false)
+    }).refine(
+        (data) => Boolean(data.email) || Boolean(data.organizationId),
+        { message: 'Se requiere email u organizationId', path: ['email'] }
+    )
+});
+
+/**
+ * Schema para vincular la cuenta autenticada con su identidad en el IdP de una organización
+ * POST /auth/sso/link
+ * Sin organizationId el proveedor se elige por el dominio del email de la cuenta
+ */
+export const ssoLinkSchema = z.object({
+    body: z.object({
+        organizationId: z
+            .string()
+            .min(1, 'organizationId no puede estar vacío')
+            .optional()
+    })
+});
+
+/**
+ * Schema para completar un login SSO con los parámetros que el IdP envió al callback del frontend
+ * POST /auth/sso/callback
+ */
+export const ssoCallbackSchema = z.object({
+    body: z.object({
+        code: z
+            .string({
+                required_error: 'code es requerido'
+            })
+            .min(1, 'code no puede estar vacío')
+            .max(2048, 'code no puede exceder 2048 caracteres'),
+        state: z
+            .string({
+                required_error: 'state es requerido'
+            })
+            .min(1, 'state no puede estar vacío')
+            .max(512, 'state no puede exceder 512 caracteres')
+    })
+});
+
+const domainSchema = z
+    .string()
+    .trim()
+    .toLowerCase()
+    .regex(/^(?=.{1,255}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/, 'Dominio inválido');
+
+/**
+ * Schema para configurar el proveedor SSO de una organización
+ * PUT /organizations/:id/security/sso
+ * clientSecret: omitido conserva el actual, null lo elimina (cliente público con PKCE)
+ * isEnabled: solo con todos los allowedDomains verificados (POST /organizations/:id/security/sso/verify-domains)
+ */
+export const ssoProviderSchema = z.object({
+    body: z.object({
+        displayName: z
+            .string({
+                required_error: 'displayName es requerido'
+            })
+            .trim()
+            .min(1, 'displayName no puede estar vacío')
+            .max(100, 'displayName no puede exceder 100 caracteres'),
+        issuer: z
+            .string({
+                required_error: 'issuer es requerido'
+            })
+            .url('issuer debe ser una URL válida')
+            .max(500, 'issuer no puede exceder 500 caracteres')
+            .refine((value) => value.startsWith('https://'), 'issuer debe usar https'),
+        clientId: z
+            .string({
+                required_error: 'clientId es requerido'
+            })
+            .trim()
+            .min(1, 'clientId no puede estar vacío')
+            .max(255, 'clientId no puede exceder 255 caracteres'),
+        clientSecret: z
+            .string()
+            .min(1, 'clientSecret no puede estar vacío')
+            .max(1000, 'clientSecret no puede exceder 1000 caracteres')
+            .nullable()
+            .optional(),
+        scopes: z
+            .array(z.string().regex(/^[\w:./-]{1,50}$/, 'Scope inválido'))
+            .max(20, 'Máximo 20 scopes')
+            .optional()
+            .default(['openid', 'email', 'profile'])
+            .refine((scopes) => scopes.includes('openid'), 'scopes debe incluir openid'),
+        allowedDomains: z
+            .array(domainSchema, {
+                required_error: 'allowedDomains es requerido'
+            })
+            .min(1, 'Se requiere al menos un dominio')
+            .max(50, 'Máximo 50 dominios'),
+        jitProvisioning: z
+            .boolean()
+            .optional()
+            .default(true),
+        defaultRoleInOrg: z
+            .enum(['admin', 'member', 'viewer'], {
+                errorMap: () => ({ message: 'defaultRoleInOrg debe ser admin, member o viewer' })
+            })
+            .optional()
+            .default('member'),
+        waiveLocalTwoFactor: z
+            .boolean()
+            .optional()
+            .default(false),
+        isEnabled: z
+            .boolean()
+            .optional()
+            .default(false)
     })
 });
 
@@ -221,3 +474,52 @@ export const switchOrgSchema = z.object({
             .min(1, 'organizationId no puede estar vacío')
     })
 });
+
+/**
+ * Schema para listar eventos de seguridad
+ * GET /auth/security-events
+ *
+ * scope=organization requiere el permiso security_events.view
+ * type acepta varios tipos separados por coma (ej: "new_device,impossible_travel")
+ */
+export const listSecurityEventsSchema = z.object({
+    query: z.object({
+        scope: z.enum(['self', 'organization']).default('self'),
+        type: z
+            .string()
+            .max(300)
+            .transform(value => value.split(',').map(item => item.trim()).filter(Boolean))
+            .optional(),
+        severity: z.enum(['info', 'low', 'medium', 'high']).optional(),
+        user: z.string().min(1).max(50).optional(),
+        from: z.string().datetime({ offset: true, message: 'from debe ser una fecha ISO 8601 válida' }).optional(),
+        to: z.string().datetime({ offset: true, message: 'to debe ser una fecha ISO 8601 válida' }).optional(),
+        limit: z.coerce.number().int().min(1).max(100).default(20),
+        offset: z.coerce.number().int().min(0).default(0)
+    }).default({})
+});
+
+/**
+ * Schema para la política de contraseñas de una organización
+ * PUT /organizations/:id/security/password-policy
+ *
+ * Campos omitidos no cambian; null vuelve a la base de la plataforma.
+ * expiryDays / historyCount / lockoutThreshold en 0 desactivan la regla.
+ */
+export const passwordPolicySchema = z.object({
+    body: z.object({
+        minLength: z.number().int().min(8, 'minLength mínimo 8').max(64, 'minLength máximo 64').nullable().optional(),
+        requireUppercase: z.boolean().nullable().optional(),
+        requireLowercase: z.boolean().nullable().optional(),
+        requireNumber: z.boolean().nullable().optional(),
+        requireSymbol: z.boolean().nullable().optional(),
+        checkBreached: z.boolean().nullable().optional(),
+        expiryDays: z.number().int().min(0).max(3650, 'expiryDays máximo 3650').nullable().optional(),
+        historyCount: z.number().int().min(0).max(24, 'historyCount máximo 24').nullable().optional(),
+        lockoutThreshold: z.number().int().min(0).max(100, 'lockoutThreshold máximo 100').nullable().optional(),
+        lockoutDurationMinutes: z.number().int().min(1).max(1440, 'lockoutDurationMinutes máximo 1440').nullable().optional()
+    }).strict().refine(
+        (data) => Object.keys(data).length > 0,
+        { message: 'Se requiere al menos un campo de la política' }
+    )
+});
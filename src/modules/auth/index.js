@@ -3,17 +3,35 @@
 
 import express from 'express';
 import * as authServices from './services.js';
+import * as twoFactorServices from './twoFactorServices.js';
+import * as ssoServices from './ssoServices.js';
+import * as securityEventServices from './securityEventServices.js';
+import * as rolesServices from '../roles/services.js';
 import { validate } from '../../middleware/validate.js';
-import { authenticate, requireRole } from '../../middleware/auth.js';
-import { loginRateLimitMiddleware, resetLoginCounters, recordFailedLogin } from '../../middleware/loginRateLimit.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+import { enforceActiveOrganization } from '../../middleware/enforceActiveOrganization.js';
+import { loginRateLimitMiddleware, passwordResetRateLimitMiddleware, resetLoginCounters, recordFailedLogin } from '../../middleware/loginRateLimit.js';
 import { 
     registerSchema, 
     loginSchema, 
     refreshTokenSchema,
     changePasswordSchema,
+    changeExpiredPasswordSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    loginTwoFactorSchema,
+    loginTwoFactorSetupSchema,
+    twoFactorCodeSchema,
+    disableTwoFactorSchema,
+    ssoDiscoverSchema,
+    ssoStartSchema,
+    ssoLinkSchema,
+    ssoCallbackSchema,
     logoutSchema,
     revokeSessionSchema,
-    switchOrgSchema
+    switchOrgSchema,
+    listSecurityEventsSchema
 } from './dtos/index.js';
 import { successResponse, errorResponse } from '../../utils/response.js';
 import * as authRepository from './repository.js';
@@ -25,6 +43,63 @@ import { authLogger } from '../../utils/logger.js';
 
 const router = express.Router();
 
+/**
+ * Registrar un login fallido: contadores de rate limiting y eventos de seguridad
+ * (fallos repetidos y bloqueo del identificador)
+ * @param {Object} req - Express request
+ * @param {string} ip - IP del cliente
+ * @param {string} identifier - Email o username intentado
+ */
+const registerFailedLogin = async (req, ip, identifier) => {
+    const failure = await recordFailedLogin(ip, identifier);
+    await securityEventServices.recordLoginFailure({
+        identifier,
+        ipAddress: ip,
+        userAgent: req.headers['user-agent'],
+        ...failure
+    });
+};
+
+/**
+ * Aplica un middleware solo cuando el listado pide scope=organization
+ * @param {Function} middleware - Middleware de Express
+ * @returns {Function}
+ */
+const forOrganizationScope = (middleware) => (req, res, next) =>
+    (req.query.scope === 'organization' ? middleware(req, res, next) : next());
+
+/**
+ * Respuesta de un login completo (POST /login, POST /login/2fa y POST /sso/callback)
+ * @param {Object} result - Resultado de authServices.login / completeTwoFactorLogin / ssoServices.completeLogin
+ * @returns {Promise<Object>}
+ */
+const buildLoginResponse = async (result) => {
+    // Session context ya fue cacheado en services.js login()
+    // Leer el contexto para incluirlo en la respuesta
+    const sessionContext = await sessionContextCache.getSessionContext(result.user.id);
+
+    // Filtrar user a solo campos relevantes para el frontend
+    // NO exponemos: id, roleId, humanId, organizationId, createdAt, updatedAt, etc.
+    const userResponse = {
+        publicCode: result.user.publicCode,
+        email: result.user.email,
+        firstName: result.user.firstName,
+        lastName: result.user.lastName,
+        avatarUrl: result.user.avatarUrl || null,
+        language: result.user.language || 'es',
+        timezone: result.user.timezone || 'America/Lima',
+        role: result.user.role?.name || null,
+        permissions: sessionContext?.permissions || []
+    };
+
+    return {
+        ...result,
+        user: userResponse,
+        sessionContext: sessionContextCache.sanitizeSessionContext(sessionContext),
+        message: 'auth.login.success'
+    };
+};
+
 
 // 📄 Swagger: src/docs/swagger/auth.yaml -> POST /register
 router.post('/register', validate(registerSchema), async (req, res, next) => {
@@ -91,35 +166,21 @@ router.post('/login', loginRateLimitMiddleware, validate(loginSchema), async (re
         try {
             const result = await authServices.login(identifier, password, sessionData);
 
+            // Password correcto pero falta el segundo factor: los contadores de rate limiting
+            // se resetean recién cuando /login/2fa completa el login
+            if (result.twoFactorRequired) {
+                return successResponse(res, {
+                    ...result,
+                    message: result.enrollmentRequired
+                        ? 'auth.two_factor.enrollment_required'
+                        : 'auth.two_factor.challenge_required'
+                });
+            }
+
             // Login exitoso: resetear contadores de rate limiting
             await resetLoginCounters(ip, identifier);
 
-            // Session context ya fue cacheado en services.js login()
-            // Leer el contexto para incluirlo en la respuesta
-            const sessionContext = await sessionContextCache.getSessionContext(result.user.id);
-
-            // Filtrar user a solo campos relevantes para el frontend
-            // NO exponemos: id, roleId, humanId, organizationId, createdAt, updatedAt, etc.
-            const userResponse = {
-                publicCode: result.user.publicCode,
-                email: result.user.email,
-                firstName: result.user.firstName,
-                lastName: result.user.lastName,
-                avatarUrl: result.user.avatarUrl || null,
-                language: result.user.language || 'es',
-                timezone: result.user.timezone || 'America/Lima',
-                role: result.user.role?.name || null,
-                permissions: result.user.role?.permissions || []
-            };
-            
-            const responseData = {
-                ...result,
-                user: userResponse,
-                sessionContext: sessionContextCache.sanitizeSessionContext(sessionContext),
-                message: 'auth.login.success'
-            };
-
-            return successResponse(res, responseData);
+            return successResponse(res, await buildLoginResponse(result));
         } catch (loginError) {
             // Login fallido: registrar intento fallido para rate limiting
             // Registrar para errores de credenciales, captcha, y cuenta inactiva
@@ -128,10 +189,11 @@ router.post('/login', loginRateLimitMiddleware, validate(loginSchema), async (re
                 'INVALID_CREDENTIALS', 
                 'CAPTCHA_REQUIRED', 
                 'CAPTCHA_INVALID',
-                'USER_INACTIVE'
+                'USER_INACTIVE',
+                'ACCOUNT_LOCKED'
             ];
             if (failureCodes.includes(loginError.code)) {
-                await recordFailedLogin(ip, identifier || '_validation_failed_');
+                await registerFailedLogin(req, ip, identifier || '_validation_failed_');
             }
             throw loginError;
         }
@@ -141,6 +203,110 @@ router.post('/login', loginRateLimitMiddleware, validate(loginSchema), async (re
 });
 
 
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /login/2fa
+router.post('/login/2fa', validate(loginTwoFactorSchema), async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        const ip = req.ip || req.connection.remoteAddress;
+
+        const challenge = await twoFactorServices.getLoginChallenge(challengeToken);
+
+        try {
+            const result = await authServices.completeTwoFactorLogin(challenge, { code, recoveryCode }, {
+                userAgent: req.headers['user-agent'],
+                ipAddress: ip
+            });
+
+            await resetLoginCounters(ip, challenge.identifier);
+
+            return successResponse(res, await buildLoginResponse(result));
+        } catch (twoFactorError) {
+            // Códigos inválidos cuentan como login fallido del identifier (bloquea pedir challenges nuevos)
+            if (twoFactorError.code === 'INVALID_TWO_FACTOR_CODE') {
+                await registerFailedLogin(req, ip, challenge.identifier || '_validation_failed_');
+            }
+            throw twoFactorError;
+        }
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /login/2fa/setup
+router.post('/login/2fa/setup', validate(loginTwoFactorSetupSchema), async (req, res, next) => {
+    try {
+        const challenge = await twoFactorServices.getLoginChallenge(req.body.challengeToken);
+        const enrollment = await twoFactorServices.startLoginEnrollment(challenge);
+
+        return successResponse(res, enrollment);
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /sso/discover
+router.post('/sso/discover', validate(ssoDiscoverSchema), async (req, res, next) => {
+    try {
+        const result = await ssoServices.discoverByEmail(req.body.email);
+        return successResponse(res, result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /sso/start
+router.post('/sso/start', validate(ssoStartSchema), async (req, res, next) => {
+    try {
+        const { email, organizationId, rememberMe } = req.body;
+        const result = await ssoServices.startLogin({ email, organizationId, rememberMe });
+
+        return successResponse(res, result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /sso/link
+router.post('/sso/link', authenticate, validate(ssoLinkSchema), async (req, res, next) => {
+    try {
+        const result = await ssoServices.startLink(req.user.userId, { organizationId: req.body.organizationId });
+
+        return successResponse(res, result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /sso/callback
+router.post('/sso/callback', validate(ssoCallbackSchema), async (req, res, next) => {
+    try {
+        const result = await ssoServices.completeLogin(req.body, {
+            userAgent: req.headers['user-agent'],
+            ipAddress: req.ip || req.connection.remoteAddress
+        });
+
+        // Igual que /login: sin tokens hasta completar el segundo factor con /login/2fa
+        if (result.twoFactorRequired) {
+            return successResponse(res, {
+                ...result,
+                message: result.enrollmentRequired
+                    ? 'auth.two_factor.enrollment_required'
+                    : 'auth.two_factor.challenge_required'
+            });
+        }
+
+        return successResponse(res, await buildLoginResponse(result));
+    } catch (error) {
+        next(error);
+    }
+});
+
+
 // 📄 Swagger: src/docs/swagger/auth.yaml -> POST /refresh
 router.post('/refresh', validate(refreshTokenSchema), async (req, res, next) => {
     try {
@@ -178,6 +344,175 @@ router.post('/change-password', authenticate, validate(changePasswordSchema), as
 });
 
 
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /change-expired-password
+// Público: el login de un password vencido responde PASSWORD_EXPIRED sin emitir sesión
+router.post('/change-expired-password', loginRateLimitMiddleware, validate(changeExpiredPasswordSchema), async (req, res, next) => {
+    const { identifier, currentPassword, newPassword } = req.body;
+    const ip = req.ip || req.connection.remoteAddress;
+
+    try {
+        await authServices.changeExpiredPassword(identifier, currentPassword, newPassword, {
+            ipAddress: ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        await resetLoginCounters(ip, identifier);
+
+        return successResponse(res, {
+            message: 'auth.password.changed'
+        });
+    } catch (error) {
+        if (['INVALID_CREDENTIALS', 'ACCOUNT_LOCKED'].includes(error.code)) {
+            await registerFailedLogin(req, ip, identifier);
+        }
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /forgot-password
+// Responde siempre lo mismo para no revelar si la cuenta existe
+router.post('/forgot-password', passwordResetRateLimitMiddleware, validate(forgotPasswordSchema), async (req, res, next) => {
+    try {
+        await authServices.requestPasswordReset(req.body.email, {
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.headers['user-agent']
+        });
+
+        return successResponse(res, {
+            message: 'auth.password.reset_requested'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /reset-password
+router.post('/reset-password', passwordResetRateLimitMiddleware, validate(resetPasswordSchema), async (req, res, next) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        await authServices.resetPassword(token, newPassword, {
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.headers['user-agent']
+        });
+
+        return successResponse(res, {
+            message: 'auth.password.reset_success'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /verify-email/request
+router.post('/verify-email/request', authenticate, async (req, res, next) => {
+    try {
+        await authServices.requestEmailVerification(req.user.userId, {
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.headers['user-agent']
+        });
+
+        return successResponse(res, {
+            message: 'auth.email.verification_sent'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /verify-email
+router.post('/verify-email', validate(verifyEmailSchema), async (req, res, next) => {
+    try {
+        const verified = await authServices.confirmEmailVerification(req.body.token, {
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.headers['user-agent']
+        });
+
+        return successResponse(res, {
+            message: verified ? 'auth.email.verified' : 'auth.email.already_verified'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> GET /2fa
+router.get('/2fa', authenticate, async (req, res, next) => {
+    try {
+        const status = await twoFactorServices.getTwoFactorStatus(req.user.userId);
+        return successResponse(res, status);
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /2fa/setup
+router.post('/2fa/setup', authenticate, async (req, res, next) => {
+    try {
+        const enrollment = await twoFactorServices.startEnrollment({ id: req.user.userId, email: req.user.email });
+        return successResponse(res, enrollment);
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /2fa/confirm
+router.post('/2fa/confirm', authenticate, validate(twoFactorCodeSchema), async (req, res, next) => {
+    try {
+        const result = await twoFactorServices.confirmEnrollment(
+            { id: req.user.userId, publicCode: req.user.userPublicCode },
+            req.body.code,
+            { ipAddress: req.ip || req.connection.remoteAddress, userAgent: req.headers['user-agent'] }
+        );
+
+        return successResponse(res, { ...result, message: 'auth.two_factor.enabled' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /2fa/recovery-codes
+router.post('/2fa/recovery-codes', authenticate, validate(twoFactorCodeSchema), async (req, res, next) => {
+    try {
+        const result = await twoFactorServices.regenerateRecoveryCodes(
+            { id: req.user.userId, publicCode: req.user.userPublicCode },
+            req.body.code,
+            { ipAddress: req.ip || req.connection.remoteAddress, userAgent: req.headers['user-agent'] }
+        );
+
+        return successResponse(res, { ...result, message: 'auth.two_factor.recovery_codes_regenerated' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/auth.yaml -> POST /2fa/disable
+router.post('/2fa/disable', authenticate, validate(disableTwoFactorSchema), async (req, res, next) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        await twoFactorServices.disableTwoFactor(
+            { id: req.user.userId, publicCode: req.user.userPublicCode, email: req.user.email },
+            { password, code, recoveryCode },
+            { ipAddress: req.ip || req.connection.remoteAddress, userAgent: req.headers['user-agent'] }
+        );
+
+        return successResponse(res, { message: 'auth.two_factor.disabled' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
 // 📄 Swagger: src/docs/swagger/auth.yaml -> GET /me
 router.get('/me', authenticate, async (req, res, next) => {
     try {
@@ -261,9 +596,12 @@ router.get('/me', authenticate, async (req, res, next) => {
             // Solo cachear si NO es system-admin con JWT potencialmente stale
             // System-admin sin activeOrgId en JWT podría estar impersonando (JWT stale por race condition)
             const isSystemAdminWithStaleJwt = canAccessAllOrgs && !req.user.activeOrgCode;
+            sessionContext = await rolesServices.withSessionPermissions(userId, sessionContext);
             if (!isSystemAdminWithStaleJwt) {
                 await sessionContextCache.setSessionContext(userId, sessionContext);
             }
+        } else {
+            sessionContext = await rolesServices.ensureSessionPermissions(userId, sessionContext);
         }
 
         // Filtrar user a solo campos relevantes para el frontend
@@ -276,7 +614,7 @@ router.get('/me', authenticate, async (req, res, next) => {
             language: user.language || 'es',
             timezone: user.timezone || 'America/Lima',
             role: user.role?.name || null,
-            permissions: user.role?.permissions || []
+            permissions: sessionContext.permissions || []
         };
         
         // Agregar información de impersonación para system-admin
@@ -359,6 +697,49 @@ router.get('/sessions', authenticate, async (req, res, next) => {
 });
 
 
+// 📄 Swagger: src/docs/swagger/auth.yaml -> GET /security-events
+router.get(
+    '/security-events',
+    authenticate,
+    validate(listSecurityEventsSchema),
+    forOrganizationScope(enforceActiveOrganization),
+    forOrganizationScope(requirePermission('security_events.view')),
+    async (req, res, next) => {
+        try {
+            const { scope, type, severity, user, from, to, limit, offset } = req.query;
+
+            const result = await securityEventServices.listSecurityEvents({
+                userId: req.user.userId,
+                scope,
+                organizationId: req.organizationContext?.id || null,
+                userPublicCode: user,
+                types: type,
+                severity,
+                from: from ? new Date(from) : undefined,
+                to: to ? new Date(to) : undefined,
+                limit,
+                offset
+            });
+
+            return res.json({
+                ok: true,
+                data: result.items,
+                meta: {
+                    total: result.total,
+                    limit,
+                    offset,
+                    scope,
+                    timestamp: new Date().toISOString(),
+                    locale: req.locale
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+
 // 📄 Swagger: src/docs/swagger/auth.yaml -> POST /sessions/:sessionId/revoke
 router.post('/sessions/:sessionId/revoke', authenticate, validate(revokeSessionSchema), async (req, res, next) => {
     try {
@@ -377,7 +758,7 @@ router.post('/sessions/:sessionId/revoke', authenticate, validate(revokeSessionS
 
 
 // 📄 Swagger: src/docs/swagger/auth.yaml -> GET /admin-test
-router.get('/admin-test', authenticate, requireRole(['system-admin', 'org-admin']), async (req, res, next) => {
+router.get('/admin-test', authenticate, requirePermission('users.manage'), async (req, res, next) => {
     try {
         return successResponse(res, {
             message: 'Acceso autorizado - Eres un administrador',
@@ -482,6 +863,9 @@ router.post('/switch-org', authenticate, validate(switchOrgSchema), async (req,
             await sessionContextCache.setSessionContext(userId, updatedContext);
         }
         
+        // Permission set de la nueva organización activa (rol asignado en esa membresía)
+        updatedContext = await rolesServices.ensureSessionPermissions(userId, updatedContext);
+        
         // Audit log para switch de organización
         logAuditAction({
             entityType: 'auth',
@@ -581,7 +965,7 @@ router.post('/impersonate-org', authenticate, async (req, res, next) => {
             }
         }
         
-        const updatedContext = {
+        const updatedContext = await rolesServices.withSessionPermissions(userId, {
             ...(existingContext || {}),
             activeOrgId: organizationUuid,
             activeOrgPublicCode: org.publicCode,
@@ -598,7 +982,7 @@ router.post('/impersonate-org', authenticate, async (req, res, next) => {
             lastName: user?.lastName || existingContext?.lastName || null,
             userId,
             userPublicCode: user?.publicCode || existingContext?.userPublicCode || null
-        };
+        });
         
         await sessionContextCache.setSessionContext(userId, updatedContext);
         
@@ -680,7 +1064,7 @@ router.post('/exit-impersonation', authenticate, async (req, res, next) => {
             }
         }
         
-        const updatedContext = {
+        const updatedContext = await rolesServices.withSessionPermissions(userId, {
             activeOrgId: null,
             activeOrgPublicCode: null,
             activeOrgName: null,
@@ -696,7 +1080,7 @@ router.post('/exit-impersonation', authenticate, async (req, res, next) => {
             lastName: user.lastName,
             userId,
             userPublicCode: user.publicCode || null
-        };
+        });
         
         await sessionContextCache.setSessionContext(userId, updatedContext);
         
@@ -731,7 +1115,7 @@ router.get('/session-context', authenticate, async (req, res, next) => {
         const userId = req.user.userId;
         
         // Obtener session_context desde Redis (sin hit a DB)
-        const sessionContext = await sessionContextCache.getSessionContext(userId);
+        let sessionContext = await sessionContextCache.getSessionContext(userId);
         
         if (!sessionContext) {
             return errorResponse(res, {
@@ -741,6 +1125,9 @@ router.get('/session-context', authenticate, async (req, res, next) => {
             });
         }
         
+        // Re-resolver permisos solo si cambiaron roles o asignaciones desde que se guardaron
+        sessionContext = await rolesServices.ensureSessionPermissions(userId, sessionContext);
+        
         // Agregar información de impersonación para system-admin
         const isSystemAdmin = req.user.role === 'system-admin';
         const impersonationInfo = isSystemAdmin ? {
@@ -0,0 +1,108 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+const OrganizationSsoProvider = sequelize.define(
+    'OrganizationSsoProvider',
+    {
+        id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: 'UUID v7 - clave primaria time-ordered'
+        },
+        organizationId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            unique: true,
+            references: {
+                model: 'organizations',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'FK a organizations - un proveedor por organización'
+        },
+        displayName: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            comment: 'Nombre que ve el usuario en el login (ej: "Azure AD ACME")'
+        },
+        issuer: {
+            type: DataTypes.STRING(500),
+            allowNull: false,
+            comment: 'Issuer OIDC; la configuración se descubre en {issuer}/.well-known/openid-configuration'
+        },
+        clientId: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        clientSecretEncrypted: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            comment: 'Client secret cifrado con AES-256-GCM (SSO_ENCRYPTION_KEY); null = cliente público (solo PKCE)'
+        },
+        scopes: {
+            type: DataTypes.ARRAY(DataTypes.STRING(50)),
+            allowNull: false,
+            defaultValue: ['openid', 'email', 'profile']
+        },
+        allowedDomains: {
+            type: DataTypes.ARRAY(DataTypes.STRING(255)),
+            allowNull: false,
+            defaultValue: [],
+            comment: 'Dominios de email vinculados al proveedor (descubrimiento por email y control del id_token)'
+        },
+        domainVerificationToken: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            comment: 'Valor del registro TXT _ecdata-sso.<dominio> que prueba el control de cada dominio'
+        },
+        verifiedDomains: {
+            type: DataTypes.ARRAY(DataTypes.STRING(255)),
+            allowNull: false,
+            defaultValue: [],
+            comment: 'Dominios de allowedDomains verificados por DNS (habilitar exige todos verificados)'
+        },
+        jitProvisioning: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+            comment: 'Crear la cuenta y/o la membresía en el primer login SSO'
+        },
+        defaultRoleInOrg: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            defaultValue: 'member',
+            comment: 'role_in_org de las membresías creadas por JIT (admin | member | viewer)'
+        },
+        waiveLocalTwoFactor: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            comment: 'No pedir el 2FA local en los logins por este proveedor (el MFA lo resuelve el IdP)'
+        },
+        isEnabled: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        },
+        updatedBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL',
+            comment: 'FK a users - último admin que modificó la configuración'
+        }
+    },
+    {
+        tableName: 'organization_sso_providers',
+        comment: 'Proveedor OpenID Connect (Azure AD, Google Workspace, Okta, ...) por organización',
+        timestamps: true,
+        underscored: true
+    }
+);
+
+export default OrganizationSsoProvider;
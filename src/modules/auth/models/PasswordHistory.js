@@ -0,0 +1,44 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+const PasswordHistory = sequelize.define(
+    'PasswordHistory',
+    {
+        id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: 'UUID v7 - clave primaria time-ordered'
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'FK a users'
+        },
+        passwordHash: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+            comment: 'Hash bcrypt de una contraseña usada (nunca devolver al cliente)'
+        }
+    },
+    {
+        tableName: 'password_history',
+        comment: 'Contraseñas anteriores por usuario (impide reutilizar las últimas N de la política)',
+        timestamps: true,
+        updatedAt: false,
+        underscored: true,
+        indexes: [
+            {
+                fields: ['user_id', 'created_at'],
+                name: 'idx_password_history_user_created'
+            }
+        ]
+    }
+);
+
+export default PasswordHistory;
@@ -0,0 +1,78 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+const PasswordResetToken = sequelize.define(
+    'PasswordResetToken',
+    {
+        id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: 'UUID v7 - clave primaria time-ordered'
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'FK a users - usuario que solicitó el reset'
+        },
+        tokenHash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            unique: true,
+            comment: 'SHA-256 hash del token de reset (nunca almacenar en claro)'
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            comment: 'Fecha de expiración del token (PASSWORD_RESET_TOKEN_TTL_MINUTES desde creación)'
+        },
+        usedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'Timestamp de uso o invalidación (single-use: null = pendiente)'
+        },
+        requestedIp: {
+            type: DataTypes.STRING(45),
+            allowNull: true,
+            comment: 'IP desde la que se solicitó el reset (solo para auditoría)'
+        },
+        requestedUserAgent: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            comment: 'User agent desde el que se solicitó el reset (solo para auditoría)'
+        },
+        usedIp: {
+            type: DataTypes.STRING(45),
+            allowNull: true,
+            comment: 'IP desde la que se usó el token (solo para auditoría)'
+        }
+    },
+    {
+        tableName: 'password_reset_tokens',
+        comment: 'Tokens de un solo uso para restablecer password (forgot password)',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                fields: ['user_id'],
+                name: 'idx_password_reset_tokens_user_id'
+            },
+            {
+                fields: ['token_hash'],
+                unique: true,
+                name: 'idx_password_reset_tokens_token_hash'
+            },
+            {
+                fields: ['expires_at'],
+                name: 'idx_password_reset_tokens_expires_at'
+            }
+        ]
+    }
+);
+
+export default PasswordResetToken;
@@ -13,8 +13,7 @@ const Role = sequelize.define(
         name: {
             type: DataTypes.STRING(50),
             allowNull: false,
-            unique: true,
-            comment: 'Nombre único del rol (system-admin, org-admin, etc.)'
+            comment: 'Nombre del rol (system-admin, org-admin, etc.) - único entre los roles del sistema y dentro de cada organización'
         },
         description: {
             type: DataTypes.TEXT,
@@ -26,6 +25,29 @@ const Role = sequelize.define(
             defaultValue: true,
             allowNull: false,
             comment: 'Habilitar/deshabilitar roles sin eliminar'
+        },
+        permissions: {
+            type: DataTypes.ARRAY(DataTypes.STRING(100)),
+            allowNull: false,
+            defaultValue: [],
+            comment: 'Permisos con nombre (ej: dashboards.create); \'*\' concede todos. Ver modules/roles/permissions.js'
+        },
+        organizationId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'organizations',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'NULL = rol del sistema; con valor = rol propio de la organización'
+        },
+        isSystem: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            comment: 'Roles del sistema: no se eliminan ni se renombran'
         }
     },
     {
@@ -36,7 +58,14 @@ const Role = sequelize.define(
         indexes: [
             {
                 unique: true,
-                fields: ['name']
+                fields: ['name'],
+                where: { organization_id: null },
+                name: 'idx_roles_system_name'
+            },
+            {
+                unique: true,
+                fields: ['organization_id', 'name'],
+                name: 'idx_roles_organization_name'
             }
         ]
     }
@@ -0,0 +1,100 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+const SecurityEvent = sequelize.define(
+    'SecurityEvent',
+    {
+        id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: 'UUID v7 - clave primaria time-ordered'
+        },
+        publicCode: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            unique: true,
+            comment: 'Identificador público (SEV-XXXXX-X)'
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'FK a users'
+        },
+        eventType: {
+            type: DataTypes.STRING(40),
+            allowNull: false,
+            comment: 'login_success, new_device, new_location, new_ip_range, impossible_travel, repeated_failures, account_locked, session_reauth_required'
+        },
+        severity: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            defaultValue: 'info',
+            comment: 'info | low | medium | high'
+        },
+        ipAddress: {
+            type: DataTypes.STRING(45),
+            allowNull: true
+        },
+        userAgent: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        device: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            comment: 'Navegador y sistema operativo derivados del user agent'
+        },
+        countryCode: {
+            type: DataTypes.STRING(2),
+            allowNull: true,
+            comment: 'País ISO 3166-1 alpha-2 según la base GeoIP local'
+        },
+        city: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        latitude: {
+            type: DataTypes.DOUBLE,
+            allowNull: true
+        },
+        longitude: {
+            type: DataTypes.DOUBLE,
+            allowNull: true
+        },
+        metadata: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {},
+            comment: 'Detalle del evento (distancia, velocidad, fallos, método de login, etc.)'
+        }
+    },
+    {
+        tableName: 'security_events',
+        comment: 'Eventos de seguridad por usuario (logins y anomalías detectadas)',
+        timestamps: true,
+        updatedAt: false,
+        underscored: true,
+        indexes: [
+            {
+                fields: ['user_id', 'created_at'],
+                name: 'idx_security_events_user_created'
+            },
+            {
+                fields: ['event_type'],
+                name: 'idx_security_events_type'
+            },
+            {
+                fields: ['created_at'],
+                name: 'idx_security_events_created'
+            }
+        ]
+    }
+);
+
+export default SecurityEvent;
@@ -0,0 +1,49 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+const TwoFactorRecoveryCode = sequelize.define(
+    'TwoFactorRecoveryCode',
+    {
+        id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: 'UUID v7 - clave primaria time-ordered'
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'FK a users'
+        },
+        codeHash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            comment: 'SHA-256 del recovery code normalizado (nunca almacenar en claro)'
+        },
+        usedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'Timestamp de uso (single-use: null = disponible)'
+        }
+    },
+    {
+        tableName: 'two_factor_recovery_codes',
+        comment: 'Recovery codes de un solo uso para 2FA (se reemplazan completos al regenerar)',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                fields: ['user_id', 'code_hash'],
+                unique: true,
+                name: 'idx_two_factor_recovery_codes_user_code'
+            }
+        ]
+    }
+);
+
+export default TwoFactorRecoveryCode;
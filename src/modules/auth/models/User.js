@@ -92,6 +92,27 @@ const User = sequelize.define(
             allowNull: true,
             comment: 'Fecha de verificación de email (null = no verificado)'
         },
+        passwordChangedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'Último cambio de contraseña (base del vencimiento de la política)'
+        },
+        failedLoginAttempts: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            comment: 'Passwords incorrectos consecutivos (se reinicia con un login exitoso)'
+        },
+        lastFailedLoginAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'Último password incorrecto (los fallos más viejos que el bloqueo no se acumulan)'
+        },
+        lockedUntil: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'Cuenta bloqueada hasta esta fecha por intentos fallidos (null = no bloqueada)'
+        },
         phone: {
             type: DataTypes.STRING(50),
             allowNull: true,
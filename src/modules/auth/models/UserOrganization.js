@@ -49,6 +49,17 @@ const UserOrganization = sequelize.define('UserOrganization', {
         allowNull: false,
         defaultValue: 'member',
         comment: 'Rol del usuario dentro de esta organización específica'
+    },
+    roleId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'roles',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'FK a roles - rol asignado en esta organización (NULL = se aplica el rol global del usuario)'
     }
 }, {
     tableName: 'user_organizations',
@@ -0,0 +1,68 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+const UserSsoIdentity = sequelize.define(
+    'UserSsoIdentity',
+    {
+        id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: 'UUID v7 - clave primaria time-ordered'
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'FK a users'
+        },
+        providerId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'organization_sso_providers',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'FK a organization_sso_providers'
+        },
+        subject: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+            comment: 'Claim sub del id_token (identificador estable del usuario en el IdP)'
+        },
+        email: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+            comment: 'Email informado por el IdP en el último login'
+        },
+        lastLoginAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    },
+    {
+        tableName: 'user_sso_identities',
+        comment: 'Vínculo usuario ↔ identidad OIDC (se crea en el primer login SSO, por email)',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                fields: ['provider_id', 'subject'],
+                unique: true,
+                name: 'idx_user_sso_identities_provider_subject'
+            },
+            {
+                fields: ['user_id'],
+                name: 'idx_user_sso_identities_user'
+            }
+        ]
+    }
+);
+
+export default UserSsoIdentity;
@@ -0,0 +1,42 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+const UserTwoFactor = sequelize.define(
+    'UserTwoFactor',
+    {
+        userId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'FK a users - un registro por usuario'
+        },
+        secretEncrypted: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            comment: 'Secreto TOTP cifrado con AES-256-GCM (TWO_FACTOR_ENCRYPTION_KEY); nunca en claro'
+        },
+        enabledAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'Fecha de confirmación del enrolamiento (null = enrolamiento pendiente, 2FA inactivo)'
+        },
+        lastUsedStep: {
+            type: DataTypes.BIGINT,
+            allowNull: true,
+            comment: 'Último paso TOTP aceptado (impide reutilizar un código dentro de su ventana)'
+        }
+    },
+    {
+        tableName: 'user_two_factor',
+        comment: 'Configuración TOTP (2FA) por usuario. Separada de users para que el secreto no viaje en cachés de usuario',
+        timestamps: true,
+        underscored: true
+    }
+);
+
+export default UserTwoFactor;
@@ -0,0 +1,166 @@
+// modules/auth/passwordPolicy.js
+// Reglas de la política de contraseñas: defaults, combinación entre organizaciones y validación
+// La política de cada organización vive en Organization.config.security.passwordPolicy; un usuario
+// que pertenece a varias organizaciones queda sujeto a la más estricta de cada regla.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { config } from '../../config/env.js';
+import { authLogger } from '../../utils/logger.js';
+
+const DEFAULT_BREACHED_LIST_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'breached-passwords.txt');
+
+// Campos configurables por organización (ver passwordPolicySchema en dtos)
+export const POLICY_FIELDS = [
+    'minLength',
+    'requireUppercase',
+    'requireLowercase',
+    'requireNumber',
+    'requireSymbol',
+    'checkBreached',
+    'expiryDays',
+    'historyCount',
+    'lockoutThreshold',
+    'lockoutDurationMinutes'
+];
+
+/**
+ * Política base de la plataforma (config.passwordPolicy)
+ * @returns {Object}
+ */
+export const getDefaultPolicy = () =>
+    Object.fromEntries(POLICY_FIELDS.map(field => [field, config.passwordPolicy[field]]));
+
+/**
+ * Menor valor positivo (0 = regla desactivada)
+ * @param {number[]} values
+ * @returns {number}
+ */
+const minEnabled = (values) => {
+    const enabled = values.filter(value => value > 0);
+    return enabled.length ? Math.min(...enabled) : 0;
+};
+
+/**
+ * Combinar políticas quedándose con la más estricta de cada regla
+ * - Longitud, historial y duración del bloqueo: el mayor
+ * - Clases de caracteres y lista de filtradas: basta con que una lo exija
+ * - Vencimiento y umbral de bloqueo: el menor distinto de 0
+ *
+ * @param {Object[]} policies - Políticas parciales de las organizaciones
+ * @returns {Object} Política completa
+ */
+export const mergePolicies = (policies = []) => {
+    const all = [getDefaultPolicy(), ...policies.filter(Boolean)];
+    const values = (field) => all.map(policy => policy[field]).filter(value => value !== undefined && value !== null);
+
+    return {
+        minLength: Math.max(...values('minLength')),
+        requireUppercase: values('requireUppercase').some(Boolean),
+        requireLowercase: values('requireLowercase').some(Boolean),
+        requireNumber: values('requireNumber').some(Boolean),
+        requireSymbol: values('requireSymbol').some(Boolean),
+        checkBreached: values('checkBreached').some(Boolean),
+        expiryDays: minEnabled(values('expiryDays')),
+        historyCount: Math.max(...values('historyCount')),
+        lockoutThreshold: minEnabled(values('lockoutThreshold')),
+        lockoutDurationMinutes: Math.max(...values('lockoutDurationMinutes'))
+    };
+};
+
+/**
+ * Reglas de composición que no cumple una contraseña
+ * @param {string} password
+ * @param {Object} policy - Política completa (mergePolicies)
+ * @returns {string[]} Códigos: min_length, uppercase, lowercase, number, symbol
+ */
+export const findPolicyViolations = (password, policy) => {
+    const violations = [];
+
+    if ([...password].length < policy.minLength) violations.push('min_length');
+    if (policy.requireUppercase && !/\p{Lu}/u.test(password)) violations.push('uppercase');
+    if (policy.requireLowercase && !/\p{Ll}/u.test(password)) violations.push('lowercase');
+    if (policy.requireNumber && !/\d/.test(password)) violations.push('number');
+    if (policy.requireSymbol && !/[^\p{L}\p{N}\s]/u.test(password)) violations.push('symbol');
+
+    return violations;
+};
+
+// Lista de contraseñas filtradas cargada en memoria: texto plano (minúsculas) y SHA-1 (mayúsculas)
+let breachedList = null;
+let breachedLoading = null;
+
+/**
+ * Cargar la lista local de contraseñas filtradas (una sola vez por proceso)
+ * Líneas vacías y comentarios (#) se ignoran; "HASH:count" (formato HIBP) se toma como SHA-1.
+ * @param {string} [filePath]
+ * @returns {Promise<{plain: Set<string>, sha1: Set<string>}>}
+ */
+export const loadBreachedList = async (filePath = config.passwordPolicy.breachedListPath || DEFAULT_BREACHED_LIST_PATH) => {
+    if (breachedList) return breachedList;
+    if (breachedLoading) return breachedLoading;
+
+    breachedLoading = (async () => {
+        const list = { plain: new Set(), sha1: new Set() };
+        const lines = readline.createInterface({
+            input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+
+        for await (const rawLine of lines) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) continue;
+
+            const hashMatch = line.match(/^([0-9a-f]{40})(?::\d+)?$/i);
+            if (hashMatch) {
+                list.sha1.add(hashMatch[1].toUpperCase());
+            } else {
+                list.plain.add(line.toLowerCase());
+            }
+        }
+
+        breachedList = list;
+        authLogger.info({ filePath, plain: list.plain.size, sha1: list.sha1.size }, 'Breached password list loaded');
+        return list;
+    })().catch((error) => {
+        // Sin lista no se bloquea el cambio de contraseña: el resto de la política sigue aplicando
+        authLogger.error({ err: error, filePath }, 'Breached password list could not be loaded');
+        breachedLoading = null;
+        return { plain: new Set(), sha1: new Set() };
+    });
+
+    return breachedLoading;
+};
+
+/**
+ * ¿La contraseña figura en la lista local de filtradas?
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+export const isBreachedPassword = async (password) => {
+    const list = await loadBreachedList();
+    if (list.plain.has(password.toLowerCase())) return true;
+    if (!list.sha1.size) return false;
+
+    const sha1 = crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+    return list.sha1.has(sha1);
+};
+
+/**
+ * ¿Venció la contraseña según la política?
+ * @param {Object} user - { passwordChangedAt, createdAt }
+ * @param {Object} policy
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isPasswordExpired = (user, policy, now = new Date()) => {
+    if (!policy.expiryDays) return false;
+
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    if (!changedAt) return false;
+
+    return new Date(changedAt).getTime() + policy.expiryDays * 24 * 60 * 60 * 1000 <= now.getTime();
+};
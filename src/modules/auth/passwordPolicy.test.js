@@ -0,0 +1,85 @@
+// modules/auth/passwordPolicy.test.js
+// Tests de las reglas de la política de contraseñas (modules/auth/passwordPolicy.js)
+// Funciones puras y la lista de filtradas incluida: no requiere BD ni Redis.
+
+import { describe, it, expect } from 'vitest';
+import { getDefaultPolicy, mergePolicies, findPolicyViolations, isBreachedPassword, isPasswordExpired } from './passwordPolicy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('mergePolicies', () => {
+    it('sin políticas de organización devuelve la base de la plataforma', () => {
+        expect(mergePolicies([])).toEqual(getDefaultPolicy());
+    });
+
+    it('combina quedándose con la regla más estricta de cada organización', () => {
+        const policy = mergePolicies([
+            { minLength: 12, expiryDays: 90, lockoutThreshold: 5 },
+            { minLength: 10, requireSymbol: true, expiryDays: 30, historyCount: 5, lockoutDurationMinutes: 120 },
+            null
+        ]);
+
+        expect(policy).toMatchObject({
+            minLength: 12,
+            requireSymbol: true,
+            expiryDays: 30,
+            historyCount: 5,
+            lockoutThreshold: 5,
+            lockoutDurationMinutes: 120
+        });
+    });
+
+    it('una organización no puede relajar la base (0 desactiva solo su propia regla)', () => {
+        const policy = mergePolicies([{ minLength: 4, requireNumber: false, lockoutThreshold: 0 }]);
+        const defaults = getDefaultPolicy();
+
+        expect(policy.minLength).toBe(defaults.minLength);
+        expect(policy.requireNumber).toBe(defaults.requireNumber);
+        expect(policy.lockoutThreshold).toBe(defaults.lockoutThreshold);
+    });
+});
+
+describe('findPolicyViolations', () => {
+    const policy = mergePolicies([{ minLength: 10, requireSymbol: true }]);
+
+    it('acepta una contraseña que cumple todas las reglas', () => {
+        expect(findPolicyViolations('Válida-2026x', policy)).toEqual([]);
+    });
+
+    it('devuelve un código por cada regla incumplida', () => {
+        expect(findPolicyViolations('abc', policy)).toEqual(['min_length', 'uppercase', 'number', 'symbol']);
+        expect(findPolicyViolations('ABCDEFGHIJ1!', policy)).toEqual(['lowercase']);
+    });
+
+    it('cuenta caracteres, no unidades UTF-16', () => {
+        expect(findPolicyViolations('Aa1!😀😀😀😀😀😀', policy)).toEqual([]);
+        expect(findPolicyViolations('Aa1!😀😀😀😀😀', policy)).toEqual(['min_length']);
+    });
+});
+
+describe('isBreachedPassword', () => {
+    it('detecta contraseñas de la lista incluida sin distinguir mayúsculas', async () => {
+        expect(await isBreachedPassword('password123')).toBe(true);
+        expect(await isBreachedPassword('Password123')).toBe(true);
+    });
+
+    it('no marca contraseñas que no están en la lista', async () => {
+        expect(await isBreachedPassword('Kx7#pLm2-Qw9z')).toBe(false);
+    });
+});
+
+describe('isPasswordExpired', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    it('sin expiryDays nunca vence', () => {
+        expect(isPasswordExpired({ passwordChangedAt: new Date('2020-01-01') }, { expiryDays: 0 }, now)).toBe(false);
+    });
+
+    it('vence expiryDays después del último cambio (o del alta si no hay cambio)', () => {
+        const policy = { expiryDays: 30 };
+
+        expect(isPasswordExpired({ passwordChangedAt: new Date(now - 29 * DAY_MS) }, policy, now)).toBe(false);
+        expect(isPasswordExpired({ passwordChangedAt: new Date(now - 30 * DAY_MS) }, policy, now)).toBe(true);
+        expect(isPasswordExpired({ passwordChangedAt: null, createdAt: new Date(now - 31 * DAY_MS) }, policy, now)).toBe(true);
+    });
+});
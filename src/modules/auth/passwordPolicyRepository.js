@@ -0,0 +1,172 @@
+// modules/auth/passwordPolicyRepository.js
+// Repositorio de la política de contraseñas: organizaciones del usuario, historial y bloqueo de cuentas
+
+import { Op } from 'sequelize';
+import sequelize from '../../db/sql/sequelize.js';
+import User from './models/User.js';
+import PasswordHistory from './models/PasswordHistory.js';
+import UserOrganization from './models/UserOrganization.js';
+import Organization from '../organizations/models/Organization.js';
+import { generateUuidV7 } from '../../utils/identifiers.js';
+
+/**
+ * Políticas configuradas en las organizaciones activas del usuario
+ * @param {string} userId - UUID
+ * @returns {Promise<Object[]>} Políticas parciales (Organization.config.security.passwordPolicy)
+ */
+export const findUserOrganizationPolicies = async (userId) => {
+    const memberships = await UserOrganization.findAll({
+        where: { userId },
+        include: [{
+            model: Organization,
+            as: 'organization',
+            attributes: ['id', 'config', 'isActive'],
+            where: { isActive: true }
+        }]
+    });
+
+    return memberships
+        .map(membership => membership.organization.config?.security?.passwordPolicy)
+        .filter(Boolean);
+};
+
+/**
+ * Políticas configuradas en un conjunto de organizaciones (alta de usuarios antes de la membresía)
+ * @param {Object} filter
+ * @param {string[]} [filter.ids] - UUIDs
+ * @param {string[]} [filter.publicCodes] - Public codes
+ * @returns {Promise<Object[]>}
+ */
+export const findOrganizationPolicies = async ({ ids = [], publicCodes = [] }) => {
+    const conditions = [];
+    if (ids.length) conditions.push({ id: { [Op.in]: ids } });
+    if (publicCodes.length) conditions.push({ publicCode: { [Op.in]: publicCodes } });
+    if (!conditions.length) return [];
+
+    const organizations = await Organization.findAll({
+        where: { [Op.or]: conditions, isActive: true },
+        attributes: ['id', 'config']
+    });
+
+    return organizations
+        .map(organization => organization.config?.security?.passwordPolicy)
+        .filter(Boolean);
+};
+
+/**
+ * Últimos N hashes de contraseñas anteriores del usuario
+ * @param {string} userId - UUID
+ * @param {number} limit
+ * @returns {Promise<string[]>}
+ */
+export const findRecentPasswordHashes = async (userId, limit) => {
+    if (!limit) return [];
+
+    const rows = await PasswordHistory.findAll({
+        where: { userId },
+        attributes: ['passwordHash'],
+        order: [['createdAt', 'DESC']],
+        limit
+    });
+    return rows.map(row => row.passwordHash);
+};
+
+/**
+ * Guardar el nuevo hash del usuario: actualiza users, agrega el hash al historial
+ * y recorta el historial a las últimas `keep` entradas
+ * @param {string} userId - UUID
+ * @param {string} passwordHash
+ * @param {number} keep - Máximo de hashes a conservar
+ * @returns {Promise<boolean>} false si el usuario no existe
+ */
+export const savePasswordChange = async (userId, passwordHash, keep) =>
+    sequelize.transaction(async (transaction) => {
+        const [count] = await User.update(
+            { passwordHash, passwordChangedAt: new Date() },
+            { where: { id: userId }, transaction }
+        );
+        if (!count) return false;
+
+        await PasswordHistory.create({ id: generateUuidV7(), userId, passwordHash }, { transaction });
+
+        const stale = await PasswordHistory.findAll({
+            where: { userId },
+            attributes: ['id'],
+            order: [['createdAt', 'DESC']],
+            offset: keep,
+            transaction
+        });
+        if (stale.length) {
+            await PasswordHistory.destroy({ where: { id: { [Op.in]: stale.map(row => row.id) } }, transaction });
+        }
+        return true;
+    });
+
+/**
+ * Registrar el primer hash de un usuario recién creado en el historial
+ * @param {string} userId - UUID
+ * @param {string} passwordHash
+ * @returns {Promise<void>}
+ */
+export const addPasswordHistory = async (userId, passwordHash) => {
+    await PasswordHistory.create({ id: generateUuidV7(), userId, passwordHash });
+};
+
+/**
+ * Sumar un password incorrecto en una sola sentencia (logins concurrentes no pierden fallos)
+ * Los fallos más viejos que la ventana no se acumulan: el contador vuelve a 1.
+ * @param {string} userId - UUID
+ * @param {number} windowMinutes - Ventana en la que se acumulan los fallos
+ * @returns {Promise<number>} Fallos acumulados incluyendo este (0 si el usuario no existe)
+ */
+export const incrementFailedLoginAttempts = async (userId, windowMinutes) => {
+    const [rows] = await sequelize.query(`
+        UPDATE users
+           SET failed_login_attempts = CASE
+                   WHEN last_failed_login_at IS NULL OR last_failed_login_at < now() - make_interval(mins => $2) THEN 1
+                   ELSE failed_login_attempts + 1
+               END,
+               last_failed_login_at = now()
+         WHERE id = $1
+        RETURNING failed_login_attempts AS "failedLoginAttempts"
+    `, { bind: [userId, windowMinutes] });
+
+    return rows[0]?.failedLoginAttempts ?? 0;
+};
+
+/**
+ * Bloquear la cuenta si los fallos siguen en el umbral y reiniciar el contador
+ * Entre logins concurrentes que superan el umbral solo uno aplica el bloqueo.
+ * @param {string} userId - UUID
+ * @param {number} threshold - Umbral de la política
+ * @param {Date} lockedUntil
+ * @returns {Promise<boolean>} true si este llamado bloqueó la cuenta
+ */
+export const lockAccount = async (userId, threshold, lockedUntil) => {
+    const [count] = await User.update(
+        { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil },
+        { where: { id: userId, failedLoginAttempts: { [Op.gte]: threshold } } }
+    );
+    return count > 0;
+};
+
+/**
+ * Reiniciar intentos fallidos y levantar el bloqueo
+ * @param {string} userId - UUID
+ * @returns {Promise<boolean>} true si la cuenta tenía fallos o bloqueo
+ */
+export const clearLockoutState = async (userId) => {
+    const [count] = await User.update(
+        { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null },
+        {
+            where: {
+                id: userId,
+                [Op.or]: [
+                    { failedLoginAttempts: { [Op.gt]: 0 } },
+                    { lockedUntil: { [Op.ne]: null } }
+                ]
+            }
+        }
+    );
+    return count > 0;
+};
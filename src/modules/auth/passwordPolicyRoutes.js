@@ -0,0 +1,73 @@
+// modules/auth/passwordPolicyRoutes.js
+// Política de contraseñas de una organización (montadas en /organizations/:id/security/password-policy)
+
+import express from 'express';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { requireOrgPermission } from '../organizations/middleware/permissions.js';
+import { findOrganizationByPublicCodeInternal } from '../organizations/repository.js';
+import { successResponse, errorResponse } from '../../utils/response.js';
+import * as passwordPolicyServices from './passwordPolicyServices.js';
+import { passwordPolicySchema } from './dtos/index.js';
+
+/**
+ * requireOrgPermission no resuelve la organización para system-admin: completarla aquí
+ */
+const loadOrganization = async (req, res, next) => {
+    try {
+        if (!req.organizationInternal) {
+            const organization = await findOrganizationByPublicCodeInternal(req.params.id);
+            if (!organization) {
+                return errorResponse(res, {
+                    message: 'Organization not found',
+                    status: 404,
+                    code: 'ORGANIZATION_NOT_FOUND'
+                });
+            }
+            req.organizationInternal = organization;
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const organizationPasswordPolicyRouter = express.Router();
+
+// 📄 Swagger: src/docs/swagger/organizations.yaml -> GET /:id/security/password-policy
+organizationPasswordPolicyRouter.get(
+    '/:id/security/password-policy',
+    authenticate,
+    requirePermission('organizations.edit'),
+    requireOrgPermission('view'),
+    loadOrganization,
+    async (req, res, next) => {
+        try {
+            return successResponse(res, passwordPolicyServices.getOrganizationPolicy(req.organizationInternal));
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/organizations.yaml -> PUT /:id/security/password-policy
+organizationPasswordPolicyRouter.put(
+    '/:id/security/password-policy',
+    authenticate,
+    requirePermission('organizations.edit'),
+    requireOrgPermission('edit'),
+    loadOrganization,
+    validate(passwordPolicySchema),
+    async (req, res, next) => {
+        try {
+            const result = await passwordPolicyServices.updateOrganizationPolicy(req.organizationInternal, req.body, {
+                userId: req.user.userId,
+                ipAddress: req.ip || req.connection.remoteAddress,
+                userAgent: req.headers['user-agent']
+            });
+            return successResponse(res, { ...result, message: 'auth.password.policy_updated' });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
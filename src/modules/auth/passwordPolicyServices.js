@@ -0,0 +1,324 @@
+// modules/auth/passwordPolicyServices.js
+// Servicios de la política de contraseñas: validación de nuevas contraseñas, historial,
+// vencimiento y bloqueo temporal de la cuenta tras N passwords incorrectos
+//
+// La política efectiva de un usuario combina la base de la plataforma (config.passwordPolicy) con la
+// de cada organización activa a la que pertenece, quedándose con la regla más estricta (mergePolicies).
+
+import bcrypt from 'bcrypt';
+import { config } from '../../config/env.js';
+import { authLogger } from '../../utils/logger.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import * as passwordPolicyRepository from './passwordPolicyRepository.js';
+import * as securityEventServices from './securityEventServices.js';
+import { updateOrganization } from '../organizations/repository.js';
+import { invalidateOrganizationCache } from '../organizations/cache.js';
+import { POLICY_FIELDS, getDefaultPolicy, mergePolicies, findPolicyViolations, isBreachedPassword, isPasswordExpired } from './passwordPolicy.js';
+
+const SALT_ROUNDS = 10;
+
+/**
+ * Política efectiva
+ * - userId: organizaciones activas del usuario
+ * - organizationIds / organizationPublicCodes: organizaciones de destino (alta de usuario)
+ *
+ * @param {Object} scope
+ * @param {string} [scope.userId] - UUID
+ * @param {string[]} [scope.organizationIds] - UUIDs
+ * @param {string[]} [scope.organizationPublicCodes]
+ * @returns {Promise<Object>} Política completa
+ */
+export const getEffectivePolicy = async ({ userId = null, organizationIds = [], organizationPublicCodes = [] } = {}) => {
+    const policies = [];
+
+    if (userId) {
+        policies.push(...await passwordPolicyRepository.findUserOrganizationPolicies(userId));
+    }
+
+    const ids = organizationIds.filter(Boolean);
+    const publicCodes = organizationPublicCodes.filter(Boolean);
+    if (ids.length || publicCodes.length) {
+        policies.push(...await passwordPolicyRepository.findOrganizationPolicies({ ids, publicCodes }));
+    }
+
+    return mergePolicies(policies);
+};
+
+/**
+ * Validar una nueva contraseña contra la política (composición, lista de filtradas e historial)
+ *
+ * @param {string} password - Contraseña en texto plano
+ * @param {Object} policy - Política efectiva
+ * @param {Object} [options]
+ * @param {string} [options.userId] - UUID (para el historial; omitir en altas)
+ * @param {string} [options.currentHash] - Hash actual (cuenta como la última contraseña usada)
+ * @throws {Error} 400 PASSWORD_POLICY_VIOLATION | PASSWORD_BREACHED | PASSWORD_REUSED
+ */
+export const assertPasswordAllowed = async (password, policy, { userId = null, currentHash = null } = {}) => {
+    const violations = findPolicyViolations(password, policy);
+    if (violations.length) {
+        const error = new Error('auth.password.policy_violation');
+        error.status = 400;
+        error.code = 'PASSWORD_POLICY_VIOLATION';
+        error.details = {
+            violations,
+            policy: {
+                minLength: policy.minLength,
+                requireUppercase: policy.requireUppercase,
+                requireLowercase: policy.requireLowercase,
+                requireNumber: policy.requireNumber,
+                requireSymbol: policy.requireSymbol
+            }
+        };
+        throw error;
+    }
+
+    if (policy.checkBreached && await isBreachedPassword(password)) {
+        const error = new Error('auth.password.breached');
+        error.status = 400;
+        error.code = 'PASSWORD_BREACHED';
+        throw error;
+    }
+
+    if (userId && policy.historyCount > 0) {
+        // La contraseña actual ya figura en el historial desde su alta/cambio; se compara igual por
+        // si el usuario es anterior a la política y todavía no tiene historial.
+        const previousHashes = await passwordPolicyRepository.findRecentPasswordHashes(userId, policy.historyCount);
+        const hashes = [...new Set([currentHash, ...previousHashes].filter(Boolean))];
+
+        for (const hash of hashes) {
+            if (await bcrypt.compare(password, hash)) {
+                const error = new Error('auth.password.reused');
+                error.status = 400;
+                error.code = 'PASSWORD_REUSED';
+                error.details = { historyCount: policy.historyCount };
+                throw error;
+            }
+        }
+    }
+};
+
+/**
+ * Validar y hashear la contraseña de un usuario nuevo
+ * @param {string} password
+ * @param {Object} scope - Organizaciones de destino (ver getEffectivePolicy)
+ * @returns {Promise<string>} Hash bcrypt
+ */
+export const hashNewUserPassword = async (password, scope) => {
+    const policy = await getEffectivePolicy(scope);
+    await assertPasswordAllowed(password, policy);
+    return bcrypt.hash(password, SALT_ROUNDS);
+};
+
+/**
+ * Registrar la contraseña inicial de un usuario recién creado en el historial
+ * Best-effort: el alta no falla si el historial no se puede guardar.
+ * @param {string} userId - UUID
+ * @param {string} passwordHash
+ */
+export const recordInitialPassword = async (userId, passwordHash) => {
+    try {
+        await passwordPolicyRepository.addPasswordHistory(userId, passwordHash);
+    } catch (error) {
+        authLogger.warn({ err: error, userId }, 'Could not record initial password in history');
+    }
+};
+
+/**
+ * Validar la nueva contraseña de un usuario existente contra su política efectiva
+ * @param {Object} user - { id, passwordHash }
+ * @param {string} newPassword
+ * @throws {Error} 400 PASSWORD_POLICY_VIOLATION | PASSWORD_BREACHED | PASSWORD_REUSED
+ */
+export const assertUserPasswordAllowed = async (user, newPassword) => {
+    const policy = await getEffectivePolicy({ userId: user.id });
+    await assertPasswordAllowed(newPassword, policy, { userId: user.id, currentHash: user.passwordHash });
+};
+
+/**
+ * Hashear y guardar una contraseña ya validada
+ * Actualiza password_changed_at y el historial; el caller se encarga de cerrar sesiones y auditar.
+ * @param {string} userId - UUID
+ * @param {string} newPassword
+ * @returns {Promise<boolean>} false si el usuario no existe
+ */
+export const saveUserPassword = async (userId, newPassword) => {
+    const newPasswordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    return passwordPolicyRepository.savePasswordChange(userId, newPasswordHash, config.passwordPolicy.maxStoredHistory);
+};
+
+/**
+ * Validar, hashear y guardar la nueva contraseña de un usuario existente
+ * @param {Object} user - { id, passwordHash }
+ * @param {string} newPassword
+ * @returns {Promise<boolean>} false si el usuario no existe
+ * @throws {Error} 400 PASSWORD_POLICY_VIOLATION | PASSWORD_BREACHED | PASSWORD_REUSED
+ */
+export const changeUserPassword = async (user, newPassword) => {
+    await assertUserPasswordAllowed(user, newPassword);
+    return saveUserPassword(user.id, newPassword);
+};
+
+/**
+ * ¿Venció la contraseña del usuario según su política efectiva?
+ * @param {Object} user - { id, passwordChangedAt, createdAt }
+ * @returns {Promise<boolean>}
+ */
+export const isUserPasswordExpired = async (user) => {
+    const policy = await getEffectivePolicy({ userId: user.id });
+    return isPasswordExpired(user, policy);
+};
+
+/**
+ * Rechazar el login de una cuenta bloqueada (el bloqueo vencido se ignora)
+ * @param {Object} user - { lockedUntil }
+ * @throws {Error} 403 ACCOUNT_LOCKED
+ */
+export const assertNotLocked = (user) => {
+    if (!user.lockedUntil || new Date(user.lockedUntil) <= new Date()) return;
+
+    const error = new Error('auth.login.account_locked');
+    error.status = 403;
+    error.code = 'ACCOUNT_LOCKED';
+    error.details = { lockedUntil: new Date(user.lockedUntil).toISOString() };
+    throw error;
+};
+
+/**
+ * Contabilizar un password incorrecto y bloquear la cuenta al llegar al umbral de la política
+ * Los fallos más viejos que la duración del bloqueo no se acumulan (ventana deslizante simple).
+ * El contador se incrementa en la base: la decisión de bloquear usa el valor que devuelve, no el del login.
+ *
+ * @param {Object} user - { id, publicCode }
+ * @param {Object} sessionData - { ipAddress, userAgent }
+ * @returns {Promise<{locked: boolean, lockedUntil: Date|null}>}
+ */
+export const registerFailedPassword = async (user, { ipAddress = null, userAgent = null } = {}) => {
+    const policy = await getEffectivePolicy({ userId: user.id });
+    if (!policy.lockoutThreshold) return { locked: false, lockedUntil: null };
+
+    const failedLoginAttempts = await passwordPolicyRepository.incrementFailedLoginAttempts(
+        user.id,
+        policy.lockoutDurationMinutes
+    );
+
+    if (failedLoginAttempts < policy.lockoutThreshold) {
+        return { locked: false, lockedUntil: null };
+    }
+
+    const lockedUntil = new Date(Date.now() + policy.lockoutDurationMinutes * 60 * 1000);
+    const lockedNow = await passwordPolicyRepository.lockAccount(user.id, policy.lockoutThreshold, lockedUntil);
+
+    // Otro login concurrente ya aplicó el bloqueo (y lo registró)
+    if (!lockedNow) {
+        return { locked: true, lockedUntil };
+    }
+
+    await logAuditAction({
+        entityType: 'user',
+        entityId: user.publicCode,
+        action: 'account_locked',
+        performedBy: null,
+        metadata: { failedLoginAttempts, lockedUntil: lockedUntil.toISOString() },
+        ipAddress,
+        userAgent
+    });
+
+    await securityEventServices.recordAccountLockout(user, {
+        ipAddress,
+        userAgent,
+        failCount: failedLoginAttempts,
+        lockMinutes: policy.lockoutDurationMinutes
+    });
+
+    authLogger.warn({ userId: user.id, lockedUntil }, 'Account locked after repeated failed passwords');
+
+    return { locked: true, lockedUntil };
+};
+
+/**
+ * Reiniciar los intentos fallidos tras un login exitoso (solo escribe si había fallos)
+ * @param {Object} user - { id, failedLoginAttempts, lockedUntil }
+ */
+export const clearFailedPasswords = async (user) => {
+    if (!user.failedLoginAttempts && !user.lockedUntil) return;
+    await passwordPolicyRepository.clearLockoutState(user.id);
+};
+
+/**
+ * Levantar el bloqueo de una cuenta (desbloqueo por admin)
+ * @param {string} userId - UUID
+ * @returns {Promise<boolean>} true si la cuenta tenía fallos o bloqueo
+ */
+export const unlockAccount = async (userId) => passwordPolicyRepository.clearLockoutState(userId);
+
+/**
+ * Política de una organización: overrides configurados y resultado combinado con la base de la plataforma
+ * @param {Object} organization - Organización interna (id, publicCode, config)
+ * @returns {{id: string, policy: Object, defaults: Object, effective: Object}}
+ */
+export const getOrganizationPolicy = (organization) => {
+    const policy = organization.config?.security?.passwordPolicy || {};
+
+    return {
+        id: organization.publicCode,
+        policy,
+        defaults: getDefaultPolicy(),
+        effective: mergePolicies([policy])
+    };
+};
+
+/**
+ * Actualizar la política de una organización (Organization.config.security.passwordPolicy)
+ * Campos en null vuelven a la base de la plataforma; los omitidos no cambian.
+ * La base nunca se relaja: en cada regla gana la opción más estricta (mergePolicies).
+ *
+ * @param {Object} organization - Organización interna (id, publicCode, config)
+ * @param {Object} changes - Campos de POLICY_FIELDS
+ * @param {Object} actor - { userId, ipAddress, userAgent }
+ * @returns {Promise<Object>} Igual que getOrganizationPolicy
+ */
+export const updateOrganizationPolicy = async (organization, changes, { userId, ipAddress = null, userAgent = null }) => {
+    const previous = organization.config?.security?.passwordPolicy || {};
+    const policy = { ...previous };
+    const auditChanges = {};
+
+    for (const field of POLICY_FIELDS) {
+        if (changes[field] === undefined) continue;
+
+        if (changes[field] === null) {
+            delete policy[field];
+        } else {
+            policy[field] = changes[field];
+        }
+
+        if (previous[field] !== policy[field]) {
+            auditChanges[field] = { old: previous[field] ?? null, new: policy[field] ?? null };
+        }
+    }
+
+    const config = {
+        ...(organization.config || {}),
+        security: {
+            ...(organization.config?.security || {}),
+            passwordPolicy: policy
+        }
+    };
+
+    await updateOrganization(organization.id, { config });
+    organization.config = config;
+
+    await logAuditAction({
+        entityType: 'organization',
+        entityId: organization.publicCode,
+        action: 'update_password_policy',
+        performedBy: userId,
+        changes: auditChanges,
+        ipAddress,
+        userAgent
+    });
+
+    await invalidateOrganizationCache(organization.publicCode);
+
+    return getOrganizationPolicy(organization);
+};
@@ -0,0 +1,76 @@
+// modules/auth/passwordPolicyServices.test.js
+// Tests del bloqueo por passwords incorrectos (modules/auth/passwordPolicyServices.js) con el repositorio simulado
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const repository = vi.hoisted(() => ({
+    findUserOrganizationPolicies: vi.fn(),
+    findOrganizationPolicies: vi.fn(),
+    incrementFailedLoginAttempts: vi.fn(),
+    lockAccount: vi.fn()
+}));
+const securityEvents = vi.hoisted(() => ({ recordAccountLockout: vi.fn() }));
+const auditLog = vi.hoisted(() => ({ logAuditAction: vi.fn() }));
+
+vi.mock('bcrypt', () => ({ default: { hash: vi.fn(), compare: vi.fn() } }));
+vi.mock('./passwordPolicyRepository.js', () => repository);
+vi.mock('./securityEventServices.js', () => securityEvents);
+vi.mock('../../helpers/auditLog.js', () => auditLog);
+vi.mock('../organizations/repository.js', () => ({ updateOrganization: vi.fn() }));
+vi.mock('../organizations/cache.js', () => ({ invalidateOrganizationCache: vi.fn() }));
+
+const { registerFailedPassword } = await import('./passwordPolicyServices.js');
+const { config } = await import('../../config/env.js');
+
+const user = { id: 'user-1', publicCode: 'USR-1', failedLoginAttempts: 0, lastFailedLoginAt: null };
+
+beforeEach(() => {
+    vi.clearAllMocks();
+    repository.findUserOrganizationPolicies.mockResolvedValue([{ lockoutThreshold: 3, lockoutDurationMinutes: 600 }]);
+});
+
+describe('registerFailedPassword', () => {
+    it('decide con el contador que devuelve la base y no con el del login', async () => {
+        repository.incrementFailedLoginAttempts.mockResolvedValueOnce(2);
+
+        expect(await registerFailedPassword(user)).toEqual({ locked: false, lockedUntil: null });
+        expect(repository.incrementFailedLoginAttempts).toHaveBeenCalledWith('user-1', 600);
+        expect(repository.lockAccount).not.toHaveBeenCalled();
+    });
+
+    it('bloquea al llegar al umbral y lo registra', async () => {
+        repository.incrementFailedLoginAttempts.mockResolvedValueOnce(3);
+        repository.lockAccount.mockResolvedValueOnce(true);
+
+        const result = await registerFailedPassword(user, { ipAddress: '203.0.113.7' });
+
+        expect(result.locked).toBe(true);
+        expect(repository.lockAccount).toHaveBeenCalledWith('user-1', 3, result.lockedUntil);
+        expect(auditLog.logAuditAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'account_locked' }));
+        expect(securityEvents.recordAccountLockout).toHaveBeenCalledTimes(1);
+    });
+
+    it('fallos concurrentes sobre el umbral responden bloqueado sin registrar el bloqueo dos veces', async () => {
+        repository.incrementFailedLoginAttempts.mockResolvedValueOnce(3).mockResolvedValueOnce(4);
+        repository.lockAccount.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+        const results = await Promise.all([registerFailedPassword(user), registerFailedPassword(user)]);
+
+        expect(results.every(result => result.locked)).toBe(true);
+        expect(auditLog.logAuditAction).toHaveBeenCalledTimes(1);
+        expect(securityEvents.recordAccountLockout).toHaveBeenCalledTimes(1);
+    });
+
+    it('sin umbral en la política no cuenta fallos', async () => {
+        const { lockoutThreshold } = config.passwordPolicy;
+        config.passwordPolicy.lockoutThreshold = 0;
+        repository.findUserOrganizationPolicies.mockResolvedValueOnce([]);
+
+        try {
+            expect(await registerFailedPassword(user)).toEqual({ locked: false, lockedUntil: null });
+            expect(repository.incrementFailedLoginAttempts).not.toHaveBeenCalled();
+        } finally {
+            config.passwordPolicy.lockoutThreshold = lockoutThreshold;
+        }
+    });
+});
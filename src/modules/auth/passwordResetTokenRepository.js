@@ -0,0 +1,150 @@
+// modules/auth/passwordResetTokenRepository.js
+// Repositorio de PasswordResetToken - Tokens de un solo uso para "forgot password"
+// Se almacenan hasheados con SHA-256 igual que los refresh tokens (hashToken)
+
+import { Op } from 'sequelize';
+import PasswordResetToken from './models/PasswordResetToken.js';
+import { hashToken } from './refreshTokenRepository.js';
+import { generateUuidV7 } from '../../utils/identifiers.js';
+import { authLogger } from '../../utils/logger.js';
+
+/**
+ * Crear y guardar un token de reset
+ * @param {Object} data - Datos del token
+ * @param {string} data.userId - ID del usuario
+ * @param {string} data.token - Token en texto plano (será hasheado)
+ * @param {Date} data.expiresAt - Fecha de expiración
+ * @param {string} [data.ipAddress] - IP desde la que se solicitó
+ * @param {string} [data.userAgent] - User agent desde el que se solicitó
+ * @returns {Promise<Object>} - Token creado
+ */
+export const createResetToken = async ({ userId, token, expiresAt, ipAddress = null, userAgent = null }) => {
+    try {
+        const resetToken = await PasswordResetToken.create({
+            id: generateUuidV7(),
+            userId,
+            tokenHash: hashToken(token),
+            expiresAt,
+            requestedIp: ipAddress,
+            requestedUserAgent: userAgent
+        });
+
+        return resetToken.toJSON();
+    } catch (error) {
+        authLogger.error(error, 'Error creating password reset token');
+        throw error;
+    }
+};
+
+/**
+ * Buscar un token de reset vigente sin consumirlo
+ * Permite validar el nuevo password antes de gastar el token (un rechazo de la política no obliga a pedir otro)
+ * @param {string} token - Token en texto plano
+ * @returns {Promise<Object|null>} - Token o null si no existe, expiró o ya fue usado
+ */
+export const findValidResetToken = async (token) => {
+    try {
+        const resetToken = await PasswordResetToken.findOne({
+            where: {
+                tokenHash: hashToken(token),
+                usedAt: null,
+                expiresAt: {
+                    [Op.gt]: new Date()
+                }
+            }
+        });
+
+        return resetToken ? resetToken.toJSON() : null;
+    } catch (error) {
+        authLogger.error(error, 'Error finding password reset token');
+        throw error;
+    }
+};
+
+/**
+ * Consumir un token de reset (single-use)
+ * El UPDATE condicional garantiza que dos requests concurrentes no usen el mismo token
+ * @param {string} token - Token en texto plano
+ * @param {string} [ipAddress] - IP desde la que se usa
+ * @returns {Promise<Object|null>} - Token consumido o null si no existe, expiró o ya fue usado
+ */
+export const consumeResetToken = async (token, ipAddress = null) => {
+    try {
+        const [affectedRows, rows] = await PasswordResetToken.update(
+            {
+                usedAt: new Date(),
+                usedIp: ipAddress
+            },
+            {
+                where: {
+                    tokenHash: hashToken(token),
+                    usedAt: null,
+                    expiresAt: {
+                        [Op.gt]: new Date()
+                    }
+                },
+                returning: true
+            }
+        );
+
+        return affectedRows > 0 ? rows[0].toJSON() : null;
+    } catch (error) {
+        authLogger.error(error, 'Error consuming password reset token');
+        throw error;
+    }
+};
+
+/**
+ * Invalidar todos los tokens pendientes de un usuario
+ * Se llama al emitir un token nuevo y después de un reset exitoso
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<number>} - Número de tokens invalidados
+ */
+export const invalidateUserResetTokens = async (userId) => {
+    try {
+        const [affectedRows] = await PasswordResetToken.update(
+            { usedAt: new Date() },
+            {
+                where: {
+                    userId,
+                    usedAt: null
+                }
+            }
+        );
+
+        return affectedRows;
+    } catch (error) {
+        authLogger.error(error, 'Error invalidating password reset tokens');
+        throw error;
+    }
+};
+
+/**
+ * Limpiar tokens expirados o usados hace más de 1 día
+ * @returns {Promise<number>} - Número de tokens eliminados
+ */
+export const cleanupExpiredResetTokens = async () => {
+    try {
+        const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+        return await PasswordResetToken.destroy({
+            where: {
+                [Op.or]: [
+                    {
+                        expiresAt: {
+                            [Op.lt]: cutoff
+                        }
+                    },
+                    {
+                        usedAt: {
+                            [Op.lt]: cutoff
+                        }
+                    }
+                ]
+            }
+        });
+    } catch (error) {
+        authLogger.error(error, 'Error cleaning up password reset tokens');
+        throw error;
+    }
+};
@@ -26,7 +26,8 @@ export const cacheRole = async (role) => {
             id: role.id,
             name: role.name,
             description: role.description,
-            isActive: role.isActive
+            isActive: role.isActive,
+            permissions: role.permissions || []
         };
 
         await setCache(key, roleData, ROLE_CACHE_TTL);
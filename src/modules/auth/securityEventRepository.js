@@ -0,0 +1,145 @@
+// modules/auth/securityEventRepository.js
+// Repositorio de eventos de seguridad: historial de logins y anomalías por usuario
+
+import { Op } from 'sequelize';
+import sequelize from '../../db/sql/sequelize.js';
+import SecurityEvent from './models/SecurityEvent.js';
+import User from './models/User.js';
+import { generateUuidV7, generatePublicCode } from '../../utils/identifiers.js';
+
+/**
+ * Registrar un evento de seguridad
+ * @param {Object} data
+ * @param {string} data.userId - UUID del usuario
+ * @param {string} data.eventType - Tipo de evento
+ * @param {string} data.severity - info | low | medium | high
+ * @param {string|null} [data.ipAddress]
+ * @param {string|null} [data.userAgent]
+ * @param {string|null} [data.device]
+ * @param {Object|null} [data.location] - { country, city, latitude, longitude } (lookupIp)
+ * @param {Object} [data.metadata]
+ * @returns {Promise<Object>} Evento creado
+ */
+export const createSecurityEvent = async ({
+    userId, eventType, severity, ipAddress = null, userAgent = null, device = null, location = null, metadata = {}
+}) => {
+    const event = await SecurityEvent.create({
+        id: generateUuidV7(),
+        publicCode: generatePublicCode('SEV'),
+        userId,
+        eventType,
+        severity,
+        ipAddress,
+        userAgent,
+        device,
+        countryCode: location?.country || null,
+        city: location?.city || null,
+        latitude: location?.latitude ?? null,
+        longitude: location?.longitude ?? null,
+        metadata
+    });
+    return event.toJSON();
+};
+
+/**
+ * Logins exitosos recientes de un usuario (base de comparación para detectar anomalías)
+ * @param {string} userId - UUID
+ * @param {Date} since - Desde cuándo
+ * @param {number} [limit=500]
+ * @returns {Promise<Object[]>} Más reciente primero
+ */
+export const findLoginHistory = async (userId, since, limit = 500) => SecurityEvent.findAll({
+    where: {
+        userId,
+        eventType: 'login_success',
+        createdAt: { [Op.gte]: since }
+    },
+    attributes: ['ipAddress', 'device', 'countryCode', 'latitude', 'longitude', 'createdAt'],
+    order: [['createdAt', 'DESC']],
+    limit,
+    raw: true
+});
+
+/**
+ * Anomalías recientes de un usuario (severidad distinta de info)
+ * @param {string} userId - UUID
+ * @param {Date} since - Desde cuándo
+ * @returns {Promise<Object[]>}
+ */
+export const findRecentAnomalies = async (userId, since) => SecurityEvent.findAll({
+    where: {
+        userId,
+        severity: { [Op.ne]: 'info' },
+        createdAt: { [Op.gte]: since }
+    },
+    order: [['createdAt', 'DESC']],
+    limit: 100,
+    raw: true
+});
+
+/**
+ * Listar eventos de seguridad con filtros y paginación
+ * @param {Object} filters
+ * @param {string} [filters.userId] - Eventos de un usuario
+ * @param {string} [filters.organizationId] - Eventos de los miembros de una organización
+ * @param {string[]} [filters.types] - Tipos de evento
+ * @param {string} [filters.severity] - Severidad
+ * @param {Date} [filters.from]
+ * @param {Date} [filters.to]
+ * @param {number} [filters.limit=20]
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<{rows: Object[], count: number}>}
+ */
+export const listSecurityEvents = async ({
+    userId, organizationId, types, severity, from, to, limit = 20, offset = 0
+}) => {
+    const where = {};
+
+    if (userId) {
+        where.userId = userId;
+    }
+
+    if (organizationId) {
+        where[Op.and] = [sequelize.literal(
+            `"SecurityEvent"."user_id" IN (SELECT user_id FROM user_organizations WHERE organization_id = ${sequelize.escape(organizationId)} AND deleted_at IS NULL)`
+        )];
+    }
+
+    if (types?.length) {
+        where.eventType = { [Op.in]: types };
+    }
+
+    if (severity) {
+        where.severity = severity;
+    }
+
+    if (from || to) {
+        where.createdAt = {
+            ...(from && { [Op.gte]: from }),
+            ...(to && { [Op.lte]: to })
+        };
+    }
+
+    const { rows, count } = await SecurityEvent.findAndCountAll({
+        where,
+        include: [{
+            model: User,
+            as: 'user',
+            attributes: ['publicCode', 'email', 'firstName', 'lastName']
+        }],
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset
+    });
+
+    return { rows: rows.map(row => row.toJSON()), count };
+};
+
+/**
+ * Eliminar eventos anteriores a una fecha (retención)
+ * @param {Date} before
+ * @returns {Promise<number>} Cantidad eliminada
+ */
+export const deleteEventsBefore = async (before) => SecurityEvent.destroy({
+    where: { createdAt: { [Op.lt]: before } }
+});
@@ -0,0 +1,481 @@
+// modules/auth/securityEventServices.js
+// Eventos de seguridad: detección de anomalías en logins y refresh de sesiones, feed por usuario/organización
+//
+// Cada login exitoso queda registrado (login_success) y es la base contra la que se comparan los
+// siguientes: dispositivo (navegador + SO), país y rango de IP vistos en config.security.historyDays,
+// y distancia/velocidad respecto del login o sesión anterior (viaje imposible). La ubicación sale de
+// la base GeoIP local (utils/geoIp.js); sin base configurada solo se evalúan dispositivo y rango de IP.
+
+import { config } from '../../config/env.js';
+import { authLogger } from '../../utils/logger.js';
+import { lookupIp, getIpRangeKey, distanceKm } from '../../utils/geoIp.js';
+import * as securityEventRepository from './securityEventRepository.js';
+import * as authRepository from './repository.js';
+import { notify, NOTIFICATION_TYPES } from '../notifications/services.js';
+
+export const SECURITY_EVENT_TYPES = {
+    LOGIN_SUCCESS: 'login_success',
+    NEW_DEVICE: 'new_device',
+    NEW_LOCATION: 'new_location',
+    NEW_IP_RANGE: 'new_ip_range',
+    IMPOSSIBLE_TRAVEL: 'impossible_travel',
+    REPEATED_FAILURES: 'repeated_failures',
+    ACCOUNT_LOCKED: 'account_locked',
+    SESSION_REAUTH_REQUIRED: 'session_reauth_required'
+};
+
+export const SECURITY_EVENT_SEVERITIES = ['info', 'low', 'medium', 'high'];
+
+// Severidades que además del evento generan una notificación al usuario
+const NOTIFIED_SEVERITIES = ['medium', 'high'];
+
+const BROWSERS = [
+    ['Edge', /Edg(?:e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Version\/[\d.]+.*Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['ChromeOS', /CrOS/],
+    ['Linux', /Linux/]
+];
+
+/**
+ * Etiqueta de dispositivo a partir del user agent ("Chrome on Windows")
+ * Se ignora la versión para que las actualizaciones del navegador no cuenten como dispositivo nuevo.
+ * @param {string|null} userAgent
+ * @returns {string|null}
+ */
+export const describeUserAgent = (userAgent) => {
+    if (!userAgent) return null;
+
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (!browser && !os) {
+        // Clientes no navegador (curl, SDKs): primer token del user agent
+        return userAgent.split(/[\s/]/)[0].substring(0, 100) || null;
+    }
+
+    return [browser || 'Unknown browser', os].filter(Boolean).join(' on ');
+};
+
+/**
+ * Evaluar si el desplazamiento entre dos ubicaciones es un viaje imposible
+ * @param {{latitude: number|null, longitude: number|null, at: Date|string}} previous
+ * @param {{latitude: number|null, longitude: number|null, at: Date|string}} current
+ * @returns {{distanceKm: number, hours: number, speedKmh: number}|null} null si no hay coordenadas o es plausible
+ */
+export const evaluateTravel = (previous, current) => {
+    if (previous?.latitude == null || previous?.longitude == null) return null;
+    if (current?.latitude == null || current?.longitude == null) return null;
+
+    const distance = distanceKm(previous, current);
+    if (distance < config.security.impossibleTravelMinDistanceKm) return null;
+
+    // Piso de un minuto para no dividir por cero con logins simultáneos
+    const hours = Math.max((new Date(current.at) - new Date(previous.at)) / 3600000, 1 / 60);
+    const speed = distance / hours;
+    if (speed <= config.security.impossibleTravelSpeedKmh) return null;
+
+    return {
+        distanceKm: Math.round(distance),
+        hours: Math.round(hours * 100) / 100,
+        speedKmh: Math.round(speed)
+    };
+};
+
+/**
+ * Anomalías de un login respecto del historial de logins del usuario
+ * Sin historial (primer login registrado) no hay anomalías: no hay con qué comparar.
+ *
+ * @param {Object[]} history - Logins previos (más reciente primero): { ipAddress, device, countryCode, latitude, longitude, createdAt }
+ * @param {Object} current - { ipAddress, device, location, at }
+ * @returns {Array<{eventType: string, severity: string, metadata: Object}>}
+ */
+export const detectLoginAnomalies = (history, current) => {
+    if (!history.length) return [];
+
+    const anomalies = [];
+
+    if (current.device && !history.some(login => login.device === current.device)) {
+        anomalies.push({ eventType: SECURITY_EVENT_TYPES.NEW_DEVICE, severity: 'medium', metadata: {} });
+    }
+
+    const knownCountries = new Set(history.map(login => login.countryCode).filter(Boolean));
+    const country = current.location?.country;
+
+    if (country && knownCountries.size && !knownCountries.has(country)) {
+        anomalies.push({
+            eventType: SECURITY_EVENT_TYPES.NEW_LOCATION,
+            severity: 'medium',
+            metadata: { knownCountries: [...knownCountries] }
+        });
+    } else {
+        const rangeKey = getIpRangeKey(current.ipAddress);
+        const knownRanges = new Set(history.map(login => getIpRangeKey(login.ipAddress)).filter(Boolean));
+        if (rangeKey && knownRanges.size && !knownRanges.has(rangeKey)) {
+            anomalies.push({ eventType: SECURITY_EVENT_TYPES.NEW_IP_RANGE, severity: 'low', metadata: { ipRange: rangeKey } });
+        }
+    }
+
+    const previous = history.find(login => login.latitude != null && login.longitude != null);
+    const travel = previous && evaluateTravel(
+        { latitude: previous.latitude, longitude: previous.longitude, at: previous.createdAt },
+        { latitude: current.location?.latitude, longitude: current.location?.longitude, at: current.at }
+    );
+    if (travel) {
+        anomalies.push({
+            eventType: SECURITY_EVENT_TYPES.IMPOSSIBLE_TRAVEL,
+            severity: 'high',
+            metadata: { ...travel, previousIp: previous.ipAddress, previousCountry: previous.countryCode }
+        });
+    }
+
+    return anomalies;
+};
+
+/**
+ * Texto de ubicación para notificaciones ("Lima, PE")
+ * @param {Object|null} location
+ * @returns {string}
+ */
+const formatLocation = (location) => [location?.city, location?.country].filter(Boolean).join(', ') || '-';
+
+/**
+ * Notificar al usuario una actividad sospechosa (in-app + email)
+ * @param {string} userId - UUID
+ * @param {Object} context - { ipAddress, device, location }
+ */
+const notifyLoginAlert = async (userId, { ipAddress, device, location }) => {
+    await notify([userId], {
+        type: NOTIFICATION_TYPES.SECURITY_LOGIN_ALERT,
+        params: {
+            device: device || '-',
+            location: formatLocation(location),
+            ip: ipAddress || '-'
+        }
+    });
+};
+
+/**
+ * Registrar un login exitoso y las anomalías que presente
+ * Best-effort: un error acá nunca impide el login.
+ *
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} sessionData - { ipAddress, userAgent, loginMethod }
+ * @returns {Promise<Array>} Anomalías detectadas
+ */
+export const recordSuccessfulLogin = async (user, { ipAddress = null, userAgent = null, loginMethod = 'password' } = {}) => {
+    try {
+        const now = new Date();
+        const device = describeUserAgent(userAgent);
+        const location = await lookupIp(ipAddress);
+        const since = new Date(now.getTime() - config.security.historyDays * 24 * 60 * 60 * 1000);
+
+        const history = await securityEventRepository.findLoginHistory(user.id, since);
+        const anomalies = detectLoginAnomalies(history, { ipAddress, device, location, at: now });
+
+        const base = { userId: user.id, ipAddress, userAgent, device, location };
+
+        await securityEventRepository.createSecurityEvent({
+            ...base,
+            eventType: SECURITY_EVENT_TYPES.LOGIN_SUCCESS,
+            severity: 'info',
+            metadata: { loginMethod }
+        });
+
+        for (const anomaly of anomalies) {
+            await securityEventRepository.createSecurityEvent({
+                ...base,
+                eventType: anomaly.eventType,
+                severity: anomaly.severity,
+                metadata: { ...anomaly.metadata, loginMethod }
+            });
+        }
+
+        if (anomalies.some(anomaly => NOTIFIED_SEVERITIES.includes(anomaly.severity))) {
+            await notifyLoginAlert(user.id, base);
+        }
+
+        if (anomalies.length) {
+            authLogger.warn({
+                userId: user.id,
+                ipAddress,
+                anomalies: anomalies.map(anomaly => anomaly.eventType)
+            }, 'Login anomalies detected');
+        }
+
+        return anomalies;
+    } catch (error) {
+        authLogger.error({ err: error, userId: user?.id }, 'Error recording login security events');
+        return [];
+    }
+};
+
+/**
+ * Registrar fallos repetidos y bloqueos de un identificador (resultado de recordFailedLogin)
+ * Solo se busca el usuario cuando corresponde un evento; identificadores inexistentes no generan eventos.
+ * Best-effort: nunca cambia la respuesta del login.
+ *
+ * @param {Object} failure
+ * @param {string} failure.identifier - Email o username intentado
+ * @param {string|null} failure.ipAddress
+ * @param {string|null} failure.userAgent
+ * @param {number} failure.identifierFailCount - Fallos del identificador en la ventana actual
+ * @param {boolean} failure.identifierLocked - true si este fallo disparó el bloqueo
+ * @param {number} failure.lockSeconds - Duración del bloqueo
+ */
+export const recordLoginFailure = async ({ identifier, ipAddress = null, userAgent = null, identifierFailCount, identifierLocked, lockSeconds }) => {
+    try {
+        const isRepeated = identifierFailCount === config.security.repeatedFailuresThreshold;
+        if (!identifier || (!isRepeated && !identifierLocked)) return;
+
+        const user = await authRepository.findUserByIdentifier(identifier);
+        if (!user) return;
+
+        const device = describeUserAgent(userAgent);
+        const location = await lookupIp(ipAddress);
+        const base = { userId: user.id, ipAddress, userAgent, device, location };
+
+        if (isRepeated) {
+            await securityEventRepository.createSecurityEvent({
+                ...base,
+                eventType: SECURITY_EVENT_TYPES.REPEATED_FAILURES,
+                severity: 'medium',
+                metadata: { failCount: identifierFailCount }
+            });
+        }
+
+        if (identifierLocked) {
+            const lockMinutes = Math.ceil(lockSeconds / 60);
+
+            await securityEventRepository.createSecurityEvent({
+                ...base,
+                eventType: SECURITY_EVENT_TYPES.ACCOUNT_LOCKED,
+                severity: 'high',
+                metadata: { failCount: identifierFailCount, lockMinutes }
+            });
+
+            await notify([user.id], {
+                type: NOTIFICATION_TYPES.SECURITY_ACCOUNT_LOCKED,
+                params: { minutes: String(lockMinutes), ip: ipAddress || '-' }
+            });
+        }
+    } catch (error) {
+        authLogger.error({ err: error }, 'Error recording login failure security events');
+    }
+};
+
+/**
+ * Registrar el bloqueo de la cuenta por la política de contraseñas (users.locked_until)
+ * A diferencia del bloqueo por identificador en Redis, dura hasta que vence o lo levanta un admin.
+ * Best-effort: nunca cambia la respuesta del login.
+ *
+ * @param {Object} user - Usuario bloqueado
+ * @param {Object} lockout - { ipAddress, userAgent, failCount, lockMinutes }
+ */
+export const recordAccountLockout = async (user, { ipAddress = null, userAgent = null, failCount, lockMinutes }) => {
+    try {
+        const device = describeUserAgent(userAgent);
+        const location = await lookupIp(ipAddress);
+
+        await securityEventRepository.createSecurityEvent({
+            userId: user.id,
+            ipAddress,
+            userAgent,
+            device,
+            location,
+            eventType: SECURITY_EVENT_TYPES.ACCOUNT_LOCKED,
+            severity: 'high',
+            metadata: { failCount, lockMinutes, source: 'account_lockout' }
+        });
+
+        await notify([user.id], {
+            type: NOTIFICATION_TYPES.SECURITY_ACCOUNT_LOCKED,
+            params: { minutes: String(lockMinutes), ip: ipAddress || '-' }
+        });
+    } catch (error) {
+        authLogger.error({ err: error, userId: user?.id }, 'Error recording account lockout security event');
+    }
+};
+
+/**
+ * Evaluar el refresh de una sesión desde una IP distinta a la que emitió el token
+ * Registra impossible_travel si el salto desde la ubicación anterior no es plausible y, con
+ * config.security.anomalyAction = 'reauth', indica que la sesión debe cerrarse (el nuevo login
+ * pasa otra vez por el 2FA si el usuario lo tiene activo).
+ *
+ * @param {Object} storedToken - Refresh token en BD (userId, ipAddress, createdAt)
+ * @param {Object} sessionData - { ipAddress, userAgent }
+ * @returns {Promise<{reauthRequired: boolean}>}
+ */
+export const evaluateSessionRefresh = async (storedToken, { ipAddress = null, userAgent = null } = {}) => {
+    try {
+        if (!ipAddress || !storedToken.ipAddress || ipAddress === storedToken.ipAddress) {
+            return { reauthRequired: false };
+        }
+
+        const [previousLocation, location] = await Promise.all([
+            lookupIp(storedToken.ipAddress),
+            lookupIp(ipAddress)
+        ]);
+
+        const travel = evaluateTravel(
+            { ...previousLocation, at: storedToken.createdAt },
+            { ...location, at: new Date() }
+        );
+        if (!travel) return { reauthRequired: false };
+
+        const base = { userId: storedToken.userId, ipAddress, userAgent, device: describeUserAgent(userAgent), location };
+
+        await securityEventRepository.createSecurityEvent({
+            ...base,
+            eventType: SECURITY_EVENT_TYPES.IMPOSSIBLE_TRAVEL,
+            severity: 'high',
+            metadata: {
+                ...travel,
+                source: 'session_refresh',
+                previousIp: storedToken.ipAddress,
+                previousCountry: previousLocation?.country || null
+            }
+        });
+
+        const reauthRequired = config.security.anomalyAction === 'reauth';
+        if (reauthRequired) {
+            await securityEventRepository.createSecurityEvent({
+                ...base,
+                eventType: SECURITY_EVENT_TYPES.SESSION_REAUTH_REQUIRED,
+                severity: 'high',
+                metadata: { reason: SECURITY_EVENT_TYPES.IMPOSSIBLE_TRAVEL }
+            });
+        }
+
+        await notifyLoginAlert(storedToken.userId, base);
+
+        authLogger.warn({ userId: storedToken.userId, ipAddress, ...travel, reauthRequired }, 'Impossible travel detected on session refresh');
+
+        return { reauthRequired };
+    } catch (error) {
+        authLogger.error({ err: error, userId: storedToken?.userId }, 'Error evaluating session refresh');
+        return { reauthRequired: false };
+    }
+};
+
+/**
+ * Formatear un evento para la API (sin UUIDs internos)
+ * @param {Object} event - Evento (con user incluido en el feed de organización)
+ * @param {boolean} [includeUser=false]
+ * @returns {Object}
+ */
+const toSecurityEventDto = (event, includeUser = false) => ({
+    id: event.publicCode,
+    type: event.eventType,
+    severity: event.severity,
+    createdAt: event.createdAt,
+    ipAddress: event.ipAddress,
+    device: event.device,
+    location: event.countryCode || event.city
+        ? { country: event.countryCode, city: event.city }
+        : null,
+    metadata: event.metadata || {},
+    ...(includeUser && {
+        user: event.user
+            ? {
+                id: event.user.publicCode,
+                email: event.user.email,
+                name: `${event.user.firstName || ''} ${event.user.lastName || ''}`.trim()
+            }
+            : null
+    })
+});
+
+/**
+ * Listar eventos de seguridad
+ * - scope self: los del usuario autenticado
+ * - scope organization: los de los miembros de la organización (requiere security_events.view,
+ *   verificado en la ruta); organizationId null = todas (system-admin sin organización activa)
+ *
+ * @param {Object} params
+ * @param {string} params.userId - UUID del usuario autenticado
+ * @param {'self'|'organization'} params.scope
+ * @param {string|null} [params.organizationId] - UUID de la organización activa
+ * @param {string} [params.userPublicCode] - Filtrar por miembro (solo scope organization)
+ * @param {string[]} [params.types]
+ * @param {string} [params.severity]
+ * @param {Date} [params.from]
+ * @param {Date} [params.to]
+ * @param {number} [params.limit]
+ * @param {number} [params.offset]
+ * @returns {Promise<{items: Object[], total: number}>}
+ */
+export const listSecurityEvents = async ({ userId, scope, organizationId = null, userPublicCode, ...filters }) => {
+    const isOrganizationScope = scope === 'organization';
+    let targetUserId = isOrganizationScope ? undefined : userId;
+
+    if (isOrganizationScope && userPublicCode) {
+        const member = await authRepository.findUserByPublicCode(userPublicCode);
+        if (!member) {
+            return { items: [], total: 0 };
+        }
+        targetUserId = member.id;
+    }
+
+    const { rows, count } = await securityEventRepository.listSecurityEvents({
+        ...filters,
+        userId: targetUserId,
+        organizationId: isOrganizationScope ? organizationId : undefined
+    });
+
+    return {
+        items: rows.map(row => toSecurityEventDto(row, isOrganizationScope)),
+        total: count
+    };
+};
+
+/**
+ * Agregar ubicación, dispositivo y anomalías recientes a las sesiones activas del usuario
+ * Una anomalía se asocia a la sesión cuando coincide la IP desde la que se registró.
+ *
+ * @param {string} userId - UUID
+ * @param {Object[]} sessions - Resultado de refreshTokenRepository.getUserActiveSessions
+ * @returns {Promise<Object[]>}
+ */
+export const enrichSessions = async (userId, sessions) => {
+    const since = new Date(Date.now() - config.security.historyDays * 24 * 60 * 60 * 1000);
+    const anomalies = await securityEventRepository.findRecentAnomalies(userId, since);
+
+    return Promise.all(sessions.map(async (session) => {
+        const location = await lookupIp(session.ipAddress);
+
+        return {
+            ...session,
+            device: describeUserAgent(session.userAgent),
+            location: location ? { country: location.country, city: location.city } : null,
+            securityEvents: anomalies
+                .filter(event => event.ipAddress && event.ipAddress === session.ipAddress)
+                .map(event => ({
+                    id: event.publicCode,
+                    type: event.eventType,
+                    severity: event.severity,
+                    createdAt: event.createdAt
+                }))
+        };
+    }));
+};
+
+/**
+ * Eliminar eventos más viejos que config.security.retentionDays
+ * @returns {Promise<number>} Cantidad eliminada
+ */
+export const cleanupOldSecurityEvents = async () => {
+    const before = new Date(Date.now() - config.security.retentionDays * 24 * 60 * 60 * 1000);
+    return securityEventRepository.deleteEventsBefore(before);
+};
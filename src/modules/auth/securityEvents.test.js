@@ -0,0 +1,131 @@
+// modules/auth/securityEvents.test.js
+// Tests de la detección de anomalías en logins y de la geolocalización local (utils/geoIp.js)
+// Funciones puras y una base GeoIP temporal: no requiere BD ni Redis.
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getIpRangeKey, distanceKm, isPrivateIp, loadGeoIpDatabase, lookupIp } from '../../utils/geoIp.js';
+import { describeUserAgent, detectLoginAnomalies, evaluateTravel } from './securityEventServices.js';
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+const LIMA = { latitude: -12.0464, longitude: -77.0428 };
+const MADRID = { latitude: 40.4168, longitude: -3.7038 };
+
+describe('utils/geoIp', () => {
+    let tmpDir;
+
+    beforeAll(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-'));
+        const file = path.join(tmpDir, 'dbip-city-lite.csv');
+        fs.writeFileSync(file, [
+            '"198.51.100.0","198.51.100.255","EU","ES","Madrid","Madrid","40.4168","-3.7038"',
+            '"203.0.113.0","203.0.113.255","SA","PE","Lima","Lima","-12.0464","-77.0428"',
+            '"2001:db8::","2001:db8:ffff:ffff:ffff:ffff:ffff:ffff","SA","PE","Lima","Lima","-12.0464","-77.0428"'
+        ].join('\n'));
+        await loadGeoIpDatabase(file);
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('ubica IPv4, IPv4 mapeada e IPv6 por rango', async () => {
+        expect(await lookupIp('203.0.113.10')).toMatchObject({ country: 'PE', city: 'Lima' });
+        expect(await lookupIp('::ffff:198.51.100.7')).toMatchObject({ country: 'ES', city: 'Madrid' });
+        expect(await lookupIp('2001:db8:85a3::8a2e:370:7334')).toMatchObject({ country: 'PE' });
+        expect(await lookupIp('192.0.2.1')).toBeNull();
+    });
+
+    it('las IPs privadas no tienen ubicación', async () => {
+        expect(isPrivateIp('10.1.2.3')).toBe(true);
+        expect(isPrivateIp('::1')).toBe(true);
+        expect(isPrivateIp('203.0.113.10')).toBe(false);
+        expect(await lookupIp('192.168.1.10')).toBeNull();
+    });
+
+    it('agrupa IPs por rango /24 e IPv6 /48', () => {
+        expect(getIpRangeKey('203.0.113.10')).toBe('203.0.113.0/24');
+        expect(getIpRangeKey('::ffff:203.0.113.200')).toBe('203.0.113.0/24');
+        expect(getIpRangeKey('2001:db8:85a3::8a2e:370:7334')).toBe('2001:db8:85a3::/48');
+        expect(getIpRangeKey('no-ip')).toBeNull();
+    });
+
+    it('calcula distancias con haversine', () => {
+        expect(Math.round(distanceKm(LIMA, MADRID) / 100)).toBe(95);
+    });
+});
+
+describe('describeUserAgent', () => {
+    it('ignora la versión del navegador', () => {
+        expect(describeUserAgent(CHROME_WINDOWS)).toBe('Chrome on Windows');
+        expect(describeUserAgent(CHROME_WINDOWS.replace('129.0.0.0', '130.0.0.0'))).toBe('Chrome on Windows');
+        expect(describeUserAgent(SAFARI_IPHONE)).toBe('Safari on iOS');
+        expect(describeUserAgent('curl/8.5.0')).toBe('curl');
+        expect(describeUserAgent(null)).toBeNull();
+    });
+});
+
+describe('detectLoginAnomalies', () => {
+    const at = new Date('2026-10-19T12:00:00Z');
+    const history = [{
+        ipAddress: '198.51.100.7',
+        device: 'Chrome on Windows',
+        countryCode: 'ES',
+        ...MADRID,
+        createdAt: new Date('2026-10-19T10:00:00Z')
+    }];
+
+    it('sin historial no hay anomalías', () => {
+        expect(detectLoginAnomalies([], { ipAddress: '203.0.113.10', device: 'Safari on iOS', location: null, at })).toEqual([]);
+    });
+
+    it('mismo dispositivo y rango no generan eventos', () => {
+        const anomalies = detectLoginAnomalies(history, {
+            ipAddress: '198.51.100.50',
+            device: 'Chrome on Windows',
+            location: { country: 'ES', ...MADRID },
+            at
+        });
+        expect(anomalies).toEqual([]);
+    });
+
+    it('detecta dispositivo, país nuevo y viaje imposible', () => {
+        const anomalies = detectLoginAnomalies(history, {
+            ipAddress: '203.0.113.10',
+            device: 'Safari on iOS',
+            location: { country: 'PE', city: 'Lima', ...LIMA },
+            at
+        });
+
+        expect(anomalies.map(anomaly => anomaly.eventType)).toEqual(['new_device', 'new_location', 'impossible_travel']);
+        expect(anomalies[2]).toMatchObject({ severity: 'high', metadata: { previousCountry: 'ES' } });
+    });
+
+    it('sin ubicación solo compara el rango de IP', () => {
+        const anomalies = detectLoginAnomalies([{ ...history[0], countryCode: null, latitude: null, longitude: null }], {
+            ipAddress: '203.0.113.10',
+            device: 'Chrome on Windows',
+            location: null,
+            at
+        });
+        expect(anomalies).toEqual([{ eventType: 'new_ip_range', severity: 'low', metadata: { ipRange: '203.0.113.0/24' } }]);
+    });
+});
+
+describe('evaluateTravel', () => {
+    it('un viaje plausible no es anomalía', () => {
+        const travel = evaluateTravel(
+            { ...MADRID, at: '2026-10-18T10:00:00Z' },
+            { ...LIMA, at: '2026-10-19T10:00:00Z' }
+        );
+        expect(travel).toBeNull();
+    });
+
+    it('sin coordenadas no se evalúa', () => {
+        expect(evaluateTravel({ latitude: null, longitude: null, at: new Date() }, { ...LIMA, at: new Date() })).toBeNull();
+    });
+});
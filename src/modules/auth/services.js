@@ -8,10 +8,17 @@ import { config } from '../../config/env.js';
 import { authLogger } from '../../utils/logger.js';
 import * as authRepository from './repository.js';
 import * as refreshTokenRepository from './refreshTokenRepository.js';
+import * as passwordResetTokenRepository from './passwordResetTokenRepository.js';
+import * as twoFactorServices from './twoFactorServices.js';
+import * as securityEventServices from './securityEventServices.js';
+import * as passwordPolicyServices from './passwordPolicyServices.js';
 import * as authCache from './cache.js';
 import * as rolesCache from './rolesCache.js';
 import * as organizationService from '../organizations/services.js';
 import Role from './models/Role.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import { resetLoginCounters } from '../../middleware/loginRateLimit.js';
+import { sendTemplatedMail } from '../../services/mail/index.js';
 
 // Configuración de bcrypt
 const SALT_ROUNDS = 10;
@@ -37,7 +44,7 @@ const getRoleByName = async (roleName) => {
     }
     
     // Si no está en cache, buscar en BD
-    const role = await Role.findOne({ where: { name: roleName } });
+    const role = await Role.findOne({ where: { name: roleName, organizationId: null } });
     
     if (role) {
         // Guardar en cache para futuras consultas
@@ -58,9 +65,14 @@ const getRoleByName = async (roleName) => {
  * @param {string} [userData.organizationId] - ID de la organización
  * @param {string} [userData.roleId] - ID del rol (si no se provee, usa 'user' por defecto)
  * @param {Object} [sessionData] - Datos de la sesión (userAgent, ipAddress)
+ * @param {Object} [options]
+ * @param {boolean} [options.emailVerified] - El email ya fue verificado (ej: aceptó una invitación recibida por email)
+ * @param {boolean} [options.issueTokens] - false: solo crea el usuario (el caller emite los tokens con generateTokensForUser,
+ *                                          ej: después de asociarlo a una organización)
+ * @param {boolean} [options.enforcePasswordPolicy] - false: password generado por el sistema (ej: alta JIT por SSO)
  * @returns {Promise<Object>} - Usuario creado y token JWT
  */
-export const register = async (userData, sessionData = {}) => {
+export const register = async (userData, sessionData = {}, { emailVerified = false, issueTokens = true, enforcePasswordPolicy = true } = {}) => {
     const { email, password, firstName, lastName, organizationId, roleId } = userData;
 
     // Verificar si el email ya existe
@@ -85,8 +97,10 @@ export const register = async (userData, sessionData = {}) => {
         finalRoleId = defaultRole.id;
     }
 
-    // Hashear password con bcrypt
-    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    // Validar contra la política de la organización de destino y hashear con bcrypt
+    const passwordHash = enforcePasswordPolicy
+        ? await passwordPolicyServices.hashNewUserPassword(password, { organizationIds: [organizationId] })
+        : await bcrypt.hash(password, SALT_ROUNDS);
 
     // Crear usuario en la base de datos
     const newUser = await authRepository.createUser({
@@ -98,6 +112,18 @@ export const register = async (userData, sessionData = {}) => {
         roleId: finalRoleId
     });
 
+    await passwordPolicyServices.recordInitialPassword(newUser.id, passwordHash);
+
+    if (emailVerified) {
+        await authRepository.verifyEmail(newUser.id);
+    } else {
+        await sendEmailVerification(newUser);
+    }
+
+    if (!issueTokens) {
+        return { user: newUser };
+    }
+
     // Generar tokens JWT y guardar refresh token en BD
     const tokens = await generateTokens(newUser, sessionData);
 
@@ -183,7 +209,7 @@ export const verifyTurnstileToken = async (captchaToken, remoteIp) => {
  * @param {Object} [sessionData] - Datos de la sesión (userAgent, ipAddress, rememberMe, captchaToken)
  * @param {boolean} [sessionData.rememberMe=false] - Si true, genera tokens con duración extendida
  * @param {string} [sessionData.captchaToken] - Token de Cloudflare Turnstile para validación
- * @returns {Promise<Object>} - Usuario y token JWT
+ * @returns {Promise<Object>} - Usuario y token JWT, o { twoFactorRequired, challengeToken, expiresIn, enrollmentRequired }
  */
 export const login = async (identifier, password, sessionData = {}) => {
     // Validar captcha ANTES de verificar credenciales (si está configurado)
@@ -207,19 +233,132 @@ export const login = async (identifier, password, sessionData = {}) => {
         throw error;
     }
 
+    // Cuenta bloqueada por la política de contraseñas (hasta locked_until o desbloqueo por admin)
+    passwordPolicyServices.assertNotLocked(user);
+
     // Verificar password con bcrypt
     const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
 
     if (!isPasswordValid) {
+        const lockout = await passwordPolicyServices.registerFailedPassword(user, sessionData);
+        if (lockout.locked) {
+            passwordPolicyServices.assertNotLocked({ lockedUntil: lockout.lockedUntil });
+        }
+
         const error = new Error('auth.login.invalid_credentials');
         error.status = 401;
         error.code = 'INVALID_CREDENTIALS';
         throw error;
     }
 
+    await passwordPolicyServices.clearFailedPasswords(user);
+
+    // Password vencido: no se emite sesión hasta cambiarlo con POST /auth/change-expired-password
+    if (await passwordPolicyServices.isUserPasswordExpired(user)) {
+        const error = new Error('auth.password.expired');
+        error.status = 403;
+        error.code = 'PASSWORD_EXPIRED';
+        throw error;
+    }
+
+    // Segundo factor: 2FA activo o exigido por alguna organización del usuario.
+    // No se emiten tokens todavía: /auth/login/2fa completa el login con el challenge.
+    const twoFactor = await twoFactorServices.getLoginRequirement(user.id);
+    if (twoFactor.enabled || twoFactor.required) {
+        return startTwoFactorChallenge(user, identifier, twoFactor, sessionData);
+    }
+
+    return establishSession(user, { ...sessionData, loginMethod: 'password' });
+};
+
+/**
+ * Crear el challenge de segundo factor de un login (se completa con /auth/login/2fa)
+ * @param {Object} user - Usuario
+ * @param {string} identifier - Identificador del login (rate limiting de /auth/login/2fa)
+ * @param {Object} twoFactor - Resultado de twoFactorServices.getLoginRequirement
+ * @param {Object} sessionData - { rememberMe, requestedOrgId }
+ * @returns {Promise<Object>} { twoFactorRequired, challengeToken, expiresIn, enrollmentRequired }
+ */
+const startTwoFactorChallenge = async (user, identifier, twoFactor, sessionData) => {
+    const challenge = await twoFactorServices.createLoginChallenge({
+        userId: user.id,
+        identifier,
+        enrollmentRequired: !twoFactor.enabled,
+        sessionData: {
+            rememberMe: sessionData.rememberMe || false,
+            requestedOrgId: sessionData.requestedOrgId || null
+        }
+    });
+
+    return { twoFactorRequired: true, ...challenge };
+};
+
+/**
+ * Completar un login con 2FA (segundo paso de /auth/login)
+ * @param {Object} challenge - Challenge resuelto con twoFactorServices.getLoginChallenge
+ * @param {Object} factor - { code } o { recoveryCode }
+ * @param {Object} [sessionData] - Datos de la sesión (userAgent, ipAddress)
+ * @returns {Promise<Object>} - Usuario y tokens JWT (+ recoveryCodes si el login confirmó un enrolamiento)
+ */
+export const completeTwoFactorLogin = async (challenge, factor, sessionData = {}) => {
+    await twoFactorServices.registerChallengeAttempt(challenge);
+
+    const user = await authRepository.findUserById(challenge.userId);
+    if (!user || !user.isActive) {
+        const error = new Error('auth.login.account_disabled');
+        error.status = 403;
+        error.code = 'USER_INACTIVE';
+        throw error;
+    }
+
+    const { recoveryCodes } = await twoFactorServices.completeLoginChallenge(challenge, user, factor, sessionData);
+    const result = await establishSession(user, { ...challenge.sessionData, ...sessionData, loginMethod: 'two_factor' });
+
+    return recoveryCodes ? { ...result, recoveryCodes } : result;
+};
+
+/**
+ * Completar el login de un usuario autenticado por un proveedor externo (SSO OIDC)
+ * Se aplica el mismo segundo factor local que en /auth/login, salvo que la organización del proveedor
+ * lo exima (waiveLocalTwoFactor). La exención no cubre el 2FA exigido por otras organizaciones del usuario.
+ *
+ * @param {string} userId - UUID
+ * @param {Object} [sessionData] - { userAgent, ipAddress, rememberMe, requestedOrgId }
+ * @param {Object} [options]
+ * @param {string|null} [options.waiveTwoFactorFor] - publicCode de la organización que exime el 2FA local
+ * @returns {Promise<Object>} - Usuario y tokens JWT, o { twoFactorRequired, challengeToken, expiresIn, enrollmentRequired }
+ */
+export const loginWithExternalIdentity = async (userId, sessionData = {}, { waiveTwoFactorFor = null } = {}) => {
+    const user = await authRepository.findUserById(userId);
+    if (!user || !user.isActive) {
+        const error = new Error('auth.login.account_disabled');
+        error.status = 403;
+        error.code = 'USER_INACTIVE';
+        throw error;
+    }
+
+    const twoFactor = await twoFactorServices.getLoginRequirement(user.id);
+    const waived = waiveTwoFactorFor !== null && twoFactor.requiredBy.every(code => code === waiveTwoFactorFor);
+    if (!waived && (twoFactor.enabled || twoFactor.required)) {
+        return startTwoFactorChallenge(user, user.email, twoFactor, sessionData);
+    }
+
+    return establishSession(user, { ...sessionData, loginMethod: 'sso' });
+};
+
+/**
+ * Crear la sesión de un usuario ya autenticado: último login, eventos de seguridad, tokens y session_context
+ * @param {Object} user - Usuario (con role)
+ * @param {Object} sessionData - { userAgent, ipAddress, rememberMe, requestedOrgId, activeOrgId, loginMethod }
+ * @returns {Promise<Object>} - Usuario y tokens JWT
+ */
+const establishSession = async (user, sessionData) => {
     // Actualizar último login
     await authRepository.updateLastLogin(user.id);
 
+    // Registrar el login y sus anomalías (dispositivo/ubicación nuevos, viaje imposible); nunca bloquea
+    await securityEventServices.recordSuccessfulLogin(user, sessionData);
+
     // Eliminar passwordHash antes de devolver
     delete user.passwordHash;
 
@@ -270,7 +409,7 @@ export const login = async (identifier, password, sessionData = {}) => {
     
     // Pasar activeOrgId resuelto a sessionData para generateTokens
     sessionData.activeOrgId = activeOrgId;
-    const tokens = await generateTokens(user, sessionData);
+    const tokens = await generateTokensForUser(user, sessionData);
     
     // Resolver info pública de la org primaria
     let primaryOrgInfo = null;
@@ -296,7 +435,8 @@ export const login = async (identifier, password, sessionData = {}) => {
         }
     }
     
-    await setSessionContext(user.id, {
+    const { withSessionPermissions } = await import('../roles/services.js');
+    await setSessionContext(user.id, await withSessionPermissions(user.id, {
         activeOrgId,
         activeOrgPublicCode: activeOrgInfo?.publicCode || null,
         activeOrgName: activeOrgInfo?.name || null,
@@ -312,7 +452,7 @@ export const login = async (identifier, password, sessionData = {}) => {
         lastName: user.lastName,
         userId: user.id,
         userPublicCode: user.publicCode || null
-    }, sessionTTL);
+    }), sessionTTL);
 
     return {
         user,
@@ -514,6 +654,17 @@ export const refreshAccessToken = async (refreshToken, sessionData = {}) => {
             throw error;
         }
 
+        // Refresh desde otra IP: viaje imposible respecto de la sesión anterior → evento y, si está
+        // configurado (config.security.anomalyAction = 'reauth'), se cierra la sesión y se exige login
+        const { reauthRequired } = await securityEventServices.evaluateSessionRefresh(storedToken, sessionData);
+        if (reauthRequired) {
+            await refreshTokenRepository.revokeToken(refreshToken, 'suspicious_activity');
+            const error = new Error('auth.refresh.reauth_required');
+            error.status = 401;
+            error.code = 'REAUTH_REQUIRED';
+            throw error;
+        }
+
         await refreshTokenRepository.revokeToken(refreshToken, 'rotated');
 
         const isExtendedSession = Boolean(storedToken.rememberMe);
@@ -602,7 +753,8 @@ export const refreshAccessToken = async (refreshToken, sessionData = {}) => {
             }
         }
         
-        await setSessionContext(userId, {
+        const { withSessionPermissions } = await import('../roles/services.js');
+        await setSessionContext(userId, await withSessionPermissions(userId, {
             activeOrgId: refreshActiveOrgId,
             activeOrgPublicCode: refreshActiveOrgInfo?.publicCode || null,
             activeOrgName: refreshActiveOrgInfo?.name || null,
@@ -618,7 +770,7 @@ export const refreshAccessToken = async (refreshToken, sessionData = {}) => {
             lastName: user.lastName,
             userId: userId,
             userPublicCode: user.publicCode || null
-        }, sessionTTL);
+        }), sessionTTL);
 
         return tokens;
     } catch (error) {
@@ -673,11 +825,8 @@ export const changePassword = async (userId, currentPassword, newPassword) => {
         throw error;
     }
 
-    // Hashear nuevo password
-    const newPasswordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
-
-    // Actualizar en la base de datos
-    const updated = await authRepository.updatePassword(userId, newPasswordHash);
+    // Validar contra la política (composición, filtradas, historial), hashear y guardar
+    const updated = await passwordPolicyServices.changeUserPassword(userWithPassword, newPassword);
 
     // SEGURIDAD: Revocar TODOS los refresh tokens al cambiar password
     // Esto cierra todas las sesiones y obliga a re-login
@@ -693,6 +842,200 @@ export const changePassword = async (userId, currentPassword, newPassword) => {
     return updated;
 };
 
+/**
+ * Cambiar un password vencido (el login responde PASSWORD_EXPIRED y no emite sesión)
+ * Endpoint público: se autentica con identifier + password actual, con el mismo conteo de
+ * fallos y bloqueo que el login. No emite tokens; el cliente vuelve a /auth/login.
+ *
+ * @param {string} identifier - Email o username
+ * @param {string} currentPassword - Password vencido
+ * @param {string} newPassword - Nuevo password
+ * @param {Object} requestData - { ipAddress, userAgent }
+ * @returns {Promise<boolean>} - true si se cambió
+ */
+export const changeExpiredPassword = async (identifier, currentPassword, newPassword, { ipAddress = null, userAgent = null } = {}) => {
+    const invalidCredentials = () => {
+        const error = new Error('auth.login.invalid_credentials');
+        error.status = 401;
+        error.code = 'INVALID_CREDENTIALS';
+        return error;
+    };
+
+    const user = await authRepository.findUserByIdentifier(identifier, true);
+    if (!user || !user.isActive) {
+        throw invalidCredentials();
+    }
+
+    passwordPolicyServices.assertNotLocked(user);
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.passwordHash);
+    if (!isPasswordValid) {
+        const lockout = await passwordPolicyServices.registerFailedPassword(user, { ipAddress, userAgent });
+        if (lockout.locked) {
+            passwordPolicyServices.assertNotLocked({ lockedUntil: lockout.lockedUntil });
+        }
+        throw invalidCredentials();
+    }
+
+    await passwordPolicyServices.clearFailedPasswords(user);
+
+    // Passwords vigentes se cambian con la sesión iniciada (POST /auth/change-password)
+    if (!await passwordPolicyServices.isUserPasswordExpired(user)) {
+        const error = new Error('auth.password.not_expired');
+        error.status = 400;
+        error.code = 'PASSWORD_NOT_EXPIRED';
+        throw error;
+    }
+
+    await passwordPolicyServices.changeUserPassword(user, newPassword);
+
+    await refreshTokenRepository.revokeAllUserTokens(user.id, 'password_change');
+    await authCache.invalidateUserSession(user.id);
+
+    const { deleteSessionContext } = await import('./sessionContextCache.js');
+    await deleteSessionContext(user.id);
+
+    await logAuditAction({
+        entityType: 'user',
+        entityId: user.publicCode,
+        action: 'password_expired_changed',
+        performedBy: user.id,
+        changes: {
+            passwordHash: { old: '[REDACTED]', new: '[REDACTED]' }
+        },
+        ipAddress,
+        userAgent
+    });
+
+    authLogger.info({ userId: user.id }, 'Expired password changed');
+
+    return true;
+};
+
+/**
+ * Solicitar reset de password (forgot password)
+ * Nunca revela si la cuenta existe: emails desconocidos o cuentas inactivas terminan sin error.
+ * Emite un token de un solo uso (hasheado en BD) e invalida los pendientes anteriores.
+ *
+ * @param {string} email - Email normalizado (lowercase)
+ * @param {Object} requestData - { ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+export const requestPasswordReset = async (email, { ipAddress = null, userAgent = null } = {}) => {
+    const user = await authRepository.findUserByEmail(email);
+
+    if (!user || !user.isActive) {
+        authLogger.info({ ipAddress }, 'Password reset requested for unknown or inactive account');
+        return;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + config.passwordReset.tokenTTLMinutes * 60 * 1000);
+
+    await passwordResetTokenRepository.invalidateUserResetTokens(user.id);
+    await passwordResetTokenRepository.createResetToken({
+        userId: user.id,
+        token,
+        expiresAt,
+        ipAddress,
+        userAgent
+    });
+
+    sendTemplatedMail('password_reset', {
+        to: user.email,
+        locale: user.language,
+        params: {
+            name: user.firstName,
+            link: `${config.passwordReset.resetUrl}?token=${encodeURIComponent(token)}`,
+            expiresMinutes: config.passwordReset.tokenTTLMinutes
+        }
+    });
+
+    await logAuditAction({
+        entityType: 'user',
+        entityId: user.publicCode,
+        action: 'password_reset_requested',
+        performedBy: user.id,
+        metadata: { expiresAt: expiresAt.toISOString() },
+        ipAddress,
+        userAgent
+    });
+};
+
+/**
+ * Restablecer password con un token de reset
+ * Consume el token (single-use), cierra todas las sesiones (revoca refresh tokens e
+ * incrementa sessionVersion) y desbloquea los contadores de login del usuario.
+ *
+ * @param {string} token - Token en texto plano recibido por el usuario
+ * @param {string} newPassword - Nuevo password
+ * @param {Object} requestData - { ipAddress, userAgent }
+ * @returns {Promise<boolean>} - true si se restableció
+ */
+export const resetPassword = async (token, newPassword, { ipAddress = null, userAgent = null } = {}) => {
+    const invalidTokenError = () => {
+        const error = new Error('auth.password.reset_token_invalid');
+        error.status = 400;
+        error.code = 'INVALID_RESET_TOKEN';
+        return error;
+    };
+
+    const pendingToken = await passwordResetTokenRepository.findValidResetToken(token);
+    const pendingUser = pendingToken ? await authRepository.findUserById(pendingToken.userId) : null;
+    if (!pendingUser || !pendingUser.isActive) {
+        throw invalidTokenError();
+    }
+
+    // La política se valida antes de consumir el token: un password rechazado no obliga a pedir otro link
+    const userWithPassword = await authRepository.findUserByEmail(pendingUser.email, true);
+    await passwordPolicyServices.assertUserPasswordAllowed(userWithPassword, newPassword);
+
+    const resetToken = await passwordResetTokenRepository.consumeResetToken(token, ipAddress);
+    const user = resetToken ? await authRepository.findUserById(resetToken.userId) : null;
+
+    if (!user || !user.isActive) {
+        throw invalidTokenError();
+    }
+
+    await passwordPolicyServices.saveUserPassword(user.id, newPassword);
+
+    // El reset prueba el control del email: levanta también el bloqueo de la cuenta
+    await passwordPolicyServices.unlockAccount(user.id);
+
+    // Tokens de reset emitidos en paralelo dejan de ser válidos
+    await passwordResetTokenRepository.invalidateUserResetTokens(user.id);
+
+    // SEGURIDAD: cerrar todas las sesiones existentes
+    await refreshTokenRepository.revokeAllUserTokens(user.id, 'password_change');
+    await authCache.invalidateUserSession(user.id);
+
+    const { deleteSessionContext } = await import('./sessionContextCache.js');
+    await deleteSessionContext(user.id);
+
+    // Best-effort: desbloquear el login del usuario (el bloqueo por fuerza bruta ya no aplica)
+    if (ipAddress) {
+        await resetLoginCounters(ipAddress, user.email)
+            .catch((error) => authLogger.warn({ err: error, userId: user.id }, 'Could not reset login counters after password reset'));
+    }
+
+    await logAuditAction({
+        entityType: 'user',
+        entityId: user.publicCode,
+        action: 'password_reset',
+        performedBy: user.id,
+        changes: {
+            passwordHash: { old: '[REDACTED]', new: '[REDACTED]' }
+        },
+        metadata: { resetTokenCreatedAt: resetToken.createdAt },
+        ipAddress,
+        userAgent
+    });
+
+    authLogger.info({ userId: user.id }, 'Password reset completed');
+
+    return true;
+};
+
 /**
  * Generar tokens JWT (access + refresh) con rotación y persistencia
  * Incluye soporte multi-tenant con activeOrgId y primaryOrgId
@@ -862,12 +1205,13 @@ export const logoutAll = async (userId) => {
 
 /**
  * Obtener sesiones activas del usuario
+ * Cada sesión incluye dispositivo, ubicación (GeoIP local) y las anomalías recientes de su IP
  * @param {string} userId - ID del usuario
  * @returns {Promise<Array>} - Lista de sesiones activas
  */
 export const getUserSessions = async (userId) => {
     const sessions = await refreshTokenRepository.getUserActiveSessions(userId);
-    return sessions;
+    return securityEventServices.enrichSessions(userId, sessions);
 };
 
 /**
@@ -902,6 +1246,127 @@ export const verifyUserEmail = async (userId) => {
     return updated;
 };
 
+// Audience propia: un token de verificación nunca es aceptado como access token (y viceversa)
+const EMAIL_VERIFICATION_AUDIENCE = 'ec-email-verification';
+const EMAIL_VERIFICATION_MAX_REQUESTS_PER_HOUR = 3;
+
+/**
+ * Enviar el enlace de verificación de email
+ * El token es un JWT firmado atado al email actual: si el usuario cambia de email,
+ * los enlaces emitidos antes dejan de ser válidos.
+ * @param {Object} user - Usuario destinatario (publicCode, email, firstName, language)
+ */
+export const sendEmailVerification = async (user) => {
+    const token = jwt.sign(
+        { email: user.email, tokenType: 'email_verification' },
+        JWT_ACCESS_SECRET,
+        {
+            subject: user.publicCode,
+            issuer: JWT_ISSUER,
+            audience: EMAIL_VERIFICATION_AUDIENCE,
+            expiresIn: `${config.emailVerification.tokenTTLHours}h`
+        }
+    );
+
+    sendTemplatedMail('email_verification', {
+        to: user.email,
+        locale: user.language,
+        params: {
+            name: user.firstName,
+            link: `${config.emailVerification.verifyUrl}?token=${encodeURIComponent(token)}`,
+            expiresHours: config.emailVerification.tokenTTLHours
+        }
+    });
+};
+
+/**
+ * Reenviar el email de verificación al usuario autenticado
+ * @param {string} userId - UUID del usuario
+ * @param {Object} requestData - { ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+export const requestEmailVerification = async (userId, { ipAddress = null, userAgent = null } = {}) => {
+    const user = await authRepository.findUserById(userId);
+    if (!user) {
+        const error = new Error('auth.profile.not_found');
+        error.status = 404;
+        error.code = 'USER_NOT_FOUND';
+        throw error;
+    }
+
+    if (user.emailVerifiedAt) {
+        const error = new Error('auth.email.already_verified');
+        error.status = 409;
+        error.code = 'EMAIL_ALREADY_VERIFIED';
+        throw error;
+    }
+
+    const requests = await authCache.countEmailVerificationRequest(userId);
+    if (requests > EMAIL_VERIFICATION_MAX_REQUESTS_PER_HOUR) {
+        const error = new Error('auth.email.verification_too_many_requests');
+        error.status = 429;
+        error.code = 'TOO_MANY_ATTEMPTS';
+        throw error;
+    }
+
+    await sendEmailVerification(user);
+
+    await logAuditAction({
+        entityType: 'user',
+        entityId: user.publicCode,
+        action: 'email_verification_requested',
+        performedBy: user.id,
+        ipAddress,
+        userAgent
+    });
+};
+
+/**
+ * Confirmar el email con el token recibido por email (idempotente)
+ * @param {string} token - Token del enlace de verificación
+ * @param {Object} requestData - { ipAddress, userAgent }
+ * @returns {Promise<boolean>} - true si se verificó en esta llamada, false si ya estaba verificado
+ */
+export const confirmEmailVerification = async (token, { ipAddress = null, userAgent = null } = {}) => {
+    let decoded = null;
+    try {
+        decoded = jwt.verify(token, JWT_ACCESS_SECRET, {
+            issuer: JWT_ISSUER,
+            audience: EMAIL_VERIFICATION_AUDIENCE
+        });
+    } catch {
+        decoded = null;
+    }
+
+    const user = decoded?.tokenType === 'email_verification'
+        ? await authRepository.findUserByPublicCode(decoded.sub)
+        : null;
+
+    if (!user || !user.isActive || user.email !== decoded.email) {
+        const error = new Error('auth.email.verification_token_invalid');
+        error.status = 400;
+        error.code = 'INVALID_VERIFICATION_TOKEN';
+        throw error;
+    }
+
+    if (user.emailVerifiedAt) {
+        return false;
+    }
+
+    await verifyUserEmail(user.id);
+
+    await logAuditAction({
+        entityType: 'user',
+        entityId: user.publicCode,
+        action: 'email_verified',
+        performedBy: user.id,
+        ipAddress,
+        userAgent
+    });
+
+    return true;
+};
+
 /**
  * Activar/Desactivar usuario e invalidar su sesión
  * @param {string} userId - ID del usuario
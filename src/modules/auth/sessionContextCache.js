@@ -25,6 +25,8 @@ const DEFAULT_TTL = SESSION_TTL_NORMAL;
  * @param {string} context.email - Email del usuario
  * @param {string} context.firstName - Nombre del usuario
  * @param {string} context.lastName - Apellido del usuario
+ * @param {string[]} [context.permissions] - Permission set resuelto para el rol y la org activa (ver roles/services.js withSessionPermissions)
+ * @param {string} [context.permissionsStamp] - Versión/rol/org con que se resolvió permissions
  * @param {number} [ttl] - TTL personalizado en segundos (opcional, default: 14 días)
  * @returns {Promise<boolean>} - true si se guardó correctamente
  */
@@ -156,6 +158,7 @@ export const sanitizeSessionContext = (context) => {
         primaryOrgLogoUrl: context.primaryOrgLogoUrl || null,
         canAccessAllOrgs: context.canAccessAllOrgs || false,
         role: context.role || null,
+        permissions: context.permissions || [],
         email: context.email || null,
         firstName: context.firstName || null,
         lastName: context.lastName || null,
@@ -0,0 +1,310 @@
+// modules/auth/sso.test.js
+// Tests del cliente OIDC (utils/oidc.js) contra un proveedor OpenID Connect simulado
+// Sin Redis el cliente usa el cache en memoria: no requiere infraestructura.
+// El proveedor simulado escucha por http en 127.0.0.1: se habilita allowInsecureProviders salvo en los tests de SSRF.
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import {
+    discover,
+    generateAuthorizationParams,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    isPublicAddress
+} from '../../utils/oidc.js';
+import { config } from '../../config/env.js';
+
+const CLIENT_ID = 'ec-data-test';
+const CLIENT_SECRET = 'test-secret';
+const REDIRECT_URI = 'http://localhost:3000/auth/sso/callback';
+
+/**
+ * Proveedor OIDC mínimo: discovery, JWKS y token endpoint (authorization code + PKCE)
+ * Los codes se registran con authorize() y son de un solo uso.
+ */
+const createMockProvider = () => {
+    const keys = [{ kid: 'key-1', ...crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }) }];
+    const codes = new Map();
+    const state = { issuer: null, tokenRequests: [] };
+
+    const signIdToken = (claims, { kid = keys[0].kid, privateKey = keys[0].privateKey } = {}) =>
+        jwt.sign({ aud: CLIENT_ID, iss: state.issuer, ...claims }, privateKey, {
+            algorithm: 'RS256',
+            keyid: kid,
+            expiresIn: 300
+        });
+
+    const send = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const server = http.createServer((req, res) => {
+        if (req.url === '/.well-known/openid-configuration') {
+            return send(res, 200, {
+                issuer: state.issuer,
+                authorization_endpoint: `${state.issuer}/authorize`,
+                token_endpoint: `${state.issuer}/token`,
+                jwks_uri: `${state.issuer}/jwks`,
+                token_endpoint_auth_methods_supported: ['client_secret_basic']
+            });
+        }
+
+        if (req.url === '/jwks') {
+            return send(res, 200, {
+                keys: keys.map(({ kid, publicKey }) => ({ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }))
+            });
+        }
+
+        if (req.url === '/token' && req.method === 'POST') {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => {
+                const form = new URLSearchParams(raw);
+                state.tokenRequests.push({ form, authorization: req.headers.authorization });
+
+                const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+                if (req.headers.authorization !== expectedAuth) {
+                    return send(res, 401, { error: 'invalid_client' });
+                }
+
+                const pending = codes.get(form.get('code'));
+                codes.delete(form.get('code'));
+                const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+                if (!pending || pending.codeChallenge !== challenge || form.get('redirect_uri') !== REDIRECT_URI) {
+                    return send(res, 400, { error: 'invalid_grant' });
+                }
+
+                return send(res, 200, {
+                    token_type: 'Bearer',
+                    access_token: 'mock-access-token',
+                    id_token: signIdToken(pending.claims)
+                });
+            });
+            return;
+        }
+
+        send(res, 404, { error: 'not_found' });
+    });
+
+    return {
+        state,
+        keys,
+        signIdToken,
+        /**
+         * Simula el paso por /authorize: el usuario se autenticó y el IdP emite un code
+         */
+        authorize: (codeChallenge, claims) => {
+            const code = crypto.randomBytes(16).toString('hex');
+            codes.set(code, { codeChallenge, claims });
+            return code;
+        },
+        listen: () => new Promise(resolve => {
+            server.listen(0, '127.0.0.1', () => {
+                state.issuer = `http://127.0.0.1:${server.address().port}`;
+                resolve(state.issuer);
+            });
+        }),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+const provider = createMockProvider();
+let discovery = null;
+
+beforeAll(async () => {
+    config.sso.allowInsecureProviders = true;
+    await provider.listen();
+    discovery = await discover(provider.state.issuer);
+});
+
+afterAll(async () => {
+    config.sso.allowInsecureProviders = false;
+    await provider.close();
+});
+
+describe('discover', () => {
+    it('debe devolver el discovery document del issuer', () => {
+        expect(discovery.issuer).toBe(provider.state.issuer);
+        expect(discovery.token_endpoint).toBe(`${provider.state.issuer}/token`);
+    });
+
+    it('debe rechazar un documento cuyo issuer no coincide', async () => {
+        await expect(discover(`${provider.state.issuer}/`)).rejects.toMatchObject({ code: 'SSO_ISSUER_MISMATCH' });
+    });
+});
+
+describe('buildAuthorizationUrl', () => {
+    it('debe incluir state, nonce y el code challenge S256', () => {
+        const params = generateAuthorizationParams();
+        const url = new URL(buildAuthorizationUrl(discovery, {
+            clientId: CLIENT_ID,
+            redirectUri: REDIRECT_URI,
+            scopes: ['openid', 'email'],
+            ...params,
+            loginHint: 'ana@acme.com'
+        }));
+
+        expect(url.origin + url.pathname).toBe(`${provider.state.issuer}/authorize`);
+        expect(url.searchParams.get('response_type')).toBe('code');
+        expect(url.searchParams.get('scope')).toBe('openid email');
+        expect(url.searchParams.get('state')).toBe(params.state);
+        expect(url.searchParams.get('nonce')).toBe(params.nonce);
+        expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+        expect(url.searchParams.get('code_challenge'))
+            .toBe(crypto.createHash('sha256').update(params.codeVerifier).digest('base64url'));
+        expect(url.searchParams.get('login_hint')).toBe('ana@acme.com');
+    });
+});
+
+describe('authorization code + PKCE', () => {
+    const claims = { sub: 'user-123', email: 'ana@acme.com', email_verified: true, given_name: 'Ana' };
+
+    it('debe canjear el code y validar el id_token', async () => {
+        const { nonce, codeVerifier, codeChallenge } = generateAuthorizationParams();
+        const code = provider.authorize(codeChallenge, { ...claims, nonce });
+
+        const tokens = await exchangeCode(discovery, {
+            clientId: CLIENT_ID,
+            clientSecret: CLIENT_SECRET,
+            code,
+            redirectUri: REDIRECT_URI,
+            codeVerifier
+        });
+        const verified = await verifyIdToken(tokens.id_token, discovery, { clientId: CLIENT_ID, nonce });
+
+        expect(verified).toMatchObject(claims);
+        expect(provider.state.tokenRequests.at(-1).form.get('client_secret')).toBeNull();
+    });
+
+    it('debe devolver SSO_INVALID_CODE con un code verifier incorrecto', async () => {
+        const { codeChallenge } = generateAuthorizationParams();
+        const code = provider.authorize(codeChallenge, claims);
+
+        await expect(exchangeCode(discovery, {
+            clientId: CLIENT_ID,
+            clientSecret: CLIENT_SECRET,
+            code,
+            redirectUri: REDIRECT_URI,
+            codeVerifier: generateAuthorizationParams().codeVerifier
+        })).rejects.toMatchObject({ code: 'SSO_INVALID_CODE' });
+    });
+
+    it('debe devolver SSO_INVALID_CODE al reutilizar un code', async () => {
+        const { codeVerifier, codeChallenge } = generateAuthorizationParams();
+        const code = provider.authorize(codeChallenge, claims);
+        const params = { clientId: CLIENT_ID, clientSecret: CLIENT_SECRET, code, redirectUri: REDIRECT_URI, codeVerifier };
+
+        await exchangeCode(discovery, params);
+        await expect(exchangeCode(discovery, params)).rejects.toMatchObject({ code: 'SSO_INVALID_CODE' });
+    });
+
+    it('debe devolver SSO_PROVIDER_ERROR si el IdP rechaza las credenciales del cliente', async () => {
+        const { codeVerifier, codeChallenge } = generateAuthorizationParams();
+        const code = provider.authorize(codeChallenge, claims);
+
+        await expect(exchangeCode(discovery, {
+            clientId: CLIENT_ID,
+            clientSecret: 'wrong-secret',
+            code,
+            redirectUri: REDIRECT_URI,
+            codeVerifier
+        })).rejects.toMatchObject({ code: 'SSO_PROVIDER_ERROR' });
+    });
+});
+
+describe('verifyIdToken', () => {
+    const nonce = 'nonce-abc';
+
+    it('debe rechazar un nonce distinto', async () => {
+        const idToken = provider.signIdToken({ sub: 'user-123', nonce: 'other' });
+        await expect(verifyIdToken(idToken, discovery, { clientId: CLIENT_ID, nonce }))
+            .rejects.toMatchObject({ code: 'SSO_INVALID_ID_TOKEN' });
+    });
+
+    it('debe rechazar otra audience', async () => {
+        const idToken = provider.signIdToken({ sub: 'user-123', nonce, aud: 'other-client' });
+        await expect(verifyIdToken(idToken, discovery, { clientId: CLIENT_ID, nonce }))
+            .rejects.toMatchObject({ code: 'SSO_INVALID_ID_TOKEN' });
+    });
+
+    it('debe rechazar tokens firmados con HS256', async () => {
+        const idToken = jwt.sign({ sub: 'user-123', nonce, aud: CLIENT_ID, iss: provider.state.issuer }, CLIENT_SECRET, {
+            algorithm: 'HS256',
+            keyid: 'key-1'
+        });
+        await expect(verifyIdToken(idToken, discovery, { clientId: CLIENT_ID, nonce }))
+            .rejects.toMatchObject({ code: 'SSO_INVALID_ID_TOKEN' });
+    });
+
+    it('debe rechazar una firma que no corresponde al kid', async () => {
+        const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const idToken = provider.signIdToken({ sub: 'user-123', nonce }, { privateKey });
+        await expect(verifyIdToken(idToken, discovery, { clientId: CLIENT_ID, nonce }))
+            .rejects.toMatchObject({ code: 'SSO_INVALID_ID_TOKEN' });
+    });
+
+    it('debe volver a descargar el JWKS ante un kid nuevo (rotación de claves)', async () => {
+        const rotated = { kid: 'key-2', ...crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }) };
+        provider.keys.push(rotated);
+
+        const idToken = provider.signIdToken({ sub: 'user-123', nonce }, rotated);
+        const claims = await verifyIdToken(idToken, discovery, { clientId: CLIENT_ID, nonce });
+
+        expect(claims.sub).toBe('user-123');
+    });
+});
+
+describe('issuers no permitidos (SSRF)', () => {
+    beforeAll(() => {
+        config.sso.allowInsecureProviders = false;
+    });
+
+    afterEach(() => {
+        config.sso.allowInsecureProviders = false;
+    });
+
+    afterAll(() => {
+        config.sso.allowInsecureProviders = true;
+    });
+
+    it('debe clasificar las direcciones no públicas', () => {
+        for (const address of ['127.0.0.1', '10.0.0.5', '172.16.3.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd12::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+            expect(isPublicAddress(address)).toBe(false);
+        }
+        for (const address of ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888', '::ffff:8.8.8.8']) {
+            expect(isPublicAddress(address)).toBe(true);
+        }
+    });
+
+    it('debe rechazar issuers que no son https', async () => {
+        await expect(discover(provider.state.issuer)).rejects.toMatchObject({ status: 400, code: 'SSO_INVALID_ISSUER' });
+        await expect(discover('ftp://idp.acme.com')).rejects.toMatchObject({ code: 'SSO_INVALID_ISSUER' });
+    });
+
+    it('debe rechazar IPs literales no públicas', async () => {
+        await expect(discover('https://169.254.169.254/latest')).rejects.toMatchObject({ code: 'SSO_INVALID_ISSUER' });
+        await expect(discover('https://[::1]:8443')).rejects.toMatchObject({ code: 'SSO_INVALID_ISSUER' });
+    });
+
+    it('debe rechazar hosts que resuelven a una dirección no pública', async () => {
+        await expect(discover('https://localhost:8443')).rejects.toMatchObject({ code: 'SSO_INVALID_ISSUER' });
+    });
+
+    it('debe rechazar endpoints del discovery document en direcciones no públicas', async () => {
+        const { codeVerifier, codeChallenge } = generateAuthorizationParams();
+        const code = provider.authorize(codeChallenge, { sub: 'user-123' });
+
+        await expect(exchangeCode(discovery, {
+            clientId: CLIENT_ID,
+            clientSecret: CLIENT_SECRET,
+            code,
+            redirectUri: REDIRECT_URI,
+            codeVerifier
+        })).rejects.toMatchObject({ code: 'SSO_PROVIDER_ERROR' });
+        expect(provider.state.tokenRequests.every(request => request.form.get('code') !== code)).toBe(true);
+    });
+});
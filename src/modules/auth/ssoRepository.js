@@ -0,0 +1,142 @@
+// modules/auth/ssoRepository.js
+// Repositorio de SSO (OIDC): proveedor por organización e identidades vinculadas
+
+import { Op } from 'sequelize';
+import OrganizationSsoProvider from './models/OrganizationSsoProvider.js';
+import UserSsoIdentity from './models/UserSsoIdentity.js';
+import UserOrganization from './models/UserOrganization.js';
+import Organization from '../organizations/models/Organization.js';
+import { generateUuidV7 } from '../../utils/identifiers.js';
+
+const organizationInclude = {
+    model: Organization,
+    as: 'organization',
+    attributes: ['id', 'publicCode', 'name', 'logoUrl', 'isActive']
+};
+
+/**
+ * Proveedor SSO de una organización
+ * @param {string} organizationId - UUID
+ * @returns {Promise<OrganizationSsoProvider|null>}
+ */
+export const findProviderByOrganizationId = async (organizationId) =>
+    OrganizationSsoProvider.findOne({ where: { organizationId }, include: [organizationInclude] });
+
+/**
+ * Proveedor SSO de una organización por su publicCode
+ * @param {string} publicCode - publicCode de la organización
+ * @returns {Promise<OrganizationSsoProvider|null>}
+ */
+export const findProviderByOrganizationPublicCode = async (publicCode) =>
+    OrganizationSsoProvider.findOne({ include: [{ ...organizationInclude, where: { publicCode } }] });
+
+/**
+ * Proveedor SSO por UUID (con organización)
+ * @param {string} id
+ * @returns {Promise<OrganizationSsoProvider|null>}
+ */
+export const findProviderById = async (id) =>
+    OrganizationSsoProvider.findByPk(id, { include: [organizationInclude] });
+
+/**
+ * Proveedor habilitado que tiene vinculado (y verificado) un dominio de email
+ * @param {string} domain - Dominio en minúsculas
+ * @returns {Promise<OrganizationSsoProvider|null>}
+ */
+export const findEnabledProviderByDomain = async (domain) =>
+    OrganizationSsoProvider.findOne({
+        where: { isEnabled: true, verifiedDomains: { [Op.contains]: [domain] } },
+        include: [{ ...organizationInclude, where: { isActive: true } }]
+    });
+
+/**
+ * Dominios ya vinculados a proveedores habilitados de otras organizaciones
+ * @param {string[]} domains
+ * @param {string} organizationId - UUID de la organización que se excluye
+ * @returns {Promise<string[]>}
+ */
+export const findDomainsInUse = async (domains, organizationId) => {
+    const providers = await OrganizationSsoProvider.findAll({
+        where: {
+            isEnabled: true,
+            organizationId: { [Op.ne]: organizationId },
+            verifiedDomains: { [Op.overlap]: domains }
+        },
+        attributes: ['verifiedDomains']
+    });
+    return domains.filter(domain => providers.some(provider => provider.verifiedDomains.includes(domain)));
+};
+
+/**
+ * Guardar los dominios verificados del proveedor de una organización
+ * @param {string} organizationId - UUID
+ * @param {string[]} verifiedDomains
+ * @returns {Promise<OrganizationSsoProvider>}
+ */
+export const updateVerifiedDomains = async (organizationId, verifiedDomains) => {
+    await OrganizationSsoProvider.update({ verifiedDomains }, { where: { organizationId } });
+    return findProviderByOrganizationId(organizationId);
+};
+
+/**
+ * Crear o reemplazar la configuración del proveedor de una organización
+ * @param {string} organizationId - UUID
+ * @param {Object} data - Campos del modelo
+ * @returns {Promise<OrganizationSsoProvider>}
+ */
+export const upsertProvider = async (organizationId, data) => {
+    const existing = await OrganizationSsoProvider.findOne({ where: { organizationId } });
+    if (existing) {
+        await existing.update(data);
+    } else {
+        await OrganizationSsoProvider.create({ id: generateUuidV7(), organizationId, ...data });
+    }
+    return findProviderByOrganizationId(organizationId);
+};
+
+/**
+ * Eliminar el proveedor de una organización (las identidades vinculadas se borran en cascada)
+ * @param {string} organizationId - UUID
+ * @returns {Promise<boolean>}
+ */
+export const deleteProvider = async (organizationId) =>
+    (await OrganizationSsoProvider.destroy({ where: { organizationId } })) > 0;
+
+/**
+ * Identidad vinculada por (proveedor, sub)
+ * @param {string} providerId - UUID
+ * @param {string} subject - Claim sub
+ * @returns {Promise<UserSsoIdentity|null>}
+ */
+export const findIdentity = async (providerId, subject) =>
+    UserSsoIdentity.findOne({ where: { providerId, subject } });
+
+/**
+ * Vincular (o actualizar) la identidad OIDC de un usuario y registrar el login
+ * @param {Object} data - { userId, providerId, subject, email }
+ * @returns {Promise<void>}
+ */
+export const saveIdentityLogin = async ({ userId, providerId, subject, email }) => {
+    const existing = await UserSsoIdentity.findOne({ where: { providerId, subject } });
+    if (existing) {
+        await existing.update({ email, lastLoginAt: new Date() });
+        return;
+    }
+    await UserSsoIdentity.create({
+        id: generateUuidV7(),
+        userId,
+        providerId,
+        subject,
+        email,
+        lastLoginAt: new Date()
+    });
+};
+
+/**
+ * Verificar si el usuario es miembro directo de la organización
+ * @param {string} userId - UUID
+ * @param {string} organizationId - UUID
+ * @returns {Promise<boolean>}
+ */
+export const isOrganizationMember = async (userId, organizationId) =>
+    (await UserOrganization.count({ where: { userId, organizationId } })) > 0;
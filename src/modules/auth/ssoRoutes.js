@@ -0,0 +1,103 @@
+// modules/auth/ssoRoutes.js
+// Configuración SSO (OIDC) de una organización (montadas en /organizations/:id/security/sso)
+
+import express from 'express';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { requireOrgPermission } from '../organizations/middleware/permissions.js';
+import { findOrganizationByPublicCodeInternal } from '../organizations/repository.js';
+import { successResponse, errorResponse } from '../../utils/response.js';
+import * as ssoServices from './ssoServices.js';
+import { ssoProviderSchema } from './dtos/index.js';
+
+/**
+ * Errores de negocio (status + clave i18n) como respuesta traducida; el resto al error handler
+ */
+const handleError = (res, next, error) => {
+    if (error.status) {
+        return errorResponse(res, {
+            message: error.message,
+            status: error.status,
+            code: error.code,
+            details: error.details ?? null
+        });
+    }
+    next(error);
+};
+
+/**
+ * requireOrgPermission no resuelve la organización para system-admin: completarla aquí
+ */
+const loadOrganization = async (req, res, next) => {
+    try {
+        if (!req.organizationInternal) {
+            const organization = await findOrganizationByPublicCodeInternal(req.params.id);
+            if (!organization) {
+                return errorResponse(res, {
+                    message: 'Organization not found',
+                    status: 404,
+                    code: 'ORGANIZATION_NOT_FOUND'
+                });
+            }
+            req.organizationInternal = organization;
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+const buildActor = (req) => ({
+    userId:    req.user.userId,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent']
+});
+
+const adminChain = [
+    authenticate,
+    requirePermission('sso.manage'),
+    requireOrgPermission('view'),
+    loadOrganization
+];
+
+export const organizationSsoRouter = express.Router();
+
+// 📄 Swagger: src/docs/swagger/organizations.yaml -> GET /:id/security/sso
+organizationSsoRouter.get('/:id/security/sso', ...adminChain, async (req, res, next) => {
+    try {
+        const provider = await ssoServices.getProviderConfig(req.organizationInternal);
+        return successResponse(res, provider);
+    } catch (error) {
+        handleError(res, next, error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/organizations.yaml -> PUT /:id/security/sso
+organizationSsoRouter.put('/:id/security/sso', ...adminChain, validate(ssoProviderSchema), async (req, res, next) => {
+    try {
+        const provider = await ssoServices.saveProviderConfig(req.organizationInternal, req.body, buildActor(req));
+        return successResponse(res, provider);
+    } catch (error) {
+        handleError(res, next, error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/organizations.yaml -> POST /:id/security/sso/verify-domains
+organizationSsoRouter.post('/:id/security/sso/verify-domains', ...adminChain, async (req, res, next) => {
+    try {
+        const provider = await ssoServices.verifyDomains(req.organizationInternal, buildActor(req));
+        return successResponse(res, provider);
+    } catch (error) {
+        handleError(res, next, error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/organizations.yaml -> DELETE /:id/security/sso
+organizationSsoRouter.delete('/:id/security/sso', ...adminChain, async (req, res, next) => {
+    try {
+        await ssoServices.deleteProviderConfig(req.organizationInternal, buildActor(req));
+        return successResponse(res, { message: 'auth.sso.provider_deleted' });
+    } catch (error) {
+        handleError(res, next, error);
+    }
+});
@@ -0,0 +1,532 @@
+// modules/auth/ssoServices.js
+// Single sign-on con OpenID Connect: configuración por organización, login authorization code + PKCE y JIT provisioning
+//
+// Flujo de login:
+//   POST /auth/sso/start     → email (o publicCode de la organización) → { authorizationUrl } del IdP
+//   IdP                      → redirige al frontend (config.sso.callbackUrl) con ?code=...&state=...
+//   POST /auth/sso/callback  → code + state → tokens de sesión (generateTokensForUser, igual que /auth/login)
+// El proveedor se elige por el dominio del email (allowedDomains, verificados por DNS antes de habilitarlo).
+// En el primer login la identidad (sub) se vincula a la cuenta con ese email solo si ya es miembro de la
+// organización del proveedor; otras cuentas existentes se vinculan con POST /auth/sso/link tras iniciar sesión.
+// Si no existe cuenta o membresía y el proveedor tiene JIT, se crean.
+
+import crypto from 'crypto';
+import dns from 'dns';
+import { config } from '../../config/env.js';
+import { authLogger } from '../../utils/logger.js';
+import * as authRepository from './repository.js';
+import * as ssoRepository from './ssoRepository.js';
+import * as authCache from './cache.js';
+import { register, loginWithExternalIdentity } from './services.js';
+import { hashToken } from './refreshTokenRepository.js';
+import { addUserToOrganization } from '../organizations/services.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import { encryptSecret, decryptSecret } from '../../utils/encryption.js';
+import {
+    discover,
+    generateAuthorizationParams,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken
+} from '../../utils/oidc.js';
+
+const buildError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code   = code;
+    return err;
+};
+
+const notConfiguredError = () => buildError(404, 'SSO_NOT_CONFIGURED', 'auth.sso.not_configured');
+
+const emailDomain = (email) => email.split('@').pop().toLowerCase();
+
+// Registro TXT que prueba el control de un dominio: _ecdata-sso.<dominio> = ecdata-sso-verification=<token>
+const DOMAIN_VERIFICATION_RECORD = '_ecdata-sso';
+
+const domainVerificationValue = (token) => `ecdata-sso-verification=${token}`;
+
+/**
+ * Vista pública (admin) de la configuración: el client secret nunca sale de la BD
+ * @param {Object} provider - OrganizationSsoProvider
+ * @returns {Object}
+ */
+const toProviderDto = (provider) => ({
+    displayName: provider.displayName,
+    issuer: provider.issuer,
+    clientId: provider.clientId,
+    hasClientSecret: Boolean(provider.clientSecretEncrypted),
+    scopes: provider.scopes,
+    allowedDomains: provider.allowedDomains,
+    verifiedDomains: provider.verifiedDomains,
+    domainVerification: {
+        recordType: 'TXT',
+        value: domainVerificationValue(provider.domainVerificationToken),
+        records: provider.allowedDomains.map(domain => ({
+            domain,
+            name: `${DOMAIN_VERIFICATION_RECORD}.${domain}`,
+            verified: provider.verifiedDomains.includes(domain)
+        }))
+    },
+    jitProvisioning: provider.jitProvisioning,
+    defaultRoleInOrg: provider.defaultRoleInOrg,
+    waiveLocalTwoFactor: provider.waiveLocalTwoFactor,
+    isEnabled: provider.isEnabled,
+    callbackUrl: config.sso.callbackUrl,
+    updatedAt: provider.updatedAt
+});
+
+// ============ CONFIGURACIÓN (ADMIN DE LA ORGANIZACIÓN) ============
+
+/**
+ * Configuración SSO de una organización
+ * @param {Object} organization - Organization (modelo interno)
+ * @returns {Promise<Object>}
+ */
+export const getProviderConfig = async (organization) => {
+    const provider = await ssoRepository.findProviderByOrganizationId(organization.id);
+    if (!provider) {
+        throw notConfiguredError();
+    }
+    return toProviderDto(provider);
+};
+
+/**
+ * Crear o reemplazar la configuración SSO de una organización
+ * El issuer se valida descargando su discovery document antes de guardar. Solo se puede habilitar
+ * con todos los allowedDomains verificados (ver verifyDomains); quitar un dominio descarta su verificación.
+ *
+ * @param {Object} organization - Organization (modelo interno)
+ * @param {Object} data - Validado con ssoProviderSchema
+ * @param {string|null|undefined} data.clientSecret - undefined conserva el actual; null lo elimina (cliente público)
+ * @param {Object} actor - { userId, ipAddress, userAgent }
+ * @returns {Promise<Object>}
+ */
+export const saveProviderConfig = async (organization, data, { userId, ipAddress = null, userAgent = null }) => {
+    const { clientSecret, ...fields } = data;
+    const allowedDomains = [...new Set(fields.allowedDomains)];
+
+    const previous = await ssoRepository.findProviderByOrganizationId(organization.id);
+    const verifiedDomains = (previous?.verifiedDomains ?? []).filter(domain => allowedDomains.includes(domain));
+
+    if (fields.isEnabled) {
+        const unverified = allowedDomains.filter(domain => !verifiedDomains.includes(domain));
+        if (unverified.length > 0) {
+            const error = buildError(409, 'SSO_DOMAIN_NOT_VERIFIED', 'auth.sso.domain_not_verified');
+            error.details = unverified.map(domain => ({ field: 'allowedDomains', message: domain }));
+            throw error;
+        }
+
+        // Un dominio solo puede resolver a una organización
+        const domainsInUse = await ssoRepository.findDomainsInUse(allowedDomains, organization.id);
+        if (domainsInUse.length > 0) {
+            const error = buildError(409, 'SSO_DOMAIN_IN_USE', 'auth.sso.domain_in_use');
+            error.details = domainsInUse.map(domain => ({ field: 'allowedDomains', message: domain }));
+            throw error;
+        }
+    }
+
+    await discover(fields.issuer);
+
+    const update = { ...fields, allowedDomains, verifiedDomains, updatedBy: userId };
+    if (!previous) {
+        update.domainVerificationToken = crypto.randomBytes(16).toString('hex');
+    }
+    if (clientSecret !== undefined) {
+        update.clientSecretEncrypted = clientSecret ? encryptSecret(clientSecret, config.sso.encryptionKey) : null;
+    }
+
+    const provider = await ssoRepository.upsertProvider(organization.id, update);
+
+    await logAuditAction({
+        entityType: 'organization',
+        entityId: organization.publicCode,
+        action: previous ? 'update_sso_provider' : 'create_sso_provider',
+        performedBy: userId,
+        changes: {
+            issuer: { old: previous?.issuer ?? null, new: provider.issuer },
+            clientId: { old: previous?.clientId ?? null, new: provider.clientId },
+            allowedDomains: { old: previous?.allowedDomains ?? null, new: provider.allowedDomains },
+            waiveLocalTwoFactor: { old: previous?.waiveLocalTwoFactor ?? null, new: provider.waiveLocalTwoFactor },
+            isEnabled: { old: previous?.isEnabled ?? null, new: provider.isEnabled },
+            ...(clientSecret !== undefined && { clientSecret: { old: '[redacted]', new: '[redacted]' } })
+        },
+        ipAddress,
+        userAgent
+    });
+
+    return toProviderDto(provider);
+};
+
+/**
+ * ¿El dominio publica el registro TXT de verificación esperado?
+ * @param {string} domain
+ * @param {string} expected - Valor del registro
+ * @returns {Promise<boolean>}
+ */
+const hasVerificationRecord = async (domain, expected) => {
+    try {
+        const records = await dns.promises.resolveTxt(`${DOMAIN_VERIFICATION_RECORD}.${domain}`);
+        return records.some(chunks => chunks.join('') === expected);
+    } catch (error) {
+        // ENOTFOUND / ENODATA: el registro todavía no se publicó
+        if (error.code !== 'ENOTFOUND' && error.code !== 'ENODATA') {
+            authLogger.warn({ err: error, domain }, 'Error resolviendo el registro de verificación SSO');
+        }
+        return false;
+    }
+};
+
+/**
+ * Verificar por DNS los allowedDomains pendientes: cada uno debe publicar el registro TXT
+ * _ecdata-sso.<dominio> con el valor de domainVerification (prueba de control del dominio)
+ *
+ * @param {Object} organization - Organization (modelo interno)
+ * @param {Object} actor - { userId, ipAddress, userAgent }
+ * @returns {Promise<Object>} Configuración con el estado de verificación de cada dominio
+ */
+export const verifyDomains = async (organization, { userId, ipAddress = null, userAgent = null }) => {
+    const provider = await ssoRepository.findProviderByOrganizationId(organization.id);
+    if (!provider) {
+        throw notConfiguredError();
+    }
+
+    const expected = domainVerificationValue(provider.domainVerificationToken);
+    const pending = provider.allowedDomains.filter(domain => !provider.verifiedDomains.includes(domain));
+    const checks = await Promise.all(pending.map(domain => hasVerificationRecord(domain, expected)));
+    const newlyVerified = pending.filter((_domain, index) => checks[index]);
+
+    if (newlyVerified.length === 0) {
+        return toProviderDto(provider);
+    }
+
+    const verifiedDomains = provider.allowedDomains
+        .filter(domain => provider.verifiedDomains.includes(domain) || newlyVerified.includes(domain));
+    const updated = await ssoRepository.updateVerifiedDomains(organization.id, verifiedDomains);
+
+    await logAuditAction({
+        entityType: 'organization',
+        entityId: organization.publicCode,
+        action: 'verify_sso_domains',
+        performedBy: userId,
+        changes: {
+            verifiedDomains: { old: provider.verifiedDomains, new: verifiedDomains }
+        },
+        ipAddress,
+        userAgent
+    });
+
+    return toProviderDto(updated);
+};
+
+/**
+ * Eliminar la configuración SSO de una organización (las identidades vinculadas se borran en cascada;
+ * las cuentas y membresías creadas por JIT se conservan)
+ * @param {Object} organization - Organization (modelo interno)
+ * @param {Object} actor - { userId, ipAddress, userAgent }
+ */
+export const deleteProviderConfig = async (organization, { userId, ipAddress = null, userAgent = null }) => {
+    const deleted = await ssoRepository.deleteProvider(organization.id);
+    if (!deleted) {
+        throw notConfiguredError();
+    }
+
+    await logAuditAction({
+        entityType: 'organization',
+        entityId: organization.publicCode,
+        action: 'delete_sso_provider',
+        performedBy: userId,
+        changes: {},
+        ipAddress,
+        userAgent
+    });
+};
+
+// ============ LOGIN ============
+
+/**
+ * Proveedor habilitado para iniciar un login: por publicCode de la organización o por dominio del email
+ * @param {Object} params - { email, organizationId }
+ * @returns {Promise<Object|null>}
+ */
+const resolveLoginProvider = async ({ email, organizationId }) => {
+    if (organizationId) {
+        const provider = await ssoRepository.findProviderByOrganizationPublicCode(organizationId);
+        return provider?.isEnabled && provider.organization?.isActive ? provider : null;
+    }
+    return ssoRepository.findEnabledProviderByDomain(emailDomain(email));
+};
+
+/**
+ * ¿El email pertenece a un dominio con SSO? (el frontend decide si mostrar password o "Continuar con SSO")
+ * @param {string} email
+ * @returns {Promise<Object>} { ssoEnabled, provider? }
+ */
+export const discoverByEmail = async (email) => {
+    const provider = await ssoRepository.findEnabledProviderByDomain(emailDomain(email));
+    if (!provider) {
+        return { ssoEnabled: false };
+    }
+
+    return {
+        ssoEnabled: true,
+        provider: {
+            displayName: provider.displayName,
+            organization: {
+                id: provider.organization.publicCode,
+                name: provider.organization.name,
+                logoUrl: provider.organization.logoUrl
+            }
+        }
+    };
+};
+
+/**
+ * Genera state, nonce y PKCE, guarda el login pendiente y arma la URL de autorización del IdP
+ * @param {Object} provider - OrganizationSsoProvider habilitado
+ * @param {Object} params - { loginHint, rememberMe, linkUserId }
+ * @returns {Promise<{ authorizationUrl: string, expiresIn: number }>}
+ */
+const beginAuthorization = async (provider, { loginHint, rememberMe = false, linkUserId = null }) => {
+    const discovery = await discover(provider.issuer);
+    const { state, nonce, codeVerifier, codeChallenge } = generateAuthorizationParams();
+    const expiresIn = config.sso.stateTTLSeconds;
+
+    const saved = await authCache.setSsoState(hashToken(state), {
+        providerId: provider.id,
+        nonce,
+        codeVerifier,
+        rememberMe,
+        linkUserId
+    }, expiresIn);
+    if (!saved) {
+        throw buildError(503, 'SSO_UNAVAILABLE', 'auth.sso.unavailable');
+    }
+
+    return {
+        authorizationUrl: buildAuthorizationUrl(discovery, {
+            clientId: provider.clientId,
+            redirectUri: config.sso.callbackUrl,
+            scopes: provider.scopes,
+            state,
+            nonce,
+            codeChallenge,
+            loginHint
+        }),
+        expiresIn
+    };
+};
+
+/**
+ * Iniciar un login SSO: genera state, nonce y PKCE y devuelve la URL de autorización del IdP
+ * @param {Object} params
+ * @param {string} [params.email] - Email del usuario (elige el proveedor por dominio y se envía como login_hint)
+ * @param {string} [params.organizationId] - publicCode de la organización (alternativa al email)
+ * @param {boolean} [params.rememberMe]
+ * @returns {Promise<{ authorizationUrl: string, expiresIn: number }>}
+ */
+export const startLogin = async ({ email, organizationId, rememberMe = false }) => {
+    const provider = await resolveLoginProvider({ email, organizationId });
+    if (!provider) {
+        throw notConfiguredError();
+    }
+
+    return beginAuthorization(provider, { loginHint: email, rememberMe });
+};
+
+/**
+ * Iniciar la vinculación de la cuenta autenticada con su identidad en el IdP de una organización
+ * El callback (POST /auth/sso/callback) vincula la identidad a esta cuenta aunque no sea miembro
+ * de la organización: el usuario probó el control de ambas (sesión local + login en el IdP).
+ *
+ * @param {string} userId - UUID del usuario autenticado
+ * @param {Object} params - { organizationId } publicCode de la organización (default: por el dominio del email)
+ * @returns {Promise<{ authorizationUrl: string, expiresIn: number }>}
+ */
+export const startLink = async (userId, { organizationId } = {}) => {
+    const user = await authRepository.findUserById(userId);
+    if (!user?.isActive) {
+        throw buildError(403, 'USER_INACTIVE', 'auth.login.account_disabled');
+    }
+
+    const provider = await resolveLoginProvider({ email: user.email, organizationId });
+    if (!provider) {
+        throw notConfiguredError();
+    }
+
+    return beginAuthorization(provider, { loginHint: user.email, linkUserId: user.id });
+};
+
+/**
+ * Nombre y apellido a partir de los claims estándar (given_name/family_name, name o el email)
+ * @param {Object} claims
+ * @param {string} email
+ * @returns {{ firstName: string, lastName: string }}
+ */
+const namesFromClaims = (claims, email) => {
+    if (claims.given_name || claims.family_name) {
+        return {
+            firstName: String(claims.given_name || email.split('@')[0]).slice(0, 100),
+            lastName: String(claims.family_name || '').slice(0, 100)
+        };
+    }
+
+    const [firstName, ...rest] = String(claims.name || email.split('@')[0]).trim().split(/\s+/);
+    return { firstName: firstName.slice(0, 100), lastName: rest.join(' ').slice(0, 100) };
+};
+
+/**
+ * Resolver la cuenta local de una identidad OIDC
+ * 1. Vinculación explícita (POST /auth/sso/link): la cuenta que la inició
+ * 2. Identidad ya vinculada (provider, sub)
+ * 3. Cuenta con el mismo email, solo si ya es miembro de la organización del proveedor
+ *    (el email de otra organización no prueba que la cuenta sea de quien controla el IdP)
+ * 4. JIT: cuenta nueva con password aleatorio (puede definir uno con forgot-password)
+ * Sin membresía en la organización del proveedor: JIT la crea con defaultRoleInOrg.
+ *
+ * @param {Object} provider - OrganizationSsoProvider
+ * @param {Object} claims - { sub, email, given_name, family_name, name }
+ * @param {string|null} [linkUserId] - UUID de la cuenta que inició la vinculación
+ * @returns {Promise<{ user: Object, accountCreated: boolean, membershipCreated: boolean }>}
+ */
+const resolveUser = async (provider, claims, linkUserId = null) => {
+    const email = claims.email.toLowerCase();
+    const notProvisioned = () => buildError(403, 'SSO_USER_NOT_PROVISIONED', 'auth.sso.user_not_provisioned');
+
+    const identity = await ssoRepository.findIdentity(provider.id, claims.sub);
+    if (linkUserId && identity && identity.userId !== linkUserId) {
+        throw buildError(409, 'SSO_IDENTITY_ALREADY_LINKED', 'auth.sso.identity_already_linked');
+    }
+
+    let user;
+    if (linkUserId || identity) {
+        user = await authRepository.findUserById(linkUserId ?? identity.userId);
+        if (!user) {
+            throw buildError(403, 'USER_INACTIVE', 'auth.login.account_disabled');
+        }
+    } else {
+        user = await authRepository.findUserByEmail(email);
+        if (user && !await ssoRepository.isOrganizationMember(user.id, provider.organizationId)) {
+            throw buildError(409, 'SSO_ACCOUNT_LINK_REQUIRED', 'auth.sso.account_link_required');
+        }
+    }
+
+    let accountCreated = false;
+    if (!user) {
+        if (!provider.jitProvisioning) {
+            throw notProvisioned();
+        }
+        ({ user } = await register({
+            email,
+            password: crypto.randomBytes(32).toString('base64url'),
+            ...namesFromClaims(claims, email),
+            organizationId: provider.organizationId
+        }, {}, { emailVerified: true, issueTokens: false, enforcePasswordPolicy: false }));
+        accountCreated = true;
+    }
+
+    if (!user.isActive) {
+        throw buildError(403, 'USER_INACTIVE', 'auth.login.account_disabled');
+    }
+
+    let membershipCreated = false;
+    if (!await ssoRepository.isOrganizationMember(user.id, provider.organizationId)) {
+        if (!provider.jitProvisioning) {
+            throw notProvisioned();
+        }
+        try {
+            await addUserToOrganization(user.id, provider.organizationId, accountCreated, provider.defaultRoleInOrg);
+            membershipCreated = true;
+        } catch (error) {
+            // Login concurrente del mismo usuario
+            if (error.code !== 'USER_ALREADY_IN_ORGANIZATION') {
+                throw error;
+            }
+        }
+    }
+
+    return { user, accountCreated, membershipCreated };
+};
+
+/**
+ * Completar un login SSO: canjea el code, valida el id_token y emite los tokens de sesión
+ * El state es de un solo uso: un callback repetido (o vencido) falla con SSO_INVALID_STATE.
+ *
+ * @param {Object} params - { code, state }
+ * @param {Object} [sessionData] - { userAgent, ipAddress }
+ * @returns {Promise<Object>} - Usuario y tokens JWT, o el challenge 2FA de /auth/login (+ accountCreated)
+ */
+export const completeLogin = async ({ code, state }, sessionData = {}) => {
+    const pending = await authCache.consumeSsoState(hashToken(state));
+    if (!pending) {
+        throw buildError(401, 'SSO_INVALID_STATE', 'auth.sso.invalid_state');
+    }
+
+    const provider = await ssoRepository.findProviderById(pending.providerId);
+    if (!provider?.isEnabled || !provider.organization?.isActive) {
+        throw notConfiguredError();
+    }
+
+    const discovery = await discover(provider.issuer);
+    const tokenResponse = await exchangeCode(discovery, {
+        clientId: provider.clientId,
+        clientSecret: provider.clientSecretEncrypted
+            ? decryptSecret(provider.clientSecretEncrypted, config.sso.encryptionKey)
+            : null,
+        code,
+        redirectUri: config.sso.callbackUrl,
+        codeVerifier: pending.codeVerifier
+    });
+    const claims = await verifyIdToken(tokenResponse.id_token, discovery, {
+        clientId: provider.clientId,
+        nonce: pending.nonce
+    });
+
+    // Vinculación por dominio: el email del IdP debe estar verificado y pertenecer a un dominio verificado del proveedor
+    if (typeof claims.email !== 'string' || !claims.email.includes('@') || claims.email_verified !== true) {
+        throw buildError(403, 'SSO_EMAIL_NOT_VERIFIED', 'auth.sso.email_not_verified');
+    }
+    if (!provider.verifiedDomains.includes(emailDomain(claims.email))) {
+        throw buildError(403, 'SSO_DOMAIN_NOT_ALLOWED', 'auth.sso.domain_not_allowed');
+    }
+
+    const linkUserId = pending.linkUserId ?? null;
+    const { user, accountCreated, membershipCreated } = await resolveUser(provider, claims, linkUserId);
+
+    await ssoRepository.saveIdentityLogin({
+        userId: user.id,
+        providerId: provider.id,
+        subject: claims.sub,
+        email: claims.email.toLowerCase()
+    });
+
+    const result = await loginWithExternalIdentity(user.id, {
+        ...sessionData,
+        rememberMe: pending.rememberMe,
+        requestedOrgId: provider.organizationId
+    }, {
+        waiveTwoFactorFor: provider.waiveLocalTwoFactor ? provider.organization.publicCode : null
+    });
+
+    await logAuditAction({
+        entityType: 'user',
+        entityId: user.publicCode,
+        action: 'sso_login',
+        performedBy: user.id,
+        changes: {},
+        metadata: {
+            organizationId: provider.organization.publicCode,
+            issuer: provider.issuer,
+            accountCreated,
+            membershipCreated,
+            linked: Boolean(linkUserId),
+            twoFactorRequired: Boolean(result.twoFactorRequired)
+        },
+        ipAddress: sessionData.ipAddress ?? null,
+        userAgent: sessionData.userAgent ?? null
+    });
+
+    authLogger.info({ userId: user.id, providerId: provider.id, accountCreated, membershipCreated, linked: Boolean(linkUserId) }, 'Login SSO');
+
+    return { ...result, accountCreated };
+};
@@ -0,0 +1,155 @@
+// modules/auth/twoFactorRepository.js
+// Repositorio de 2FA (TOTP): configuración por usuario y recovery codes de un solo uso
+
+import { Op } from 'sequelize';
+import sequelize from '../../db/sql/sequelize.js';
+import UserTwoFactor from './models/UserTwoFactor.js';
+import TwoFactorRecoveryCode from './models/TwoFactorRecoveryCode.js';
+import UserOrganization from './models/UserOrganization.js';
+import Organization from '../organizations/models/Organization.js';
+import { generateUuidV7 } from '../../utils/identifiers.js';
+
+/**
+ * Configuración 2FA de un usuario
+ * @param {string} userId - UUID
+ * @returns {Promise<UserTwoFactor|null>}
+ */
+export const findTwoFactorByUserId = async (userId) => UserTwoFactor.findByPk(userId);
+
+/**
+ * Guardar un secreto pendiente de confirmación (reemplaza un enrolamiento pendiente anterior)
+ * No pisa una configuración ya activa.
+ * @param {string} userId - UUID
+ * @param {string} secretEncrypted
+ * @returns {Promise<boolean>} false si el usuario ya tiene 2FA activo
+ */
+export const savePendingSecret = async (userId, secretEncrypted) => {
+    const [, created] = await UserTwoFactor.findOrCreate({
+        where: { userId },
+        defaults: { userId, secretEncrypted, enabledAt: null, lastUsedStep: null }
+    });
+    if (created) return true;
+
+    const [count] = await UserTwoFactor.update(
+        { secretEncrypted, lastUsedStep: null },
+        { where: { userId, enabledAt: null } }
+    );
+    return count > 0;
+};
+
+/**
+ * Activar el 2FA (confirmación del enrolamiento) y guardar los recovery codes iniciales
+ * @param {string} userId - UUID
+ * @param {string[]} codeHashes - Hashes de los recovery codes
+ * @param {number} step - Paso TOTP usado para confirmar
+ * @returns {Promise<boolean>} false si no había enrolamiento pendiente
+ */
+export const enableTwoFactor = async (userId, codeHashes, step) =>
+    sequelize.transaction(async (transaction) => {
+        const [count] = await UserTwoFactor.update(
+            { enabledAt: new Date(), lastUsedStep: step },
+            { where: { userId, enabledAt: null }, transaction }
+        );
+        if (!count) return false;
+
+        await TwoFactorRecoveryCode.destroy({ where: { userId }, transaction });
+        await TwoFactorRecoveryCode.bulkCreate(
+            codeHashes.map(codeHash => ({ id: generateUuidV7(), userId, codeHash })),
+            { transaction }
+        );
+        return true;
+    });
+
+/**
+ * Registrar el uso de un paso TOTP (UPDATE condicional: el mismo código no sirve dos veces)
+ * @param {string} userId - UUID
+ * @param {number} step
+ * @returns {Promise<boolean>} false si el paso ya fue usado (o uno posterior)
+ */
+export const consumeTotpStep = async (userId, step) => {
+    const [count] = await UserTwoFactor.update(
+        { lastUsedStep: step },
+        {
+            where: {
+                userId,
+                enabledAt: { [Op.ne]: null },
+                [Op.or]: [
+                    { lastUsedStep: null },
+                    { lastUsedStep: { [Op.lt]: step } }
+                ]
+            }
+        }
+    );
+    return count > 0;
+};
+
+/**
+ * Reemplazar todos los recovery codes de un usuario
+ * @param {string} userId - UUID
+ * @param {string[]} codeHashes
+ * @returns {Promise<void>}
+ */
+export const replaceRecoveryCodes = async (userId, codeHashes) =>
+    sequelize.transaction(async (transaction) => {
+        await TwoFactorRecoveryCode.destroy({ where: { userId }, transaction });
+        await TwoFactorRecoveryCode.bulkCreate(
+            codeHashes.map(codeHash => ({ id: generateUuidV7(), userId, codeHash })),
+            { transaction }
+        );
+    });
+
+/**
+ * Consumir un recovery code (single-use, UPDATE condicional)
+ * @param {string} userId - UUID
+ * @param {string} codeHash
+ * @returns {Promise<boolean>}
+ */
+export const consumeRecoveryCode = async (userId, codeHash) => {
+    const [count] = await TwoFactorRecoveryCode.update(
+        { usedAt: new Date() },
+        { where: { userId, codeHash, usedAt: null } }
+    );
+    return count > 0;
+};
+
+/**
+ * Recovery codes disponibles
+ * @param {string} userId - UUID
+ * @returns {Promise<number>}
+ */
+export const countRemainingRecoveryCodes = async (userId) =>
+    TwoFactorRecoveryCode.count({ where: { userId, usedAt: null } });
+
+/**
+ * Eliminar la configuración 2FA y los recovery codes (desactivar / reset por admin)
+ * @param {string} userId - UUID
+ * @returns {Promise<boolean>} true si había configuración
+ */
+export const deleteTwoFactor = async (userId) =>
+    sequelize.transaction(async (transaction) => {
+        await TwoFactorRecoveryCode.destroy({ where: { userId }, transaction });
+        const deleted = await UserTwoFactor.destroy({ where: { userId }, transaction });
+        return deleted > 0;
+    });
+
+/**
+ * Organizaciones activas del usuario que exigen 2FA (Organization.config.security.requireTwoFactor)
+ * @param {string} userId - UUID
+ * @returns {Promise<Array<{ publicCode: string, name: string }>>}
+ */
+export const findEnforcingOrganizations = async (userId) => {
+    const memberships = await UserOrganization.findAll({
+        where: { userId },
+        include: [{
+            model: Organization,
+            as: 'organization',
+            attributes: ['publicCode', 'name', 'config', 'isActive'],
+            where: { isActive: true }
+        }]
+    });
+
+    return memberships
+        .map(membership => membership.organization)
+        .filter(organization => organization.config?.security?.requireTwoFactor === true)
+        .map(organization => ({ publicCode: organization.publicCode, name: organization.name }));
+};
@@ -0,0 +1,385 @@
+// modules/auth/twoFactorServices.js
+// Autenticación en dos pasos (TOTP): enrolamiento, recovery codes, challenge de login y reset por admin
+//
+// Flujo de login con 2FA:
+//   POST /auth/login      → password OK + 2FA activo (o exigido por una organización) → { twoFactorRequired, challengeToken }
+//   POST /auth/login/2fa  → challengeToken + código TOTP (o recovery code) → tokens de sesión
+// Si una organización exige 2FA y el usuario no lo tiene, el mismo challenge permite enrolarse
+// (POST /auth/login/2fa/setup) y el primer código confirma el enrolamiento.
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { config } from '../../config/env.js';
+import { authLogger } from '../../utils/logger.js';
+import * as authRepository from './repository.js';
+import * as twoFactorRepository from './twoFactorRepository.js';
+import * as refreshTokenRepository from './refreshTokenRepository.js';
+import * as authCache from './cache.js';
+import { hashToken } from './refreshTokenRepository.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import { generateTotpSecret, verifyTotpCode, buildOtpauthUri, base32Encode } from '../../utils/totp.js';
+import { encryptSecret, decryptSecret } from '../../utils/encryption.js';
+
+const buildError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code   = code;
+    return err;
+};
+
+const invalidCodeError = () => buildError(401, 'INVALID_TWO_FACTOR_CODE', 'auth.two_factor.invalid_code');
+
+// ============ CIFRADO DEL SECRETO (AES-256-GCM) ============
+
+const encryptTotpSecret = (secret) => encryptSecret(secret, config.twoFactor.encryptionKey);
+
+const decryptTotpSecret = (payload) => decryptSecret(payload, config.twoFactor.encryptionKey);
+
+// ============ RECOVERY CODES ============
+
+// Se comparan sin guiones, espacios ni mayúsculas (el usuario los copia de distintas formas)
+const normalizeRecoveryCode = (code) => String(code ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Genera recovery codes nuevos (formato xxxxx-xxxxx, 50 bits cada uno)
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: config.twoFactor.recoveryCodes }, () => {
+        const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+};
+
+// ============ ESTADO Y ENROLAMIENTO ============
+
+/**
+ * Estado 2FA de un usuario
+ * @param {string} userId - UUID
+ * @returns {Promise<Object>} { enabled, enabledAt, pendingEnrollment, recoveryCodesRemaining, requiredBy }
+ */
+export const getTwoFactorStatus = async (userId) => {
+    const [record, requiredBy] = await Promise.all([
+        twoFactorRepository.findTwoFactorByUserId(userId),
+        twoFactorRepository.findEnforcingOrganizations(userId)
+    ]);
+    const enabled = Boolean(record?.enabledAt);
+
+    return {
+        enabled,
+        enabledAt: record?.enabledAt ?? null,
+        pendingEnrollment: Boolean(record && !record.enabledAt),
+        recoveryCodesRemaining: enabled ? await twoFactorRepository.countRemainingRecoveryCodes(userId) : 0,
+        requiredBy: requiredBy.map(org => ({ id: org.publicCode, name: org.name }))
+    };
+};
+
+/**
+ * Iniciar el enrolamiento: genera un secreto nuevo (pendiente hasta confirmEnrollment)
+ * @param {Object} user - { id, email }
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+export const startEnrollment = async (user) => {
+    const secret = generateTotpSecret();
+    const saved = await twoFactorRepository.savePendingSecret(user.id, encryptTotpSecret(secret));
+    if (!saved) {
+        throw buildError(409, 'TWO_FACTOR_ALREADY_ENABLED', 'auth.two_factor.already_enabled');
+    }
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: config.twoFactor.issuer })
+    };
+};
+
+/**
+ * Confirmar el enrolamiento con el primer código de la app y emitir los recovery codes
+ * @param {Object} user - { id, publicCode }
+ * @param {string} code - Código TOTP
+ * @param {Object} requestData - { ipAddress, userAgent }
+ * @returns {Promise<{ recoveryCodes: string[] }>} Recovery codes en claro (solo se muestran esta vez)
+ */
+export const confirmEnrollment = async (user, code, { ipAddress = null, userAgent = null } = {}) => {
+    const record = await twoFactorRepository.findTwoFactorByUserId(user.id);
+    if (!record || record.enabledAt) {
+        throw buildError(409, 'TWO_FACTOR_NOT_PENDING', 'auth.two_factor.enrollment_not_started');
+    }
+
+    const step = verifyTotpCode(decryptTotpSecret(record.secretEncrypted), code);
+    if (step === null) {
+        throw invalidCodeError();
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    const enabled = await twoFactorRepository.enableTwoFactor(user.id, hashes, step);
+    if (!enabled) {
+        throw buildError(409, 'TWO_FACTOR_NOT_PENDING', 'auth.two_factor.enrollment_not_started');
+    }
+
+    await logAuditAction({
+        entityType: 'user',
+        entityId: user.publicCode,
+        action: 'two_factor_enabled',
+        performedBy: user.id,
+        changes: { twoFactorEnabled: { old: false, new: true } },
+        ipAddress,
+        userAgent
+    });
+
+    authLogger.info({ userId: user.id }, '2FA activado');
+
+    return { recoveryCodes: codes };
+};
+
+/**
+ * Verificar el segundo factor: código TOTP (no reutilizable) o recovery code (un solo uso)
+ * @param {Object} user - { id, publicCode }
+ * @param {Object} factor - { code } o { recoveryCode }
+ * @param {Object} requestData - { ipAddress, userAgent }
+ * @returns {Promise<'totp'|'recovery_code'>} Método usado
+ */
+export const verifySecondFactor = async (user, { code = null, recoveryCode = null }, { ipAddress = null, userAgent = null } = {}) => {
+    const record = await twoFactorRepository.findTwoFactorByUserId(user.id);
+    if (!record?.enabledAt) {
+        throw buildError(409, 'TWO_FACTOR_NOT_ENABLED', 'auth.two_factor.not_enabled');
+    }
+
+    if (code) {
+        const step = verifyTotpCode(decryptTotpSecret(record.secretEncrypted), code);
+        if (step === null || !await twoFactorRepository.consumeTotpStep(user.id, step)) {
+            throw invalidCodeError();
+        }
+        return 'totp';
+    }
+
+    if (recoveryCode) {
+        const consumed = await twoFactorRepository.consumeRecoveryCode(user.id, hashToken(normalizeRecoveryCode(recoveryCode)));
+        if (!consumed) {
+            throw invalidCodeError();
+        }
+
+        const remaining = await twoFactorRepository.countRemainingRecoveryCodes(user.id);
+        await logAuditAction({
+            entityType: 'user',
+            entityId: user.publicCode,
+            action: 'two_factor_recovery_code_used',
+            performedBy: user.id,
+            metadata: { recoveryCodesRemaining: remaining },
+            ipAddress,
+            userAgent
+        });
+        return 'recovery_code';
+    }
+
+    throw invalidCodeError();
+};
+
+/**
+ * Desactivar el 2FA propio (requiere password y segundo factor)
+ * No se permite si alguna organización del usuario lo exige.
+ * @param {Object} user - { id, publicCode, email }
+ * @param {Object} data - { password, code?, recoveryCode? }
+ * @param {Object} requestData - { ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+export const disableTwoFactor = async (user, { password, code, recoveryCode }, requestData = {}) => {
+    const requiredBy = await twoFactorRepository.findEnforcingOrganizations(user.id);
+    if (requiredBy.length) {
+        throw buildError(409, 'TWO_FACTOR_REQUIRED', 'auth.two_factor.required_by_organization');
+    }
+
+    const userWithPassword = await authRepository.findUserByEmail(user.email, true);
+    if (!userWithPassword || !await bcrypt.compare(password, userWithPassword.passwordHash)) {
+        throw buildError(401, 'INVALID_CURRENT_PASSWORD', 'auth.password.current_incorrect');
+    }
+
+    await verifySecondFactor(user, { code, recoveryCode }, requestData);
+    await twoFactorRepository.deleteTwoFactor(user.id);
+
+    await logAuditAction({
+        entityType: 'user',
+        entityId: user.publicCode,
+        action: 'two_factor_disabled',
+        performedBy: user.id,
+        changes: { twoFactorEnabled: { old: true, new: false } },
+        ipAddress: requestData.ipAddress ?? null,
+        userAgent: requestData.userAgent ?? null
+    });
+};
+
+/**
+ * Regenerar recovery codes (invalida los anteriores). Requiere un código TOTP.
+ * @param {Object} user - { id, publicCode }
+ * @param {string} code - Código TOTP
+ * @param {Object} requestData - { ipAddress, userAgent }
+ * @returns {Promise<{ recoveryCodes: string[] }>}
+ */
+export const regenerateRecoveryCodes = async (user, code, requestData = {}) => {
+    await verifySecondFactor(user, { code }, requestData);
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await twoFactorRepository.replaceRecoveryCodes(user.id, hashes);
+
+    await logAuditAction({
+        entityType: 'user',
+        entityId: user.publicCode,
+        action: 'two_factor_recovery_codes_regenerated',
+        performedBy: user.id,
+        ipAddress: requestData.ipAddress ?? null,
+        userAgent: requestData.userAgent ?? null
+    });
+
+    return { recoveryCodes: codes };
+};
+
+/**
+ * Reset del 2FA de un usuario por un system-admin (ej: perdió el dispositivo y los recovery codes)
+ * Elimina secreto y recovery codes y cierra las sesiones del usuario. Si una organización
+ * exige 2FA, en el próximo login se le pedirá enrolarse de nuevo.
+ * @param {Object} targetUser - { id, publicCode }
+ * @param {Object} actor - { userId, ipAddress, userAgent, reason? }
+ * @returns {Promise<void>}
+ */
+export const resetTwoFactor = async (targetUser, actor) => {
+    const deleted = await twoFactorRepository.deleteTwoFactor(targetUser.id);
+    if (!deleted) {
+        throw buildError(409, 'TWO_FACTOR_NOT_ENABLED', 'auth.two_factor.not_enabled');
+    }
+
+    await refreshTokenRepository.revokeAllUserTokens(targetUser.id, 'two_factor_reset');
+    await authCache.invalidateUserSession(targetUser.id);
+
+    await logAuditAction({
+        entityType: 'user',
+        entityId: targetUser.publicCode,
+        action: 'two_factor_reset',
+        performedBy: actor.userId,
+        changes: { twoFactorEnabled: { old: true, new: false } },
+        metadata: { reason: actor.reason ?? null },
+        ipAddress: actor.ipAddress ?? null,
+        userAgent: actor.userAgent ?? null
+    });
+
+    authLogger.info({ userId: targetUser.id, performedBy: actor.userId }, '2FA reseteado por admin');
+};
+
+// ============ CHALLENGE DE LOGIN ============
+
+/**
+ * ¿El login de este usuario necesita segundo factor?
+ * @param {string} userId - UUID
+ * @returns {Promise<{ enabled: boolean, required: boolean, requiredBy: string[] }>} requiredBy: publicCode de las organizaciones que lo exigen
+ */
+export const getLoginRequirement = async (userId) => {
+    const [record, requiredBy] = await Promise.all([
+        twoFactorRepository.findTwoFactorByUserId(userId),
+        twoFactorRepository.findEnforcingOrganizations(userId)
+    ]);
+    return {
+        enabled: Boolean(record?.enabledAt),
+        required: requiredBy.length > 0,
+        requiredBy: requiredBy.map(organization => organization.publicCode)
+    };
+};
+
+/**
+ * Crear el challenge que devuelve /auth/login cuando hace falta segundo factor
+ * El token es opaco (32 bytes); en Redis se guarda bajo su hash junto con los datos de sesión del login.
+ * @param {Object} params
+ * @param {string} params.userId - UUID
+ * @param {string} params.identifier - Identificador usado en el login (rate limiting)
+ * @param {boolean} params.enrollmentRequired - La organización exige 2FA y el usuario aún no lo tiene
+ * @param {Object} params.sessionData - { rememberMe, activeOrgId }
+ * @returns {Promise<{ challengeToken: string, expiresIn: number, enrollmentRequired: boolean }>}
+ */
+export const createLoginChallenge = async ({ userId, identifier, enrollmentRequired, sessionData }) => {
+    const challengeToken = crypto.randomBytes(32).toString('base64url');
+    const expiresIn = config.twoFactor.challengeTTLSeconds;
+
+    const saved = await authCache.setTwoFactorChallenge(hashToken(challengeToken), {
+        userId,
+        identifier,
+        enrollmentRequired,
+        sessionData
+    }, expiresIn);
+    if (!saved) {
+        throw buildError(503, 'TWO_FACTOR_UNAVAILABLE', 'auth.two_factor.unavailable');
+    }
+
+    return { challengeToken, expiresIn, enrollmentRequired };
+};
+
+/**
+ * Resolver un challenge vigente
+ * @param {string} challengeToken
+ * @returns {Promise<Object>} { hash, userId, identifier, enrollmentRequired, sessionData }
+ */
+export const getLoginChallenge = async (challengeToken) => {
+    const hash = hashToken(challengeToken);
+    const challenge = await authCache.getTwoFactorChallenge(hash);
+    if (!challenge) {
+        throw buildError(401, 'INVALID_TWO_FACTOR_CHALLENGE', 'auth.two_factor.challenge_invalid');
+    }
+    return { ...challenge, hash };
+};
+
+/**
+ * Contar un intento de código sobre el challenge; al superar el máximo el challenge se invalida
+ * @param {Object} challenge - Resultado de getLoginChallenge
+ */
+export const registerChallengeAttempt = async (challenge) => {
+    const attempts = await authCache.countTwoFactorAttempt(challenge.hash, config.twoFactor.challengeTTLSeconds);
+    if (attempts > config.twoFactor.maxAttempts) {
+        await authCache.deleteTwoFactorChallenge(challenge.hash);
+        throw buildError(429, 'TOO_MANY_ATTEMPTS', 'auth.two_factor.too_many_attempts');
+    }
+};
+
+/**
+ * Iniciar el enrolamiento desde un challenge de login (2FA exigido por la organización)
+ * @param {Object} challenge - Resultado de getLoginChallenge
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+export const startLoginEnrollment = async (challenge) => {
+    if (!challenge.enrollmentRequired) {
+        throw buildError(409, 'TWO_FACTOR_ALREADY_ENABLED', 'auth.two_factor.already_enabled');
+    }
+
+    const user = await authRepository.findUserById(challenge.userId);
+    if (!user || !user.isActive) {
+        await authCache.deleteTwoFactorChallenge(challenge.hash);
+        throw buildError(401, 'INVALID_TWO_FACTOR_CHALLENGE', 'auth.two_factor.challenge_invalid');
+    }
+
+    return startEnrollment(user);
+};
+
+/**
+ * Completar el segundo paso del login
+ * - Challenge de enrolamiento: el código confirma el enrolamiento y se devuelven los recovery codes
+ * - Challenge normal: código TOTP o recovery code
+ * El challenge se consume al completarse.
+ *
+ * @param {Object} challenge - Resultado de getLoginChallenge
+ * @param {Object} user - Usuario (de authRepository)
+ * @param {Object} factor - { code } o { recoveryCode }
+ * @param {Object} requestData - { ipAddress, userAgent }
+ * @returns {Promise<{ method: string, recoveryCodes?: string[] }>}
+ */
+export const completeLoginChallenge = async (challenge, user, factor, requestData = {}) => {
+    let result;
+    if (challenge.enrollmentRequired) {
+        if (!factor.code) {
+            throw invalidCodeError();
+        }
+        const { recoveryCodes } = await confirmEnrollment(user, factor.code, requestData);
+        result = { method: 'enrollment', recoveryCodes };
+    } else {
+        result = { method: await verifySecondFactor(user, factor, requestData) };
+    }
+
+    await authCache.deleteTwoFactorChallenge(challenge.hash);
+    return result;
+};
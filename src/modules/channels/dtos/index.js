@@ -2,6 +2,7 @@
 // Schemas de validación con Zod para endpoints de Channels
 
 import { z } from 'zod';
+import { createBulkSchema } from '../../../helpers/bulkSchema.js';
 
 /**
  * Schema para crear un nuevo channel
@@ -243,3 +244,18 @@ export const deleteChannelSchema = z.object({
             .min(1, 'ID del channel no puede estar vacío')
     })
 });
+
+/**
+ * Schema para edición y acciones masivas sobre channels
+ * PATCH /channels/bulk
+ * name y ch identifican al channel dentro del device: no se editan en masa
+ */
+export const bulkChannelsSchema = createBulkSchema({
+    filterSchema: z.object({
+        deviceId: z.string().min(1, 'deviceId no puede estar vacío').optional(),
+        measurementTypeId: z.number().int().positive().optional(),
+        status: z.enum(['active', 'inactive', 'error', 'disabled']).optional(),
+        search: z.string().max(200, 'search no puede exceder 200 caracteres').optional()
+    }),
+    changesSchema: updateChannelSchema.shape.body.omit({ name: true, ch: true })
+});
@@ -152,6 +152,7 @@ export const deleteChannel = async (id) => {
  * 
  * @param {Object} options - Opciones de filtrado y paginación
  * @param {boolean} options.notInHierarchy - Si true, excluye channels que ya están en resource_hierarchy
+ * @param {string[]} [options.publicCodes] - Restringe a estos public codes (ACL de la jerarquía)
  * @returns {Promise<Object>} - { items: [...], total, page, limit }
  */
 export const listChannels = async ({ 
@@ -161,6 +162,7 @@ export const listChannels = async ({
     measurementTypeId,
     status,
     search,
+    publicCodes,
     notInHierarchy = false,
     limit = 20, 
     offset = 0 
@@ -173,6 +175,7 @@ export const listChannels = async ({
             measurementTypeId,
             status,
             search,
+            publicCodes,
             limit,
             offset
         });
@@ -184,6 +187,10 @@ export const listChannels = async ({
         where.deviceId = deviceId;
     }
     
+    if (publicCodes !== undefined) {
+        where.publicCode = { [Op.in]: publicCodes };
+    }
+    
     if (organizationIds !== undefined && Array.isArray(organizationIds) && organizationIds.length > 0) {
         where.organizationId = { [Op.in]: organizationIds };
     } else if (organizationId !== undefined && organizationId !== null) {
@@ -236,6 +243,7 @@ const listChannelsNotInHierarchy = async ({
     measurementTypeId,
     status,
     search,
+    publicCodes,
     limit = 20,
     offset = 0
 }) => {
@@ -243,6 +251,12 @@ const listChannelsNotInHierarchy = async ({
     const bindings = [];
     let bindIndex = 1;
     
+    if (publicCodes !== undefined) {
+        conditions.push(`c.public_code = ANY($${bindIndex}::text[])`);
+        bindings.push(publicCodes);
+        bindIndex++;
+    }
+    
     if (organizationIds && Array.isArray(organizationIds) && organizationIds.length > 0) {
         conditions.push(`c.organization_id = ANY($${bindIndex}::uuid[])`);
         bindings.push(organizationIds);
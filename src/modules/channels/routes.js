@@ -2,10 +2,12 @@
 // Rutas REST para el módulo de Channels (Puntos de Medición de Dispositivos)
 
 import express from 'express';
-import { authenticate, requireRole } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import { validate } from '../../middleware/validate.js';
 import { enforceActiveOrganization } from '../../middleware/enforceActiveOrganization.js';
 import { validateResourceOwnership } from '../../middleware/validateResourceOwnership.js';
+import { attachResourceAccess, requireResourceAccess, resolveRequestAccessScope } from '../../middleware/resourceAccess.js';
+import { runBulkOperation } from '../../helpers/bulkOperations.js';
 import * as channelServices from './services.js';
 import * as channelRepository from './repository.js';
 import {
@@ -13,24 +15,32 @@ import {
     updateChannelSchema,
     getChannelsSchema,
     getChannelByIdSchema,
-    deleteChannelSchema
+    deleteChannelSchema,
+    bulkChannelsSchema
 } from './dtos/index.js';
 import logger from '../../utils/logger.js';
 
-const validateChannelOwnership = validateResourceOwnership({
+// Opciones de ownership compartidas por /:id y por cada item de PATCH /bulk
+const channelOwnership = {
     findById: channelRepository.findChannelById,
     findByPublicCode: channelRepository.findChannelByPublicCodeInternal,
     resourceName: 'channel',
     paramName: 'id',
     checkSoftDelete: true
-});
+};
+const validateChannelOwnership = validateResourceOwnership(channelOwnership);
+
+// Permiso de la operación masiva según la acción (delete requiere channels.delete)
+const requireBulkPermission = (req, res, next) => requirePermission(
+    req.body?.action === 'delete' ? 'channels.delete' : 'channels.edit'
+)(req, res, next);
 
 const router = express.Router();
 const channelLogger = logger.child({ component: 'channels' });
 
 
 // 📄 Swagger: src/docs/swagger/channels.yaml -> POST /
-router.post('/', authenticate, requireRole(['system-admin', 'org-admin']), validate(createChannelSchema), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('channels.create'), validate(createChannelSchema), async (req, res, next) => {
     try {
         const userId = req.user.userId;
         const ipAddress = req.ip || req.connection.remoteAddress;
@@ -53,7 +63,7 @@ router.post('/', authenticate, requireRole(['system-admin', 'org-admin']), valid
 
 
 // 📄 Swagger: src/docs/swagger/channels.yaml -> GET /
-router.get('/', authenticate, enforceActiveOrganization, validate(getChannelsSchema), async (req, res, next) => {
+router.get('/', authenticate, enforceActiveOrganization, attachResourceAccess, validate(getChannelsSchema), async (req, res, next) => {
     try {
         const { deviceId, measurementTypeId, status, search, notInHierarchy, limit, offset } = req.query;
         
@@ -66,7 +76,8 @@ router.get('/', authenticate, enforceActiveOrganization, validate(getChannelsSch
             notInHierarchy,
             limit,
             offset,
-            showAll: req.organizationContext.showAll || false
+            showAll: req.organizationContext.showAll || false,
+            accessScope: req.resourceAccess
         });
         
         res.status(200).json({
@@ -87,8 +98,48 @@ router.get('/', authenticate, enforceActiveOrganization, validate(getChannelsSch
 });
 
 
+// 📄 Swagger: src/docs/swagger/channels.yaml -> PATCH /bulk
+router.patch('/bulk', authenticate, requireBulkPermission, enforceActiveOrganization, attachResourceAccess, validate(bulkChannelsSchema), async (req, res, next) => {
+    try {
+        const userId = req.user.userId;
+        const ipAddress = req.ip || req.connection.remoteAddress;
+        const userAgent = req.headers['user-agent'];
+        const { ids, filter, action, changes } = req.body;
+
+        const targets = ids ?? await channelServices.resolveBulkChannelTargets(filter, {
+            organizationId: req.organizationContext.id,
+            accessScope: req.resourceAccess
+        });
+
+        // Cada item valida ownership y grants como PUT/DELETE /:id
+        const { results, summary } = await runBulkOperation({
+            ids: targets,
+            user: req.user,
+            ownership: channelOwnership,
+            resourceType: 'channel',
+            resolveAccessScope: (organizationId) => resolveRequestAccessScope(req, organizationId),
+            execute: (publicCode) => channelServices.applyBulkChannelAction(publicCode, action, changes, userId, ipAddress, userAgent),
+            locale: req.locale
+        });
+
+        channelLogger.info({ userId, action, ...summary }, 'Bulk de channels ejecutado');
+
+        res.json({
+            ok: true,
+            data: { action, results, summary },
+            meta: {
+                timestamp: new Date().toISOString(),
+                locale: req.locale
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
 // 📄 Swagger: src/docs/swagger/channels.yaml -> GET /:id
-router.get('/:id', authenticate, validateChannelOwnership, validate(getChannelByIdSchema), async (req, res, next) => {
+router.get('/:id', authenticate, validateChannelOwnership, requireResourceAccess('channel'), validate(getChannelByIdSchema), async (req, res, next) => {
     try {
         const { id } = req.params;
         const channel = await channelServices.getChannelByPublicCode(id);
@@ -108,7 +159,7 @@ router.get('/:id', authenticate, validateChannelOwnership, validate(getChannelBy
 
 
 // 📄 Swagger: src/docs/swagger/channels.yaml -> PUT /:id
-router.put('/:id', authenticate, requireRole(['system-admin', 'org-admin']), validateChannelOwnership, validate(updateChannelSchema), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('channels.edit'), validateChannelOwnership, requireResourceAccess('channel', 'edit'), validate(updateChannelSchema), async (req, res, next) => {
     try {
         const { id } = req.params;
         const userId = req.user.userId;
@@ -132,7 +183,7 @@ router.put('/:id', authenticate, requireRole(['system-admin', 'org-admin']), val
 
 
 // 📄 Swagger: src/docs/swagger/channels.yaml -> DELETE /:id
-router.delete('/:id', authenticate, requireRole(['system-admin']), validateChannelOwnership, validate(deleteChannelSchema), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('channels.delete'), validateChannelOwnership, requireResourceAccess('channel', 'edit'), validate(deleteChannelSchema), async (req, res, next) => {
     try {
         const { id } = req.params;
         const userId = req.user.userId;
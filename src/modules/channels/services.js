@@ -6,7 +6,9 @@ import * as channelRepository from './repository.js';
 import * as deviceRepository from '../devices/repository.js';
 import { cacheChannelList, getCachedChannelList, invalidateChannelCache } from './cache.js';
 import { invalidateChannelTelemetryCache } from '../telemetry/cache.js';
+import { listAccessibleCodes } from '../resource-hierarchy/accessScope.js';
 import { logAuditAction } from '../../helpers/auditLog.js';
+import { MAX_BULK_ITEMS, resolveBulkChanges } from '../../helpers/bulkSchema.js';
 import { generateHumanId, generatePublicCode } from '../../utils/identifiers.js';
 import Channel from './models/Channel.js';
 import Device from '../devices/models/Device.js';
@@ -111,10 +113,12 @@ export const getChannelByPublicCode = async (publicCode) => {
 /**
  * Listar channels con filtros y paginación
  * @param {Object} filters - Filtros de búsqueda
+ * @param {Object|null} [filters.accessScope] - Scope de la jerarquía (ver resource-hierarchy/accessScope.js); null = sin restricción
  * @returns {Promise<Object>} - Lista de channels paginada
  */
-export const listChannels = async (filters) => {
+export const listChannels = async ({ accessScope = null, ...filters }) => {
     const { showAll = false } = filters;
+    const publicCodes = listAccessibleCodes(accessScope, 'channel');
     
     let deviceUuid = filters.deviceId;
     if (filters.deviceId && !filters.deviceId.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
@@ -129,7 +133,7 @@ export const listChannels = async (filters) => {
     }
     
     if (showAll) {
-        const repoFilters = { ...filters, deviceId: deviceUuid, showAll: true };
+        const repoFilters = { ...filters, deviceId: deviceUuid, publicCodes, showAll: true };
         delete repoFilters.organizationId;
         delete repoFilters.organizationIds;
         
@@ -160,7 +164,8 @@ export const listChannels = async (filters) => {
         ...filters,
         deviceId: deviceUuid,
         organizationId: organizationUuid,
-        organizationIds: organizationUuids
+        organizationIds: organizationUuids,
+        accessScope: accessScope?.hash ?? null
     });
     
     const cached = await getCachedChannelList(cacheKey);
@@ -172,7 +177,8 @@ export const listChannels = async (filters) => {
         ...filters,
         deviceId: deviceUuid,
         organizationId: organizationUuid,
-        organizationIds: organizationUuids
+        organizationIds: organizationUuids,
+        publicCodes
     };
 
     const result = await channelRepository.listChannels(repoFilters);
@@ -276,3 +282,72 @@ export const deleteChannel = async (publicCode, userId, ipAddress, userAgent) =>
     
     return deleted;
 };
+
+/**
+ * Resuelve los channels alcanzados por el filtro de una operación masiva
+ * Se limita a la organización activa y a los channels visibles según la jerarquía.
+ *
+ * @param {Object} filter - deviceId (UUID o publicCode), measurementTypeId, status, search
+ * @param {Object} context
+ * @param {string|null} context.organizationId - UUID de la organización activa
+ * @param {Object|null} [context.accessScope] - Scope de la jerarquía; null = sin restricción
+ * @returns {Promise<string[]>} Public codes de los channels
+ */
+export const resolveBulkChannelTargets = async (filter, { organizationId, accessScope = null }) => {
+    if (!organizationId) {
+        const error = new Error('Debe seleccionar una organización para operar por filtro');
+        error.status = 400;
+        error.code = 'ORGANIZATION_REQUIRED';
+        throw error;
+    }
+
+    let deviceUuid = filter.deviceId;
+    if (filter.deviceId && !filter.deviceId.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+        const device = await deviceRepository.findDeviceByPublicCodeInternal(filter.deviceId);
+        if (!device) {
+            const error = new Error('Device no encontrado');
+            error.status = 404;
+            error.code = 'DEVICE_NOT_FOUND';
+            throw error;
+        }
+        deviceUuid = device.id;
+    }
+
+    const { items, total } = await channelRepository.listChannels({
+        ...filter,
+        deviceId: deviceUuid,
+        organizationId,
+        publicCodes: listAccessibleCodes(accessScope, 'channel'),
+        limit: MAX_BULK_ITEMS,
+        offset: 0
+    });
+
+    if (total > MAX_BULK_ITEMS) {
+        const error = new Error(`El filtro alcanza ${total} channels; el máximo por operación masiva es ${MAX_BULK_ITEMS}`);
+        error.status = 400;
+        error.code = 'BULK_TOO_MANY_ITEMS';
+        error.details = { total, max: MAX_BULK_ITEMS };
+        throw error;
+    }
+
+    return items.map(channel => channel.id);
+};
+
+/**
+ * Aplica una acción masiva a un channel con el mismo servicio que la operación individual
+ * (validaciones, audit log e invalidación de caches incluidos)
+ *
+ * @param {string} publicCode - Public code del channel
+ * @param {string} action - update | activate | deactivate | delete
+ * @param {Object} [changes] - Cambios para action update
+ * @param {string} userId
+ * @param {string} ipAddress
+ * @param {string} userAgent
+ * @returns {Promise<Object|{deleted: boolean}>} Channel actualizado o resultado del delete
+ */
+export const applyBulkChannelAction = async (publicCode, action, changes, userId, ipAddress, userAgent) => {
+    if (action === 'delete') {
+        return { deleted: await deleteChannel(publicCode, userId, ipAddress, userAgent) };
+    }
+    return updateChannel(publicCode, { ...resolveBulkChanges(action, changes) }, userId, ipAddress, userAgent);
+};
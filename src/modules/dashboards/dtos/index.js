@@ -2,6 +2,7 @@
 // Schemas de validación con Zod para endpoints de Dashboards
 
 import { z } from 'zod';
+import { DASHBOARD_BUNDLE_FORMAT, DASHBOARD_BUNDLE_VERSION } from '../helpers/bundle.js';
 
 // --- Enums reutilizables ---
 
@@ -40,6 +41,15 @@ const inlineDataSourceSchema = z.object({
     seriesConfig: z.record(z.any()).optional().default({})
 });
 
+// --- Vinculaciones de placeholders de template (key → public code del recurso) ---
+
+const PLACEHOLDER_KEY_REGEX = /^[a-z][a-z0-9_]*$/;
+
+const templateBindingsSchema = z.record(
+    z.string().regex(PLACEHOLDER_KEY_REGEX, 'Las keys de bindings deben ser snake_case'),
+    z.string().min(1, 'El public code vinculado no puede estar vacío').max(100)
+);
+
 // =============================================
 // DASHBOARDS
 // =============================================
@@ -105,10 +115,15 @@ export const createDashboardSchema = z.object({
             .default({}),
         templateId: z
             .string()
+            .min(1, 'templateId no puede estar vacío')
             .nullable()
             .optional()
-            .default(null)
+            .default(null),
+        bindings: templateBindingsSchema.optional()
     }).refine(
+        (data) => !data.bindings || data.templateId,
+        { message: 'bindings solo es válido junto con templateId', path: ['bindings'] }
+    ).refine(
         (data) => {
             if (data.size === 'CUSTOM') {
                 return data.customWidth != null && data.customHeight != null;
@@ -968,3 +983,252 @@ export const getWidgetDataSchema = z.object({
         { message: 'from y to son requeridos cuando dateRange es "custom"', path: ['from'] }
     ).default({})
 });
+
+
+// =============================================
+// TEMPLATES DE DASHBOARDS
+// =============================================
+
+const templateIdParamsSchema = z.object({
+    id: z
+        .string({
+            required_error: 'ID del template es requerido'
+        })
+        .min(1, 'ID del template no puede estar vacío')
+});
+
+/**
+ * Schema para guardar un dashboard como template
+ * POST /dashboard-templates
+ * Nota: placeholders permite elegir key/label de recursos concretos; el resto se genera automáticamente
+ */
+export const createTemplateSchema = z.object({
+    body: z.object({
+        dashboardId: z
+            .string({
+                required_error: 'dashboardId es requerido'
+            })
+            .min(1, 'dashboardId no puede estar vacío'),
+        name: z
+            .string()
+            .min(1, 'name no puede estar vacío')
+            .max(200, 'name no puede exceder 200 caracteres')
+            .optional(),
+        description: z
+            .string()
+            .optional(),
+        isGlobal: z
+            .boolean()
+            .optional()
+            .default(false),
+        placeholders: z
+            .array(z.object({
+                entityType: z.enum(entityTypeEnum, {
+                    errorMap: () => ({ message: `entityType debe ser uno de: ${entityTypeEnum.join(', ')}` })
+                }),
+                entityId: z
+                    .string({ required_error: 'entityId es requerido' })
+                    .min(1, 'entityId no puede estar vacío'),
+                key: z
+                    .string({ required_error: 'key es requerido' })
+                    .max(50, 'key no puede exceder 50 caracteres')
+                    .regex(PLACEHOLDER_KEY_REGEX, 'key debe ser snake_case (ej: main_meter)'),
+                label: z
+                    .string()
+                    .max(200, 'label no puede exceder 200 caracteres')
+                    .optional()
+            }))
+            .max(200, 'No se pueden definir más de 200 placeholders')
+            .optional()
+            .default([])
+            .refine(
+                (items) => new Set(items.map(p => p.key)).size === items.length,
+                { message: 'Las keys de placeholders deben ser únicas' }
+            )
+    })
+});
+
+/**
+ * Schema para actualizar un template (metadatos y labels de placeholders)
+ * PATCH /dashboard-templates/:id
+ */
+export const updateTemplateSchema = z.object({
+    params: templateIdParamsSchema,
+    body: z.object({
+        name: z
+            .string()
+            .min(1, 'name no puede estar vacío')
+            .max(200, 'name no puede exceder 200 caracteres')
+            .optional(),
+        description: z
+            .string()
+            .nullable()
+            .optional(),
+        icon: z
+            .string()
+            .max(50, 'icon no puede exceder 50 caracteres')
+            .nullable()
+            .optional(),
+        placeholders: z
+            .array(z.object({
+                key: z.string({ required_error: 'key es requerido' }).min(1, 'key no puede estar vacío'),
+                label: z.string({ required_error: 'label es requerido' }).min(1).max(200, 'label no puede exceder 200 caracteres')
+            }))
+            .optional()
+    }).refine(
+        (data) => Object.keys(data).length > 0,
+        { message: 'Debe enviar al menos un campo para actualizar' }
+    )
+});
+
+/**
+ * Schema para listar templates (de la organización y globales)
+ * GET /dashboard-templates
+ */
+export const getTemplatesSchema = z.object({
+    query: z.object({
+        search: z
+            .string()
+            .max(200, 'search no puede exceder 200 caracteres')
+            .optional(),
+        limit: z
+            .string()
+            .transform((val) => parseInt(val, 10))
+            .refine((val) => val > 0 && val <= 100, {
+                message: 'limit debe estar entre 1 y 100'
+            })
+            .optional()
+            .default('20'),
+        offset: z
+            .string()
+            .transform((val) => parseInt(val, 10))
+            .refine((val) => val >= 0, {
+                message: 'offset debe ser mayor o igual a 0'
+            })
+            .optional()
+            .default('0')
+    })
+});
+
+/**
+ * Schema para obtener un template por ID
+ * GET /dashboard-templates/:id
+ */
+export const getTemplateByIdSchema = z.object({
+    params: templateIdParamsSchema
+});
+
+/**
+ * Schema para eliminar un template
+ * DELETE /dashboard-templates/:id
+ */
+export const deleteTemplateSchema = z.object({
+    params: templateIdParamsSchema
+});
+
+/**
+ * Schema para crear dashboards en lote desde un template (rollout a muchos sitios)
+ * POST /dashboard-templates/:id/dashboards
+ */
+export const createDashboardsFromTemplateSchema = z.object({
+    params: templateIdParamsSchema,
+    body: z.object({
+        items: z
+            .array(z.object({
+                name: z
+                    .string({
+                        required_error: 'name es requerido'
+                    })
+                    .min(1, 'name no puede estar vacío')
+                    .max(200, 'name no puede exceder 200 caracteres'),
+                description: z
+                    .string()
+                    .optional(),
+                isPublic: z
+                    .boolean()
+                    .optional(),
+                bindings: templateBindingsSchema
+            }), {
+                required_error: 'items es requerido'
+            })
+            .min(1, 'items debe tener al menos un elemento')
+            .max(100, 'No se pueden crear más de 100 dashboards por request')
+    })
+});
+
+
+// =============================================
+// EXPORT / IMPORT DE DASHBOARDS
+// =============================================
+
+/**
+ * Schema para exportar un dashboard como bundle JSON
+ * GET /dashboards/:id/export
+ */
+export const exportDashboardSchema = z.object({
+    params: z.object({
+        id: z
+            .string({
+                required_error: 'ID del dashboard es requerido'
+            })
+            .min(1, 'ID del dashboard no puede estar vacío')
+    })
+});
+
+// El bundle se valida con los mismos schemas que la creación de dashboard, páginas y widgets
+const bundlePageSchema = createPageSchema.shape.body.extend({
+    widgets: z
+        .array(createWidgetSchema.shape.body)
+        .max(100, 'Una página no puede tener más de 100 widgets')
+        .optional()
+        .default([])
+});
+
+const dashboardBundleSchema = z.object({
+    format: z.literal(DASHBOARD_BUNDLE_FORMAT, {
+        errorMap: () => ({ message: `format debe ser "${DASHBOARD_BUNDLE_FORMAT}"` })
+    }),
+    version: z
+        .number({ required_error: 'version es requerido' })
+        .int()
+        .min(1)
+        .max(DASHBOARD_BUNDLE_VERSION, `version no soportada (máximo ${DASHBOARD_BUNDLE_VERSION})`),
+    dashboard: createDashboardSchema.shape.body,
+    pages: z
+        .array(bundlePageSchema, { required_error: 'pages es requerido' })
+        .min(1, 'El bundle debe tener al menos una página')
+        .max(50, 'Un dashboard no puede tener más de 50 páginas')
+}).passthrough();
+
+/**
+ * Schema para importar un bundle en la organización activa
+ * POST /dashboards/import
+ * Nota: remap traduce public codes de la organización origen a la destino (ej: staging → producción)
+ */
+export const importDashboardSchema = z.object({
+    body: z.object({
+        bundle: dashboardBundleSchema,
+        name: z
+            .string()
+            .min(1, 'name no puede estar vacío')
+            .max(200, 'name no puede exceder 200 caracteres')
+            .optional(),
+        remap: z
+            .record(
+                z.string().min(1),
+                z.string().min(1, 'El public code destino no puede estar vacío').max(100)
+            )
+            .optional()
+            .default({}),
+        onMissing: z
+            .enum(['error', 'skip'], {
+                errorMap: () => ({ message: 'onMissing debe ser uno de: error, skip' })
+            })
+            .optional()
+            .default('error'),
+        dryRun: z
+            .boolean()
+            .optional()
+            .default(false)
+    })
+});
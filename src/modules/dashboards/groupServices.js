@@ -5,6 +5,7 @@ import { v7 as uuidv7 } from 'uuid';
 import * as dashboardRepository from './repository.js';
 import { cacheGroupList, getCachedGroupList, invalidateGroupCache, invalidateDashboardCache } from './cache.js';
 import { logAuditAction } from '../../helpers/auditLog.js';
+import { notify, NOTIFICATION_TYPES } from '../notifications/services.js';
 import { generatePublicCode } from '../../utils/identifiers.js';
 import User from '../auth/models/User.js';
 import logger from '../../utils/logger.js';
@@ -456,6 +457,14 @@ export const addDashboardCollaborator = async (dashboardPublicCode, userPublicCo
 
   await invalidateDashboardCache();
 
+  await notify([targetUser.id], {
+    type: NOTIFICATION_TYPES.DASHBOARD_SHARED,
+    organizationId: dashboard.organizationId,
+    params: { dashboard: dashboard.name, role },
+    data: { dashboardId: dashboardPublicCode, role },
+    actorId: userId
+  });
+
   logger.info({ dashboardId: dashboard.id, targetUserId: targetUser.id, role, userId }, 'Dashboard collaborator added successfully');
 
   return collaborator;
@@ -0,0 +1,120 @@
+// modules/dashboards/helpers/bundle.js
+// Export/import de dashboards como bundles JSON portables (entre organizaciones o versionados en git)
+
+export const DASHBOARD_BUNDLE_FORMAT = 'ec.dashboard';
+export const DASHBOARD_BUNDLE_VERSION = 1;
+
+const byOrderIndex = (a, b) => (a.orderIndex ?? 0) - (b.orderIndex ?? 0);
+
+/**
+ * Recursos distintos referenciados por los data sources de las páginas
+ * @param {Object[]} pages - Páginas con widgets → dataSources ({ entityType, entityId })
+ * @returns {Array<{entityType: string, entityId: string}>}
+ */
+export const collectBundleReferences = (pages) => {
+    const references = new Map();
+
+    for (const page of pages) {
+        for (const widget of page.widgets ?? []) {
+            for (const ds of widget.dataSources ?? []) {
+                references.set(`${ds.entityType}:${ds.entityId}`, { entityType: ds.entityType, entityId: ds.entityId });
+            }
+        }
+    }
+
+    return [...references.values()];
+};
+
+/**
+ * Genera el bundle versionado de un dashboard.
+ * Los data sources se referencian por public code; `references` lista cada recurso con su nombre
+ * para poder remapearlo al importar en otra organización.
+ *
+ * @param {Object} dashboard - Dashboard con pages → widgets → dataSources incluidos
+ * @param {Object<string, string>} [referenceNames] - `${entityType}:${entityId}` → nombre del recurso
+ * @returns {Object} Bundle listo para serializar
+ */
+export const buildDashboardBundle = (dashboard, referenceNames = {}) => {
+    const pages = [...(dashboard.pages ?? [])].sort(byOrderIndex).map(page => ({
+        name: page.name,
+        orderIndex: page.orderIndex,
+        widgets: [...(page.widgets ?? [])].sort(byOrderIndex).map(widget => ({
+            type: widget.type,
+            title: widget.title,
+            layout: widget.layout,
+            styleConfig: widget.styleConfig ?? {},
+            dataConfig: widget.dataConfig ?? {},
+            orderIndex: widget.orderIndex,
+            dataSources: [...(widget.dataSources ?? [])].sort(byOrderIndex).map(ds => ({
+                entityType: ds.entityType,
+                entityId: ds.entityId,
+                label: ds.label,
+                seriesConfig: ds.seriesConfig ?? {}
+            }))
+        }))
+    }));
+
+    return {
+        format: DASHBOARD_BUNDLE_FORMAT,
+        version: DASHBOARD_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        source: {
+            dashboardId: dashboard.publicCode,
+            organization: dashboard.organization?.slug ?? null
+        },
+        dashboard: {
+            name: dashboard.name,
+            description: dashboard.description,
+            icon: dashboard.icon,
+            isPublic: dashboard.isPublic,
+            size: dashboard.size,
+            positioning: dashboard.positioning,
+            customWidth: dashboard.customWidth,
+            customHeight: dashboard.customHeight,
+            settings: dashboard.settings || {}
+        },
+        references: collectBundleReferences(pages).map(ref => ({
+            ...ref,
+            name: referenceNames[`${ref.entityType}:${ref.entityId}`] ?? null
+        })),
+        pages
+    };
+};
+
+/**
+ * Aplica el remapeo de public codes a las páginas del bundle y descarta los data sources faltantes
+ * @param {Object[]} pages - Páginas del bundle
+ * @param {Object<string, string>} remap - Public code de origen → public code en la organización destino
+ * @param {Set<string>} missing - `${entityType}:${entityId}` (ya remapeado) inexistentes en destino
+ * @returns {{ pages: Object[], skippedDataSources: number }}
+ */
+export const remapBundlePages = (pages, remap = {}, missing = new Set()) => {
+    let skippedDataSources = 0;
+
+    const remapped = pages.map((page, pageIndex) => ({
+        name: page.name,
+        orderIndex: page.orderIndex ?? pageIndex,
+        widgets: page.widgets.map((widget, widgetIndex) => ({
+            type: widget.type,
+            title: widget.title,
+            layout: widget.layout,
+            styleConfig: widget.styleConfig ?? {},
+            dataConfig: widget.dataConfig ?? {},
+            orderIndex: widget.orderIndex ?? widgetIndex,
+            dataSources: widget.dataSources
+                .map(ds => ({
+                    entityType: ds.entityType,
+                    entityId: remap[ds.entityId] ?? ds.entityId,
+                    label: ds.label ?? null,
+                    seriesConfig: ds.seriesConfig ?? {}
+                }))
+                .filter(ds => {
+                    const keep = !missing.has(`${ds.entityType}:${ds.entityId}`);
+                    if (!keep) skippedDataSources++;
+                    return keep;
+                })
+        }))
+    }));
+
+    return { pages: remapped, skippedDataSources };
+};
@@ -0,0 +1,76 @@
+// modules/dashboards/helpers/bundle.test.js
+// Tests del export/import de dashboards como bundles (modules/dashboards/helpers/bundle.js)
+
+import { describe, it, expect } from 'vitest';
+import {
+    DASHBOARD_BUNDLE_FORMAT,
+    DASHBOARD_BUNDLE_VERSION,
+    collectBundleReferences,
+    buildDashboardBundle,
+    remapBundlePages
+} from './bundle.js';
+
+const dashboard = {
+    publicCode: 'DSH-1',
+    name: 'Planta',
+    organization: { slug: 'acme' },
+    pages: [
+        {
+            name: 'Resumen',
+            orderIndex: 0,
+            widgets: [
+                {
+                    type: 'line',
+                    title: 'Potencia',
+                    orderIndex: 0,
+                    dataSources: [
+                        { entityType: 'channel', entityId: 'CHN-B', orderIndex: 1 },
+                        { entityType: 'channel', entityId: 'CHN-A', orderIndex: 0, label: 'Principal' }
+                    ]
+                },
+                {
+                    type: 'kpi',
+                    title: 'Site',
+                    orderIndex: 1,
+                    dataSources: [{ entityType: 'site', entityId: 'SIT-1' }, { entityType: 'channel', entityId: 'CHN-A' }]
+                }
+            ]
+        }
+    ]
+};
+
+describe('collectBundleReferences', () => {
+    it('lista cada recurso una sola vez', () => {
+        expect(collectBundleReferences(dashboard.pages)).toEqual([
+            { entityType: 'channel', entityId: 'CHN-B' },
+            { entityType: 'channel', entityId: 'CHN-A' },
+            { entityType: 'site', entityId: 'SIT-1' }
+        ]);
+    });
+});
+
+describe('buildDashboardBundle', () => {
+    it('genera un bundle versionado con referencias nombradas', () => {
+        const bundle = buildDashboardBundle(dashboard, { 'channel:CHN-A': 'Medidor general' });
+
+        expect(bundle.format).toBe(DASHBOARD_BUNDLE_FORMAT);
+        expect(bundle.version).toBe(DASHBOARD_BUNDLE_VERSION);
+        expect(bundle.source).toEqual({ dashboardId: 'DSH-1', organization: 'acme' });
+        expect(bundle.pages[0].widgets[0].dataSources.map(ds => ds.entityId)).toEqual(['CHN-A', 'CHN-B']);
+        expect(bundle.references).toContainEqual({ entityType: 'channel', entityId: 'CHN-A', name: 'Medidor general' });
+        expect(bundle.references).toContainEqual({ entityType: 'site', entityId: 'SIT-1', name: null });
+    });
+});
+
+describe('remapBundlePages', () => {
+    it('remapea public codes y descarta los data sources inexistentes en destino', () => {
+        const { pages } = buildDashboardBundle(dashboard);
+        const result = remapBundlePages(pages, { 'CHN-A': 'CHN-X' }, new Set(['site:SIT-1']));
+
+        expect(result.skippedDataSources).toBe(1);
+        expect(result.pages[0].widgets[0].dataSources.map(ds => ds.entityId)).toEqual(['CHN-X', 'CHN-B']);
+        expect(result.pages[0].widgets[1].dataSources).toEqual([
+            { entityType: 'channel', entityId: 'CHN-X', label: null, seriesConfig: {} }
+        ]);
+    });
+});
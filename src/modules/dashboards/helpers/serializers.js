@@ -246,3 +246,53 @@ export const toPublicGroupDtoList = (groups) => {
     if (!Array.isArray(groups)) return [];
     return groups.map(toPublicGroupDto);
 };
+
+/**
+ * Convertir modelo DashboardTemplate a DTO público
+ * El snapshot de páginas solo se incluye en el detalle (includePages)
+ */
+export const toPublicTemplateDto = (template, { includePages = false } = {}) => {
+    if (!template) return null;
+
+    const dto = {
+        id: template.publicCode,
+        name: template.name,
+        description: template.description,
+        icon: template.icon,
+        isGlobal: template.organizationId === null,
+        size: template.size,
+        positioning: template.positioning,
+        customWidth: template.customWidth,
+        customHeight: template.customHeight,
+        settings: template.settings || {},
+        placeholders: template.placeholders || [],
+        pageCount: template.pageCount,
+        widgetCount: template.widgetCount,
+        sourceDashboardId: template.sourceDashboardCode,
+        createdAt: template.createdAt,
+        updatedAt: template.updatedAt
+    };
+
+    if (includePages) {
+        dto.pages = template.pages || [];
+    }
+
+    if (template.creator) {
+        dto.creator = {
+            id: template.creator.publicCode,
+            email: template.creator.email,
+            firstName: template.creator.firstName,
+            lastName: template.creator.lastName
+        };
+    }
+
+    if (template.organization) {
+        dto.organization = {
+            id: template.organization.publicCode,
+            slug: template.organization.slug,
+            name: template.organization.name
+        };
+    }
+
+    return dto;
+};
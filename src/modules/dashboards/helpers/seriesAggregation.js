@@ -0,0 +1,124 @@
+// modules/dashboards/helpers/seriesAggregation.js
+// Combinación de series de telemetría de varios canales en una sola serie agregada
+
+/**
+ * Agregación usada cuando la variable no define aggregationType (o es 'none').
+ * Sumar entre canales solo tiene sentido para magnitudes acumulativas; para el resto
+ * (frecuencia, THD, factor de potencia...) el promedio es el único resultado con la misma unidad.
+ * Para sumar una variable sin tipo se usa seriesConfig.aggregation = 'sum'.
+ */
+export const DEFAULT_AGGREGATION = 'avg';
+
+/**
+ * Reductores por tipo de agregación. Reciben los valores no nulos en orden de canal.
+ */
+const reducers = {
+    sum: (values) => values.reduce((acc, v) => acc + v, 0),
+    avg: (values) => values.reduce((acc, v) => acc + v, 0) / values.length,
+    min: (values) => Math.min(...values),
+    max: (values) => Math.max(...values),
+    first: (values) => values[0],
+    last: (values) => values[values.length - 1]
+};
+
+/**
+ * Reductor entre canales de cada tipo. Cada canal ya trae su valor agregado por bucket:
+ * un `count` por canal es un total de eventos, así que entre canales se suma.
+ */
+const channelReducerByType = {
+    sum: 'sum',
+    avg: 'avg',
+    min: 'min',
+    max: 'max',
+    count: 'sum',
+    first: 'first',
+    last: 'last'
+};
+
+/**
+ * Reductor con el que se combinan entre canales los valores de un tipo de agregación
+ * @param {string} aggregationType - Resultado de resolveAggregationType
+ * @returns {string} Clave de reductor (sum, avg, min, max, first, last)
+ */
+export const resolveChannelReducer = (aggregationType) =>
+    channelReducerByType[aggregationType] ?? channelReducerByType[DEFAULT_AGGREGATION];
+
+/**
+ * Resolver el tipo de agregación efectivo de una variable
+ * @param {Object} varInfo - Info de la variable (del mapa `variables` de telemetryService.search)
+ * @param {string} [override] - Agregación forzada desde seriesConfig.aggregation
+ * @returns {string} Tipo de agregación soportado (sum, avg, min, max, count, first, last)
+ */
+export const resolveAggregationType = (varInfo, override) => {
+    if (override && channelReducerByType[override]) {
+        return override;
+    }
+    const type = varInfo?.aggregationType;
+    return type && channelReducerByType[type] ? type : DEFAULT_AGGREGATION;
+};
+
+/**
+ * Combinar resultados de telemetryService.search() de varios canales
+ * Alinea filas por timestamp y combina los valores de todos los canales con el reductor
+ * de la agregación de cada variable (ver resolveChannelReducer).
+ *
+ * @param {Array<Object>} results - Resultados exitosos de search() ({ variables, data })
+ * @param {Object} [options]
+ * @param {string} [options.aggregation] - Override de agregación para todas las variables
+ * @returns {{ variables: Object, data: Array<{ts: string, values: Object}> }}
+ */
+export const combineChannelSeries = (results, options = {}) => {
+    const { aggregation } = options;
+
+    // Unión de variables: el mismo variableId es la misma variable global en todos los canales
+    const variables = {};
+    for (const result of results) {
+        for (const [varId, varInfo] of Object.entries(result.variables || {})) {
+            if (!variables[varId]) {
+                variables[varId] = {
+                    ...varInfo,
+                    aggregationType: resolveAggregationType(varInfo, aggregation)
+                };
+            }
+        }
+    }
+
+    // Agrupar valores por timestamp normalizado (ISO UTC) y variable
+    const buckets = new Map();
+    for (const result of results) {
+        for (const row of result.data || []) {
+            const ts = new Date(row.ts).toISOString();
+            if (!buckets.has(ts)) {
+                buckets.set(ts, {});
+            }
+            const bucket = buckets.get(ts);
+
+            for (const [varId, value] of Object.entries(row.values || {})) {
+                if (value === null || value === undefined || Number.isNaN(value)) {
+                    continue;
+                }
+                if (!bucket[varId]) {
+                    bucket[varId] = [];
+                }
+                bucket[varId].push(value);
+            }
+        }
+    }
+
+    const data = [...buckets.keys()].sort().map(ts => {
+        const bucket = buckets.get(ts);
+        const values = {};
+
+        for (const varId of Object.keys(variables)) {
+            const collected = bucket[varId];
+            values[varId] = collected && collected.length > 0
+                ? reducers[resolveChannelReducer(variables[varId].aggregationType)](collected)
+                : null;
+        }
+
+        return { ts, values };
+    });
+
+    return { variables, data };
+};
+
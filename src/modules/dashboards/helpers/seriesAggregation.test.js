@@ -0,0 +1,97 @@
+// modules/dashboards/helpers/seriesAggregation.test.js
+// Tests de la combinación de series entre canales (modules/dashboards/helpers/seriesAggregation.js)
+
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_AGGREGATION,
+    resolveAggregationType,
+    resolveChannelReducer,
+    combineChannelSeries
+} from './seriesAggregation.js';
+
+const TS = '2026-10-19T10:00:00.000Z';
+
+// Un resultado de search() por canal con una sola fila
+const channel = (variables, values) => ({ variables, data: [{ ts: TS, values }] });
+
+describe('resolveAggregationType', () => {
+    it('usa el aggregationType de la variable', () => {
+        expect(resolveAggregationType({ aggregationType: 'max' })).toBe('max');
+        expect(resolveAggregationType({ aggregationType: 'count' })).toBe('count');
+    });
+
+    it('promedia las variables sin tipo o con none', () => {
+        expect(DEFAULT_AGGREGATION).toBe('avg');
+        expect(resolveAggregationType({ aggregationType: null })).toBe('avg');
+        expect(resolveAggregationType({ aggregationType: 'none' })).toBe('avg');
+        expect(resolveAggregationType(undefined)).toBe('avg');
+    });
+
+    it('respeta el override válido e ignora uno desconocido', () => {
+        expect(resolveAggregationType({ aggregationType: 'avg' }, 'sum')).toBe('sum');
+        expect(resolveAggregationType({ aggregationType: 'max' }, 'median')).toBe('max');
+    });
+});
+
+describe('resolveChannelReducer', () => {
+    it('suma los conteos entre canales', () => {
+        expect(resolveChannelReducer('count')).toBe('sum');
+    });
+
+    it('mantiene el resto de tipos y cae al default con uno desconocido', () => {
+        for (const type of ['sum', 'avg', 'min', 'max', 'first', 'last']) {
+            expect(resolveChannelReducer(type)).toBe(type);
+        }
+        expect(resolveChannelReducer('none')).toBe('avg');
+    });
+});
+
+describe('combineChannelSeries', () => {
+    it('suma una variable count (total, no cantidad de canales)', () => {
+        const vars = { 30: { name: 'Contador', aggregationType: 'count' } };
+        const result = combineChannelSeries([
+            channel(vars, { 30: 12 }),
+            channel(vars, { 30: 5 }),
+            channel(vars, { 30: 3 })
+        ]);
+
+        expect(result.data).toEqual([{ ts: TS, values: { 30: 20 } }]);
+        expect(result.variables[30].aggregationType).toBe('count');
+    });
+
+    it('promedia una variable sin tipo (frecuencia, THD)', () => {
+        const vars = { 13: { name: 'Frecuencia', aggregationType: null } };
+        const result = combineChannelSeries([
+            channel(vars, { 13: 50 }),
+            channel(vars, { 13: 50.2 })
+        ]);
+
+        expect(result.data[0].values[13]).toBeCloseTo(50.1);
+    });
+
+    it('aplica el override a todas las variables e ignora valores nulos', () => {
+        const vars = {
+            1: { name: 'Energía', aggregationType: null },
+            2: { name: 'Potencia', aggregationType: 'avg' }
+        };
+        const result = combineChannelSeries([
+            channel(vars, { 1: 10, 2: 4 }),
+            channel(vars, { 1: 15, 2: null })
+        ], { aggregation: 'sum' });
+
+        expect(result.data[0].values).toEqual({ 1: 25, 2: 4 });
+    });
+
+    it('alinea por timestamp y deja null donde ningún canal informó', () => {
+        const vars = { 2: { name: 'Potencia', aggregationType: 'max' }, 3: { name: 'Tensión', aggregationType: 'min' } };
+        const result = combineChannelSeries([
+            { variables: vars, data: [{ ts: '2026-10-19T11:00:00Z', values: { 2: 7 } }, { ts: TS, values: { 2: 3 } }] },
+            { variables: vars, data: [{ ts: '2026-10-19T11:00:00.000Z', values: { 2: 9 } }] }
+        ]);
+
+        expect(result.data).toEqual([
+            { ts: TS, values: { 2: 3, 3: null } },
+            { ts: '2026-10-19T11:00:00.000Z', values: { 2: 9, 3: null } }
+        ]);
+    });
+});
@@ -0,0 +1,118 @@
+// modules/dashboards/helpers/templates.js
+// Conversión dashboard ↔ template: placeholders en lugar de recursos concretos
+
+const byOrderIndex = (a, b) => (a.orderIndex ?? 0) - (b.orderIndex ?? 0);
+
+/**
+ * Genera el snapshot de un dashboard para guardarlo como template.
+ * Cada recurso distinto (entityType + entityId) de los data sources se convierte en un placeholder.
+ *
+ * @param {Object} dashboard - Dashboard con pages → widgets → dataSources incluidos
+ * @param {Array<{entityType: string, entityId: string, key: string, label?: string}>} [overrides]
+ *   Keys/labels elegidos por el usuario para recursos concretos (ej: "main_meter")
+ * @returns {{ placeholders: Object[], pages: Object[], pageCount: number, widgetCount: number }}
+ */
+export const buildTemplateSnapshot = (dashboard, overrides = []) => {
+    const overridesByEntity = new Map(overrides.map(o => [`${o.entityType}:${o.entityId}`, o]));
+    const placeholdersByEntity = new Map();
+    const typeCounters = {};
+    const usedKeys = new Set(overrides.map(o => o.key));
+
+    const resolvePlaceholder = (dataSource) => {
+        const entityKey = `${dataSource.entityType}:${dataSource.entityId}`;
+        if (placeholdersByEntity.has(entityKey)) {
+            return placeholdersByEntity.get(entityKey).key;
+        }
+
+        const override = overridesByEntity.get(entityKey);
+        let key = override?.key;
+        if (!key) {
+            do {
+                typeCounters[dataSource.entityType] = (typeCounters[dataSource.entityType] ?? 0) + 1;
+                key = `${dataSource.entityType}_${typeCounters[dataSource.entityType]}`;
+            } while (usedKeys.has(key));
+            usedKeys.add(key);
+        }
+
+        placeholdersByEntity.set(entityKey, {
+            key,
+            label: override?.label ?? dataSource.label ?? key,
+            entityType: dataSource.entityType
+        });
+        return key;
+    };
+
+    let widgetCount = 0;
+
+    const pages = [...(dashboard.pages ?? [])].sort(byOrderIndex).map(page => ({
+        name: page.name,
+        orderIndex: page.orderIndex,
+        widgets: [...(page.widgets ?? [])].sort(byOrderIndex).map(widget => {
+            widgetCount++;
+            return {
+                type: widget.type,
+                title: widget.title,
+                layout: widget.layout,
+                styleConfig: widget.styleConfig,
+                dataConfig: widget.dataConfig,
+                orderIndex: widget.orderIndex,
+                dataSources: [...(widget.dataSources ?? [])].sort(byOrderIndex).map(ds => ({
+                    placeholder: resolvePlaceholder(ds),
+                    label: ds.label,
+                    seriesConfig: ds.seriesConfig
+                }))
+            };
+        })
+    }));
+
+    return {
+        placeholders: [...placeholdersByEntity.values()],
+        pages,
+        pageCount: pages.length,
+        widgetCount
+    };
+};
+
+/**
+ * Placeholders del template sin vincular o vinculados a keys inexistentes
+ * @param {Object[]} placeholders - [{ key }]
+ * @param {Object<string, string>} bindings - key → public code
+ * @returns {{ missing: string[], unknown: string[] }}
+ */
+export const checkTemplateBindings = (placeholders, bindings = {}) => {
+    const keys = new Set(placeholders.map(p => p.key));
+    return {
+        missing: placeholders.filter(p => !bindings[p.key]).map(p => p.key),
+        unknown: Object.keys(bindings).filter(key => !keys.has(key))
+    };
+};
+
+/**
+ * Reemplaza los placeholders del snapshot por los recursos vinculados
+ * @param {Object[]} templatePages - Snapshot del template
+ * @param {Object[]} placeholders - [{ key, entityType }]
+ * @param {Object<string, string>} bindings - key → public code
+ * @returns {Object[]} Páginas con widgets y dataSources listos para crear
+ */
+export const instantiateTemplatePages = (templatePages, placeholders, bindings) => {
+    const entityTypes = new Map(placeholders.map(p => [p.key, p.entityType]));
+
+    return templatePages.map((page, pageIndex) => ({
+        name: page.name,
+        orderIndex: page.orderIndex ?? pageIndex,
+        widgets: page.widgets.map((widget, widgetIndex) => ({
+            type: widget.type,
+            title: widget.title,
+            layout: widget.layout,
+            styleConfig: widget.styleConfig ?? {},
+            dataConfig: widget.dataConfig ?? {},
+            orderIndex: widget.orderIndex ?? widgetIndex,
+            dataSources: widget.dataSources.map(ds => ({
+                entityType: entityTypes.get(ds.placeholder),
+                entityId: bindings[ds.placeholder],
+                label: ds.label ?? null,
+                seriesConfig: ds.seriesConfig ?? {}
+            }))
+        }))
+    }));
+};
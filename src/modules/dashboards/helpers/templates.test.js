@@ -0,0 +1,93 @@
+// modules/dashboards/helpers/templates.test.js
+// Tests de la conversión dashboard ↔ template (modules/dashboards/helpers/templates.js)
+
+import { describe, it, expect } from 'vitest';
+import { buildTemplateSnapshot, checkTemplateBindings, instantiateTemplatePages } from './templates.js';
+
+const dashboard = {
+    pages: [
+        {
+            name: 'Detalle',
+            orderIndex: 1,
+            widgets: [
+                {
+                    type: 'line',
+                    title: 'Potencia',
+                    layout: { x: 0, y: 0, w: 6, h: 4 },
+                    orderIndex: 0,
+                    dataSources: [{ entityType: 'channel', entityId: 'CHN-B', orderIndex: 0, seriesConfig: { color: 'red' } }]
+                }
+            ]
+        },
+        {
+            name: 'Resumen',
+            orderIndex: 0,
+            widgets: [
+                {
+                    type: 'kpi',
+                    title: 'Consumo',
+                    layout: { x: 0, y: 0, w: 3, h: 2 },
+                    orderIndex: 0,
+                    dataSources: [
+                        { entityType: 'channel', entityId: 'CHN-A', orderIndex: 1, label: 'Medidor' },
+                        { entityType: 'channel', entityId: 'CHN-B', orderIndex: 0 }
+                    ]
+                }
+            ]
+        }
+    ]
+};
+
+describe('buildTemplateSnapshot', () => {
+    it('crea un placeholder por recurso distinto y respeta el orden', () => {
+        const snapshot = buildTemplateSnapshot(dashboard);
+
+        expect(snapshot.pageCount).toBe(2);
+        expect(snapshot.widgetCount).toBe(2);
+        expect(snapshot.pages.map(p => p.name)).toEqual(['Resumen', 'Detalle']);
+        expect(snapshot.placeholders).toEqual([
+            { key: 'channel_1', label: 'channel_1', entityType: 'channel' },
+            { key: 'channel_2', label: 'Medidor', entityType: 'channel' }
+        ]);
+        expect(snapshot.pages[1].widgets[0].dataSources[0].placeholder).toBe('channel_1');
+    });
+
+    it('usa las keys elegidas y no repite una key ya tomada', () => {
+        const snapshot = buildTemplateSnapshot(dashboard, [
+            { entityType: 'channel', entityId: 'CHN-A', key: 'channel_1', label: 'Principal' }
+        ]);
+
+        expect(snapshot.placeholders).toEqual([
+            { key: 'channel_2', label: 'channel_2', entityType: 'channel' },
+            { key: 'channel_1', label: 'Principal', entityType: 'channel' }
+        ]);
+    });
+
+    it('no incluye los public codes de los recursos en el snapshot', () => {
+        expect(JSON.stringify(buildTemplateSnapshot(dashboard).pages)).not.toMatch(/CHN-/);
+    });
+});
+
+describe('checkTemplateBindings', () => {
+    it('reporta placeholders sin vincular y keys desconocidas', () => {
+        const placeholders = [{ key: 'meter' }, { key: 'site' }];
+        expect(checkTemplateBindings(placeholders, { meter: 'CHN-1', extra: 'CHN-2' }))
+            .toEqual({ missing: ['site'], unknown: ['extra'] });
+    });
+});
+
+describe('instantiateTemplatePages', () => {
+    it('reemplaza cada placeholder por el recurso vinculado', () => {
+        const snapshot = buildTemplateSnapshot(dashboard);
+        const pages = instantiateTemplatePages(snapshot.pages, snapshot.placeholders, {
+            channel_1: 'CHN-X',
+            channel_2: 'CHN-Y'
+        });
+
+        expect(pages[0].widgets[0].dataSources).toEqual([
+            { entityType: 'channel', entityId: 'CHN-X', label: null, seriesConfig: {} },
+            { entityType: 'channel', entityId: 'CHN-Y', label: 'Medidor', seriesConfig: {} }
+        ]);
+        expect(pages[1].widgets[0].dataSources[0].seriesConfig).toEqual({ color: 'red' });
+    });
+});
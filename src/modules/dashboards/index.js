@@ -1,7 +1,7 @@
 // modules/dashboards/index.js
 // Router principal del módulo Dashboards
 
-import { dashboardRouter, groupRouter } from './routes.js';
+import { dashboardRouter, groupRouter, templateRouter } from './routes.js';
 
-export { dashboardRouter, groupRouter };
+export { dashboardRouter, groupRouter, templateRouter };
 export default dashboardRouter;
@@ -111,7 +111,13 @@ const Dashboard = sequelize.define('Dashboard', {
     templateId: {
         type: DataTypes.UUID,
         allowNull: true,
-        comment: 'Referencia a template usado para crear el dashboard (sin FK por ahora)'
+        references: {
+            model: 'dashboard_templates',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'FK a dashboard_templates - template usado para crear el dashboard'
     }
 }, {
     tableName: 'dashboards',
@@ -0,0 +1,120 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+const DashboardTemplate = sequelize.define('DashboardTemplate', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        comment: 'UUID v7 - clave primaria time-ordered'
+    },
+    publicCode: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true,
+        comment: 'ID público opaco (ej: DTP-7K9D2-X) - previene enumeración'
+    },
+    organizationId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'organizations',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a organizations - organización dueña (null = template global, solo system-admin)'
+    },
+    createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'FK a users - usuario que guardó el template'
+    },
+    name: {
+        type: DataTypes.STRING(200),
+        allowNull: false,
+        comment: 'Nombre del template'
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Descripción del template'
+    },
+    icon: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Icono heredado por los dashboards creados'
+    },
+    size: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'FREE',
+        comment: 'Resolución del canvas: FREE, HD, VERTICAL, CUSTOM'
+    },
+    positioning: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'AUTO',
+        comment: 'Modo de posicionamiento de widgets: AUTO, FLOAT'
+    },
+    customWidth: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Ancho personalizado en px (solo size=CUSTOM)'
+    },
+    customHeight: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Alto personalizado en px (solo size=CUSTOM)'
+    },
+    settings: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Settings del dashboard de origen (forceK, backgroundImage, etc.)'
+    },
+    placeholders: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Placeholders a vincular al crear un dashboard: [{ key, label, entityType }]'
+    },
+    pages: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Snapshot de páginas → widgets → dataSources, con { placeholder } en lugar de entityId'
+    },
+    pageCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Cantidad de páginas del snapshot'
+    },
+    widgetCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Cantidad de widgets del snapshot'
+    },
+    sourceDashboardCode: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Public code del dashboard desde el que se guardó (referencia informativa)'
+    }
+}, {
+    tableName: 'dashboard_templates',
+    timestamps: true,
+    paranoid: true,
+    underscored: true,
+    indexes: [
+        { fields: ['organization_id'], name: 'dashboard_templates_organization_id_idx' }
+    ]
+});
+
+export default DashboardTemplate;
@@ -9,9 +9,10 @@ import DashboardGroup from './models/DashboardGroup.js';
 import DashboardGroupItem from './models/DashboardGroupItem.js';
 import DashboardCollaborator from './models/DashboardCollaborator.js';
 import DashboardGroupCollaborator from './models/DashboardGroupCollaborator.js';
+import DashboardTemplate from './models/DashboardTemplate.js';
 import Organization from '../organizations/models/Organization.js';
 import User from '../auth/models/User.js';
-import { Op } from 'sequelize';
+import { Op, QueryTypes } from 'sequelize';
 import sequelize from '../../db/sql/sequelize.js';
 
 // --- Includes comunes ---
@@ -75,6 +76,15 @@ const dashboardFullIncludes = [
 
 const groupListIncludes = [organizationInclude, ownerInclude];
 
+const templateIncludes = [
+    organizationInclude,
+    {
+        model: User,
+        as: 'creator',
+        attributes: ['id', 'publicCode', 'email', 'firstName', 'lastName']
+    }
+];
+
 const groupFullIncludes = [
     organizationInclude,
     ownerInclude,
@@ -551,6 +561,139 @@ export const deleteDataSource = async (dataSourceId) => {
     return true;
 };
 
+// =============================================
+// Templates
+// =============================================
+
+/**
+ * Listar templates visibles: los de la organización y los globales (organizationId null)
+ * @param {Object} filters - { organizationId, search, limit, offset }; organizationId null = todos
+ */
+export const findAllTemplates = async ({
+    organizationId,
+    search,
+    limit = 20,
+    offset = 0
+}) => {
+    const where = {};
+
+    if (organizationId) {
+        where.organizationId = { [Op.or]: [organizationId, null] };
+    }
+
+    if (search) {
+        where[Op.or] = [
+            { name: { [Op.iLike]: `%${search}%` } },
+            { description: { [Op.iLike]: `%${search}%` } }
+        ];
+    }
+
+    const { count, rows } = await DashboardTemplate.findAndCountAll({
+        where,
+        attributes: { exclude: ['pages'] },
+        include: templateIncludes,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['createdAt', 'DESC'], ['id', 'ASC']],
+        distinct: true
+    });
+
+    return {
+        items: rows,
+        total: count
+    };
+};
+
+export const findTemplateByPublicCode = async (publicCode) => {
+    return await DashboardTemplate.findOne({
+        where: { publicCode },
+        include: templateIncludes
+    });
+};
+
+export const createTemplate = async (data) => {
+    const template = await DashboardTemplate.create(data);
+    await template.reload({ include: templateIncludes });
+    return template;
+};
+
+export const updateTemplate = async (id, data) => {
+    const template = await DashboardTemplate.findByPk(id);
+
+    if (!template) {
+        return null;
+    }
+
+    await template.update(data);
+    await template.reload({ include: templateIncludes });
+    return template;
+};
+
+export const deleteTemplate = async (id) => {
+    const template = await DashboardTemplate.findByPk(id);
+
+    if (!template) {
+        return false;
+    }
+
+    await template.destroy();
+    return true;
+};
+
+/**
+ * Crear un dashboard completo (páginas, widgets y data sources) en una transacción
+ * @param {Object} dashboardData - Campos del dashboard (incluye id y publicCode)
+ * @param {Object[]} pages - [{ name, orderIndex, widgets: [{ ..., dataSources: [...] }] }]
+ * @param {Function} generateId - Generador de UUIDs para las entidades hijas
+ */
+export const createDashboardWithContent = async (dashboardData, pages, generateId) => {
+    return await sequelize.transaction(async (t) => {
+        const widgetCount = pages.reduce((sum, page) => sum + page.widgets.length, 0);
+
+        const dashboard = await Dashboard.create({
+            ...dashboardData,
+            pageCount: pages.length,
+            widgetCount
+        }, { transaction: t });
+
+        for (const [pageIndex, page] of pages.entries()) {
+            const dashboardPage = await DashboardPage.create({
+                id: generateId(),
+                dashboardId: dashboard.id,
+                name: page.name,
+                orderIndex: page.orderIndex,
+                orderNumber: pageIndex + 1
+            }, { transaction: t });
+
+            for (const [widgetIndex, widget] of page.widgets.entries()) {
+                const { dataSources, ...widgetFields } = widget;
+                const created = await Widget.create({
+                    ...widgetFields,
+                    id: generateId(),
+                    dashboardPageId: dashboardPage.id,
+                    orderNumber: widgetIndex + 1
+                }, { transaction: t });
+
+                if (dataSources.length > 0) {
+                    await WidgetDataSource.bulkCreate(dataSources.map((ds, index) => ({
+                        id: generateId(),
+                        widgetId: created.id,
+                        entityType: ds.entityType,
+                        entityId: ds.entityId,
+                        label: ds.label,
+                        seriesConfig: ds.seriesConfig,
+                        orderIndex: index,
+                        orderNumber: index + 1
+                    })), { transaction: t });
+                }
+            }
+        }
+
+        await dashboard.reload({ include: dashboardFullIncludes, transaction: t });
+        return dashboard;
+    });
+};
+
 // =============================================
 // Group CRUD
 // =============================================
@@ -811,3 +954,137 @@ export const countWidgetTypeUsage = async (organizationId) => {
         count: parseInt(row.count, 10)
     }));
 };
+
+// =============================================
+// Resolución de data sources agregados (device/site/resource_hierarchy → channels)
+// =============================================
+
+/**
+ * Obtener los canales activos de un dispositivo dentro de una organización
+ * @param {string} devicePublicCode - Public code del dispositivo (DEV-XXX-XXX)
+ * @param {string} organizationId - UUID de la organización del dashboard
+ * @returns {Promise<Array<{publicCode: string, name: string}>|null>} - null si el dispositivo no existe en la org
+ */
+export const findChannelsByDevicePublicCode = async (devicePublicCode, organizationId) => {
+    const devices = await sequelize.query(
+        'SELECT id FROM devices WHERE public_code = $1 AND organization_id = $2 AND deleted_at IS NULL',
+        { bind: [devicePublicCode, organizationId], type: QueryTypes.SELECT }
+    );
+
+    if (devices.length === 0) {
+        return null;
+    }
+
+    const rows = await sequelize.query(`
+        SELECT c.public_code, c.name
+        FROM channels c
+        WHERE c.device_id = $1
+          AND c.deleted_at IS NULL
+          AND c.is_active = true
+        ORDER BY c.ch ASC NULLS LAST, c.name ASC
+    `, { bind: [devices[0].id], type: QueryTypes.SELECT });
+
+    return rows.map(row => ({ publicCode: row.public_code, name: row.name }));
+};
+
+/**
+ * Obtener todos los canales activos de los dispositivos de un site
+ * @param {string} sitePublicCode - Public code del site (SIT-XXX-XXX)
+ * @param {string} organizationId - UUID de la organización del dashboard
+ * @returns {Promise<Array<{publicCode: string, name: string}>|null>} - null si el site no existe en la org
+ */
+export const findChannelsBySitePublicCode = async (sitePublicCode, organizationId) => {
+    const sites = await sequelize.query(
+        'SELECT id FROM sites WHERE public_code = $1 AND organization_id = $2 AND deleted_at IS NULL',
+        { bind: [sitePublicCode, organizationId], type: QueryTypes.SELECT }
+    );
+
+    if (sites.length === 0) {
+        return null;
+    }
+
+    const rows = await sequelize.query(`
+        SELECT c.public_code, c.name
+        FROM channels c
+        INNER JOIN devices d ON c.device_id = d.id
+        WHERE d.site_id = $1
+          AND d.deleted_at IS NULL
+          AND c.deleted_at IS NULL
+          AND c.is_active = true
+        ORDER BY d.name ASC, c.ch ASC NULLS LAST
+    `, { bind: [sites[0].id], type: QueryTypes.SELECT });
+
+    return rows.map(row => ({ publicCode: row.public_code, name: row.name }));
+};
+
+/**
+ * Obtener los canales referenciados por los descendientes tipo `channel` de un nodo de jerarquía
+ * Usa el operador ltree <@ sobre el path del nodo (incluye el propio nodo si es de tipo channel)
+ * @param {string} nodePublicCode - Public code del nodo (RES-XXX-XXX)
+ * @param {string} organizationId - UUID de la organización del dashboard
+ * @returns {Promise<Array<{publicCode: string, name: string}>|null>} - null si el nodo no existe en la org
+ */
+export const findChannelsByHierarchyNodePublicCode = async (nodePublicCode, organizationId) => {
+    const nodes = await sequelize.query(`
+        SELECT path
+        FROM resource_hierarchy
+        WHERE public_code = $1
+          AND organization_id = $2
+          AND deleted_at IS NULL
+    `, { bind: [nodePublicCode, organizationId], type: QueryTypes.SELECT });
+
+    if (nodes.length === 0) {
+        return null;
+    }
+
+    const rows = await sequelize.query(`
+        SELECT DISTINCT ON (c.public_code) c.public_code, c.name, rh.path
+        FROM resource_hierarchy rh
+        INNER JOIN channels c
+            ON c.public_code = rh.reference_id
+            AND c.organization_id = rh.organization_id
+            AND c.deleted_at IS NULL
+            AND c.is_active = true
+        WHERE rh.path::ltree <@ $1::ltree
+          AND rh.organization_id = $2
+          AND rh.node_type = 'channel'
+          AND rh.deleted_at IS NULL
+          AND rh.is_active = true
+        ORDER BY c.public_code, rh.path
+    `, { bind: [nodes[0].path, organizationId], type: QueryTypes.SELECT });
+
+    return rows.map(row => ({ publicCode: row.public_code, name: row.name }));
+};
+
+// Tablas de los recursos referenciables por data sources (entityType → tabla)
+const dataSourceEntityTables = {
+    channel: 'channels',
+    device: 'devices',
+    site: 'sites',
+    resource_hierarchy: 'resource_hierarchy'
+};
+
+/**
+ * Buscar en lote recursos de un tipo por public code dentro de una organización
+ * Usado por export (nombres de referencias) e import (validación de referencias) de dashboards
+ * @param {string} entityType - channel | device | site | resource_hierarchy
+ * @param {string[]} publicCodes - Public codes a buscar
+ * @param {string} organizationId - UUID de la organización
+ * @returns {Promise<Array<{publicCode: string, name: string}>>} - Solo los existentes
+ */
+export const findEntitiesByPublicCodes = async (entityType, publicCodes, organizationId) => {
+    const table = dataSourceEntityTables[entityType];
+    if (!table || publicCodes.length === 0) {
+        return [];
+    }
+
+    const rows = await sequelize.query(`
+        SELECT public_code, name
+        FROM ${table}
+        WHERE public_code = ANY($1)
+          AND organization_id = $2
+          AND deleted_at IS NULL
+    `, { bind: [publicCodes, organizationId], type: QueryTypes.SELECT });
+
+    return rows.map(row => ({ publicCode: row.public_code, name: row.name }));
+};
@@ -1,10 +1,11 @@
 // modules/dashboards/routes.js
-// Rutas REST para el módulo de Dashboards, Pages, Widgets, DataSources, Groups y Collaborators
+// Rutas REST para el módulo de Dashboards, Pages, Widgets, DataSources, Groups, Collaborators y Templates
 
 import express from 'express';
-import { authenticate, requireRole } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import { validate } from '../../middleware/validate.js';
 import { enforceActiveOrganization } from '../../middleware/enforceActiveOrganization.js';
+import { attachResourceAccess } from '../../middleware/resourceAccess.js';
 import * as dashboardServices from './services.js';
 import { successResponse, errorResponse } from '../../utils/response.js';
 import {
@@ -16,22 +17,27 @@ import {
     toPublicGroupDto,
     toPublicGroupDtoList,
     toPublicCollaboratorDto,
-    toPublicGroupCollaboratorDto
+    toPublicGroupCollaboratorDto,
+    toPublicTemplateDto
 } from './helpers/serializers.js';
 import logger from '../../utils/logger.js';
 import {
     createDashboardSchema, updateDashboardSchema, getDashboardsSchema, getDashboardByIdSchema, deleteDashboardSchema,
+    exportDashboardSchema, importDashboardSchema,
     createPageSchema, updatePageSchema, deletePageSchema,
     createWidgetSchema, updateWidgetSchema, deleteWidgetSchema, updateLayoutsBatchSchema,
     createDataSourceSchema, updateDataSourceSchema, deleteDataSourceSchema,
     createGroupSchema, updateGroupSchema, getGroupsSchema, getGroupByIdSchema, deleteGroupSchema,
     addGroupItemSchema, removeGroupItemSchema,
     addCollaboratorSchema, updateCollaboratorSchema, removeCollaboratorSchema,
-    getWidgetDataSchema
+    getWidgetDataSchema,
+    createTemplateSchema, updateTemplateSchema, getTemplatesSchema, getTemplateByIdSchema, deleteTemplateSchema,
+    createDashboardsFromTemplateSchema
 } from './dtos/index.js';
 
 const router = express.Router();
 const groupRouter = express.Router();
+const templateRouter = express.Router();
 const dashboardLogger = logger.child({ component: 'dashboards' });
 
 // =============================================
@@ -102,15 +108,71 @@ router.get('/:id', authenticate, enforceActiveOrganization, validate(getDashboar
 });
 
 
+// Exportar un dashboard como bundle JSON versionado (data = bundle, se reimporta con POST /import)
+// 📄 Swagger: src/docs/swagger/dashboards.yaml -> GET /:id/export
+router.get('/:id/export', authenticate, enforceActiveOrganization, validate(exportDashboardSchema), async (req, res, next) => {
+    try {
+        const bundle = await dashboardServices.exportDashboard(
+            req.params.id,
+            req.user.userId,
+            req.ip,
+            req.headers['user-agent']
+        );
+
+        return successResponse(res, bundle);
+    } catch (error) {
+        if (error.status) {
+            return errorResponse(res, {
+                message: error.message,
+                status: error.status,
+                code: error.code
+            });
+        }
+        next(error);
+    }
+});
+
+
+// Importar un bundle como dashboard nuevo en la organización activa (dryRun solo reporta referencias)
+// 📄 Swagger: src/docs/swagger/dashboards.yaml -> POST /import
+router.post('/import', authenticate, enforceActiveOrganization, requirePermission('dashboards.import'), validate(importDashboardSchema), async (req, res, next) => {
+    try {
+        const { dashboard, report } = await dashboardServices.importDashboard(
+            req.body,
+            req.user.userId,
+            req.organizationContext.id,
+            req.ip,
+            req.headers['user-agent']
+        );
+
+        if (!dashboard) {
+            return successResponse(res, report);
+        }
+
+        return successResponse(res, toPublicDashboardDto(dashboard), 201, { import: report });
+    } catch (error) {
+        if (error.status) {
+            return errorResponse(res, {
+                message: error.message,
+                status: error.status,
+                code: error.code,
+                details: error.details
+            });
+        }
+        next(error);
+    }
+});
+
 // 📄 Swagger: src/docs/swagger/dashboards.yaml -> POST /
-router.post('/', authenticate, enforceActiveOrganization, requireRole(['system-admin', 'org-admin']), validate(createDashboardSchema), async (req, res, next) => {
+router.post('/', authenticate, enforceActiveOrganization, requirePermission('dashboards.create'), validate(createDashboardSchema), async (req, res, next) => {
     try {
         const result = await dashboardServices.createDashboard(
             req.body,
             req.user.userId,
             req.organizationContext.id,
             req.ip,
-            req.headers['user-agent']
+            req.headers['user-agent'],
+            req.user.role
         );
 
         return successResponse(res, toPublicDashboardDto(result), 201);
@@ -119,7 +181,8 @@ router.post('/', authenticate, enforceActiveOrganization, requireRole(['system-a
             return errorResponse(res, {
                 message: error.message,
                 status: error.status,
-                code: error.code
+                code: error.code,
+                details: error.details
             });
         }
         next(error);
@@ -177,7 +240,7 @@ router.put('/:id/home', authenticate, enforceActiveOrganization, async (req, res
 
 
 // 📄 Swagger: src/docs/swagger/dashboards.yaml -> DELETE /:id
-router.delete('/:id', authenticate, enforceActiveOrganization, requireRole(['system-admin', 'org-admin']), validate(deleteDashboardSchema), async (req, res, next) => {
+router.delete('/:id', authenticate, enforceActiveOrganization, requirePermission('dashboards.delete'), validate(deleteDashboardSchema), async (req, res, next) => {
     try {
         await dashboardServices.deleteDashboard(
             req.params.id,
@@ -409,14 +472,15 @@ router.delete('/:dashboardId/pages/:pageId/widgets/:widgetId', authenticate, enf
 
 // Obtener datos de telemetría de un widget
 // 📄 Swagger: src/docs/swagger/dashboards.yaml -> POST /:dashboardId/pages/:pageId/widgets/:widgetId/data
-router.post('/:dashboardId/pages/:pageId/widgets/:widgetId/data', authenticate, enforceActiveOrganization, validate(getWidgetDataSchema), async (req, res, next) => {
+router.post('/:dashboardId/pages/:pageId/widgets/:widgetId/data', authenticate, enforceActiveOrganization, attachResourceAccess, validate(getWidgetDataSchema), async (req, res, next) => {
     try {
         const result = await dashboardServices.getWidgetData(
             req.params.dashboardId,
             req.params.pageId,
             req.params.widgetId,
             req.body,
-            req.user.userId
+            req.user.userId,
+            req.resourceAccess
         );
 
         return successResponse(res, result);
@@ -660,7 +724,7 @@ groupRouter.get('/:id', authenticate, enforceActiveOrganization, validate(getGro
 });
 
 
-groupRouter.post('/', authenticate, enforceActiveOrganization, requireRole(['system-admin', 'org-admin']), validate(createGroupSchema), async (req, res, next) => {
+groupRouter.post('/', authenticate, enforceActiveOrganization, requirePermission('dashboard_groups.manage'), validate(createGroupSchema), async (req, res, next) => {
     try {
         const result = await dashboardServices.createGroup(
             req.body,
@@ -708,7 +772,7 @@ groupRouter.patch('/:id', authenticate, enforceActiveOrganization, validate(upda
 });
 
 
-groupRouter.delete('/:id', authenticate, enforceActiveOrganization, requireRole(['system-admin', 'org-admin']), validate(deleteGroupSchema), async (req, res, next) => {
+groupRouter.delete('/:id', authenticate, enforceActiveOrganization, requirePermission('dashboard_groups.manage'), validate(deleteGroupSchema), async (req, res, next) => {
     try {
         await dashboardServices.deleteGroup(
             req.params.id,
@@ -876,4 +940,159 @@ groupRouter.delete('/:id/collaborators/:collaboratorId', authenticate, enforceAc
     }
 });
 
-export { router as dashboardRouter, groupRouter };
+// =============================================
+// RUTAS DE TEMPLATES DE DASHBOARDS (templateRouter)
+// Montado en /api/v1/dashboard-templates
+// =============================================
+
+// Listar templates de la organización y globales
+// 📄 Swagger: src/docs/swagger/dashboard-templates.yaml -> GET /
+templateRouter.get('/', authenticate, enforceActiveOrganization, validate(getTemplatesSchema), async (req, res, next) => {
+    try {
+        const result = await dashboardServices.listTemplates(req.organizationContext.id, req.query, req.user.role);
+
+        return successResponse(res, result.items.map((template) => toPublicTemplateDto(template)), 200, {
+            total: result.total,
+            limit: result.limit,
+            offset: result.offset
+        });
+    } catch (error) {
+        if (error.status) {
+            return errorResponse(res, {
+                message: error.message,
+                status: error.status,
+                code: error.code
+            });
+        }
+        next(error);
+    }
+});
+
+// Detalle de un template (incluye snapshot de páginas)
+// 📄 Swagger: src/docs/swagger/dashboard-templates.yaml -> GET /{id}
+templateRouter.get('/:id', authenticate, enforceActiveOrganization, validate(getTemplateByIdSchema), async (req, res, next) => {
+    try {
+        const template = await dashboardServices.getTemplate(req.params.id, req.organizationContext.id, req.user.role);
+
+        return successResponse(res, toPublicTemplateDto(template, { includePages: true }));
+    } catch (error) {
+        if (error.status) {
+            return errorResponse(res, {
+                message: error.message,
+                status: error.status,
+                code: error.code
+            });
+        }
+        next(error);
+    }
+});
+
+// Guardar un dashboard como template
+// 📄 Swagger: src/docs/swagger/dashboard-templates.yaml -> POST /
+templateRouter.post('/', authenticate, enforceActiveOrganization, requirePermission('dashboard_templates.manage'), validate(createTemplateSchema), async (req, res, next) => {
+    try {
+        const result = await dashboardServices.createTemplate(
+            req.body,
+            req.user.userId,
+            req.organizationContext.id,
+            req.user.role,
+            req.ip,
+            req.headers['user-agent']
+        );
+
+        return successResponse(res, toPublicTemplateDto(result, { includePages: true }), 201);
+    } catch (error) {
+        if (error.status) {
+            return errorResponse(res, {
+                message: error.message,
+                status: error.status,
+                code: error.code,
+                details: error.details
+            });
+        }
+        next(error);
+    }
+});
+
+// Actualizar metadatos de un template
+// 📄 Swagger: src/docs/swagger/dashboard-templates.yaml -> PATCH /{id}
+templateRouter.patch('/:id', authenticate, enforceActiveOrganization, requirePermission('dashboard_templates.manage'), validate(updateTemplateSchema), async (req, res, next) => {
+    try {
+        const result = await dashboardServices.updateTemplate(
+            req.params.id,
+            req.body,
+            req.user.userId,
+            req.organizationContext.id,
+            req.user.role,
+            req.ip,
+            req.headers['user-agent']
+        );
+
+        return successResponse(res, toPublicTemplateDto(result));
+    } catch (error) {
+        if (error.status) {
+            return errorResponse(res, {
+                message: error.message,
+                status: error.status,
+                code: error.code,
+                details: error.details
+            });
+        }
+        next(error);
+    }
+});
+
+// Eliminar un template (los dashboards ya creados no se modifican)
+// 📄 Swagger: src/docs/swagger/dashboard-templates.yaml -> DELETE /{id}
+templateRouter.delete('/:id', authenticate, enforceActiveOrganization, requirePermission('dashboard_templates.manage'), validate(deleteTemplateSchema), async (req, res, next) => {
+    try {
+        await dashboardServices.deleteTemplate(
+            req.params.id,
+            req.user.userId,
+            req.organizationContext.id,
+            req.user.role,
+            req.ip,
+            req.headers['user-agent']
+        );
+
+        return successResponse(res, { message: 'Template eliminado exitosamente' });
+    } catch (error) {
+        if (error.status) {
+            return errorResponse(res, {
+                message: error.message,
+                status: error.status,
+                code: error.code
+            });
+        }
+        next(error);
+    }
+});
+
+// Crear dashboards en lote desde un template (un item por sitio/recurso)
+// 📄 Swagger: src/docs/swagger/dashboard-templates.yaml -> POST /{id}/dashboards
+templateRouter.post('/:id/dashboards', authenticate, enforceActiveOrganization, requirePermission('dashboards.create'), validate(createDashboardsFromTemplateSchema), async (req, res, next) => {
+    try {
+        const result = await dashboardServices.createDashboardsFromTemplate(
+            req.params.id,
+            req.body.items,
+            req.user.userId,
+            req.organizationContext.id,
+            req.user.role,
+            req.ip,
+            req.headers['user-agent']
+        );
+
+        return successResponse(res, result, result.created > 0 ? 201 : 200);
+    } catch (error) {
+        if (error.status) {
+            return errorResponse(res, {
+                message: error.message,
+                status: error.status,
+                code: error.code
+            });
+        }
+        next(error);
+    }
+});
+
+export { router as dashboardRouter, groupRouter, templateRouter };
@@ -8,6 +8,10 @@ import { logAuditAction } from '../../helpers/auditLog.js';
 import { generatePublicCode } from '../../utils/identifiers.js';
 import { resolveDateRange } from '../../utils/dateUtils.js';
 import { search as telemetrySearch } from '../telemetry/services/telemetryService.js';
+import { canAccessResource } from '../resource-hierarchy/accessScope.js';
+import { combineChannelSeries } from './helpers/seriesAggregation.js';
+import { buildDashboardBundle, collectBundleReferences, remapBundlePages } from './helpers/bundle.js';
+import { createDashboardFromTemplate } from './templateServices.js';
 import logger from '../../utils/logger.js';
 
 export {
@@ -17,6 +21,17 @@ export {
   addGroupCollaborator, updateGroupCollaborator, removeGroupCollaborator
 } from './groupServices.js';
 
+export {
+  listTemplates, getTemplate, createTemplate, updateTemplate, deleteTemplate,
+  createDashboardsFromTemplate
+} from './templateServices.js';
+
+// Límite de canales por data source agregado (device/site/resource_hierarchy)
+const MAX_AGGREGATED_CHANNELS = 200;
+
+// Canales consultados en paralelo por lote al resolver un data source agregado
+const AGGREGATION_BATCH_SIZE = 10;
+
 // =============================================
 // Helpers internos de acceso
 // =============================================
@@ -116,14 +131,21 @@ export const getDashboard = async (publicCode, userId) => {
 
 /**
  * Crear un nuevo dashboard
+ * Con templateId (public code del template) se crea desde el template vinculando bindings.
  * @param {Object} dashboardData - Datos del dashboard
  * @param {string} userId - UUID del usuario que crea
  * @param {string} organizationId - UUID de la organización
  * @param {string} ipAddress - IP del usuario
  * @param {string} userAgent - User agent del usuario
+ * @param {string} role - Rol del usuario (visibilidad de templates)
  * @returns {Promise<Object>} - Dashboard creado
  */
-export const createDashboard = async (dashboardData, userId, organizationId, ipAddress, userAgent) => {
+export const createDashboard = async (dashboardData, userId, organizationId, ipAddress, userAgent, role) => {
+  if (dashboardData.templateId) {
+    const { templateId, ...data } = dashboardData;
+    return createDashboardFromTemplate(templateId, data, userId, organizationId, role, ipAddress, userAgent);
+  }
+
   const uuid = uuidv7();
   const publicCode = generatePublicCode('DSH');
 
@@ -322,6 +344,190 @@ export const setHomeDashboard = async (publicCode, userId, ipAddress, userAgent)
   return result;
 };
 
+// =============================================
+// Export / Import (bundles JSON)
+// =============================================
+
+/**
+ * Buscar en la organización los recursos referenciados, agrupando por entityType
+ * @param {Array<{entityType: string, entityId: string}>} references
+ * @param {string} organizationId - UUID de la organización
+ * @returns {Promise<Map<string, string>>} - `${entityType}:${publicCode}` → nombre (solo existentes)
+ */
+const findExistingReferences = async (references, organizationId) => {
+  const codesByType = {};
+  for (const ref of references) {
+    (codesByType[ref.entityType] ??= []).push(ref.entityId);
+  }
+
+  const found = new Map();
+  for (const [entityType, publicCodes] of Object.entries(codesByType)) {
+    const entities = await dashboardRepository.findEntitiesByPublicCodes(entityType, publicCodes, organizationId);
+    for (const entity of entities) {
+      found.set(`${entityType}:${entity.publicCode}`, entity.name);
+    }
+  }
+
+  return found;
+};
+
+/**
+ * Exportar un dashboard como bundle JSON versionado (pages, widgets y data sources por public code)
+ * @param {string} publicCode - Public code del dashboard
+ * @param {string} userId - UUID del usuario
+ * @param {string} ipAddress - IP del usuario
+ * @param {string} userAgent - User agent del usuario
+ * @returns {Promise<Object>} - Bundle
+ */
+export const exportDashboard = async (publicCode, userId, ipAddress, userAgent) => {
+  const dashboard = await dashboardRepository.findDashboardByPublicCode(publicCode);
+
+  if (!dashboard) {
+    const error = new Error('Dashboard no encontrado');
+    error.status = 404;
+    error.code = 'DASHBOARD_NOT_FOUND';
+    throw error;
+  }
+
+  const access = await checkDashboardAccess(dashboard, userId, 'viewer');
+  if (!access.hasAccess) {
+    const error = new Error('No tienes permisos para ver este dashboard');
+    error.status = 403;
+    error.code = 'FORBIDDEN';
+    throw error;
+  }
+
+  const references = collectBundleReferences(dashboard.pages ?? []);
+  const names = await findExistingReferences(references, dashboard.organizationId);
+  const bundle = buildDashboardBundle(dashboard, Object.fromEntries(names));
+
+  await logAuditAction({
+    entityType: 'dashboard',
+    entityId: publicCode,
+    action: 'exported',
+    performedBy: userId,
+    changes: {},
+    metadata: {
+      organizationId: dashboard.organizationId,
+      bundleVersion: bundle.version,
+      references: bundle.references.length
+    },
+    ipAddress,
+    userAgent
+  });
+
+  return bundle;
+};
+
+/**
+ * Importar un bundle como dashboard nuevo en la organización activa
+ * Las referencias se remapean con `remap` y se validan contra la organización destino:
+ * con onMissing 'error' cualquier faltante aborta; con 'skip' se descartan esos data sources.
+ * @param {Object} importData - { bundle, name, remap, onMissing, dryRun } validado con importDashboardSchema
+ * @param {string} userId - UUID del usuario que importa (owner del nuevo dashboard)
+ * @param {string} organizationId - UUID de la organización destino
+ * @param {string} ipAddress - IP del usuario
+ * @param {string} userAgent - User agent del usuario
+ * @returns {Promise<{dashboard: Object|null, report: Object}>}
+ */
+export const importDashboard = async (importData, userId, organizationId, ipAddress, userAgent) => {
+  const { bundle, name, remap, onMissing, dryRun } = importData;
+
+  const sourceReferences = collectBundleReferences(bundle.pages);
+  const targetReferences = sourceReferences.map(ref => ({
+    entityType: ref.entityType,
+    entityId: remap[ref.entityId] ?? ref.entityId
+  }));
+  const found = await findExistingReferences(targetReferences, organizationId);
+
+  const references = sourceReferences.map((ref, index) => {
+    const target = targetReferences[index];
+    return {
+      entityType: ref.entityType,
+      entityId: ref.entityId,
+      mappedTo: target.entityId,
+      found: found.has(`${target.entityType}:${target.entityId}`)
+    };
+  });
+  const missing = references.filter(ref => !ref.found);
+
+  if (missing.length > 0 && onMissing === 'error' && !dryRun) {
+    const error = new Error('El bundle referencia recursos que no existen en la organización');
+    error.status = 400;
+    error.code = 'MISSING_REFERENCES';
+    error.details = missing.map(ref => ({
+      field: 'remap',
+      message: `${ref.entityType} ${ref.mappedTo} no encontrado en la organización`,
+      code: 'REFERENCE_NOT_FOUND',
+      entityType: ref.entityType,
+      entityId: ref.entityId
+    }));
+    throw error;
+  }
+
+  const { pages, skippedDataSources } = remapBundlePages(
+    bundle.pages,
+    remap,
+    new Set(missing.map(ref => `${ref.entityType}:${ref.mappedTo}`))
+  );
+
+  const report = {
+    dryRun,
+    pageCount: pages.length,
+    widgetCount: pages.reduce((sum, page) => sum + page.widgets.length, 0),
+    references,
+    missing: missing.length,
+    skippedDataSources
+  };
+
+  if (dryRun) {
+    return { dashboard: null, report };
+  }
+
+  const uuid = uuidv7();
+  const publicCode = generatePublicCode('DSH');
+  const source = bundle.dashboard;
+
+  const dashboard = await dashboardRepository.createDashboardWithContent({
+    id: uuid,
+    publicCode,
+    organizationId,
+    ownerId: userId,
+    name: name ?? source.name,
+    description: source.description,
+    icon: source.icon,
+    isPublic: source.isPublic,
+    size: source.size,
+    positioning: source.positioning,
+    customWidth: source.customWidth,
+    customHeight: source.customHeight,
+    settings: source.settings
+  }, pages, uuidv7);
+
+  await logAuditAction({
+    entityType: 'dashboard',
+    entityId: publicCode,
+    action: 'imported',
+    performedBy: userId,
+    changes: { new: { name: dashboard.name, pageCount: report.pageCount, widgetCount: report.widgetCount } },
+    metadata: {
+      organizationId,
+      bundleVersion: bundle.version,
+      sourceDashboardId: bundle.source?.dashboardId ?? null,
+      remapped: Object.keys(remap).length,
+      skippedDataSources
+    },
+    ipAddress,
+    userAgent
+  });
+
+  await invalidateDashboardCache();
+
+  logger.info({ dashboardId: uuid, userId, skippedDataSources }, 'Dashboard imported from bundle');
+
+  return { dashboard, report };
+};
+
 // =============================================
 // Page CRUD
 // =============================================
@@ -1020,6 +1226,92 @@ export const getWidgetTypeUsage = async (organizationId) => {
 // Widget Data (Obtener datos de telemetría)
 // =============================================
 
+/**
+ * Resolver un data source de tipo device/site/resource_hierarchy a sus canales
+ * @param {Object} dataSource - Data source plano (entityType + entityId)
+ * @param {string} organizationId - UUID de la organización del dashboard
+ * @param {Object|null} [accessScope] - Scope de la jerarquía del usuario; se descartan los canales fuera de él
+ * @returns {Promise<Array<{publicCode: string, name: string}>>}
+ */
+const resolveDataSourceChannels = async (dataSource, organizationId, accessScope = null) => {
+  const resolvers = {
+    device: dashboardRepository.findChannelsByDevicePublicCode,
+    site: dashboardRepository.findChannelsBySitePublicCode,
+    resource_hierarchy: dashboardRepository.findChannelsByHierarchyNodePublicCode
+  };
+
+  const resolver = resolvers[dataSource.entityType];
+  if (!resolver) {
+    throw new Error(`entityType "${dataSource.entityType}" no soportado`);
+  }
+
+  const resolved = await resolver(dataSource.entityId, organizationId);
+  if (!resolved) {
+    throw new Error(`Recurso no encontrado: ${dataSource.entityId}`);
+  }
+
+  const channels = resolved.filter(channel => canAccessResource(accessScope, 'channel', channel.publicCode));
+
+  if (channels.length > MAX_AGGREGATED_CHANNELS) {
+    throw new Error(`${dataSource.entityId} resuelve a ${channels.length} canales (máximo ${MAX_AGGREGATED_CHANNELS})`);
+  }
+
+  return channels;
+};
+
+/**
+ * Consultar y combinar la telemetría de todos los canales de un data source agregado
+ * Los canales se consultan en lotes para no saturar Cassandra; los fallos individuales
+ * se reportan en `channels` sin invalidar la serie combinada.
+ * @param {Object} dataSource - Data source plano
+ * @param {string} organizationId - UUID de la organización del dashboard
+ * @param {Object} searchParams - Parámetros comunes para telemetryService.search()
+ * @param {Object|null} [accessScope] - Scope de la jerarquía del usuario
+ * @returns {Promise<Object>} Serie combinada con metadata y estado por canal
+ */
+const getAggregatedSeries = async (dataSource, organizationId, searchParams, accessScope = null) => {
+  const channels = await resolveDataSourceChannels(dataSource, organizationId, accessScope);
+  const aggregation = dataSource.seriesConfig?.aggregation;
+
+  const channelResults = [];
+  for (let i = 0; i < channels.length; i += AGGREGATION_BATCH_SIZE) {
+    const batch = channels.slice(i, i + AGGREGATION_BATCH_SIZE);
+    const batchResults = await Promise.all(batch.map(async (channel) => {
+      try {
+        const result = await telemetrySearch({ ...searchParams, identifier: channel.publicCode });
+        return { channel, success: true, result };
+      } catch (err) {
+        return { channel, success: false, error: err.message };
+      }
+    }));
+    channelResults.push(...batchResults);
+  }
+
+  const succeeded = channelResults.filter(r => r.success);
+  const { variables, data } = combineChannelSeries(succeeded.map(r => r.result), { aggregation });
+
+  return {
+    success: succeeded.length > 0 || channels.length === 0,
+    metadata: {
+      aggregated: true,
+      resolution: searchParams.resolution,
+      from: succeeded[0]?.result.metadata.from ?? null,
+      to: succeeded[0]?.result.metadata.to ?? null,
+      channelCount: channels.length,
+      successCount: succeeded.length,
+      totalRecords: data.length
+    },
+    channels: channelResults.map(r => ({
+      id: r.channel.publicCode,
+      name: r.channel.name,
+      success: r.success,
+      ...(r.success ? { totalRecords: r.result.metadata.totalRecords } : { error: r.error })
+    })),
+    variables,
+    data
+  };
+};
+
 /**
  * Obtener datos de un widget consultando telemetría para cada dataSource
  * @param {string} dashboardPublicCode - Public code del dashboard
@@ -1027,9 +1319,10 @@ export const getWidgetTypeUsage = async (organizationId) => {
  * @param {number} widgetOrderNumber - Número de orden del widget
  * @param {Object} overrides - Overrides opcionales sobre dataConfig del widget
  * @param {string} userId - UUID del usuario
+ * @param {Object|null} [accessScope] - Scope de la jerarquía (req.resourceAccess); los canales fuera de él no se consultan
  * @returns {Promise<Object>} - Widget info + series de datos por dataSource
  */
-export const getWidgetData = async (dashboardPublicCode, pageOrderNumber, widgetOrderNumber, overrides, userId) => {
+export const getWidgetData = async (dashboardPublicCode, pageOrderNumber, widgetOrderNumber, overrides, userId, accessScope = null) => {
   const dashboard = await dashboardRepository.findDashboardByPublicCodeInternal(dashboardPublicCode);
 
   if (!dashboard) {
@@ -1102,42 +1395,46 @@ export const getWidgetData = async (dashboardPublicCode, pageOrderNumber, widget
       entityId: dsPlain.entityId
     };
 
-    if (dsPlain.entityType !== 'channel') {
-      return {
-        ...base,
-        success: false,
-        error: `entityType "${dsPlain.entityType}" no soportado aún — solo "channel" está implementado`
-      };
+    let resolvedVariables = variables || null;
+    if (!resolvedVariables) {
+      if (dsPlain.seriesConfig?.variables) {
+        resolvedVariables = dsPlain.seriesConfig.variables;
+      } else if (dsPlain.seriesConfig?.variableId) {
+        resolvedVariables = [dsPlain.seriesConfig.variableId];
+      }
     }
 
+    const searchParams = {
+      from: resolvedDates.from,
+      to: resolvedDates.to,
+      resolution: resolution || '1m',
+      tz: tz || undefined,
+      variables: resolvedVariables,
+      filters: {}
+    };
+
     try {
-      let resolvedVariables = variables || null;
-      if (!resolvedVariables) {
-        if (dsPlain.seriesConfig?.variables) {
-          resolvedVariables = dsPlain.seriesConfig.variables;
-        } else if (dsPlain.seriesConfig?.variableId) {
-          resolvedVariables = [dsPlain.seriesConfig.variableId];
+      if (dsPlain.entityType === 'channel') {
+        if (!canAccessResource(accessScope, 'channel', dsPlain.entityId)) {
+          throw new Error(`Sin acceso al canal: ${dsPlain.entityId}`);
         }
-      }
 
-      const searchParams = {
-        identifier: dsPlain.entityId,
-        from: resolvedDates.from,
-        to: resolvedDates.to,
-        resolution: resolution || '1m',
-        tz: tz || undefined,
-        variables: resolvedVariables,
-        filters: {}
-      };
+        const result = await telemetrySearch({ ...searchParams, identifier: dsPlain.entityId });
+
+        return {
+          ...base,
+          success: true,
+          metadata: result.metadata,
+          variables: result.variables,
+          data: result.data
+        };
+      }
 
-      const result = await telemetrySearch(searchParams);
+      const aggregated = await getAggregatedSeries(dsPlain, dashboard.organizationId, searchParams, accessScope);
 
       return {
         ...base,
-        success: true,
-        metadata: result.metadata,
-        variables: result.variables,
-        data: result.data
+        ...aggregated
       };
     } catch (err) {
       logger.warn({ dataSourceId: dsPlain.id, entityId: dsPlain.entityId, error: err.message }, 'Error al consultar telemetría para dataSource');
@@ -0,0 +1,416 @@
+// modules/dashboards/templateServices.js
+// Lógica de negocio para Templates de dashboards (guardar como template y crear desde template)
+
+import { v7 as uuidv7 } from 'uuid';
+import * as dashboardRepository from './repository.js';
+import { invalidateDashboardCache } from './cache.js';
+import { buildTemplateSnapshot, checkTemplateBindings, instantiateTemplatePages } from './helpers/templates.js';
+import { findChannelByPublicCodeInternal } from '../channels/repository.js';
+import { findDeviceByPublicCodeInternal } from '../devices/repository.js';
+import { findSiteByPublicCodeInternal } from '../sites/repository.js';
+import { findNodeByPublicCodeInternal } from '../resource-hierarchy/repository.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import { generatePublicCode } from '../../utils/identifiers.js';
+import logger from '../../utils/logger.js';
+
+// Buscadores por tipo de recurso vinculable a un placeholder
+const entityFinders = {
+    channel: findChannelByPublicCodeInternal,
+    device: findDeviceByPublicCodeInternal,
+    site: findSiteByPublicCodeInternal,
+    resource_hierarchy: findNodeByPublicCodeInternal
+};
+
+const buildError = (status, code, message, details = undefined) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+};
+
+// =============================================
+// Helpers internos de acceso
+// =============================================
+
+/**
+ * Un template es visible si es global, de la organización activa o el usuario es system-admin
+ */
+const canViewTemplate = (template, organizationId, role) =>
+    role === 'system-admin' || template.organizationId === null || template.organizationId === organizationId;
+
+/**
+ * Solo system-admin gestiona templates globales; org-admin los de su organización
+ */
+const canManageTemplate = (template, organizationId, role) =>
+    role === 'system-admin' || (template.organizationId !== null && template.organizationId === organizationId);
+
+const findVisibleTemplate = async (publicCode, organizationId, role) => {
+    const template = await dashboardRepository.findTemplateByPublicCode(publicCode);
+
+    if (!template || !canViewTemplate(template, organizationId, role)) {
+        throw buildError(404, 'TEMPLATE_NOT_FOUND', 'Template de dashboard no encontrado');
+    }
+
+    return template;
+};
+
+/**
+ * Valida que cada vinculación apunte a un recurso del tipo correcto y de la organización destino
+ * @returns {Promise<Object[]>} Lista de errores por placeholder (vacía si todo es válido)
+ */
+const validateBindingEntities = async (placeholders, bindings, organizationId) => {
+    const errors = [];
+
+    for (const placeholder of placeholders) {
+        const publicCode = bindings[placeholder.key];
+        const entity = await entityFinders[placeholder.entityType](publicCode);
+
+        if (!entity || entity.organizationId !== organizationId) {
+            errors.push({
+                field: `bindings.${placeholder.key}`,
+                message: `${placeholder.entityType} ${publicCode} no encontrado en la organización`,
+                code: 'BINDING_NOT_FOUND'
+            });
+        }
+    }
+
+    return errors;
+};
+
+// =============================================
+// Template CRUD
+// =============================================
+
+/**
+ * Listar templates de la organización y globales
+ * @param {string} organizationId - UUID de la organización activa
+ * @param {Object} query - Parámetros de búsqueda (search, limit, offset)
+ * @param {string} role - Rol del usuario (system-admin ve todos)
+ * @returns {Promise<Object>} - { items, total, limit, offset }
+ */
+export const listTemplates = async (organizationId, query = {}, role) => {
+    const { search, limit = 20, offset = 0 } = query;
+
+    const result = await dashboardRepository.findAllTemplates({
+        organizationId: role === 'system-admin' ? null : organizationId,
+        search,
+        limit,
+        offset
+    });
+
+    return {
+        items: result.items,
+        total: result.total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+    };
+};
+
+/**
+ * Obtener template por publicCode (incluye snapshot de páginas y placeholders)
+ * @param {string} publicCode - Public code del template
+ * @param {string} organizationId - UUID de la organización activa
+ * @param {string} role - Rol del usuario
+ * @returns {Promise<Object>} - Template
+ */
+export const getTemplate = async (publicCode, organizationId, role) =>
+    findVisibleTemplate(publicCode, organizationId, role);
+
+/**
+ * Guardar un dashboard existente como template
+ * @param {Object} templateData - { dashboardId, name, description, isGlobal, placeholders }
+ * @param {string} userId - UUID del usuario que crea
+ * @param {string} organizationId - UUID de la organización activa
+ * @param {string} role - Rol del usuario
+ * @param {string} ipAddress - IP del usuario
+ * @param {string} userAgent - User agent del usuario
+ * @returns {Promise<Object>} - Template creado
+ */
+export const createTemplate = async (templateData, userId, organizationId, role, ipAddress, userAgent) => {
+    const { dashboardId, name, description, isGlobal, placeholders: overrides = [] } = templateData;
+
+    if (isGlobal && role !== 'system-admin') {
+        throw buildError(403, 'FORBIDDEN', 'Solo system-admin puede crear templates globales');
+    }
+
+    const dashboard = await dashboardRepository.findDashboardByPublicCode(dashboardId);
+    if (!dashboard || (role !== 'system-admin' && dashboard.organizationId !== organizationId)) {
+        throw buildError(404, 'DASHBOARD_NOT_FOUND', 'Dashboard no encontrado');
+    }
+
+    const snapshot = buildTemplateSnapshot(dashboard, overrides);
+
+    // Los placeholders personalizados deben referirse a recursos usados por el dashboard
+    const usedEntities = new Set(
+        dashboard.pages.flatMap(page => page.widgets.flatMap(widget =>
+            widget.dataSources.map(ds => `${ds.entityType}:${ds.entityId}`)))
+    );
+    const unusedOverrides = overrides.filter(o => !usedEntities.has(`${o.entityType}:${o.entityId}`));
+    if (unusedOverrides.length > 0) {
+        throw buildError(400, 'VALIDATION_ERROR', 'Hay placeholders que no corresponden a data sources del dashboard',
+            unusedOverrides.map(o => ({
+                field: 'placeholders',
+                message: `${o.entityType} ${o.entityId} no es usado por el dashboard`,
+                code: 'PLACEHOLDER_NOT_USED'
+            })));
+    }
+
+    const uuid = uuidv7();
+    const publicCode = generatePublicCode('DTP');
+
+    const template = await dashboardRepository.createTemplate({
+        id: uuid,
+        publicCode,
+        organizationId: isGlobal ? null : dashboard.organizationId,
+        createdBy: userId,
+        name: name ?? dashboard.name,
+        description: description ?? dashboard.description,
+        icon: dashboard.icon,
+        size: dashboard.size,
+        positioning: dashboard.positioning,
+        customWidth: dashboard.customWidth,
+        customHeight: dashboard.customHeight,
+        settings: dashboard.settings || {},
+        sourceDashboardCode: dashboard.publicCode,
+        ...snapshot
+    });
+
+    await logAuditAction({
+        entityType: 'dashboard_template',
+        entityId: publicCode,
+        action: 'created',
+        performedBy: userId,
+        changes: { new: { name: template.name, placeholders: template.placeholders } },
+        metadata: {
+            organizationId: template.organizationId,
+            sourceDashboardId: dashboard.publicCode
+        },
+        ipAddress,
+        userAgent
+    });
+
+    logger.info({ templateId: uuid, dashboardId: dashboard.id, userId }, 'Dashboard template created successfully');
+
+    return template;
+};
+
+/**
+ * Actualizar metadatos de un template (nombre, descripción, icono y labels de placeholders)
+ * El snapshot es inmutable: para cambiar la estructura se guarda un template nuevo.
+ * @param {string} publicCode - Public code del template
+ * @param {Object} updateData - { name, description, icon, placeholders: [{ key, label }] }
+ * @param {string} userId - UUID del usuario
+ * @param {string} organizationId - UUID de la organización activa
+ * @param {string} role - Rol del usuario
+ * @param {string} ipAddress - IP del usuario
+ * @param {string} userAgent - User agent del usuario
+ * @returns {Promise<Object>} - Template actualizado
+ */
+export const updateTemplate = async (publicCode, updateData, userId, organizationId, role, ipAddress, userAgent) => {
+    const template = await findVisibleTemplate(publicCode, organizationId, role);
+
+    if (!canManageTemplate(template, organizationId, role)) {
+        throw buildError(403, 'FORBIDDEN', 'No tienes permiso para editar este template');
+    }
+
+    const { placeholders: labels, ...fields } = updateData;
+    const changes = { ...fields };
+
+    if (labels) {
+        const labelsByKey = new Map(labels.map(p => [p.key, p.label]));
+        const unknown = labels.filter(p => !template.placeholders.some(existing => existing.key === p.key));
+        if (unknown.length > 0) {
+            throw buildError(400, 'VALIDATION_ERROR', 'Placeholders inexistentes en el template',
+                unknown.map(p => ({ field: 'placeholders', message: `Placeholder ${p.key} no existe`, code: 'PLACEHOLDER_NOT_FOUND' })));
+        }
+
+        changes.placeholders = template.placeholders.map(p => (
+            labelsByKey.has(p.key) ? { ...p, label: labelsByKey.get(p.key) } : p
+        ));
+    }
+
+    const oldValues = {
+        name: template.name,
+        description: template.description,
+        icon: template.icon,
+        placeholders: template.placeholders
+    };
+
+    const updated = await dashboardRepository.updateTemplate(template.id, changes);
+
+    await logAuditAction({
+        entityType: 'dashboard_template',
+        entityId: publicCode,
+        action: 'updated',
+        performedBy: userId,
+        changes: { old: oldValues, new: changes },
+        metadata: { organizationId: template.organizationId },
+        ipAddress,
+        userAgent
+    });
+
+    return updated;
+};
+
+/**
+ * Eliminar un template (soft delete). Los dashboards creados desde él no se modifican.
+ * @param {string} publicCode - Public code del template
+ * @param {string} userId - UUID del usuario
+ * @param {string} organizationId - UUID de la organización activa
+ * @param {string} role - Rol del usuario
+ * @param {string} ipAddress - IP del usuario
+ * @param {string} userAgent - User agent del usuario
+ * @returns {Promise<boolean>}
+ */
+export const deleteTemplate = async (publicCode, userId, organizationId, role, ipAddress, userAgent) => {
+    const template = await findVisibleTemplate(publicCode, organizationId, role);
+
+    if (!canManageTemplate(template, organizationId, role)) {
+        throw buildError(403, 'FORBIDDEN', 'No tienes permiso para eliminar este template');
+    }
+
+    await dashboardRepository.deleteTemplate(template.id);
+
+    await logAuditAction({
+        entityType: 'dashboard_template',
+        entityId: publicCode,
+        action: 'deleted',
+        performedBy: userId,
+        changes: { old: { name: template.name } },
+        metadata: { organizationId: template.organizationId },
+        ipAddress,
+        userAgent
+    });
+
+    logger.info({ templateId: template.id, userId }, 'Dashboard template deleted successfully');
+
+    return true;
+};
+
+// =============================================
+// Crear dashboards desde template
+// =============================================
+
+/**
+ * Crear un dashboard vinculando los placeholders del template a recursos reales
+ * @param {Object} template - Template (modelo)
+ * @param {Object} dashboardData - { name, description, icon, isPublic, bindings }
+ * @param {string} userId - UUID del usuario que crea
+ * @param {string} organizationId - UUID de la organización destino
+ * @param {string} ipAddress - IP del usuario
+ * @param {string} userAgent - User agent del usuario
+ * @returns {Promise<Object>} - Dashboard creado con pages/widgets/dataSources
+ */
+const instantiateTemplate = async (template, dashboardData, userId, organizationId, ipAddress, userAgent) => {
+    const { bindings = {}, name, description, icon, isPublic } = dashboardData;
+
+    const { missing, unknown } = checkTemplateBindings(template.placeholders, bindings);
+    if (missing.length > 0 || unknown.length > 0) {
+        throw buildError(400, 'VALIDATION_ERROR', 'Vinculaciones del template inválidas', [
+            ...missing.map(key => ({ field: `bindings.${key}`, message: `Falta vincular el placeholder ${key}`, code: 'BINDING_REQUIRED' })),
+            ...unknown.map(key => ({ field: `bindings.${key}`, message: `El template no tiene el placeholder ${key}`, code: 'BINDING_UNKNOWN' }))
+        ]);
+    }
+
+    const entityErrors = await validateBindingEntities(template.placeholders, bindings, organizationId);
+    if (entityErrors.length > 0) {
+        throw buildError(400, 'VALIDATION_ERROR', 'Vinculaciones del template inválidas', entityErrors);
+    }
+
+    const uuid = uuidv7();
+    const publicCode = generatePublicCode('DSH');
+
+    const dashboard = await dashboardRepository.createDashboardWithContent({
+        id: uuid,
+        publicCode,
+        organizationId,
+        ownerId: userId,
+        name: name ?? template.name,
+        description: description ?? template.description,
+        icon: icon ?? template.icon,
+        isPublic: isPublic ?? false,
+        size: template.size,
+        positioning: template.positioning,
+        customWidth: template.customWidth,
+        customHeight: template.customHeight,
+        settings: template.settings || {},
+        templateId: template.id
+    }, instantiateTemplatePages(template.pages, template.placeholders, bindings), uuidv7);
+
+    await logAuditAction({
+        entityType: 'dashboard',
+        entityId: publicCode,
+        action: 'created',
+        performedBy: userId,
+        changes: { new: { name: dashboard.name, bindings } },
+        metadata: {
+            organizationId,
+            templateId: template.publicCode
+        },
+        ipAddress,
+        userAgent
+    });
+
+    logger.info({ dashboardId: uuid, templateId: template.id, userId }, 'Dashboard created from template');
+
+    return dashboard;
+};
+
+/**
+ * Crear un dashboard desde un template (POST /dashboards con templateId)
+ * @param {string} templatePublicCode - Public code del template
+ * @param {Object} dashboardData - Body de createDashboardSchema (incluye bindings)
+ * @param {string} userId - UUID del usuario que crea
+ * @param {string} organizationId - UUID de la organización activa
+ * @param {string} role - Rol del usuario
+ * @param {string} ipAddress - IP del usuario
+ * @param {string} userAgent - User agent del usuario
+ * @returns {Promise<Object>} - Dashboard creado
+ */
+export const createDashboardFromTemplate = async (templatePublicCode, dashboardData, userId, organizationId, role, ipAddress, userAgent) => {
+    const template = await findVisibleTemplate(templatePublicCode, organizationId, role);
+    const dashboard = await instantiateTemplate(template, dashboardData, userId, organizationId, ipAddress, userAgent);
+
+    await invalidateDashboardCache();
+
+    return dashboard;
+};
+
+/**
+ * Crear varios dashboards desde un mismo template (rollout a muchos sitios)
+ * Cada item se crea en su propia transacción: un item inválido no afecta al resto.
+ * @param {string} templatePublicCode - Public code del template
+ * @param {Object[]} items - [{ name, description, isPublic, bindings }]
+ * @param {string} userId - UUID del usuario que crea
+ * @param {string} organizationId - UUID de la organización activa
+ * @param {string} role - Rol del usuario
+ * @param {string} ipAddress - IP del usuario
+ * @param {string} userAgent - User agent del usuario
+ * @returns {Promise<Object>} - { created, failed, results: [{ index, ok, dashboard?, error? }] }
+ */
+export const createDashboardsFromTemplate = async (templatePublicCode, items, userId, organizationId, role, ipAddress, userAgent) => {
+    const template = await findVisibleTemplate(templatePublicCode, organizationId, role);
+
+    const results = [];
+    for (const [index, item] of items.entries()) {
+        try {
+            const dashboard = await instantiateTemplate(template, item, userId, organizationId, ipAddress, userAgent);
+            results.push({ index, ok: true, dashboard: { id: dashboard.publicCode, name: dashboard.name } });
+        } catch (error) {
+            if (!error.status) throw error;
+            results.push({
+                index,
+                ok: false,
+                error: { code: error.code, message: error.message, details: error.details }
+            });
+        }
+    }
+
+    const created = results.filter(r => r.ok).length;
+    if (created > 0) {
+        await invalidateDashboardCache();
+    }
+
+    return { created, failed: results.length - created, results };
+};
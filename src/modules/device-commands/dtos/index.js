@@ -0,0 +1,66 @@
+import { z } from 'zod';
+
+const commandTypeSchema = z.enum(['relay', 'setpoint', 'reboot']);
+const commandStatusSchema = z.enum(['pending', 'sent', 'acknowledged', 'failed', 'timeout']);
+
+/**
+ * Parámetros de cada tipo de comando (se publican tal cual en el payload MQTT)
+ */
+export const commandParamsSchemas = {
+    relay: z.object({
+        relay: z.number().int().min(0).max(255).default(0),
+        state: z.enum(['on', 'off'])
+    }).strict(),
+    setpoint: z.object({
+        key:   z.string().min(1).max(50),
+        value: z.number()
+    }).strict(),
+    reboot: z.object({
+        delaySeconds: z.number().int().min(0).max(3600).default(0)
+    }).strict()
+};
+
+/**
+ * Cuerpo de un comando, compartido por REST y EC:IOT:CMD
+ */
+export const commandBodySchema = z.object({
+    command:        commandTypeSchema,
+    params:         z.record(z.unknown()).default({}),
+    timeoutSeconds: z.number().int().min(5).max(300).optional()
+}).superRefine((body, ctx) => {
+    const result = commandParamsSchemas[body.command].safeParse(body.params ?? {});
+    if (!result.success) {
+        for (const issue of result.error.issues) {
+            ctx.addIssue({ ...issue, path: ['params', ...issue.path] });
+        }
+    }
+}).transform(body => ({
+    ...body,
+    params: commandParamsSchemas[body.command].parse(body.params)
+}));
+
+export const sendDeviceCommandSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    body: commandBodySchema
+});
+
+export const listDeviceCommandsSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    query: z.object({
+        status:  commandStatusSchema.optional(),
+        command: commandTypeSchema.optional(),
+        limit:   z.coerce.number().int().min(1).max(100).default(20),
+        offset:  z.coerce.number().int().min(0).default(0)
+    }).optional()
+});
+
+export const getDeviceCommandSchema = z.object({
+    params: z.object({
+        id:        z.string().min(1),
+        commandId: z.string().min(1)
+    })
+});
@@ -0,0 +1,31 @@
+// modules/device-commands/dtos/index.test.js
+// Tests del cuerpo de comandos compartido por REST y EC:IOT:CMD (modules/device-commands/dtos/index.js)
+
+import { describe, it, expect } from 'vitest';
+import { commandBodySchema } from './index.js';
+
+const issuesOf = (body) => commandBodySchema.safeParse(body).error?.issues.map(issue => issue.path.join('.')) ?? [];
+
+describe('commandBodySchema', () => {
+    it('aplica los defaults de params de cada comando', () => {
+        expect(commandBodySchema.parse({ command: 'relay', params: { state: 'on' } }))
+            .toEqual({ command: 'relay', params: { relay: 0, state: 'on' } });
+        expect(commandBodySchema.parse({ command: 'reboot' }))
+            .toEqual({ command: 'reboot', params: { delaySeconds: 0 } });
+    });
+
+    it('valida params contra el comando y reporta la ruta dentro de params', () => {
+        expect(issuesOf({ command: 'relay', params: { state: 'toggle' } })).toEqual(['params.state']);
+        expect(issuesOf({ command: 'setpoint', params: { key: 'temp' } })).toEqual(['params.value']);
+        expect(issuesOf({ command: 'reboot', params: { delaySeconds: 7200 } })).toEqual(['params.delaySeconds']);
+    });
+
+    it('rechaza params extra (se publican tal cual al device)', () => {
+        expect(issuesOf({ command: 'setpoint', params: { key: 'temp', value: 21, script: 'rm -rf /' } })).toEqual(['params']);
+    });
+
+    it('rechaza comandos desconocidos y timeouts fuera de rango', () => {
+        expect(issuesOf({ command: 'shell' })).toContain('command');
+        expect(issuesOf({ command: 'reboot', timeoutSeconds: 1 })).toEqual(['timeoutSeconds']);
+    });
+});
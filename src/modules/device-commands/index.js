@@ -0,0 +1,7 @@
+// modules/device-commands/index.js
+// Entry point del módulo Device Commands (comandos a devices via MQTT, EC:IOT)
+
+import router from './routes.js';
+
+export { router as deviceCommandsRouter };
+export default router;
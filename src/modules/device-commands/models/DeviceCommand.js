@@ -0,0 +1,123 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+/**
+ * Comando enviado a un device via MQTT publish (EC:IOT).
+ * Ciclo de vida: pending → sent → acknowledged | failed | timeout
+ */
+const DeviceCommand = sequelize.define('DeviceCommand', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        comment: 'UUID v7 - clave primaria time-ordered'
+    },
+    publicCode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+        comment: 'Código público legible (ej: CMD-4X9-R2T). NUNCA exponer el UUID.'
+    },
+    correlationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+        comment: 'ID de correlación incluido en el payload MQTT y devuelto por el device en el ack'
+    },
+    deviceId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'devices',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a devices - destinatario del comando'
+    },
+    organizationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'organizations',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a organizations - organización dueña del device al momento del envío'
+    },
+    command: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Tipo de comando: relay, setpoint, reboot'
+    },
+    params: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Parámetros del comando validados según su tipo'
+    },
+    topic: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+        comment: 'Topic MQTT donde se publicó (Device.topic al momento del envío)'
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'sent', 'acknowledged', 'failed', 'timeout'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    source: {
+        type: DataTypes.ENUM('api', 'ws'),
+        allowNull: false,
+        comment: 'Origen: REST o mensaje EC:IOT:CMD'
+    },
+    requestedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'FK a users - quien envió el comando'
+    },
+    sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    timeoutAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Límite para recibir el ack del device'
+    },
+    respondedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Instante del ack (acknowledged/failed)'
+    },
+    response: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Resultado devuelto por el device en el ack'
+    },
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Motivo de fallo (publish o error reportado por el device)'
+    }
+}, {
+    tableName: 'device_commands',
+    timestamps: true,
+    underscored: true,
+    paranoid: false,
+    indexes: [
+        { fields: ['public_code'], unique: true, name: 'device_commands_public_code_idx' },
+        { fields: ['correlation_id'], unique: true, name: 'device_commands_correlation_id_idx' },
+        { fields: ['device_id', 'created_at'], name: 'device_commands_device_created_idx' },
+        { fields: ['organization_id', 'created_at'], name: 'device_commands_org_created_idx' }
+    ],
+    comment: 'Log de comandos enviados a devices via MQTT'
+});
+
+export default DeviceCommand;
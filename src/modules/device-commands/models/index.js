@@ -0,0 +1,20 @@
+/**
+ * Índice de modelos del módulo Device Commands
+ */
+import DeviceCommand from './DeviceCommand.js';
+import Device from '../../devices/models/Device.js';
+import Organization from '../../organizations/models/Organization.js';
+import User from '../../auth/models/User.js';
+
+// DeviceCommand → Device destinatario (N:1)
+DeviceCommand.belongsTo(Device, { foreignKey: 'deviceId', as: 'device' });
+
+// DeviceCommand → Organization (N:1)
+DeviceCommand.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organization' });
+
+// DeviceCommand → User que lo envió (N:1)
+DeviceCommand.belongsTo(User, { foreignKey: 'requestedBy', as: 'requester' });
+
+export { DeviceCommand };
+
+export default { DeviceCommand };
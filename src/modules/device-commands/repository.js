@@ -0,0 +1,134 @@
+// modules/device-commands/repository.js
+// Capa de acceso a datos para el log de comandos a devices
+
+import { Op } from 'sequelize';
+import { DeviceCommand } from './models/index.js';
+import Device from '../devices/models/Device.js';
+import User from '../auth/models/User.js';
+
+/**
+ * Convierte un comando a DTO público
+ * @param {DeviceCommand} command
+ * @returns {Object}
+ */
+export const toCommandDto = (command) => ({
+    id: command.publicCode,
+    correlationId: command.correlationId,
+    device: command.device
+        ? { id: command.device.publicCode, name: command.device.name }
+        : null,
+    command: command.command,
+    params: command.params,
+    status: command.status,
+    source: command.source,
+    requestedBy: command.requester
+        ? {
+            id: command.requester.publicCode,
+            name: `${command.requester.firstName ?? ''} ${command.requester.lastName ?? ''}`.trim() || command.requester.email
+        }
+        : null,
+    sentAt: command.sentAt,
+    timeoutAt: command.timeoutAt,
+    respondedAt: command.respondedAt,
+    response: command.response,
+    error: command.error,
+    createdAt: command.createdAt
+});
+
+const commandIncludes = [
+    { model: Device, as: 'device', attributes: ['publicCode', 'name'] },
+    { model: User, as: 'requester', attributes: ['publicCode', 'firstName', 'lastName', 'email'] }
+];
+
+/**
+ * Crear un comando
+ * @param {Object} data - Campos del modelo DeviceCommand
+ * @returns {Promise<DeviceCommand>}
+ */
+export const createCommand = async (data) => DeviceCommand.create(data);
+
+/**
+ * Buscar un comando por UUID con device y solicitante incluidos
+ * @param {string} id
+ * @returns {Promise<DeviceCommand|null>}
+ */
+export const findCommandById = async (id) =>
+    DeviceCommand.findByPk(id, { include: commandIncludes });
+
+/**
+ * Buscar un comando por correlation id (ack del device)
+ * @param {string} correlationId
+ * @returns {Promise<DeviceCommand|null>}
+ */
+export const findCommandByCorrelationId = async (correlationId) =>
+    DeviceCommand.findOne({ where: { correlationId } });
+
+/**
+ * Buscar un comando de un device por public code
+ * @param {string} deviceId - UUID del device
+ * @param {string} publicCode
+ * @returns {Promise<DeviceCommand|null>}
+ */
+export const findDeviceCommand = async (deviceId, publicCode) =>
+    DeviceCommand.findOne({ where: { deviceId, publicCode }, include: commandIncludes });
+
+/**
+ * Historial de comandos de un device (más recientes primero)
+ * @param {Object} filters
+ * @param {string} filters.deviceId - UUID del device
+ * @param {string} [filters.status]
+ * @param {string} [filters.command]
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listDeviceCommands = async ({ deviceId, status = null, command = null, limit = 20, offset = 0 }) => {
+    const where = { deviceId };
+    if (status) where.status = status;
+    if (command) where.command = command;
+
+    const { rows, count } = await DeviceCommand.findAndCountAll({
+        where,
+        include: commandIncludes,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset,
+        distinct: true
+    });
+
+    return { items: rows.map(toCommandDto), total: count };
+};
+
+/**
+ * Actualizar un comando solo si sigue en alguno de los estados indicados
+ * (evita pisar un ack con un timeout y viceversa)
+ * @param {string} id - UUID
+ * @param {Object} changes
+ * @param {string[]} fromStatuses
+ * @returns {Promise<boolean>} true si se actualizó
+ */
+export const transitionCommand = async (id, changes, fromStatuses) => {
+    const [count] = await DeviceCommand.update(changes, {
+        where: { id, status: { [Op.in]: fromStatuses } }
+    });
+    return count > 0;
+};
+
+/**
+ * Marcar como timeout los comandos enviados cuyo plazo de ack ya venció
+ * @param {Date} now
+ * @returns {Promise<DeviceCommand[]>} Comandos actualizados
+ */
+export const expireOverdueCommands = async (now) => {
+    const [, rows] = await DeviceCommand.update(
+        { status: 'timeout' },
+        {
+            where: {
+                status: { [Op.in]: ['pending', 'sent'] },
+                timeoutAt: { [Op.lt]: now }
+            },
+            returning: true
+        }
+    );
+    return rows;
+};
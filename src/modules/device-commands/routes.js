@@ -0,0 +1,113 @@
+// modules/device-commands/routes.js
+// Rutas REST de comandos a devices (montadas en /devices/:id/commands)
+
+import express from 'express';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { validateResourceOwnership } from '../../middleware/validateResourceOwnership.js';
+import { requireResourceAccess } from '../../middleware/resourceAccess.js';
+import * as deviceRepository from '../devices/repository.js';
+import * as services from './services.js';
+import {
+    sendDeviceCommandSchema,
+    listDeviceCommandsSchema,
+    getDeviceCommandSchema
+} from './dtos/index.js';
+
+const validateDeviceOwnership = validateResourceOwnership({
+    findById: deviceRepository.findDeviceById,
+    findByPublicCode: deviceRepository.findDeviceByPublicCodeInternal,
+    resourceName: 'device',
+    paramName: 'id',
+    checkSoftDelete: true
+});
+
+const router = express.Router();
+
+// 📄 Swagger: src/docs/swagger/device-commands.yaml -> POST /api/v1/devices/:id/commands
+router.post(
+    '/:id/commands',
+    authenticate,
+    requirePermission(services.COMMAND_PERMISSION),
+    validateDeviceOwnership,
+    requireResourceAccess('device', 'edit'),
+    validate(sendDeviceCommandSchema),
+    async (req, res, next) => {
+        try {
+            const command = await services.sendCommand(req.resource, req.body, {
+                userId:    req.user.userId,
+                source:    'api',
+                ipAddress: req.ip || req.connection.remoteAddress,
+                userAgent: req.headers['user-agent']
+            });
+
+            return res.status(202).json({
+                ok: true,
+                data: command,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/device-commands.yaml -> GET /api/v1/devices/:id/commands
+router.get(
+    '/:id/commands',
+    authenticate,
+    validateDeviceOwnership,
+    requireResourceAccess('device'),
+    validate(listDeviceCommandsSchema),
+    async (req, res, next) => {
+        try {
+            const limit  = req.query?.limit  ?? 20;
+            const offset = req.query?.offset ?? 0;
+
+            const result = await services.listCommands(req.resource, {
+                status:  req.query?.status ?? null,
+                command: req.query?.command ?? null,
+                limit,
+                offset
+            });
+
+            return res.json({
+                ok: true,
+                data: result.items,
+                meta: {
+                    total:     result.total,
+                    limit:     Number(limit),
+                    offset:    Number(offset),
+                    timestamp: new Date().toISOString(),
+                    locale:    req.locale
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/device-commands.yaml -> GET /api/v1/devices/:id/commands/:commandId
+router.get(
+    '/:id/commands/:commandId',
+    authenticate,
+    validateDeviceOwnership,
+    requireResourceAccess('device'),
+    validate(getDeviceCommandSchema),
+    async (req, res, next) => {
+        try {
+            const command = await services.getCommand(req.resource, req.params.commandId);
+
+            return res.json({
+                ok: true,
+                data: command,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+export default router;
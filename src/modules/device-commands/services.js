@@ -0,0 +1,309 @@
+// modules/device-commands/services.js
+// Envío de comandos a devices via MQTT publish (EC:IOT) y seguimiento de ack/timeout
+
+import crypto from 'crypto';
+import * as repository from './repository.js';
+import { findDeviceByPublicCodeInternal } from '../devices/repository.js';
+import { publishToTopic, subscribeToTopic, unsubscribeFromTopic } from '../realtime/mqtt/client.js';
+import { sendToUserSessions } from '../realtime/services/sessionService.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import { generatePublicCode, generateUuidV7 } from '../../utils/identifiers.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+const commandsLogger = logger.child({ component: 'device-commands' });
+
+// Permiso requerido para enviar comandos (REST y EC:IOT:CMD)
+export const COMMAND_PERMISSION = 'device_commands.send';
+
+// Intervalo del barrido de comandos vencidos (cubre reinicios y comandos de otras instancias)
+const EXPIRE_SWEEP_INTERVAL_MS = 60_000;
+
+// Comandos esperando ack en esta instancia (correlationId → { commandId, ackTopic, timer })
+const pendingAcks = new Map();
+// Ref count de suscripciones a topics de ack (ackTopic → cantidad de comandos pendientes)
+const ackTopicRefs = new Map();
+
+const buildError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code   = code;
+    return err;
+};
+
+const getAckTopic = (deviceTopic) => `${deviceTopic}/${config.deviceCommands.ackTopicSuffix}`;
+
+/**
+ * Envía el resultado final de un comando a las sesiones WS (EC:IOT) del solicitante
+ * @param {string} commandId - UUID
+ */
+const pushCommandResult = async (commandId) => {
+    const command = await repository.findCommandById(commandId);
+    if (!command?.requestedBy) return;
+
+    await sendToUserSessions(command.requestedBy, {
+        type: 'EC:IOT:CMD_RESULT',
+        payload: { command: repository.toCommandDto(command) },
+        timestamp: new Date().toISOString()
+    }, 'IOT');
+};
+
+const releaseAck = (correlationId) => {
+    const pending = pendingAcks.get(correlationId);
+    if (!pending) return null;
+
+    clearTimeout(pending.timer);
+    pendingAcks.delete(correlationId);
+
+    const refs = (ackTopicRefs.get(pending.ackTopic) ?? 1) - 1;
+    if (refs > 0) {
+        ackTopicRefs.set(pending.ackTopic, refs);
+    } else {
+        ackTopicRefs.delete(pending.ackTopic);
+        unsubscribeFromTopic(pending.ackTopic);
+    }
+
+    return pending;
+};
+
+const handleTimeout = async (correlationId) => {
+    const pending = releaseAck(correlationId);
+    if (!pending) return;
+
+    try {
+        const updated = await repository.transitionCommand(
+            pending.commandId,
+            { status: 'timeout' },
+            ['pending', 'sent']
+        );
+        if (updated) {
+            commandsLogger.warn({ correlationId }, 'Comando sin ack del device (timeout)');
+            await pushCommandResult(pending.commandId);
+        }
+    } catch (error) {
+        commandsLogger.error({ err: error, correlationId }, 'Error marcando timeout de comando');
+    }
+};
+
+/**
+ * Handler del topic de ack: { correlationId, status: 'ok'|'error', result?, error? }
+ */
+const handleAckMessage = async ({ topic, payload }) => {
+    let ack;
+    try {
+        ack = JSON.parse(payload);
+    } catch {
+        commandsLogger.warn({ topic }, 'Ack de comando no es JSON válido');
+        return;
+    }
+
+    const correlationId = ack?.correlationId;
+    if (typeof correlationId !== 'string') return;
+
+    // Acks de comandos que no esperamos (otra instancia, ya vencidos o duplicados) se ignoran
+    const pending = releaseAck(correlationId);
+    if (!pending) {
+        commandsLogger.debug({ correlationId }, 'Ack de comando no pendiente en esta instancia');
+        return;
+    }
+
+    try {
+        const succeeded = ack.status === 'ok';
+        const updated = await repository.transitionCommand(pending.commandId, {
+            status: succeeded ? 'acknowledged' : 'failed',
+            respondedAt: new Date(),
+            response: ack.result ?? null,
+            error: succeeded ? null : String(ack.error ?? 'Device reported an error')
+        }, ['pending', 'sent']);
+
+        if (updated) {
+            commandsLogger.info({ correlationId, status: ack.status }, 'Ack de comando recibido');
+            await pushCommandResult(pending.commandId);
+        }
+    } catch (error) {
+        commandsLogger.error({ err: error, correlationId }, 'Error procesando ack de comando');
+    }
+};
+
+const watchAck = (correlationId, commandId, ackTopic, timeoutSeconds) => {
+    const refs = ackTopicRefs.get(ackTopic) ?? 0;
+    if (refs === 0) {
+        subscribeToTopic(ackTopic, (message) => {
+            handleAckMessage(message);
+        });
+    }
+    ackTopicRefs.set(ackTopic, refs + 1);
+
+    const timer = setTimeout(() => {
+        handleTimeout(correlationId);
+    }, timeoutSeconds * 1000);
+    timer.unref?.();
+
+    pendingAcks.set(correlationId, { commandId, ackTopic, timer });
+};
+
+/**
+ * Resuelve un device por public code verificando el acceso de una sesión WS
+ * @param {string} devicePublicCode
+ * @param {Object} session - Sesión EC:* ({ organizationId, role })
+ * @returns {Promise<Device>}
+ */
+export const resolveDeviceForSession = async (devicePublicCode, session) => {
+    const device = await findDeviceByPublicCodeInternal(devicePublicCode);
+    if (!device || (session.role !== 'system-admin' && device.organizationId !== session.organizationId)) {
+        throw buildError(404, 'DEVICE_NOT_FOUND', 'Device no encontrado');
+    }
+    return device;
+};
+
+/**
+ * Envía un comando a un device publicándolo en su topic MQTT (Device.topic).
+ *
+ * El payload publicado es { type: 'command', correlationId, command, params, issuedAt, timeoutAt, replyTo };
+ * el device responde en `replyTo` con { correlationId, status: 'ok'|'error', result?, error? }.
+ *
+ * @param {Device} device - Instancia ya validada (ownership)
+ * @param {Object} body - { command, params, timeoutSeconds } validado con commandBodySchema
+ * @param {Object} context
+ * @param {string} context.userId - UUID de quien envía
+ * @param {'api'|'ws'} context.source
+ * @param {string} [context.ipAddress]
+ * @param {string} [context.userAgent]
+ * @returns {Promise<Object>} DTO del comando (status 'sent')
+ */
+export const sendCommand = async (device, { command, params, timeoutSeconds }, { userId, source, ipAddress = null, userAgent = null }) => {
+    if (!device.isActive || device.status === 'decommissioned') {
+        throw buildError(409, 'DEVICE_NOT_OPERATIONAL', 'El device no está activo');
+    }
+    if (!device.topic) {
+        throw buildError(409, 'DEVICE_NO_TOPIC', 'El device no tiene topic MQTT configurado');
+    }
+
+    const id = generateUuidV7();
+    const publicCode = generatePublicCode('CMD');
+    const correlationId = crypto.randomUUID();
+    const ackTimeout = timeoutSeconds ?? config.deviceCommands.ackTimeout;
+    const issuedAt = new Date();
+    const timeoutAt = new Date(issuedAt.getTime() + ackTimeout * 1000);
+    const ackTopic = getAckTopic(device.topic);
+
+    await repository.createCommand({
+        id,
+        publicCode,
+        correlationId,
+        deviceId: device.id,
+        organizationId: device.organizationId,
+        command,
+        params,
+        topic: device.topic,
+        status: 'pending',
+        source,
+        requestedBy: userId,
+        timeoutAt
+    });
+
+    // Suscribir el ack antes de publicar para no perder respuestas inmediatas
+    watchAck(correlationId, id, ackTopic, ackTimeout);
+
+    let publishError = null;
+    try {
+        await publishToTopic(device.topic, JSON.stringify({
+            type: 'command',
+            correlationId,
+            command,
+            params,
+            issuedAt: issuedAt.toISOString(),
+            timeoutAt: timeoutAt.toISOString(),
+            replyTo: ackTopic
+        }));
+        await repository.transitionCommand(id, { status: 'sent', sentAt: new Date() }, ['pending']);
+    } catch (error) {
+        publishError = error;
+        releaseAck(correlationId);
+        await repository.transitionCommand(id, { status: 'failed', error: error.message }, ['pending']);
+        commandsLogger.error({ err: error, commandId: publicCode, deviceId: device.publicCode }, 'Error publicando comando MQTT');
+    }
+
+    await logAuditAction({
+        entityType:    'device',
+        entityId:      device.id,
+        action:        'send_command',
+        performedBy:   userId,
+        changes:       { command, params },
+        metadata:      {
+            commandId: publicCode,
+            source,
+            topic: device.topic,
+            status: publishError ? 'failed' : 'sent',
+            organizationId: device.organizationId
+        },
+        ipAddress,
+        userAgent,
+        correlationId
+    });
+
+    if (publishError) {
+        throw buildError(503, 'MQTT_UNAVAILABLE', 'No se pudo publicar el comando en el broker MQTT');
+    }
+
+    commandsLogger.info({ commandId: publicCode, deviceId: device.publicCode, command, source }, 'Comando enviado a device');
+
+    return repository.toCommandDto(await repository.findCommandById(id));
+};
+
+/**
+ * Historial de comandos de un device
+ * @param {Device} device
+ * @param {Object} filters - { status, command, limit, offset }
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listCommands = async (device, filters) =>
+    repository.listDeviceCommands({ deviceId: device.id, ...filters });
+
+/**
+ * Detalle de un comando de un device
+ * @param {Device} device
+ * @param {string} commandPublicCode
+ * @returns {Promise<Object>}
+ */
+export const getCommand = async (device, commandPublicCode) => {
+    const command = await repository.findDeviceCommand(device.id, commandPublicCode);
+    if (!command) {
+        throw buildError(404, 'DEVICE_COMMAND_NOT_FOUND', 'Comando no encontrado');
+    }
+    return repository.toCommandDto(command);
+};
+
+const expireOverdueCommands = async () => {
+    try {
+        const expired = await repository.expireOverdueCommands(new Date());
+        for (const command of expired) {
+            releaseAck(command.correlationId);
+            await pushCommandResult(command.id);
+        }
+        if (expired.length) {
+            commandsLogger.info({ count: expired.length }, 'Comandos vencidos marcados como timeout');
+        }
+    } catch (error) {
+        commandsLogger.error({ err: error }, 'Error en barrido de comandos vencidos');
+    }
+};
+
+/**
+ * Inicia el barrido periódico de comandos sin ack vencidos
+ * (los de esta instancia se resuelven con su propio timer; el barrido cubre reinicios)
+ * @returns {Function} Función para detener el tracker
+ */
+export const startCommandTracker = () => {
+    expireOverdueCommands();
+    const sweepTimer = setInterval(expireOverdueCommands, EXPIRE_SWEEP_INTERVAL_MS);
+
+    commandsLogger.info('✅ Tracker de comandos a devices iniciado');
+
+    return () => {
+        clearInterval(sweepTimer);
+        for (const correlationId of [...pendingAcks.keys()]) {
+            releaseAck(correlationId);
+        }
+    };
+};
@@ -35,6 +35,11 @@ const parseId = (idString) => {
     return isNaN(id) ? null : id;
 };
 
+/**
+ * Helper para validar umbrales de presencia (segundos enteros positivos o null = default global)
+ */
+const isValidPresenceThreshold = (value) => value === undefined || value === null || (Number.isInteger(value) && value > 0);
+
 // ============================================
 // CATALOG USAGE (auditoría de dependencias)
 // ============================================
@@ -142,11 +147,21 @@ export const getDeviceType = async (req, res) => {
 
 export const createDeviceType = async (req, res) => {
     try {
-        const { code, icon, displayOrder, isActive } = req.body;
+        const { code, icon, displayOrder, isActive, presenceOnlineSeconds, presenceOfflineSeconds } = req.body;
+        if (!isValidPresenceThreshold(presenceOnlineSeconds) || !isValidPresenceThreshold(presenceOfflineSeconds)) {
+            return res.status(400).json({ success: false, error: 'Los umbrales de presencia deben ser enteros positivos (segundos)' });
+        }
         const translations = extractTranslations(req.body);
         
         const data = await services.createDeviceType(
-            { code, icon, displayOrder: displayOrder || 0, isActive: isActive !== false },
+            {
+                code,
+                icon,
+                displayOrder: displayOrder || 0,
+                isActive: isActive !== false,
+                presenceOnlineSeconds: presenceOnlineSeconds ?? null,
+                presenceOfflineSeconds: presenceOfflineSeconds ?? null
+            },
             translations
         );
         return res.status(201).json({ success: true, data });
@@ -165,7 +180,10 @@ export const updateDeviceType = async (req, res) => {
         if (!id) {
             return res.status(400).json({ success: false, error: 'ID inválido' });
         }
-        const { code, icon, displayOrder, isActive } = req.body;
+        const { code, icon, displayOrder, isActive, presenceOnlineSeconds, presenceOfflineSeconds } = req.body;
+        if (!isValidPresenceThreshold(presenceOnlineSeconds) || !isValidPresenceThreshold(presenceOfflineSeconds)) {
+            return res.status(400).json({ success: false, error: 'Los umbrales de presencia deben ser enteros positivos (segundos)' });
+        }
         const translations = extractTranslations(req.body);
         
         const updateData = {};
@@ -173,6 +191,8 @@ export const updateDeviceType = async (req, res) => {
         if (icon !== undefined) updateData.icon = icon;
         if (displayOrder !== undefined) updateData.displayOrder = displayOrder;
         if (isActive !== undefined) updateData.isActive = isActive;
+        if (presenceOnlineSeconds !== undefined) updateData.presenceOnlineSeconds = presenceOnlineSeconds;
+        if (presenceOfflineSeconds !== undefined) updateData.presenceOfflineSeconds = presenceOfflineSeconds;
         
         const data = await services.updateDeviceType(id, updateData, translations);
         if (!data) {
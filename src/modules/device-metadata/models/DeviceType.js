@@ -27,6 +27,16 @@ const DeviceType = sequelize.define('DeviceType', {
         allowNull: false,
         defaultValue: 0
     },
+    presenceOnlineSeconds: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Segundos sin tráfico hasta pasar de online a stale (null = default de config.presence)'
+    },
+    presenceOfflineSeconds: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Segundos sin tráfico hasta pasar a offline (null = default de config.presence)'
+    },
     isActive: {
         type: DataTypes.BOOLEAN,
         allowNull: false,
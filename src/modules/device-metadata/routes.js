@@ -5,7 +5,7 @@
 
 import { Router } from 'express';
 import * as controller from './controller.js';
-import { authenticate, requireRole } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 
 const router = Router();
 
@@ -25,7 +25,7 @@ router.get('/metadata', authenticate, controller.getAllMetadata);
  * @desc Invalida el caché de metadata
  * @access Admin
  */
-router.post('/metadata/invalidate-cache', authenticate, requireRole(['system-admin']), controller.invalidateCache);
+router.post('/metadata/invalidate-cache', authenticate, requirePermission('device_metadata.manage'), controller.invalidateCache);
 
 // ============================================
 // DEVICE TYPES CRUD
@@ -33,10 +33,10 @@ router.post('/metadata/invalidate-cache', authenticate, requireRole(['system-adm
 
 router.get('/types', authenticate, controller.listDeviceTypes);
 router.get('/types/:id', authenticate, controller.getDeviceType);
-router.get('/types/:id/usage', authenticate, requireRole(['system-admin']), controller.getDeviceTypeUsage);
-router.post('/types', authenticate, requireRole(['system-admin']), controller.createDeviceType);
-router.put('/types/:id', authenticate, requireRole(['system-admin']), controller.updateDeviceType);
-router.delete('/types/:id', authenticate, requireRole(['system-admin']), controller.deleteDeviceType);
+router.get('/types/:id/usage', authenticate, requirePermission('device_metadata.manage'), controller.getDeviceTypeUsage);
+router.post('/types', authenticate, requirePermission('device_metadata.manage'), controller.createDeviceType);
+router.put('/types/:id', authenticate, requirePermission('device_metadata.manage'), controller.updateDeviceType);
+router.delete('/types/:id', authenticate, requirePermission('device_metadata.manage'), controller.deleteDeviceType);
 
 // ============================================
 // DEVICE BRANDS CRUD
@@ -44,10 +44,10 @@ router.delete('/types/:id', authenticate, requireRole(['system-admin']), control
 
 router.get('/brands', authenticate, controller.listDeviceBrands);
 router.get('/brands/:id', authenticate, controller.getDeviceBrand);
-router.get('/brands/:id/usage', authenticate, requireRole(['system-admin']), controller.getDeviceBrandUsage);
-router.post('/brands', authenticate, requireRole(['system-admin']), controller.createDeviceBrand);
-router.put('/brands/:id', authenticate, requireRole(['system-admin']), controller.updateDeviceBrand);
-router.delete('/brands/:id', authenticate, requireRole(['system-admin']), controller.deleteDeviceBrand);
+router.get('/brands/:id/usage', authenticate, requirePermission('device_metadata.manage'), controller.getDeviceBrandUsage);
+router.post('/brands', authenticate, requirePermission('device_metadata.manage'), controller.createDeviceBrand);
+router.put('/brands/:id', authenticate, requirePermission('device_metadata.manage'), controller.updateDeviceBrand);
+router.delete('/brands/:id', authenticate, requirePermission('device_metadata.manage'), controller.deleteDeviceBrand);
 
 // ============================================
 // DEVICE MODELS CRUD
@@ -55,10 +55,10 @@ router.delete('/brands/:id', authenticate, requireRole(['system-admin']), contro
 
 router.get('/models', authenticate, controller.listDeviceModels);
 router.get('/models/:id', authenticate, controller.getDeviceModel);
-router.get('/models/:id/usage', authenticate, requireRole(['system-admin']), controller.getDeviceModelUsage);
-router.post('/models', authenticate, requireRole(['system-admin']), controller.createDeviceModel);
-router.put('/models/:id', authenticate, requireRole(['system-admin']), controller.updateDeviceModel);
-router.delete('/models/:id', authenticate, requireRole(['system-admin']), controller.deleteDeviceModel);
+router.get('/models/:id/usage', authenticate, requirePermission('device_metadata.manage'), controller.getDeviceModelUsage);
+router.post('/models', authenticate, requirePermission('device_metadata.manage'), controller.createDeviceModel);
+router.put('/models/:id', authenticate, requirePermission('device_metadata.manage'), controller.updateDeviceModel);
+router.delete('/models/:id', authenticate, requirePermission('device_metadata.manage'), controller.deleteDeviceModel);
 
 // ============================================
 // DEVICE SERVERS CRUD
@@ -66,10 +66,10 @@ router.delete('/models/:id', authenticate, requireRole(['system-admin']), contro
 
 router.get('/servers', authenticate, controller.listDeviceServers);
 router.get('/servers/:id', authenticate, controller.getDeviceServer);
-router.get('/servers/:id/usage', authenticate, requireRole(['system-admin']), controller.getDeviceServerUsage);
-router.post('/servers', authenticate, requireRole(['system-admin']), controller.createDeviceServer);
-router.put('/servers/:id', authenticate, requireRole(['system-admin']), controller.updateDeviceServer);
-router.delete('/servers/:id', authenticate, requireRole(['system-admin']), controller.deleteDeviceServer);
+router.get('/servers/:id/usage', authenticate, requirePermission('device_metadata.manage'), controller.getDeviceServerUsage);
+router.post('/servers', authenticate, requirePermission('device_metadata.manage'), controller.createDeviceServer);
+router.put('/servers/:id', authenticate, requirePermission('device_metadata.manage'), controller.updateDeviceServer);
+router.delete('/servers/:id', authenticate, requirePermission('device_metadata.manage'), controller.deleteDeviceServer);
 
 // ============================================
 // DEVICE NETWORKS CRUD
@@ -77,10 +77,10 @@ router.delete('/servers/:id', authenticate, requireRole(['system-admin']), contr
 
 router.get('/networks', authenticate, controller.listDeviceNetworks);
 router.get('/networks/:id', authenticate, controller.getDeviceNetwork);
-router.get('/networks/:id/usage', authenticate, requireRole(['system-admin']), controller.getDeviceNetworkUsage);
-router.post('/networks', authenticate, requireRole(['system-admin']), controller.createDeviceNetwork);
-router.put('/networks/:id', authenticate, requireRole(['system-admin']), controller.updateDeviceNetwork);
-router.delete('/networks/:id', authenticate, requireRole(['system-admin']), controller.deleteDeviceNetwork);
+router.get('/networks/:id/usage', authenticate, requirePermission('device_metadata.manage'), controller.getDeviceNetworkUsage);
+router.post('/networks', authenticate, requirePermission('device_metadata.manage'), controller.createDeviceNetwork);
+router.put('/networks/:id', authenticate, requirePermission('device_metadata.manage'), controller.updateDeviceNetwork);
+router.delete('/networks/:id', authenticate, requirePermission('device_metadata.manage'), controller.deleteDeviceNetwork);
 
 // ============================================
 // DEVICE LICENSES CRUD
@@ -88,10 +88,10 @@ router.delete('/networks/:id', authenticate, requireRole(['system-admin']), cont
 
 router.get('/licenses', authenticate, controller.listDeviceLicenses);
 router.get('/licenses/:id', authenticate, controller.getDeviceLicense);
-router.get('/licenses/:id/usage', authenticate, requireRole(['system-admin']), controller.getDeviceLicenseUsage);
-router.post('/licenses', authenticate, requireRole(['system-admin']), controller.createDeviceLicense);
-router.put('/licenses/:id', authenticate, requireRole(['system-admin']), controller.updateDeviceLicense);
-router.delete('/licenses/:id', authenticate, requireRole(['system-admin']), controller.deleteDeviceLicense);
+router.get('/licenses/:id/usage', authenticate, requirePermission('device_metadata.manage'), controller.getDeviceLicenseUsage);
+router.post('/licenses', authenticate, requirePermission('device_metadata.manage'), controller.createDeviceLicense);
+router.put('/licenses/:id', authenticate, requirePermission('device_metadata.manage'), controller.updateDeviceLicense);
+router.delete('/licenses/:id', authenticate, requirePermission('device_metadata.manage'), controller.deleteDeviceLicense);
 
 // ============================================
 // DEVICE VALIDITY PERIODS CRUD
@@ -99,10 +99,10 @@ router.delete('/licenses/:id', authenticate, requireRole(['system-admin']), cont
 
 router.get('/validity-periods', authenticate, controller.listDeviceValidityPeriods);
 router.get('/validity-periods/:id', authenticate, controller.getDeviceValidityPeriod);
-router.get('/validity-periods/:id/usage', authenticate, requireRole(['system-admin']), controller.getDeviceValidityPeriodUsage);
-router.post('/validity-periods', authenticate, requireRole(['system-admin']), controller.createDeviceValidityPeriod);
-router.put('/validity-periods/:id', authenticate, requireRole(['system-admin']), controller.updateDeviceValidityPeriod);
-router.delete('/validity-periods/:id', authenticate, requireRole(['system-admin']), controller.deleteDeviceValidityPeriod);
+router.get('/validity-periods/:id/usage', authenticate, requirePermission('device_metadata.manage'), controller.getDeviceValidityPeriodUsage);
+router.post('/validity-periods', authenticate, requirePermission('device_metadata.manage'), controller.createDeviceValidityPeriod);
+router.put('/validity-periods/:id', authenticate, requirePermission('device_metadata.manage'), controller.updateDeviceValidityPeriod);
+router.delete('/validity-periods/:id', authenticate, requirePermission('device_metadata.manage'), controller.deleteDeviceValidityPeriod);
 
 // ============================================
 // UNIT SCALES
@@ -111,8 +111,8 @@ router.delete('/validity-periods/:id', authenticate, requireRole(['system-admin'
 router.get('/unit-scales', authenticate, controller.listUnitScales);
 router.get('/unit-scales/by-unit/:baseUnit', authenticate, controller.listUnitScalesByBaseUnit);
 router.get('/unit-scales/:id', authenticate, controller.getUnitScale);
-router.post('/unit-scales', authenticate, requireRole(['system-admin']), controller.createUnitScale);
-router.put('/unit-scales/:id', authenticate, requireRole(['system-admin']), controller.updateUnitScale);
-router.delete('/unit-scales/:id', authenticate, requireRole(['system-admin']), controller.deleteUnitScale);
+router.post('/unit-scales', authenticate, requirePermission('device_metadata.manage'), controller.createUnitScale);
+router.put('/unit-scales/:id', authenticate, requirePermission('device_metadata.manage'), controller.updateUnitScale);
+router.delete('/unit-scales/:id', authenticate, requirePermission('device_metadata.manage'), controller.deleteUnitScale);
 
 export default router;
@@ -68,6 +68,8 @@ const toDTOWithTranslations = (model) => {
         ...(json.specs && { specs: json.specs }),
         ...(json.brand && { brandId: json.brand.id, brandCode: json.brand.code }),
         ...(json.deviceBrandId && { deviceBrandId: json.deviceBrandId }),
+        ...(json.presenceOnlineSeconds !== undefined && { presenceOnlineSeconds: json.presenceOnlineSeconds }),
+        ...(json.presenceOfflineSeconds !== undefined && { presenceOfflineSeconds: json.presenceOfflineSeconds }),
         isActive: json.isActive,
         displayOrder: json.displayOrder,
         translations
@@ -0,0 +1,84 @@
+// modules/devices/connectivity.js
+// Estado de conectividad derivado de lastSeenAt (lógica pura, sin IO)
+
+import { config } from '../../config/env.js';
+
+/**
+ * Estados de conectividad:
+ * - online: tráfico dentro de onlineSeconds
+ * - stale: sin tráfico reciente, pero todavía dentro de offlineSeconds
+ * - offline: sin tráfico por más de offlineSeconds (o nunca visto)
+ */
+export const CONNECTIVITY_STATES = {
+    ONLINE: 'online',
+    STALE: 'stale',
+    OFFLINE: 'offline'
+};
+
+/**
+ * Umbrales efectivos de un tipo de equipo: los del DeviceType o, si no tiene, los de config.presence.
+ * offlineSeconds nunca queda por debajo de onlineSeconds.
+ *
+ * @param {{ presenceOnlineSeconds?: number|null, presenceOfflineSeconds?: number|null }|null} deviceType
+ * @param {{ onlineSeconds: number, offlineSeconds: number }} [defaults]
+ * @returns {{ onlineSeconds: number, offlineSeconds: number }}
+ */
+export const resolvePresenceThresholds = (deviceType, defaults = config.presence) => {
+    const onlineSeconds = deviceType?.presenceOnlineSeconds ?? defaults.onlineSeconds;
+    const offlineSeconds = deviceType?.presenceOfflineSeconds ?? defaults.offlineSeconds;
+    return { onlineSeconds, offlineSeconds: Math.max(offlineSeconds, onlineSeconds) };
+};
+
+/**
+ * Deriva el estado de conectividad a partir del último contacto
+ *
+ * @param {Date|string|number|null} lastSeenAt
+ * @param {{ onlineSeconds: number, offlineSeconds: number }} thresholds
+ * @param {number} [now] - Epoch ms
+ * @returns {string} Uno de CONNECTIVITY_STATES
+ */
+export const deriveConnectivity = (lastSeenAt, thresholds, now = Date.now()) => {
+    if (!lastSeenAt) return CONNECTIVITY_STATES.OFFLINE;
+
+    const seenAt = new Date(lastSeenAt).getTime();
+    if (Number.isNaN(seenAt)) return CONNECTIVITY_STATES.OFFLINE;
+
+    const silenceSeconds = (now - seenAt) / 1000;
+    if (silenceSeconds <= thresholds.onlineSeconds) return CONNECTIVITY_STATES.ONLINE;
+    if (silenceSeconds <= thresholds.offlineSeconds) return CONNECTIVITY_STATES.STALE;
+    return CONNECTIVITY_STATES.OFFLINE;
+};
+
+/**
+ * Acumula el último contacto por clave en un buffer (se queda con el más reciente)
+ *
+ * @param {Map<string, number>} buffer
+ * @param {string} key
+ * @param {number} ts - Epoch ms
+ */
+export const recordLatest = (buffer, key, ts) => {
+    const previous = buffer.get(key);
+    if (previous === undefined || ts > previous) buffer.set(key, ts);
+};
+
+/**
+ * Convierte los campos del buffer de canales ("{deviceUuid}|{ch}" -> ms) en entradas para el volcado.
+ * Descarta campos malformados.
+ *
+ * @param {Object<string, string|number>} fields
+ * @returns {Array<{ deviceUuid: string, ch: number, ts: number }>}
+ */
+export const parseChannelBuffer = (fields) => {
+    const entries = [];
+    for (const [field, value] of Object.entries(fields)) {
+        const separator = field.lastIndexOf('|');
+        if (separator <= 0) continue;
+
+        const ch = Number(field.slice(separator + 1));
+        const ts = Number(value);
+        if (!Number.isInteger(ch) || !Number.isFinite(ts)) continue;
+
+        entries.push({ deviceUuid: field.slice(0, separator), ch, ts });
+    }
+    return entries;
+};
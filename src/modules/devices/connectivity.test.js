@@ -0,0 +1,72 @@
+// modules/devices/connectivity.test.js
+// Tests del estado de conectividad derivado (modules/devices/connectivity.js)
+// Funciones puras: no requiere BD, Redis ni MQTT.
+
+import { describe, it, expect } from 'vitest';
+import {
+    CONNECTIVITY_STATES,
+    resolvePresenceThresholds,
+    deriveConnectivity,
+    recordLatest,
+    parseChannelBuffer
+} from './connectivity.js';
+
+const DEFAULTS = { onlineSeconds: 300, offlineSeconds: 1800 };
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const secondsAgo = (seconds) => new Date(NOW - seconds * 1000);
+
+describe('resolvePresenceThresholds', () => {
+    it('sin tipo de equipo usa los defaults', () => {
+        expect(resolvePresenceThresholds(null, DEFAULTS)).toEqual(DEFAULTS);
+    });
+
+    it('los umbrales del tipo sobrescriben solo los definidos', () => {
+        expect(resolvePresenceThresholds({ presenceOnlineSeconds: 60, presenceOfflineSeconds: null }, DEFAULTS))
+            .toEqual({ onlineSeconds: 60, offlineSeconds: 1800 });
+    });
+
+    it('offlineSeconds nunca queda por debajo de onlineSeconds', () => {
+        expect(resolvePresenceThresholds({ presenceOnlineSeconds: 3600 }, DEFAULTS))
+            .toEqual({ onlineSeconds: 3600, offlineSeconds: 3600 });
+    });
+});
+
+describe('deriveConnectivity', () => {
+    it('nunca visto es offline', () => {
+        expect(deriveConnectivity(null, DEFAULTS, NOW)).toBe(CONNECTIVITY_STATES.OFFLINE);
+    });
+
+    it('deriva online, stale y offline según el silencio', () => {
+        expect(deriveConnectivity(secondsAgo(30), DEFAULTS, NOW)).toBe(CONNECTIVITY_STATES.ONLINE);
+        expect(deriveConnectivity(secondsAgo(300), DEFAULTS, NOW)).toBe(CONNECTIVITY_STATES.ONLINE);
+        expect(deriveConnectivity(secondsAgo(301), DEFAULTS, NOW)).toBe(CONNECTIVITY_STATES.STALE);
+        expect(deriveConnectivity(secondsAgo(1800), DEFAULTS, NOW)).toBe(CONNECTIVITY_STATES.STALE);
+        expect(deriveConnectivity(secondsAgo(1801), DEFAULTS, NOW)).toBe(CONNECTIVITY_STATES.OFFLINE);
+    });
+
+    it('acepta fechas serializadas (ISO) como en las listas cacheadas', () => {
+        expect(deriveConnectivity(secondsAgo(10).toISOString(), DEFAULTS, NOW)).toBe(CONNECTIVITY_STATES.ONLINE);
+    });
+});
+
+describe('recordLatest', () => {
+    it('se queda con el contacto más reciente de cada clave', () => {
+        const buffer = new Map();
+        recordLatest(buffer, 'dev-1', 200);
+        recordLatest(buffer, 'dev-1', 100);
+        recordLatest(buffer, 'dev-2', 50);
+
+        expect(Object.fromEntries(buffer)).toEqual({ 'dev-1': 200, 'dev-2': 50 });
+    });
+});
+
+describe('parseChannelBuffer', () => {
+    it('convierte los campos del hash y descarta los malformados', () => {
+        expect(parseChannelBuffer({
+            'a1b2|5': '1760875200000',
+            'a1b2|x': '1760875200000',
+            'sin-canal': '1760875200000',
+            'c3d4|2': 'no-es-numero'
+        })).toEqual([{ deviceUuid: 'a1b2', ch: 5, ts: 1760875200000 }]);
+    });
+});
@@ -2,6 +2,7 @@
 // Schemas de validación con Zod para endpoints de Devices
 
 import { z } from 'zod';
+import { createBulkSchema } from '../../../helpers/bulkSchema.js';
 
 /**
  * Regex para validación de direcciones IP (IPv4 e IPv6)
@@ -452,6 +453,11 @@ export const getDevicesSchema = z.object({
         status: z
             .enum(['active', 'inactive', 'maintenance', 'decommissioned'])
             .optional(),
+        connectivity: z
+            .enum(['online', 'stale', 'offline'], {
+                errorMap: () => ({ message: 'connectivity debe ser: online, stale u offline' })
+            })
+            .optional(),
         is_active: z
             .string()
             .transform((val) => val === 'true')
@@ -536,6 +542,237 @@ export const deleteDeviceSchema = z.object({
     })
 });
 
+/**
+ * Schema para el resumen de conectividad del parque
+ * GET /devices/connectivity/summary
+ */
+export const getConnectivitySummarySchema = z.object({
+    query: z.object({
+        site_id: z
+            .string()
+            .optional()
+    }).transform((data) => ({ siteId: data.site_id }))
+});
+
+/**
+ * Schema para el historial de transiciones de conectividad de un device
+ * GET /devices/:id/connectivity-events
+ */
+export const getConnectivityEventsSchema = z.object({
+    params: z.object({
+        id: z
+            .string({
+                required_error: 'ID del device es requerido'
+            })
+            .min(1, 'ID del device no puede estar vacío')
+    }),
+    query: z.object({
+        from: z
+            .string()
+            .datetime({ offset: true, message: 'from debe ser una fecha ISO 8601' })
+            .transform((val) => new Date(val))
+            .optional(),
+        limit: z
+            .string()
+            .transform((val) => parseInt(val, 10))
+            .refine((val) => val > 0 && val <= 100, {
+                message: 'limit debe estar entre 1 y 100'
+            })
+            .optional()
+            .default('50'),
+        offset: z
+            .string()
+            .transform((val) => parseInt(val, 10))
+            .refine((val) => val >= 0, {
+                message: 'offset debe ser mayor o igual a 0'
+            })
+            .optional()
+            .default('0')
+    })
+});
+
+/**
+ * Schema para el listado de próximos vencimientos de licencias
+ * GET /devices/license-expirations
+ */
+export const getLicenseExpirationsSchema = z.object({
+    query: z.object({
+        days: z
+            .string()
+            .regex(/^\d+$/, 'days debe ser un número')
+            .transform(Number)
+            .refine((val) => val >= 1 && val <= 365, {
+                message: 'days debe estar entre 1 y 365'
+            })
+            .optional()
+            .default('30'),
+        include_expired: z
+            .string()
+            .transform((val) => val === 'true')
+            .optional(),
+        site_id: z
+            .string()
+            .optional(),
+        limit: z
+            .string()
+            .transform((val) => parseInt(val, 10))
+            .refine((val) => val > 0 && val <= 100, {
+                message: 'limit debe estar entre 1 y 100'
+            })
+            .optional()
+            .default('50'),
+        offset: z
+            .string()
+            .transform((val) => parseInt(val, 10))
+            .refine((val) => val >= 0, {
+                message: 'offset debe ser mayor o igual a 0'
+            })
+            .optional()
+            .default('0')
+    }).transform((data) => ({
+        days: data.days,
+        includeExpired: data.include_expired ?? false,
+        siteId: data.site_id,
+        limit: data.limit,
+        offset: data.offset
+    }))
+});
+
+/**
+ * Schema para renovar la licencia de un device
+ * POST /devices/:id/license-renewals
+ * Sin months se usan los meses del período de vigencia (el indicado o el actual del device)
+ */
+export const renewDeviceLicenseSchema = z.object({
+    params: z.object({
+        id: z
+            .string({
+                required_error: 'ID del device es requerido'
+            })
+            .min(1, 'ID del device no puede estar vacío')
+    }),
+    body: z.object({
+        months: z
+            .number()
+            .int('months debe ser un entero')
+            .min(1, 'months debe ser al menos 1')
+            .max(120, 'months no puede exceder 120')
+            .optional(),
+        validityPeriodId: z
+            .number()
+            .int()
+            .positive('validityPeriodId debe ser un entero positivo')
+            .optional(),
+        licenseId: z
+            .number()
+            .int()
+            .positive('licenseId debe ser un entero positivo')
+            .optional(),
+        notes: z
+            .string()
+            .max(1000, 'notes no puede exceder 1000 caracteres')
+            .optional()
+    }).strict()
+});
+
+/**
+ * Schema para el historial de renovaciones de licencia de un device
+ * GET /devices/:id/license-renewals
+ */
+export const getLicenseRenewalsSchema = z.object({
+    params: z.object({
+        id: z
+            .string({
+                required_error: 'ID del device es requerido'
+            })
+            .min(1, 'ID del device no puede estar vacío')
+    }),
+    query: z.object({
+        limit: z
+            .string()
+            .transform((val) => parseInt(val, 10))
+            .refine((val) => val > 0 && val <= 100, {
+                message: 'limit debe estar entre 1 y 100'
+            })
+            .optional()
+            .default('50'),
+        offset: z
+            .string()
+            .transform((val) => parseInt(val, 10))
+            .refine((val) => val >= 0, {
+                message: 'offset debe ser mayor o igual a 0'
+            })
+            .optional()
+            .default('0')
+    })
+});
+
+/**
+ * Schema para el import masivo de devices y canales desde planilla
+ * POST /devices/import
+ */
+export const importDevicesSchema = z.object({
+    body: z.object({
+        format: z
+            .enum(['csv', 'xlsx'], {
+                errorMap: () => ({ message: 'format debe ser: csv o xlsx' })
+            }),
+        content: z
+            .string({
+                required_error: 'content es requerido (archivo en base64)'
+            })
+            .min(1, 'content no puede estar vacío'),
+        organizationId: z
+            .string()
+            .min(1, 'organizationId no puede estar vacío')
+            .optional()
+            .nullable(),
+        siteId: z
+            .string()
+            .min(1, 'siteId no puede estar vacío')
+            .optional()
+            .nullable(),
+        placeInHierarchy: z
+            .boolean()
+            .optional()
+            .default(false),
+        dryRun: z
+            .boolean()
+            .optional()
+            .default(false)
+    }).refine((body) => !body.placeInHierarchy || body.siteId, {
+        message: 'placeInHierarchy requiere siteId',
+        path: ['placeInHierarchy']
+    })
+});
+
+/**
+ * Schema para edición y acciones masivas sobre devices
+ * PATCH /devices/bulk
+ * Los identificadores únicos (uuid, name, serialNumber, red, topic) no se editan en masa
+ */
+export const bulkDevicesSchema = createBulkSchema({
+    filterSchema: z.object({
+        siteId: z.string().min(1, 'siteId no puede estar vacío').optional(),
+        deviceTypeId: z.number().int().positive().optional(),
+        status: z.enum(['active', 'inactive', 'maintenance', 'decommissioned']).optional(),
+        connectivity: z
+            .enum(['online', 'stale', 'offline'], {
+                errorMap: () => ({ message: 'connectivity debe ser: online, stale u offline' })
+            })
+            .optional(),
+        search: z.string().max(200, 'search no puede exceder 200 caracteres').optional()
+    }),
+    changesSchema: updateDeviceSchema.shape.body.omit({
+        uuid: true,
+        name: true,
+        serialNumber: true,
+        macAddress: true,
+        ipAddress: true,
+        topic: true
+    })
+});
+
 /**
  * Función de validación genérica
  * Extrae y formatea errores de Zod
@@ -1,6 +1,8 @@
 // modules/devices/helpers/serializers.js
 // Serializadores para convertir modelos internos a DTOs públicos
 
+import { deriveConnectivity, resolvePresenceThresholds } from '../connectivity.js';
+
 /**
  * Convertir modelo Device a DTO público
  * Expone publicCode como 'id', oculta UUID interno
@@ -39,6 +41,7 @@ export const toPublicDeviceDto = (device) => {
         warrantyMonths: device.warrantyMonths,
         expirationDate: device.expirationDate,
         lastSeenAt: device.lastSeenAt,
+        connectivity: deriveConnectivity(device.lastSeenAt, resolvePresenceThresholds(device.deviceType)),
         metadata: device.metadata || {},
         isActive: device.isActive,
         createdAt: device.createdAt,
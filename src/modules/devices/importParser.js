@@ -0,0 +1,390 @@
+// modules/devices/importParser.js
+// Parseo y armado del import masivo de devices/canales desde planilla (lógica pura, sin IO)
+//
+// Layout: una fila por canal. Las filas se agrupan por device_name; las columnas de device
+// se toman de la primera fila del grupo que las informe. Un device sin canales ocupa una fila
+// con las columnas de canal vacías.
+
+/**
+ * Columnas reconocidas (header normalizado -> campo)
+ * scope: 'device' | 'channel'
+ * type: string | number | integer | boolean | date | code (catálogo, se resuelve a id) | raw
+ */
+export const IMPORT_COLUMNS = {
+    device_name: { scope: 'device', field: 'name', type: 'string' },
+    device_description: { scope: 'device', field: 'description', type: 'string' },
+    uuid: { scope: 'device', field: 'uuid', type: 'string' },
+    device_type: { scope: 'device', field: 'deviceType', type: 'code' },
+    brand: { scope: 'device', field: 'brand', type: 'code' },
+    model: { scope: 'device', field: 'model', type: 'code' },
+    server: { scope: 'device', field: 'server', type: 'code' },
+    network: { scope: 'device', field: 'network', type: 'code' },
+    license: { scope: 'device', field: 'license', type: 'code' },
+    validity_period: { scope: 'device', field: 'validityPeriod', type: 'code' },
+    topic: { scope: 'device', field: 'topic', type: 'string' },
+    status: { scope: 'device', field: 'status', type: 'string' },
+    firmware_version: { scope: 'device', field: 'firmwareVersion', type: 'string' },
+    serial_number: { scope: 'device', field: 'serialNumber', type: 'string' },
+    ip_address: { scope: 'device', field: 'ipAddress', type: 'string' },
+    mac_address: { scope: 'device', field: 'macAddress', type: 'string' },
+    location_name: { scope: 'device', field: 'locationName', type: 'string' },
+    physical_location: { scope: 'device', field: 'physicalLocation', type: 'string' },
+    electrical_location: { scope: 'device', field: 'electricalLocation', type: 'string' },
+    latitude: { scope: 'device', field: 'latitude', type: 'number' },
+    longitude: { scope: 'device', field: 'longitude', type: 'number' },
+    city: { scope: 'device', field: 'city', type: 'string' },
+    timezone: { scope: 'device', field: 'timezone', type: 'string' },
+    installation_date: { scope: 'device', field: 'installationDate', type: 'date' },
+    warranty_months: { scope: 'device', field: 'warrantyMonths', type: 'integer' },
+    expiration_date: { scope: 'device', field: 'expirationDate', type: 'date' },
+    is_active: { scope: 'device', field: 'isActive', type: 'boolean' },
+    channel_name: { scope: 'channel', field: 'name', type: 'string' },
+    channel_description: { scope: 'channel', field: 'description', type: 'string' },
+    channel_index: { scope: 'channel', field: 'channelIndex', type: 'integer' },
+    measurement_type: { scope: 'channel', field: 'measurementType', type: 'code' },
+    system: { scope: 'channel', field: 'system', type: 'string' },
+    phase: { scope: 'channel', field: 'phase', type: 'integer' },
+    process: { scope: 'channel', field: 'process', type: 'boolean' },
+    channel_status: { scope: 'channel', field: 'status', type: 'string' },
+    channel_is_active: { scope: 'channel', field: 'isActive', type: 'boolean' },
+    val1: { scope: 'channel', field: 'val1', type: 'raw' },
+    val2: { scope: 'channel', field: 'val2', type: 'raw' },
+    val3: { scope: 'channel', field: 'val3', type: 'raw' },
+    val4: { scope: 'channel', field: 'val4', type: 'raw' },
+    val5: { scope: 'channel', field: 'val5', type: 'raw' },
+    val6: { scope: 'channel', field: 'val6', type: 'raw' },
+    val7: { scope: 'channel', field: 'val7', type: 'raw' },
+    val8: { scope: 'channel', field: 'val8', type: 'raw' }
+};
+
+// Catálogos del device: campo con el código -> FK del createDeviceSchema
+const DEVICE_CATALOG_FIELDS = [
+    ['deviceType', 'deviceTypeId'],
+    ['brand', 'brandId'],
+    ['server', 'serverId'],
+    ['network', 'networkId'],
+    ['license', 'licenseId'],
+    ['validityPeriod', 'validityPeriodId']
+];
+
+const TRUE_VALUES = ['true', '1', 'si', 'sí', 'yes', 'verdadero', 'x'];
+const FALSE_VALUES = ['false', '0', 'no', 'falso'];
+
+/**
+ * Normaliza un header de la planilla: minúsculas, sin BOM, espacios/guiones -> "_"
+ * @param {*} header
+ * @returns {string}
+ */
+export const normalizeHeader = (header) => String(header ?? '')
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+
+/**
+ * Detecta el separador de un CSV a partir de su primera línea (Excel en español exporta con ";")
+ * @param {string} text
+ * @returns {string} ',' | ';' | '\t'
+ */
+export const detectCsvDelimiter = (text) => {
+    const firstLine = String(text).split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+    const [best] = counts.sort((a, b) => b[1] - a[1]);
+    return best[1] > 0 ? best[0] : ',';
+};
+
+/**
+ * Convierte el valor de una celda de exceljs a un primitivo
+ * (rich text, hipervínculos y fórmulas se reducen a su texto/resultado; errores a null)
+ * @param {*} value
+ * @returns {string|number|boolean|Date|null}
+ */
+export const cellToValue = (value) => {
+    if (value == null) return null;
+    if (value instanceof Date || typeof value !== 'object') return value;
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return cellToValue(value.result);
+    if ('text' in value) return cellToValue(value.text);
+    return null;
+};
+
+const issue = (row, column, code, message) => ({ row, column, code, message });
+
+/**
+ * Convierte un valor al tipo de la columna
+ * @returns {{ value?: *, error?: { code: string, message: string } }} value undefined = celda vacía
+ */
+const coerceValue = (raw, type) => {
+    if (raw == null) return {};
+    if (typeof raw === 'string' && raw.trim() === '') return {};
+
+    if (type === 'number' || type === 'integer') {
+        const num = typeof raw === 'number' ? raw : Number(String(raw).trim().replace(',', '.'));
+        if (!Number.isFinite(num)) {
+            return { error: { code: 'INVALID_NUMBER', message: `"${raw}" no es un número` } };
+        }
+        if (type === 'integer' && !Number.isInteger(num)) {
+            return { error: { code: 'INVALID_INTEGER', message: `"${raw}" no es un entero` } };
+        }
+        return { value: num };
+    }
+
+    if (type === 'boolean') {
+        if (typeof raw === 'boolean') return { value: raw };
+        const normalized = String(raw).trim().toLowerCase();
+        if (TRUE_VALUES.includes(normalized)) return { value: true };
+        if (FALSE_VALUES.includes(normalized)) return { value: false };
+        return { error: { code: 'INVALID_BOOLEAN', message: `"${raw}" no es un booleano (true/false, si/no, 1/0)` } };
+    }
+
+    if (raw instanceof Date) {
+        if (Number.isNaN(raw.getTime())) {
+            return { error: { code: 'INVALID_DATE', message: 'Fecha inválida' } };
+        }
+        return { value: raw.toISOString().slice(0, 10) };
+    }
+
+    if (type === 'raw') {
+        return { value: typeof raw === 'string' ? raw.trim() : raw };
+    }
+    return { value: String(raw).trim() };
+};
+
+/**
+ * Parsea las filas de la hoja (la primera es el header)
+ * Las filas vacías se ignoran; rowNumber es la línea de la planilla (header = 1).
+ *
+ * @param {Array<Array<*>>} matrix - Filas de valores primitivos (ver cellToValue)
+ * @returns {{ rows: Object[], issues: Object[], unknownColumns: string[] }}
+ *   rows: [{ rowNumber, device: {...}, channel: {...}|null }]
+ */
+export const parseImportSheet = (matrix) => {
+    const [headerRow = [], ...dataRows] = matrix;
+    const headers = headerRow.map(normalizeHeader);
+
+    if (!headers.includes('device_name')) {
+        const error = new Error('La planilla debe tener una columna device_name');
+        error.status = 400;
+        error.code = 'IMPORT_MISSING_COLUMNS';
+        error.details = [{ field: 'device_name', message: 'Columna requerida', code: 'MISSING_COLUMN' }];
+        throw error;
+    }
+
+    const unknownColumns = headers.filter(header => header && !IMPORT_COLUMNS[header]);
+    const rows = [];
+    const issues = [];
+
+    dataRows.forEach((cells, index) => {
+        const rowNumber = index + 2;
+        const device = {};
+        let channel = null;
+        let hasValues = false;
+
+        headers.forEach((header, columnIndex) => {
+            const column = IMPORT_COLUMNS[header];
+            if (!column) return;
+
+            const { value, error } = coerceValue(cells?.[columnIndex], column.type);
+            if (error) {
+                hasValues = true;
+                issues.push(issue(rowNumber, header, error.code, error.message));
+                return;
+            }
+            if (value === undefined) return;
+
+            hasValues = true;
+            if (column.scope === 'device') {
+                device[column.field] = value;
+            } else {
+                channel = channel ?? {};
+                channel[column.field] = value;
+            }
+        });
+
+        if (!hasValues) return;
+
+        if (!device.name) {
+            issues.push(issue(rowNumber, 'device_name', 'MISSING_DEVICE_NAME', 'device_name es requerido en cada fila'));
+            return;
+        }
+        if (channel && !channel.name) {
+            issues.push(issue(rowNumber, 'channel_name', 'MISSING_CHANNEL_NAME', 'channel_name es requerido si la fila informa datos de canal'));
+            channel = null;
+        }
+
+        rows.push({ rowNumber, device, channel });
+    });
+
+    return { rows, issues, unknownColumns };
+};
+
+/**
+ * Nombre de columna de la planilla para un campo (para reportar errores del DTO)
+ * @param {'device'|'channel'} scope
+ * @param {string} field - Campo del createDeviceSchema (acepta FKs de catálogo)
+ * @returns {string}
+ */
+export const columnForField = (scope, field) => {
+    const lookup = field.endsWith('Id') ? field.slice(0, -2) : null;
+    const entry = Object.entries(IMPORT_COLUMNS).find(([, column]) =>
+        column.scope === scope && (column.field === field || column.field === lookup)
+    );
+    return entry ? entry[0] : field;
+};
+
+/**
+ * Agrupa las filas por device (nombre, sin distinguir mayúsculas) manteniendo el orden del archivo
+ * Reporta conflictos en columnas de device y canales duplicados dentro del mismo device.
+ *
+ * @param {Object[]} rows - Salida de parseImportSheet().rows
+ * @returns {{ groups: Object[], issues: Object[] }}
+ *   groups: [{ name, rowNumbers, device, channels: [{ rowNumber, ...campos }] }]
+ */
+export const groupImportRows = (rows) => {
+    const byName = new Map();
+    const issues = [];
+
+    for (const { rowNumber, device, channel } of rows) {
+        const key = device.name.toLowerCase();
+        let group = byName.get(key);
+        if (!group) {
+            group = { name: device.name, rowNumbers: [], device: {}, channels: [] };
+            byName.set(key, group);
+        }
+        group.rowNumbers.push(rowNumber);
+
+        for (const [field, value] of Object.entries(device)) {
+            if (group.device[field] === undefined) {
+                group.device[field] = value;
+            } else if (field !== 'name' && group.device[field] !== value) {
+                issues.push(issue(
+                    rowNumber,
+                    columnForField('device', field),
+                    'DEVICE_FIELD_CONFLICT',
+                    `Valor distinto al de filas anteriores del device "${group.name}": "${value}" vs "${group.device[field]}"`
+                ));
+            }
+        }
+
+        if (!channel) continue;
+
+        const duplicate = group.channels.find(existing => existing.name.toLowerCase() === channel.name.toLowerCase());
+        if (duplicate) {
+            issues.push(issue(
+                rowNumber,
+                'channel_name',
+                'DUPLICATE_CHANNEL_NAME',
+                `El canal "${channel.name}" ya está definido para este device en la fila ${duplicate.rowNumber}`
+            ));
+            continue;
+        }
+        group.channels.push({ rowNumber, ...channel });
+    }
+
+    return { groups: [...byName.values()], issues };
+};
+
+const lookupCode = (catalog, code) => catalog?.get(String(code).toLowerCase());
+
+/**
+ * Resuelve los códigos de catálogo de un grupo a ids y arma el body del createDeviceSchema
+ * Los modelos se resuelven dentro de la marca (código único por marca).
+ *
+ * @param {Object} group - Grupo de groupImportRows()
+ * @param {Object<string, Map<string, number>>} catalogs - Mapas código (minúsculas) -> id:
+ *   deviceType, brand, server, network, license, validityPeriod, measurementType
+ *   y model con clave "{brandId}:{código}"
+ * @returns {{ body: Object, issues: Object[] }}
+ */
+export const buildDeviceBody = (group, catalogs) => {
+    const { deviceType, brand, model, server, network, license, validityPeriod, ...deviceFields } = group.device;
+    const codes = { deviceType, brand, server, network, license, validityPeriod };
+    const firstRow = group.rowNumbers[0];
+    const body = { ...deviceFields };
+    const issues = [];
+
+    for (const [field, idField] of DEVICE_CATALOG_FIELDS) {
+        if (codes[field] === undefined) continue;
+        const id = lookupCode(catalogs[field], codes[field]);
+        if (id === undefined) {
+            issues.push(issue(firstRow, columnForField('device', field), 'CATALOG_CODE_NOT_FOUND', `Código "${codes[field]}" no encontrado o inactivo`));
+            continue;
+        }
+        body[idField] = id;
+    }
+
+    if (model !== undefined) {
+        if (brand === undefined) {
+            issues.push(issue(firstRow, 'model', 'MODEL_REQUIRES_BRAND', 'model requiere la columna brand (los códigos de modelo son únicos por marca)'));
+        } else if (body.brandId !== undefined) {
+            const id = lookupCode(catalogs.model, `${body.brandId}:${model}`);
+            if (id === undefined) {
+                issues.push(issue(firstRow, 'model', 'CATALOG_CODE_NOT_FOUND', `Modelo "${model}" no encontrado o inactivo para la marca "${brand}"`));
+            } else {
+                body.modelId = id;
+            }
+        }
+    }
+
+    if (group.channels.length > 0) {
+        body.channels = group.channels.map(({ rowNumber, measurementType, ...channelFields }) => {
+            if (measurementType === undefined) return channelFields;
+            const id = lookupCode(catalogs.measurementType, measurementType);
+            if (id === undefined) {
+                issues.push(issue(rowNumber, 'measurement_type', 'CATALOG_CODE_NOT_FOUND', `Código "${measurementType}" no encontrado o inactivo`));
+                return channelFields;
+            }
+            return { ...channelFields, measurementTypeId: id };
+        });
+    }
+
+    return { body, issues };
+};
+
+/**
+ * Traduce los issues de Zod (validación del body) a filas/columnas de la planilla
+ * @param {Object[]} zodIssues - error.issues de safeParse
+ * @param {Object} group - Grupo de groupImportRows()
+ * @returns {Object[]}
+ */
+export const mapValidationIssues = (zodIssues, group) => zodIssues.map((zodIssue) => {
+    const [head, index, ...rest] = zodIssue.path;
+    if (head === 'channels' && Number.isInteger(index) && group.channels[index]) {
+        const field = rest.join('.');
+        return issue(group.channels[index].rowNumber, field ? columnForField('channel', field) : 'channel_name', 'VALIDATION_ERROR', zodIssue.message);
+    }
+    const field = zodIssue.path.join('.');
+    return issue(group.rowNumbers[0], field ? columnForField('device', field) : null, 'VALIDATION_ERROR', zodIssue.message);
+});
+
+/**
+ * Reporte por fila: cada fila de la planilla con sus errores
+ * @param {Object[]} rows - Salida de parseImportSheet().rows
+ * @param {Object[]} issues - Todos los issues con row (los de row null son globales y no se incluyen)
+ * @returns {Array<{ row: number, device: string, channel: string|null, valid: boolean, errors: Object[] }>}
+ */
+export const buildRowReport = (rows, issues) => {
+    const byRow = new Map();
+    for (const { row, ...rest } of issues) {
+        if (row == null) continue;
+        if (!byRow.has(row)) byRow.set(row, []);
+        byRow.get(row).push(rest);
+    }
+
+    const reported = rows.map(({ rowNumber, device, channel }) => ({
+        row: rowNumber,
+        device: device.name,
+        channel: channel?.name ?? null,
+        valid: !byRow.has(rowNumber),
+        errors: byRow.get(rowNumber) ?? []
+    }));
+
+    // Filas descartadas en el parseo (sin device_name, celdas inválidas) también se reportan
+    const known = new Set(rows.map(row => row.rowNumber));
+    for (const [row, errors] of byRow) {
+        if (known.has(row)) continue;
+        reported.push({ row, device: null, channel: null, valid: false, errors });
+    }
+
+    return reported.sort((a, b) => a.row - b.row);
+};
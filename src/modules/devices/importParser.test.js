@@ -0,0 +1,177 @@
+// modules/devices/importParser.test.js
+// Tests del parseo del import masivo de devices (modules/devices/importParser.js)
+// Funciones puras: no requiere BD ni archivos.
+
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeHeader,
+    detectCsvDelimiter,
+    cellToValue,
+    parseImportSheet,
+    groupImportRows,
+    buildDeviceBody,
+    mapValidationIssues,
+    buildRowReport
+} from './importParser.js';
+
+const CATALOGS = {
+    deviceType: new Map([['gateway', 1]]),
+    brand: new Map([['schneider', 10]]),
+    model: new Map([['10:pm5560', 100]]),
+    server: new Map(),
+    network: new Map(),
+    license: new Map(),
+    validityPeriod: new Map(),
+    measurementType: new Map([['iot', 3]])
+};
+
+describe('normalizeHeader / detectCsvDelimiter', () => {
+    it('normaliza BOM, mayúsculas y espacios', () => {
+        expect(normalizeHeader('\uFEFFDevice Name ')).toBe('device_name');
+        expect(normalizeHeader('channel-index')).toBe('channel_index');
+    });
+
+    it('detecta ";" y usa "," por defecto', () => {
+        expect(detectCsvDelimiter('device_name;channel_name\na;b')).toBe(';');
+        expect(detectCsvDelimiter('"a;b",c,d\n')).toBe(',');
+        expect(detectCsvDelimiter('device_name')).toBe(',');
+    });
+});
+
+describe('cellToValue', () => {
+    it('reduce rich text, fórmulas e hipervínculos', () => {
+        expect(cellToValue({ richText: [{ text: 'Med' }, { text: 'idor' }] })).toBe('Medidor');
+        expect(cellToValue({ formula: 'A1*2', result: 4 })).toBe(4);
+        expect(cellToValue({ text: 'link', hyperlink: 'https://x' })).toBe('link');
+        expect(cellToValue({ error: '#REF!' })).toBeNull();
+    });
+});
+
+describe('parseImportSheet', () => {
+    it('exige la columna device_name', () => {
+        expect(() => parseImportSheet([['channel_name']])).toThrowError(expect.objectContaining({ code: 'IMPORT_MISSING_COLUMNS' }));
+    });
+
+    it('tipa valores, ignora filas vacías y reporta celdas inválidas', () => {
+        const { rows, issues, unknownColumns } = parseImportSheet([
+            ['Device Name', 'latitude', 'installation_date', 'channel_name', 'process', 'extra'],
+            ['Tablero 1', '-34,6', new Date('2026-01-15T00:00:00Z'), 'Fase R', 'si', 'x'],
+            [null, '', null, null, null, null],
+            ['Tablero 1', 'abc', null, 'Fase S', 'quizás', null]
+        ]);
+
+        expect(unknownColumns).toEqual(['extra']);
+        expect(rows).toHaveLength(2);
+        expect(rows[0]).toEqual({
+            rowNumber: 2,
+            device: { name: 'Tablero 1', latitude: -34.6, installationDate: '2026-01-15' },
+            channel: { name: 'Fase R', process: true }
+        });
+        expect(issues.map(i => [i.row, i.column, i.code])).toEqual([
+            [4, 'latitude', 'INVALID_NUMBER'],
+            [4, 'process', 'INVALID_BOOLEAN']
+        ]);
+    });
+
+    it('reporta filas sin device_name o con canal sin nombre', () => {
+        const { rows, issues } = parseImportSheet([
+            ['device_name', 'channel_name', 'channel_index'],
+            [null, 'Fase R', 1],
+            ['Tablero 1', null, 2]
+        ]);
+
+        expect(rows).toEqual([{ rowNumber: 3, device: { name: 'Tablero 1' }, channel: null }]);
+        expect(issues.map(i => i.code)).toEqual(['MISSING_DEVICE_NAME', 'MISSING_CHANNEL_NAME']);
+    });
+});
+
+describe('groupImportRows', () => {
+    it('agrupa canales por device y detecta conflictos y duplicados', () => {
+        const { groups, issues } = groupImportRows([
+            { rowNumber: 2, device: { name: 'Tablero 1', city: 'Rosario' }, channel: { name: 'Fase R' } },
+            { rowNumber: 3, device: { name: 'tablero 1', city: 'Córdoba' }, channel: { name: 'fase r' } },
+            { rowNumber: 4, device: { name: 'Tablero 2' }, channel: null }
+        ]);
+
+        expect(groups).toHaveLength(2);
+        expect(groups[0]).toMatchObject({ name: 'Tablero 1', rowNumbers: [2, 3], device: { city: 'Rosario' } });
+        expect(groups[0].channels).toEqual([{ rowNumber: 2, name: 'Fase R' }]);
+        expect(groups[1].channels).toEqual([]);
+        expect(issues.map(i => [i.row, i.column, i.code])).toEqual([
+            [3, 'city', 'DEVICE_FIELD_CONFLICT'],
+            [3, 'channel_name', 'DUPLICATE_CHANNEL_NAME']
+        ]);
+    });
+});
+
+describe('buildDeviceBody', () => {
+    it('resuelve códigos de catálogo (modelo dentro de la marca) sin distinguir mayúsculas', () => {
+        const { body, issues } = buildDeviceBody({
+            name: 'Tablero 1',
+            rowNumbers: [2],
+            device: { name: 'Tablero 1', deviceType: 'GATEWAY', brand: 'schneider', model: 'PM5560' },
+            channels: [{ rowNumber: 2, name: 'Fase R', measurementType: 'iot', val1: '5' }]
+        }, CATALOGS);
+
+        expect(issues).toEqual([]);
+        expect(body).toEqual({
+            name: 'Tablero 1',
+            deviceTypeId: 1,
+            brandId: 10,
+            modelId: 100,
+            channels: [{ name: 'Fase R', measurementTypeId: 3, val1: '5' }]
+        });
+    });
+
+    it('reporta códigos inexistentes y modelo sin marca en la fila correspondiente', () => {
+        const { issues } = buildDeviceBody({
+            name: 'Tablero 1',
+            rowNumbers: [5, 6],
+            device: { name: 'Tablero 1', server: 'srv-x', model: 'PM5560' },
+            channels: [{ rowNumber: 6, name: 'Fase R', measurementType: 'nope' }]
+        }, CATALOGS);
+
+        expect(issues.map(i => [i.row, i.column, i.code])).toEqual([
+            [5, 'server', 'CATALOG_CODE_NOT_FOUND'],
+            [5, 'model', 'MODEL_REQUIRES_BRAND'],
+            [6, 'measurement_type', 'CATALOG_CODE_NOT_FOUND']
+        ]);
+    });
+});
+
+describe('mapValidationIssues / buildRowReport', () => {
+    const group = { name: 'Tablero 1', rowNumbers: [2, 3], device: {}, channels: [{ rowNumber: 2 }, { rowNumber: 3 }] };
+
+    it('traduce paths del DTO a fila y columna de la planilla', () => {
+        const issues = mapValidationIssues([
+            { path: ['macAddress'], message: 'mac inválida' },
+            { path: ['deviceTypeId'], message: 'inválido' },
+            { path: ['channels', 1, 'status'], message: 'status inválido' }
+        ], group);
+
+        expect(issues.map(i => [i.row, i.column])).toEqual([
+            [2, 'mac_address'],
+            [2, 'device_type'],
+            [3, 'channel_status']
+        ]);
+    });
+
+    it('arma el reporte por fila incluyendo filas descartadas', () => {
+        const rows = [
+            { rowNumber: 2, device: { name: 'Tablero 1' }, channel: { name: 'Fase R' } },
+            { rowNumber: 4, device: { name: 'Tablero 1' }, channel: null }
+        ];
+        const report = buildRowReport(rows, [
+            { row: 3, column: 'device_name', code: 'MISSING_DEVICE_NAME', message: 'x' },
+            { row: 4, column: 'city', code: 'DEVICE_FIELD_CONFLICT', message: 'y' },
+            { row: null, column: null, code: 'SITE_NODE_NOT_FOUND', message: 'z' }
+        ]);
+
+        expect(report.map(r => [r.row, r.device, r.channel, r.valid])).toEqual([
+            [2, 'Tablero 1', 'Fase R', true],
+            [3, null, null, false],
+            [4, 'Tablero 1', null, false]
+        ]);
+        expect(report[2].errors).toEqual([{ column: 'city', code: 'DEVICE_FIELD_CONFLICT', message: 'y' }]);
+    });
+});
@@ -0,0 +1,411 @@
+// modules/devices/importServices.js
+// Import masivo de devices y canales desde CSV/XLSX (dry-run + commit transaccional)
+
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import * as deviceRepository from './repository.js';
+import * as deviceMetadataRepository from '../device-metadata/repository.js';
+import * as siteRepository from '../sites/repository.js';
+import * as hierarchyRepository from '../resource-hierarchy/repository.js';
+import { batchCreateNodes } from '../resource-hierarchy/services.js';
+import { canAccessResource } from '../resource-hierarchy/accessScope.js';
+import {
+    resolveDeviceOrganization,
+    insertDeviceWithChannels,
+    extractVariableIds,
+    IOT_MEASUREMENT_TYPE_ID
+} from './services.js';
+import {
+    detectCsvDelimiter,
+    cellToValue,
+    parseImportSheet,
+    groupImportRows,
+    buildDeviceBody,
+    mapValidationIssues,
+    buildRowReport
+} from './importParser.js';
+import { createDeviceSchema } from './dtos/index.js';
+import { invalidateDeviceCache } from './cache.js';
+import { invalidateChannelCache } from '../channels/cache.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import Variable from '../telemetry/models/Variable.js';
+import sequelize from '../../db/sql/sequelize.js';
+import logger from '../../utils/logger.js';
+
+const importLogger = logger.child({ component: 'device-import' });
+
+// Filas de datos por archivo (sin contar el header)
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Leer la primera hoja del archivo como matriz de valores primitivos
+ * @param {Buffer} buffer
+ * @param {'csv'|'xlsx'} format
+ * @returns {Promise<Array<Array<*>>>}
+ */
+const readImportMatrix = async (buffer, format) => {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    try {
+        if (format === 'csv') {
+            const text = buffer.toString('utf8');
+            // map identidad: exceljs convierte números/fechas por defecto (ej: serial "00123" -> 123)
+            worksheet = await workbook.csv.read(Readable.from([text]), {
+                map: value => value,
+                parserOptions: { delimiter: detectCsvDelimiter(text) }
+            });
+        } else {
+            await workbook.xlsx.load(buffer);
+            worksheet = workbook.worksheets[0];
+        }
+    } catch (err) {
+        const error = new Error(`No se pudo leer el archivo ${format.toUpperCase()}: ${err.message}`);
+        error.status = 400;
+        error.code = 'IMPORT_FILE_INVALID';
+        throw error;
+    }
+
+    const matrix = [];
+    worksheet?.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        matrix[rowNumber - 1] = row.values.slice(1).map(cellToValue);
+    });
+
+    if (matrix.length < 2) {
+        const error = new Error('El archivo no tiene filas de datos');
+        error.status = 400;
+        error.code = 'IMPORT_FILE_EMPTY';
+        throw error;
+    }
+    if (matrix.length - 1 > MAX_IMPORT_ROWS) {
+        const error = new Error(`El archivo excede el máximo de ${MAX_IMPORT_ROWS} filas`);
+        error.status = 400;
+        error.code = 'IMPORT_TOO_MANY_ROWS';
+        throw error;
+    }
+
+    return Array.from(matrix, row => row ?? []);
+};
+
+const toCodeMap = (items) => new Map(items.map(item => [String(item.code).toLowerCase(), item.id]));
+
+/**
+ * Mapas código -> id de los catálogos activos (ver buildDeviceBody)
+ * @returns {Promise<Object<string, Map<string, number>>>}
+ */
+const loadCatalogLookups = async () => {
+    const [types, brands, models, servers, networks, licenses, validityPeriods, measurementTypes] = await Promise.all([
+        deviceMetadataRepository.getDeviceTypes(),
+        deviceMetadataRepository.getDeviceBrands(),
+        deviceMetadataRepository.getDeviceModels(),
+        deviceMetadataRepository.getDeviceServers(),
+        deviceMetadataRepository.getDeviceNetworks(),
+        deviceMetadataRepository.getDeviceLicenses(),
+        deviceMetadataRepository.getDeviceValidityPeriods(),
+        deviceMetadataRepository.getMeasurementTypes()
+    ]);
+
+    return {
+        deviceType: toCodeMap(types),
+        brand: toCodeMap(brands),
+        model: new Map(models.map(model => [`${model.deviceBrandId}:${String(model.code).toLowerCase()}`, model.id])),
+        server: toCodeMap(servers),
+        network: toCodeMap(networks),
+        license: toCodeMap(licenses),
+        validityPeriod: toCodeMap(validityPeriods),
+        measurementType: toCodeMap(measurementTypes)
+    };
+};
+
+/**
+ * Validar identificadores únicos contra la BD y dentro del archivo (nombre, serialNumber, uuid)
+ * @returns {Promise<Object[]>} issues
+ */
+const checkUniqueIdentifiers = async (devices, organizationUuid) => {
+    const issues = [];
+    const seen = { serialNumber: new Map(), uuid: new Map() };
+
+    for (const { group, body } of devices) {
+        for (const field of ['serialNumber', 'uuid']) {
+            if (!body[field]) continue;
+            const previous = seen[field].get(body[field]);
+            if (previous) {
+                issues.push({
+                    row: group.rowNumbers[0],
+                    column: field === 'uuid' ? 'uuid' : 'serial_number',
+                    code: 'DUPLICATE_IN_FILE',
+                    message: `${field} "${body[field]}" repetido en el device "${previous}"`
+                });
+                continue;
+            }
+            seen[field].set(body[field], group.name);
+        }
+    }
+
+    const existing = await deviceRepository.findConflictingDevices(organizationUuid, {
+        names: devices.map(({ body }) => body.name),
+        serialNumbers: [...seen.serialNumber.keys()],
+        uuids: [...seen.uuid.keys()]
+    });
+
+    for (const { group, body } of devices) {
+        const row = group.rowNumbers[0];
+        for (const device of existing) {
+            if (device.organizationId === organizationUuid && device.name === body.name) {
+                issues.push({ row, column: 'device_name', code: 'DEVICE_ALREADY_EXISTS', message: `Ya existe un device con este nombre (${device.publicCode})` });
+            }
+            if (body.serialNumber && device.serialNumber === body.serialNumber) {
+                issues.push({ row, column: 'serial_number', code: 'DEVICE_ALREADY_EXISTS', message: `serialNumber ya registrado (${device.publicCode})` });
+            }
+            if (body.uuid && device.uuid === body.uuid) {
+                issues.push({ row, column: 'uuid', code: 'DEVICE_ALREADY_EXISTS', message: `uuid ya registrado (${device.publicCode})` });
+            }
+        }
+    }
+
+    return issues;
+};
+
+/**
+ * Validar val1..val8 de los canales IOT (formato y existencia de las variables)
+ * Mismas reglas que insertDeviceWithChannels, para reportarlas en el dry-run.
+ * @returns {Promise<Object[]>} issues
+ */
+const checkChannelVariables = async (devices) => {
+    const issues = [];
+    const references = [];
+
+    for (const { group, body } of devices) {
+        (body.channels || []).forEach((channel, index) => {
+            if (channel.measurementTypeId !== IOT_MEASUREMENT_TYPE_ID) return;
+            const row = group.channels[index].rowNumber;
+            try {
+                for (const entry of extractVariableIds(channel)) {
+                    references.push({ row, column: `val${entry.displayOrder}`, variableId: entry.variableId });
+                }
+            } catch (err) {
+                issues.push({ row, column: null, code: err.code, message: err.message });
+            }
+        });
+    }
+
+    if (references.length === 0) return issues;
+
+    const existing = await Variable.findAll({
+        where: { id: [...new Set(references.map(ref => ref.variableId))], measurementTypeId: IOT_MEASUREMENT_TYPE_ID },
+        attributes: ['id']
+    });
+    const validIds = new Set(existing.map(variable => variable.id));
+
+    for (const ref of references) {
+        if (validIds.has(ref.variableId)) continue;
+        issues.push({
+            row: ref.row,
+            column: ref.column,
+            code: 'INVALID_VARIABLE_ID',
+            message: `Variable ID ${ref.variableId} no existe o no pertenece al tipo IOT`
+        });
+    }
+
+    return issues;
+};
+
+/**
+ * Resolver el site destino (public code) y, si se pide ubicación en la jerarquía, su nodo
+ * Ubicar en la jerarquía crea nodos bajo el site: requiere grant de edición sobre él.
+ * @returns {Promise<{site: Object|null, siteNode: Object|null, issues: Object[]}>}
+ */
+const resolveImportSite = async (siteId, placeInHierarchy, organizationUuid, accessScope) => {
+    if (!siteId) return { site: null, siteNode: null, issues: [] };
+
+    const site = await siteRepository.findSiteByPublicCodeInternal(siteId);
+    if (!site) {
+        const error = new Error('Site no encontrado');
+        error.status = 404;
+        error.code = 'SITE_NOT_FOUND';
+        throw error;
+    }
+    if (site.organizationId !== organizationUuid) {
+        const error = new Error('El site no pertenece a la organización especificada');
+        error.status = 400;
+        error.code = 'SITE_ORGANIZATION_MISMATCH';
+        throw error;
+    }
+
+    if (!placeInHierarchy) return { site, siteNode: null, issues: [] };
+
+    if (!canAccessResource(accessScope, 'site', siteId, 'edit')) {
+        const error = new Error('auth.resource_access.denied');
+        error.status = 403;
+        error.code = 'SITE_ACCESS_DENIED';
+        throw error;
+    }
+
+    const siteNode = await hierarchyRepository.findNodeByReferenceId(siteId, organizationUuid);
+    if (!siteNode) {
+        return {
+            site,
+            siteNode: null,
+            issues: [{ row: null, column: null, code: 'SITE_NODE_NOT_FOUND', message: `El site ${siteId} no está en la jerarquía de recursos de la organización` }]
+        };
+    }
+    return { site, siteNode, issues: [] };
+};
+
+/**
+ * Ubicar los devices importados bajo el nodo del site: una carpeta por device con sus canales
+ * Best-effort (posterior al commit): los fallos se reportan sin revertir el import.
+ * @returns {Promise<{inserted: number, failed: Object[]}>}
+ */
+const placeInSiteHierarchy = async (devices, siteNode, organizationUuid, userId, ipAddress, userAgent) => {
+    const placement = { inserted: 0, failed: [] };
+
+    for (const device of devices) {
+        if (!device.channels?.length) continue;
+
+        try {
+            const folder = await batchCreateNodes({
+                parentId: siteNode.id,
+                nodes: [{ nodeType: 'folder', name: device.name, metadata: { deviceId: device.id } }]
+            }, organizationUuid, userId, ipAddress, userAgent);
+            const folderCode = folder.inserted[0].publicCode;
+
+            const result = await batchCreateNodes({
+                parentId: folderCode,
+                nodes: device.channels.map(channel => ({ nodeType: 'channel', referenceId: channel.id }))
+            }, organizationUuid, userId, ipAddress, userAgent);
+
+            placement.inserted += 1 + result.inserted.length;
+            placement.failed.push(...result.failed.map(failure => ({ deviceId: device.id, ...failure })));
+        } catch (error) {
+            importLogger.warn({ err: error, deviceId: device.id }, 'Import: error ubicando device en la jerarquía');
+            placement.failed.push({
+                deviceId: device.id,
+                name: device.name,
+                reasonCode: error.code || 'UNKNOWN_ERROR',
+                message: error.message
+            });
+        }
+    }
+
+    return placement;
+};
+
+/**
+ * Importar devices con canales desde una planilla CSV/XLSX
+ *
+ * Una fila por canal, agrupadas por device_name. Los catálogos se resuelven por código y cada
+ * device se valida con createDeviceSchema. Con dryRun solo se devuelve el reporte por fila;
+ * sin dryRun, cualquier error aborta el import completo (400 IMPORT_VALIDATION_FAILED) y si no
+ * hay errores todos los devices se crean en una única transacción.
+ *
+ * @param {Object} importData - { format, content (base64), organizationId, siteId, placeInHierarchy, dryRun }
+ * @param {string} userId - ID del usuario que importa
+ * @param {string} ipAddress - IP del usuario
+ * @param {string} userAgent - User agent del usuario
+ * @param {Object} orgContext - Contexto de organización del middleware enforceActiveOrganization
+ * @param {Object|null} [accessScope] - Scope de la jerarquía (req.resourceAccess); placeInHierarchy exige edición sobre el site
+ * @returns {Promise<{devices: Object[]|null, report: Object}>}
+ */
+export const importDevices = async (importData, userId, ipAddress, userAgent, orgContext, accessScope = null) => {
+    const { format, content, siteId, placeInHierarchy, dryRun } = importData;
+
+    const organizationUuid = await resolveDeviceOrganization(importData.organizationId, userId, orgContext);
+    const { site, siteNode, issues: siteIssues } = await resolveImportSite(siteId, placeInHierarchy, organizationUuid, accessScope);
+
+    const matrix = await readImportMatrix(Buffer.from(content, 'base64'), format);
+    const { rows, issues: parseIssues, unknownColumns } = parseImportSheet(matrix);
+    const { groups, issues: groupIssues } = groupImportRows(rows);
+    const catalogs = await loadCatalogLookups();
+
+    const issues = [...siteIssues, ...parseIssues, ...groupIssues];
+    const devices = [];
+
+    for (const group of groups) {
+        const { body, issues: catalogIssues } = buildDeviceBody(group, catalogs);
+        issues.push(...catalogIssues);
+
+        const parsed = createDeviceSchema.shape.body.safeParse(body);
+        if (!parsed.success) {
+            issues.push(...mapValidationIssues(parsed.error.issues, group));
+            continue;
+        }
+        devices.push({ group, body: parsed.data });
+    }
+
+    issues.push(...await checkUniqueIdentifiers(devices, organizationUuid));
+    issues.push(...await checkChannelVariables(devices));
+
+    const report = {
+        dryRun,
+        totalRows: rows.length,
+        deviceCount: groups.length,
+        channelCount: groups.reduce((sum, group) => sum + group.channels.length, 0),
+        errorCount: issues.length,
+        unknownColumns,
+        errors: issues.filter(item => item.row == null),
+        rows: buildRowReport(rows, issues)
+    };
+
+    if (dryRun) {
+        return { devices: null, report };
+    }
+
+    if (issues.length > 0) {
+        const error = new Error('El archivo tiene errores de validación; ejecute un dry-run para ver el reporte');
+        error.status = 400;
+        error.code = 'IMPORT_VALIDATION_FAILED';
+        error.details = issues.map(item => ({
+            field: item.column,
+            message: item.row == null ? item.message : `Fila ${item.row}: ${item.message}`,
+            code: item.code,
+            row: item.row
+        }));
+        throw error;
+    }
+
+    const siteUuid = site?.id ?? null;
+    const { created, auditEntries } = await sequelize.transaction(async (t) => {
+        const inserted = [];
+        const entries = [];
+        for (const { body } of devices) {
+            const { channels, ...deviceFields } = body;
+            const { device, auditEntries: deviceEntries } = await insertDeviceWithChannels(
+                deviceFields,
+                channels,
+                { organizationUuid, siteUuid, transaction: t }
+            );
+            inserted.push(device);
+            entries.push(...deviceEntries);
+        }
+        return { created: inserted, auditEntries: entries };
+    });
+
+    for (const entry of auditEntries) {
+        await logAuditAction({
+            ...entry,
+            performedBy: userId,
+            metadata: { ...entry.metadata, createdVia: entry.entityType === 'device' ? 'import' : 'device-import' },
+            ipAddress,
+            userAgent
+        });
+    }
+
+    await invalidateDeviceCache();
+    if (report.channelCount > 0) {
+        await invalidateChannelCache();
+    }
+
+    if (siteNode) {
+        report.hierarchy = await placeInSiteHierarchy(created, siteNode, organizationUuid, userId, ipAddress, userAgent);
+    }
+
+    importLogger.info({
+        organizationId: organizationUuid,
+        devices: created.length,
+        channels: report.channelCount,
+        userId
+    }, 'Import de devices completado');
+
+    return { devices: created, report };
+};
@@ -0,0 +1,104 @@
+// modules/devices/licenseReminders.js
+// Job diario de recordatorios de vencimiento de licencias (umbrales config.licenses.reminderDays)
+//
+// Cada device avisa cada umbral una sola vez por vencimiento (devices.license_reminder_days);
+// renovar o cambiar el vencimiento reinicia los avisos. Se envía un resumen por organización y umbral.
+
+import { config } from '../../config/env.js';
+import { notifyOrganizationPermission, NOTIFICATION_TYPES } from '../notifications/services.js';
+import * as licenseRepository from './licenseRepository.js';
+import { toDateOnly, addDays, daysUntil, pickReminderThreshold } from './licensing.js';
+import { schedulerLogger } from '../../utils/logger.js';
+
+// Permiso para renovar licencias (POST /devices/:id/license-renewals): quienes reciben los recordatorios
+const REMINDER_NOTIFY_PERMISSION = 'devices.edit';
+// Nombres de devices listados en el cuerpo de la notificación (el resto va como "y N más")
+const MAX_NAMED_DEVICES = 5;
+
+let running = false;
+
+/**
+ * Evalúa los vencimientos y notifica los umbrales alcanzados
+ * @returns {Promise<number>} Devices avisados
+ */
+export const runLicenseReminders = async () => {
+    if (running) return 0;
+    running = true;
+
+    try {
+        const thresholds = config.licenses.reminderDays;
+        if (!thresholds.length) return 0;
+
+        const today = toDateOnly();
+        const candidates = await licenseRepository.findReminderCandidates(today, addDays(today, Math.max(...thresholds)));
+
+        // Umbral a avisar por device, agrupado por umbral
+        const byThreshold = new Map();
+        for (const device of candidates) {
+            const threshold = pickReminderThreshold(daysUntil(device.expirationDate, today), device.licenseReminderDays, thresholds);
+            if (threshold === null) continue;
+            if (!byThreshold.has(threshold)) byThreshold.set(threshold, []);
+            byThreshold.get(threshold).push(device.id);
+        }
+
+        let notified = 0;
+        for (const [days, deviceIds] of byThreshold) {
+            const marked = await licenseRepository.markReminderSent(deviceIds, days);
+            notified += marked.length;
+
+            const byOrganization = new Map();
+            for (const device of marked) {
+                if (!byOrganization.has(device.organizationId)) byOrganization.set(device.organizationId, []);
+                byOrganization.get(device.organizationId).push(device);
+            }
+
+            for (const [organizationId, devices] of byOrganization) {
+                const names = devices.slice(0, MAX_NAMED_DEVICES).map(device => device.name);
+                const remaining = devices.length - names.length;
+
+                await notifyOrganizationPermission(organizationId, REMINDER_NOTIFY_PERMISSION, {
+                    type: NOTIFICATION_TYPES.DEVICE_LICENSE_EXPIRING,
+                    params: {
+                        days,
+                        count: devices.length,
+                        devices: remaining > 0 ? `${names.join(', ')} (+${remaining})` : names.join(', ')
+                    },
+                    data: {
+                        days,
+                        devices: devices.map(device => ({ id: device.publicCode, expirationDate: device.expirationDate }))
+                    }
+                });
+            }
+        }
+
+        if (notified) {
+            schedulerLogger.info({ notified, thresholds: [...byThreshold.keys()] }, '📅 Licencias: recordatorios de vencimiento enviados');
+        }
+        return notified;
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Inicia el job de recordatorios (una ejecución al arrancar y luego cada reminderIntervalHours)
+ * @returns {Function|null} Función para detener el job (null si está deshabilitado)
+ */
+export const startLicenseReminderScheduler = () => {
+    if (!config.licenses.remindersEnabled) {
+        schedulerLogger.info('⏸️  Recordatorios de licencias deshabilitados (LICENSE_REMINDERS_ENABLED=false)');
+        return null;
+    }
+
+    const run = () => runLicenseReminders().catch(error => schedulerLogger.error(error, '❌ Licencias: error en recordatorios de vencimiento'));
+
+    run();
+    const interval = setInterval(run, config.licenses.reminderIntervalHours * 60 * 60 * 1000);
+
+    schedulerLogger.info(`📅 Recordatorios de licencias iniciados (cada ${config.licenses.reminderIntervalHours} horas)`);
+
+    return () => {
+        clearInterval(interval);
+        schedulerLogger.info('🛑 Recordatorios de licencias detenidos');
+    };
+};
@@ -0,0 +1,99 @@
+// modules/devices/licenseRepository.js
+// Acceso a datos de la vigencia de licencias: candidatos a recordatorio y renovaciones
+
+import { QueryTypes } from 'sequelize';
+import sequelize from '../../db/sql/sequelize.js';
+import DeviceLicenseRenewal from './models/DeviceLicenseRenewal.js';
+
+/**
+ * Devices activos con vencimiento entre dos fechas (candidatos a recordatorio)
+ *
+ * @param {string} fromDate - YYYY-MM-DD (inclusive)
+ * @param {string} untilDate - YYYY-MM-DD (inclusive)
+ * @returns {Promise<Array<{ id: string, expirationDate: string, licenseReminderDays: number|null }>>}
+ */
+export const findReminderCandidates = async (fromDate, untilDate) => sequelize.query(`
+    SELECT d.id,
+           d.expiration_date AS "expirationDate",
+           d.license_reminder_days AS "licenseReminderDays"
+      FROM devices d
+     WHERE d.deleted_at IS NULL
+       AND d.is_active = true
+       AND d.status <> 'decommissioned'
+       AND d.expiration_date BETWEEN $1 AND $2
+`, { bind: [fromDate, untilDate], type: QueryTypes.SELECT });
+
+/**
+ * Registra el umbral avisado en los devices indicados.
+ *
+ * La condición sobre license_reminder_days evita que dos instancias avisen el mismo umbral:
+ * la segunda ve el valor ya actualizado y no afecta la fila.
+ *
+ * @param {string[]} deviceIds - UUIDs internos
+ * @param {number} days - Umbral avisado
+ * @returns {Promise<Array<{ id: string, publicCode: string, name: string, organizationId: string, expirationDate: string }>>}
+ */
+export const markReminderSent = async (deviceIds, days) => {
+    if (!deviceIds.length) return [];
+
+    const [rows] = await sequelize.query(`
+        UPDATE devices d
+           SET license_reminder_days = $2,
+               license_reminder_sent_at = now()
+         WHERE d.id = ANY($1::uuid[])
+           AND (d.license_reminder_days IS NULL OR d.license_reminder_days > $2)
+        RETURNING d.id,
+                  d.public_code AS "publicCode",
+                  d.name,
+                  d.organization_id AS "organizationId",
+                  d.expiration_date AS "expirationDate"
+    `, { bind: [deviceIds, days] });
+
+    return rows;
+};
+
+/**
+ * Registra una renovación
+ * @param {Object} renewal - Fila de device_license_renewals (camelCase)
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<Object>}
+ */
+export const createLicenseRenewal = async (renewal, options = {}) => DeviceLicenseRenewal.create(renewal, options);
+
+/**
+ * Serializa una renovación (sin UUIDs internos)
+ * @param {Object} renewal - Instancia de DeviceLicenseRenewal
+ * @returns {Object}
+ */
+export const toLicenseRenewalDto = (renewal) => ({
+    id: renewal.publicCode,
+    licenseId: renewal.licenseId,
+    validityPeriodId: renewal.validityPeriodId,
+    months: renewal.months,
+    previousExpirationDate: renewal.previousExpirationDate,
+    startDate: renewal.startDate,
+    newExpirationDate: renewal.newExpirationDate,
+    notes: renewal.notes,
+    createdAt: renewal.createdAt
+});
+
+/**
+ * Historial de renovaciones de un device (más recientes primero)
+ *
+ * @param {string} deviceId - UUID interno
+ * @param {{ limit?: number, offset?: number }} options
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listLicenseRenewals = async (deviceId, { limit = 50, offset = 0 } = {}) => {
+    const { count, rows } = await DeviceLicenseRenewal.findAndCountAll({
+        where: { deviceId },
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset
+    });
+
+    return {
+        items: rows.map(toLicenseRenewalDto),
+        total: count
+    };
+};
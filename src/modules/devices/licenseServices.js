@@ -0,0 +1,259 @@
+// modules/devices/licenseServices.js
+// Vigencia de licencias de devices: cálculo de expirationDate, próximos vencimientos y renovaciones
+
+import * as deviceRepository from './repository.js';
+import * as licenseRepository from './licenseRepository.js';
+import * as deviceMetadataRepository from '../device-metadata/repository.js';
+import * as siteRepository from '../sites/repository.js';
+import { invalidateDeviceCache } from './cache.js';
+import { listAccessibleCodes } from '../resource-hierarchy/accessScope.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import { generatePublicCode, generateUuidV7 } from '../../utils/identifiers.js';
+import { toDateOnly, addDays, computeExpirationDate, daysUntil, computeRenewal } from './licensing.js';
+import sequelize from '../../db/sql/sequelize.js';
+import logger from '../../utils/logger.js';
+
+const licenseLogger = logger.child({ component: 'deviceLicenses' });
+
+/**
+ * Meses del período de vigencia (null = sin vencimiento)
+ * @param {number} validityPeriodId
+ * @returns {Promise<number|null>}
+ */
+const findValidityPeriodMonths = async (validityPeriodId) => {
+    const period = await deviceMetadataRepository.findDeviceValidityPeriodById(validityPeriodId);
+    if (!period) {
+        const error = new Error('Período de vigencia no encontrado');
+        error.status = 404;
+        error.code = 'VALIDITY_PERIOD_NOT_FOUND';
+        throw error;
+    }
+    return period.months;
+};
+
+/**
+ * Vencimiento inicial de un device nuevo.
+ * Si no se informa expirationDate y tiene período de vigencia, se calcula desde
+ * installationDate (o la fecha de alta).
+ *
+ * @param {Object} deviceFields - Campos del device a crear
+ * @returns {Promise<string|null|undefined>} expirationDate (undefined = no modificar lo recibido)
+ */
+export const resolveInitialExpiration = async (deviceFields) => {
+    if (deviceFields.expirationDate !== undefined || !deviceFields.validityPeriodId) {
+        return deviceFields.expirationDate;
+    }
+
+    const months = await findValidityPeriodMonths(deviceFields.validityPeriodId);
+    return computeExpirationDate(deviceFields.installationDate || toDateOnly(), months);
+};
+
+/**
+ * Campos de vigencia que acompañan a un update de device.
+ * - Cambio de licencia o de período sin expirationDate explícito: nueva vigencia desde hoy
+ *   según el período (el nuevo o el actual).
+ * - Cualquier cambio de vencimiento reinicia los recordatorios.
+ *
+ * @param {Object} deviceInternal - Device actual (instancia)
+ * @param {Object} updateData - Datos recibidos
+ * @returns {Promise<Object>} Campos a agregar al update (puede ser vacío)
+ */
+export const resolveLicenseUpdate = async (deviceInternal, updateData) => {
+    const licenseChanged = updateData.licenseId !== undefined && updateData.licenseId !== deviceInternal.licenseId;
+    const periodChanged = updateData.validityPeriodId !== undefined && updateData.validityPeriodId !== deviceInternal.validityPeriodId;
+
+    let expirationDate = updateData.expirationDate;
+    if (expirationDate === undefined && (licenseChanged || periodChanged)) {
+        const validityPeriodId = periodChanged ? updateData.validityPeriodId : deviceInternal.validityPeriodId;
+        expirationDate = validityPeriodId
+            ? computeExpirationDate(toDateOnly(), await findValidityPeriodMonths(validityPeriodId))
+            : deviceInternal.expirationDate;
+    }
+
+    if (expirationDate === undefined || expirationDate === deviceInternal.expirationDate) {
+        return {};
+    }
+
+    return { expirationDate, licenseReminderDays: null, licenseReminderSentAt: null };
+};
+
+/**
+ * Devices cuya licencia vence en los próximos `days` días
+ *
+ * @param {Object} filters
+ * @param {number} filters.days - Ventana en días desde hoy
+ * @param {boolean} [filters.includeExpired] - Incluir licencias ya vencidas
+ * @param {string|null} filters.organizationId - UUID de la organización activa
+ * @param {boolean} [filters.showAll] - God View: todas las organizaciones
+ * @param {string} [filters.siteId] - UUID o publicCode del site
+ * @param {Object|null} [filters.accessScope] - Scope de la jerarquía; null = sin restricción
+ * @returns {Promise<Object>} - { items (con daysLeft), total, limit, offset, today, untilDate }
+ */
+export const listExpiringDevices = async ({
+    days,
+    includeExpired = false,
+    organizationId,
+    showAll = false,
+    siteId,
+    accessScope = null,
+    limit = 50,
+    offset = 0
+}) => {
+    const today = toDateOnly();
+    const untilDate = addDays(today, days);
+
+    let siteUuid;
+    if (siteId) {
+        siteUuid = siteId;
+        if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(siteId)) {
+            const site = await siteRepository.findSiteByPublicCodeInternal(siteId);
+            if (!site) {
+                const error = new Error('Site no encontrado');
+                error.status = 404;
+                error.code = 'SITE_NOT_FOUND';
+                throw error;
+            }
+            siteUuid = site.id;
+        }
+    }
+
+    const result = await deviceRepository.listExpiringDevices({
+        untilDate,
+        fromDate: includeExpired ? null : today,
+        organizationId: showAll ? undefined : organizationId,
+        siteId: siteUuid,
+        publicCodes: listAccessibleCodes(accessScope, 'device'),
+        limit,
+        offset
+    });
+
+    return {
+        ...result,
+        items: result.items.map(device => ({ ...device, daysLeft: daysUntil(device.expirationDate, today) })),
+        today,
+        untilDate
+    };
+};
+
+/**
+ * Renovar la licencia de un device: extiende el vencimiento, registra la renovación
+ * (historial + audit log) y reinicia los recordatorios
+ *
+ * @param {string} publicCode - Public code del device
+ * @param {Object} renewalData - { months?, validityPeriodId?, licenseId?, notes? }
+ * @param {string} userId
+ * @param {string} ipAddress
+ * @param {string} userAgent
+ * @returns {Promise<{ device: Object, renewal: Object }>}
+ */
+export const renewDeviceLicense = async (publicCode, renewalData, userId, ipAddress, userAgent) => {
+    const deviceInternal = await deviceRepository.findDeviceByPublicCodeInternal(publicCode);
+
+    if (!deviceInternal) {
+        const error = new Error('Device no encontrado');
+        error.status = 404;
+        error.code = 'DEVICE_NOT_FOUND';
+        throw error;
+    }
+
+    const validityPeriodId = renewalData.validityPeriodId ?? deviceInternal.validityPeriodId;
+    const licenseId = renewalData.licenseId ?? deviceInternal.licenseId;
+
+    let months = renewalData.months;
+    if (months === undefined && validityPeriodId) {
+        months = await findValidityPeriodMonths(validityPeriodId);
+    }
+    if (months === undefined || months === null) {
+        const error = new Error('El período de vigencia no define meses: indique months para renovar');
+        error.status = 400;
+        error.code = 'RENEWAL_MONTHS_REQUIRED';
+        throw error;
+    }
+
+    const today = toDateOnly();
+    const previous = {
+        licenseId: deviceInternal.licenseId,
+        validityPeriodId: deviceInternal.validityPeriodId,
+        expirationDate: deviceInternal.expirationDate
+    };
+    const { startDate, expirationDate } = computeRenewal(previous.expirationDate, today, months);
+
+    const renewal = await sequelize.transaction(async (transaction) => {
+        await deviceInternal.update({
+            licenseId,
+            validityPeriodId,
+            expirationDate,
+            licenseReminderDays: null,
+            licenseReminderSentAt: null
+        }, { transaction });
+
+        return licenseRepository.createLicenseRenewal({
+            id: generateUuidV7(),
+            publicCode: generatePublicCode('DLR'),
+            deviceId: deviceInternal.id,
+            organizationId: deviceInternal.organizationId,
+            licenseId,
+            validityPeriodId,
+            months,
+            previousExpirationDate: previous.expirationDate,
+            startDate,
+            newExpirationDate: expirationDate,
+            notes: renewalData.notes ?? null,
+            renewedBy: userId
+        }, { transaction });
+    });
+
+    const changes = { expirationDate: { old: previous.expirationDate, new: expirationDate } };
+    if (licenseId !== previous.licenseId) {
+        changes.licenseId = { old: previous.licenseId, new: licenseId };
+    }
+    if (validityPeriodId !== previous.validityPeriodId) {
+        changes.validityPeriodId = { old: previous.validityPeriodId, new: validityPeriodId };
+    }
+
+    await logAuditAction({
+        entityType: 'device',
+        entityId: deviceInternal.id,
+        action: 'license_renewed',
+        performedBy: userId,
+        changes,
+        metadata: {
+            organizationId: deviceInternal.organizationId,
+            renewalId: renewal.publicCode,
+            months,
+            startDate,
+            notes: renewal.notes
+        },
+        ipAddress,
+        userAgent
+    });
+
+    await invalidateDeviceCache();
+
+    licenseLogger.info({ deviceId: deviceInternal.id, userId, months, expirationDate }, 'Licencia de device renovada');
+
+    return {
+        device: await deviceRepository.findDeviceByPublicCode(publicCode),
+        renewal: licenseRepository.toLicenseRenewalDto(renewal)
+    };
+};
+
+/**
+ * Historial de renovaciones de licencia de un device
+ * @param {string} publicCode - Public code del device
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Object>} - { items, total, limit, offset }
+ */
+export const listLicenseRenewals = async (publicCode, { limit = 50, offset = 0 } = {}) => {
+    const device = await deviceRepository.findDeviceByPublicCodeInternal(publicCode);
+
+    if (!device) {
+        const error = new Error('Device no encontrado');
+        error.status = 404;
+        error.code = 'DEVICE_NOT_FOUND';
+        throw error;
+    }
+
+    const result = await licenseRepository.listLicenseRenewals(device.id, { limit, offset });
+    return { ...result, limit, offset };
+};
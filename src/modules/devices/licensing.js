@@ -0,0 +1,92 @@
+// modules/devices/licensing.js
+// Vigencia de licencias de devices: vencimiento, días restantes y umbrales de recordatorio
+// (lógica pura sobre fechas DATEONLY 'YYYY-MM-DD' en UTC, sin IO)
+
+import { config } from '../../config/env.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDateOnly = (value) => new Date(`${value}T00:00:00Z`);
+
+/**
+ * Fecha (UTC) en formato DATEONLY
+ * @param {Date} [date]
+ * @returns {string} YYYY-MM-DD
+ */
+export const toDateOnly = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Suma meses a una fecha. Si el día no existe en el mes destino se usa el último día
+ * (ej: 2026-01-31 + 1 mes = 2026-02-28).
+ *
+ * @param {string} dateOnly - YYYY-MM-DD
+ * @param {number} months
+ * @returns {string} YYYY-MM-DD
+ */
+export const addMonths = (dateOnly, months) => {
+    const start = parseDateOnly(dateOnly);
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return toDateOnly(new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay))));
+};
+
+/**
+ * Suma días a una fecha
+ * @param {string} dateOnly - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} YYYY-MM-DD
+ */
+export const addDays = (dateOnly, days) => toDateOnly(new Date(parseDateOnly(dateOnly).getTime() + days * DAY_MS));
+
+/**
+ * Vencimiento a partir del inicio de vigencia y los meses del período
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {number|null} months - null = período sin vencimiento (enterprise)
+ * @returns {string|null}
+ */
+export const computeExpirationDate = (startDate, months) =>
+    (months === null || months === undefined ? null : addMonths(startDate, months));
+
+/**
+ * Días desde `today` hasta `dateOnly` (negativo si ya venció)
+ * @param {string} dateOnly - YYYY-MM-DD
+ * @param {string} today - YYYY-MM-DD
+ * @returns {number}
+ */
+export const daysUntil = (dateOnly, today) =>
+    Math.round((parseDateOnly(dateOnly) - parseDateOnly(today)) / DAY_MS);
+
+/**
+ * Umbral de recordatorio que corresponde avisar hoy, o null.
+ * Se avisa el menor umbral alcanzado, solo si es menor al último avisado para este vencimiento
+ * (un device que entra con 20 días avisa el de 30 y luego el de 7, nunca el de 60).
+ *
+ * @param {number} daysLeft - Días hasta el vencimiento
+ * @param {number|null} lastReminderDays - Último umbral avisado (null = ninguno)
+ * @param {number[]} [thresholds] - Días de aviso (ej: [60, 30, 7])
+ * @returns {number|null}
+ */
+export const pickReminderThreshold = (daysLeft, lastReminderDays, thresholds = config.licenses.reminderDays) => {
+    if (daysLeft < 0) return null;
+
+    const reached = thresholds.filter(days => daysLeft <= days);
+    if (!reached.length) return null;
+
+    const threshold = Math.min(...reached);
+    return lastReminderDays === null || lastReminderDays === undefined || threshold < lastReminderDays ? threshold : null;
+};
+
+/**
+ * Nuevo período de una renovación: extiende desde el vencimiento actual si todavía no pasó
+ * (no se pierden días pagos) o desde hoy si ya venció o no tenía vencimiento.
+ *
+ * @param {string|null} currentExpiration - YYYY-MM-DD
+ * @param {string} today - YYYY-MM-DD
+ * @param {number} months
+ * @returns {{ startDate: string, expirationDate: string }}
+ */
+export const computeRenewal = (currentExpiration, today, months) => {
+    const startDate = currentExpiration && currentExpiration > today ? currentExpiration : today;
+    return { startDate, expirationDate: addMonths(startDate, months) };
+};
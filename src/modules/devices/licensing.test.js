@@ -0,0 +1,67 @@
+// modules/devices/licensing.test.js
+// Tests de la vigencia de licencias (modules/devices/licensing.js)
+
+import { describe, it, expect } from 'vitest';
+import {
+    addMonths,
+    addDays,
+    computeExpirationDate,
+    daysUntil,
+    pickReminderThreshold,
+    computeRenewal
+} from './licensing.js';
+
+const THRESHOLDS = [60, 30, 7];
+
+describe('addMonths / computeExpirationDate', () => {
+    it('suma meses ajustando al último día del mes', () => {
+        expect(addMonths('2026-03-15', 12)).toBe('2027-03-15');
+        expect(addMonths('2026-01-31', 1)).toBe('2026-02-28');
+        expect(addMonths('2027-12-31', 2)).toBe('2028-02-29');
+        expect(addMonths('2026-11-30', 3)).toBe('2027-02-28');
+    });
+
+    it('devuelve null para períodos sin meses (enterprise)', () => {
+        expect(computeExpirationDate('2026-03-15', null)).toBeNull();
+        expect(computeExpirationDate('2026-03-15', 24)).toBe('2028-03-15');
+    });
+});
+
+describe('addDays / daysUntil', () => {
+    it('suma días cruzando meses y años', () => {
+        expect(addDays('2026-10-19', 60)).toBe('2026-12-18');
+        expect(addDays('2026-12-30', 7)).toBe('2027-01-06');
+    });
+
+    it('cuenta días calendario, negativos si ya venció', () => {
+        expect(daysUntil('2026-10-26', '2026-10-19')).toBe(7);
+        expect(daysUntil('2026-10-19', '2026-10-19')).toBe(0);
+        expect(daysUntil('2026-10-18', '2026-10-19')).toBe(-1);
+        expect(daysUntil('2027-03-29', '2026-10-19')).toBe(161);
+    });
+});
+
+describe('pickReminderThreshold', () => {
+    it('avisa el menor umbral alcanzado una sola vez', () => {
+        expect(pickReminderThreshold(90, null, THRESHOLDS)).toBeNull();
+        expect(pickReminderThreshold(60, null, THRESHOLDS)).toBe(60);
+        expect(pickReminderThreshold(45, 60, THRESHOLDS)).toBeNull();
+        expect(pickReminderThreshold(30, 60, THRESHOLDS)).toBe(30);
+        expect(pickReminderThreshold(7, 30, THRESHOLDS)).toBe(7);
+        expect(pickReminderThreshold(2, 7, THRESHOLDS)).toBeNull();
+    });
+
+    it('salta umbrales ya pasados y no avisa vencidos', () => {
+        expect(pickReminderThreshold(20, null, THRESHOLDS)).toBe(30);
+        expect(pickReminderThreshold(3, 60, THRESHOLDS)).toBe(7);
+        expect(pickReminderThreshold(-1, null, THRESHOLDS)).toBeNull();
+    });
+});
+
+describe('computeRenewal', () => {
+    it('extiende desde el vencimiento vigente o desde hoy si ya venció', () => {
+        expect(computeRenewal('2026-11-30', '2026-10-19', 12)).toEqual({ startDate: '2026-11-30', expirationDate: '2027-11-30' });
+        expect(computeRenewal('2026-09-01', '2026-10-19', 12)).toEqual({ startDate: '2026-10-19', expirationDate: '2027-10-19' });
+        expect(computeRenewal(null, '2026-10-19', 6)).toEqual({ startDate: '2026-10-19', expirationDate: '2027-04-19' });
+    });
+});
@@ -216,11 +216,31 @@ const Device = sequelize.define('Device', {
         allowNull: true,
         comment: 'Fecha de expiración de la licencia/servicio'
     },
+    licenseReminderDays: {
+        type: DataTypes.SMALLINT,
+        allowNull: true,
+        comment: 'Último umbral de recordatorio de vencimiento avisado (días); se limpia al renovar'
+    },
+    licenseReminderSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Momento del último recordatorio de vencimiento'
+    },
     lastSeenAt: {
         type: DataTypes.DATE,
         allowNull: true,
         comment: 'Última vez que el equipo se comunicó con el sistema'
     },
+    connectivityState: {
+        type: DataTypes.STRING(10),
+        allowNull: true,
+        comment: 'Último estado de conectividad evaluado por el tracker de presencia: online, stale, offline'
+    },
+    connectivityChangedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Momento de la última transición de connectivityState'
+    },
     metadata: {
         type: DataTypes.JSONB,
         allowNull: true,
@@ -0,0 +1,75 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+const DeviceConnectivityEvent = sequelize.define(
+    'DeviceConnectivityEvent',
+    {
+        id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: 'UUID v7 - clave primaria time-ordered'
+        },
+        publicCode: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            unique: true,
+            comment: 'Identificador público (DCE-XXXXX-X)'
+        },
+        deviceId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'devices',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'FK a devices'
+        },
+        organizationId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'organizations',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'FK a organizations - organización dueña del device al momento del evento'
+        },
+        fromState: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            comment: 'Estado previo: online, stale, offline'
+        },
+        toState: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            comment: 'Estado nuevo: online, stale, offline'
+        },
+        lastSeenAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'lastSeenAt del device al evaluar la transición'
+        }
+    },
+    {
+        tableName: 'device_connectivity_events',
+        comment: 'Transiciones de conectividad de devices derivadas del tráfico MQTT',
+        timestamps: true,
+        updatedAt: false,
+        underscored: true,
+        indexes: [
+            {
+                fields: ['device_id', 'created_at'],
+                name: 'idx_device_connectivity_events_device_created'
+            },
+            {
+                fields: ['organization_id', 'created_at'],
+                name: 'idx_device_connectivity_events_org_created'
+            }
+        ]
+    }
+);
+
+export default DeviceConnectivityEvent;
@@ -0,0 +1,118 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+const DeviceLicenseRenewal = sequelize.define(
+    'DeviceLicenseRenewal',
+    {
+        id: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: 'UUID v7 - clave primaria time-ordered'
+        },
+        publicCode: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            unique: true,
+            comment: 'Identificador público (DLR-XXXXX-X)'
+        },
+        deviceId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'devices',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'FK a devices'
+        },
+        organizationId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            references: {
+                model: 'organizations',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'FK a organizations - organización dueña del device al renovar'
+        },
+        licenseId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'device_licenses',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL',
+            comment: 'Licencia del device tras la renovación'
+        },
+        validityPeriodId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'device_validity_periods',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL',
+            comment: 'Período de vigencia renovado'
+        },
+        months: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            comment: 'Meses extendidos'
+        },
+        previousExpirationDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: true,
+            comment: 'Vencimiento anterior (null si no tenía)'
+        },
+        startDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: false,
+            comment: 'Inicio del período renovado (vencimiento anterior o fecha de renovación)'
+        },
+        newExpirationDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: false,
+            comment: 'Vencimiento resultante'
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            comment: 'Referencia comercial (orden de compra, factura, etc.)'
+        },
+        renewedBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL',
+            comment: 'Usuario que registró la renovación'
+        }
+    },
+    {
+        tableName: 'device_license_renewals',
+        comment: 'Historial de renovaciones de licencia de devices',
+        timestamps: true,
+        updatedAt: false,
+        underscored: true,
+        indexes: [
+            {
+                fields: ['device_id', 'created_at'],
+                name: 'idx_device_license_renewals_device_created'
+            },
+            {
+                fields: ['organization_id', 'created_at'],
+                name: 'idx_device_license_renewals_org_created'
+            }
+        ]
+    }
+);
+
+export default DeviceLicenseRenewal;
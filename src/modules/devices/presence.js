@@ -0,0 +1,195 @@
+// modules/devices/presence.js
+// Tracker de presencia: alimenta Device.lastSeenAt y Channel.lastSyncAt desde el tráfico MQTT
+// y registra las transiciones de conectividad (online / stale / offline).
+//
+// Flujo (cada config.presence.flushInterval):
+//   buffer en memoria de la instancia -> hash en Redis (compartido entre instancias)
+//   -> HGETALL+DEL atómico -> UPDATE en lote en Postgres -> evaluación de transiciones
+
+import { config } from '../../config/env.js';
+import { subscribeToFleet, unsubscribeFromFleet, onMessage, removeMessageCallback, getMqttStatus } from '../realtime/mqtt/client.js';
+import { extractChannelFromUid } from '../realtime/helpers/mqttPayload.js';
+import { broadcastToOrganization } from '../realtime/wsServer.js';
+import { setHashFields, getAndDeleteHash } from '../../db/redis/client.js';
+import { notifyOrganizationPermission, NOTIFICATION_TYPES } from '../notifications/services.js';
+import { generatePublicCode, generateUuidV7 } from '../../utils/identifiers.js';
+import * as presenceRepository from './presenceRepository.js';
+import { invalidateDeviceCache } from './cache.js';
+import { CONNECTIVITY_STATES, recordLatest, parseChannelBuffer } from './connectivity.js';
+import { schedulerLogger } from '../../utils/logger.js';
+
+const MQTT_CALLBACK_ID = 'device-presence';
+const DEVICE_BUFFER_KEY = 'ec:presence:devices';
+const CHANNEL_BUFFER_KEY = 'ec:presence:channels';
+// Quienes pueden editar devices reciben el aviso de device offline
+const OFFLINE_NOTIFY_PERMISSION = 'devices.edit';
+
+let pendingDevices = new Map();   // deviceUuid → ms del último mensaje
+let pendingChannels = new Map();  // "{deviceUuid}|{ch}" → ms del último mensaje
+let flushing = false;
+let warmupUntil = 0;
+
+/**
+ * Callback MQTT: registra el contacto del device y de cada canal presente en rtdata.
+ * Usa la hora de recepción (no el ts del payload): mide cuándo el equipo habló con el sistema.
+ */
+const processMqttMessage = ({ deviceUuid, payload }) => {
+    const now = Date.now();
+    recordLatest(pendingDevices, deviceUuid, now);
+
+    let parsedPayload;
+    try {
+        parsedPayload = JSON.parse(payload);
+    } catch {
+        return;
+    }
+
+    const rtdata = parsedPayload?.rtdata;
+    if (!Array.isArray(rtdata)) return;
+
+    for (const dataItem of rtdata) {
+        const channelNumber = extractChannelFromUid(dataItem.uid) ?? dataItem.canal;
+        if (channelNumber == null) continue;
+        recordLatest(pendingChannels, `${deviceUuid}|${channelNumber}`, now);
+    }
+};
+
+/**
+ * Pasa el buffer local de la instancia al hash compartido en Redis
+ */
+const pushBufferToRedis = async () => {
+    const devices = pendingDevices;
+    const channels = pendingChannels;
+    pendingDevices = new Map();
+    pendingChannels = new Map();
+
+    if (devices.size) await setHashFields(DEVICE_BUFFER_KEY, Object.fromEntries(devices));
+    if (channels.size) await setHashFields(CHANNEL_BUFFER_KEY, Object.fromEntries(channels));
+};
+
+/**
+ * Consume el hash de Redis y vuelca los últimos contactos a Postgres
+ */
+const flushRedisToDatabase = async () => {
+    const deviceFields = await getAndDeleteHash(DEVICE_BUFFER_KEY);
+    const channelFields = await getAndDeleteHash(CHANNEL_BUFFER_KEY);
+
+    const deviceEntries = Object.entries(deviceFields)
+        .map(([deviceUuid, ts]) => ({ deviceUuid, ts: Number(ts) }))
+        .filter(entry => Number.isFinite(entry.ts));
+    const channelEntries = parseChannelBuffer(channelFields);
+
+    const devicesUpdated = await presenceRepository.touchDevicesLastSeen(deviceEntries);
+    const channelsUpdated = await presenceRepository.touchChannelsLastSync(channelEntries);
+
+    if (devicesUpdated || channelsUpdated) {
+        schedulerLogger.debug({ devicesUpdated, channelsUpdated }, 'Presencia: contactos volcados a Postgres');
+    }
+};
+
+/**
+ * Persiste las transiciones de conectividad y las publica (WS a la organización y,
+ * si el device quedó offline, notificación a sus administradores).
+ * La primera evaluación de un device (sin estado previo) solo fija el estado inicial.
+ */
+const evaluateTransitions = async () => {
+    const transitions = await presenceRepository.applyConnectivityTransitions();
+    if (!transitions.length) return;
+
+    const changes = transitions.filter(t => t.previousState !== null);
+    await presenceRepository.createConnectivityEvents(changes.map(t => ({
+        id: generateUuidV7(),
+        publicCode: generatePublicCode('DCE'),
+        deviceId: t.id,
+        organizationId: t.organizationId,
+        fromState: t.previousState,
+        toState: t.state,
+        lastSeenAt: t.lastSeenAt
+    })));
+
+    // El estado serializado en las listas cacheadas quedó desactualizado
+    await invalidateDeviceCache();
+
+    for (const t of changes) {
+        broadcastToOrganization(t.organizationId, {
+            type: 'EC:DEVICE:CONNECTIVITY',
+            payload: {
+                deviceId: t.publicCode,
+                name: t.name,
+                fromState: t.previousState,
+                toState: t.state,
+                lastSeenAt: t.lastSeenAt
+            },
+            timestamp: new Date().toISOString()
+        });
+
+        if (t.state === CONNECTIVITY_STATES.OFFLINE) {
+            await notifyOrganizationPermission(t.organizationId, OFFLINE_NOTIFY_PERMISSION, {
+                type: NOTIFICATION_TYPES.DEVICE_OFFLINE,
+                params: { device: t.name },
+                data: { deviceId: t.publicCode }
+            });
+        }
+    }
+
+    schedulerLogger.info({ transitions: changes.length, initialized: transitions.length - changes.length }, 'Presencia: transiciones de conectividad registradas');
+};
+
+/**
+ * Ciclo periódico del tracker.
+ * Las transiciones no se evalúan si ningún broker está conectado (el silencio sería nuestro,
+ * no de los equipos) ni durante el warmup posterior al arranque.
+ */
+const runFlush = async () => {
+    if (flushing) return;
+    flushing = true;
+
+    try {
+        await pushBufferToRedis();
+        await flushRedisToDatabase();
+
+        const brokerConnected = getMqttStatus().brokers.some(b => b.connected);
+        if (brokerConnected && Date.now() >= warmupUntil) {
+            await evaluateTransitions();
+        }
+    } catch (error) {
+        schedulerLogger.error(error, '❌ Presencia: error en volcado de contactos');
+    } finally {
+        flushing = false;
+    }
+};
+
+/**
+ * Inicia el tracker de presencia
+ * @returns {Function|null} Función para detener el tracker (null si está deshabilitado)
+ */
+export const startPresenceTracker = () => {
+    if (!config.presence.enabled) {
+        schedulerLogger.info('⏸️  Tracker de presencia deshabilitado (DEVICE_PRESENCE_ENABLED=false)');
+        return null;
+    }
+
+    if (!config.mqtt.brokers.some(b => b.url)) {
+        schedulerLogger.info('⏸️  Tracker de presencia sin brokers MQTT configurados, saltando');
+        return null;
+    }
+
+    // Sin tráfico previo en memoria: dar tiempo a que los equipos online vuelvan a reportar
+    warmupUntil = Date.now() + config.presence.onlineSeconds * 1000;
+
+    onMessage(MQTT_CALLBACK_ID, processMqttMessage);
+    subscribeToFleet();
+
+    const flushTimer = setInterval(runFlush, config.presence.flushInterval * 1000);
+
+    schedulerLogger.info(`📡 Tracker de presencia iniciado (volcado cada ${config.presence.flushInterval}s)`);
+
+    return () => {
+        clearInterval(flushTimer);
+        removeMessageCallback(MQTT_CALLBACK_ID);
+        unsubscribeFromFleet();
+        // Último volcado best-effort de lo acumulado en memoria (closeMqtt y Redis cierran después)
+        pushBufferToRedis().catch(error => schedulerLogger.warn({ err: error }, 'Presencia: no se pudo volcar el buffer al detener'));
+        schedulerLogger.info('🛑 Tracker de presencia detenido');
+    };
+};
@@ -0,0 +1,215 @@
+// modules/devices/presenceRepository.js
+// Acceso a datos del tracker de presencia: volcado de lastSeenAt/lastSyncAt,
+// transiciones de conectividad y resumen del parque
+
+import { Op, QueryTypes } from 'sequelize';
+import sequelize from '../../db/sql/sequelize.js';
+import DeviceConnectivityEvent from './models/DeviceConnectivityEvent.js';
+import { config } from '../../config/env.js';
+
+/**
+ * Umbral efectivo del tipo del device (columna de device_types o default de config.presence)
+ */
+const thresholdSql = (deviceRef, column, fallback) =>
+    `COALESCE((SELECT dt.${column} FROM device_types dt WHERE dt.id = ${deviceRef}.device_type_id), ${Number(fallback)})`;
+
+/**
+ * Expresión SQL con el estado de conectividad derivado de last_seen_at.
+ * Equivalente en SQL de deriveConnectivity/resolvePresenceThresholds (connectivity.js).
+ *
+ * @param {string} deviceRef - Alias/tabla de devices en la query (ej: 'd', '"Device"')
+ * @returns {string}
+ */
+export const connectivityStateSql = (deviceRef) => {
+    const online = thresholdSql(deviceRef, 'presence_online_seconds', config.presence.onlineSeconds);
+    const offline = `GREATEST(${thresholdSql(deviceRef, 'presence_offline_seconds', config.presence.offlineSeconds)}, ${online})`;
+
+    return `(CASE
+        WHEN ${deviceRef}.last_seen_at IS NULL THEN 'offline'
+        WHEN ${deviceRef}.last_seen_at >= now() - make_interval(secs => ${online}) THEN 'online'
+        WHEN ${deviceRef}.last_seen_at >= now() - make_interval(secs => ${offline}) THEN 'stale'
+        ELSE 'offline'
+    END)`;
+};
+
+/**
+ * Actualiza lastSeenAt de los devices (por uuid operativo). Nunca retrocede el valor guardado.
+ * No toca updated_at: el tráfico no es una edición del device.
+ *
+ * @param {Array<{ deviceUuid: string, ts: number }>} entries
+ * @returns {Promise<number>} Devices actualizados
+ */
+export const touchDevicesLastSeen = async (entries) => {
+    if (!entries.length) return 0;
+
+    return sequelize.query(`
+        UPDATE devices d
+           SET last_seen_at = GREATEST(COALESCE(d.last_seen_at, v.ts), v.ts)
+          FROM unnest($1::text[], $2::timestamptz[]) AS v(uuid, ts)
+         WHERE d.uuid = v.uuid
+           AND d.deleted_at IS NULL
+    `, {
+        bind: [
+            entries.map(e => e.deviceUuid),
+            entries.map(e => new Date(e.ts).toISOString())
+        ],
+        type: QueryTypes.BULKUPDATE
+    });
+};
+
+/**
+ * Actualiza lastSyncAt de los canales (uuid del device + número de canal físico)
+ *
+ * @param {Array<{ deviceUuid: string, ch: number, ts: number }>} entries
+ * @returns {Promise<number>} Canales actualizados
+ */
+export const touchChannelsLastSync = async (entries) => {
+    if (!entries.length) return 0;
+
+    return sequelize.query(`
+        UPDATE channels c
+           SET last_sync_at = GREATEST(COALESCE(c.last_sync_at, v.ts), v.ts)
+          FROM unnest($1::text[], $2::int[], $3::timestamptz[]) AS v(uuid, ch, ts),
+               devices d
+         WHERE d.uuid = v.uuid
+           AND d.deleted_at IS NULL
+           AND c.device_id = d.id
+           AND c.ch = v.ch
+           AND c.deleted_at IS NULL
+    `, {
+        bind: [
+            entries.map(e => e.deviceUuid),
+            entries.map(e => e.ch),
+            entries.map(e => new Date(e.ts).toISOString())
+        ],
+        type: QueryTypes.BULKUPDATE
+    });
+};
+
+/**
+ * Re-evalúa la conectividad de los devices activos y persiste los cambios de estado.
+ *
+ * La condición sobre connectivity_state actual evita que dos instancias registren
+ * la misma transición: la segunda ve el valor ya actualizado y no afecta la fila.
+ *
+ * @returns {Promise<Array<{ id: string, publicCode: string, name: string, organizationId: string,
+ *   previousState: string|null, state: string, lastSeenAt: Date|null }>>}
+ */
+export const applyConnectivityTransitions = async () => {
+    const [rows] = await sequelize.query(`
+        WITH evaluated AS (
+            SELECT d.id,
+                   d.connectivity_state AS previous_state,
+                   ${connectivityStateSql('d')} AS state
+              FROM devices d
+             WHERE d.deleted_at IS NULL
+               AND d.is_active = true
+               AND d.status = 'active'
+        )
+        UPDATE devices d
+           SET connectivity_state = e.state,
+               connectivity_changed_at = now()
+          FROM evaluated e
+         WHERE d.id = e.id
+           AND e.state IS DISTINCT FROM e.previous_state
+           AND d.connectivity_state IS NOT DISTINCT FROM e.previous_state
+        RETURNING d.id,
+                  d.public_code AS "publicCode",
+                  d.name,
+                  d.organization_id AS "organizationId",
+                  e.previous_state AS "previousState",
+                  e.state,
+                  d.last_seen_at AS "lastSeenAt"
+    `);
+
+    return rows;
+};
+
+/**
+ * Registra eventos de transición de conectividad
+ * @param {Array<Object>} events - Filas de device_connectivity_events (camelCase)
+ * @returns {Promise<Array>}
+ */
+export const createConnectivityEvents = async (events) => {
+    if (!events.length) return [];
+    return DeviceConnectivityEvent.bulkCreate(events);
+};
+
+/**
+ * Historial de transiciones de un device (más recientes primero)
+ *
+ * @param {string} deviceId - UUID interno
+ * @param {{ from?: Date|null, limit?: number, offset?: number }} options
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listConnectivityEvents = async (deviceId, { from = null, limit = 50, offset = 0 } = {}) => {
+    const where = { deviceId };
+    if (from) where.createdAt = { [Op.gte]: from };
+
+    const { count, rows } = await DeviceConnectivityEvent.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset
+    });
+
+    return {
+        items: rows.map(event => ({
+            id: event.publicCode,
+            fromState: event.fromState,
+            toState: event.toState,
+            lastSeenAt: event.lastSeenAt,
+            createdAt: event.createdAt
+        })),
+        total: count
+    };
+};
+
+/**
+ * Conteo de devices por estado de conectividad y por tipo de equipo.
+ * Excluye devices inactivos o dados de baja (decommissioned).
+ *
+ * @param {Object} filters
+ * @param {string} [filters.organizationId] - UUID
+ * @param {string[]} [filters.organizationIds] - UUIDs
+ * @param {string} [filters.siteId] - UUID
+ * @param {string[]} [filters.publicCodes] - Restringe a estos devices (ACL de la jerarquía)
+ * @returns {Promise<Array<{ deviceTypeId: number|null, deviceTypeCode: string|null, state: string, count: number }>>}
+ */
+export const countDevicesByConnectivity = async ({ organizationId, organizationIds, siteId, publicCodes } = {}) => {
+    const bind = [];
+    const conditions = [
+        'd.deleted_at IS NULL',
+        'd.is_active = true',
+        'd.status <> \'decommissioned\''
+    ];
+
+    if (organizationIds?.length) {
+        bind.push(organizationIds);
+        conditions.push(`d.organization_id = ANY($${bind.length}::uuid[])`);
+    } else if (organizationId) {
+        bind.push(organizationId);
+        conditions.push(`d.organization_id = $${bind.length}`);
+    }
+    if (siteId) {
+        bind.push(siteId);
+        conditions.push(`d.site_id = $${bind.length}`);
+    }
+    if (publicCodes !== undefined) {
+        bind.push(publicCodes);
+        conditions.push(`d.public_code = ANY($${bind.length}::text[])`);
+    }
+
+    const rows = await sequelize.query(`
+        SELECT d.device_type_id AS "deviceTypeId",
+               dt.code AS "deviceTypeCode",
+               ${connectivityStateSql('d')} AS state,
+               COUNT(*)::int AS count
+          FROM devices d
+          LEFT JOIN device_types dt ON dt.id = d.device_type_id
+         WHERE ${conditions.join(' AND ')}
+         GROUP BY 1, 2, 3
+    `, { bind, type: QueryTypes.SELECT });
+
+    return rows;
+};
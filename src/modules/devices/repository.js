@@ -14,7 +14,8 @@ import DeviceNetwork from '../device-metadata/models/DeviceNetwork.js';
 import DeviceLicense from '../device-metadata/models/DeviceLicense.js';
 import DeviceValidityPeriod from '../device-metadata/models/DeviceValidityPeriod.js';
 import { toPublicDeviceDto } from './helpers/serializers.js';
-import { Op } from 'sequelize';
+import { connectivityStateSql } from './presenceRepository.js';
+import { Op, literal, where as sqlWhere } from 'sequelize';
 
 // --- Definir relaciones de Sequelize ---
 
@@ -93,7 +94,7 @@ const deviceIncludes = [
     {
         model: DeviceType,
         as: 'deviceType',
-        attributes: ['id', 'code', 'icon']
+        attributes: ['id', 'code', 'icon', 'presenceOnlineSeconds', 'presenceOfflineSeconds']
     },
     {
         model: DeviceBrand,
@@ -249,6 +250,8 @@ export const deleteDevice = async (id) => {
 /**
  * Listar devices con filtros y paginación
  * @param {Object} options - Opciones de filtrado y paginación
+ * @param {string[]} [options.publicCodes] - Restringe a estos public codes (ACL de la jerarquía)
+ * @param {string[]} [options.channelPublicCodes] - Restringe los channels incluidos (ACL de la jerarquía)
  * @returns {Promise<Object>} - { items, total, page, limit }
  */
 export const listDevices = async ({ 
@@ -256,8 +259,11 @@ export const listDevices = async ({
     organizationIds,
     siteId,
     status,
+    connectivity,
     deviceTypeId,
     search,
+    publicCodes,
+    channelPublicCodes,
     includeChannels = false,
     limit = 20, 
     offset = 0 
@@ -278,6 +284,11 @@ export const listDevices = async ({
     if (status !== undefined) {
         where.status = status;
     }
+
+    // Estado de conectividad derivado en vivo de lastSeenAt y los umbrales del tipo de equipo
+    if (connectivity !== undefined) {
+        where[Op.and] = [sqlWhere(literal(connectivityStateSql('"Device"')), connectivity)];
+    }
     
     // Filtrar por tipo de equipo (FK a catálogo)
     if (deviceTypeId !== undefined) {
@@ -291,6 +302,10 @@ export const listDevices = async ({
             { serialNumber: { [Op.iLike]: `%${search}%` } }
         ];
     }
+
+    if (publicCodes !== undefined) {
+        where.publicCode = { [Op.in]: publicCodes };
+    }
     
     const includes = [...deviceIncludes];
 
@@ -299,6 +314,7 @@ export const listDevices = async ({
             model: Channel,
             as: 'channels',
             attributes: ['id', 'publicCode', 'name', 'description', 'status', 'measurementTypeId', 'unit'],
+            ...(channelPublicCodes !== undefined && { where: { publicCode: { [Op.in]: channelPublicCodes } } }),
             required: false
         });
     }
@@ -319,3 +335,84 @@ export const listDevices = async ({
         limit: parseInt(limit)
     };
 };
+
+/**
+ * Listar devices cuya licencia vence hasta una fecha (próximos vencimientos primero)
+ * Excluye devices inactivos o dados de baja (decommissioned).
+ *
+ * @param {Object} filters
+ * @param {string} filters.untilDate - YYYY-MM-DD (inclusive)
+ * @param {string|null} [filters.fromDate] - YYYY-MM-DD (inclusive); null = incluye vencidos
+ * @param {string} [filters.organizationId] - UUID
+ * @param {string[]} [filters.organizationIds] - UUIDs
+ * @param {string} [filters.siteId] - UUID
+ * @param {string[]} [filters.publicCodes] - Restringe a estos devices (ACL de la jerarquía)
+ * @returns {Promise<{ items: Object[], total: number, limit: number, offset: number }>}
+ */
+export const listExpiringDevices = async ({
+    untilDate,
+    fromDate = null,
+    organizationId,
+    organizationIds,
+    siteId,
+    publicCodes,
+    limit = 50,
+    offset = 0
+}) => {
+    const where = {
+        isActive: true,
+        status: { [Op.ne]: 'decommissioned' },
+        expirationDate: fromDate
+            ? { [Op.between]: [fromDate, untilDate] }
+            : { [Op.lte]: untilDate }
+    };
+
+    if (organizationIds?.length) {
+        where.organizationId = { [Op.in]: organizationIds };
+    } else if (organizationId) {
+        where.organizationId = organizationId;
+    }
+    if (siteId) {
+        where.siteId = siteId;
+    }
+    if (publicCodes !== undefined) {
+        where.publicCode = { [Op.in]: publicCodes };
+    }
+
+    const { count, rows } = await Device.findAndCountAll({
+        where,
+        include: deviceIncludes,
+        limit,
+        offset,
+        order: [['expirationDate', 'ASC'], ['name', 'ASC']]
+    });
+
+    return {
+        items: rows.map(device => toPublicDeviceDto(device)),
+        total: count,
+        limit,
+        offset
+    };
+};
+
+/**
+ * Buscar devices que colisionan con los identificadores únicos de un import
+ * El nombre es único por organización; serialNumber y uuid son únicos globales.
+ * @param {string} organizationId - UUID de la organización destino
+ * @param {Object} identifiers - { names: string[], serialNumbers: string[], uuids: string[] }
+ * @returns {Promise<Array<{publicCode: string, name: string, serialNumber: string|null, uuid: string|null, organizationId: string}>>}
+ */
+export const findConflictingDevices = async (organizationId, { names = [], serialNumbers = [], uuids = [] }) => {
+    const conditions = [];
+    if (names.length > 0) conditions.push({ organizationId, name: { [Op.in]: names } });
+    if (serialNumbers.length > 0) conditions.push({ serialNumber: { [Op.in]: serialNumbers } });
+    if (uuids.length > 0) conditions.push({ uuid: { [Op.in]: uuids } });
+    if (conditions.length === 0) return [];
+
+    const rows = await Device.findAll({
+        where: { [Op.or]: conditions },
+        attributes: ['publicCode', 'name', 'serialNumber', 'uuid', 'organizationId'],
+        raw: true
+    });
+    return rows;
+};
@@ -2,38 +2,63 @@
 // Rutas REST para el módulo de Devices (Dispositivos IoT/Edge)
 
 import express from 'express';
-import { authenticate, requireRole } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import { validate } from '../../middleware/validate.js';
 import { enforceActiveOrganization } from '../../middleware/enforceActiveOrganization.js';
 import { validateResourceOwnership } from '../../middleware/validateResourceOwnership.js';
+import { attachResourceAccess, requireResourceAccess, resolveRequestAccessScope } from '../../middleware/resourceAccess.js';
+import { runBulkOperation } from '../../helpers/bulkOperations.js';
 import * as deviceServices from './services.js';
+import * as deviceImportServices from './importServices.js';
+import * as deviceLicenseServices from './licenseServices.js';
 import * as deviceRepository from './repository.js';
 import {
     createDeviceSchema,
     updateDeviceSchema,
     getDevicesSchema,
     getDeviceByIdSchema,
-    deleteDeviceSchema
+    deleteDeviceSchema,
+    getConnectivitySummarySchema,
+    getConnectivityEventsSchema,
+    importDevicesSchema,
+    bulkDevicesSchema,
+    getLicenseExpirationsSchema,
+    renewDeviceLicenseSchema,
+    getLicenseRenewalsSchema
 } from './dtos/index.js';
 import logger from '../../utils/logger.js';
 import deviceMetadataRoutes from '../device-metadata/routes.js';
+import deviceCommandsRoutes from '../device-commands/index.js';
 
 // Middleware de validación de ownership para Devices
 // Verifica que el recurso pertenece a una organización accesible por el usuario
-const validateDeviceOwnership = validateResourceOwnership({
+// Las mismas opciones se usan por item en PATCH /bulk
+const deviceOwnership = {
     findById: deviceRepository.findDeviceById,
     findByPublicCode: deviceRepository.findDeviceByPublicCodeInternal,
     resourceName: 'device',
     paramName: 'id',
     checkSoftDelete: true
-});
+};
+const validateDeviceOwnership = validateResourceOwnership(deviceOwnership);
+
+// Permiso de la operación masiva según la acción (delete requiere devices.delete)
+const requireBulkPermission = (req, res, next) => requirePermission(
+    req.body?.action === 'delete' ? 'devices.delete' : 'devices.edit'
+)(req, res, next);
+
+// Ubicar el import en la jerarquía escribe nodos: requiere además el permiso de POST /resource-hierarchy/nodes/batch-create
+const requireImportPermission = (req, res, next) => {
+    if (req.body?.placeInHierarchy !== true) return next();
+    return requirePermission('resource_hierarchy.edit')(req, res, next);
+};
 
 const router = express.Router();
 const deviceLogger = logger.child({ component: 'devices' });
 
 
 // 📄 Swagger: src/docs/swagger/devices.yaml -> POST /
-router.post('/', authenticate, requireRole(['system-admin', 'org-admin']), enforceActiveOrganization, validate(createDeviceSchema), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('devices.create'), enforceActiveOrganization, validate(createDeviceSchema), async (req, res, next) => {
     try {
         const userId = req.user.userId;
         const ipAddress = req.ip || req.connection.remoteAddress;
@@ -57,14 +82,15 @@ router.post('/', authenticate, requireRole(['system-admin', 'org-admin']), enfor
 
 
 // 📄 Swagger: src/docs/swagger/devices.yaml -> GET /
-router.get('/', authenticate, enforceActiveOrganization, validate(getDevicesSchema), async (req, res, next) => {
+router.get('/', authenticate, enforceActiveOrganization, attachResourceAccess, validate(getDevicesSchema), async (req, res, next) => {
     try {
         // Usa la organización del contexto establecido por el middleware
         // Si showAll=true (God View), no filtra por organización
         const result = await deviceServices.listDevices({
             ...req.query,
             organizationId: req.organizationContext.id,
-            showAll: req.organizationContext.showAll || false
+            showAll: req.organizationContext.showAll || false,
+            accessScope: req.resourceAccess
         });
         
         // Respuesta con estructura estándar: data[] + meta{}
@@ -86,13 +112,130 @@ router.get('/', authenticate, enforceActiveOrganization, validate(getDevicesSche
 });
 
 
+// 📄 Swagger: src/docs/swagger/devices.yaml -> GET /connectivity/summary
+router.get('/connectivity/summary', authenticate, enforceActiveOrganization, attachResourceAccess, validate(getConnectivitySummarySchema), async (req, res, next) => {
+    try {
+        const summary = await deviceServices.getConnectivitySummary({
+            ...req.query,
+            organizationId: req.organizationContext.id,
+            showAll: req.organizationContext.showAll || false,
+            accessScope: req.resourceAccess
+        });
+
+        res.json({
+            ok: true,
+            data: summary,
+            meta: {
+                timestamp: new Date().toISOString(),
+                locale: req.locale
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/devices.yaml -> GET /license-expirations
+router.get('/license-expirations', authenticate, enforceActiveOrganization, attachResourceAccess, validate(getLicenseExpirationsSchema), async (req, res, next) => {
+    try {
+        const result = await deviceLicenseServices.listExpiringDevices({
+            ...req.query,
+            organizationId: req.organizationContext.id,
+            showAll: req.organizationContext.showAll || false,
+            accessScope: req.resourceAccess
+        });
+
+        res.json({
+            ok: true,
+            data: result.items,
+            meta: {
+                total: result.total,
+                limit: result.limit,
+                offset: result.offset,
+                today: result.today,
+                untilDate: result.untilDate,
+                timestamp: new Date().toISOString(),
+                locale: req.locale
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/devices.yaml -> POST /import
+router.post('/import', authenticate, requirePermission('devices.create'), requireImportPermission, enforceActiveOrganization, attachResourceAccess, validate(importDevicesSchema), async (req, res, next) => {
+    try {
+        const userId = req.user.userId;
+        const ipAddress = req.ip || req.connection.remoteAddress;
+        const userAgent = req.headers['user-agent'];
+        const orgContext = req.organizationContext;
+
+        const { devices, report } = await deviceImportServices.importDevices(req.body, userId, ipAddress, userAgent, orgContext, req.resourceAccess);
+
+        res.status(report.dryRun ? 200 : 201).json({
+            ok: true,
+            data: { devices, report },
+            meta: {
+                timestamp: new Date().toISOString(),
+                locale: req.locale
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/devices.yaml -> PATCH /bulk
+router.patch('/bulk', authenticate, requireBulkPermission, enforceActiveOrganization, attachResourceAccess, validate(bulkDevicesSchema), async (req, res, next) => {
+    try {
+        const userId = req.user.userId;
+        const ipAddress = req.ip || req.connection.remoteAddress;
+        const userAgent = req.headers['user-agent'];
+        const { ids, filter, action, changes } = req.body;
+
+        const targets = ids ?? await deviceServices.resolveBulkDeviceTargets(filter, {
+            organizationId: req.organizationContext.id,
+            accessScope: req.resourceAccess
+        });
+
+        // Cada item valida ownership y grants como PUT/DELETE /:id
+        const { results, summary } = await runBulkOperation({
+            ids: targets,
+            user: req.user,
+            ownership: deviceOwnership,
+            resourceType: 'device',
+            resolveAccessScope: (organizationId) => resolveRequestAccessScope(req, organizationId),
+            execute: (publicCode) => deviceServices.applyBulkDeviceAction(publicCode, action, changes, userId, ipAddress, userAgent),
+            locale: req.locale
+        });
+
+        deviceLogger.info({ userId, action, ...summary }, 'Bulk de devices ejecutado');
+
+        res.json({
+            ok: true,
+            data: { action, results, summary },
+            meta: {
+                timestamp: new Date().toISOString(),
+                locale: req.locale
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Rutas de device metadata (catálogos para formularios)
 // IMPORTANTE: Debe estar ANTES de las rutas con :id para evitar que "metadata" sea capturado como ID
 // 📄 Swagger: src/docs/swagger/devices.yaml -> USE /
 router.use('/', deviceMetadataRoutes);
 
+// Comandos a devices via MQTT (/:id/commands)
+// 📄 Swagger: src/docs/swagger/device-commands.yaml
+router.use('/', deviceCommandsRoutes);
+
 // 📄 Swagger: src/docs/swagger/devices.yaml -> GET /:id
-router.get('/:id', authenticate, validateDeviceOwnership, validate(getDeviceByIdSchema), async (req, res, next) => {
+router.get('/:id', authenticate, validateDeviceOwnership, requireResourceAccess('device'), validate(getDeviceByIdSchema), async (req, res, next) => {
     try {
         // El middleware validateDeviceOwnership ya validó el acceso
         const device = await deviceServices.getDeviceByPublicCode(req.params.id);
@@ -111,8 +254,72 @@ router.get('/:id', authenticate, validateDeviceOwnership, validate(getDeviceById
 });
 
 
+// 📄 Swagger: src/docs/swagger/devices.yaml -> GET /:id/connectivity-events
+router.get('/:id/connectivity-events', authenticate, validateDeviceOwnership, requireResourceAccess('device'), validate(getConnectivityEventsSchema), async (req, res, next) => {
+    try {
+        const result = await deviceServices.listConnectivityEvents(req.params.id, req.query);
+
+        res.json({
+            ok: true,
+            data: result.items,
+            meta: {
+                total: result.total,
+                limit: result.limit,
+                offset: result.offset,
+                timestamp: new Date().toISOString(),
+                locale: req.locale
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/devices.yaml -> GET /:id/license-renewals
+router.get('/:id/license-renewals', authenticate, validateDeviceOwnership, requireResourceAccess('device'), validate(getLicenseRenewalsSchema), async (req, res, next) => {
+    try {
+        const result = await deviceLicenseServices.listLicenseRenewals(req.params.id, req.query);
+
+        res.json({
+            ok: true,
+            data: result.items,
+            meta: {
+                total: result.total,
+                limit: result.limit,
+                offset: result.offset,
+                timestamp: new Date().toISOString(),
+                locale: req.locale
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/devices.yaml -> POST /:id/license-renewals
+router.post('/:id/license-renewals', authenticate, requirePermission('devices.edit'), validateDeviceOwnership, requireResourceAccess('device', 'edit'), validate(renewDeviceLicenseSchema), async (req, res, next) => {
+    try {
+        const userId = req.user.userId;
+        const ipAddress = req.ip || req.connection.remoteAddress;
+        const userAgent = req.headers['user-agent'];
+
+        const result = await deviceLicenseServices.renewDeviceLicense(req.params.id, req.body, userId, ipAddress, userAgent);
+
+        res.status(201).json({
+            ok: true,
+            data: result,
+            meta: {
+                timestamp: new Date().toISOString(),
+                locale: req.locale
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // 📄 Swagger: src/docs/swagger/devices.yaml -> PUT /:id
-router.put('/:id', authenticate, requireRole(['system-admin', 'org-admin']), validateDeviceOwnership, validate(updateDeviceSchema), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('devices.edit'), validateDeviceOwnership, requireResourceAccess('device', 'edit'), validate(updateDeviceSchema), async (req, res, next) => {
     try {
         // El middleware validateDeviceOwnership ya validó el acceso
         const userId = req.user.userId;
@@ -136,7 +343,7 @@ router.put('/:id', authenticate, requireRole(['system-admin', 'org-admin']), val
 
 
 // 📄 Swagger: src/docs/swagger/devices.yaml -> DELETE /:id
-router.delete('/:id', authenticate, requireRole(['system-admin']), validateDeviceOwnership, validate(deleteDeviceSchema), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('devices.delete'), validateDeviceOwnership, requireResourceAccess('device', 'edit'), validate(deleteDeviceSchema), async (req, res, next) => {
     try {
         // El middleware validateDeviceOwnership ya validó el acceso y existencia
         const userId = req.user.userId;
@@ -5,18 +5,23 @@ import { v7 as uuidv7 } from 'uuid';
 import { createHash } from 'crypto';
 import { Op } from 'sequelize';
 import * as deviceRepository from './repository.js';
+import * as presenceRepository from './presenceRepository.js';
+import { resolveInitialExpiration, resolveLicenseUpdate } from './licenseServices.js';
 import * as organizationRepository from '../organizations/repository.js';
 import * as siteRepository from '../sites/repository.js';
 import { cacheDeviceList, getCachedDeviceList, invalidateDeviceCache } from './cache.js';
 import { invalidateChannelCache } from '../channels/cache.js';
 import { invalidateDeviceTelemetryCache } from '../telemetry/cache.js';
+import { listAccessibleCodes } from '../resource-hierarchy/accessScope.js';
 import { logAuditAction } from '../../helpers/auditLog.js';
+import { MAX_BULK_ITEMS, resolveBulkChanges } from '../../helpers/bulkSchema.js';
 import { generateHumanId, generatePublicCode } from '../../utils/identifiers.js';
 import Device from './models/Device.js';
 import Channel from '../channels/models/Channel.js';
 import ChannelVariable from '../telemetry/models/ChannelVariable.js';
 import Variable from '../telemetry/models/Variable.js';
 import sequelize from '../../db/sql/sequelize.js';
+import { config } from '../../config/env.js';
 import logger from '../../utils/logger.js';
 
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
@@ -37,9 +42,9 @@ const parsePhaseSystem = (value) => {
 };
 
 const VAL_KEYS = ['val1', 'val2', 'val3', 'val4', 'val5', 'val6', 'val7', 'val8'];
-const IOT_MEASUREMENT_TYPE_ID = 3;
+export const IOT_MEASUREMENT_TYPE_ID = 3;
 
-const extractVariableIds = (channelInput) => {
+export const extractVariableIds = (channelInput) => {
     const variables = [];
     const seenIds = new Set();
     for (let i = 0; i < VAL_KEYS.length; i++) {
@@ -72,21 +77,18 @@ const buildChannelMetadata = (channelInput) => {
 };
 
 /**
- * Crear un nuevo device (con canales opcionales, atómico)
- * @param {Object} deviceData - Datos del device (puede incluir channels[])
+ * Resolver la organización destino de un alta de device
+ * Durante impersonación la org del contexto es la fuente de verdad; si el body
+ * especifica otra organización se verifica que el usuario tenga acceso a ella.
+ * @param {string|null} orgFromBody - UUID o public code enviado en el body
  * @param {string} userId - ID del usuario que crea el device
- * @param {string} ipAddress - IP del usuario
- * @param {string} userAgent - User agent del usuario
  * @param {Object} orgContext - Contexto de organización del middleware enforceActiveOrganization
- * @returns {Promise<Object>} - Device creado con canales
+ * @returns {Promise<string>} - UUID de la organización
  */
-export const createDevice = async (deviceData, userId, ipAddress, userAgent, orgContext) => {
-    const { channels: channelsInput, ...deviceFields } = deviceData;
-    
+export const resolveDeviceOrganization = async (orgFromBody, userId, orgContext) => {
     // Impersonación tiene prioridad absoluta: la org del contexto es la fuente de verdad
     // El frontend puede enviar un organizationId stale; durante impersonación se ignora
     if (orgContext?.impersonating && orgContext.id) {
-        const orgFromBody = deviceFields.organizationId;
         if (orgFromBody && orgFromBody !== orgContext.publicCode && orgFromBody !== orgContext.id) {
             logger.warn({
                 bodyOrgId: orgFromBody,
@@ -94,11 +96,10 @@ export const createDevice = async (deviceData, userId, ipAddress, userAgent, org
                 userId
             }, 'Device creation: body organizationId difiere del contexto de impersonación, usando org del contexto');
         }
-        deviceFields.organizationId = orgContext.id;
+        orgFromBody = orgContext.id;
     }
     
     // Resolver organizationId: del body o del contexto JWT
-    const orgFromBody = deviceFields.organizationId;
     const orgIdentifier = orgFromBody || orgContext?.publicCode || orgContext?.id;
     if (!orgIdentifier) {
         const msg = orgContext?.canAccessAll
@@ -141,6 +142,165 @@ export const createDevice = async (deviceData, userId, ipAddress, userAgent, org
         }
     }
     
+    return organizationUuid;
+};
+
+/**
+ * Insertar un device con sus canales inline dentro de una transacción existente
+ * No registra auditoría: devuelve las entradas para loguearlas tras el commit,
+ * así un rollback (ej: import masivo) no deja registros de entidades inexistentes.
+ * @param {Object} deviceFields - Campos del device (sin channels)
+ * @param {Object[]} channelsInput - Canales a crear (puede ser vacío)
+ * @param {Object} options - { organizationUuid, siteUuid, transaction }
+ * @returns {Promise<{device: Object, auditEntries: Object[]}>}
+ */
+export const insertDeviceWithChannels = async (deviceFields, channelsInput, { organizationUuid, siteUuid, transaction: t }) => {
+    const auditEntries = [];
+    
+    // --- Crear device ---
+    const deviceUuid = uuidv7();
+    const deviceHumanId = await generateHumanId(Device, null, null, { transaction: t });
+    const devicePublicCode = generatePublicCode('DEV');
+    
+    const device = await deviceRepository.createDevice({
+        ...deviceFields,
+        expirationDate: await resolveInitialExpiration(deviceFields),
+        organizationId: organizationUuid,
+        siteId: siteUuid,
+        id: deviceUuid,
+        humanId: deviceHumanId,
+        publicCode: devicePublicCode
+    }, { transaction: t });
+    
+    auditEntries.push({
+        entityType: 'device',
+        entityId: device.id,
+        action: 'create',
+        changes: { new: device },
+        metadata: {
+            organizationId: organizationUuid,
+            siteId: siteUuid,
+            deviceTypeId: deviceFields.deviceTypeId
+        }
+    });
+    
+    // --- Crear canales inline ---
+    let createdChannels = [];
+    for (const chInput of channelsInput || []) {
+        const chUuid = uuidv7();
+        const chHumanId = await generateHumanId(Channel, null, null, { transaction: t });
+        const chPublicCode = generatePublicCode('CHN');
+        
+        const channelData = {
+            id: chUuid,
+            humanId: chHumanId,
+            publicCode: chPublicCode,
+            deviceId: deviceUuid,
+            organizationId: organizationUuid,
+            name: chInput.name,
+            description: chInput.description || null,
+            ch: chInput.channelIndex ?? null,
+            measurementTypeId: chInput.measurementTypeId || null,
+            phaseSystem: parsePhaseSystem(chInput.system),
+            phase: chInput.phase || null,
+            process: chInput.process ?? true,
+            status: chInput.status || 'active',
+            isActive: chInput.isActive ?? true,
+            metadata: buildChannelMetadata(chInput) || {}
+        };
+        
+        const channel = await Channel.create(channelData, { transaction: t });
+        
+        // --- Crear channel_variables para canales IOT ---
+        let assignedVariables = [];
+        if (chInput.measurementTypeId === IOT_MEASUREMENT_TYPE_ID) {
+            const varEntries = extractVariableIds(chInput);
+            
+            if (varEntries.length > 0) {
+                const varIds = varEntries.map(v => v.variableId);
+                const existingVars = await Variable.findAll({
+                    where: { id: varIds, measurementTypeId: IOT_MEASUREMENT_TYPE_ID },
+                    attributes: ['id'],
+                    transaction: t
+                });
+                const validIds = new Set(existingVars.map(v => v.id));
+                
+                for (const entry of varEntries) {
+                    if (!validIds.has(entry.variableId)) {
+                        const error = new Error(`Variable ID ${entry.variableId} no existe o no pertenece al tipo IOT`);
+                        error.status = 400;
+                        error.code = 'INVALID_VARIABLE_ID';
+                        throw error;
+                    }
+                    
+                    await ChannelVariable.create({
+                        channelId: chUuid,
+                        variableId: entry.variableId,
+                        displayOrder: entry.displayOrder,
+                        isActive: true
+                    }, { transaction: t });
+                    
+                    assignedVariables.push({
+                        variableId: entry.variableId,
+                        displayOrder: entry.displayOrder
+                    });
+                }
+            }
+        }
+        
+        const channelResult = {
+            id: chPublicCode,
+            name: channel.name,
+            description: channel.description,
+            ch: channel.ch,
+            measurementTypeId: channel.measurementTypeId,
+            phaseSystem: channel.phaseSystem,
+            phase: channel.phase,
+            status: channel.status,
+            metadata: channel.metadata || {}
+        };
+        
+        if (assignedVariables.length > 0) {
+            channelResult.variables = assignedVariables;
+        }
+        
+        createdChannels.push(channelResult);
+        
+        auditEntries.push({
+            entityType: 'channel',
+            entityId: chPublicCode,
+            action: 'create',
+            changes: { new: channelData },
+            metadata: {
+                organizationId: organizationUuid,
+                deviceId: device.id,
+                createdVia: 'device-inline',
+                variablesAssigned: assignedVariables.length
+            }
+        });
+    }
+    
+    if (createdChannels.length > 0) {
+        device.channels = createdChannels;
+    }
+    
+    return { device, auditEntries };
+};
+
+/**
+ * Crear un nuevo device (con canales opcionales, atómico)
+ * @param {Object} deviceData - Datos del device (puede incluir channels[])
+ * @param {string} userId - ID del usuario que crea el device
+ * @param {string} ipAddress - IP del usuario
+ * @param {string} userAgent - User agent del usuario
+ * @param {Object} orgContext - Contexto de organización del middleware enforceActiveOrganization
+ * @returns {Promise<Object>} - Device creado con canales
+ */
+export const createDevice = async (deviceData, userId, ipAddress, userAgent, orgContext) => {
+    const { channels: channelsInput, ...deviceFields } = deviceData;
+    
+    const organizationUuid = await resolveDeviceOrganization(deviceFields.organizationId, userId, orgContext);
+    
     // Resolver siteId si se proporcionó
     let siteUuid = deviceFields.siteId || null;
     if (siteUuid && !UUID_REGEX.test(siteUuid)) {
@@ -160,143 +320,15 @@ export const createDevice = async (deviceData, userId, ipAddress, userAgent, org
         siteUuid = site.id;
     }
     
-    const result = await sequelize.transaction(async (t) => {
-        // --- Crear device ---
-        const deviceUuid = uuidv7();
-        const deviceHumanId = await generateHumanId(Device, null, null, { transaction: t });
-        const devicePublicCode = generatePublicCode('DEV');
-        
-        const device = await deviceRepository.createDevice({
-            ...deviceFields,
-            organizationId: organizationUuid,
-            siteId: siteUuid,
-            id: deviceUuid,
-            humanId: deviceHumanId,
-            publicCode: devicePublicCode
-        }, { transaction: t });
-        
-        await logAuditAction({
-            entityType: 'device',
-            entityId: device.id,
-            action: 'create',
-            performedBy: userId,
-            changes: { new: device },
-            metadata: {
-                organizationId: organizationUuid,
-                siteId: siteUuid,
-                deviceTypeId: deviceFields.deviceTypeId
-            },
-            ipAddress,
-            userAgent
-        });
-        
-        // --- Crear canales inline ---
-        let createdChannels = [];
-        if (channelsInput && channelsInput.length > 0) {
-            for (const chInput of channelsInput) {
-                const chUuid = uuidv7();
-                const chHumanId = await generateHumanId(Channel, null, null, { transaction: t });
-                const chPublicCode = generatePublicCode('CHN');
-                
-                const channelData = {
-                    id: chUuid,
-                    humanId: chHumanId,
-                    publicCode: chPublicCode,
-                    deviceId: deviceUuid,
-                    organizationId: organizationUuid,
-                    name: chInput.name,
-                    description: chInput.description || null,
-                    ch: chInput.channelIndex ?? null,
-                    measurementTypeId: chInput.measurementTypeId || null,
-                    phaseSystem: parsePhaseSystem(chInput.system),
-                    phase: chInput.phase || null,
-                    process: chInput.process ?? true,
-                    status: chInput.status || 'active',
-                    isActive: chInput.isActive ?? true,
-                    metadata: buildChannelMetadata(chInput) || {}
-                };
-                
-                const channel = await Channel.create(channelData, { transaction: t });
-                
-                // --- Crear channel_variables para canales IOT ---
-                let assignedVariables = [];
-                if (chInput.measurementTypeId === IOT_MEASUREMENT_TYPE_ID) {
-                    const varEntries = extractVariableIds(chInput);
-                    
-                    if (varEntries.length > 0) {
-                        const varIds = varEntries.map(v => v.variableId);
-                        const existingVars = await Variable.findAll({
-                            where: { id: varIds, measurementTypeId: IOT_MEASUREMENT_TYPE_ID },
-                            attributes: ['id'],
-                            transaction: t
-                        });
-                        const validIds = new Set(existingVars.map(v => v.id));
-                        
-                        for (const entry of varEntries) {
-                            if (!validIds.has(entry.variableId)) {
-                                const error = new Error(`Variable ID ${entry.variableId} no existe o no pertenece al tipo IOT`);
-                                error.status = 400;
-                                error.code = 'INVALID_VARIABLE_ID';
-                                throw error;
-                            }
-                            
-                            await ChannelVariable.create({
-                                channelId: chUuid,
-                                variableId: entry.variableId,
-                                displayOrder: entry.displayOrder,
-                                isActive: true
-                            }, { transaction: t });
-                            
-                            assignedVariables.push({
-                                variableId: entry.variableId,
-                                displayOrder: entry.displayOrder
-                            });
-                        }
-                    }
-                }
-                
-                const channelResult = {
-                    id: chPublicCode,
-                    name: channel.name,
-                    description: channel.description,
-                    ch: channel.ch,
-                    measurementTypeId: channel.measurementTypeId,
-                    phaseSystem: channel.phaseSystem,
-                    phase: channel.phase,
-                    status: channel.status,
-                    metadata: channel.metadata || {}
-                };
-                
-                if (assignedVariables.length > 0) {
-                    channelResult.variables = assignedVariables;
-                }
-                
-                createdChannels.push(channelResult);
-                
-                await logAuditAction({
-                    entityType: 'channel',
-                    entityId: chPublicCode,
-                    action: 'create',
-                    performedBy: userId,
-                    changes: { new: channelData },
-                    metadata: {
-                        organizationId: organizationUuid,
-                        deviceId: device.id,
-                        createdVia: 'device-inline',
-                        variablesAssigned: assignedVariables.length
-                    },
-                    ipAddress,
-                    userAgent
-                });
-            }
-        }
-        
-        if (createdChannels.length > 0) {
-            device.channels = createdChannels;
-        }
-        
-        return device;
-    });
+    const { device: result, auditEntries } = await sequelize.transaction((t) => insertDeviceWithChannels(
+        deviceFields,
+        channelsInput,
+        { organizationUuid, siteUuid, transaction: t }
+    ));
+    
+    for (const entry of auditEntries) {
+        await logAuditAction({ ...entry, performedBy: userId, ipAddress, userAgent });
+    }
     
     // Invalidar caches fuera de la transacción
     await invalidateDeviceCache();
@@ -328,22 +360,11 @@ export const getDeviceByPublicCode = async (publicCode) => {
 };
 
 /**
- * Listar devices con filtros y paginación
- * @param {Object} filters - Filtros de búsqueda
- * @returns {Promise<Object>} - Lista de devices paginada
+ * Resuelve los filtros de organización y sitio de un listado a UUIDs internos
+ * @param {Object} filters - organizationIds (UUIDs del middleware), organizationId y siteId (UUID o publicCode)
+ * @returns {Promise<{ organizationUuid: string|null, organizationUuids: string[]|null, siteUuid: string|undefined }>}
  */
-export const listDevices = async (filters) => {
-    const { showAll = false } = filters;
-    
-    // En modo showAll (God View), no filtramos por organización
-    if (showAll) {
-        const repoFilters = { ...filters, showAll: true };
-        delete repoFilters.organizationId;
-        delete repoFilters.organizationIds;
-        
-        return await deviceRepository.listDevices(repoFilters);
-    }
-    
+const resolveListScope = async (filters) => {
     // Preparar filtros de organización
     let organizationUuid = null;
     let organizationUuids = null;
@@ -366,7 +387,7 @@ export const listDevices = async (filters) => {
             organizationUuid = org.id;
         }
     }
-    
+
     // Convertir siteId de publicCode a UUID si es necesario
     let siteUuid = filters.siteId;
     if (filters.siteId && !filters.siteId.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
@@ -379,18 +400,47 @@ export const listDevices = async (filters) => {
         }
         siteUuid = site.id;
     }
+
+    return { organizationUuid, organizationUuids, siteUuid };
+};
+
+/**
+ * Listar devices con filtros y paginación
+ * @param {Object} filters - Filtros de búsqueda
+ * @param {Object|null} [filters.accessScope] - Scope de la jerarquía (ver resource-hierarchy/accessScope.js); null = sin restricción
+ * @returns {Promise<Object>} - Lista de devices paginada
+ */
+export const listDevices = async ({ accessScope = null, ...filters }) => {
+    const { showAll = false } = filters;
+    const publicCodes = listAccessibleCodes(accessScope, 'device');
+    const channelPublicCodes = listAccessibleCodes(accessScope, 'channel');
+    
+    // En modo showAll (God View), no filtramos por organización
+    if (showAll) {
+        const repoFilters = { ...filters, publicCodes, channelPublicCodes, showAll: true };
+        delete repoFilters.organizationId;
+        delete repoFilters.organizationIds;
+        
+        return await deviceRepository.listDevices(repoFilters);
+    }
+    
+    const { organizationUuid, organizationUuids, siteUuid } = await resolveListScope(filters);
     
     // Generar cache key basada en filtros (MD5 corto para evitar keys largas con JSON crudo)
     const cacheParamsStr = JSON.stringify({
         ...filters,
         organizationId: organizationUuid,
         organizationIds: organizationUuids,
-        siteId: siteUuid
+        siteId: siteUuid,
+        accessScope: accessScope?.hash ?? null
     });
     const cacheKey = createHash('md5').update(cacheParamsStr).digest('hex').substring(0, 16);
     
+    // El filtro de conectividad depende del reloj (lastSeenAt vs umbrales): siempre contra BD
+    const useCache = filters.connectivity === undefined;
+
     // Intentar obtener del cache
-    const cached = await getCachedDeviceList(cacheKey);
+    const cached = useCache ? await getCachedDeviceList(cacheKey) : null;
     if (cached) {
         return cached;
     }
@@ -400,18 +450,87 @@ export const listDevices = async (filters) => {
         ...filters,
         organizationId: organizationUuid,
         organizationIds: organizationUuids,
-        siteId: siteUuid
+        siteId: siteUuid,
+        publicCodes,
+        channelPublicCodes
     };
 
     // Obtener de BD
     const result = await deviceRepository.listDevices(repoFilters);
     
     // Cachear resultado
-    await cacheDeviceList(cacheKey, result);
+    if (useCache) {
+        await cacheDeviceList(cacheKey, result);
+    }
     
     return result;
 };
 
+/**
+ * Resumen de conectividad del parque (online / stale / offline), total y por tipo de equipo.
+ * Mismo scope que el listado: organización del contexto (o God View), sitio opcional y ACL de la jerarquía.
+ *
+ * @param {Object} filters - organizationId, organizationIds, siteId, showAll, accessScope
+ * @returns {Promise<Object>} - { total, online, stale, offline, byDeviceType[], thresholds }
+ */
+export const getConnectivitySummary = async ({ accessScope = null, showAll = false, ...filters }) => {
+    const publicCodes = listAccessibleCodes(accessScope, 'device');
+    // En modo showAll (God View), no filtramos por organización
+    const { organizationUuid, organizationUuids, siteUuid } = await resolveListScope(showAll ? { siteId: filters.siteId } : filters);
+
+    const rows = await presenceRepository.countDevicesByConnectivity({
+        organizationId: organizationUuid,
+        organizationIds: organizationUuids,
+        siteId: siteUuid,
+        publicCodes
+    });
+
+    const emptyCounts = () => ({ total: 0, online: 0, stale: 0, offline: 0 });
+    const summary = emptyCounts();
+    const byType = new Map();
+
+    for (const row of rows) {
+        const typeKey = row.deviceTypeId ?? 'none';
+        if (!byType.has(typeKey)) {
+            byType.set(typeKey, { deviceTypeId: row.deviceTypeId, deviceTypeCode: row.deviceTypeCode, ...emptyCounts() });
+        }
+        const typeCounts = byType.get(typeKey);
+        for (const counts of [summary, typeCounts]) {
+            counts[row.state] += row.count;
+            counts.total += row.count;
+        }
+    }
+
+    return {
+        ...summary,
+        byDeviceType: [...byType.values()].sort((a, b) => b.total - a.total),
+        thresholds: {
+            onlineSeconds: config.presence.onlineSeconds,
+            offlineSeconds: config.presence.offlineSeconds
+        }
+    };
+};
+
+/**
+ * Historial de transiciones de conectividad de un device
+ * @param {string} publicCode - Public code del device
+ * @param {Object} options - { from, limit, offset }
+ * @returns {Promise<Object>} - { items, total, limit, offset }
+ */
+export const listConnectivityEvents = async (publicCode, { from = null, limit = 50, offset = 0 } = {}) => {
+    const device = await deviceRepository.findDeviceByPublicCodeInternal(publicCode);
+
+    if (!device) {
+        const error = new Error('Device no encontrado');
+        error.status = 404;
+        error.code = 'DEVICE_NOT_FOUND';
+        throw error;
+    }
+
+    const result = await presenceRepository.listConnectivityEvents(device.id, { from, limit, offset });
+    return { ...result, limit, offset };
+};
+
 /**
  * Actualizar device
  * @param {string} publicCode - Public code del device
@@ -455,6 +574,9 @@ export const updateDevice = async (publicCode, updateData, userId, ipAddress, us
         updateData.siteId = siteUuid;
     }
     
+    // Vigencia: recalcular vencimiento si cambió la licencia o el período
+    Object.assign(updateData, await resolveLicenseUpdate(deviceInternal, updateData));
+    
     // Guardar estado anterior para audit
     const oldData = { ...deviceInternal.dataValues };
     
@@ -644,3 +766,62 @@ export const deleteDevice = async (publicCode, userId, ipAddress, userAgent) =>
         throw error;
     }
 };
+
+/**
+ * Resuelve los devices alcanzados por el filtro de una operación masiva
+ * Se limita a la organización activa y a los devices visibles según la jerarquía.
+ *
+ * @param {Object} filter - siteId, deviceTypeId, status, connectivity, search
+ * @param {Object} context
+ * @param {string|null} context.organizationId - UUID de la organización activa
+ * @param {Object|null} [context.accessScope] - Scope de la jerarquía; null = sin restricción
+ * @returns {Promise<string[]>} Public codes de los devices
+ */
+export const resolveBulkDeviceTargets = async (filter, { organizationId, accessScope = null }) => {
+    if (!organizationId) {
+        const error = new Error('Debe seleccionar una organización para operar por filtro');
+        error.status = 400;
+        error.code = 'ORGANIZATION_REQUIRED';
+        throw error;
+    }
+
+    const { siteUuid } = await resolveListScope({ siteId: filter.siteId });
+    const { items, total } = await deviceRepository.listDevices({
+        ...filter,
+        organizationId,
+        siteId: siteUuid,
+        publicCodes: listAccessibleCodes(accessScope, 'device'),
+        limit: MAX_BULK_ITEMS,
+        offset: 0
+    });
+
+    if (total > MAX_BULK_ITEMS) {
+        const error = new Error(`El filtro alcanza ${total} devices; el máximo por operación masiva es ${MAX_BULK_ITEMS}`);
+        error.status = 400;
+        error.code = 'BULK_TOO_MANY_ITEMS';
+        error.details = { total, max: MAX_BULK_ITEMS };
+        throw error;
+    }
+
+    return items.map(device => device.id);
+};
+
+/**
+ * Aplica una acción masiva a un device con el mismo servicio que la operación individual
+ * (validaciones, audit log e invalidación de caches incluidos)
+ *
+ * @param {string} publicCode - Public code del device
+ * @param {string} action - update | activate | deactivate | delete
+ * @param {Object} [changes] - Cambios para action update
+ * @param {string} userId
+ * @param {string} ipAddress
+ * @param {string} userAgent
+ * @returns {Promise<Object>} Device actualizado o resultado del delete
+ */
+export const applyBulkDeviceAction = async (publicCode, action, changes, userId, ipAddress, userAgent) => {
+    if (action === 'delete') {
+        return deleteDevice(publicCode, userId, ipAddress, userAgent);
+    }
+    // Copia por item: updateDevice reescribe siteId a UUID
+    return updateDevice(publicCode, { ...resolveBulkChanges(action, changes) }, userId, ipAddress, userAgent);
+};
@@ -61,6 +61,42 @@ export const createFileUpload = async (fileData) => {
     return file;
 };
 
+/**
+ * Registrar un archivo generado por el servidor (ya subido a Azure)
+ * Se crea directamente en estado 'uploaded', sin pasar por el flujo de SAS URL
+ */
+export const createGeneratedFile = async (fileData) => {
+    const id = generateUuidV7();
+    const humanId = await generateHumanId(FileUpload, null, null);
+    const publicCode = generatePublicCode('FILE');
+
+    const file = await FileUpload.create({
+        id,
+        humanId,
+        publicCode,
+        organizationId: fileData.organizationId,
+        blobPath: fileData.blobPath,
+        blobUrl: fileData.blobUrl,
+        originalName: fileData.originalName,
+        fileName: fileData.fileName,
+        mimeType: fileData.mimeType,
+        extension: fileData.extension,
+        sizeBytes: fileData.sizeBytes,
+        checksumSha256: fileData.checksumSha256 || null,
+        category: fileData.category,
+        ownerType: fileData.ownerType || null,
+        ownerId: fileData.ownerId || null,
+        status: 'uploaded',
+        uploadedBy: fileData.uploadedBy,
+        uploadedAt: new Date(),
+        expiresAt: fileData.expiresAt || null,
+        metadata: fileData.metadata || {},
+        isPublic: false
+    });
+
+    return file;
+};
+
 export const findByPublicCode = async (publicCode) => {
     const file = await FileUpload.findOne({
         where: { publicCode },
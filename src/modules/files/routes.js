@@ -3,7 +3,7 @@
 import { Router } from 'express';
 import * as fileServices from './services.js';
 import * as fileRepository from './repository.js';
-import { authenticate, requireRole } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import { validate } from '../../middleware/validate.js';
 import { enforceActiveOrganization } from '../../middleware/enforceActiveOrganization.js';
 import { validateResourceOwnership } from '../../middleware/validateResourceOwnership.js';
@@ -149,7 +149,7 @@ router.get('/:id', authenticate, validateFileOwnership, validate(getFileByIdSche
 
 
 // 📄 Swagger: src/docs/swagger/files.yaml -> DELETE /:id
-router.delete('/:id', authenticate, requireRole(['system-admin']), validateFileOwnership, validate(deleteFileSchema), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('files.delete'), validateFileOwnership, validate(deleteFileSchema), async (req, res, next) => {
     try {
         // El middleware validateFileOwnership ya validó el acceso y existencia
         const { id } = req.params;
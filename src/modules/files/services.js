@@ -6,6 +6,7 @@ import { FILE_CATEGORY_CONFIG } from './dtos/index.js';
 import { toPublicFileDto, toUploadUrlDto, toUploadConfirmDto, toPublicFileListDto } from './helpers/serializers.js';
 import { logAuditAction } from '../../helpers/auditLog.js';
 import * as azureBlob from '../../services/azureBlob.js';
+import crypto from 'crypto';
 import pino from 'pino';
 import { v7 as uuidv7 } from 'uuid';
 
@@ -210,6 +211,92 @@ export const confirmUpload = async (publicCode, confirmData, userId, ipAddress,
     return toUploadConfirmDto(updatedFile);
 };
 
+/**
+ * Guardar un archivo generado por el servidor (exportaciones, reportes)
+ * Sube el contenido al contenedor privado, registra el FileUpload y audita la creación.
+ * 
+ * @param {Object} data - { organizationId (UUID), content (Buffer), originalName, mimeType, category, ownerType, ownerId, metadata }
+ * @param {string} userId - UUID del usuario que originó el archivo
+ * @param {string} ipAddress - IP del request original
+ * @param {string} userAgent - User agent del request original
+ * @returns {Promise<Object>} - DTO público del archivo
+ */
+export const storeGeneratedFile = async (data, userId, ipAddress, userAgent) => {
+    const extension = getExtension(data.originalName);
+    const sanitizedName = sanitizeFileName(data.originalName);
+
+    validateFileForCategory(data.category, data.mimeType, data.content.length, extension);
+
+    const ownerType = data.ownerType || 'user';
+    const ownerId = data.ownerId;
+    validateOwnerType(ownerType);
+
+    const blobPath = generateBlobPath(ownerType, ownerId, sanitizedName);
+    const uploaded = await azureBlob.uploadBlob(blobPath, data.content, data.mimeType);
+
+    const file = await repository.createGeneratedFile({
+        organizationId: data.organizationId,
+        blobPath,
+        blobUrl: uploaded.blobUrl,
+        originalName: data.originalName,
+        fileName: sanitizedName,
+        mimeType: data.mimeType,
+        extension,
+        sizeBytes: uploaded.sizeBytes,
+        checksumSha256: crypto.createHash('sha256').update(data.content).digest('hex'),
+        category: data.category,
+        ownerType,
+        ownerId,
+        uploadedBy: userId,
+        metadata: data.metadata
+    });
+
+    await logAuditAction({
+        entityType: 'file_upload',
+        entityId: file.id,
+        action: 'generate',
+        performedBy: userId,
+        changes: {
+            created: {
+                publicCode: file.publicCode,
+                blobPath,
+                originalName: data.originalName,
+                category: data.category,
+                sizeBytes: uploaded.sizeBytes
+            }
+        },
+        ipAddress,
+        userAgent
+    });
+
+    logger.info({ fileId: file.publicCode, blobPath, category: data.category }, 'Archivo generado almacenado');
+
+    return toPublicFileDto(file);
+};
+
+/**
+ * Generar URL de descarga temporal (SAS de lectura) para un archivo privado
+ * 
+ * @param {string} publicCode - Public code del archivo
+ * @param {Object} [options]
+ * @param {number} [options.expiryMinutes] - Validez de la URL (default: la de azureBlob)
+ * @returns {Promise<Object>} - { url, expiresAt }
+ */
+export const getDownloadUrl = async (publicCode, { expiryMinutes = null } = {}) => {
+    const file = await repository.findByPublicCodeInternal(publicCode);
+
+    if (!file || file.status === 'deleted') {
+        throw new Error('Archivo no encontrado');
+    }
+
+    if (file.isPublic) {
+        return { url: file.blobUrl, expiresAt: null };
+    }
+
+    const { sasUrl, expiresAt } = azureBlob.generateReadSasUrl(file.blobPath, expiryMinutes);
+    return { url: sasUrl, expiresAt };
+};
+
 export const getFileByPublicCode = async (publicCode) => {
     const file = await repository.findByPublicCode(publicCode);
     
@@ -366,6 +453,8 @@ export const getStorageStats = async (orgPublicCode) => {
 export default {
     requestUploadUrl,
     confirmUpload,
+    storeGeneratedFile,
+    getDownloadUrl,
     getFileByPublicCode,
     listFiles,
     linkFile,
@@ -0,0 +1,94 @@
+import { z } from 'zod';
+import { ROLLOUT_DEVICE_STATUSES } from '../rolloutState.js';
+
+const rolloutStatusSchema = z.enum(['active', 'completed', 'cancelled']);
+
+const paginationSchema = {
+    limit:  z.coerce.number().int().min(1).max(100).default(50),
+    offset: z.coerce.number().int().min(0).default(0)
+};
+
+// ============ CATÁLOGO ============
+
+export const listFirmwareSchema = z.object({
+    query: z.object({
+        model_id:  z.coerce.number().int().positive().optional(),
+        is_active: z.enum(['true', 'false']).optional(),
+        ...paginationSchema
+    }).transform(data => ({
+        modelId:  data.model_id ?? null,
+        isActive: data.is_active === undefined ? null : data.is_active === 'true',
+        limit:    data.limit,
+        offset:   data.offset
+    }))
+});
+
+export const createFirmwareSchema = z.object({
+    body: z.object({
+        modelId:      z.number().int().positive(),
+        version:      z.string().trim().min(1).max(50),
+        releaseNotes: z.string().max(20000).optional(),
+        fileId:       z.string().min(1, 'fileId es requerido (public code del archivo subido)')
+    }).strict()
+});
+
+export const updateFirmwareSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    body: z.object({
+        releaseNotes: z.string().max(20000).nullable().optional(),
+        isActive:     z.boolean().optional()
+    }).strict().refine(body => Object.keys(body).length > 0, {
+        message: 'Debe enviar al menos un campo (releaseNotes, isActive)'
+    })
+});
+
+export const getFirmwareSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    })
+});
+
+// ============ CAMPAÑAS ============
+
+export const createRolloutSchema = z.object({
+    body: z.object({
+        firmwareId: z.string().min(1),
+        siteId:     z.string().min(1).optional(),
+        name:       z.string().trim().min(1).max(200).optional()
+    }).strict()
+});
+
+export const listRolloutsSchema = z.object({
+    query: z.object({
+        status:      rolloutStatusSchema.optional(),
+        firmware_id: z.string().min(1).optional(),
+        ...paginationSchema
+    }).transform(data => ({
+        status:     data.status ?? null,
+        firmwareId: data.firmware_id ?? null,
+        limit:      data.limit,
+        offset:     data.offset
+    }))
+});
+
+export const getRolloutSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    })
+});
+
+export const listRolloutDevicesSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    query: z.object({
+        status: z.enum(ROLLOUT_DEVICE_STATUSES).optional(),
+        ...paginationSchema
+    }).transform(data => ({
+        status: data.status ?? null,
+        limit:  data.limit,
+        offset: data.offset
+    }))
+});
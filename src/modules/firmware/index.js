@@ -0,0 +1,6 @@
+// modules/firmware/index.js
+// Entry point del módulo Firmware (catálogo por modelo y campañas OTA)
+
+import router from './routes.js';
+
+export default router;
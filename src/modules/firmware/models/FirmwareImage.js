@@ -0,0 +1,80 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+/**
+ * Versión de firmware de un modelo de device (catálogo global).
+ * El binario es un FileUpload de categoría 'firmware' vinculado a la imagen.
+ */
+const FirmwareImage = sequelize.define('FirmwareImage', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        comment: 'UUID v7 - clave primaria time-ordered'
+    },
+    publicCode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+        comment: 'Código público (ej: FW-4X9R2-T). NUNCA exponer el UUID.'
+    },
+    modelId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'device_models',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'FK a device_models - modelo al que aplica el firmware'
+    },
+    version: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Versión (mismo formato que Device.firmwareVersion, ej: "v2.5.1")'
+    },
+    releaseNotes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Notas de la versión'
+    },
+    fileId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'file_uploads',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'FK a file_uploads - binario del firmware'
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'false = retirada: no se puede usar en nuevas campañas'
+    },
+    createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'FK a users - quien publicó la versión'
+    }
+}, {
+    tableName: 'firmware_images',
+    timestamps: true,
+    underscored: true,
+    paranoid: false,
+    indexes: [
+        { fields: ['model_id', 'version'], unique: true, name: 'firmware_images_model_version_key' }
+    ],
+    comment: 'Catálogo de versiones de firmware por modelo de device'
+});
+
+export default FirmwareImage;
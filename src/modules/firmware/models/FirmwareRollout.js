@@ -0,0 +1,90 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+/**
+ * Campaña de actualización OTA: publica una versión a los devices de su modelo.
+ * Ciclo de vida: active → completed (todos los devices terminaron) | cancelled
+ */
+const FirmwareRollout = sequelize.define('FirmwareRollout', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        comment: 'UUID v7 - clave primaria time-ordered'
+    },
+    publicCode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+        comment: 'Código público (ej: FWR-4X9R2-T). NUNCA exponer el UUID.'
+    },
+    firmwareId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'firmware_images',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'FK a firmware_images - versión a instalar'
+    },
+    organizationId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'organizations',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a organizations - organización objetivo (null = todas, God View)'
+    },
+    siteId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'sites',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'FK a sites - site objetivo (opcional)'
+    },
+    name: {
+        type: DataTypes.STRING(200),
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('active', 'completed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'active'
+    },
+    createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'FK a users - quien lanzó la campaña'
+    },
+    completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Fin de la campaña (completed o cancelled)'
+    }
+}, {
+    tableName: 'firmware_rollouts',
+    timestamps: true,
+    underscored: true,
+    paranoid: false,
+    indexes: [
+        { fields: ['organization_id', 'created_at'], name: 'idx_firmware_rollouts_org_created' },
+        { fields: ['firmware_id'], name: 'idx_firmware_rollouts_firmware' }
+    ],
+    comment: 'Campañas de actualización de firmware OTA'
+});
+
+export default FirmwareRollout;
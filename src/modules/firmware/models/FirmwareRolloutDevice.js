@@ -0,0 +1,89 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+/**
+ * Estado de un device dentro de una campaña OTA.
+ * Ciclo de vida: pending → downloading → applied | failed (también pending → applied | failed)
+ */
+const FirmwareRolloutDevice = sequelize.define('FirmwareRolloutDevice', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        comment: 'UUID v7 - clave primaria time-ordered'
+    },
+    rolloutId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'firmware_rollouts',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a firmware_rollouts'
+    },
+    deviceId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'devices',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a devices'
+    },
+    correlationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+        comment: 'ID de correlación del aviso OTA; el device lo devuelve en cada respuesta'
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'downloading', 'applied', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    previousVersion: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Device.firmwareVersion al incluirlo en la campaña'
+    },
+    reportedVersion: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Versión informada por el device al aplicar'
+    },
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Motivo de fallo (publish, error del device, timeout o cancelación)'
+    },
+    sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Publicación del aviso OTA en el broker'
+    },
+    lastReportAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Última respuesta del device'
+    },
+    completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Instante en que llegó a applied o failed'
+    }
+}, {
+    tableName: 'firmware_rollout_devices',
+    timestamps: true,
+    underscored: true,
+    paranoid: false,
+    indexes: [
+        { fields: ['rollout_id', 'device_id'], unique: true, name: 'firmware_rollout_devices_rollout_device_key' },
+        { fields: ['rollout_id', 'status'], name: 'idx_firmware_rollout_devices_rollout_status' }
+    ],
+    comment: 'Estado por device de las campañas OTA'
+});
+
+export default FirmwareRolloutDevice;
@@ -0,0 +1,42 @@
+/**
+ * Índice de modelos del módulo Firmware
+ */
+import FirmwareImage from './FirmwareImage.js';
+import FirmwareRollout from './FirmwareRollout.js';
+import FirmwareRolloutDevice from './FirmwareRolloutDevice.js';
+import DeviceModel from '../../device-metadata/models/DeviceModel.js';
+import FileUpload from '../../files/models/FileUpload.js';
+import Device from '../../devices/models/Device.js';
+import Organization from '../../organizations/models/Organization.js';
+import Site from '../../sites/models/Site.js';
+import User from '../../auth/models/User.js';
+
+// FirmwareImage → DeviceModel (N:1)
+FirmwareImage.belongsTo(DeviceModel, { foreignKey: 'modelId', as: 'model' });
+
+// FirmwareImage → FileUpload con el binario (N:1)
+FirmwareImage.belongsTo(FileUpload, { foreignKey: 'fileId', as: 'file' });
+
+// FirmwareImage → User que la publicó (N:1)
+FirmwareImage.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+// FirmwareRollout → FirmwareImage (N:1)
+FirmwareRollout.belongsTo(FirmwareImage, { foreignKey: 'firmwareId', as: 'firmware' });
+
+// FirmwareRollout → Organization / Site objetivo (N:1)
+FirmwareRollout.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organization' });
+FirmwareRollout.belongsTo(Site, { foreignKey: 'siteId', as: 'site' });
+
+// FirmwareRollout → User que la lanzó (N:1)
+FirmwareRollout.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+// FirmwareRollout → devices de la campaña (1:N)
+FirmwareRollout.hasMany(FirmwareRolloutDevice, { foreignKey: 'rolloutId', as: 'devices' });
+FirmwareRolloutDevice.belongsTo(FirmwareRollout, { foreignKey: 'rolloutId', as: 'rollout' });
+
+// FirmwareRolloutDevice → Device (N:1)
+FirmwareRolloutDevice.belongsTo(Device, { foreignKey: 'deviceId', as: 'device' });
+
+export { FirmwareImage, FirmwareRollout, FirmwareRolloutDevice };
+
+export default { FirmwareImage, FirmwareRollout, FirmwareRolloutDevice };
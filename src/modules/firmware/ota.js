@@ -0,0 +1,315 @@
+// modules/firmware/ota.js
+// Entrega OTA de las campañas de firmware y seguimiento del estado por device
+//
+// Flujo:
+//   campaña creada (devices pending) -> aviso OTA publicado en Device.topic con la URL de descarga
+//   -> el device informa en {Device.topic}/{replyTopicSuffix}: downloading -> applied | failed
+//   -> applied actualiza Device.firmwareVersion; sin devices en curso la campaña queda completed
+//
+// El estado vive en Postgres (no en memoria): cualquier instancia procesa las respuestas y un
+// barrido periódico publica los avisos pendientes, vence los devices sin respuesta y
+// re-sincroniza las suscripciones (cubre reinicios y campañas creadas en otras instancias).
+
+import { Op } from 'sequelize';
+import { config } from '../../config/env.js';
+import * as repository from './repository.js';
+import { getDownloadUrl } from '../files/services.js';
+import { publishToTopic, subscribeToTopic, unsubscribeFromTopic, getMqttStatus } from '../realtime/mqtt/client.js';
+import { broadcastToOrganization } from '../realtime/wsServer.js';
+import { invalidateDeviceCache } from '../devices/cache.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import { parseOtaReply, resolveReportTransition, buildOtaPayload } from './rolloutState.js';
+import { schedulerLogger } from '../../utils/logger.js';
+
+// Intervalo del barrido (avisos pendientes, timeouts y suscripciones)
+const SWEEP_INTERVAL_MS = 60_000;
+// Avisos publicados por tanda del barrido
+const DISPATCH_BATCH_SIZE = 100;
+
+// Topics de respuesta suscriptos por esta instancia
+const replyTopics = new Set();
+let dispatching = false;
+let sweeping = false;
+
+const getReplyTopic = (deviceTopic) => `${deviceTopic}/${config.firmware.replyTopicSuffix}`;
+
+const watchReplies = (replyTopic) => {
+    if (replyTopics.has(replyTopic)) return;
+
+    subscribeToTopic(replyTopic, (message) => {
+        handleOtaReply(message);
+    });
+    replyTopics.add(replyTopic);
+};
+
+const unwatchReplies = (replyTopic) => {
+    replyTopics.delete(replyTopic);
+    unsubscribeFromTopic(replyTopic);
+};
+
+/**
+ * Publica el avance a la organización del device (EC:FIRMWARE:DEVICE)
+ */
+const pushDeviceProgress = (organizationId, payload) => {
+    broadcastToOrganization(organizationId, {
+        type: 'EC:FIRMWARE:DEVICE',
+        payload,
+        timestamp: new Date().toISOString()
+    });
+};
+
+const completeRollouts = async (rolloutIds) => {
+    const completed = await repository.completeFinishedRollouts([...new Set(rolloutIds)]);
+    for (const rollout of completed) {
+        schedulerLogger.info({ rolloutId: rollout.publicCode }, '📦 Firmware: campaña completada');
+    }
+};
+
+/**
+ * Handler del topic de respuesta: { correlationId, status, version?, error? }
+ */
+const handleOtaReply = async ({ topic, payload }) => {
+    const reply = parseOtaReply(payload);
+    if (!reply) {
+        schedulerLogger.warn({ topic }, 'Firmware: respuesta OTA inválida');
+        return;
+    }
+
+    try {
+        const rolloutDevice = await repository.findRolloutDeviceByCorrelationId(reply.correlationId);
+        // Respuestas de otro device (topic distinto) o de campañas desconocidas se ignoran
+        if (!rolloutDevice?.device || getReplyTopic(rolloutDevice.device.topic) !== topic) {
+            schedulerLogger.debug({ topic, correlationId: reply.correlationId }, 'Firmware: respuesta OTA sin campaña asociada');
+            return;
+        }
+
+        const { device, rollout } = rolloutDevice;
+        const transition = resolveReportTransition(reply, rollout.firmware.version);
+        const now = new Date();
+        const terminal = transition.status !== 'downloading';
+
+        const updated = await repository.transitionRolloutDevice(rolloutDevice.id, {
+            status: transition.status,
+            reportedVersion: transition.reportedVersion,
+            error: transition.error,
+            lastReportAt: now,
+            ...(terminal ? { completedAt: now } : {})
+        }, transition.fromStatuses);
+
+        if (!updated) return;
+
+        if (transition.status === 'applied') {
+            await repository.updateDeviceFirmwareVersion(device.id, transition.reportedVersion);
+            await invalidateDeviceCache();
+
+            await logAuditAction({
+                entityType: 'device',
+                entityId: device.id,
+                action: 'firmware_updated',
+                performedBy: rollout.createdBy,
+                changes: { firmwareVersion: { old: device.firmwareVersion, new: transition.reportedVersion } },
+                metadata: {
+                    organizationId: device.organizationId,
+                    rolloutId: rollout.publicCode,
+                    firmwareId: rollout.firmware.publicCode
+                },
+                correlationId: reply.correlationId
+            });
+        }
+
+        pushDeviceProgress(device.organizationId, {
+            rolloutId: rollout.publicCode,
+            deviceId: device.publicCode,
+            status: transition.status,
+            version: transition.reportedVersion,
+            error: transition.error
+        });
+
+        if (terminal) {
+            unwatchReplies(topic);
+            await completeRollouts([rollout.id]);
+        }
+
+        schedulerLogger.info({ rolloutId: rollout.publicCode, deviceId: device.publicCode, status: transition.status }, 'Firmware: avance OTA recibido');
+    } catch (error) {
+        schedulerLogger.error({ err: error, correlationId: reply.correlationId }, '❌ Firmware: error procesando respuesta OTA');
+    }
+};
+
+/**
+ * Publica el aviso OTA de un device de la campaña
+ * @returns {Promise<boolean>} false si el broker no está disponible (se reintenta en el próximo barrido)
+ */
+const dispatchRolloutDevice = async (rolloutDevice, downloads) => {
+    const { device, rollout } = rolloutDevice;
+    const { firmware } = rollout;
+
+    if (!device?.topic || !device.isActive || device.status === 'decommissioned') {
+        await repository.transitionRolloutDevice(rolloutDevice.id, {
+            status: 'failed',
+            error: 'El device no está activo o no tiene topic MQTT configurado',
+            completedAt: new Date()
+        }, ['pending']);
+        return true;
+    }
+
+    // Una URL de descarga por campaña y barrido
+    if (!downloads.has(rollout.id)) {
+        try {
+            downloads.set(rollout.id, await getDownloadUrl(firmware.file.publicCode, { expiryMinutes: config.firmware.downloadUrlMinutes }));
+        } catch (error) {
+            downloads.set(rollout.id, error);
+        }
+    }
+    const download = downloads.get(rollout.id);
+    if (download instanceof Error) {
+        await repository.transitionRolloutDevice(rolloutDevice.id, {
+            status: 'failed',
+            error: `Binario de firmware no disponible: ${download.message}`,
+            completedAt: new Date()
+        }, ['pending']);
+        return true;
+    }
+
+    if (!await repository.claimRolloutDeviceDispatch(rolloutDevice.id)) return true;
+
+    // Suscribir la respuesta antes de publicar para no perder respuestas inmediatas
+    const replyTo = getReplyTopic(device.topic);
+    watchReplies(replyTo);
+
+    try {
+        await publishToTopic(device.topic, JSON.stringify(buildOtaPayload({
+            correlationId: rolloutDevice.correlationId,
+            rollout,
+            firmware: {
+                publicCode: firmware.publicCode,
+                version: firmware.version,
+                sizeBytes: firmware.file.sizeBytes,
+                checksumSha256: firmware.file.checksumSha256
+            },
+            download,
+            replyTo
+        })));
+        return true;
+    } catch (error) {
+        if (error.code === 'MQTT_UNAVAILABLE') {
+            await repository.releaseRolloutDeviceDispatch(rolloutDevice.id);
+            return false;
+        }
+
+        await repository.transitionRolloutDevice(rolloutDevice.id, {
+            status: 'failed',
+            error: error.message,
+            completedAt: new Date()
+        }, ['pending']);
+        schedulerLogger.error({ err: error, rolloutId: rollout.publicCode, deviceId: device.publicCode }, 'Firmware: error publicando aviso OTA');
+        return true;
+    }
+};
+
+/**
+ * Publica los avisos OTA pendientes de las campañas activas
+ * @returns {Promise<number>} Avisos procesados
+ */
+export const dispatchPendingDevices = async () => {
+    if (dispatching) return 0;
+    dispatching = true;
+
+    let processed = 0;
+    const touchedRollouts = [];
+    try {
+        const downloads = new Map();
+        let batch;
+        do {
+            batch = await repository.findUndispatchedRolloutDevices(DISPATCH_BATCH_SIZE);
+            for (const rolloutDevice of batch) {
+                if (!await dispatchRolloutDevice(rolloutDevice, downloads)) {
+                    schedulerLogger.warn('Firmware: sin brokers MQTT conectados, avisos OTA pospuestos');
+                    return processed;
+                }
+                touchedRollouts.push(rolloutDevice.rolloutId);
+                processed += 1;
+            }
+        } while (batch.length === DISPATCH_BATCH_SIZE);
+
+        if (processed) {
+            schedulerLogger.info({ processed }, '📦 Firmware: avisos OTA publicados');
+        }
+        return processed;
+    } finally {
+        dispatching = false;
+        // Campañas cuyos devices fallaron todos al publicar
+        await completeRollouts(touchedRollouts).catch(error => schedulerLogger.error(error, '❌ Firmware: error cerrando campañas'));
+    }
+};
+
+/**
+ * Marca como failed los devices sin respuesta final dentro de config.firmware.timeoutHours
+ */
+const expireOverdueDevices = async () => {
+    const cutoff = new Date(Date.now() - config.firmware.timeoutHours * 60 * 60 * 1000);
+    const expired = await repository.failInFlightRolloutDevices(
+        { sentAt: { [Op.lt]: cutoff } },
+        `Sin respuesta del device en ${config.firmware.timeoutHours} horas`
+    );
+
+    if (expired.length) {
+        schedulerLogger.warn({ count: expired.length }, 'Firmware: devices OTA vencidos (timeout)');
+        await completeRollouts(expired.map(rolloutDevice => rolloutDevice.rolloutId));
+    }
+};
+
+/**
+ * Alinea las suscripciones de esta instancia con los devices en curso
+ */
+const syncReplySubscriptions = async () => {
+    const expected = new Set((await repository.findInFlightDeviceTopics()).map(getReplyTopic));
+
+    for (const replyTopic of [...replyTopics]) {
+        if (!expected.has(replyTopic)) unwatchReplies(replyTopic);
+    }
+    for (const replyTopic of expected) {
+        watchReplies(replyTopic);
+    }
+};
+
+const runSweep = async () => {
+    if (sweeping) return;
+    sweeping = true;
+
+    try {
+        await expireOverdueDevices();
+        if (getMqttStatus().brokers.some(b => b.connected)) {
+            await dispatchPendingDevices();
+        }
+        await syncReplySubscriptions();
+    } catch (error) {
+        schedulerLogger.error(error, '❌ Firmware: error en barrido OTA');
+    } finally {
+        sweeping = false;
+    }
+};
+
+/**
+ * Inicia el seguimiento OTA (barrido al arrancar y luego cada minuto)
+ * @returns {Function|null} Función para detener el tracker (null sin brokers MQTT configurados)
+ */
+export const startFirmwareOtaTracker = () => {
+    if (!config.mqtt.brokers.some(b => b.url)) {
+        schedulerLogger.info('⏸️  Tracker OTA de firmware sin brokers MQTT configurados, saltando');
+        return null;
+    }
+
+    runSweep();
+    const sweepTimer = setInterval(runSweep, SWEEP_INTERVAL_MS);
+
+    schedulerLogger.info('📦 Tracker OTA de firmware iniciado');
+
+    return () => {
+        clearInterval(sweepTimer);
+        for (const replyTopic of [...replyTopics]) {
+            unwatchReplies(replyTopic);
+        }
+        schedulerLogger.info('🛑 Tracker OTA de firmware detenido');
+    };
+};
@@ -0,0 +1,424 @@
+// modules/firmware/repository.js
+// Acceso a datos del catálogo de firmware y de las campañas OTA
+
+import { Op, QueryTypes } from 'sequelize';
+import sequelize from '../../db/sql/sequelize.js';
+import { FirmwareImage, FirmwareRollout, FirmwareRolloutDevice } from './models/index.js';
+import DeviceModel from '../device-metadata/models/DeviceModel.js';
+import FileUpload from '../files/models/FileUpload.js';
+import Device from '../devices/models/Device.js';
+import Organization from '../organizations/models/Organization.js';
+import Site from '../sites/models/Site.js';
+import { IN_FLIGHT_STATUSES, summarizeRolloutDevices } from './rolloutState.js';
+
+// ============ CATÁLOGO ============
+
+const firmwareIncludes = [
+    { model: DeviceModel, as: 'model', attributes: ['id', 'code'] },
+    { model: FileUpload, as: 'file', attributes: ['publicCode', 'blobPath', 'originalName', 'sizeBytes', 'checksumSha256', 'isPublic'] }
+];
+
+/**
+ * Convierte una versión de firmware a DTO público
+ * @param {FirmwareImage} image - Con model y file incluidos
+ * @returns {Object}
+ */
+export const toFirmwareDto = (image) => ({
+    id: image.publicCode,
+    model: image.model ? { id: image.model.id, code: image.model.code } : { id: image.modelId },
+    version: image.version,
+    releaseNotes: image.releaseNotes,
+    file: image.file
+        ? {
+            id: image.file.publicCode,
+            originalName: image.file.originalName,
+            sizeBytes: Number(image.file.sizeBytes),
+            checksumSha256: image.file.checksumSha256
+        }
+        : null,
+    isActive: image.isActive,
+    createdAt: image.createdAt,
+    updatedAt: image.updatedAt
+});
+
+/**
+ * Crear una versión de firmware
+ * @param {Object} data - Campos del modelo FirmwareImage
+ * @returns {Promise<FirmwareImage>}
+ */
+export const createFirmwareImage = async (data) => FirmwareImage.create(data);
+
+/**
+ * Buscar una versión por public code (con modelo y archivo)
+ * @param {string} publicCode
+ * @returns {Promise<FirmwareImage|null>}
+ */
+export const findFirmwareByPublicCode = async (publicCode) =>
+    FirmwareImage.findOne({ where: { publicCode }, include: firmwareIncludes });
+
+/**
+ * Buscar una versión de un modelo
+ * @param {number} modelId
+ * @param {string} version
+ * @returns {Promise<FirmwareImage|null>}
+ */
+export const findFirmwareByModelAndVersion = async (modelId, version) =>
+    FirmwareImage.findOne({ where: { modelId, version } });
+
+/**
+ * Catálogo de firmware (más recientes primero)
+ * @param {Object} filters - { modelId, isActive, limit, offset }
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listFirmwareImages = async ({ modelId = null, isActive = null, limit = 50, offset = 0 }) => {
+    const where = {};
+    if (modelId) where.modelId = modelId;
+    if (isActive !== null) where.isActive = isActive;
+
+    const { rows, count } = await FirmwareImage.findAndCountAll({
+        where,
+        include: firmwareIncludes,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset,
+        distinct: true
+    });
+
+    return { items: rows.map(toFirmwareDto), total: count };
+};
+
+// ============ CAMPAÑAS ============
+
+const rolloutIncludes = [
+    { model: FirmwareImage, as: 'firmware', include: firmwareIncludes },
+    { model: Organization, as: 'organization', attributes: ['publicCode', 'name'] },
+    { model: Site, as: 'site', attributes: ['publicCode', 'name'] }
+];
+
+/**
+ * Convierte una campaña a DTO público
+ * @param {FirmwareRollout} rollout - Con firmware, organization y site incluidos
+ * @param {Object} summary - Conteo por estado (summarizeRolloutDevices)
+ * @returns {Object}
+ */
+export const toRolloutDto = (rollout, summary) => ({
+    id: rollout.publicCode,
+    name: rollout.name,
+    status: rollout.status,
+    firmware: rollout.firmware
+        ? { id: rollout.firmware.publicCode, version: rollout.firmware.version, model: rollout.firmware.model ? { id: rollout.firmware.model.id, code: rollout.firmware.model.code } : null }
+        : null,
+    organization: rollout.organization ? { id: rollout.organization.publicCode, name: rollout.organization.name } : null,
+    site: rollout.site ? { id: rollout.site.publicCode, name: rollout.site.name } : null,
+    summary,
+    completedAt: rollout.completedAt,
+    createdAt: rollout.createdAt
+});
+
+/**
+ * Conteo por estado de los devices de varias campañas
+ * @param {string[]} rolloutIds - UUIDs
+ * @returns {Promise<Map<string, Object>>} rolloutId → summary
+ */
+export const summarizeRollouts = async (rolloutIds) => {
+    const summaries = new Map(rolloutIds.map(id => [id, summarizeRolloutDevices([])]));
+    if (!rolloutIds.length) return summaries;
+
+    const rows = await sequelize.query(`
+        SELECT rollout_id AS "rolloutId", status, COUNT(*) AS count
+          FROM firmware_rollout_devices
+         WHERE rollout_id = ANY($1::uuid[])
+         GROUP BY rollout_id, status
+    `, { bind: [rolloutIds], type: QueryTypes.SELECT });
+
+    const grouped = new Map();
+    for (const row of rows) {
+        if (!grouped.has(row.rolloutId)) grouped.set(row.rolloutId, []);
+        grouped.get(row.rolloutId).push(row);
+    }
+    for (const [rolloutId, statusRows] of grouped) {
+        summaries.set(rolloutId, summarizeRolloutDevices(statusRows));
+    }
+
+    return summaries;
+};
+
+/**
+ * Devices alcanzados por una campaña: del modelo del firmware, activos, con topic MQTT,
+ * con otra versión instalada y sin otra actualización en curso
+ *
+ * @param {Object} filters
+ * @param {number} filters.modelId
+ * @param {string} filters.version - Versión de la campaña
+ * @param {string|null} filters.organizationId - UUID (null = todas las organizaciones)
+ * @param {string|null} [filters.siteId] - UUID
+ * @param {string[]|null} [filters.publicCodes] - Restricción de la jerarquía (null = sin restricción)
+ * @returns {Promise<Device[]>}
+ */
+export const findRolloutTargets = async ({ modelId, version, organizationId, siteId = null, publicCodes = null }) => {
+    const where = {
+        modelId,
+        isActive: true,
+        status: { [Op.ne]: 'decommissioned' },
+        topic: { [Op.ne]: null },
+        firmwareVersion: { [Op.or]: [{ [Op.is]: null }, { [Op.ne]: version }] },
+        [Op.and]: [
+            sequelize.literal(`NOT EXISTS (
+                SELECT 1 FROM firmware_rollout_devices rd
+                 WHERE rd.device_id = "Device"."id"
+                   AND rd.status IN ('pending', 'downloading')
+            )`)
+        ]
+    };
+    if (organizationId) where.organizationId = organizationId;
+    if (siteId) where.siteId = siteId;
+    if (publicCodes) where.publicCode = { [Op.in]: publicCodes };
+
+    return Device.findAll({
+        where,
+        attributes: ['id', 'publicCode', 'organizationId', 'firmwareVersion'],
+        order: [['name', 'ASC']]
+    });
+};
+
+/**
+ * Crear una campaña con sus devices (pending)
+ * @param {Object} rollout - Campos del modelo FirmwareRollout
+ * @param {Object[]} devices - Campos de FirmwareRolloutDevice (sin rolloutId)
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<FirmwareRollout>}
+ */
+export const createRollout = async (rollout, devices, options = {}) => {
+    const created = await FirmwareRollout.create(rollout, options);
+    await FirmwareRolloutDevice.bulkCreate(
+        devices.map(device => ({ ...device, rolloutId: created.id })),
+        options
+    );
+    return created;
+};
+
+/**
+ * Buscar una campaña por public code
+ * @param {string} publicCode
+ * @returns {Promise<FirmwareRollout|null>}
+ */
+export const findRolloutByPublicCode = async (publicCode) =>
+    FirmwareRollout.findOne({ where: { publicCode }, include: rolloutIncludes });
+
+/**
+ * Listado de campañas (más recientes primero)
+ * @param {Object} filters - { organizationId, showAll, status, firmwareId, limit, offset }
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listRollouts = async ({ organizationId, showAll = false, status = null, firmwareId = null, limit = 20, offset = 0 }) => {
+    const where = {};
+    if (!showAll) where.organizationId = organizationId;
+    if (status) where.status = status;
+    if (firmwareId) where.firmwareId = firmwareId;
+
+    const { rows, count } = await FirmwareRollout.findAndCountAll({
+        where,
+        include: rolloutIncludes,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset,
+        distinct: true
+    });
+
+    const summaries = await summarizeRollouts(rows.map(rollout => rollout.id));
+
+    return {
+        items: rows.map(rollout => toRolloutDto(rollout, summaries.get(rollout.id))),
+        total: count
+    };
+};
+
+/**
+ * Convierte el estado de un device de la campaña a DTO público
+ * @param {FirmwareRolloutDevice} rolloutDevice - Con device incluido
+ * @returns {Object}
+ */
+export const toRolloutDeviceDto = (rolloutDevice) => ({
+    device: rolloutDevice.device
+        ? { id: rolloutDevice.device.publicCode, name: rolloutDevice.device.name, firmwareVersion: rolloutDevice.device.firmwareVersion }
+        : null,
+    status: rolloutDevice.status,
+    previousVersion: rolloutDevice.previousVersion,
+    reportedVersion: rolloutDevice.reportedVersion,
+    error: rolloutDevice.error,
+    sentAt: rolloutDevice.sentAt,
+    lastReportAt: rolloutDevice.lastReportAt,
+    completedAt: rolloutDevice.completedAt
+});
+
+/**
+ * Estado por device de una campaña
+ * @param {string} rolloutId - UUID
+ * @param {Object} filters - { status, limit, offset }
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listRolloutDevices = async (rolloutId, { status = null, limit = 50, offset = 0 }) => {
+    const where = { rolloutId };
+    if (status) where.status = status;
+
+    const { rows, count } = await FirmwareRolloutDevice.findAndCountAll({
+        where,
+        include: [{ model: Device, as: 'device', attributes: ['publicCode', 'name', 'firmwareVersion'] }],
+        order: [['createdAt', 'ASC'], ['id', 'ASC']],
+        limit,
+        offset
+    });
+
+    return { items: rows.map(toRolloutDeviceDto), total: count };
+};
+
+// ============ SEGUIMIENTO OTA ============
+
+/**
+ * Actualizar el estado de un device de la campaña solo si sigue en alguno de los estados indicados
+ * (respuestas duplicadas o fuera de orden, timeouts y cancelaciones no se pisan)
+ * @param {string} id - UUID
+ * @param {Object} changes
+ * @param {string[]} fromStatuses
+ * @returns {Promise<boolean>} true si se actualizó
+ */
+export const transitionRolloutDevice = async (id, changes, fromStatuses) => {
+    const [count] = await FirmwareRolloutDevice.update(changes, {
+        where: { id, status: { [Op.in]: fromStatuses } }
+    });
+    return count > 0;
+};
+
+/**
+ * Reservar el envío del aviso OTA (sentAt) si nadie lo hizo todavía.
+ * Evita que dos instancias publiquen el mismo aviso.
+ * @param {string} id - UUID
+ * @returns {Promise<boolean>} true si esta instancia debe publicar
+ */
+export const claimRolloutDeviceDispatch = async (id) => {
+    const [count] = await FirmwareRolloutDevice.update(
+        { sentAt: new Date() },
+        { where: { id, status: 'pending', sentAt: null } }
+    );
+    return count > 0;
+};
+
+/**
+ * Liberar una reserva de envío (el publish no llegó al broker; se reintenta en el próximo barrido)
+ * @param {string} id - UUID
+ * @returns {Promise<void>}
+ */
+export const releaseRolloutDeviceDispatch = async (id) => {
+    await FirmwareRolloutDevice.update({ sentAt: null }, { where: { id, status: 'pending' } });
+};
+
+/**
+ * Devices de campañas activas pendientes de publicar el aviso OTA
+ * @param {number} limit
+ * @returns {Promise<FirmwareRolloutDevice[]>} Con device y rollout.firmware.file incluidos
+ */
+export const findUndispatchedRolloutDevices = async (limit) =>
+    FirmwareRolloutDevice.findAll({
+        where: { status: 'pending', sentAt: null },
+        include: [
+            { model: Device, as: 'device', attributes: ['id', 'publicCode', 'topic', 'isActive', 'status'] },
+            {
+                model: FirmwareRollout,
+                as: 'rollout',
+                where: { status: 'active' },
+                include: [{ model: FirmwareImage, as: 'firmware', include: firmwareIncludes }]
+            }
+        ],
+        order: [['createdAt', 'ASC']],
+        limit
+    });
+
+/**
+ * Buscar un device de campaña por correlation id (respuesta del device)
+ * @param {string} correlationId
+ * @returns {Promise<FirmwareRolloutDevice|null>} Con device y rollout.firmware incluidos
+ */
+export const findRolloutDeviceByCorrelationId = async (correlationId) =>
+    FirmwareRolloutDevice.findOne({
+        where: { correlationId },
+        include: [
+            { model: Device, as: 'device', attributes: ['id', 'publicCode', 'name', 'topic', 'organizationId', 'firmwareVersion'] },
+            {
+                model: FirmwareRollout,
+                as: 'rollout',
+                include: [{ model: FirmwareImage, as: 'firmware', attributes: ['id', 'publicCode', 'version'] }]
+            }
+        ]
+    });
+
+/**
+ * Topics MQTT de los devices con aviso OTA publicado y actualización en curso
+ * @returns {Promise<string[]>}
+ */
+export const findInFlightDeviceTopics = async () => {
+    const rows = await sequelize.query(`
+        SELECT DISTINCT d.topic
+          FROM firmware_rollout_devices rd
+          JOIN devices d ON d.id = rd.device_id
+         WHERE rd.status IN ('pending', 'downloading')
+           AND rd.sent_at IS NOT NULL
+           AND d.topic IS NOT NULL
+    `, { type: QueryTypes.SELECT });
+    return rows.map(row => row.topic);
+};
+
+/**
+ * Marcar como failed los devices en curso de una campaña (timeout o cancelación)
+ * @param {Object} where - Condición adicional (ej: { rolloutId } o { sentAt: { [Op.lt]: cutoff } })
+ * @param {string} error - Motivo
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<FirmwareRolloutDevice[]>} Filas actualizadas
+ */
+export const failInFlightRolloutDevices = async (where, error, options = {}) => {
+    const now = new Date();
+    const [, rows] = await FirmwareRolloutDevice.update(
+        { status: 'failed', error, completedAt: now },
+        {
+            where: { ...where, status: { [Op.in]: IN_FLIGHT_STATUSES } },
+            returning: true,
+            ...options
+        }
+    );
+    return rows;
+};
+
+/**
+ * Cerrar las campañas activas sin devices en curso
+ * @param {string[]} rolloutIds - UUIDs a evaluar
+ * @returns {Promise<Array<{ id: string, publicCode: string, organizationId: string|null }>>} Campañas completadas
+ */
+export const completeFinishedRollouts = async (rolloutIds) => {
+    if (!rolloutIds.length) return [];
+
+    const [rows] = await sequelize.query(`
+        UPDATE firmware_rollouts r
+           SET status = 'completed',
+               completed_at = now(),
+               updated_at = now()
+         WHERE r.id = ANY($1::uuid[])
+           AND r.status = 'active'
+           AND NOT EXISTS (
+                SELECT 1 FROM firmware_rollout_devices rd
+                 WHERE rd.rollout_id = r.id
+                   AND rd.status IN ('pending', 'downloading')
+           )
+        RETURNING r.id, r.public_code AS "publicCode", r.organization_id AS "organizationId"
+    `, { bind: [rolloutIds] });
+
+    return rows;
+};
+
+/**
+ * Registrar la versión aplicada en el device
+ * @param {string} deviceId - UUID
+ * @param {string} version
+ * @returns {Promise<void>}
+ */
+export const updateDeviceFirmwareVersion = async (deviceId, version) => {
+    await Device.update({ firmwareVersion: version }, { where: { id: deviceId } });
+};
@@ -0,0 +1,114 @@
+// modules/firmware/rolloutState.js
+// Estados de los devices de una campaña OTA y protocolo de respuesta del device
+// (lógica pura, sin IO)
+
+export const ROLLOUT_DEVICE_STATUSES = ['pending', 'downloading', 'applied', 'failed'];
+
+// Devices con la actualización en curso (esperando respuesta del device)
+export const IN_FLIGHT_STATUSES = ['pending', 'downloading'];
+
+// Estados que puede informar el device y desde qué estados se aceptan
+const REPORT_TRANSITIONS = {
+    downloading: ['pending'],
+    applied: ['pending', 'downloading'],
+    failed: ['pending', 'downloading']
+};
+
+/**
+ * Parsea una respuesta OTA del device:
+ * { correlationId, status: 'downloading'|'applied'|'failed', version?, error? }
+ *
+ * @param {string} payload - Mensaje MQTT crudo
+ * @returns {{ correlationId: string, status: string, version: string|null, error: string|null }|null}
+ *          null si no es una respuesta válida
+ */
+export const parseOtaReply = (payload) => {
+    let reply;
+    try {
+        reply = JSON.parse(payload);
+    } catch {
+        return null;
+    }
+
+    if (typeof reply?.correlationId !== 'string' || !REPORT_TRANSITIONS[reply.status]) {
+        return null;
+    }
+
+    return {
+        correlationId: reply.correlationId,
+        status: reply.status,
+        version: reply.version == null ? null : String(reply.version).slice(0, 50),
+        error: reply.error == null ? null : String(reply.error)
+    };
+};
+
+/**
+ * Transición a aplicar por una respuesta del device.
+ * `applied` con una versión distinta a la de la campaña se registra como `failed`.
+ *
+ * @param {Object} reply - Resultado de parseOtaReply
+ * @param {string} targetVersion - Versión de la campaña
+ * @returns {{ status: string, fromStatuses: string[], reportedVersion: string|null, error: string|null }}
+ */
+export const resolveReportTransition = (reply, targetVersion) => {
+    const fromStatuses = REPORT_TRANSITIONS[reply.status];
+
+    if (reply.status === 'applied' && reply.version && reply.version !== targetVersion) {
+        return {
+            status: 'failed',
+            fromStatuses,
+            reportedVersion: reply.version,
+            error: `El device informó la versión ${reply.version} (esperada ${targetVersion})`
+        };
+    }
+
+    return {
+        status: reply.status,
+        fromStatuses,
+        reportedVersion: reply.status === 'applied' ? (reply.version ?? targetVersion) : null,
+        error: reply.status === 'failed' ? (reply.error ?? 'El device informó un error') : null
+    };
+};
+
+/**
+ * Resumen de una campaña a partir del conteo por estado
+ * @param {Array<{ status: string, count: number|string }>} rows
+ * @returns {{ total: number, pending: number, downloading: number, applied: number, failed: number }}
+ */
+export const summarizeRolloutDevices = (rows) => {
+    const summary = { total: 0, pending: 0, downloading: 0, applied: 0, failed: 0 };
+    for (const { status, count } of rows) {
+        if (!(status in summary)) continue;
+        summary[status] += Number(count);
+        summary.total += Number(count);
+    }
+    return summary;
+};
+
+/**
+ * Payload del aviso OTA publicado en Device.topic
+ *
+ * @param {Object} data
+ * @param {string} data.correlationId
+ * @param {Object} data.rollout - { publicCode }
+ * @param {Object} data.firmware - { publicCode, version, sizeBytes, checksumSha256 }
+ * @param {{ url: string, expiresAt: Date|string|null }} data.download - URL de descarga del binario
+ * @param {string} data.replyTo - Topic de respuesta
+ * @param {Date} [data.issuedAt]
+ * @returns {Object}
+ */
+export const buildOtaPayload = ({ correlationId, rollout, firmware, download, replyTo, issuedAt = new Date() }) => ({
+    type: 'firmware_update',
+    correlationId,
+    rolloutId: rollout.publicCode,
+    firmware: {
+        id: firmware.publicCode,
+        version: firmware.version,
+        url: download.url,
+        urlExpiresAt: download.expiresAt ? new Date(download.expiresAt).toISOString() : null,
+        sizeBytes: firmware.sizeBytes == null ? null : Number(firmware.sizeBytes),
+        checksumSha256: firmware.checksumSha256 ?? null
+    },
+    issuedAt: issuedAt.toISOString(),
+    replyTo
+});
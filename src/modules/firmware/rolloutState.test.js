@@ -0,0 +1,74 @@
+// modules/firmware/rolloutState.test.js
+// Tests de estados y protocolo OTA (modules/firmware/rolloutState.js)
+
+import { describe, it, expect } from 'vitest';
+import {
+    parseOtaReply,
+    resolveReportTransition,
+    summarizeRolloutDevices,
+    buildOtaPayload
+} from './rolloutState.js';
+
+const CORRELATION_ID = '0b7e5c1e-4a5b-4c1d-9e2f-1a2b3c4d5e6f';
+
+describe('parseOtaReply', () => {
+    it('acepta las respuestas del protocolo', () => {
+        expect(parseOtaReply(JSON.stringify({ correlationId: CORRELATION_ID, status: 'applied', version: 'v2.5.1' })))
+            .toEqual({ correlationId: CORRELATION_ID, status: 'applied', version: 'v2.5.1', error: null });
+        expect(parseOtaReply(JSON.stringify({ correlationId: CORRELATION_ID, status: 'failed', error: 'checksum' })).error)
+            .toBe('checksum');
+    });
+
+    it('descarta JSON inválido, estados desconocidos y mensajes sin correlationId', () => {
+        expect(parseOtaReply('not-json')).toBeNull();
+        expect(parseOtaReply(JSON.stringify({ correlationId: CORRELATION_ID, status: 'ok' }))).toBeNull();
+        expect(parseOtaReply(JSON.stringify({ status: 'applied' }))).toBeNull();
+    });
+});
+
+describe('resolveReportTransition', () => {
+    it('solo avanza desde estados en curso', () => {
+        expect(resolveReportTransition({ status: 'downloading', version: null, error: null }, 'v2.5.1'))
+            .toEqual({ status: 'downloading', fromStatuses: ['pending'], reportedVersion: null, error: null });
+        expect(resolveReportTransition({ status: 'applied', version: null, error: null }, 'v2.5.1'))
+            .toEqual({ status: 'applied', fromStatuses: ['pending', 'downloading'], reportedVersion: 'v2.5.1', error: null });
+    });
+
+    it('marca failed si el device aplica otra versión', () => {
+        const transition = resolveReportTransition({ status: 'applied', version: 'v2.4.0', error: null }, 'v2.5.1');
+        expect(transition.status).toBe('failed');
+        expect(transition.reportedVersion).toBe('v2.4.0');
+        expect(transition.error).toContain('v2.4.0');
+    });
+});
+
+describe('summarizeRolloutDevices', () => {
+    it('suma los conteos por estado', () => {
+        expect(summarizeRolloutDevices([
+            { status: 'applied', count: '3' },
+            { status: 'failed', count: 1 },
+            { status: 'pending', count: '2' }
+        ])).toEqual({ total: 6, pending: 2, downloading: 0, applied: 3, failed: 1 });
+    });
+});
+
+describe('buildOtaPayload', () => {
+    it('incluye versión, URL de descarga y topic de respuesta', () => {
+        const payload = buildOtaPayload({
+            correlationId: CORRELATION_ID,
+            rollout: { publicCode: 'FWR-4X9R2-T' },
+            firmware: { publicCode: 'FW-7K9D2-X', version: 'v2.5.1', sizeBytes: '1048576', checksumSha256: 'abc' },
+            download: { url: 'https://blob/fw.bin?sig', expiresAt: '2026-10-20T12:00:00.000Z' },
+            replyTo: 'ecdata/ups/eaton-001/ota',
+            issuedAt: new Date('2026-10-19T12:00:00Z')
+        });
+
+        expect(payload).toMatchObject({
+            type: 'firmware_update',
+            rolloutId: 'FWR-4X9R2-T',
+            firmware: { id: 'FW-7K9D2-X', version: 'v2.5.1', url: 'https://blob/fw.bin?sig', sizeBytes: 1048576 },
+            issuedAt: '2026-10-19T12:00:00.000Z',
+            replyTo: 'ecdata/ups/eaton-001/ota'
+        });
+    });
+});
@@ -0,0 +1,209 @@
+// modules/firmware/routes.js
+// Rutas REST del catálogo de firmware y de las campañas OTA
+
+import express from 'express';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { enforceActiveOrganization } from '../../middleware/enforceActiveOrganization.js';
+import { attachResourceAccess } from '../../middleware/resourceAccess.js';
+import * as services from './services.js';
+import {
+    listFirmwareSchema,
+    createFirmwareSchema,
+    updateFirmwareSchema,
+    getFirmwareSchema,
+    createRolloutSchema,
+    listRolloutsSchema,
+    getRolloutSchema,
+    listRolloutDevicesSchema
+} from './dtos/index.js';
+
+const router = express.Router();
+
+// Organización visible para las campañas (God View: todas)
+const rolloutScope = (req) => ({
+    organizationId: req.organizationContext.id,
+    showAll: req.organizationContext.showAll || false
+});
+
+// ============ CAMPAÑAS (antes de /:id) ============
+
+// 📄 Swagger: src/docs/swagger/firmware.yaml -> GET /api/v1/firmware/rollouts
+router.get('/rollouts', authenticate, enforceActiveOrganization, validate(listRolloutsSchema), async (req, res, next) => {
+    try {
+        const result = await services.listRollouts({ ...req.query, ...rolloutScope(req) });
+
+        res.json({
+            ok: true,
+            data: result.items,
+            meta: {
+                total: result.total,
+                limit: req.query.limit,
+                offset: req.query.offset,
+                timestamp: new Date().toISOString(),
+                locale: req.locale
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/firmware.yaml -> POST /api/v1/firmware/rollouts
+router.post('/rollouts', authenticate, requirePermission('firmware.deploy'), enforceActiveOrganization, attachResourceAccess, validate(createRolloutSchema), async (req, res, next) => {
+    try {
+        const rollout = await services.createRollout(req.body, {
+            userId: req.user.userId,
+            ...rolloutScope(req),
+            accessScope: req.resourceAccess,
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.status(202).json({
+            ok: true,
+            data: rollout,
+            meta: { timestamp: new Date().toISOString(), locale: req.locale }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/firmware.yaml -> GET /api/v1/firmware/rollouts/{id}
+router.get('/rollouts/:id', authenticate, enforceActiveOrganization, validate(getRolloutSchema), async (req, res, next) => {
+    try {
+        const rollout = await services.getRollout(req.params.id, rolloutScope(req));
+
+        res.json({
+            ok: true,
+            data: rollout,
+            meta: { timestamp: new Date().toISOString(), locale: req.locale }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/firmware.yaml -> GET /api/v1/firmware/rollouts/{id}/devices
+router.get('/rollouts/:id/devices', authenticate, enforceActiveOrganization, validate(listRolloutDevicesSchema), async (req, res, next) => {
+    try {
+        const result = await services.listRolloutDevices(req.params.id, rolloutScope(req), req.query);
+
+        res.json({
+            ok: true,
+            data: result.items,
+            meta: {
+                total: result.total,
+                limit: req.query.limit,
+                offset: req.query.offset,
+                timestamp: new Date().toISOString(),
+                locale: req.locale
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/firmware.yaml -> POST /api/v1/firmware/rollouts/{id}/cancel
+router.post('/rollouts/:id/cancel', authenticate, requirePermission('firmware.deploy'), enforceActiveOrganization, validate(getRolloutSchema), async (req, res, next) => {
+    try {
+        const rollout = await services.cancelRollout(
+            req.params.id,
+            rolloutScope(req),
+            req.user.userId,
+            req.ip || req.connection.remoteAddress,
+            req.headers['user-agent']
+        );
+
+        res.json({
+            ok: true,
+            data: rollout,
+            meta: { timestamp: new Date().toISOString(), locale: req.locale }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============ CATÁLOGO ============
+
+// 📄 Swagger: src/docs/swagger/firmware.yaml -> GET /api/v1/firmware
+router.get('/', authenticate, validate(listFirmwareSchema), async (req, res, next) => {
+    try {
+        const result = await services.listFirmwareImages(req.query);
+
+        res.json({
+            ok: true,
+            data: result.items,
+            meta: {
+                total: result.total,
+                limit: req.query.limit,
+                offset: req.query.offset,
+                timestamp: new Date().toISOString(),
+                locale: req.locale
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/firmware.yaml -> POST /api/v1/firmware
+router.post('/', authenticate, requirePermission('firmware.manage'), validate(createFirmwareSchema), async (req, res, next) => {
+    try {
+        const firmware = await services.createFirmwareImage(
+            req.body,
+            req.user.userId,
+            req.ip || req.connection.remoteAddress,
+            req.headers['user-agent']
+        );
+
+        res.status(201).json({
+            ok: true,
+            data: firmware,
+            meta: { timestamp: new Date().toISOString(), locale: req.locale }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/firmware.yaml -> GET /api/v1/firmware/{id}
+router.get('/:id', authenticate, validate(getFirmwareSchema), async (req, res, next) => {
+    try {
+        const firmware = await services.getFirmwareImage(req.params.id);
+
+        res.json({
+            ok: true,
+            data: firmware,
+            meta: { timestamp: new Date().toISOString(), locale: req.locale }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/firmware.yaml -> PATCH /api/v1/firmware/{id}
+router.patch('/:id', authenticate, requirePermission('firmware.manage'), validate(updateFirmwareSchema), async (req, res, next) => {
+    try {
+        const firmware = await services.updateFirmwareImage(
+            req.params.id,
+            req.body,
+            req.user.userId,
+            req.ip || req.connection.remoteAddress,
+            req.headers['user-agent']
+        );
+
+        res.json({
+            ok: true,
+            data: firmware,
+            meta: { timestamp: new Date().toISOString(), locale: req.locale }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,339 @@
+// modules/firmware/services.js
+// Catálogo de firmware por modelo de device y campañas de actualización OTA
+
+import crypto from 'crypto';
+import * as repository from './repository.js';
+import * as filesRepository from '../files/repository.js';
+import * as siteRepository from '../sites/repository.js';
+import * as deviceMetadataRepository from '../device-metadata/repository.js';
+import { dispatchPendingDevices } from './ota.js';
+import { getMqttStatus } from '../realtime/mqtt/client.js';
+import { listAccessibleCodes } from '../resource-hierarchy/accessScope.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import { generatePublicCode, generateUuidV7 } from '../../utils/identifiers.js';
+import sequelize from '../../db/sql/sequelize.js';
+import logger from '../../utils/logger.js';
+
+const firmwareLogger = logger.child({ component: 'firmware' });
+
+const buildError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code   = code;
+    return err;
+};
+
+// ============ CATÁLOGO ============
+
+/**
+ * Buscar una versión de firmware o lanzar 404
+ * @param {string} publicCode
+ * @returns {Promise<FirmwareImage>}
+ */
+const findFirmwareOrFail = async (publicCode) => {
+    const firmware = await repository.findFirmwareByPublicCode(publicCode);
+    if (!firmware) {
+        throw buildError(404, 'FIRMWARE_NOT_FOUND', 'Firmware no encontrado');
+    }
+    return firmware;
+};
+
+/**
+ * Catálogo de firmware
+ * @param {Object} filters - { modelId, isActive, limit, offset }
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listFirmwareImages = async (filters) => repository.listFirmwareImages(filters);
+
+/**
+ * Detalle de una versión de firmware
+ * @param {string} publicCode
+ * @returns {Promise<Object>}
+ */
+export const getFirmwareImage = async (publicCode) =>
+    repository.toFirmwareDto(await findFirmwareOrFail(publicCode));
+
+/**
+ * Publicar una versión de firmware para un modelo.
+ * El binario se sube antes con el flujo de files (category 'firmware') y queda vinculado a la versión.
+ *
+ * @param {Object} data - { modelId, version, releaseNotes?, fileId (public code del archivo) }
+ * @param {string} userId
+ * @param {string} ipAddress
+ * @param {string} userAgent
+ * @returns {Promise<Object>}
+ */
+export const createFirmwareImage = async ({ modelId, version, releaseNotes = null, fileId }, userId, ipAddress, userAgent) => {
+    const model = await deviceMetadataRepository.findDeviceModelById(modelId);
+    if (!model) {
+        throw buildError(404, 'DEVICE_MODEL_NOT_FOUND', 'Modelo de device no encontrado');
+    }
+
+    const file = await filesRepository.findByPublicCodeInternal(fileId);
+    if (!file || file.status === 'deleted') {
+        throw buildError(404, 'FILE_NOT_FOUND', 'Archivo no encontrado');
+    }
+    if (file.status === 'linked') {
+        throw buildError(409, 'FIRMWARE_FILE_IN_USE', 'El archivo ya está vinculado a otra entidad');
+    }
+    if (file.category !== 'firmware' || file.status !== 'uploaded') {
+        throw buildError(400, 'FIRMWARE_FILE_INVALID', `El archivo debe ser de categoría firmware y estar subido (categoría: ${file.category}, estado: ${file.status})`);
+    }
+
+    if (await repository.findFirmwareByModelAndVersion(modelId, version)) {
+        throw buildError(409, 'FIRMWARE_VERSION_EXISTS', `La versión ${version} ya existe para este modelo`);
+    }
+
+    const image = await repository.createFirmwareImage({
+        id: generateUuidV7(),
+        publicCode: generatePublicCode('FW'),
+        modelId,
+        version,
+        releaseNotes,
+        fileId: file.id,
+        createdBy: userId
+    });
+
+    await filesRepository.linkToEntity(file.id, 'firmware', image.publicCode);
+
+    await logAuditAction({
+        entityType: 'firmware_image',
+        entityId: image.id,
+        action: 'create',
+        performedBy: userId,
+        changes: { created: { publicCode: image.publicCode, modelId, version, fileId } },
+        ipAddress,
+        userAgent
+    });
+
+    firmwareLogger.info({ firmwareId: image.publicCode, modelId, version }, 'Versión de firmware publicada');
+
+    return getFirmwareImage(image.publicCode);
+};
+
+/**
+ * Editar notas de la versión o retirarla (isActive: false)
+ *
+ * @param {string} publicCode
+ * @param {Object} data - { releaseNotes?, isActive? }
+ * @param {string} userId
+ * @param {string} ipAddress
+ * @param {string} userAgent
+ * @returns {Promise<Object>}
+ */
+export const updateFirmwareImage = async (publicCode, data, userId, ipAddress, userAgent) => {
+    const image = await findFirmwareOrFail(publicCode);
+
+    const changes = {};
+    for (const field of ['releaseNotes', 'isActive']) {
+        if (data[field] !== undefined && data[field] !== image[field]) {
+            changes[field] = { old: image[field], new: data[field] };
+        }
+    }
+    if (!Object.keys(changes).length) {
+        return repository.toFirmwareDto(image);
+    }
+
+    await image.update(Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.new])));
+
+    await logAuditAction({
+        entityType: 'firmware_image',
+        entityId: image.id,
+        action: 'update',
+        performedBy: userId,
+        changes,
+        ipAddress,
+        userAgent
+    });
+
+    return getFirmwareImage(publicCode);
+};
+
+// ============ CAMPAÑAS ============
+
+/**
+ * Buscar una campaña visible para el contexto de organización o lanzar 404.
+ * Las campañas sobre todas las organizaciones solo se ven en God View.
+ *
+ * @param {string} publicCode
+ * @param {{ organizationId: string|null, showAll: boolean }} scope
+ * @returns {Promise<FirmwareRollout>}
+ */
+const findRolloutOrFail = async (publicCode, { organizationId, showAll = false }) => {
+    const rollout = await repository.findRolloutByPublicCode(publicCode);
+    if (!rollout || (!showAll && rollout.organizationId !== organizationId)) {
+        throw buildError(404, 'ROLLOUT_NOT_FOUND', 'Campaña de firmware no encontrada');
+    }
+    return rollout;
+};
+
+const toRolloutDetail = async (rollout) => {
+    const summaries = await repository.summarizeRollouts([rollout.id]);
+    return repository.toRolloutDto(rollout, summaries.get(rollout.id));
+};
+
+/**
+ * Lanzar una campaña OTA: incluye los devices del modelo del firmware dentro de la organización
+ * (o todas en God View), el site opcional y los grants de la jerarquía. Se excluyen los devices que
+ * ya tienen la versión, sin topic MQTT o con otra actualización en curso.
+ * Los avisos OTA se publican en segundo plano (ver ota.js).
+ *
+ * @param {Object} data - { firmwareId, siteId?, name? }
+ * @param {Object} context
+ * @param {string} context.userId
+ * @param {string|null} context.organizationId - UUID de la organización activa
+ * @param {boolean} [context.showAll] - God View: todas las organizaciones
+ * @param {Object|null} [context.accessScope] - Scope de la jerarquía; null = sin restricción
+ * @param {string} [context.ipAddress]
+ * @param {string} [context.userAgent]
+ * @returns {Promise<Object>} DTO de la campaña (devices en pending)
+ */
+export const createRollout = async ({ firmwareId, siteId = null, name = null }, { userId, organizationId, showAll = false, accessScope = null, ipAddress = null, userAgent = null }) => {
+    const firmware = await findFirmwareOrFail(firmwareId);
+    if (!firmware.isActive) {
+        throw buildError(409, 'FIRMWARE_INACTIVE', 'La versión de firmware está retirada');
+    }
+
+    // God View sin site: todas las organizaciones; con site: la organización del site
+    let targetOrganizationId = showAll ? null : organizationId;
+
+    let site = null;
+    if (siteId) {
+        site = await siteRepository.findSiteByPublicCodeInternal(siteId);
+        if (!site || (targetOrganizationId && site.organizationId !== targetOrganizationId)) {
+            throw buildError(404, 'SITE_NOT_FOUND', 'Site no encontrado');
+        }
+        targetOrganizationId = site.organizationId;
+    }
+
+    const targets = await repository.findRolloutTargets({
+        modelId: firmware.modelId,
+        version: firmware.version,
+        organizationId: targetOrganizationId,
+        siteId: site?.id ?? null,
+        publicCodes: listAccessibleCodes(accessScope, 'device')
+    });
+    if (!targets.length) {
+        throw buildError(409, 'ROLLOUT_NO_TARGETS', 'Ningún device del modelo requiere esta versión');
+    }
+
+    if (!getMqttStatus().brokers.some(b => b.connected)) {
+        throw buildError(503, 'MQTT_UNAVAILABLE', 'No hay brokers MQTT conectados para entregar la actualización');
+    }
+
+    const rolloutId = generateUuidV7();
+    const publicCode = generatePublicCode('FWR');
+
+    await sequelize.transaction(async (transaction) => {
+        await repository.createRollout({
+            id: rolloutId,
+            publicCode,
+            firmwareId: firmware.id,
+            organizationId: targetOrganizationId,
+            siteId: site?.id ?? null,
+            name,
+            createdBy: userId
+        }, targets.map(device => ({
+            id: generateUuidV7(),
+            deviceId: device.id,
+            correlationId: crypto.randomUUID(),
+            previousVersion: device.firmwareVersion
+        })), { transaction });
+    });
+
+    await logAuditAction({
+        entityType: 'firmware_rollout',
+        entityId: rolloutId,
+        action: 'create',
+        performedBy: userId,
+        changes: { created: { publicCode, firmwareId, version: firmware.version, siteId } },
+        metadata: {
+            organizationId: targetOrganizationId,
+            modelId: firmware.modelId,
+            devices: targets.length
+        },
+        ipAddress,
+        userAgent
+    });
+
+    firmwareLogger.info({ rolloutId: publicCode, firmwareId, devices: targets.length }, 'Campaña de firmware lanzada');
+
+    dispatchPendingDevices().catch(error => firmwareLogger.error({ err: error, rolloutId: publicCode }, 'Error publicando avisos OTA'));
+
+    return toRolloutDetail(await repository.findRolloutByPublicCode(publicCode));
+};
+
+/**
+ * Listado de campañas
+ * @param {Object} filters - { organizationId, showAll, status, firmwareId (public code), limit, offset }
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listRollouts = async ({ firmwareId = null, ...filters }) => {
+    let firmwareUuid = null;
+    if (firmwareId) {
+        const firmware = await repository.findFirmwareByPublicCode(firmwareId);
+        if (!firmware) return { items: [], total: 0 };
+        firmwareUuid = firmware.id;
+    }
+
+    return repository.listRollouts({ ...filters, firmwareId: firmwareUuid });
+};
+
+/**
+ * Detalle de una campaña con el conteo por estado
+ * @param {string} publicCode
+ * @param {{ organizationId: string|null, showAll: boolean }} scope
+ * @returns {Promise<Object>}
+ */
+export const getRollout = async (publicCode, scope) =>
+    toRolloutDetail(await findRolloutOrFail(publicCode, scope));
+
+/**
+ * Estado por device de una campaña
+ * @param {string} publicCode
+ * @param {{ organizationId: string|null, showAll: boolean }} scope
+ * @param {Object} filters - { status, limit, offset }
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listRolloutDevices = async (publicCode, scope, filters) => {
+    const rollout = await findRolloutOrFail(publicCode, scope);
+    return repository.listRolloutDevices(rollout.id, filters);
+};
+
+/**
+ * Cancelar una campaña activa: los devices en curso pasan a failed.
+ * Un device que ya descargó el aviso puede aplicarlo igual; esa respuesta se ignora.
+ *
+ * @param {string} publicCode
+ * @param {{ organizationId: string|null, showAll: boolean }} scope
+ * @param {string} userId
+ * @param {string} ipAddress
+ * @param {string} userAgent
+ * @returns {Promise<Object>}
+ */
+export const cancelRollout = async (publicCode, scope, userId, ipAddress, userAgent) => {
+    const rollout = await findRolloutOrFail(publicCode, scope);
+    if (rollout.status !== 'active') {
+        throw buildError(409, 'ROLLOUT_NOT_ACTIVE', `La campaña no está activa (estado: ${rollout.status})`);
+    }
+
+    const cancelled = await sequelize.transaction(async (transaction) => {
+        await rollout.update({ status: 'cancelled', completedAt: new Date() }, { transaction });
+        return repository.failInFlightRolloutDevices({ rolloutId: rollout.id }, 'Campaña cancelada', { transaction });
+    });
+
+    await logAuditAction({
+        entityType: 'firmware_rollout',
+        entityId: rollout.id,
+        action: 'cancel',
+        performedBy: userId,
+        changes: { status: { old: 'active', new: 'cancelled' } },
+        metadata: { organizationId: rollout.organizationId, devicesCancelled: cancelled.length },
+        ipAddress,
+        userAgent
+    });
+
+    firmwareLogger.info({ rolloutId: publicCode, devicesCancelled: cancelled.length }, 'Campaña de firmware cancelada');
+
+    return toRolloutDetail(rollout);
+};
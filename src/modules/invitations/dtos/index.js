@@ -0,0 +1,95 @@
+import { z } from 'zod';
+
+const roleInOrgSchema = z.enum(['admin', 'member', 'viewer']);
+
+const tokenSchema = z
+    .string({
+        required_error: 'Token es requerido'
+    })
+    .min(1, 'Token no puede estar vacío')
+    .max(200, 'Token inválido');
+
+/**
+ * POST /organizations/:id/invitations
+ */
+export const createInvitationSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    body: z.object({
+        email: z
+            .string({
+                required_error: 'Email es requerido'
+            })
+            .email('Formato de email inválido')
+            .toLowerCase()
+            .trim(),
+        roleInOrg: roleInOrgSchema.default('member')
+    }).strict()
+});
+
+/**
+ * GET /organizations/:id/invitations
+ */
+export const listInvitationsSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    query: z.object({
+        status: z.enum(['pending', 'expired', 'accepted', 'declined', 'revoked']).optional(),
+        email:  z.string().trim().min(1).max(255).optional(),
+        limit:  z.coerce.number().int().min(1).max(100).default(20),
+        offset: z.coerce.number().int().min(0).default(0)
+    }).optional()
+});
+
+/**
+ * GET/DELETE /organizations/:id/invitations/:invitationId y POST .../resend
+ */
+export const invitationParamsSchema = z.object({
+    params: z.object({
+        id:           z.string().min(1),
+        invitationId: z.string().min(1)
+    })
+});
+
+/**
+ * POST /invitations/preview y POST /invitations/decline
+ */
+export const invitationTokenSchema = z.object({
+    body: z.object({
+        token: tokenSchema
+    })
+});
+
+/**
+ * POST /invitations/accept
+ * firstName/lastName/password solo se exigen si el email invitado todavía no tiene cuenta
+ * (mismas reglas que POST /auth/register)
+ */
+export const acceptInvitationSchema = z.object({
+    body: z.object({
+        token: tokenSchema,
+        firstName: z
+            .string()
+            .min(2, 'Nombre debe tener al menos 2 caracteres')
+            .max(100, 'Nombre no puede exceder 100 caracteres')
+            .trim()
+            .optional(),
+        lastName: z
+            .string()
+            .min(2, 'Apellido debe tener al menos 2 caracteres')
+            .max(100, 'Apellido no puede exceder 100 caracteres')
+            .trim()
+            .optional(),
+        password: z
+            .string()
+            .min(8, 'Password debe tener al menos 8 caracteres')
+            .max(100, 'Password no puede exceder 100 caracteres')
+            .regex(
+                /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
+                'Password debe contener al menos una mayúscula, una minúscula y un número'
+            )
+            .optional()
+    })
+});
@@ -0,0 +1,7 @@
+// modules/invitations/index.js
+// Entry point del módulo Invitations (invitaciones a organizaciones por email)
+
+import { organizationInvitationsRouter, invitationsRouter } from './routes.js';
+
+export { organizationInvitationsRouter, invitationsRouter };
+export default invitationsRouter;
@@ -0,0 +1,125 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+/**
+ * Invitación de un email a una organización con un rol (role_in_org).
+ * Ciclo de vida: pending → accepted | declined | revoked (vencida = pending con expires_at pasado)
+ * El token del enlace se guarda hasheado (SHA-256), igual que refresh y reset tokens.
+ */
+const OrganizationInvitation = sequelize.define('OrganizationInvitation', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        comment: 'UUID v7 - clave primaria time-ordered'
+    },
+    publicCode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+        comment: 'Código público legible (ej: INV-4X9-R2T). NUNCA exponer el UUID.'
+    },
+    organizationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'organizations',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a organizations - organización a la que se invita'
+    },
+    email: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Email invitado (normalizado a minúsculas)'
+    },
+    roleInOrg: {
+        type: DataTypes.ENUM('admin', 'member', 'viewer'),
+        allowNull: false,
+        defaultValue: 'member',
+        comment: 'Rol dentro de la organización al aceptar (user_organizations.role_in_org)'
+    },
+    tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 del token del enlace (se regenera al reenviar)'
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'accepted', 'declined', 'revoked'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    invitedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'FK a users - quien invitó'
+    },
+    sentCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Cantidad de envíos del email (1 + reenvíos)'
+    },
+    lastSentAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    respondedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Instante de accepted/declined/revoked'
+    },
+    acceptedUserId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'FK a users - cuenta que aceptó (creada o existente)'
+    },
+    revokedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'FK a users - admin que revocó'
+    }
+}, {
+    tableName: 'organization_invitations',
+    timestamps: true,
+    underscored: true,
+    paranoid: false,
+    indexes: [
+        { fields: ['public_code'], unique: true, name: 'organization_invitations_public_code_idx' },
+        { fields: ['token_hash'], unique: true, name: 'organization_invitations_token_hash_idx' },
+        { fields: ['organization_id', 'status'], name: 'organization_invitations_org_status_idx' },
+        {
+            fields: ['organization_id', 'email'],
+            unique: true,
+            where: { status: 'pending' },
+            name: 'organization_invitations_pending_email_idx'
+        }
+    ],
+    comment: 'Invitaciones de usuarios a organizaciones'
+});
+
+export default OrganizationInvitation;
@@ -0,0 +1,19 @@
+/**
+ * Índice de modelos del módulo Invitations
+ */
+import OrganizationInvitation from './OrganizationInvitation.js';
+import Organization from '../../organizations/models/Organization.js';
+import User from '../../auth/models/User.js';
+
+// OrganizationInvitation → Organization (N:1)
+OrganizationInvitation.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organization' });
+
+// OrganizationInvitation → User que invitó (N:1)
+OrganizationInvitation.belongsTo(User, { foreignKey: 'invitedBy', as: 'inviter' });
+
+// OrganizationInvitation → User que aceptó (N:1)
+OrganizationInvitation.belongsTo(User, { foreignKey: 'acceptedUserId', as: 'acceptedUser' });
+
+export { OrganizationInvitation };
+
+export default { OrganizationInvitation };
@@ -0,0 +1,169 @@
+// modules/invitations/repository.js
+// Capa de acceso a datos para invitaciones a organizaciones
+
+import { Op } from 'sequelize';
+import { OrganizationInvitation } from './models/index.js';
+import Organization from '../organizations/models/Organization.js';
+import User from '../auth/models/User.js';
+import UserOrganization from '../auth/models/UserOrganization.js';
+
+const displayName = (user) =>
+    `${user.firstName ?? ''} ${user.lastName ?? ''}`.trim() || user.email;
+
+/**
+ * Estado efectivo: una invitación pendiente con expires_at pasado se informa como 'expired'
+ * @param {OrganizationInvitation} invitation
+ * @returns {string}
+ */
+export const getEffectiveStatus = (invitation) =>
+    invitation.status === 'pending' && new Date(invitation.expiresAt) <= new Date()
+        ? 'expired'
+        : invitation.status;
+
+/**
+ * Convierte una invitación a DTO público (vista de administración)
+ * @param {OrganizationInvitation} invitation
+ * @returns {Object}
+ */
+export const toInvitationDto = (invitation) => ({
+    id: invitation.publicCode,
+    email: invitation.email,
+    roleInOrg: invitation.roleInOrg,
+    status: getEffectiveStatus(invitation),
+    organization: invitation.organization
+        ? { id: invitation.organization.publicCode, name: invitation.organization.name }
+        : null,
+    invitedBy: invitation.inviter
+        ? { id: invitation.inviter.publicCode, name: displayName(invitation.inviter) }
+        : null,
+    acceptedBy: invitation.acceptedUser
+        ? { id: invitation.acceptedUser.publicCode, name: displayName(invitation.acceptedUser) }
+        : null,
+    expiresAt: invitation.expiresAt,
+    sentCount: invitation.sentCount,
+    lastSentAt: invitation.lastSentAt,
+    respondedAt: invitation.respondedAt,
+    createdAt: invitation.createdAt
+});
+
+const invitationIncludes = [
+    { model: Organization, as: 'organization', attributes: ['id', 'publicCode', 'name', 'logoUrl', 'isActive'] },
+    { model: User, as: 'inviter', attributes: ['publicCode', 'firstName', 'lastName', 'email', 'language'] },
+    { model: User, as: 'acceptedUser', attributes: ['publicCode', 'firstName', 'lastName', 'email'] }
+];
+
+/**
+ * Crear una invitación
+ * @param {Object} data - Campos del modelo OrganizationInvitation
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<OrganizationInvitation>}
+ */
+export const createInvitation = async (data, options = {}) => OrganizationInvitation.create(data, options);
+
+/**
+ * Buscar una invitación por UUID con organización y usuarios incluidos
+ * @param {string} id
+ * @returns {Promise<OrganizationInvitation|null>}
+ */
+export const findInvitationById = async (id) =>
+    OrganizationInvitation.findByPk(id, { include: invitationIncludes });
+
+/**
+ * Buscar una invitación de una organización por public code
+ * @param {string} organizationId - UUID de la organización
+ * @param {string} publicCode
+ * @returns {Promise<OrganizationInvitation|null>}
+ */
+export const findOrganizationInvitation = async (organizationId, publicCode) =>
+    OrganizationInvitation.findOne({ where: { organizationId, publicCode }, include: invitationIncludes });
+
+/**
+ * Invitación pendiente (vigente o vencida) de un email en una organización
+ * @param {string} organizationId - UUID
+ * @param {string} email - Normalizado
+ * @returns {Promise<OrganizationInvitation|null>}
+ */
+export const findPendingInvitationByEmail = async (organizationId, email) =>
+    OrganizationInvitation.findOne({ where: { organizationId, email, status: 'pending' } });
+
+/**
+ * Buscar una invitación por hash de token
+ * @param {string} tokenHash - SHA-256 del token
+ * @returns {Promise<OrganizationInvitation|null>}
+ */
+export const findInvitationByTokenHash = async (tokenHash) =>
+    OrganizationInvitation.findOne({ where: { tokenHash }, include: invitationIncludes });
+
+/**
+ * Invitaciones de una organización (más recientes primero)
+ * @param {Object} filters
+ * @param {string} filters.organizationId - UUID
+ * @param {string} [filters.status] - pending (vigentes) | expired | accepted | declined | revoked
+ * @param {string} [filters.email] - Búsqueda parcial por email
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listOrganizationInvitations = async ({ organizationId, status = null, email = null, limit = 20, offset = 0 }) => {
+    const where = { organizationId };
+    const now = new Date();
+
+    if (status === 'pending') {
+        where.status = 'pending';
+        where.expiresAt = { [Op.gt]: now };
+    } else if (status === 'expired') {
+        where.status = 'pending';
+        where.expiresAt = { [Op.lte]: now };
+    } else if (status) {
+        where.status = status;
+    }
+    if (email) where.email = { [Op.iLike]: `%${email}%` };
+
+    const { rows, count } = await OrganizationInvitation.findAndCountAll({
+        where,
+        include: invitationIncludes,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset,
+        distinct: true
+    });
+
+    return { items: rows.map(toInvitationDto), total: count };
+};
+
+/**
+ * Actualizar una invitación solo si sigue pendiente
+ * (dos accept concurrentes, o accept vs revoke, no pueden ganar ambos)
+ * @param {string} id - UUID
+ * @param {Object} changes
+ * @param {Object} [options]
+ * @param {boolean} [options.requireValid] - Exigir además que no haya vencido
+ * @returns {Promise<boolean>} true si se actualizó
+ */
+export const transitionPendingInvitation = async (id, changes, { requireValid = false } = {}) => {
+    const where = { id, status: 'pending' };
+    if (requireValid) where.expiresAt = { [Op.gt]: new Date() };
+
+    const [count] = await OrganizationInvitation.update(changes, { where });
+    return count > 0;
+};
+
+/**
+ * Usuario por email (para decidir entre crear cuenta o asociar una existente)
+ * @param {string} email - Normalizado
+ * @returns {Promise<User|null>}
+ */
+export const findUserByEmail = async (email) =>
+    User.findOne({
+        where: { email },
+        attributes: ['id', 'publicCode', 'email', 'firstName', 'lastName', 'isActive', 'language']
+    });
+
+/**
+ * ¿El usuario ya es miembro de la organización?
+ * @param {string} userId - UUID
+ * @param {string} organizationId - UUID
+ * @returns {Promise<boolean>}
+ */
+export const isOrganizationMember = async (userId, organizationId) =>
+    (await UserOrganization.count({ where: { userId, organizationId } })) > 0;
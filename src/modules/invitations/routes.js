@@ -0,0 +1,215 @@
+// modules/invitations/routes.js
+// Rutas de invitaciones:
+// - Administración (montadas en /organizations/:id/invitations)
+// - Públicas por token (montadas en /invitations): preview, accept, decline
+
+import express from 'express';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { requireOrgPermission } from '../organizations/middleware/permissions.js';
+import { findOrganizationByPublicCodeInternal } from '../organizations/repository.js';
+import { successResponse, errorResponse } from '../../utils/response.js';
+import * as services from './services.js';
+import {
+    createInvitationSchema,
+    listInvitationsSchema,
+    invitationParamsSchema,
+    invitationTokenSchema,
+    acceptInvitationSchema
+} from './dtos/index.js';
+
+/**
+ * Errores de negocio (status + clave i18n) como respuesta traducida; el resto al error handler
+ */
+const handleError = (res, next, error) => {
+    if (error.status) {
+        return errorResponse(res, {
+            message: error.message,
+            status: error.status,
+            code: error.code,
+            details: error.details ?? null
+        });
+    }
+    next(error);
+};
+
+/**
+ * requireOrgPermission no resuelve la organización para system-admin: completarla aquí
+ */
+const loadOrganization = async (req, res, next) => {
+    try {
+        if (!req.organizationInternal) {
+            const organization = await findOrganizationByPublicCodeInternal(req.params.id);
+            if (!organization) {
+                return errorResponse(res, {
+                    message: 'Organization not found',
+                    status: 404,
+                    code: 'ORGANIZATION_NOT_FOUND'
+                });
+            }
+            req.organizationInternal = organization;
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+const buildActor = (req) => ({
+    userId:    req.user.userId,
+    name:      `${req.user.firstName ?? ''} ${req.user.lastName ?? ''}`.trim() || req.user.email,
+    locale:    req.locale,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent']
+});
+
+const requestData = (req) => ({
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent']
+});
+
+const adminChain = [
+    authenticate,
+    requirePermission(services.INVITATION_ADMIN_PERMISSION),
+    requireOrgPermission('view'),
+    loadOrganization
+];
+
+// ============ ADMINISTRACIÓN (/organizations/:id/invitations) ============
+
+export const organizationInvitationsRouter = express.Router();
+
+// 📄 Swagger: src/docs/swagger/invitations.yaml -> POST /api/v1/organizations/:id/invitations
+organizationInvitationsRouter.post(
+    '/:id/invitations',
+    ...adminChain,
+    validate(createInvitationSchema),
+    async (req, res, next) => {
+        try {
+            const invitation = await services.createInvitation(req.organizationInternal, req.body, buildActor(req));
+            return successResponse(res, invitation, 201);
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/invitations.yaml -> GET /api/v1/organizations/:id/invitations
+organizationInvitationsRouter.get(
+    '/:id/invitations',
+    ...adminChain,
+    validate(listInvitationsSchema),
+    async (req, res, next) => {
+        try {
+            const limit  = req.query?.limit  ?? 20;
+            const offset = req.query?.offset ?? 0;
+
+            const result = await services.listInvitations(req.organizationInternal, {
+                status: req.query?.status ?? null,
+                email:  req.query?.email ?? null,
+                limit,
+                offset
+            });
+
+            return successResponse(res, result.items, 200, {
+                total:  result.total,
+                limit:  Number(limit),
+                offset: Number(offset)
+            });
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/invitations.yaml -> GET /api/v1/organizations/:id/invitations/:invitationId
+organizationInvitationsRouter.get(
+    '/:id/invitations/:invitationId',
+    ...adminChain,
+    validate(invitationParamsSchema),
+    async (req, res, next) => {
+        try {
+            const invitation = await services.getInvitation(req.organizationInternal, req.params.invitationId);
+            return successResponse(res, invitation);
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/invitations.yaml -> POST /api/v1/organizations/:id/invitations/:invitationId/resend
+organizationInvitationsRouter.post(
+    '/:id/invitations/:invitationId/resend',
+    ...adminChain,
+    validate(invitationParamsSchema),
+    async (req, res, next) => {
+        try {
+            const invitation = await services.resendInvitation(
+                req.organizationInternal,
+                req.params.invitationId,
+                buildActor(req)
+            );
+            return successResponse(res, invitation);
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/invitations.yaml -> DELETE /api/v1/organizations/:id/invitations/:invitationId
+organizationInvitationsRouter.delete(
+    '/:id/invitations/:invitationId',
+    ...adminChain,
+    validate(invitationParamsSchema),
+    async (req, res, next) => {
+        try {
+            const invitation = await services.revokeInvitation(
+                req.organizationInternal,
+                req.params.invitationId,
+                buildActor(req)
+            );
+            return successResponse(res, invitation);
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// ============ PÚBLICAS POR TOKEN (/invitations) ============
+
+export const invitationsRouter = express.Router();
+
+// 📄 Swagger: src/docs/swagger/invitations.yaml -> POST /api/v1/invitations/preview
+invitationsRouter.post('/preview', validate(invitationTokenSchema), async (req, res, next) => {
+    try {
+        const invitation = await services.previewInvitation(req.body.token);
+        return successResponse(res, invitation);
+    } catch (error) {
+        handleError(res, next, error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/invitations.yaml -> POST /api/v1/invitations/accept
+invitationsRouter.post('/accept', validate(acceptInvitationSchema), async (req, res, next) => {
+    try {
+        const { token, ...account } = req.body;
+        const result = await services.acceptInvitation(token, account, requestData(req));
+
+        return successResponse(res, {
+            message: 'invitations.accepted',
+            ...result
+        }, result.accountCreated ? 201 : 200, {}, { organization: result.organization.name });
+    } catch (error) {
+        handleError(res, next, error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/invitations.yaml -> POST /api/v1/invitations/decline
+invitationsRouter.post('/decline', validate(invitationTokenSchema), async (req, res, next) => {
+    try {
+        await services.declineInvitation(req.body.token, requestData(req));
+        return successResponse(res, { message: 'invitations.declined' });
+    } catch (error) {
+        handleError(res, next, error);
+    }
+});
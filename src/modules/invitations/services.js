@@ -0,0 +1,415 @@
+// modules/invitations/services.js
+// Invitaciones a organizaciones: alta por un admin, envío del enlace por email y aceptación/rechazo por el invitado
+
+import crypto from 'crypto';
+import sequelize from '../../db/sql/sequelize.js';
+import * as repository from './repository.js';
+import { addUserToOrganization } from '../organizations/services.js';
+import { register, generateTokensForUser } from '../auth/services.js';
+import { hashToken } from '../auth/refreshTokenRepository.js';
+import { sendTemplatedMail } from '../../services/mail/index.js';
+import { translate } from '../../middleware/i18n.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import { generatePublicCode, generateUuidV7 } from '../../utils/identifiers.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+const invitationsLogger = logger.child({ component: 'invitations' });
+
+// Permiso que administra invitaciones (además del acceso a la organización, ver requireOrgPermission('view'))
+export const INVITATION_ADMIN_PERMISSION = 'invitations.manage';
+
+const buildError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code   = code;
+    return err;
+};
+
+const invalidTokenError = () =>
+    buildError(400, 'INVALID_INVITATION_TOKEN', 'invitations.token_invalid');
+
+const issueToken = () => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + config.invitations.tokenTTLDays * 24 * 60 * 60 * 1000);
+    return { token, tokenHash: hashToken(token), expiresAt };
+};
+
+/**
+ * Envía (o reenvía) el email de invitación con el enlace de aceptación
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {string} params.token - Token en texto plano (solo viaja en el email)
+ * @param {string} params.roleInOrg
+ * @param {Object} params.organization - { name }
+ * @param {string} params.inviterName
+ * @param {string|null} params.locale - Idioma del invitado si ya tiene cuenta; si no, el del admin
+ */
+const sendInvitationEmail = ({ email, token, roleInOrg, organization, inviterName, locale }) => {
+    sendTemplatedMail('organization_invitation', {
+        to: email,
+        locale,
+        params: {
+            inviter: inviterName,
+            organization: organization.name,
+            role: translate(`invitations.roles.${roleInOrg}`, {}, locale),
+            link: `${config.invitations.acceptUrl}?token=${encodeURIComponent(token)}`,
+            expiresDays: config.invitations.tokenTTLDays
+        }
+    });
+};
+
+/**
+ * Resuelve una invitación pendiente y vigente por token
+ * @param {string} token
+ * @returns {Promise<OrganizationInvitation>}
+ */
+const findValidInvitation = async (token) => {
+    const invitation = await repository.findInvitationByTokenHash(hashToken(token));
+    if (!invitation || repository.getEffectiveStatus(invitation) !== 'pending' || !invitation.organization?.isActive) {
+        throw invalidTokenError();
+    }
+    return invitation;
+};
+
+/**
+ * Invitar un email a una organización
+ *
+ * - Si el email ya es miembro: 409 USER_ALREADY_IN_ORGANIZATION
+ * - Si hay una invitación pendiente vigente: 409 INVITATION_ALREADY_PENDING (usar resend)
+ * - Una invitación pendiente vencida se reemplaza por la nueva
+ *
+ * @param {Object} organization - Organización (modelo interno, con UUID)
+ * @param {Object} data - { email, roleInOrg } validado con createInvitationSchema
+ * @param {Object} actor - { userId, name, locale, ipAddress, userAgent }
+ * @returns {Promise<Object>} DTO de la invitación
+ */
+export const createInvitation = async (organization, { email, roleInOrg }, actor) => {
+    const existingUser = await repository.findUserByEmail(email);
+    if (existingUser && await repository.isOrganizationMember(existingUser.id, organization.id)) {
+        throw buildError(409, 'USER_ALREADY_IN_ORGANIZATION', 'invitations.already_member');
+    }
+
+    const pending = await repository.findPendingInvitationByEmail(organization.id, email);
+    if (pending && repository.getEffectiveStatus(pending) === 'pending') {
+        throw buildError(409, 'INVITATION_ALREADY_PENDING', 'invitations.already_pending');
+    }
+
+    const { token, tokenHash, expiresAt } = issueToken();
+    const id = generateUuidV7();
+    const publicCode = generatePublicCode('INV');
+    const now = new Date();
+
+    await sequelize.transaction(async (transaction) => {
+        // La vencida libera el índice único de pendientes (organization_id, email)
+        if (pending) {
+            await pending.update({ status: 'revoked', respondedAt: now, revokedBy: actor.userId }, { transaction });
+        }
+
+        await repository.createInvitation({
+            id,
+            publicCode,
+            organizationId: organization.id,
+            email,
+            roleInOrg,
+            tokenHash,
+            status: 'pending',
+            expiresAt,
+            invitedBy: actor.userId,
+            sentCount: 1,
+            lastSentAt: now
+        }, { transaction });
+    });
+
+    sendInvitationEmail({
+        email,
+        token,
+        roleInOrg,
+        organization,
+        inviterName: actor.name,
+        locale: existingUser?.language ?? actor.locale
+    });
+
+    await logAuditAction({
+        entityType:  'organization_invitation',
+        entityId:    publicCode,
+        action:      'invitation_created',
+        performedBy: actor.userId,
+        changes:     { email, roleInOrg },
+        metadata:    {
+            organizationId: organization.publicCode,
+            expiresAt: expiresAt.toISOString(),
+            existingAccount: Boolean(existingUser),
+            replacedInvitation: pending?.publicCode ?? null
+        },
+        ipAddress: actor.ipAddress,
+        userAgent: actor.userAgent
+    });
+
+    invitationsLogger.info({ invitationId: publicCode, organizationId: organization.publicCode }, 'Invitación creada');
+
+    return repository.toInvitationDto(await repository.findInvitationById(id));
+};
+
+/**
+ * Invitaciones de una organización
+ * @param {Object} organization - Modelo interno
+ * @param {Object} filters - { status, email, limit, offset }
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listInvitations = async (organization, filters) =>
+    repository.listOrganizationInvitations({ organizationId: organization.id, ...filters });
+
+/**
+ * Detalle de una invitación de la organización
+ * @param {Object} organization - Modelo interno
+ * @param {string} invitationPublicCode
+ * @returns {Promise<Object>}
+ */
+export const getInvitation = async (organization, invitationPublicCode) => {
+    const invitation = await repository.findOrganizationInvitation(organization.id, invitationPublicCode);
+    if (!invitation) {
+        throw buildError(404, 'INVITATION_NOT_FOUND', 'invitations.not_found');
+    }
+    return repository.toInvitationDto(invitation);
+};
+
+/**
+ * Reenviar una invitación pendiente (vigente o vencida)
+ * Emite un token nuevo (el enlace anterior deja de servir) y renueva el vencimiento.
+ *
+ * @param {Object} organization - Modelo interno
+ * @param {string} invitationPublicCode
+ * @param {Object} actor - { userId, name, locale, ipAddress, userAgent }
+ * @returns {Promise<Object>} DTO actualizado
+ */
+export const resendInvitation = async (organization, invitationPublicCode, actor) => {
+    const invitation = await repository.findOrganizationInvitation(organization.id, invitationPublicCode);
+    if (!invitation) {
+        throw buildError(404, 'INVITATION_NOT_FOUND', 'invitations.not_found');
+    }
+
+    const { token, tokenHash, expiresAt } = issueToken();
+    const updated = await repository.transitionPendingInvitation(invitation.id, {
+        tokenHash,
+        expiresAt,
+        sentCount: sequelize.literal('sent_count + 1'),
+        lastSentAt: new Date()
+    });
+    if (!updated) {
+        throw buildError(409, 'INVITATION_NOT_PENDING', 'invitations.not_pending');
+    }
+
+    const existingUser = await repository.findUserByEmail(invitation.email);
+    sendInvitationEmail({
+        email: invitation.email,
+        token,
+        roleInOrg: invitation.roleInOrg,
+        organization,
+        inviterName: actor.name,
+        locale: existingUser?.language ?? actor.locale
+    });
+
+    await logAuditAction({
+        entityType:  'organization_invitation',
+        entityId:    invitation.publicCode,
+        action:      'invitation_resent',
+        performedBy: actor.userId,
+        metadata:    {
+            organizationId: organization.publicCode,
+            expiresAt: expiresAt.toISOString(),
+            sentCount: invitation.sentCount + 1
+        },
+        ipAddress: actor.ipAddress,
+        userAgent: actor.userAgent
+    });
+
+    return repository.toInvitationDto(await repository.findInvitationById(invitation.id));
+};
+
+/**
+ * Revocar una invitación pendiente (el enlace deja de servir)
+ * @param {Object} organization - Modelo interno
+ * @param {string} invitationPublicCode
+ * @param {Object} actor - { userId, ipAddress, userAgent }
+ * @returns {Promise<Object>} DTO actualizado
+ */
+export const revokeInvitation = async (organization, invitationPublicCode, actor) => {
+    const invitation = await repository.findOrganizationInvitation(organization.id, invitationPublicCode);
+    if (!invitation) {
+        throw buildError(404, 'INVITATION_NOT_FOUND', 'invitations.not_found');
+    }
+
+    const updated = await repository.transitionPendingInvitation(invitation.id, {
+        status: 'revoked',
+        respondedAt: new Date(),
+        revokedBy: actor.userId
+    });
+    if (!updated) {
+        throw buildError(409, 'INVITATION_NOT_PENDING', 'invitations.not_pending');
+    }
+
+    await logAuditAction({
+        entityType:  'organization_invitation',
+        entityId:    invitation.publicCode,
+        action:      'invitation_revoked',
+        performedBy: actor.userId,
+        changes:     { status: { old: 'pending', new: 'revoked' } },
+        metadata:    { organizationId: organization.publicCode, email: invitation.email },
+        ipAddress: actor.ipAddress,
+        userAgent: actor.userAgent
+    });
+
+    return repository.toInvitationDto(await repository.findInvitationById(invitation.id));
+};
+
+/**
+ * Vista pública de una invitación a partir del token (pantalla de aceptación)
+ * `accountExists` le indica al frontend si pedir datos de registro o solo confirmar.
+ *
+ * @param {string} token
+ * @returns {Promise<Object>}
+ */
+export const previewInvitation = async (token) => {
+    const invitation = await findValidInvitation(token);
+    const existingUser = await repository.findUserByEmail(invitation.email);
+
+    return {
+        email: invitation.email,
+        roleInOrg: invitation.roleInOrg,
+        organization: {
+            id: invitation.organization.publicCode,
+            name: invitation.organization.name,
+            logoUrl: invitation.organization.logoUrl
+        },
+        invitedBy: invitation.inviter
+            ? `${invitation.inviter.firstName ?? ''} ${invitation.inviter.lastName ?? ''}`.trim()
+            : null,
+        expiresAt: invitation.expiresAt,
+        accountExists: Boolean(existingUser)
+    };
+};
+
+/**
+ * Aceptar una invitación
+ *
+ * - Email con cuenta existente: se asocia la cuenta a la organización (addUserToOrganization)
+ * - Email sin cuenta: se crea con firstName/lastName/password (email verificado: el token llegó por email)
+ *   y se devuelven tokens de sesión como en /auth/register
+ *
+ * @param {string} token
+ * @param {Object} account - { firstName, lastName, password } (solo para cuentas nuevas)
+ * @param {Object} requestData - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { organization, roleInOrg, accountCreated, user, ...tokens }
+ */
+export const acceptInvitation = async (token, account, { ipAddress = null, userAgent = null } = {}) => {
+    const invitation = await findValidInvitation(token);
+    const organization = invitation.organization;
+    let user = await repository.findUserByEmail(invitation.email);
+    let tokens = null;
+
+    if (user && !user.isActive) {
+        throw buildError(403, 'ACCOUNT_DISABLED', 'invitations.account_disabled');
+    }
+
+    if (!user && !(account?.firstName && account?.lastName && account?.password)) {
+        const error = buildError(400, 'VALIDATION_ERROR', 'invitations.account_details_required');
+        error.details = ['firstName', 'lastName', 'password']
+            .filter(field => !account?.[field])
+            .map(field => ({ field, message: 'invitations.account_details_required' }));
+        throw error;
+    }
+
+    // Reservar la invitación antes de crear cuenta o membresía (accept concurrente o revoke)
+    const claimed = await repository.transitionPendingInvitation(invitation.id, {
+        status: 'accepted',
+        respondedAt: new Date()
+    }, { requireValid: true });
+    if (!claimed) {
+        throw invalidTokenError();
+    }
+
+    const accountCreated = !user;
+    try {
+        if (accountCreated) {
+            ({ user } = await register({
+                email: invitation.email,
+                password: account.password,
+                firstName: account.firstName,
+                lastName: account.lastName,
+                organizationId: organization.id
+            }, {}, { emailVerified: true, issueTokens: false }));
+        }
+
+        await addUserToOrganization(user.id, organization.id, accountCreated, invitation.roleInOrg);
+    } catch (error) {
+        // Se sumó por otra vía (ej: POST /users/:id/organizations) mientras la invitación estaba pendiente
+        if (error.code !== 'USER_ALREADY_IN_ORGANIZATION') {
+            // La invitación vuelve a quedar pendiente para poder reintentar
+            await invitation.update({ status: 'pending', respondedAt: null });
+            throw error;
+        }
+    }
+
+    await invitation.update({ acceptedUserId: user.id });
+
+    // Tokens con la organización ya como primaria (activeOrg del JWT)
+    if (accountCreated) {
+        tokens = await generateTokensForUser(user, { ipAddress, userAgent });
+    }
+
+    await logAuditAction({
+        entityType:  'organization_invitation',
+        entityId:    invitation.publicCode,
+        action:      'invitation_accepted',
+        performedBy: user.id,
+        changes:     { status: { old: 'pending', new: 'accepted' } },
+        metadata:    {
+            organizationId: organization.publicCode,
+            roleInOrg: invitation.roleInOrg,
+            userId: user.publicCode,
+            accountCreated
+        },
+        ipAddress,
+        userAgent
+    });
+
+    invitationsLogger.info({ invitationId: invitation.publicCode, accountCreated }, 'Invitación aceptada');
+
+    return {
+        organization: { id: organization.publicCode, name: organization.name },
+        roleInOrg: invitation.roleInOrg,
+        accountCreated,
+        user: { id: user.publicCode, email: user.email, firstName: user.firstName, lastName: user.lastName },
+        ...(tokens ?? {})
+    };
+};
+
+/**
+ * Rechazar una invitación
+ * @param {string} token
+ * @param {Object} requestData - { ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+export const declineInvitation = async (token, { ipAddress = null, userAgent = null } = {}) => {
+    const invitation = await findValidInvitation(token);
+
+    const updated = await repository.transitionPendingInvitation(invitation.id, {
+        status: 'declined',
+        respondedAt: new Date()
+    }, { requireValid: true });
+    if (!updated) {
+        throw invalidTokenError();
+    }
+
+    await logAuditAction({
+        entityType:  'organization_invitation',
+        entityId:    invitation.publicCode,
+        action:      'invitation_declined',
+        performedBy: null,
+        changes:     { status: { old: 'pending', new: 'declined' } },
+        metadata:    { organizationId: invitation.organization.publicCode, email: invitation.email },
+        ipAddress,
+        userAgent
+    });
+};
@@ -0,0 +1,28 @@
+import { z } from 'zod';
+
+export const listNotificationsSchema = z.object({
+    query: z.object({
+        unreadOnly: z.enum(['true', 'false']).transform(v => v === 'true').optional(),
+        type:       z.string().min(1).max(50).optional(),
+        limit:      z.coerce.number().int().min(1).max(100).default(20),
+        offset:     z.coerce.number().int().min(0).default(0)
+    }).optional()
+});
+
+export const markReadSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    })
+});
+
+export const markManyReadSchema = z.object({
+    body: z.object({
+        ids: z.array(z.string().min(1)).min(1).max(200)
+    })
+});
+
+export const markAllReadSchema = z.object({
+    body: z.object({
+        type: z.string().min(1).max(50).optional()
+    }).optional()
+});
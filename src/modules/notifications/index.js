@@ -0,0 +1,7 @@
+// modules/notifications/index.js
+// Entry point del módulo Notifications (centro de notificaciones EC:NOTIFY)
+
+import router from './routes.js';
+
+export { router as notificationsRouter };
+export default router;
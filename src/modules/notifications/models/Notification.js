@@ -0,0 +1,79 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+/**
+ * Notificación in-app dirigida a un usuario (centro de notificaciones EC:NOTIFY).
+ * Título y cuerpo se renderizan en el idioma del destinatario al crearse.
+ */
+const Notification = sequelize.define('Notification', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        comment: 'UUID v7 - clave primaria time-ordered'
+    },
+    publicCode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+        comment: 'Código público legible (ej: NTF-4X9-R2T). NUNCA exponer el UUID.'
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a users - destinatario'
+    },
+    organizationId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'organizations',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'FK a organizations - organización de contexto (null = global)'
+    },
+    type: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Tipo de evento (alert_triggered, dashboard_shared, export_completed, ...)'
+    },
+    title: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    body: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    data: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Referencias públicas para navegar desde la notificación (ej: { alertId, channelId })'
+    },
+    readAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Fecha de lectura (null = no leída)'
+    }
+}, {
+    tableName: 'notifications',
+    timestamps: true,
+    underscored: true,
+    paranoid: false,
+    indexes: [
+        { fields: ['public_code'], unique: true, name: 'notifications_public_code_idx' },
+        { fields: ['user_id', 'created_at'], name: 'notifications_user_created_idx' },
+        { fields: ['user_id', 'read_at'], name: 'notifications_user_read_idx' }
+    ],
+    comment: 'Notificaciones in-app por usuario'
+});
+
+export default Notification;
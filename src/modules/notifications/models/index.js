@@ -0,0 +1,16 @@
+/**
+ * Índice de modelos del módulo Notifications
+ */
+import Notification from './Notification.js';
+import Organization from '../../organizations/models/Organization.js';
+import User from '../../auth/models/User.js';
+
+// Notification → User destinatario (N:1)
+Notification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Notification → Organization de contexto (N:1)
+Notification.belongsTo(Organization, { foreignKey: 'organizationId', as: 'organization' });
+
+export { Notification };
+
+export default { Notification };
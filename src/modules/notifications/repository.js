@@ -0,0 +1,183 @@
+// modules/notifications/repository.js
+// Capa de acceso a datos para notificaciones in-app
+
+import { Op, QueryTypes } from 'sequelize';
+import sequelize from '../../db/sql/sequelize.js';
+import { Notification } from './models/index.js';
+import Organization from '../organizations/models/Organization.js';
+import User from '../auth/models/User.js';
+
+/**
+ * Convierte una notificación a DTO público
+ * @param {Notification} notification
+ * @returns {Object}
+ */
+export const toNotificationDto = (notification) => ({
+    id: notification.publicCode,
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    data: notification.data,
+    organization: notification.organization
+        ? { id: notification.organization.publicCode, name: notification.organization.name }
+        : null,
+    isRead: notification.readAt !== null,
+    readAt: notification.readAt,
+    createdAt: notification.createdAt
+});
+
+const notificationIncludes = [
+    { model: Organization, as: 'organization', attributes: ['publicCode', 'name'] }
+];
+
+/**
+ * Crear notificaciones en bloque
+ * @param {Object[]} rows - Campos del modelo Notification
+ * @returns {Promise<Notification[]>} Instancias con organization incluida
+ */
+export const createNotifications = async (rows) => {
+    if (!rows.length) return [];
+    await Notification.bulkCreate(rows);
+    return Notification.findAll({
+        where: { id: { [Op.in]: rows.map(r => r.id) } },
+        include: notificationIncludes
+    });
+};
+
+/**
+ * Listar notificaciones de un usuario (más recientes primero)
+ * @param {Object} filters
+ * @param {string} filters.userId - UUID del destinatario
+ * @param {boolean} [filters.unreadOnly]
+ * @param {string} [filters.type]
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listNotifications = async ({ userId, unreadOnly = false, type = null, limit = 20, offset = 0 }) => {
+    const where = { userId };
+    if (unreadOnly) where.readAt = null;
+    if (type) where.type = type;
+
+    const { rows, count } = await Notification.findAndCountAll({
+        where,
+        include: notificationIncludes,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset,
+        distinct: true
+    });
+
+    return { items: rows.map(toNotificationDto), total: count };
+};
+
+/**
+ * Buscar una notificación del usuario por public code
+ * @param {string} userId
+ * @param {string} publicCode
+ * @returns {Promise<Notification|null>}
+ */
+export const findUserNotification = async (userId, publicCode) =>
+    Notification.findOne({ where: { userId, publicCode } });
+
+/**
+ * Contador de no leídas del usuario, total y por tipo
+ * @param {string} userId
+ * @returns {Promise<{ total: number, byType: Object<string, number> }>}
+ */
+export const countUnread = async (userId) => {
+    const rows = await sequelize.query(`
+        SELECT type, COUNT(*)::int AS count
+        FROM notifications
+        WHERE user_id = $1 AND read_at IS NULL
+        GROUP BY type
+    `, { bind: [userId], type: QueryTypes.SELECT });
+
+    const byType = {};
+    let total = 0;
+    for (const row of rows) {
+        byType[row.type] = row.count;
+        total += row.count;
+    }
+    return { total, byType };
+};
+
+/**
+ * Marcar como leídas notificaciones del usuario por public code
+ * @param {string} userId
+ * @param {string[]} publicCodes
+ * @returns {Promise<number>} Cantidad de notificaciones actualizadas
+ */
+export const markRead = async (userId, publicCodes) => {
+    const [count] = await Notification.update(
+        { readAt: new Date() },
+        { where: { userId, publicCode: { [Op.in]: publicCodes }, readAt: null } }
+    );
+    return count;
+};
+
+/**
+ * Marcar como leídas todas las notificaciones pendientes del usuario
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} [options.type] - Limitar a un tipo
+ * @returns {Promise<number>} Cantidad de notificaciones actualizadas
+ */
+export const markAllRead = async (userId, { type = null } = {}) => {
+    const where = { userId, readAt: null };
+    if (type) where.type = type;
+
+    const [count] = await Notification.update({ readAt: new Date() }, { where });
+    return count;
+};
+
+/**
+ * Destinatarios activos con su idioma preferido
+ * @param {string[]} userIds
+ * @returns {Promise<Array<{ id: string, language: string|null }>>}
+ */
+export const findRecipients = async (userIds) => User.findAll({
+    where: { id: { [Op.in]: userIds }, isActive: true },
+    attributes: ['id', 'language', 'email', 'firstName'],
+    raw: true
+});
+
+/**
+ * Nombre visible de un usuario (actor de la notificación)
+ * @param {string} userId
+ * @returns {Promise<string|null>}
+ */
+export const findUserDisplayName = async (userId) => {
+    const user = await User.findByPk(userId, { attributes: ['firstName', 'lastName', 'email'] });
+    if (!user) return null;
+    return `${user.firstName ?? ''} ${user.lastName ?? ''}`.trim() || user.email;
+};
+
+/**
+ * Usuarios activos de una organización (primaria o membresía) cuyo permission set en ella concede el permiso
+ * Mismo criterio que roles/services.js resolvePermissions: rol de la membresía si está activo, si no el rol
+ * global; system-admin concede todo.
+ * @param {string} organizationId - UUID
+ * @param {string} permission - ej: 'alerts.manage'
+ * @returns {Promise<string[]>} UUIDs de usuarios
+ */
+export const findOrganizationUserIdsWithPermission = async (organizationId, permission) => {
+    const rows = await sequelize.query(`
+        SELECT DISTINCT u.id
+        FROM users u
+        JOIN roles gr ON gr.id = u.role_id
+        LEFT JOIN user_organizations uo
+               ON uo.user_id = u.id AND uo.organization_id = $1 AND uo.deleted_at IS NULL
+        LEFT JOIN roles orr ON orr.id = uo.role_id AND orr.is_active = true
+        JOIN roles r ON r.id = COALESCE(orr.id, u.role_id)
+        WHERE u.is_active = true
+          AND u.deleted_at IS NULL
+          AND (u.organization_id = $1 OR uo.id IS NOT NULL)
+          AND (
+                gr.name = 'system-admin'
+                OR (r.is_active = true AND ($2::varchar = ANY(r.permissions) OR '*' = ANY(r.permissions)))
+          )
+    `, { bind: [organizationId, permission], type: QueryTypes.SELECT });
+
+    return rows.map(r => r.id);
+};
@@ -0,0 +1,131 @@
+// modules/notifications/routes.js
+// Rutas REST del centro de notificaciones (siempre sobre el usuario autenticado)
+
+import express from 'express';
+import { authenticate } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import * as services from './services.js';
+import {
+    listNotificationsSchema,
+    markReadSchema,
+    markManyReadSchema,
+    markAllReadSchema
+} from './dtos/index.js';
+
+const router = express.Router();
+
+// 📄 Swagger: src/docs/swagger/notifications.yaml -> GET /api/v1/notifications
+router.get(
+    '/',
+    authenticate,
+    validate(listNotificationsSchema),
+    async (req, res, next) => {
+        try {
+            const limit  = req.query?.limit  ?? 20;
+            const offset = req.query?.offset ?? 0;
+
+            const result = await services.listNotifications(req.user.userId, {
+                unreadOnly: req.query?.unreadOnly ?? false,
+                type:       req.query?.type ?? null,
+                limit,
+                offset
+            });
+
+            return res.json({
+                ok: true,
+                data: result.items,
+                meta: {
+                    total:     result.total,
+                    unread:    result.unread,
+                    limit:     Number(limit),
+                    offset:    Number(offset),
+                    timestamp: new Date().toISOString(),
+                    locale:    req.locale
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/notifications.yaml -> GET /api/v1/notifications/unread-count
+router.get(
+    '/unread-count',
+    authenticate,
+    async (req, res, next) => {
+        try {
+            const unread = await services.getUnreadCount(req.user.userId);
+
+            return res.json({
+                ok: true,
+                data: unread,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/notifications.yaml -> POST /api/v1/notifications/read
+router.post(
+    '/read',
+    authenticate,
+    validate(markManyReadSchema),
+    async (req, res, next) => {
+        try {
+            const result = await services.markAsRead(req.user.userId, req.body.ids);
+
+            return res.json({
+                ok: true,
+                data: result,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/notifications.yaml -> POST /api/v1/notifications/read-all
+router.post(
+    '/read-all',
+    authenticate,
+    validate(markAllReadSchema),
+    async (req, res, next) => {
+        try {
+            const result = await services.markAllAsRead(req.user.userId, { type: req.body?.type ?? null });
+
+            return res.json({
+                ok: true,
+                data: result,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/notifications.yaml -> POST /api/v1/notifications/:id/read
+router.post(
+    '/:id/read',
+    authenticate,
+    validate(markReadSchema),
+    async (req, res, next) => {
+        try {
+            const result = await services.markOneAsRead(req.user.userId, req.params.id);
+
+            return res.json({
+                ok: true,
+                data: result,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+export default router;
@@ -0,0 +1,216 @@
+// modules/notifications/services.js
+// Centro de notificaciones: persistencia por usuario y push EC:NOTIFY:* a sus sesiones WS
+
+import * as repository from './repository.js';
+import { sendToUserSessions } from '../realtime/services/sessionService.js';
+import { generatePublicCode, generateUuidV7 } from '../../utils/identifiers.js';
+import { translate } from '../../middleware/i18n.js';
+import { sendTemplatedMail } from '../../services/mail/index.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+const notifyLogger = logger.child({ component: 'notifications' });
+
+/**
+ * Tipos de notificación emitidos por los productores.
+ * Título y cuerpo se traducen con las claves `notifications.<type>.title|body`.
+ */
+export const NOTIFICATION_TYPES = {
+    ALERT_TRIGGERED: 'alert_triggered',
+    DASHBOARD_SHARED: 'dashboard_shared',
+    ORGANIZATION_MEMBER_ADDED: 'organization_member_added',
+    ORGANIZATION_MEMBER_REMOVED: 'organization_member_removed',
+    EXPORT_COMPLETED: 'export_completed',
+    EXPORT_FAILED: 'export_failed',
+    SECURITY_LOGIN_ALERT: 'security_login_alert',
+    SECURITY_ACCOUNT_LOCKED: 'security_account_locked',
+    DEVICE_OFFLINE: 'device_offline',
+    DEVICE_LICENSE_EXPIRING: 'device_license_expiring'
+};
+
+// Tipos que además de la notificación in-app se envían por email (template `notification`)
+const EMAIL_NOTIFICATION_TYPES = [
+    NOTIFICATION_TYPES.ALERT_TRIGGERED,
+    NOTIFICATION_TYPES.EXPORT_COMPLETED,
+    NOTIFICATION_TYPES.EXPORT_FAILED,
+    NOTIFICATION_TYPES.SECURITY_LOGIN_ALERT,
+    NOTIFICATION_TYPES.SECURITY_ACCOUNT_LOCKED,
+    NOTIFICATION_TYPES.DEVICE_LICENSE_EXPIRING
+];
+
+const SUPPORTED_LANGUAGES = ['es', 'en'];
+
+/**
+ * Push del contador de no leídas a las sesiones del usuario (sincroniza badges entre pestañas)
+ * @param {string} userId
+ */
+const pushUnreadCount = async (userId) => {
+    const unread = await repository.countUnread(userId);
+    await sendToUserSessions(userId, {
+        type: 'EC:NOTIFY:COUNT',
+        payload: { unread },
+        timestamp: new Date().toISOString()
+    }, 'NOTIFY');
+    return unread;
+};
+
+/**
+ * Crea notificaciones para uno o más usuarios y las envía en tiempo real.
+ *
+ * Best-effort (como el audit log): los errores se loguean y nunca se propagan
+ * al flujo que generó el evento. Los tipos de EMAIL_NOTIFICATION_TYPES también se envían por email.
+ *
+ * @param {string[]} userIds - UUIDs de destinatarios (se ignoran duplicados y null)
+ * @param {Object} notification
+ * @param {string} notification.type - Uno de NOTIFICATION_TYPES
+ * @param {string|null} [notification.organizationId] - UUID de la organización de contexto
+ * @param {Object} [notification.params] - Parámetros de interpolación para título y cuerpo
+ * @param {Object} [notification.data] - Referencias públicas para el frontend
+ * @param {string|null} [notification.actorId] - UUID de quien originó el evento (nunca se auto-notifica)
+ * @returns {Promise<number>} Cantidad de notificaciones creadas
+ */
+export const notify = async (userIds, { type, organizationId = null, params = {}, data = {}, actorId = null }) => {
+    try {
+        const uniqueIds = [...new Set(userIds.filter(Boolean))].filter(id => id !== actorId);
+        if (!uniqueIds.length) return 0;
+
+        const recipients = await repository.findRecipients(uniqueIds);
+        if (!recipients.length) return 0;
+
+        const actor = actorId ? await repository.findUserDisplayName(actorId) : null;
+        const templateParams = { ...params, actor: actor ?? '' };
+
+        const rows = recipients.map((recipient) => {
+            const locale = SUPPORTED_LANGUAGES.includes(recipient.language) ? recipient.language : 'es';
+            return {
+                id: generateUuidV7(),
+                publicCode: generatePublicCode('NTF'),
+                userId: recipient.id,
+                organizationId,
+                type,
+                title: translate(`notifications.${type}.title`, templateParams, locale),
+                body: translate(`notifications.${type}.body`, templateParams, locale),
+                data
+            };
+        });
+
+        const created = await repository.createNotifications(rows);
+
+        if (EMAIL_NOTIFICATION_TYPES.includes(type)) {
+            rows.forEach((row, index) => {
+                const recipient = recipients[index];
+                if (!recipient.email) return;
+                sendTemplatedMail('notification', {
+                    to: recipient.email,
+                    locale: recipient.language,
+                    params: {
+                        name: recipient.firstName,
+                        title: row.title,
+                        body: row.body,
+                        link: config.frontendUrl
+                    }
+                });
+            });
+        }
+
+        for (const notification of created) {
+            const unread = await repository.countUnread(notification.userId);
+            await sendToUserSessions(notification.userId, {
+                type: 'EC:NOTIFY:NEW',
+                payload: {
+                    notification: repository.toNotificationDto(notification),
+                    unread
+                },
+                timestamp: new Date().toISOString()
+            }, 'NOTIFY');
+        }
+
+        notifyLogger.debug({ type, recipients: created.length }, 'Notificaciones creadas');
+        return created.length;
+    } catch (error) {
+        notifyLogger.error({ err: error, type }, 'Error creando notificaciones');
+        return 0;
+    }
+};
+
+/**
+ * Notifica a los usuarios de una organización que tienen el permiso indicado en ella
+ * (rol de la membresía o, si no tiene, rol global; ver repository.findOrganizationUserIdsWithPermission)
+ *
+ * @param {string} organizationId - UUID
+ * @param {string} permission - ej: 'alerts.manage'
+ * @param {Object} notification - Ver notify()
+ * @param {string[]} [extraUserIds] - Destinatarios adicionales (ej: creador de la regla)
+ * @returns {Promise<number>}
+ */
+export const notifyOrganizationPermission = async (organizationId, permission, notification, extraUserIds = []) => {
+    try {
+        const userIds = await repository.findOrganizationUserIdsWithPermission(organizationId, permission);
+        return notify([...userIds, ...extraUserIds], { organizationId, ...notification });
+    } catch (error) {
+        notifyLogger.error({ err: error, type: notification.type }, 'Error resolviendo destinatarios de la organización');
+        return 0;
+    }
+};
+
+/**
+ * Listar notificaciones del usuario autenticado
+ * @param {string} userId
+ * @param {Object} filters - { unreadOnly, type, limit, offset }
+ * @returns {Promise<{ items: Object[], total: number, unread: Object }>}
+ */
+export const listNotifications = async (userId, filters) => {
+    const [result, unread] = await Promise.all([
+        repository.listNotifications({ userId, ...filters }),
+        repository.countUnread(userId)
+    ]);
+    return { ...result, unread };
+};
+
+/**
+ * Contador de no leídas (badge)
+ * @param {string} userId
+ * @returns {Promise<{ total: number, byType: Object }>}
+ */
+export const getUnreadCount = async (userId) => repository.countUnread(userId);
+
+/**
+ * Marcar notificaciones como leídas
+ * @param {string} userId
+ * @param {string[]} publicCodes
+ * @returns {Promise<{ updated: number, unread: Object }>}
+ */
+export const markAsRead = async (userId, publicCodes) => {
+    const updated = await repository.markRead(userId, publicCodes);
+    const unread = await pushUnreadCount(userId);
+    return { updated, unread };
+};
+
+/**
+ * Marcar una notificación como leída (idempotente)
+ * @param {string} userId
+ * @param {string} publicCode
+ * @returns {Promise<{ updated: number, unread: Object }>}
+ */
+export const markOneAsRead = async (userId, publicCode) => {
+    const notification = await repository.findUserNotification(userId, publicCode);
+    if (!notification) {
+        const err = new Error('Notificación no encontrada');
+        err.status = 404;
+        err.code   = 'NOTIFICATION_NOT_FOUND';
+        throw err;
+    }
+    return markAsRead(userId, [publicCode]);
+};
+
+/**
+ * Marcar todas las notificaciones como leídas
+ * @param {string} userId
+ * @param {Object} options - { type }
+ * @returns {Promise<{ updated: number, unread: Object }>}
+ */
+export const markAllAsRead = async (userId, options = {}) => {
+    const updated = await repository.markAllRead(userId, options);
+    const unread = await pushUnreadCount(userId);
+    return { updated, unread };
+};
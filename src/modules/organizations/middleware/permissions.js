@@ -3,10 +3,30 @@
 
 import * as orgRepository from '../repository.js';
 import { canAccessOrganization } from '../services.js';
+import { getUserPermissions } from '../../roles/services.js';
+import { hasPermission } from '../../roles/permissions.js';
 import logger from '../../../utils/logger.js';
 
 const orgLogger = logger.child({ component: 'organizations' });
 
+// Permiso con nombre que exige cada tipo de acción (view solo verifica acceso a la organización)
+const ORG_ACTION_PERMISSIONS = {
+    create: 'organizations.create',
+    edit: 'organizations.edit',
+    delete: 'organizations.delete'
+};
+
+/**
+ * ¿El usuario tiene el permiso con nombre de la acción? (lo resuelve una vez por request en req.user.permissions)
+ */
+const canPerform = async (user, permission) => {
+    if (!ORG_ACTION_PERMISSIONS[permission]) return true;
+    if (!user.permissions) {
+        user.permissions = await getUserPermissions(user);
+    }
+    return hasPermission(user.permissions, ORG_ACTION_PERMISSIONS[permission]);
+};
+
 /**
  * Middleware para verificar si el usuario puede acceder a una organización
  * 
@@ -16,6 +36,8 @@ const orgLogger = logger.child({ component: 'organizations' });
  * - org-manager: Su org + hijos directos
  * - user/viewer/guest/demo: Solo sus organizaciones directas
  * 
+ * create/edit/delete además requieren organizations.create/edit/delete en el permission set del usuario
+ * 
  * @param {string} permission - Tipo de permiso: 'view', 'edit', 'delete', 'create'
  */
 export const requireOrgPermission = (permission = 'view') => {
@@ -39,14 +61,14 @@ export const requireOrgPermission = (permission = 'view') => {
                 return next();
             }
 
-            // Si el endpoint requiere crear, solo system-admin y org-admin pueden
+            // Si el endpoint requiere crear, basta con el permiso organizations.create
             if (permission === 'create') {
-                if (!['system-admin', 'org-admin'].includes(user.role)) {
+                if (!(await canPerform(user, permission))) {
                     return res.status(403).json({
                         ok: false,
                         error: {
                             code: 'PERMISSION_DENIED',
-                            message: 'Only system-admin and org-admin can create organizations'
+                            message: 'Missing permission organizations.create'
                         }
                     });
                 }
@@ -96,31 +118,15 @@ export const requireOrgPermission = (permission = 'view') => {
                     });
                 }
 
-                // Verificar permisos específicos
-                if (permission === 'edit') {
-                    // Solo system-admin y org-admin pueden editar
-                    if (!['system-admin', 'org-admin'].includes(user.role)) {
-                        return res.status(403).json({
-                            ok: false,
-                            error: {
-                                code: 'PERMISSION_DENIED',
-                                message: 'Only system-admin and org-admin can edit organizations'
-                            }
-                        });
-                    }
-                }
-
-                if (permission === 'delete') {
-                    // Solo system-admin y org-admin pueden eliminar
-                    if (!['system-admin', 'org-admin'].includes(user.role)) {
-                        return res.status(403).json({
-                            ok: false,
-                            error: {
-                                code: 'PERMISSION_DENIED',
-                                message: 'Only system-admin and org-admin can delete organizations'
-                            }
-                        });
-                    }
+                // Verificar permisos específicos (edit/delete)
+                if (!(await canPerform(user, permission))) {
+                    return res.status(403).json({
+                        ok: false,
+                        error: {
+                            code: 'PERMISSION_DENIED',
+                            message: `Missing permission ${ORG_ACTION_PERMISSIONS[permission]}`
+                        }
+                    });
                 }
 
                 // Adjuntar organización al request para uso posterior
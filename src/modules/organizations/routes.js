@@ -2,7 +2,7 @@
 // Rutas REST para el módulo de Organizaciones
 
 import express from 'express';
-import { authenticate, requireRole } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import { requireOrgPermission } from './middleware/permissions.js';
 import * as orgRepository from './repository.js';
 import * as orgServices from './services.js';
@@ -26,10 +26,35 @@ import logger from '../../utils/logger.js';
 import { generateUuidV7, generateHumanId, generatePublicCode } from '../../utils/identifiers.js';
 import Organization from './models/Organization.js';
 import UserOrganization from '../auth/models/UserOrganization.js';
+import { organizationInvitationsRouter } from '../invitations/index.js';
+import { organizationApiKeysRouter } from '../api-keys/index.js';
+import { organizationSsoRouter } from '../auth/ssoRoutes.js';
+import { organizationPasswordPolicyRouter } from '../auth/passwordPolicyRoutes.js';
+import { organizationRolesRouter } from '../roles/index.js';
 
 const router = express.Router();
 const orgLogger = logger.child({ component: 'organizations' });
 
+// Invitaciones a la organización (/:id/invitations)
+// 📄 Swagger: src/docs/swagger/invitations.yaml
+router.use('/', organizationInvitationsRouter);
+
+// API keys de la organización (/:id/api-keys)
+// 📄 Swagger: src/docs/swagger/api-keys.yaml
+router.use('/', organizationApiKeysRouter);
+
+// Single sign-on OIDC de la organización (/:id/security/sso)
+// 📄 Swagger: src/docs/swagger/organizations.yaml
+router.use('/', organizationSsoRouter);
+
+// Política de contraseñas de la organización (/:id/security/password-policy)
+// 📄 Swagger: src/docs/swagger/organizations.yaml
+router.use('/', organizationPasswordPolicyRouter);
+
+// Roles propios de la organización y rol de cada miembro (/:id/roles, /:id/members/:userId/role)
+// 📄 Swagger: src/docs/swagger/roles.yaml
+router.use('/', organizationRolesRouter);
+
 
 // 📄 Swagger: src/docs/swagger/organizations.yaml -> GET /
 router.get('/', authenticate, async (req, res) => {
@@ -689,7 +714,7 @@ router.delete('/:id', authenticate, requireOrgPermission('delete'), async (req,
 
 
 // 📄 Swagger: src/docs/swagger/organizations.yaml -> POST /batch-delete
-router.post('/batch-delete', authenticate, requireRole(['system-admin', 'org-admin']), async (req, res) => {
+router.post('/batch-delete', authenticate, requirePermission('organizations.delete'), async (req, res) => {
     try {
         const validatedData = validateBatchDelete(req.body);
         const { organizationIds, hardDelete, deleteUsers, reassignOrgId } = validatedData;
@@ -889,7 +914,7 @@ router.get('/:id/subtree', authenticate, requireOrgPermission('view'), async (re
 
 
 // 📄 Swagger: src/docs/swagger/organizations.yaml -> POST /delete-preview
-router.post('/delete-preview', authenticate, requireRole(['system-admin', 'org-admin']), async (req, res) => {
+router.post('/delete-preview', authenticate, requirePermission('organizations.delete'), async (req, res) => {
     try {
         const { organizationIds } = req.body;
 
@@ -990,6 +1015,7 @@ router.put('/:id/activate', authenticate, requireOrgPermission('edit'), async (r
         });
 
         await invalidateOrganizationCache(organization.publicCode);
+        await invalidateOrgResolveCache(req.organizationInternal.id, organization.publicCode);
 
         res.json({
             ok: true,
@@ -1031,6 +1057,7 @@ router.put('/:id/deactivate', authenticate, requireOrgPermission('edit'), async
         });
 
         await invalidateOrganizationCache(organization.publicCode);
+        await invalidateOrgResolveCache(req.organizationInternal.id, organization.publicCode);
 
         res.json({
             ok: true,
@@ -1051,4 +1078,75 @@ router.put('/:id/deactivate', authenticate, requireOrgPermission('edit'), async
     }
 });
 
+
+// 📄 Swagger: src/docs/swagger/organizations.yaml -> PUT /:id/security/two-factor
+// Exigir (o no) 2FA a los miembros de la organización: Organization.config.security.requireTwoFactor
+router.put('/:id/security/two-factor', authenticate, requireOrgPermission('edit'), async (req, res) => {
+    try {
+        const required = req.body?.required;
+        if (typeof required !== 'boolean') {
+            return res.status(400).json({
+                ok: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'required must be a boolean'
+                }
+            });
+        }
+
+        // requireOrgPermission no resuelve la organización para system-admin
+        const organization = req.organizationInternal
+            || await orgRepository.findOrganizationByPublicCodeInternal(req.params.id);
+        if (!organization) {
+            return res.status(404).json({
+                ok: false,
+                error: {
+                    code: 'ORGANIZATION_NOT_FOUND',
+                    message: 'Organization not found'
+                }
+            });
+        }
+
+        const previous = organization.config?.security?.requireTwoFactor === true;
+        const config = {
+            ...(organization.config || {}),
+            security: {
+                ...(organization.config?.security || {}),
+                requireTwoFactor: required
+            }
+        };
+
+        await orgRepository.updateOrganization(organization.id, { config });
+
+        await logAuditAction({
+            entityType: 'organization',
+            entityId: organization.publicCode,
+            action: 'update_two_factor_policy',
+            performedBy: req.user.userId,
+            changes: { requireTwoFactor: { old: previous, new: required } },
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
+
+        await invalidateOrganizationCache(organization.publicCode);
+
+        res.json({
+            ok: true,
+            data: {
+                id: organization.publicCode,
+                requireTwoFactor: required
+            }
+        });
+    } catch (error) {
+        orgLogger.error({ err: error }, 'Error updating two-factor policy');
+        res.status(500).json({
+            ok: false,
+            error: {
+                code: 'INTERNAL_ERROR',
+                message: 'Error updating two-factor policy'
+            }
+        });
+    }
+});
+
 export default router;
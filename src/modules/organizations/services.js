@@ -336,9 +336,10 @@ export const validateOrganization = async ({ name, slug, excludePublicCode }) =>
  * @param {string} userId - UUID del usuario
  * @param {string} organizationId - UUID de la organización
  * @param {boolean} isPrimary - Si esta será la organización primaria (default: false)
+ * @param {string} [roleInOrg] - Rol dentro de la organización: admin | member | viewer (default: member)
  * @returns {Promise<Object>} - Relación creada
  */
-export const addUserToOrganization = async (userId, organizationId, isPrimary = false) => {
+export const addUserToOrganization = async (userId, organizationId, isPrimary = false, roleInOrg = 'member') => {
     // Verificar si el usuario ya pertenece a la organización
     const existingRelation = await UserOrganization.findOne({
         where: {
@@ -374,6 +375,7 @@ export const addUserToOrganization = async (userId, organizationId, isPrimary =
                 userId,
                 organizationId,
                 isPrimary: true,
+                roleInOrg,
                 joinedAt: new Date()
             }, { transaction });
             
@@ -393,6 +395,7 @@ export const addUserToOrganization = async (userId, organizationId, isPrimary =
             userId,
             organizationId,
             isPrimary: false,
+            roleInOrg,
             joinedAt: new Date()
         });
         
@@ -9,6 +9,9 @@ import { QueryTypes } from 'sequelize';
 import { config } from '../../../config/env.js';
 import logger from '../../../utils/logger.js';
 import { setCache, getCache } from '../../../db/redis/client.js';
+import { extractChannelFromUid } from '../helpers/mqttPayload.js';
+import { resolvePermissions } from '../../roles/services.js';
+import { getAccessScope, canAccessResource } from '../../resource-hierarchy/accessScope.js';
 
 const RT_LAST_VALUE_PREFIX = 'ec:rt:last:';
 const RT_LAST_VALUE_TTL = 300;
@@ -25,22 +28,11 @@ const intToHex = (num) => {
     return [hexSplit[0] + hexSplit[1], hexSplit[2] + hexSplit[3]].join(':');
 };
 
-// Extrae el número de canal desde el uid MQTT
-// uid formato: "EC:C3:8A:60:43:CC:00:05" → últimos 2 bytes "00:05" → canal 5
-const extractChannelFromUid = (uid) => {
-    if (!uid || typeof uid !== 'string') return null;
-    const parts = uid.split(':');
-    if (parts.length < 2) return null;
-    const high = parseInt(parts[parts.length - 2], 16);
-    const low = parseInt(parts[parts.length - 1], 16);
-    if (isNaN(high) || isNaN(low)) return null;
-    return (high << 8) | low;
-};
-
 // Consulta la DB para obtener los devices y channels vinculados a un dashboard
 // Solo incluye widgets con dataConfig.dateRange='realtime' y variables con mqtt_key definido
 // via: dashboard → pages → widgets → widget_data_sources → channels → devices → variables
-const resolveDashboardAssets = async (dashboardPublicCode) => {
+// Los canales fuera del scope de la jerarquía del usuario (accessScope) se descartan
+const resolveDashboardAssets = async (dashboardPublicCode, accessScope = null) => {
     const rows = await sequelize.query(`
         SELECT DISTINCT
             c.id AS channel_id,
@@ -89,6 +81,10 @@ const resolveDashboardAssets = async (dashboardPublicCode) => {
     const channelsList = [];
 
     for (const row of rows) {
+        if (!canAccessResource(accessScope, 'channel', row.channel_public_code)) {
+            continue;
+        }
+
         if (!devicesMap.has(row.device_uuid)) {
             devicesMap.set(row.device_uuid, {
                 uuid: row.device_uuid,
@@ -313,8 +309,21 @@ const handleSubscribe = async (ws, message, parsed, session) => {
         };
     }
 
+    // Grants de la jerarquía del usuario en la organización de la sesión
+    const permissions = await resolvePermissions({
+        userId: session.userId,
+        role: session.role,
+        organizationId: session.organizationId ?? null,
+    });
+    const accessScope = await getAccessScope({
+        userId: session.userId,
+        role: session.role,
+        permissions,
+        organizationId: session.organizationId ?? null,
+    });
+
     // Resolver devices y channels desde la DB (solo widgets con dateRange=realtime)
-    const { devices, channels } = await resolveDashboardAssets(dashboardId);
+    const { devices, channels } = await resolveDashboardAssets(dashboardId, accessScope);
 
     if (devices.length === 0) {
         return {
@@ -1,7 +1,78 @@
 // Handler para mensajes EC:IOT:*
-// Placeholder - Se implementará en Fase 5 (Control y alertas de dispositivos)
+// Maneja: CMD (envío de comandos a devices via MQTT publish)
+// El resultado final (ack/timeout) llega como EC:IOT:CMD_RESULT desde modules/device-commands/services.js
+import { sendCommand, resolveDeviceForSession, COMMAND_PERMISSION } from '../../device-commands/services.js';
+import { resolvePermissions } from '../../roles/services.js';
+import { hasPermission } from '../../roles/permissions.js';
+import { getAccessScope, canAccessResource } from '../../resource-hierarchy/accessScope.js';
+import { commandBodySchema } from '../../device-commands/dtos/index.js';
 import logger from '../../../utils/logger.js';
 
+const iotError = (message, code, text) => ({
+    type: 'EC:IOT:ERROR',
+    payload: {
+        code,
+        message: text,
+        fatal: false,
+    },
+    timestamp: new Date().toISOString(),
+    requestId: message.requestId,
+});
+
+const handleCommand = async (ws, message, session) => {
+    const permissions = await resolvePermissions({
+        userId: session.userId,
+        role: session.role,
+        organizationId: session.organizationId ?? null,
+    });
+    if (!hasPermission(permissions, COMMAND_PERMISSION)) {
+        return iotError(message, 'FORBIDDEN', 'Your role is not allowed to send device commands');
+    }
+
+    const { deviceId, ...body } = message.payload ?? {};
+    if (typeof deviceId !== 'string' || !deviceId) {
+        return iotError(message, 'INVALID_PAYLOAD', 'payload.deviceId is required');
+    }
+
+    const parsedBody = commandBodySchema.safeParse(body);
+    if (!parsedBody.success) {
+        const issue = parsedBody.error.issues[0];
+        return iotError(message, 'INVALID_PAYLOAD', `${issue.path.join('.') || 'payload'}: ${issue.message}`);
+    }
+
+    try {
+        const device = await resolveDeviceForSession(deviceId, session);
+
+        const accessScope = await getAccessScope({
+            userId: session.userId,
+            role: session.role,
+            permissions,
+            organizationId: device.organizationId,
+        });
+        if (!canAccessResource(accessScope, 'device', device.publicCode, 'edit')) {
+            return iotError(message, 'DEVICE_ACCESS_DENIED', 'Your hierarchy grants do not allow commands on this device');
+        }
+
+        const command = await sendCommand(device, parsedBody.data, {
+            userId: session.userId,
+            source: 'ws',
+        });
+
+        logger.debug({ sessionId: session.sessionId, commandId: command.id }, 'IOT: comando enviado');
+        return {
+            type: 'EC:IOT:CMD_SENT',
+            payload: { command },
+            timestamp: new Date().toISOString(),
+            requestId: message.requestId,
+        };
+    } catch (error) {
+        if (error.status && error.code) {
+            return iotError(message, error.code, error.message);
+        }
+        throw error;
+    }
+};
+
 export const handleIotMessage = async (ws, message, parsed, session) => {
     if (!session) {
         return {
@@ -20,18 +91,7 @@ export const handleIotMessage = async (ws, message, parsed, session) => {
 
     switch (action) {
         case 'CMD':
-            // TODO: Implementar envío de comandos a dispositivos
-            logger.debug({ action, sessionId: session.sessionId }, 'IOT action pendiente de implementación');
-            return {
-                type: 'EC:SYSTEM:ERROR',
-                payload: {
-                    code: 'SERVICE_UNAVAILABLE',
-                    message: 'IoT control service is not yet implemented',
-                    fatal: false,
-                },
-                timestamp: new Date().toISOString(),
-                requestId: message.requestId,
-            };
+            return handleCommand(ws, message, session);
 
         default:
             return {
@@ -1,7 +1,20 @@
 // Handler para mensajes EC:NOTIFY:*
-// Placeholder - Se implementará en Fase 4 (Notificaciones en navbar con badge)
+// Maneja: READ, READ_ALL, COUNT sobre el centro de notificaciones del usuario de la sesión
+// El push de EC:NOTIFY:NEW y EC:NOTIFY:COUNT lo hace modules/notifications/services.js
+import { markAsRead, markAllAsRead, getUnreadCount } from '../../notifications/services.js';
 import logger from '../../../utils/logger.js';
 
+const invalidPayload = (message, text) => ({
+    type: 'EC:NOTIFY:ERROR',
+    payload: {
+        code: 'INVALID_PAYLOAD',
+        message: text,
+        fatal: false,
+    },
+    timestamp: new Date().toISOString(),
+    requestId: message.requestId,
+});
+
 export const handleNotifyMessage = async (ws, message, parsed, session) => {
     if (!session) {
         return {
@@ -18,20 +31,46 @@ export const handleNotifyMessage = async (ws, message, parsed, session) => {
     const action = parsed.action;
 
     switch (action) {
-        case 'READ':
-        case 'READ_ALL':
-            // TODO: Implementar marcado de notificaciones como leídas
-            logger.debug({ action, sessionId: session.sessionId }, 'NOTIFY action pendiente de implementación');
+        case 'READ': {
+            const ids = message.payload?.ids;
+            if (!Array.isArray(ids) || ids.length === 0 || ids.length > 200 || !ids.every(id => typeof id === 'string')) {
+                return invalidPayload(message, 'payload.ids must be a non-empty array of notification ids (max 200)');
+            }
+
+            const result = await markAsRead(session.userId, ids);
+            logger.debug({ sessionId: session.sessionId, updated: result.updated }, 'NOTIFY: notificaciones marcadas como leídas');
             return {
-                type: 'EC:SYSTEM:ERROR',
-                payload: {
-                    code: 'SERVICE_UNAVAILABLE',
-                    message: 'Notification service is not yet implemented',
-                    fatal: false,
-                },
+                type: 'EC:NOTIFY:READ_OK',
+                payload: result,
+                timestamp: new Date().toISOString(),
+                requestId: message.requestId,
+            };
+        }
+
+        case 'READ_ALL': {
+            const type = message.payload?.type;
+            if (type !== undefined && typeof type !== 'string') {
+                return invalidPayload(message, 'payload.type must be a string');
+            }
+
+            const result = await markAllAsRead(session.userId, { type: type ?? null });
+            return {
+                type: 'EC:NOTIFY:READ_OK',
+                payload: result,
+                timestamp: new Date().toISOString(),
+                requestId: message.requestId,
+            };
+        }
+
+        case 'COUNT': {
+            const unread = await getUnreadCount(session.userId);
+            return {
+                type: 'EC:NOTIFY:COUNT',
+                payload: { unread },
                 timestamp: new Date().toISOString(),
                 requestId: message.requestId,
             };
+        }
 
         default:
             return {
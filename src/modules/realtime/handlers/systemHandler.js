@@ -1,6 +1,6 @@
 // Handler para mensajes EC:SYSTEM:*
 // Maneja: AUTH, PING/PONG, ERROR, DISCONNECT
-import { createSession, getSession, updateSession, destroySession } from '../services/sessionService.js';
+import { createSession, getSession, updateSession, destroySession, attachSessionSocket } from '../services/sessionService.js';
 import { config } from '../../../config/env.js';
 import logger from '../../../utils/logger.js';
 
@@ -45,6 +45,7 @@ const handleAuth = async (ws, message, parsed) => {
 
     ws.session = session;
     ws.sessionId = session.sessionId;
+    attachSessionSocket(session.sessionId, ws);
 
     ws.heartbeatTimer = setInterval(() => {
         const now = Date.now();
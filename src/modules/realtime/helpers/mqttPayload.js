@@ -0,0 +1,14 @@
+// Helpers para interpretar payloads MQTT de los equipos
+// Compartidos por los consumidores del stream (dashboards en tiempo real, motor de alertas)
+
+// Extrae el número de canal desde el uid MQTT
+// uid formato: "EC:C3:8A:60:43:CC:00:05" → últimos 2 bytes "00:05" → canal 5
+export const extractChannelFromUid = (uid) => {
+    if (!uid || typeof uid !== 'string') return null;
+    const parts = uid.split(':');
+    if (parts.length < 2) return null;
+    const high = parseInt(parts[parts.length - 2], 16);
+    const low = parseInt(parts[parts.length - 1], 16);
+    if (isNaN(high) || isNaN(low)) return null;
+    return (high << 8) | low;
+};
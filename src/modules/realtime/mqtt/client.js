@@ -10,6 +10,7 @@ const DEDUP_CLEANUP_INTERVAL_MS = 10_000;
 
 let brokerConnections = [];
 let messageCallbacks = new Map();
+const topicHandlers = new Map();
 let activeSubscriptions = new Map();
 let deduplicationCache = new Map();
 let cleanupTimer = null;
@@ -60,6 +61,13 @@ const handleMessage = (brokerIndex, topic, message) => {
             return;
         }
 
+        // Topics exactos con handler propio (ej: acks de comandos) no pasan por los callbacks de telemetría
+        const topicHandler = topicHandlers.get(topic);
+        if (topicHandler) {
+            topicHandler({ topic, payload, brokerIndex });
+            return;
+        }
+
         const topicParts = topic.split('/');
         const deviceUuid = topicParts[3];
 
@@ -165,56 +173,106 @@ export const initializeMqtt = () => {
     logger.info({ connected: brokerConnections.length }, '✅ MQTT: Inicialización completada');
 };
 
-export const subscribeToDevice = (deviceUuid) => {
-    const topicPattern = `${config.mqtt.topicPrefix}/+/+/${deviceUuid}/#`;
-
-    if (activeSubscriptions.has(topicPattern)) {
-        const count = activeSubscriptions.get(topicPattern);
-        activeSubscriptions.set(topicPattern, count + 1);
-        logger.debug({ deviceUuid, refCount: count + 1 }, 'MQTT: Incrementando ref count de suscripción');
+// Suscribe un topic en todos los brokers con ref count (se re-suscribe al reconectar)
+const addBrokerSubscription = (topic) => {
+    if (activeSubscriptions.has(topic)) {
+        const count = activeSubscriptions.get(topic);
+        activeSubscriptions.set(topic, count + 1);
+        logger.debug({ topic, refCount: count + 1 }, 'MQTT: Incrementando ref count de suscripción');
         return;
     }
 
-    activeSubscriptions.set(topicPattern, 1);
+    activeSubscriptions.set(topic, 1);
 
     for (const broker of brokerConnections) {
-        broker.client.subscribe(topicPattern, (err) => {
+        broker.client.subscribe(topic, (err) => {
             if (err) {
-                logger.error({ err, deviceUuid, brokerIndex: broker.index }, 'MQTT: Error suscribiendo');
+                logger.error({ err, topic, brokerIndex: broker.index }, 'MQTT: Error suscribiendo');
             } else {
-                logger.debug({ deviceUuid, brokerIndex: broker.index }, 'MQTT: Suscrito a device');
+                logger.debug({ topic, brokerIndex: broker.index }, 'MQTT: Suscrito a topic');
             }
         });
     }
 };
 
-export const unsubscribeFromDevice = (deviceUuid) => {
-    const topicPattern = `${config.mqtt.topicPrefix}/+/+/${deviceUuid}/#`;
-
-    if (!activeSubscriptions.has(topicPattern)) {
+const removeBrokerSubscription = (topic) => {
+    if (!activeSubscriptions.has(topic)) {
         return;
     }
 
-    const count = activeSubscriptions.get(topicPattern);
+    const count = activeSubscriptions.get(topic);
     if (count > 1) {
-        activeSubscriptions.set(topicPattern, count - 1);
-        logger.debug({ deviceUuid, refCount: count - 1 }, 'MQTT: Decrementando ref count de suscripción');
+        activeSubscriptions.set(topic, count - 1);
+        logger.debug({ topic, refCount: count - 1 }, 'MQTT: Decrementando ref count de suscripción');
         return;
     }
 
-    activeSubscriptions.delete(topicPattern);
+    activeSubscriptions.delete(topic);
 
     for (const broker of brokerConnections) {
-        broker.client.unsubscribe(topicPattern, (err) => {
+        broker.client.unsubscribe(topic, (err) => {
             if (err) {
-                logger.error({ err, deviceUuid, brokerIndex: broker.index }, 'MQTT: Error desuscribiendo');
+                logger.error({ err, topic, brokerIndex: broker.index }, 'MQTT: Error desuscribiendo');
             } else {
-                logger.debug({ deviceUuid, brokerIndex: broker.index }, 'MQTT: Desuscrito de device');
+                logger.debug({ topic, brokerIndex: broker.index }, 'MQTT: Desuscrito de topic');
             }
         });
     }
 };
 
+export const subscribeToDevice = (deviceUuid) => {
+    addBrokerSubscription(`${config.mqtt.topicPrefix}/+/+/${deviceUuid}/#`);
+};
+
+export const unsubscribeFromDevice = (deviceUuid) => {
+    removeBrokerSubscription(`${config.mqtt.topicPrefix}/+/+/${deviceUuid}/#`);
+};
+
+// Suscripción a todo el parque (tracker de presencia); convive con las de device vía dedup
+export const subscribeToFleet = () => {
+    addBrokerSubscription(`${config.mqtt.topicPrefix}/+/+/+/#`);
+};
+
+export const unsubscribeFromFleet = () => {
+    removeBrokerSubscription(`${config.mqtt.topicPrefix}/+/+/+/#`);
+};
+
+// Suscribe un topic exacto con un handler dedicado ({ topic, payload, brokerIndex })
+// Un solo handler por topic: el llamador maneja su propio ref count
+export const subscribeToTopic = (topic, handler) => {
+    if (!topicHandlers.has(topic)) {
+        addBrokerSubscription(topic);
+    }
+    topicHandlers.set(topic, handler);
+};
+
+export const unsubscribeFromTopic = (topic) => {
+    if (!topicHandlers.has(topic)) {
+        return;
+    }
+    topicHandlers.delete(topic);
+    removeBrokerSubscription(topic);
+};
+
+// Publica en un solo broker conectado (los brokers funcionan como load balancer del mismo cluster)
+export const publishToTopic = (topic, payload, { qos = 1 } = {}) => new Promise((resolve, reject) => {
+    const broker = brokerConnections.find(b => b.client.connected);
+    if (!broker) {
+        const err = new Error('No hay brokers MQTT conectados');
+        err.code = 'MQTT_UNAVAILABLE';
+        reject(err);
+        return;
+    }
+
+    broker.client.publish(topic, payload, { qos }, (err) => {
+        if (err) {
+            reject(err);
+            return;
+        }
+        resolve({ brokerIndex: broker.index });
+    });
+});
+
 export const onMessage = (callbackId, callback) => {
     messageCallbacks.set(callbackId, callback);
     return () => {
@@ -237,6 +295,7 @@ export const getMqttStatus = () => {
         activeSubscriptions: activeSubscriptions.size,
         deduplicationCacheSize: deduplicationCache.size,
         messageCallbacks: messageCallbacks.size,
+        topicHandlers: topicHandlers.size,
     };
 };
 
@@ -247,6 +306,7 @@ export const closeMqtt = async () => {
     }
 
     messageCallbacks.clear();
+    topicHandlers.clear();
     activeSubscriptions.clear();
     deduplicationCache.clear();
 
@@ -18,7 +18,7 @@ const router = Router();
 router.post('/token', authenticate, enforceActiveOrganization, async (req, res) => {
     try {
         const { userId, role, email } = req.user;
-        const organizationId = req.organizationContext?.activeOrgId || null;
+        const organizationId = req.organizationContext?.id || null;
 
         // Rate limit: máximo 10 tokens por minuto por usuario
         const rateLimitKey = `ws:token_rate:${userId}`;
@@ -9,6 +9,10 @@ const SESSION_PREFIX = 'ws:session:';
 const USER_SESSIONS_PREFIX = 'ws:user_sessions:';
 const SESSION_TTL = 86_400;
 
+// Sockets de las sesiones autenticadas en esta instancia (sessionId → ws)
+// Permite a otros módulos hacer push a un usuario sin conocer sus conexiones
+const localSockets = new Map();
+
 export const createSession = async (userData, allowedServices = []) => {
     const sessionId = `sess_${crypto.randomBytes(16).toString('hex')}`;
 
@@ -123,6 +127,8 @@ export const getUserConnectionCount = async (userId) => {
 };
 
 export const destroySession = async (sessionId) => {
+    localSockets.delete(sessionId);
+
     const session = await getSession(sessionId);
     if (!session) return;
 
@@ -141,3 +147,29 @@ export const destroySession = async (sessionId) => {
     logger.debug({ sessionId, userId: session.userId }, 'Sesión WS destruida');
     return session;
 };
+
+export const attachSessionSocket = (sessionId, ws) => {
+    localSockets.set(sessionId, ws);
+};
+
+// Envía un mensaje a todas las sesiones WS del usuario conectadas a esta instancia.
+// Si se indica service, solo a las sesiones que lo tengan habilitado (ej: NOTIFY)
+export const sendToUserSessions = async (userId, message, service = null) => {
+    const sessionIds = await getUserSessions(userId);
+    let sent = 0;
+
+    for (const sessionId of sessionIds) {
+        const ws = localSockets.get(sessionId);
+        if (!ws || ws.readyState !== 1) continue;
+        if (service && !ws.session?.allowedServices?.includes(service)) continue;
+
+        try {
+            ws.send(JSON.stringify(message));
+            sent++;
+        } catch (error) {
+            logger.error({ err: error, sessionId }, 'Error enviando mensaje a sesión WS');
+        }
+    }
+
+    return sent;
+};
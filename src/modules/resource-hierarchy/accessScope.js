@@ -0,0 +1,204 @@
+// modules/resource-hierarchy/accessScope.js
+// Scope de acceso de un usuario según sus grants de la jerarquía (UserResourceAccess)
+// Resuelve qué channels, devices y sites puede ver/editar; lo consumen channels, sites, devices,
+// telemetry, dashboards y realtime para filtrar listados y verificar cada recurso
+
+import crypto from 'crypto';
+import * as repository from './repository.js';
+import * as cache from './cache.js';
+import { hasPermission } from '../roles/permissions.js';
+import logger from '../../utils/logger.js';
+
+const scopeLogger = logger.child({ component: 'resource-access-scope' });
+
+// Niveles de acceso ordenados de menor a mayor
+export const ACCESS_LEVELS = ['view', 'edit', 'admin'];
+
+// Quien gestiona los accesos de la jerarquía no queda restringido por ellos
+const ACL_BYPASS_PERMISSION = 'resource_hierarchy.manage_access';
+
+// Tipo de recurso → mapa del scope
+const SCOPE_MAPS = {
+    channel: 'channels',
+    device: 'devices',
+    site: 'sites'
+};
+
+const levelRank = (level) => ACCESS_LEVELS.indexOf(level);
+
+/**
+ * Registra un nivel para un recurso conservando el mayor
+ * @param {Object} map - Mapa publicCode → nivel
+ * @param {string|null} code - Public code del recurso
+ * @param {string|undefined} level - Nivel a registrar
+ */
+const grantLevel = (map, code, level) => {
+    if (!code || !level) return;
+    if (!map[code] || levelRank(level) > levelRank(map[code])) {
+        map[code] = level;
+    }
+};
+
+/**
+ * Hash corto y estable del scope (para cache keys de listados filtrados)
+ * @param {Object} scope - Scope con channels/devices/sites
+ * @returns {string}
+ */
+const hashScope = (scope) => {
+    const sorted = Object.keys(SCOPE_MAPS).map(type => {
+        const map = scope[SCOPE_MAPS[type]];
+        return Object.keys(map).sort().map(code => `${code}=${map[code]}`).join(',');
+    });
+    return crypto.createHash('md5').update(sorted.join('|')).digest('hex').substring(0, 12);
+};
+
+/**
+ * Construye el scope de un usuario restringido a partir de los recursos que cubren sus grants
+ *
+ * - Nodo channel: el channel con el nivel del grant; su device y su site quedan visibles (view).
+ * - Nodo site: el site, sus devices y los channels de esos devices con el nivel del grant.
+ *
+ * @param {Object} data
+ * @param {Array<{nodeType: string, referenceId: string, accessType: string}>} data.references - Nodos cubiertos
+ * @param {Array<{channelCode: string, deviceCode: string, siteCode: string|null}>} data.channels - Channels de esos nodos
+ * @param {Array<{deviceCode: string, siteCode: string}>} data.devices - Devices de los sites cubiertos
+ * @returns {{restricted: true, channels: Object, devices: Object, sites: Object, hash: string}}
+ */
+export const buildAccessScope = ({ references = [], channels = [], devices = [] }) => {
+    const grantedChannels = {};
+    const grantedSites = {};
+
+    for (const reference of references) {
+        grantLevel(reference.nodeType === 'site' ? grantedSites : grantedChannels, reference.referenceId, reference.accessType);
+    }
+
+    const scope = { restricted: true, channels: {}, devices: {}, sites: {} };
+
+    for (const [siteCode, level] of Object.entries(grantedSites)) {
+        grantLevel(scope.sites, siteCode, level);
+    }
+
+    for (const { deviceCode, siteCode } of devices) {
+        grantLevel(scope.devices, deviceCode, grantedSites[siteCode]);
+    }
+
+    for (const { channelCode, deviceCode, siteCode } of channels) {
+        const channelLevel = grantedChannels[channelCode];
+        const siteLevel = siteCode ? grantedSites[siteCode] : undefined;
+
+        grantLevel(scope.channels, channelCode, channelLevel);
+        grantLevel(scope.channels, channelCode, siteLevel);
+        grantLevel(scope.devices, deviceCode, siteLevel);
+
+        // Acceso a un channel suelto: su device y su site se ven para navegar, pero no se editan
+        if (channelLevel) {
+            grantLevel(scope.devices, deviceCode, 'view');
+            grantLevel(scope.sites, siteCode, 'view');
+        }
+    }
+
+    scope.hash = hashScope(scope);
+    return scope;
+};
+
+/**
+ * TTL del scope cacheado: el default o, si antes vence algún grant, hasta ese vencimiento
+ * @param {Array<{expiresAt: Date|null, expired: boolean}>} grants - Grants activos
+ * @returns {number} Segundos
+ */
+const scopeTtl = (grants) => {
+    const nextExpiry = grants
+        .filter(grant => grant.expiresAt && !grant.expired)
+        .map(grant => new Date(grant.expiresAt).getTime())
+        .sort((a, b) => a - b)[0];
+
+    if (!nextExpiry) {
+        return cache.TTL.ACCESS;
+    }
+
+    return Math.max(1, Math.min(cache.TTL.ACCESS, Math.ceil((nextExpiry - Date.now()) / 1000)));
+};
+
+/**
+ * Resolver el scope de acceso de un usuario en una organización
+ *
+ * Sin restricción (retorna null):
+ * - system-admin, API keys (las acotan sus scopes) y quien tiene resource_hierarchy.manage_access.
+ * - Usuarios sin grants activos en la organización (la jerarquía no se usa para restringirlos).
+ *
+ * Con grants activos el usuario ve solo lo que cubren sus grants vigentes; los vencidos no
+ * conceden nada pero lo siguen restringiendo (vencer un grant no amplía el acceso).
+ *
+ * @param {Object} params
+ * @param {string} params.userId - UUID del usuario
+ * @param {string} [params.role] - Rol global
+ * @param {string} [params.tokenType] - 'session' | 'api_key'
+ * @param {string[]} [params.permissions] - Permission set resuelto (ver modules/roles)
+ * @param {string|null} params.organizationId - UUID de la organización
+ * @returns {Promise<Object|null>} Scope ({ restricted, channels, devices, sites, hash }) o null
+ */
+export const getAccessScope = async ({ userId, role, tokenType, permissions, organizationId }) => {
+    if (!organizationId || !userId) return null;
+    if (role === 'system-admin' || tokenType === 'api_key') return null;
+    if (hasPermission(permissions, ACL_BYPASS_PERMISSION)) return null;
+
+    const cached = await cache.getCachedAccessScope(organizationId, userId);
+    if (cached) {
+        return cached.restricted ? cached : null;
+    }
+
+    const grants = await repository.findActiveGrants(userId, organizationId);
+
+    if (grants.length === 0) {
+        await cache.cacheAccessScope(organizationId, userId, { restricted: false });
+        return null;
+    }
+
+    const references = await repository.findGrantedReferences(userId, organizationId);
+    const channelCodes = references.filter(ref => ref.nodeType === 'channel').map(ref => ref.referenceId);
+    const siteCodes = references.filter(ref => ref.nodeType === 'site').map(ref => ref.referenceId);
+
+    const [channels, devices] = await Promise.all([
+        repository.findChannelsForAccess(organizationId, channelCodes, siteCodes),
+        repository.findDevicesBySiteCodes(organizationId, siteCodes)
+    ]);
+
+    const scope = buildAccessScope({ references, channels, devices });
+    await cache.cacheAccessScope(organizationId, userId, scope, scopeTtl(grants));
+
+    scopeLogger.debug({
+        userId,
+        organizationId,
+        channels: Object.keys(scope.channels).length,
+        devices: Object.keys(scope.devices).length,
+        sites: Object.keys(scope.sites).length
+    }, 'Access scope resolved');
+
+    return scope;
+};
+
+/**
+ * Verificar si un scope permite un recurso con el nivel requerido
+ * @param {Object|null} scope - Resultado de getAccessScope (null = sin restricción)
+ * @param {'channel'|'device'|'site'} resourceType - Tipo de recurso
+ * @param {string} publicCode - Public code del recurso
+ * @param {string} [requiredAccess='view'] - view | edit | admin
+ * @returns {boolean}
+ */
+export const canAccessResource = (scope, resourceType, publicCode, requiredAccess = 'view') => {
+    if (!scope?.restricted) return true;
+
+    const level = scope[SCOPE_MAPS[resourceType]]?.[publicCode];
+    return Boolean(level) && levelRank(level) >= levelRank(requiredAccess);
+};
+
+/**
+ * Public codes accesibles de un tipo para filtrar listados
+ * @param {Object|null} scope - Resultado de getAccessScope
+ * @param {'channel'|'device'|'site'} resourceType - Tipo de recurso
+ * @returns {string[]|undefined} undefined si no hay restricción
+ */
+export const listAccessibleCodes = (scope, resourceType) => {
+    if (!scope?.restricted) return undefined;
+    return Object.keys(scope[SCOPE_MAPS[resourceType]] || {});
+};
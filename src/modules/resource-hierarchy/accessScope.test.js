@@ -0,0 +1,102 @@
+// modules/resource-hierarchy/accessScope.test.js
+// Tests del scope de acceso derivado de los grants de la jerarquía (sin BD)
+
+import { describe, it, expect } from 'vitest';
+import { buildAccessScope, canAccessResource, listAccessibleCodes } from './accessScope.js';
+
+describe('buildAccessScope', () => {
+    it('un grant de site cubre el site, sus devices y sus channels con el mismo nivel', () => {
+        const scope = buildAccessScope({
+            references: [{ nodeType: 'site', referenceId: 'SIT-A', accessType: 'edit' }],
+            channels: [{ channelCode: 'CHN-1', deviceCode: 'DEV-1', siteCode: 'SIT-A' }],
+            devices: [
+                { deviceCode: 'DEV-1', siteCode: 'SIT-A' },
+                { deviceCode: 'DEV-2', siteCode: 'SIT-A' }
+            ]
+        });
+
+        expect(scope.restricted).toBe(true);
+        expect(scope.sites).toEqual({ 'SIT-A': 'edit' });
+        expect(scope.devices).toEqual({ 'DEV-1': 'edit', 'DEV-2': 'edit' });
+        expect(scope.channels).toEqual({ 'CHN-1': 'edit' });
+    });
+
+    it('un grant de channel deja su device y su site solo en view', () => {
+        const scope = buildAccessScope({
+            references: [{ nodeType: 'channel', referenceId: 'CHN-1', accessType: 'admin' }],
+            channels: [{ channelCode: 'CHN-1', deviceCode: 'DEV-1', siteCode: 'SIT-A' }]
+        });
+
+        expect(scope.channels).toEqual({ 'CHN-1': 'admin' });
+        expect(scope.devices).toEqual({ 'DEV-1': 'view' });
+        expect(scope.sites).toEqual({ 'SIT-A': 'view' });
+    });
+
+    it('conserva el mayor nivel cuando varios grants cubren el mismo recurso', () => {
+        const scope = buildAccessScope({
+            references: [
+                { nodeType: 'site', referenceId: 'SIT-A', accessType: 'view' },
+                { nodeType: 'channel', referenceId: 'CHN-1', accessType: 'edit' }
+            ],
+            channels: [{ channelCode: 'CHN-1', deviceCode: 'DEV-1', siteCode: 'SIT-A' }],
+            devices: [{ deviceCode: 'DEV-1', siteCode: 'SIT-A' }]
+        });
+
+        expect(scope.channels['CHN-1']).toBe('edit');
+        expect(scope.devices['DEV-1']).toBe('view');
+    });
+
+    it('el hash es estable e independiente del orden de los grants', () => {
+        const references = [
+            { nodeType: 'channel', referenceId: 'CHN-1', accessType: 'view' },
+            { nodeType: 'channel', referenceId: 'CHN-2', accessType: 'edit' }
+        ];
+        const channels = [
+            { channelCode: 'CHN-1', deviceCode: 'DEV-1', siteCode: null },
+            { channelCode: 'CHN-2', deviceCode: 'DEV-1', siteCode: null }
+        ];
+
+        const a = buildAccessScope({ references, channels });
+        const b = buildAccessScope({ references: [...references].reverse(), channels: [...channels].reverse() });
+
+        expect(a.hash).toBe(b.hash);
+        expect(buildAccessScope({ references: [] }).hash).not.toBe(a.hash);
+    });
+});
+
+describe('canAccessResource', () => {
+    const scope = buildAccessScope({
+        references: [{ nodeType: 'channel', referenceId: 'CHN-1', accessType: 'edit' }],
+        channels: [{ channelCode: 'CHN-1', deviceCode: 'DEV-1', siteCode: 'SIT-A' }]
+    });
+
+    it('sin scope no restringe', () => {
+        expect(canAccessResource(null, 'channel', 'CHN-X', 'admin')).toBe(true);
+        expect(canAccessResource({ restricted: false }, 'device', 'DEV-X', 'edit')).toBe(true);
+    });
+
+    it('respeta el nivel requerido', () => {
+        expect(canAccessResource(scope, 'channel', 'CHN-1')).toBe(true);
+        expect(canAccessResource(scope, 'channel', 'CHN-1', 'edit')).toBe(true);
+        expect(canAccessResource(scope, 'channel', 'CHN-1', 'admin')).toBe(false);
+        expect(canAccessResource(scope, 'device', 'DEV-1', 'edit')).toBe(false);
+    });
+
+    it('deniega recursos fuera del scope', () => {
+        expect(canAccessResource(scope, 'channel', 'CHN-2')).toBe(false);
+        expect(canAccessResource(scope, 'site', 'SIT-B')).toBe(false);
+    });
+});
+
+describe('listAccessibleCodes', () => {
+    it('retorna undefined sin restricción y la lista de codes con scope', () => {
+        const scope = buildAccessScope({
+            references: [{ nodeType: 'site', referenceId: 'SIT-A', accessType: 'view' }],
+            devices: [{ deviceCode: 'DEV-1', siteCode: 'SIT-A' }]
+        });
+
+        expect(listAccessibleCodes(null, 'channel')).toBeUndefined();
+        expect(listAccessibleCodes(scope, 'device')).toEqual(['DEV-1']);
+        expect(listAccessibleCodes(scope, 'channel')).toEqual([]);
+    });
+});
@@ -12,13 +12,14 @@ const rhLogger = logger.child({ component: 'resource-hierarchy-cache' });
 const CACHE_PREFIX = 'ec:rh:';
 
 // TTLs en segundos
-const TTL = {
+export const TTL = {
     NODE: 10 * 60,           // 10 min - nodo individual
     CHILDREN: 5 * 60,        // 5 min - hijos de un nodo
     TREE: 5 * 60,            // 5 min - árbol completo/parcial
     LIST: 5 * 60,            // 5 min - listado de nodos
     ANCESTORS: 10 * 60,      // 10 min - ancestros (cambian poco)
     DESCENDANTS: 5 * 60,     // 5 min - descendientes
+    ACCESS: 5 * 60,          // 5 min - scope de acceso de un usuario (channels/devices/sites accesibles)
 };
 
 /**
@@ -308,6 +309,71 @@ export const getCachedAncestors = async (nodePublicCode) => {
     }
 };
 
+// ============================================
+// CACHE DE SCOPE DE ACCESO (ACL)
+// ============================================
+
+/**
+ * Cachea el scope de acceso de un usuario en una organización
+ * @param {string} organizationId - UUID de la organización
+ * @param {string} userId - UUID del usuario
+ * @param {Object} scope - Scope resuelto ({ restricted, channels, devices, sites, hash })
+ * @param {number} ttl - TTL en segundos (se acorta hasta el próximo vencimiento de un grant)
+ * @returns {Promise<boolean>}
+ */
+export const cacheAccessScope = async (organizationId, userId, scope, ttl = TTL.ACCESS) => {
+    try {
+        const key = buildKey('access', organizationId, userId);
+        await setCache(key, scope, ttl);
+        
+        rhLogger.debug({ organizationId, userId, ttl }, 'Access scope cached');
+        return true;
+    } catch (error) {
+        rhLogger.error({ err: error, organizationId, userId }, 'Error caching access scope');
+        return false;
+    }
+};
+
+/**
+ * Obtiene el scope de acceso de un usuario desde cache
+ * @param {string} organizationId - UUID de la organización
+ * @param {string} userId - UUID del usuario
+ * @returns {Promise<Object|null>}
+ */
+export const getCachedAccessScope = async (organizationId, userId) => {
+    try {
+        const key = buildKey('access', organizationId, userId);
+        const cached = await getCache(key);
+        
+        if (cached) {
+            rhLogger.debug({ organizationId, userId }, 'Access scope cache hit');
+        }
+        
+        return cached;
+    } catch (error) {
+        rhLogger.error({ err: error, organizationId, userId }, 'Error getting cached access scope');
+        return null;
+    }
+};
+
+/**
+ * Invalida el scope de acceso de un usuario (al otorgar o revocar grants)
+ * @param {string} organizationId - UUID de la organización
+ * @param {string} userId - UUID del usuario
+ * @returns {Promise<boolean>}
+ */
+export const invalidateAccessScope = async (organizationId, userId) => {
+    try {
+        await deleteCache(buildKey('access', organizationId, userId));
+        
+        rhLogger.debug({ organizationId, userId }, 'Access scope cache invalidated');
+        return true;
+    } catch (error) {
+        rhLogger.error({ err: error, organizationId, userId }, 'Error invalidating access scope cache');
+        return false;
+    }
+};
+
 // ============================================
 // INVALIDACIÓN DE CACHE
 // ============================================
@@ -325,6 +391,8 @@ export const invalidateOrganizationHierarchy = async (organizationId) => {
             `${CACHE_PREFIX}tree:${organizationId}:*`,
             `${CACHE_PREFIX}children:${organizationId}:*`,
             `${CACHE_PREFIX}list:${organizationId}:*`,
+            // Mover, crear o eliminar nodos cambia lo que cubre cada grant
+            `${CACHE_PREFIX}access:${organizationId}:*`,
         ];
         
         let totalDeleted = 0;
@@ -464,6 +532,11 @@ export default {
     cacheAncestors,
     getCachedAncestors,
     
+    // Scope de acceso
+    cacheAccessScope,
+    getCachedAccessScope,
+    invalidateAccessScope,
+    
     // Invalidación
     invalidateOrganizationHierarchy,
     invalidateNodeAndRelated,
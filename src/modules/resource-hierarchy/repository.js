@@ -925,8 +925,26 @@ export const revokeAccess = async (userId, resourceNodeId) => {
     return result[0] > 0;
 };
 
+// Niveles de acceso ordenados de menor a mayor (admin incluye edit, edit incluye view)
+const ACCESS_LEVELS = ['view', 'edit', 'admin'];
+
+/**
+ * Niveles que satisfacen el nivel requerido (ej: 'edit' → ['edit', 'admin'])
+ * @param {string} requiredAccess - Nivel requerido
+ * @returns {string[]}
+ */
+const levelsAtLeast = (requiredAccess) => ACCESS_LEVELS.slice(Math.max(ACCESS_LEVELS.indexOf(requiredAccess), 0));
+
+// Grants vigentes: activos y no vencidos. Un grant cubre su nodo y, con include_descendants, todo su subárbol (ltree <@)
+const EFFECTIVE_GRANT_CONDITIONS = `
+    ura.is_active = true
+    AND ura.deleted_at IS NULL
+    AND (ura.expires_at IS NULL OR ura.expires_at > NOW())
+`;
+
 /**
- * Verificar si un usuario tiene acceso a un nodo usando función de BD
+ * Verificar si un usuario tiene acceso a un nodo (directo o heredado de un ancestro)
+ * Ignora grants inactivos o vencidos
  * 
  * @param {string} userId - UUID del usuario
  * @param {string} nodeId - UUID del nodo
@@ -934,10 +952,23 @@ export const revokeAccess = async (userId, resourceNodeId) => {
  * @returns {Promise<boolean>} - true si tiene acceso
  */
 export const checkAccess = async (userId, nodeId, requiredAccess = 'view') => {
-    const query = `SELECT check_resource_access($1, $2, $3::resource_access_type) as has_access`;
-    
-    const result = await sequelize.query(query, {
-        bind: [userId, nodeId, requiredAccess],
+    const result = await sequelize.query(`
+        SELECT EXISTS (
+            SELECT 1
+            FROM user_resource_access ura
+            INNER JOIN resource_hierarchy g
+                ON g.id = ura.resource_node_id
+                AND g.deleted_at IS NULL
+            INNER JOIN resource_hierarchy n
+                ON n.id = $2
+                AND n.organization_id = ura.organization_id
+            WHERE ura.user_id = $1
+              AND ${EFFECTIVE_GRANT_CONDITIONS}
+              AND ura.access_type::text = ANY($3::text[])
+              AND (n.id = g.id OR (ura.include_descendants AND n.path::ltree <@ g.path::ltree))
+        ) AS has_access
+    `, {
+        bind: [userId, nodeId, levelsAtLeast(requiredAccess)],
         type: QueryTypes.SELECT
     });
     
@@ -953,16 +984,163 @@ export const checkAccess = async (userId, nodeId, requiredAccess = 'view') => {
  * @returns {Promise<Array>} - Lista de IDs de nodos accesibles
  */
 export const getAccessibleNodeIds = async (userId, organizationId, accessType = 'view') => {
-    const query = `SELECT node_id FROM get_accessible_resource_ids($1, $2, $3::resource_access_type)`;
-    
-    const result = await sequelize.query(query, {
-        bind: [userId, organizationId, accessType],
+    const result = await sequelize.query(`
+        SELECT DISTINCT n.id AS node_id
+        FROM user_resource_access ura
+        INNER JOIN resource_hierarchy g
+            ON g.id = ura.resource_node_id
+            AND g.deleted_at IS NULL
+        INNER JOIN resource_hierarchy n
+            ON n.organization_id = ura.organization_id
+            AND n.deleted_at IS NULL
+            AND (n.id = g.id OR (ura.include_descendants AND n.path::ltree <@ g.path::ltree))
+        WHERE ura.user_id = $1
+          AND ura.organization_id = $2
+          AND ${EFFECTIVE_GRANT_CONDITIONS}
+          AND ura.access_type::text = ANY($3::text[])
+    `, {
+        bind: [userId, organizationId, levelsAtLeast(accessType)],
         type: QueryTypes.SELECT
     });
     
     return result.map(r => r.node_id);
 };
 
+/**
+ * Grants activos de un usuario en una organización (incluye los vencidos, marcados con expired)
+ * Un usuario con grants activos está restringido a lo que cubren sus grants vigentes
+ * 
+ * @param {string} userId - UUID del usuario
+ * @param {string} organizationId - UUID de la organización
+ * @returns {Promise<Array<{accessType: string, expiresAt: Date|null, expired: boolean}>>}
+ */
+export const findActiveGrants = async (userId, organizationId) => {
+    const rows = await sequelize.query(`
+        SELECT ura.access_type, ura.expires_at, (ura.expires_at IS NOT NULL AND ura.expires_at <= NOW()) AS expired
+        FROM user_resource_access ura
+        WHERE ura.user_id = $1
+          AND ura.organization_id = $2
+          AND ura.is_active = true
+          AND ura.deleted_at IS NULL
+    `, {
+        bind: [userId, organizationId],
+        type: QueryTypes.SELECT
+    });
+    
+    return rows.map(row => ({
+        accessType: row.access_type,
+        expiresAt: row.expires_at,
+        expired: row.expired === true
+    }));
+};
+
+/**
+ * Nodos site/channel cubiertos por los grants vigentes de un usuario, con el nivel de cada grant
+ * Un mismo recurso puede aparecer varias veces (varios grants lo cubren)
+ * 
+ * @param {string} userId - UUID del usuario
+ * @param {string} organizationId - UUID de la organización
+ * @returns {Promise<Array<{nodeType: string, referenceId: string, accessType: string}>>}
+ */
+export const findGrantedReferences = async (userId, organizationId) => {
+    const rows = await sequelize.query(`
+        SELECT n.node_type, n.reference_id, ura.access_type
+        FROM user_resource_access ura
+        INNER JOIN resource_hierarchy g
+            ON g.id = ura.resource_node_id
+            AND g.deleted_at IS NULL
+            AND g.is_active = true
+        INNER JOIN resource_hierarchy n
+            ON n.organization_id = ura.organization_id
+            AND (n.id = g.id OR (ura.include_descendants AND n.path::ltree <@ g.path::ltree))
+        WHERE ura.user_id = $1
+          AND ura.organization_id = $2
+          AND ${EFFECTIVE_GRANT_CONDITIONS}
+          AND n.node_type IN ('site', 'channel')
+          AND n.reference_id IS NOT NULL
+          AND n.deleted_at IS NULL
+          AND n.is_active = true
+        ORDER BY n.reference_id
+    `, {
+        bind: [userId, organizationId],
+        type: QueryTypes.SELECT
+    });
+    
+    return rows.map(row => ({
+        nodeType: row.node_type,
+        referenceId: row.reference_id,
+        accessType: row.access_type
+    }));
+};
+
+/**
+ * Channels referenciados directamente o que pertenecen a devices de los sites indicados,
+ * con el device y el site de cada uno (para derivar el acceso a devices y sites)
+ * 
+ * @param {string} organizationId - UUID de la organización
+ * @param {string[]} channelCodes - Public codes de channels
+ * @param {string[]} siteCodes - Public codes de sites
+ * @returns {Promise<Array<{channelCode: string, deviceCode: string, siteCode: string|null}>>}
+ */
+export const findChannelsForAccess = async (organizationId, channelCodes, siteCodes) => {
+    const rows = await sequelize.query(`
+        SELECT c.public_code AS channel_code, d.public_code AS device_code, s.public_code AS site_code
+        FROM channels c
+        INNER JOIN devices d
+            ON d.id = c.device_id
+            AND d.deleted_at IS NULL
+        LEFT JOIN sites s
+            ON s.id = d.site_id
+            AND s.deleted_at IS NULL
+        WHERE c.organization_id = $1
+          AND c.deleted_at IS NULL
+          AND (c.public_code = ANY($2::text[]) OR s.public_code = ANY($3::text[]))
+        ORDER BY c.public_code
+    `, {
+        bind: [organizationId, channelCodes, siteCodes],
+        type: QueryTypes.SELECT
+    });
+    
+    return rows.map(row => ({
+        channelCode: row.channel_code,
+        deviceCode: row.device_code,
+        siteCode: row.site_code
+    }));
+};
+
+/**
+ * Devices de los sites indicados (incluye devices sin channels)
+ * 
+ * @param {string} organizationId - UUID de la organización
+ * @param {string[]} siteCodes - Public codes de sites
+ * @returns {Promise<Array<{deviceCode: string, siteCode: string}>>}
+ */
+export const findDevicesBySiteCodes = async (organizationId, siteCodes) => {
+    if (siteCodes.length === 0) {
+        return [];
+    }
+    
+    const rows = await sequelize.query(`
+        SELECT d.public_code AS device_code, s.public_code AS site_code
+        FROM devices d
+        INNER JOIN sites s
+            ON s.id = d.site_id
+            AND s.deleted_at IS NULL
+        WHERE d.organization_id = $1
+          AND d.deleted_at IS NULL
+          AND s.public_code = ANY($2::text[])
+        ORDER BY d.public_code
+    `, {
+        bind: [organizationId, siteCodes],
+        type: QueryTypes.SELECT
+    });
+    
+    return rows.map(row => ({
+        deviceCode: row.device_code,
+        siteCode: row.site_code
+    }));
+};
+
 /**
  * Listar accesos de un usuario
  * 
@@ -1400,6 +1578,10 @@ export default {
     revokeAccess,
     checkAccess,
     getAccessibleNodeIds,
+    findActiveGrants,
+    findGrantedReferences,
+    findChannelsForAccess,
+    findDevicesBySiteCodes,
     listUserAccess,
     batchCreateNodes
 };
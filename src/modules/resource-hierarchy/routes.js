@@ -2,7 +2,7 @@
 // Rutas REST para el módulo de Resource Hierarchy (Jerarquía de Recursos)
 
 import express from 'express';
-import { authenticate, requireRole } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import { validate } from '../../middleware/validate.js';
 import { enforceActiveOrganization } from '../../middleware/enforceActiveOrganization.js';
 import * as hierarchyServices from './services.js';
@@ -82,7 +82,7 @@ const resolveRequestOrganizationId = (req) => {
 // 📄 Swagger: src/docs/swagger/resource-hierarchy.yaml -> POST /nodes
 router.post('/nodes',
     authenticate,
-    requireRole(['system-admin', 'org-admin', 'org-manager']),
+    requirePermission('resource_hierarchy.edit'),
     enforceActiveOrganization,
     validate(createNodeSchema),
     async (req, res, next) => {
@@ -203,7 +203,7 @@ router.post('/nodes/batch',
 // 📄 Swagger: src/docs/swagger/resource-hierarchy.yaml -> POST /nodes/batch-create
 router.post('/nodes/batch-create',
     authenticate,
-    requireRole(['system-admin', 'org-admin', 'org-manager']),
+    requirePermission('resource_hierarchy.edit'),
     enforceActiveOrganization,
     validate(batchCreateNodesSchema),
     async (req, res, next) => {
@@ -259,7 +259,7 @@ router.post('/nodes/batch-create',
 // 📄 Swagger: src/docs/swagger/resource-hierarchy.yaml -> PUT /nodes/:id
 router.put('/nodes/:id',
     authenticate,
-    requireRole(['system-admin', 'org-admin', 'org-manager']),
+    requirePermission('resource_hierarchy.edit'),
     enforceActiveOrganization,
     validate(updateNodeSchema),
     async (req, res, next) => {
@@ -289,7 +289,7 @@ router.put('/nodes/:id',
 // 📄 Swagger: src/docs/swagger/resource-hierarchy.yaml -> DELETE /nodes/:id
 router.delete('/nodes/:id',
     authenticate,
-    requireRole(['system-admin', 'org-admin']),
+    requirePermission('resource_hierarchy.delete'),
     enforceActiveOrganization,
     validate(deleteNodeSchema),
     async (req, res, next) => {
@@ -333,7 +333,7 @@ router.delete('/nodes/:id',
 // 📄 Swagger: src/docs/swagger/resource-hierarchy.yaml -> PATCH /nodes/:id/move
 router.patch('/nodes/:id/move',
     authenticate,
-    requireRole(['system-admin', 'org-admin', 'org-manager']),
+    requirePermission('resource_hierarchy.edit'),
     enforceActiveOrganization,
     validate(moveNodeSchema),
     async (req, res, next) => {
@@ -564,7 +564,7 @@ router.get('/roots',
 // 📄 Swagger: src/docs/swagger/resource-hierarchy.yaml -> POST /access
 router.post('/access',
     authenticate,
-    requireRole(['system-admin', 'org-admin']),
+    requirePermission('resource_hierarchy.manage_access'),
     validate(grantAccessSchema),
     async (req, res, next) => {
         try {
@@ -591,7 +591,7 @@ router.post('/access',
 // 📄 Swagger: src/docs/swagger/resource-hierarchy.yaml -> DELETE /access
 router.delete('/access',
     authenticate,
-    requireRole(['system-admin', 'org-admin']),
+    requirePermission('resource_hierarchy.manage_access'),
     validate(revokeAccessSchema),
     async (req, res, next) => {
         try {
@@ -795,6 +795,8 @@ export const grantNodeAccess = async (accessData, grantedBy, ipAddress, userAgen
         notes: accessData.notes || null
     });
     
+    await cache.invalidateAccessScope(node.organizationId, accessData.userId);
+    
     await logAuditAction({
         entityType: 'user_resource_access',
         entityId: `${accessData.userId}:${accessData.nodeId}`,
@@ -838,6 +840,8 @@ export const revokeNodeAccess = async (userId, nodePublicCode, revokedBy, ipAddr
     const revoked = await repository.revokeAccess(userId, node.id);
     
     if (revoked) {
+        await cache.invalidateAccessScope(node.organizationId, userId);
+        
         // Audit log
         await logAuditAction({
             entityType: 'user_resource_access',
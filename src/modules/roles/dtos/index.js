@@ -0,0 +1,102 @@
+import { z } from 'zod';
+import { PERMISSION_KEYS, ORGANIZATION_PERMISSION_KEYS } from '../permissions.js';
+
+const roleNameSchema = z
+    .string({
+        required_error: 'Nombre es requerido'
+    })
+    .trim()
+    .toLowerCase()
+    .regex(/^[a-z][a-z0-9-]{1,48}[a-z0-9]$/, 'Nombre inválido: 3-50 caracteres, minúsculas, números y guiones');
+
+const descriptionSchema = z
+    .string({
+        required_error: 'Descripción es requerida'
+    })
+    .trim()
+    .min(1, 'Descripción no puede estar vacía')
+    .max(500, 'Descripción no puede exceder 500 caracteres');
+
+// Sin duplicados: el permission set se guarda tal cual
+const permissionsSchema = (keys) => z
+    .array(z.enum(keys), {
+        required_error: 'Permisos son requeridos'
+    })
+    .max(keys.length)
+    .transform(permissions => [...new Set(permissions)]);
+
+const organizationRoleParamsShape = {
+    id:       z.string().min(1),
+    roleName: z.string().min(1)
+};
+
+/**
+ * PUT /roles/:name
+ * Roles del sistema: pueden incluir permisos de plataforma
+ */
+export const updateSystemRoleSchema = z.object({
+    params: z.object({
+        name: z.string().min(1)
+    }),
+    body: z.object({
+        description: descriptionSchema.optional(),
+        permissions: permissionsSchema(PERMISSION_KEYS).optional()
+    }).strict().refine(
+        body => Object.keys(body).length > 0,
+        'Se requiere al menos un campo para actualizar'
+    )
+});
+
+/**
+ * POST /organizations/:id/roles
+ */
+export const createOrganizationRoleSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    body: z.object({
+        name:        roleNameSchema,
+        description: descriptionSchema,
+        permissions: permissionsSchema(ORGANIZATION_PERMISSION_KEYS)
+    }).strict()
+});
+
+/**
+ * GET /organizations/:id/roles
+ * DELETE /organizations/:id/roles/:roleName
+ */
+export const organizationRolesParamsSchema = z.object({
+    params: z.object({
+        id:       z.string().min(1),
+        roleName: z.string().min(1).optional()
+    })
+});
+
+/**
+ * PATCH /organizations/:id/roles/:roleName
+ */
+export const updateOrganizationRoleSchema = z.object({
+    params: z.object(organizationRoleParamsShape),
+    body: z.object({
+        description: descriptionSchema.optional(),
+        permissions: permissionsSchema(ORGANIZATION_PERMISSION_KEYS).optional(),
+        isActive:    z.boolean().optional()
+    }).strict().refine(
+        body => Object.keys(body).length > 0,
+        'Se requiere al menos un campo para actualizar'
+    )
+});
+
+/**
+ * PUT /organizations/:id/members/:userId/role
+ * role null: el miembro vuelve a su rol global
+ */
+export const assignMemberRoleSchema = z.object({
+    params: z.object({
+        id:     z.string().min(1),
+        userId: z.string().min(1)
+    }),
+    body: z.object({
+        role: z.string().trim().min(1).max(50).nullable()
+    }).strict()
+});
@@ -0,0 +1,145 @@
+// modules/roles/permissions.js
+// Catálogo de permisos con nombre (<recurso>.<acción>) y permission sets de los roles del sistema
+//
+// scope 'organization': se puede incluir en roles propios de una organización
+// scope 'platform': solo roles del sistema (los edita system-admin)
+// El wildcard '*' (system-admin) concede todos los permisos.
+
+export const WILDCARD_PERMISSION = '*';
+
+export const PERMISSIONS = [
+    { key: 'organizations.create', group: 'organizations', scope: 'organization', description: 'Create sub-organizations' },
+    { key: 'organizations.edit', group: 'organizations', scope: 'organization', description: 'Edit organization settings, branding and security policies' },
+    { key: 'organizations.delete', group: 'organizations', scope: 'organization', description: 'Delete organizations' },
+    { key: 'users.view', group: 'users', scope: 'organization', description: 'List users of the organization' },
+    { key: 'users.manage', group: 'users', scope: 'organization', description: 'Create, edit, deactivate users and manage their memberships' },
+    { key: 'users.reset_two_factor', group: 'users', scope: 'platform', description: 'Reset the two-factor authentication of any user' },
+    { key: 'roles.manage', group: 'roles', scope: 'organization', description: 'Create and edit the organization roles and assign them to members' },
+    { key: 'roles.manage_system', group: 'roles', scope: 'platform', description: 'Edit the permission sets of the system roles' },
+    { key: 'invitations.manage', group: 'organizations', scope: 'organization', description: 'Invite users to the organization' },
+    { key: 'api_keys.manage', group: 'organizations', scope: 'organization', description: 'Manage the organization API keys' },
+    { key: 'sso.manage', group: 'organizations', scope: 'organization', description: 'Configure the organization single sign-on provider' },
+    { key: 'security_events.view', group: 'organizations', scope: 'organization', description: 'View the security events (suspicious logins, lockouts) of the organization members' },
+    { key: 'sites.create', group: 'sites', scope: 'organization', description: 'Create sites' },
+    { key: 'sites.edit', group: 'sites', scope: 'organization', description: 'Edit sites' },
+    { key: 'sites.delete', group: 'sites', scope: 'organization', description: 'Delete sites' },
+    { key: 'devices.create', group: 'devices', scope: 'organization', description: 'Create devices' },
+    { key: 'devices.edit', group: 'devices', scope: 'organization', description: 'Edit devices' },
+    { key: 'devices.delete', group: 'devices', scope: 'organization', description: 'Delete devices' },
+    { key: 'device_commands.send', group: 'devices', scope: 'organization', description: 'Send commands to devices' },
+    { key: 'firmware.deploy', group: 'devices', scope: 'organization', description: 'Launch and cancel firmware rollouts (OTA) on the organization devices' },
+    { key: 'channels.create', group: 'channels', scope: 'organization', description: 'Create channels' },
+    { key: 'channels.edit', group: 'channels', scope: 'organization', description: 'Edit channels' },
+    { key: 'channels.delete', group: 'channels', scope: 'organization', description: 'Delete channels' },
+    { key: 'files.delete', group: 'files', scope: 'organization', description: 'Delete uploaded files' },
+    { key: 'dashboards.create', group: 'dashboards', scope: 'organization', description: 'Create dashboards (also from templates)' },
+    { key: 'dashboards.import', group: 'dashboards', scope: 'organization', description: 'Import dashboards from JSON bundles' },
+    { key: 'dashboards.delete', group: 'dashboards', scope: 'organization', description: 'Delete dashboards' },
+    { key: 'dashboard_groups.manage', group: 'dashboards', scope: 'organization', description: 'Create and delete dashboard groups' },
+    { key: 'dashboard_templates.manage', group: 'dashboards', scope: 'organization', description: 'Create, edit and delete dashboard templates' },
+    { key: 'schedules.manage', group: 'schedules', scope: 'organization', description: 'Create, edit and assign schedules' },
+    { key: 'alerts.manage', group: 'alerts', scope: 'organization', description: 'Create, edit and delete alert rules' },
+    { key: 'resource_hierarchy.edit', group: 'resource_hierarchy', scope: 'organization', description: 'Create, edit and move resource hierarchy nodes' },
+    { key: 'resource_hierarchy.delete', group: 'resource_hierarchy', scope: 'organization', description: 'Delete resource hierarchy nodes' },
+    { key: 'resource_hierarchy.manage_access', group: 'resource_hierarchy', scope: 'organization', description: 'Grant and revoke access to resource hierarchy nodes' },
+    { key: 'asset_categories.create', group: 'asset_categories', scope: 'organization', description: 'Create asset categories' },
+    { key: 'telemetry.export', group: 'telemetry', scope: 'organization', description: 'Export telemetry to CSV/XLSX' },
+    { key: 'variables.manage', group: 'telemetry', scope: 'platform', description: 'Create, edit and delete telemetry variables' },
+    { key: 'device_metadata.manage', group: 'devices', scope: 'platform', description: 'Manage device catalogs (brands, models, types, networks, servers, licenses, unit scales)' },
+    { key: 'firmware.manage', group: 'devices', scope: 'platform', description: 'Publish and retire firmware versions of the device models' }
+];
+
+export const PERMISSION_KEYS = PERMISSIONS.map(permission => permission.key);
+
+export const ORGANIZATION_PERMISSION_KEYS = PERMISSIONS
+    .filter(permission => permission.scope === 'organization')
+    .map(permission => permission.key);
+
+const ORG_ADMIN_PERMISSIONS = [
+    'organizations.create',
+    'organizations.edit',
+    'organizations.delete',
+    'users.view',
+    'users.manage',
+    'roles.manage',
+    'invitations.manage',
+    'api_keys.manage',
+    'sso.manage',
+    'security_events.view',
+    'sites.create',
+    'sites.edit',
+    'devices.create',
+    'devices.edit',
+    'device_commands.send',
+    'firmware.deploy',
+    'channels.create',
+    'channels.edit',
+    'dashboards.create',
+    'dashboards.import',
+    'dashboards.delete',
+    'dashboard_groups.manage',
+    'dashboard_templates.manage',
+    'schedules.manage',
+    'alerts.manage',
+    'resource_hierarchy.edit',
+    'resource_hierarchy.delete',
+    'resource_hierarchy.manage_access',
+    'asset_categories.create',
+    'telemetry.export'
+];
+
+/**
+ * Permission sets iniciales de los roles del sistema (equivalentes a los requireRole() anteriores)
+ * Los usa el seeder; la migración 20261019100000-add-role-permissions.cjs aplica los mismos valores
+ * (los permisos agregados después los suma cada migración, ej: 20261019110000-create-security-events.cjs,
+ * 20261019150000-create-firmware.cjs).
+ */
+export const DEFAULT_ROLE_PERMISSIONS = {
+    'system-admin': [WILDCARD_PERMISSION],
+    'org-admin': ORG_ADMIN_PERMISSIONS,
+    'org-manager': [
+        'users.view',
+        'device_commands.send',
+        'alerts.manage',
+        'resource_hierarchy.edit',
+        'telemetry.export'
+    ],
+    'user': ['telemetry.export'],
+    'viewer': ['telemetry.export'],
+    'guest': ['telemetry.export'],
+    'demo': ['telemetry.export']
+};
+
+/**
+ * Permisos que puede conceder cada scope de API key (ver API_KEY_SCOPES en modules/api-keys/services.js).
+ * Los scopes de lectura que no figuran no conceden permisos con nombre.
+ */
+export const API_KEY_SCOPE_PERMISSIONS = {
+    'telemetry:read': ['telemetry.export'],
+    'devices:write': ['devices.create', 'devices.edit', 'devices.delete', 'device_commands.send'],
+    'channels:write': ['channels.create', 'channels.edit', 'channels.delete'],
+    'sites:write': ['sites.create', 'sites.edit', 'sites.delete'],
+    'alerts:write': ['alerts.manage'],
+    'resource-hierarchy:write': ['resource_hierarchy.edit', 'resource_hierarchy.delete', 'resource_hierarchy.manage_access'],
+    'schedules:write': ['schedules.manage']
+};
+
+/**
+ * ¿El permission set concede el permiso?
+ * @param {string[]} permissions
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export const hasPermission = (permissions, permission) =>
+    Array.isArray(permissions) && (permissions.includes(WILDCARD_PERMISSION) || permissions.includes(permission));
+
+/**
+ * Permisos de un request autenticado con API key: los que conceden sus scopes,
+ * acotados al permission set del usuario que creó la key
+ * @param {string[]} scopes - Scopes de la key
+ * @param {string[]} creatorPermissions - Permission set del creador en la organización de la key
+ * @returns {string[]}
+ */
+export const getApiKeyPermissions = (scopes, creatorPermissions) => [...new Set(
+    (scopes || []).flatMap(scope => API_KEY_SCOPE_PERMISSIONS[scope] || [])
+)].filter(permission => hasPermission(creatorPermissions, permission));
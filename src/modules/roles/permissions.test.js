@@ -0,0 +1,68 @@
+// modules/roles/permissions.test.js
+// Tests del catálogo de permisos y de los permission sets por defecto
+
+import { describe, it, expect } from 'vitest';
+import {
+    PERMISSION_KEYS,
+    ORGANIZATION_PERMISSION_KEYS,
+    DEFAULT_ROLE_PERMISSIONS,
+    API_KEY_SCOPE_PERMISSIONS,
+    WILDCARD_PERMISSION,
+    hasPermission,
+    getApiKeyPermissions
+} from './permissions.js';
+
+describe('catálogo de permisos', () => {
+    it('no debe tener claves duplicadas', () => {
+        expect(new Set(PERMISSION_KEYS).size).toBe(PERMISSION_KEYS.length);
+    });
+
+    it('los permission sets por defecto solo deben usar permisos del catálogo', () => {
+        for (const [role, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+            if (role === 'system-admin') continue;
+            expect(permissions.filter(permission => !PERMISSION_KEYS.includes(permission))).toEqual([]);
+        }
+    });
+
+    it('org-admin y las API keys no deben tener permisos de plataforma', () => {
+        const apiKeyPermissions = Object.values(API_KEY_SCOPE_PERMISSIONS).flat();
+        for (const permission of [...DEFAULT_ROLE_PERMISSIONS['org-admin'], ...apiKeyPermissions]) {
+            expect(ORGANIZATION_PERMISSION_KEYS).toContain(permission);
+        }
+    });
+});
+
+describe('hasPermission', () => {
+    it('debe conceder todo con el wildcard', () => {
+        expect(hasPermission([WILDCARD_PERMISSION], 'device_metadata.manage')).toBe(true);
+    });
+
+    it('debe verificar el permiso exacto', () => {
+        expect(hasPermission(DEFAULT_ROLE_PERMISSIONS['org-manager'], 'alerts.manage')).toBe(true);
+        expect(hasPermission(DEFAULT_ROLE_PERMISSIONS['org-manager'], 'dashboards.create')).toBe(false);
+        expect(hasPermission(DEFAULT_ROLE_PERMISSIONS['org-admin'], 'devices.delete')).toBe(false);
+    });
+
+    it('debe denegar sin permission set', () => {
+        expect(hasPermission(undefined, 'telemetry.export')).toBe(false);
+    });
+});
+
+describe('getApiKeyPermissions', () => {
+    it('debe conceder solo los permisos de los scopes de la key', () => {
+        expect(getApiKeyPermissions(['alerts:write', 'sites:read'], [WILDCARD_PERMISSION])).toEqual(['alerts.manage']);
+        expect(getApiKeyPermissions(['dashboards:read'], [WILDCARD_PERMISSION])).toEqual([]);
+    });
+
+    it('debe acotar los permisos a los del creador', () => {
+        expect(getApiKeyPermissions(['devices:write', 'telemetry:read'], DEFAULT_ROLE_PERMISSIONS['org-manager']))
+            .toEqual(['device_commands.send', 'telemetry.export']);
+        expect(getApiKeyPermissions(['devices:write'], DEFAULT_ROLE_PERMISSIONS['org-admin']))
+            .not.toContain('devices.delete');
+    });
+
+    it('debe denegar todo sin scopes o sin permisos del creador', () => {
+        expect(getApiKeyPermissions([], [WILDCARD_PERMISSION])).toEqual([]);
+        expect(getApiKeyPermissions(['alerts:write'], [])).toEqual([]);
+    });
+});
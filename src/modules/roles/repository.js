@@ -0,0 +1,108 @@
+// modules/roles/repository.js
+// Repositorio de roles: roles del sistema, roles propios de cada organización y su asignación a miembros
+
+import { Op } from 'sequelize';
+import Role from '../auth/models/Role.js';
+import UserOrganization from '../auth/models/UserOrganization.js';
+import User from '../auth/models/User.js';
+import { generateUuidV7 } from '../../utils/identifiers.js';
+
+const roleAttributes = ['id', 'name', 'description', 'permissions', 'organizationId', 'isSystem', 'isActive'];
+
+/**
+ * Roles del sistema (organizationId NULL)
+ * @param {Object} [options]
+ * @param {boolean} [options.onlyActive=true]
+ * @returns {Promise<Role[]>}
+ */
+export const findSystemRoles = async ({ onlyActive = true } = {}) =>
+    Role.findAll({
+        where: { organizationId: null, ...(onlyActive ? { isActive: true } : {}) },
+        attributes: roleAttributes,
+        order: [['name', 'ASC']]
+    });
+
+/**
+ * Roles propios de una organización
+ * @param {string} organizationId - UUID
+ * @returns {Promise<Role[]>}
+ */
+export const findOrganizationRoles = async (organizationId) =>
+    Role.findAll({
+        where: { organizationId },
+        attributes: roleAttributes,
+        order: [['name', 'ASC']]
+    });
+
+/**
+ * Rol del sistema por nombre
+ * @param {string} name
+ * @returns {Promise<Role|null>}
+ */
+export const findSystemRoleByName = async (name) =>
+    Role.findOne({ where: { name, organizationId: null }, attributes: roleAttributes });
+
+/**
+ * Rol propio de una organización por nombre
+ * @param {string} organizationId - UUID
+ * @param {string} name
+ * @returns {Promise<Role|null>}
+ */
+export const findOrganizationRoleByName = async (organizationId, name) =>
+    Role.findOne({ where: { name, organizationId }, attributes: roleAttributes });
+
+/**
+ * Crear un rol propio de una organización
+ * @param {string} organizationId - UUID
+ * @param {Object} data - { name, description, permissions }
+ * @returns {Promise<Role>}
+ */
+export const createOrganizationRole = async (organizationId, data) =>
+    Role.create({ id: generateUuidV7(), organizationId, isSystem: false, isActive: true, ...data });
+
+/**
+ * Eliminar un rol (las membresías que lo usaban vuelven al rol global por ON DELETE SET NULL)
+ * @param {Role} role
+ * @returns {Promise<void>}
+ */
+export const deleteRole = async (role) => {
+    await UserOrganization.update({ roleId: null }, { where: { roleId: role.id } });
+    await role.destroy();
+};
+
+/**
+ * Cantidad de membresías que tienen asignado el rol
+ * @param {string} roleId - UUID
+ * @returns {Promise<number>}
+ */
+export const countMembersWithRole = async (roleId) =>
+    UserOrganization.count({ where: { roleId } });
+
+/**
+ * Rol asignado al usuario en una organización (membresía directa)
+ * @param {string} userId - UUID
+ * @param {string} organizationId - UUID
+ * @returns {Promise<Role|null>} null si no es miembro o no tiene rol asignado
+ */
+export const findMembershipRole = async (userId, organizationId) => {
+    const membership = await UserOrganization.findOne({
+        where: { userId, organizationId, roleId: { [Op.ne]: null } },
+        include: [{ model: Role, as: 'orgRole', attributes: roleAttributes }]
+    });
+    return membership?.orgRole ?? null;
+};
+
+/**
+ * Membresía directa de un usuario (por publicCode) en una organización
+ * @param {string} userPublicCode
+ * @param {string} organizationId - UUID
+ * @returns {Promise<UserOrganization|null>}
+ */
+export const findMembershipByUserPublicCode = async (userPublicCode, organizationId) =>
+    UserOrganization.findOne({
+        where: { organizationId },
+        include: [
+            { model: User, as: 'user', where: { publicCode: userPublicCode }, attributes: ['id', 'publicCode', 'email'] },
+            { model: Role, as: 'orgRole', attributes: roleAttributes }
+        ]
+    });
@@ -0,0 +1,219 @@
+// modules/roles/routes.js
+// Roles y permisos: catálogo público de roles (/roles) y roles propios de cada organización
+// (montados en /organizations/:id/roles y /organizations/:id/members/:userId/role)
+
+import express from 'express';
+import { authenticate, optionalAuth, requirePermission } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { requireOrgPermission } from '../organizations/middleware/permissions.js';
+import { findOrganizationByPublicCodeInternal } from '../organizations/repository.js';
+import { successResponse, errorResponse } from '../../utils/response.js';
+import logger from '../../utils/logger.js';
+import * as services from './services.js';
+import {
+    updateSystemRoleSchema,
+    createOrganizationRoleSchema,
+    organizationRolesParamsSchema,
+    updateOrganizationRoleSchema,
+    assignMemberRoleSchema
+} from './dtos/index.js';
+
+const rolesLogger = logger.child({ component: 'roles-routes' });
+
+/**
+ * Errores de negocio (status + clave i18n) como respuesta traducida; el resto al error handler
+ */
+const handleError = (res, next, error) => {
+    if (error.status) {
+        return errorResponse(res, {
+            message: error.message,
+            status: error.status,
+            code: error.code,
+            details: error.details ?? null
+        });
+    }
+    next(error);
+};
+
+/**
+ * requireOrgPermission no resuelve la organización para system-admin: completarla aquí
+ */
+const loadOrganization = async (req, res, next) => {
+    try {
+        if (!req.organizationInternal) {
+            const organization = await findOrganizationByPublicCodeInternal(req.params.id);
+            if (!organization) {
+                return errorResponse(res, {
+                    message: 'Organization not found',
+                    status: 404,
+                    code: 'ORGANIZATION_NOT_FOUND'
+                });
+            }
+            req.organizationInternal = organization;
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// req.user.permissions ya fue resuelto por requirePermission (se usa para evitar escalar privilegios)
+const buildActor = (req) => ({
+    userId:      req.user.userId,
+    permissions: req.user.permissions,
+    ipAddress:   req.ip || req.connection.remoteAddress,
+    userAgent:   req.headers['user-agent']
+});
+
+const adminChain = [
+    authenticate,
+    requirePermission('roles.manage'),
+    requireOrgPermission('view'),
+    loadOrganization
+];
+
+// ============ CATÁLOGO (/roles) ============
+
+export const rolesRouter = express.Router();
+
+/**
+ * GET /api/v1/roles
+ * Obtener lista de roles disponibles con su permission set
+ *
+ * Este endpoint NO requiere autenticación para facilitar UX en formularios.
+ * Con sesión, agrega los roles propios de la organización activa.
+ */
+// 📄 Swagger: src/docs/swagger/roles.yaml -> GET /api/v1/roles
+rolesRouter.get('/', optionalAuth, async (req, res, next) => {
+    try {
+        const organization = req.user?.activeOrgCode
+            ? await findOrganizationByPublicCodeInternal(req.user.activeOrgCode)
+            : null;
+        const roles = await services.listRoles(organization);
+
+        return res.json({
+            ok: true,
+            data: roles,
+            meta: {
+                total: roles.length
+            }
+        });
+    } catch (error) {
+        rolesLogger.error({ err: error }, 'Error fetching roles');
+        next(error);
+    }
+});
+
+// 📄 Swagger: src/docs/swagger/roles.yaml -> GET /api/v1/roles/permissions
+rolesRouter.get('/permissions', authenticate, async (req, res) =>
+    successResponse(res, services.getPermissionCatalog())
+);
+
+// 📄 Swagger: src/docs/swagger/roles.yaml -> PUT /api/v1/roles/:name
+rolesRouter.put(
+    '/:name',
+    authenticate,
+    requirePermission('roles.manage_system'),
+    validate(updateSystemRoleSchema),
+    async (req, res, next) => {
+        try {
+            const role = await services.updateSystemRole(req.params.name, req.body, buildActor(req));
+            return successResponse(res, role);
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// ============ ROLES DE LA ORGANIZACIÓN (/organizations/:id/roles) ============
+
+export const organizationRolesRouter = express.Router();
+
+// 📄 Swagger: src/docs/swagger/roles.yaml -> GET /api/v1/organizations/:id/roles
+organizationRolesRouter.get(
+    '/:id/roles',
+    ...adminChain,
+    validate(organizationRolesParamsSchema),
+    async (req, res, next) => {
+        try {
+            const roles = await services.listRoles(req.organizationInternal);
+            return successResponse(res, roles, 200, { total: roles.length });
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/roles.yaml -> POST /api/v1/organizations/:id/roles
+organizationRolesRouter.post(
+    '/:id/roles',
+    ...adminChain,
+    validate(createOrganizationRoleSchema),
+    async (req, res, next) => {
+        try {
+            const role = await services.createOrganizationRole(req.organizationInternal, req.body, buildActor(req));
+            return successResponse(res, role, 201);
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/roles.yaml -> PATCH /api/v1/organizations/:id/roles/:roleName
+organizationRolesRouter.patch(
+    '/:id/roles/:roleName',
+    ...adminChain,
+    validate(updateOrganizationRoleSchema),
+    async (req, res, next) => {
+        try {
+            const role = await services.updateOrganizationRole(
+                req.organizationInternal,
+                req.params.roleName,
+                req.body,
+                buildActor(req)
+            );
+            return successResponse(res, role);
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/roles.yaml -> DELETE /api/v1/organizations/:id/roles/:roleName
+organizationRolesRouter.delete(
+    '/:id/roles/:roleName',
+    ...adminChain,
+    validate(organizationRolesParamsSchema),
+    async (req, res, next) => {
+        try {
+            const result = await services.deleteOrganizationRole(
+                req.organizationInternal,
+                req.params.roleName,
+                buildActor(req)
+            );
+            return successResponse(res, result);
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/roles.yaml -> PUT /api/v1/organizations/:id/members/:userId/role
+organizationRolesRouter.put(
+    '/:id/members/:userId/role',
+    ...adminChain,
+    validate(assignMemberRoleSchema),
+    async (req, res, next) => {
+        try {
+            const result = await services.assignMemberRole(
+                req.organizationInternal,
+                req.params.userId,
+                req.body.role,
+                buildActor(req)
+            );
+            return successResponse(res, result);
+        } catch (error) {
+            handleError(res, next, error);
+        }
+    }
+);
@@ -0,0 +1,392 @@
+// modules/roles/services.js
+// Permission sets por rol: resolución de los permisos de una sesión (cacheados en session_context),
+// edición de roles del sistema, roles propios de cada organización y su asignación a miembros
+
+import * as repository from './repository.js';
+import * as rolesCache from '../auth/rolesCache.js';
+import { getSessionContext, setSessionContext } from '../auth/sessionContextCache.js';
+import { findOrganizationByPublicCodeInternal } from '../organizations/repository.js';
+import { getCache, setCache } from '../../db/redis/client.js';
+import { logAuditAction } from '../../helpers/auditLog.js';
+import logger from '../../utils/logger.js';
+import {
+    PERMISSIONS,
+    WILDCARD_PERMISSION,
+    hasPermission,
+    getApiKeyPermissions
+} from './permissions.js';
+
+const rolesLogger = logger.child({ component: 'roles' });
+
+// Versión global de permisos: cambia con cada edición de roles o asignaciones y deja
+// obsoletos los permission sets ya resueltos en session_context (se re-resuelven al usarse)
+const PERMISSIONS_VERSION_KEY = 'ec:permissions:version';
+
+const SYSTEM_ADMIN_ROLE = 'system-admin';
+
+const buildError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code   = code;
+    return err;
+};
+
+/**
+ * Representación pública de un rol (sin UUIDs)
+ * @param {Role} role
+ * @param {string|null} [organizationCode] - publicCode de la organización dueña del rol
+ * @returns {Object}
+ */
+export const toRoleDto = (role, organizationCode = null) => ({
+    name: role.name,
+    description: role.description,
+    permissions: role.permissions || [],
+    isSystem: Boolean(role.isSystem),
+    organizationId: role.organizationId ? organizationCode : null,
+    isActive: role.isActive
+});
+
+/**
+ * Catálogo de permisos para el editor de roles
+ * @returns {Object[]}
+ */
+export const getPermissionCatalog = () => PERMISSIONS;
+
+const getPermissionsVersion = async () => {
+    try {
+        const version = await getCache(PERMISSIONS_VERSION_KEY);
+        return version === null || version === undefined ? '0' : String(version);
+    } catch (error) {
+        rolesLogger.warn({ err: error }, 'Permissions version unavailable');
+        return '0';
+    }
+};
+
+/**
+ * Invalida los permission sets resueltos en todas las sesiones
+ * Llamar después de modificar permisos de un rol o el rol de un usuario
+ * @returns {Promise<void>}
+ */
+export const bumpPermissionsVersion = async () => {
+    try {
+        await setCache(PERMISSIONS_VERSION_KEY, String(Date.now()));
+    } catch (error) {
+        rolesLogger.error({ err: error }, 'Error bumping permissions version');
+    }
+};
+
+/**
+ * Rol del sistema por nombre (cache ec:role:{name})
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+const getSystemRole = async (name) => {
+    const cached = await rolesCache.getCachedRole(name);
+    // Entradas cacheadas antes de existir permissions: ignorarlas
+    if (cached && Array.isArray(cached.permissions)) return cached;
+
+    const role = await repository.findSystemRoleByName(name);
+    if (role) await rolesCache.cacheRole(role);
+    return role;
+};
+
+/**
+ * Permission set efectivo de un usuario en una organización
+ *
+ * - system-admin: '*'
+ * - Rol asignado en la membresía directa de la organización (si está activo)
+ * - Si no: permisos del rol global del usuario
+ *
+ * @param {Object} params
+ * @param {string} params.userId - UUID
+ * @param {string} params.role - Nombre del rol global
+ * @param {string|null} params.organizationId - UUID de la organización activa
+ * @returns {Promise<string[]>}
+ */
+export const resolvePermissions = async ({ userId, role, organizationId }) => {
+    if (role === SYSTEM_ADMIN_ROLE) return [WILDCARD_PERMISSION];
+
+    if (userId && organizationId) {
+        const orgRole = await repository.findMembershipRole(userId, organizationId);
+        if (orgRole?.isActive) return orgRole.permissions || [];
+    }
+
+    if (!role) return [];
+    const globalRole = await getSystemRole(role);
+    return globalRole?.isActive ? globalRole.permissions || [] : [];
+};
+
+const buildPermissionsStamp = (version, role, organizationId) =>
+    `${version}:${role ?? ''}:${organizationId ?? ''}`;
+
+/**
+ * Agrega al session_context el permission set resuelto para su rol y organización activa
+ * @param {string} userId - UUID
+ * @param {Object} context - session_context (sin guardar)
+ * @returns {Promise<Object>} Contexto con permissions y permissionsStamp
+ */
+export const withSessionPermissions = async (userId, context) => {
+    const version = await getPermissionsVersion();
+    const permissions = await resolvePermissions({
+        userId,
+        role: context.role,
+        organizationId: context.activeOrgId ?? null
+    });
+
+    return {
+        ...context,
+        permissions,
+        permissionsStamp: buildPermissionsStamp(version, context.role, context.activeOrgId)
+    };
+};
+
+/**
+ * Devuelve el session_context con permisos vigentes; si el permission set guardado es de otra
+ * organización, otro rol o una versión anterior, lo vuelve a resolver y lo guarda
+ * @param {string} userId - UUID
+ * @param {Object} context - session_context guardado
+ * @returns {Promise<Object>}
+ */
+export const ensureSessionPermissions = async (userId, context) => {
+    const version = await getPermissionsVersion();
+    const isFresh = Array.isArray(context.permissions)
+        && context.permissionsStamp === buildPermissionsStamp(version, context.role, context.activeOrgId);
+    if (isFresh) return context;
+
+    const updated = await withSessionPermissions(userId, context);
+    await setSessionContext(userId, updated);
+    return updated;
+};
+
+/**
+ * Permisos del usuario autenticado de un request (req.user)
+ * API keys: los que conceden sus scopes, acotados a los del creador en la organización de la key
+ * @param {Object} user - req.user
+ * @returns {Promise<string[]>}
+ */
+export const getUserPermissions = async (user) => {
+    if (user.tokenType === 'api_key') {
+        const organization = await findOrganizationByPublicCodeInternal(user.activeOrgCode);
+        const creatorPermissions = await resolvePermissions({
+            userId: user.userId,
+            role: user.creatorRole,
+            organizationId: organization?.id ?? null
+        });
+        return getApiKeyPermissions(user.scopes, creatorPermissions);
+    }
+    if (user.role === SYSTEM_ADMIN_ROLE) return [WILDCARD_PERMISSION];
+
+    const context = await getSessionContext(user.userId);
+    if (context && context.role === user.role) {
+        return (await ensureSessionPermissions(user.userId, context)).permissions;
+    }
+
+    // Sin session_context (expirado) o con otro rol: resolver con la organización activa del JWT sin cachear
+    const organization = user.activeOrgCode
+        ? await findOrganizationByPublicCodeInternal(user.activeOrgCode)
+        : null;
+    return resolvePermissions({ userId: user.userId, role: user.role, organizationId: organization?.id ?? null });
+};
+
+/**
+ * Verifica que el actor tenga todos los permisos que intenta conceder (evita escalar privilegios)
+ * @param {string[]} actorPermissions
+ * @param {string[]} permissions
+ */
+const assertGrantable = (actorPermissions, permissions) => {
+    const notGrantable = permissions.filter(permission => !hasPermission(actorPermissions, permission));
+    if (notGrantable.length) {
+        const err = buildError(403, 'PERMISSION_NOT_GRANTABLE', 'roles.permission_not_grantable');
+        err.details = { permissions: notGrantable };
+        throw err;
+    }
+};
+
+/**
+ * Roles disponibles: los del sistema y, si se indica, los propios de la organización
+ * @param {Object|null} organization - Organización activa (modelo) o null
+ * @returns {Promise<Object[]>}
+ */
+export const listRoles = async (organization = null) => {
+    const systemRoles = await repository.findSystemRoles();
+    const organizationRoles = organization
+        ? await repository.findOrganizationRoles(organization.id)
+        : [];
+
+    return [
+        ...systemRoles.map(role => toRoleDto(role)),
+        ...organizationRoles.map(role => toRoleDto(role, organization.publicCode))
+    ];
+};
+
+/**
+ * Editar el permission set (y descripción) de un rol del sistema
+ * @param {string} name
+ * @param {Object} data - { description?, permissions? }
+ * @param {Object} actor - { userId, ipAddress, userAgent }
+ * @returns {Promise<Object>}
+ */
+export const updateSystemRole = async (name, data, actor) => {
+    const role = await repository.findSystemRoleByName(name);
+    if (!role) throw buildError(404, 'ROLE_NOT_FOUND', 'roles.not_found');
+    if (role.name === SYSTEM_ADMIN_ROLE) throw buildError(400, 'ROLE_NOT_EDITABLE', 'roles.not_editable');
+
+    const previous = { description: role.description, permissions: role.permissions };
+    await role.update(data);
+
+    await rolesCache.invalidateRole(role.name);
+    await bumpPermissionsVersion();
+
+    await logAuditAction({
+        entityType:  'role',
+        entityId:    role.id,
+        action:      'role_updated',
+        performedBy: actor.userId,
+        changes:     { old: previous, new: data },
+        metadata:    { roleName: role.name, isSystem: true },
+        ipAddress:   actor.ipAddress,
+        userAgent:   actor.userAgent
+    });
+
+    return toRoleDto(role);
+};
+
+/**
+ * Crear un rol propio de la organización
+ * @param {Organization} organization
+ * @param {Object} data - { name, description, permissions }
+ * @param {Object} actor - { userId, permissions, ipAddress, userAgent }
+ * @returns {Promise<Object>}
+ */
+export const createOrganizationRole = async (organization, data, actor) => {
+    assertGrantable(actor.permissions, data.permissions);
+
+    const [systemRole, existing] = await Promise.all([
+        repository.findSystemRoleByName(data.name),
+        repository.findOrganizationRoleByName(organization.id, data.name)
+    ]);
+    if (systemRole || existing) throw buildError(409, 'ROLE_NAME_IN_USE', 'roles.name_in_use');
+
+    const role = await repository.createOrganizationRole(organization.id, data);
+
+    await logAuditAction({
+        entityType:  'role',
+        entityId:    role.id,
+        action:      'role_created',
+        performedBy: actor.userId,
+        changes:     { name: role.name, permissions: role.permissions },
+        metadata:    { organizationId: organization.publicCode },
+        ipAddress:   actor.ipAddress,
+        userAgent:   actor.userAgent
+    });
+
+    return toRoleDto(role, organization.publicCode);
+};
+
+const getOrganizationRoleOrFail = async (organization, name) => {
+    const role = await repository.findOrganizationRoleByName(organization.id, name);
+    if (!role) throw buildError(404, 'ROLE_NOT_FOUND', 'roles.not_found');
+    return role;
+};
+
+/**
+ * Editar un rol propio de la organización
+ * @param {Organization} organization
+ * @param {string} name
+ * @param {Object} data - { description?, permissions?, isActive? }
+ * @param {Object} actor - { userId, permissions, ipAddress, userAgent }
+ * @returns {Promise<Object>}
+ */
+export const updateOrganizationRole = async (organization, name, data, actor) => {
+    const role = await getOrganizationRoleOrFail(organization, name);
+    if (data.permissions) assertGrantable(actor.permissions, data.permissions);
+
+    const previous = { description: role.description, permissions: role.permissions, isActive: role.isActive };
+    await role.update(data);
+    await bumpPermissionsVersion();
+
+    await logAuditAction({
+        entityType:  'role',
+        entityId:    role.id,
+        action:      'role_updated',
+        performedBy: actor.userId,
+        changes:     { old: previous, new: data },
+        metadata:    { organizationId: organization.publicCode, roleName: role.name },
+        ipAddress:   actor.ipAddress,
+        userAgent:   actor.userAgent
+    });
+
+    return toRoleDto(role, organization.publicCode);
+};
+
+/**
+ * Eliminar un rol propio de la organización; sus miembros vuelven a su rol global
+ * @param {Organization} organization
+ * @param {string} name
+ * @param {Object} actor - { userId, ipAddress, userAgent }
+ * @returns {Promise<{ name: string, membersReassigned: number }>}
+ */
+export const deleteOrganizationRole = async (organization, name, actor) => {
+    const role = await getOrganizationRoleOrFail(organization, name);
+    const membersReassigned = await repository.countMembersWithRole(role.id);
+
+    await repository.deleteRole(role);
+    await bumpPermissionsVersion();
+
+    await logAuditAction({
+        entityType:  'role',
+        entityId:    role.id,
+        action:      'role_deleted',
+        performedBy: actor.userId,
+        changes:     { name: role.name, permissions: role.permissions },
+        metadata:    { organizationId: organization.publicCode, membersReassigned },
+        ipAddress:   actor.ipAddress,
+        userAgent:   actor.userAgent
+    });
+
+    return { name: role.name, membersReassigned };
+};
+
+/**
+ * Asignar a un miembro el rol que tendrá en la organización
+ * Acepta un rol propio de la organización o un rol del sistema (excepto system-admin);
+ * null quita la asignación y el miembro vuelve a su rol global.
+ *
+ * @param {Organization} organization
+ * @param {string} userPublicCode
+ * @param {string|null} roleName
+ * @param {Object} actor - { userId, permissions, ipAddress, userAgent }
+ * @returns {Promise<Object>} { userId, role }
+ */
+export const assignMemberRole = async (organization, userPublicCode, roleName, actor) => {
+    const membership = await repository.findMembershipByUserPublicCode(userPublicCode, organization.id);
+    if (!membership) throw buildError(404, 'MEMBER_NOT_FOUND', 'roles.member_not_found');
+
+    let role = null;
+    if (roleName) {
+        role = await repository.findOrganizationRoleByName(organization.id, roleName)
+            ?? await repository.findSystemRoleByName(roleName);
+        if (!role) throw buildError(404, 'ROLE_NOT_FOUND', 'roles.not_found');
+        if (role.name === SYSTEM_ADMIN_ROLE && !role.organizationId) {
+            throw buildError(400, 'ROLE_NOT_ASSIGNABLE', 'roles.not_assignable');
+        }
+        assertGrantable(actor.permissions, role.permissions || []);
+    }
+
+    const previousRole = membership.orgRole?.name ?? null;
+    await membership.update({ roleId: role?.id ?? null });
+    await bumpPermissionsVersion();
+
+    await logAuditAction({
+        entityType:  'user_organization',
+        entityId:    membership.userId,
+        action:      'member_role_changed',
+        performedBy: actor.userId,
+        changes:     { role: { old: previousRole, new: role?.name ?? null } },
+        metadata:    { organizationId: organization.publicCode, userPublicCode },
+        ipAddress:   actor.ipAddress,
+        userAgent:   actor.userAgent
+    });
+
+    return { userId: userPublicCode, role: role ? toRoleDto(role, organization.publicCode) : null };
+};
@@ -166,3 +166,50 @@ export const updateValidityFullSchema = z.object({
         exceptions:   z.array(exceptionSchema).optional()
     })
 });
+
+const assignmentTargetTypeSchema = z.enum(['site', 'device', 'channel', 'hierarchy_node']);
+
+export const assignScheduleSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    body: z.object({
+        targetType: assignmentTargetTypeSchema,
+        targetId:   z.string().min(1)
+    })
+});
+
+export const unassignScheduleSchema = z.object({
+    params: z.object({
+        id:         z.string().min(1),
+        targetType: assignmentTargetTypeSchema,
+        targetId:   z.string().min(1)
+    })
+});
+
+export const listScheduleAssignmentsSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    query: z.object({
+        limit:  z.coerce.number().int().min(1).max(200).default(50),
+        offset: z.coerce.number().int().min(0).default(0)
+    }).optional()
+});
+
+export const listAssignmentsSchema = z.object({
+    query: z.object({
+        scheduleId: z.string().min(1).optional(),
+        targetType: assignmentTargetTypeSchema.optional(),
+        limit:      z.coerce.number().int().min(1).max(200).default(50),
+        offset:     z.coerce.number().int().min(0).default(0)
+    }).optional()
+});
+
+export const effectiveScheduleSchema = z.object({
+    query: z.object({
+        targetType: assignmentTargetTypeSchema,
+        targetId:   z.string().min(1),
+        include:    z.enum(['analyzer']).optional()
+    })
+});
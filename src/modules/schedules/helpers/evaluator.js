@@ -0,0 +1,170 @@
+// helpers/evaluator.js
+// Evaluación de un schedule en un instante: a qué time profile pertenece (o si está fuera de horario)
+
+import { timeToMinutes } from './metrics.js';
+
+/**
+ * Tipos de segmento resultantes de evaluar un instante contra un schedule
+ * - profile:      dentro de un rango horario de un time profile
+ * - out_of_hours: fuera de todo rango, sin vigencia aplicable, o día con excepción 'closed'
+ * - special:      día con excepción 'special' (horario distinto, no modelado en rangos)
+ */
+export const SEGMENT_TYPES = {
+    PROFILE: 'profile',
+    OUT_OF_HOURS: 'out_of_hours',
+    SPECIAL: 'special'
+};
+
+/**
+ * Día de la semana ISO 8601 (1=Lunes, 7=Domingo) desde un dayjs local
+ * @param {import('dayjs').Dayjs} local
+ * @returns {number}
+ */
+const isoDayOfWeek = (local) => {
+    const day = local.day();
+    return day === 0 ? 7 : day;
+};
+
+/**
+ * Elige la vigencia aplicable a una fecha.
+ * Misma regla que el analyzer: validFrom <= date <= validTo (null = sin límite),
+ * y si hay varias gana la de validFrom más reciente.
+ *
+ * @param {Array} validities
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null}
+ */
+export const findValidityForDate = (validities, date) => {
+    let selected = null;
+    for (const v of validities) {
+        const afterStart = !v.validFrom || v.validFrom <= date;
+        const beforeEnd = !v.validTo || v.validTo >= date;
+        if (!afterStart || !beforeEnd) continue;
+
+        if (!selected || (v.validFrom || '0000-00-00') > (selected.validFrom || '0000-00-00')) {
+            selected = v;
+        }
+    }
+    return selected;
+};
+
+/**
+ * Construye un evaluador de schedule a partir de la instancia con validities,
+ * exceptions, timeProfiles y timeRanges incluidos.
+ *
+ * El evaluador recibe un instante ya convertido a la hora local del sitio (dayjs con tz)
+ * y devuelve el segmento al que pertenece. Cachea la resolución por fecha local
+ * porque las series tienen muchos puntos por día.
+ *
+ * @param {Object} schedule - Instancia Sequelize (o plain) con includes completos
+ * @returns {{ segments: Array<Object>, evaluate: Function }}
+ */
+export const buildScheduleEvaluator = (schedule) => {
+    const validities = (schedule.validities || []).map(v => {
+        // Rangos agrupados por día ISO, en minutos: [{ start, end, profileId }]
+        const rangesByDay = {};
+        const profiles = [];
+        for (const profile of (v.timeProfiles || [])) {
+            profiles.push({ id: profile.id, name: profile.name });
+            for (const tr of (profile.timeRanges || [])) {
+                if (!rangesByDay[tr.dayOfWeek]) rangesByDay[tr.dayOfWeek] = [];
+                rangesByDay[tr.dayOfWeek].push({
+                    start: timeToMinutes(tr.startTime),
+                    end: timeToMinutes(tr.endTime),
+                    profileId: profile.id
+                });
+            }
+        }
+
+        // Excepciones: exactas por YYYY-MM-DD, anuales por MM-DD
+        const exactExceptions = {};
+        const yearlyExceptions = {};
+        for (const ex of (v.exceptions || [])) {
+            const entry = { name: ex.name, type: ex.type };
+            if (ex.repeatYearly) {
+                yearlyExceptions[ex.date.slice(5)] = entry;
+            } else {
+                exactExceptions[ex.date] = entry;
+            }
+        }
+
+        return {
+            id: v.id,
+            validFrom: v.validFrom,
+            validTo: v.validTo,
+            profiles,
+            rangesByDay,
+            exactExceptions,
+            yearlyExceptions
+        };
+    });
+
+    // Segmentos posibles: un profile por nombre (los perfiles de distintas vigencias con
+    // el mismo nombre se consideran el mismo segmento para BI), fuera de horario y especial
+    const profileSegments = new Map();
+    for (const v of validities) {
+        for (const p of v.profiles) {
+            if (!profileSegments.has(p.name)) {
+                profileSegments.set(p.name, {
+                    key: `profile:${p.name}`,
+                    type: SEGMENT_TYPES.PROFILE,
+                    name: p.name
+                });
+            }
+        }
+    }
+    const profileNameById = new Map();
+    for (const v of validities) {
+        for (const p of v.profiles) profileNameById.set(p.id, p.name);
+    }
+
+    const segments = [
+        ...profileSegments.values(),
+        { key: SEGMENT_TYPES.OUT_OF_HOURS, type: SEGMENT_TYPES.OUT_OF_HOURS, name: null },
+        { key: SEGMENT_TYPES.SPECIAL, type: SEGMENT_TYPES.SPECIAL, name: null }
+    ];
+
+    const dayCache = new Map();
+    const resolveDay = (date) => {
+        if (dayCache.has(date)) return dayCache.get(date);
+
+        const validity = findValidityForDate(validities, date);
+        const exception = validity
+            ? (validity.exactExceptions[date] || validity.yearlyExceptions[date.slice(5)] || null)
+            : null;
+        const resolvedDay = { validity, exception };
+        dayCache.set(date, resolvedDay);
+        return resolvedDay;
+    };
+
+    /**
+     * @param {import('dayjs').Dayjs} local - Instante en hora local del sitio
+     * @returns {{ key: string, type: string, profile: string|null, exception: Object|null }}
+     */
+    const evaluate = (local) => {
+        const { validity, exception } = resolveDay(local.format('YYYY-MM-DD'));
+
+        if (!validity) {
+            return { key: SEGMENT_TYPES.OUT_OF_HOURS, type: SEGMENT_TYPES.OUT_OF_HOURS, profile: null, exception: null };
+        }
+
+        if (exception) {
+            const type = exception.type === 'special' ? SEGMENT_TYPES.SPECIAL : SEGMENT_TYPES.OUT_OF_HOURS;
+            return { key: type, type, profile: null, exception };
+        }
+
+        const minutes = local.hour() * 60 + local.minute();
+        const ranges = validity.rangesByDay[isoDayOfWeek(local)] || [];
+        // Rango semiabierto [start, end): 08:00-12:00 incluye 11:59 pero no 12:00
+        const match = ranges.find(r => minutes >= r.start && minutes < r.end);
+
+        if (!match) {
+            return { key: SEGMENT_TYPES.OUT_OF_HOURS, type: SEGMENT_TYPES.OUT_OF_HOURS, profile: null, exception: null };
+        }
+
+        const profile = profileNameById.get(match.profileId);
+        return { key: `profile:${profile}`, type: SEGMENT_TYPES.PROFILE, profile, exception: null };
+    };
+
+    return { segments, evaluate };
+};
@@ -0,0 +1,88 @@
+// modules/schedules/helpers/evaluator.test.js
+// Tests del evaluador de schedules (modules/schedules/helpers/evaluator.js)
+
+import { describe, it, expect } from 'vitest';
+import { dayjs } from '../../../utils/dateUtils.js';
+import { SEGMENT_TYPES, findValidityForDate, buildScheduleEvaluator } from './evaluator.js';
+
+const TZ = 'America/Argentina/Buenos_Aires';
+
+// Lunes a viernes: Punta 08:00-12:00 y Valle 12:00-18:00. Vigente desde 2026.
+const schedule = {
+    validities: [
+        {
+            id: 1,
+            validFrom: '2026-01-01',
+            validTo: null,
+            timeProfiles: [
+                {
+                    id: 10,
+                    name: 'Punta',
+                    timeRanges: [1, 2, 3, 4, 5].map(dayOfWeek => ({ dayOfWeek, startTime: '08:00', endTime: '12:00' }))
+                },
+                {
+                    id: 11,
+                    name: 'Valle',
+                    timeRanges: [1, 2, 3, 4, 5].map(dayOfWeek => ({ dayOfWeek, startTime: '12:00', endTime: '18:00' }))
+                }
+            ],
+            exceptions: [
+                { name: 'Feriado', type: 'closed', date: '2026-10-12', repeatYearly: false },
+                { name: 'Navidad', type: 'special', date: '2020-12-25', repeatYearly: true }
+            ]
+        }
+    ]
+};
+
+const at = (local) => dayjs.tz(local, TZ);
+
+describe('findValidityForDate', () => {
+    const validities = [
+        { id: 'a', validFrom: null, validTo: '2025-12-31' },
+        { id: 'b', validFrom: '2026-01-01', validTo: null },
+        { id: 'c', validFrom: '2026-06-01', validTo: '2026-06-30' }
+    ];
+
+    it('elige la vigencia que cubre la fecha, la de validFrom más reciente si hay varias', () => {
+        expect(findValidityForDate(validities, '2025-05-01').id).toBe('a');
+        expect(findValidityForDate(validities, '2026-03-01').id).toBe('b');
+        expect(findValidityForDate(validities, '2026-06-15').id).toBe('c');
+    });
+
+    it('devuelve null sin vigencias', () => {
+        expect(findValidityForDate([], '2026-06-15')).toBeNull();
+    });
+});
+
+describe('buildScheduleEvaluator', () => {
+    const evaluator = buildScheduleEvaluator(schedule);
+
+    it('expone un segmento por profile más fuera de horario y especial', () => {
+        expect(evaluator.segments.map(s => s.key))
+            .toEqual(['profile:Punta', 'profile:Valle', SEGMENT_TYPES.OUT_OF_HOURS, SEGMENT_TYPES.SPECIAL]);
+    });
+
+    it('usa rangos semiabiertos [start, end)', () => {
+        // 2026-10-14 es miércoles
+        expect(evaluator.evaluate(at('2026-10-14 08:00')).profile).toBe('Punta');
+        expect(evaluator.evaluate(at('2026-10-14 11:59')).profile).toBe('Punta');
+        expect(evaluator.evaluate(at('2026-10-14 12:00')).profile).toBe('Valle');
+        expect(evaluator.evaluate(at('2026-10-14 18:00')).type).toBe(SEGMENT_TYPES.OUT_OF_HOURS);
+    });
+
+    it('trata el fin de semana y los días fuera de vigencia como fuera de horario', () => {
+        expect(evaluator.evaluate(at('2026-10-18 10:00')).type).toBe(SEGMENT_TYPES.OUT_OF_HOURS);
+        expect(evaluator.evaluate(at('2025-10-15 10:00')).type).toBe(SEGMENT_TYPES.OUT_OF_HOURS);
+    });
+
+    it('aplica excepciones exactas y anuales', () => {
+        const closed = evaluator.evaluate(at('2026-10-12 10:00'));
+        expect(closed.type).toBe(SEGMENT_TYPES.OUT_OF_HOURS);
+        expect(closed.exception.name).toBe('Feriado');
+
+        // 2026-12-25 es viernes: la excepción anual gana sobre el rango
+        const special = evaluator.evaluate(at('2026-12-25 10:00'));
+        expect(special.type).toBe(SEGMENT_TYPES.SPECIAL);
+        expect(special.exception.name).toBe('Navidad');
+    });
+});
@@ -0,0 +1,60 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+/**
+ * Asignación de un schedule a una entidad (site, device, channel o nodo de jerarquía).
+ * Cada entidad tiene como máximo un schedule asignado; las que no tienen
+ * heredan el de la entidad más cercana (ver resolveEffectiveSchedule).
+ */
+const ScheduleAssignment = sequelize.define('ScheduleAssignment', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+    },
+    scheduleId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'schedules',
+            key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'FK a schedules.id'
+    },
+    organizationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'FK a organizations.id (org dueña del schedule y de la entidad)'
+    },
+    targetType: {
+        type: DataTypes.ENUM('site', 'device', 'channel', 'hierarchy_node'),
+        allowNull: false,
+        comment: 'Tipo de entidad asignada'
+    },
+    targetId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'UUID interno de la entidad (sites.id, devices.id, channels.id o resource_hierarchy.id)'
+    },
+    createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'FK a users.id - usuario que hizo la asignación'
+    }
+}, {
+    tableName: 'schedule_assignments',
+    timestamps: true,
+    underscored: true,
+    paranoid: false,
+    indexes: [
+        { fields: ['target_type', 'target_id'], unique: true, name: 'schedule_assignments_target_idx' },
+        { fields: ['schedule_id'], name: 'schedule_assignments_schedule_id_idx' },
+        { fields: ['organization_id'], name: 'schedule_assignments_organization_id_idx' }
+    ],
+    comment: 'Asignación de schedules a sites, devices, canales y nodos de jerarquía'
+});
+
+export default ScheduleAssignment;
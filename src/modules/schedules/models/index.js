@@ -3,6 +3,7 @@ import ScheduleException from './ScheduleException.js';
 import Validity from './Validity.js';
 import TimeProfile from './TimeProfile.js';
 import TimeRange from './TimeRange.js';
+import ScheduleAssignment from './ScheduleAssignment.js';
 import Organization from '../../organizations/models/Organization.js';
 
 // Schedule → Organization (N:1)
@@ -25,6 +26,10 @@ TimeProfile.belongsTo(Validity, { foreignKey: 'validityId', as: 'validity' });
 TimeProfile.hasMany(TimeRange, { foreignKey: 'timeProfileId', as: 'timeRanges', onDelete: 'CASCADE' });
 TimeRange.belongsTo(TimeProfile, { foreignKey: 'timeProfileId', as: 'timeProfile' });
 
-export { Schedule, ScheduleException, Validity, TimeProfile, TimeRange };
+// Schedule → ScheduleAssignment (1:N)
+Schedule.hasMany(ScheduleAssignment, { foreignKey: 'scheduleId', as: 'assignments', onDelete: 'CASCADE' });
+ScheduleAssignment.belongsTo(Schedule, { foreignKey: 'scheduleId', as: 'schedule' });
 
-export default { Schedule, ScheduleException, Validity, TimeProfile, TimeRange };
+export { Schedule, ScheduleException, Validity, TimeProfile, TimeRange, ScheduleAssignment };
+
+export default { Schedule, ScheduleException, Validity, TimeProfile, TimeRange, ScheduleAssignment };
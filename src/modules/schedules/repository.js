@@ -1,13 +1,14 @@
 // modules/schedules/repository.js
 // Capa de acceso a datos para Schedules
 
-import { Op } from 'sequelize';
+import { Op, QueryTypes } from 'sequelize';
 import sequelize from '../../db/sql/sequelize.js';
 import Schedule from './models/Schedule.js';
 import ScheduleException from './models/ScheduleException.js';
 import Validity from './models/Validity.js';
 import TimeProfile from './models/TimeProfile.js';
 import TimeRange from './models/TimeRange.js';
+import ScheduleAssignment from './models/ScheduleAssignment.js';
 import Organization from '../organizations/models/Organization.js';
 import { gridToRows, toScheduleDto } from './helpers/mapper.js';
 import { recalculateValidityMetrics, recalculateExceptionsCount } from './helpers/metrics.js';
@@ -248,7 +249,11 @@ export const createSchedule = async ({
 export const deleteSchedule = async (id) => {
     const schedule = await Schedule.findByPk(id);
     if (!schedule) return false;
-    await schedule.destroy();
+    await sequelize.transaction(async (t) => {
+        // Las entidades asignadas pasan a heredar el schedule de su entidad padre
+        await ScheduleAssignment.destroy({ where: { scheduleId: id }, transaction: t });
+        await schedule.destroy({ transaction: t });
+    });
     return true;
 };
 
@@ -811,3 +816,211 @@ export const findScheduleForAnalyzer = async (publicCode, { organizationId = nul
         ]
     });
 };
+
+/**
+ * Busca un schedule con todo lo necesario para evaluar instantes contra él
+ * (vigencias, excepciones, time profiles y rangos).
+ * Uso interno — telemetría (desglose en horario / fuera de horario).
+ *
+ * @param {string} publicCode - Código público del schedule
+ * @param {Object} options
+ * @param {string|null} options.organizationId - UUID interno de org para scoping (null = sin scoping)
+ * @returns {Promise<Schedule|null>} Instancia Sequelize o null
+ */
+export const findScheduleForEvaluation = async (publicCode, { organizationId = null } = {}) => {
+    const where = { publicCode };
+    if (organizationId) where.organizationId = organizationId;
+
+    return Schedule.findOne({
+        where,
+        include: [
+            {
+                model: Validity,
+                as: 'validities',
+                attributes: ['id', 'validFrom', 'validTo'],
+                include: [
+                    {
+                        model: ScheduleException,
+                        as: 'exceptions',
+                        attributes: ['date', 'name', 'type', 'repeatYearly']
+                    },
+                    {
+                        model: TimeProfile,
+                        as: 'timeProfiles',
+                        attributes: ['id', 'name'],
+                        include: [
+                            {
+                                model: TimeRange,
+                                as: 'timeRanges',
+                                attributes: ['id', 'dayOfWeek', 'startTime', 'endTime']
+                            }
+                        ]
+                    }
+                ]
+            }
+        ]
+    });
+};
+
+// ============ ASIGNACIONES ============
+
+// Resuelve public code y nombre de la entidad asignada según su tipo (excluye entidades eliminadas)
+const assignmentTargetJoins = `
+    LEFT JOIN sites si
+           ON sa.target_type = 'site' AND si.id = sa.target_id AND si.deleted_at IS NULL
+    LEFT JOIN devices d
+           ON sa.target_type = 'device' AND d.id = sa.target_id AND d.deleted_at IS NULL
+    LEFT JOIN channels c
+           ON sa.target_type = 'channel' AND c.id = sa.target_id AND c.deleted_at IS NULL
+    LEFT JOIN resource_hierarchy rh
+           ON sa.target_type = 'hierarchy_node' AND rh.id = sa.target_id AND rh.deleted_at IS NULL
+`;
+
+const assignmentColumns = `
+    sa.target_type,
+    sa.target_id,
+    sa.created_at,
+    s.public_code AS schedule_code,
+    s.name        AS schedule_name,
+    COALESCE(si.public_code, d.public_code, c.public_code, rh.public_code) AS target_code,
+    COALESCE(si.name, d.name, c.name, rh.name)                             AS target_name
+`;
+
+/**
+ * Convierte una fila de asignación (snake_case) a DTO público
+ * @param {Object} row
+ * @returns {Object}
+ */
+const toAssignmentDto = (row) => ({
+    schedule: { id: row.schedule_code, name: row.schedule_name },
+    targetType: row.target_type,
+    target: { id: row.target_code, name: row.target_name },
+    createdAt: row.created_at
+});
+
+/**
+ * Buscar la asignación de una entidad (USO INTERNO)
+ * @param {string} targetType - site | device | channel | hierarchy_node
+ * @param {string} targetId - UUID interno de la entidad
+ * @returns {Promise<ScheduleAssignment|null>}
+ */
+export const findAssignmentByTarget = async (targetType, targetId) =>
+    ScheduleAssignment.findOne({ where: { targetType, targetId } });
+
+/**
+ * Asigna un schedule a una entidad. Si la entidad ya tenía otro schedule, lo reemplaza.
+ *
+ * @param {Object} data - { scheduleId, organizationId, targetType, targetId, createdBy }
+ * @returns {Promise<{ assignment: ScheduleAssignment, previousSchedule: Schedule|null }>} previousSchedule = schedule reemplazado
+ */
+export const upsertAssignment = async ({ scheduleId, organizationId, targetType, targetId, createdBy }) =>
+    sequelize.transaction(async (t) => {
+        const existing = await ScheduleAssignment.findOne({
+            where: { targetType, targetId },
+            transaction: t,
+            lock: t.LOCK.UPDATE
+        });
+
+        if (existing) {
+            const previous = await Schedule.findByPk(existing.scheduleId, {
+                attributes: ['id', 'publicCode'],
+                paranoid: false,
+                transaction: t
+            });
+            await existing.update({ scheduleId, organizationId, createdBy }, { transaction: t });
+            return { assignment: existing, previousSchedule: previous };
+        }
+
+        const assignment = await ScheduleAssignment.create(
+            { scheduleId, organizationId, targetType, targetId, createdBy },
+            { transaction: t }
+        );
+        return { assignment, previousSchedule: null };
+    });
+
+/**
+ * Elimina la asignación de un schedule a una entidad
+ * @param {string} scheduleId - UUID interno del schedule
+ * @param {string} targetType
+ * @param {string} targetId - UUID interno de la entidad
+ * @returns {Promise<boolean>} true si existía
+ */
+export const deleteAssignment = async (scheduleId, targetType, targetId) => {
+    const deleted = await ScheduleAssignment.destroy({ where: { scheduleId, targetType, targetId } });
+    return deleted > 0;
+};
+
+/**
+ * Lista asignaciones con datos públicos del schedule y de la entidad.
+ * Las asignaciones a entidades eliminadas no se listan.
+ *
+ * @param {Object} filters
+ * @param {string|null} filters.organizationId - UUID de org (null = todas, system-admin)
+ * @param {string|null} filters.scheduleId - UUID interno del schedule
+ * @param {string|null} filters.targetType
+ * @param {number} filters.limit
+ * @param {number} filters.offset
+ * @returns {Promise<{ items: Array, total: number }>}
+ */
+export const listAssignments = async ({ organizationId = null, scheduleId = null, targetType = null, limit = 50, offset = 0 } = {}) => {
+    const conditions = [];
+    const bind = [];
+
+    if (organizationId) {
+        bind.push(organizationId);
+        conditions.push(`sa.organization_id = $${bind.length}`);
+    }
+    if (scheduleId) {
+        bind.push(scheduleId);
+        conditions.push(`sa.schedule_id = $${bind.length}`);
+    }
+    if (targetType) {
+        bind.push(targetType);
+        conditions.push(`sa.target_type = $${bind.length}`);
+    }
+    conditions.push('COALESCE(si.id, d.id, c.id, rh.id) IS NOT NULL');
+
+    bind.push(limit, offset);
+
+    const rows = await sequelize.query(`
+        SELECT ${assignmentColumns},
+               COUNT(*) OVER() AS total_count
+        FROM schedule_assignments sa
+        JOIN schedules s ON s.id = sa.schedule_id AND s.deleted_at IS NULL
+        ${assignmentTargetJoins}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY sa.target_type, target_name
+        LIMIT $${bind.length - 1} OFFSET $${bind.length}
+    `, { bind, type: QueryTypes.SELECT });
+
+    return {
+        items: rows.map(toAssignmentDto),
+        total: rows.length > 0 ? parseInt(rows[0].total_count, 10) : 0
+    };
+};
+
+/**
+ * Busca las asignaciones de un conjunto de entidades (USO INTERNO — resolución de herencia)
+ *
+ * @param {Array<{ targetType: string, targetId: string }>} targets
+ * @returns {Promise<Array>} DTOs de asignación con targetId interno en `_targetId`
+ */
+export const findAssignmentsForTargets = async (targets) => {
+    if (!targets.length) return [];
+
+    const bind = [];
+    const pairs = targets.map(({ targetType, targetId }) => {
+        bind.push(targetType, targetId);
+        return `($${bind.length - 1}::schedule_assignment_target_type, $${bind.length}::uuid)`;
+    });
+
+    const rows = await sequelize.query(`
+        SELECT ${assignmentColumns}
+        FROM schedule_assignments sa
+        JOIN schedules s ON s.id = sa.schedule_id AND s.deleted_at IS NULL
+        ${assignmentTargetJoins}
+        WHERE (sa.target_type, sa.target_id) IN (${pairs.join(', ')})
+    `, { bind, type: QueryTypes.SELECT });
+
+    return rows.map(row => ({ ...toAssignmentDto(row), _targetId: row.target_id }));
+};
@@ -2,7 +2,7 @@
 // Rutas REST para el módulo de Schedules (Motor de Horarios)
 
 import express from 'express';
-import { authenticate, requireRole } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import { validate } from '../../middleware/validate.js';
 import { enforceActiveOrganization } from '../../middleware/enforceActiveOrganization.js';
 import * as services from './services.js';
@@ -19,7 +19,12 @@ import {
     addValiditySchema,
     deleteValiditySchema,
     updateExceptionsSchema,
-    updateValidityFullSchema
+    updateValidityFullSchema,
+    assignScheduleSchema,
+    unassignScheduleSchema,
+    listScheduleAssignmentsSchema,
+    listAssignmentsSchema,
+    effectiveScheduleSchema
 } from './dtos/index.js';
 import logger from '../../utils/logger.js';
 
@@ -30,7 +35,7 @@ const scheduleLogger = logger.child({ component: 'schedules' });
 router.post(
     '/',
     authenticate,
-    requireRole(['system-admin', 'org-admin']),
+    requirePermission('schedules.manage'),
     enforceActiveOrganization,
     validate(createScheduleSchema),
     async (req, res, next) => {
@@ -103,6 +108,81 @@ router.get(
     }
 );
 
+// 📄 Swagger: src/docs/swagger/schedules.yaml -> GET /api/v1/schedules/assignments
+router.get(
+    '/assignments',
+    authenticate,
+    enforceActiveOrganization,
+    validate(listAssignmentsSchema),
+    async (req, res, next) => {
+        try {
+            const canAccessAll = req.organizationContext?.canAccessAll ?? false;
+            const orgId  = canAccessAll ? null : req.organizationContext.id;
+            const limit  = req.query?.limit  ?? 50;
+            const offset = req.query?.offset ?? 0;
+
+            const result = await services.listAssignments({
+                organizationId: orgId,
+                scheduleCode:   req.query?.scheduleId ?? null,
+                targetType:     req.query?.targetType ?? null,
+                limit,
+                offset
+            });
+
+            return res.json({
+                ok: true,
+                data: result.items,
+                meta: {
+                    total:     result.total,
+                    limit:     Number(limit),
+                    offset:    Number(offset),
+                    timestamp: new Date().toISOString(),
+                    locale:    req.locale
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/schedules.yaml -> GET /api/v1/schedules/effective
+// Schedule efectivo de una entidad (asignado directo o heredado).
+// Permite al analyzer y a los dashboards elegir el schedule sin que el usuario lo indique.
+router.get(
+    '/effective',
+    authenticate,
+    enforceActiveOrganization,
+    validate(effectiveScheduleSchema),
+    async (req, res, next) => {
+        try {
+            const canAccessAll = req.organizationContext?.canAccessAll ?? false;
+            const orgId = canAccessAll ? null : req.organizationContext.id;
+
+            const result = await services.resolveEffectiveSchedule(
+                req.query.targetType,
+                req.query.targetId,
+                { organizationId: orgId }
+            );
+
+            // include=analyzer: mismo payload que GET /:id/analyzer para el schedule resuelto
+            if (req.query.include === 'analyzer') {
+                result.analyzer = result.schedule
+                    ? await services.getScheduleForAnalyzer(result.schedule.id, { organizationId: orgId })
+                    : null;
+            }
+
+            return res.json({
+                ok: true,
+                data: result,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
 // 📄 Swagger: src/docs/swagger/schedules.yaml -> GET /api/v1/schedules/:id
 router.get(
     '/:id',
@@ -131,7 +211,7 @@ router.get(
 router.delete(
     '/:id',
     authenticate,
-    requireRole(['system-admin', 'org-admin']),
+    requirePermission('schedules.manage'),
     validate(deleteScheduleSchema),
     async (req, res, next) => {
         try {
@@ -199,7 +279,7 @@ router.get(
 router.patch(
     '/:id/validities/:validityId',
     authenticate,
-    requireRole(['system-admin', 'org-admin']),
+    requirePermission('schedules.manage'),
     enforceActiveOrganization,
     validate(updateValiditySchema),
     async (req, res, next) => {
@@ -242,7 +322,7 @@ router.patch(
 router.patch(
     '/:id',
     authenticate,
-    requireRole(['system-admin', 'org-admin']),
+    requirePermission('schedules.manage'),
     validate(updateScheduleSchema),
     async (req, res, next) => {
         try {
@@ -273,7 +353,7 @@ router.patch(
 router.post(
     '/:id/validities',
     authenticate,
-    requireRole(['system-admin', 'org-admin']),
+    requirePermission('schedules.manage'),
     enforceActiveOrganization,
     validate(addValiditySchema),
     async (req, res, next) => {
@@ -315,7 +395,7 @@ router.post(
 router.delete(
     '/:id/validities/:validityId',
     authenticate,
-    requireRole(['system-admin', 'org-admin']),
+    requirePermission('schedules.manage'),
     validate(deleteValiditySchema),
     async (req, res, next) => {
         try {
@@ -346,7 +426,7 @@ router.delete(
 router.put(
     '/:id/validities/:validityId/exceptions',
     authenticate,
-    requireRole(['system-admin', 'org-admin']),
+    requirePermission('schedules.manage'),
     enforceActiveOrganization,
     validate(updateExceptionsSchema),
     async (req, res, next) => {
@@ -379,7 +459,7 @@ router.put(
 router.put(
     '/:id/validities/:validityId',
     authenticate,
-    requireRole(['system-admin', 'org-admin']),
+    requirePermission('schedules.manage'),
     enforceActiveOrganization,
     validate(updateValidityFullSchema),
     async (req, res, next) => {
@@ -422,7 +502,7 @@ router.put(
 router.put(
     '/:id/validities/:validityId/ranges',
     authenticate,
-    requireRole(['system-admin', 'org-admin']),
+    requirePermission('schedules.manage'),
     enforceActiveOrganization,
     validate(updateValidityRangesSchema),
     async (req, res, next) => {
@@ -462,6 +542,115 @@ router.put(
 );
 
 // E6 — Schedule para el Analyzer (contrato Data Analyzer v1.1)
+// 📄 Swagger: src/docs/swagger/schedules.yaml -> GET /api/v1/schedules/:id/assignments
+router.get(
+    '/:id/assignments',
+    authenticate,
+    enforceActiveOrganization,
+    validate(listScheduleAssignmentsSchema),
+    async (req, res, next) => {
+        try {
+            const canAccessAll = req.organizationContext?.canAccessAll ?? false;
+            const orgId  = canAccessAll ? null : req.organizationContext.id;
+            const limit  = req.query?.limit  ?? 50;
+            const offset = req.query?.offset ?? 0;
+
+            const result = await services.listAssignments({
+                organizationId: orgId,
+                scheduleCode:   req.params.id,
+                limit,
+                offset
+            });
+
+            return res.json({
+                ok: true,
+                data: result.items,
+                meta: {
+                    total:     result.total,
+                    limit:     Number(limit),
+                    offset:    Number(offset),
+                    timestamp: new Date().toISOString(),
+                    locale:    req.locale
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/schedules.yaml -> POST /api/v1/schedules/:id/assignments
+// Si la entidad ya tenía otro schedule asignado, se reemplaza
+router.post(
+    '/:id/assignments',
+    authenticate,
+    requirePermission('schedules.manage'),
+    enforceActiveOrganization,
+    validate(assignScheduleSchema),
+    async (req, res, next) => {
+        try {
+            const canAccessAll = req.organizationContext?.canAccessAll ?? false;
+            const orgId     = canAccessAll ? null : req.organizationContext.id;
+            const userId    = req.user.userId;
+            const ipAddress = req.ip || req.connection?.remoteAddress;
+            const userAgent = req.headers['user-agent'];
+
+            const assignment = await services.assignSchedule(
+                req.params.id,
+                req.body,
+                { organizationId: orgId },
+                userId,
+                ipAddress,
+                userAgent
+            );
+
+            return res.status(201).json({
+                ok: true,
+                data: assignment,
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+// 📄 Swagger: src/docs/swagger/schedules.yaml -> DELETE /api/v1/schedules/:id/assignments/:targetType/:targetId
+router.delete(
+    '/:id/assignments/:targetType/:targetId',
+    authenticate,
+    requirePermission('schedules.manage'),
+    enforceActiveOrganization,
+    validate(unassignScheduleSchema),
+    async (req, res, next) => {
+        try {
+            const canAccessAll = req.organizationContext?.canAccessAll ?? false;
+            const orgId     = canAccessAll ? null : req.organizationContext.id;
+            const userId    = req.user.userId;
+            const ipAddress = req.ip || req.connection?.remoteAddress;
+            const userAgent = req.headers['user-agent'];
+
+            await services.unassignSchedule(
+                req.params.id,
+                req.params.targetType,
+                req.params.targetId,
+                { organizationId: orgId },
+                userId,
+                ipAddress,
+                userAgent
+            );
+
+            return res.json({
+                ok: true,
+                data: { deleted: true },
+                meta: { timestamp: new Date().toISOString(), locale: req.locale }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
 // GET /api/v1/schedules/:id/analyzer
 router.get(
     '/:id/analyzer',
@@ -7,8 +7,17 @@ import sequelize from '../../db/sql/sequelize.js';
 import * as repository from './repository.js';
 import { validateSchedulePayload, validateValidityUpdate, validateRangesUpdate, validateSingleValidity } from './helpers/validator.js';
 import { rowsToGrid } from './helpers/mapper.js';
+import { buildScheduleEvaluator } from './helpers/evaluator.js';
 import { logAuditAction } from '../../helpers/auditLog.js';
 import { generatePublicCode } from '../../utils/identifiers.js';
+import { findSiteByPublicCodeInternal, findSiteById } from '../sites/repository.js';
+import { findDeviceByPublicCodeInternal, findDeviceById } from '../devices/repository.js';
+import { findChannelByPublicCodeInternal } from '../channels/repository.js';
+import {
+    findNodeByPublicCodeInternal,
+    findNodeByReferenceId,
+    getAncestors
+} from '../resource-hierarchy/repository.js';
 import logger from '../../utils/logger.js';
 
 const scheduleLogger = logger.child({ component: 'schedules' });
@@ -745,3 +754,328 @@ export const getScheduleForAnalyzer = async (publicCode, { organizationId = null
         ranges
     };
 };
+
+/**
+ * Obtiene un evaluador del schedule para clasificar instantes por time profile.
+ * Respeta vigencias, excepciones 'closed'/'special' y repeatYearly.
+ *
+ * @param {string} publicCode - Código público del schedule (SCH-XXX-XXX)
+ * @param {Object} options
+ * @param {string|null} options.organizationId - UUID de org dueña (null = sin scoping)
+ * @returns {Promise<Object>} { id, name, segments, evaluate }
+ */
+export const getScheduleEvaluator = async (publicCode, { organizationId = null } = {}) => {
+    const schedule = await repository.findScheduleForEvaluation(publicCode, { organizationId });
+
+    if (!schedule) {
+        const err = new Error('Schedule no encontrado');
+        err.status = 404;
+        err.code   = 'SCHEDULE_NOT_FOUND';
+        throw err;
+    }
+
+    const { segments, evaluate } = buildScheduleEvaluator(schedule);
+
+    return {
+        id: schedule.publicCode,
+        name: schedule.name,
+        segments,
+        evaluate
+    };
+};
+
+// ============ ASIGNACIONES Y HERENCIA ============
+
+const scheduleNotFound = () => {
+    const err = new Error('Schedule no encontrado');
+    err.status = 404;
+    err.code   = 'SCHEDULE_NOT_FOUND';
+    return err;
+};
+
+/**
+ * Busca un schedule por publicCode respetando el scoping de organización
+ * @param {string} publicCode
+ * @param {string|null} organizationId - null = sin scoping (system-admin)
+ * @returns {Promise<Schedule>}
+ */
+const findScopedSchedule = async (publicCode, organizationId) => {
+    const schedule = await repository.findScheduleByPublicCodeInternal(publicCode);
+    if (!schedule || (organizationId && schedule.organizationId !== organizationId)) {
+        throw scheduleNotFound();
+    }
+    return schedule;
+};
+
+/**
+ * Normaliza una entidad asignable a { targetType, uuid, publicCode, name, organizationId }
+ */
+const toTargetRef = (targetType, entity) => ({
+    targetType,
+    uuid: entity.id,
+    publicCode: entity.publicCode,
+    name: entity.name,
+    organizationId: entity.organizationId
+});
+
+/**
+ * Carga la entidad destino de una asignación por su public code.
+ * Lanza 404 si no existe o no pertenece a la organización indicada.
+ *
+ * @param {string} targetType - site | device | channel | hierarchy_node
+ * @param {string} targetCode - Public code de la entidad
+ * @param {string|null} organizationId - null = sin scoping
+ * @returns {Promise<Object>} { targetType, uuid, publicCode, name, organizationId, entity }
+ */
+const loadAssignmentTarget = async (targetType, targetCode, organizationId) => {
+    const finders = {
+        site: findSiteByPublicCodeInternal,
+        device: findDeviceByPublicCodeInternal,
+        channel: findChannelByPublicCodeInternal,
+        hierarchy_node: findNodeByPublicCodeInternal
+    };
+
+    const entity = await finders[targetType](targetCode);
+    if (!entity || (organizationId && entity.organizationId !== organizationId)) {
+        const err = new Error(`Entidad no encontrada: ${targetType} ${targetCode}`);
+        err.status = 404;
+        err.code   = 'ASSIGNMENT_TARGET_NOT_FOUND';
+        throw err;
+    }
+
+    return { ...toTargetRef(targetType, entity), entity };
+};
+
+/**
+ * Construye la cadena de herencia de una entidad, de la más específica a la más general:
+ *
+ *   canal → device → nodo del canal en la jerarquía → ancestros (del más cercano a la raíz)
+ *
+ * El site se ubica justo antes de su nodo tipo 'site' en la jerarquía (entidad y nodo
+ * representan el mismo alcance); si el site no aparece en la jerarquía va al final.
+ * Si la entidad no tiene nodo propio, la jerarquía se recorre desde el nodo de su site.
+ *
+ * @param {Object} target - Resultado de loadAssignmentTarget
+ * @returns {Promise<Array<Object>>} Referencias { targetType, uuid, publicCode, name }
+ */
+const buildInheritanceChain = async (target) => {
+    const chain = [];
+    let site = null;
+    let anchorNode = null;
+
+    if (target.targetType === 'channel') {
+        chain.push(target);
+        const device = target.entity.deviceId ? await findDeviceById(target.entity.deviceId) : null;
+        if (device) {
+            chain.push(toTargetRef('device', device));
+            site = device.siteId ? await findSiteById(device.siteId) : null;
+        }
+        anchorNode = await findNodeByReferenceId(target.publicCode, target.organizationId);
+    } else if (target.targetType === 'device') {
+        chain.push(target);
+        site = target.entity.siteId ? await findSiteById(target.entity.siteId) : null;
+    } else if (target.targetType === 'site') {
+        site = target.entity;
+    } else {
+        anchorNode = target.entity;
+    }
+
+    if (!anchorNode && site) {
+        anchorNode = await findNodeByReferenceId(site.publicCode, site.organizationId);
+    }
+
+    let siteAdded = false;
+    if (anchorNode) {
+        const anchorUuid = anchorNode.id;
+        const ancestors = await getAncestors(anchorUuid);
+        const path = [
+            {
+                uuid: anchorUuid,
+                publicCode: anchorNode.publicCode ?? anchorNode.public_code,
+                name: anchorNode.name,
+                nodeType: anchorNode.nodeType ?? anchorNode.node_type,
+                referenceId: anchorNode.referenceId ?? anchorNode.reference_id
+            },
+            ...ancestors.reverse().map(node => ({
+                uuid: node._uuid,
+                publicCode: node.id,
+                name: node.name,
+                nodeType: node.nodeType,
+                referenceId: node.referenceId
+            }))
+        ];
+
+        for (const node of path) {
+            if (node.nodeType === 'site') {
+                const nodeSite = site && site.publicCode === node.referenceId
+                    ? site
+                    : await findSiteByPublicCodeInternal(node.referenceId);
+                if (nodeSite) {
+                    chain.push(toTargetRef('site', nodeSite));
+                    if (site && nodeSite.id === site.id) siteAdded = true;
+                }
+            }
+            chain.push({ targetType: 'hierarchy_node', uuid: node.uuid, publicCode: node.publicCode, name: node.name });
+        }
+    }
+
+    if (site && !siteAdded) {
+        chain.push(toTargetRef('site', site));
+    }
+
+    // Un mismo site puede aparecer dos veces (nodo propio + fallback): conservar el más específico
+    const seen = new Set();
+    return chain.filter(ref => {
+        const key = `${ref.targetType}:${ref.uuid}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+/**
+ * Asignar un schedule a una entidad. Reemplaza la asignación previa de esa entidad.
+ * La entidad debe pertenecer a la misma organización que el schedule.
+ *
+ * @param {string} publicCode - Public code del schedule
+ * @param {{ targetType: string, targetId: string }} payload - targetId = public code de la entidad
+ * @param {Object} options
+ * @param {string|null} options.organizationId - UUID de org activa (null = system-admin sin scoping)
+ * @param {string} userId
+ * @param {string} ipAddress
+ * @param {string} userAgent
+ * @returns {Promise<Object>} DTO de la asignación
+ */
+export const assignSchedule = async (publicCode, { targetType, targetId }, { organizationId = null } = {}, userId, ipAddress, userAgent) => {
+    const schedule = await findScopedSchedule(publicCode, organizationId);
+    const target = await loadAssignmentTarget(targetType, targetId, schedule.organizationId);
+
+    const { previousSchedule } = await repository.upsertAssignment({
+        scheduleId: schedule.id,
+        organizationId: schedule.organizationId,
+        targetType,
+        targetId: target.uuid,
+        createdBy: userId
+    });
+    const replaced = previousSchedule && previousSchedule.id !== schedule.id ? previousSchedule.publicCode : null;
+
+    await logAuditAction({
+        entityType:  'schedule',
+        entityId:    publicCode,
+        action:      'assign',
+        performedBy: userId,
+        changes: {
+            old: previousSchedule ? { scheduleId: previousSchedule.publicCode, targetType, targetId: target.publicCode } : null,
+            new: { scheduleId: publicCode, targetType, targetId: target.publicCode }
+        },
+        metadata:    { organizationId: schedule.organizationId },
+        ipAddress,
+        userAgent
+    });
+
+    scheduleLogger.info({ scheduleId: publicCode, targetType, targetId: target.publicCode, userId }, 'Schedule asignado');
+
+    return {
+        schedule: { id: schedule.publicCode, name: schedule.name },
+        targetType,
+        target: { id: target.publicCode, name: target.name },
+        replaced
+    };
+};
+
+/**
+ * Quitar la asignación de un schedule a una entidad.
+ * La entidad pasa a heredar el schedule de su entidad padre.
+ *
+ * @param {string} publicCode - Public code del schedule
+ * @param {string} targetType
+ * @param {string} targetCode - Public code de la entidad
+ * @param {Object} options
+ * @param {string|null} options.organizationId
+ * @param {string} userId
+ * @param {string} ipAddress
+ * @param {string} userAgent
+ */
+export const unassignSchedule = async (publicCode, targetType, targetCode, { organizationId = null } = {}, userId, ipAddress, userAgent) => {
+    const schedule = await findScopedSchedule(publicCode, organizationId);
+    const target = await loadAssignmentTarget(targetType, targetCode, schedule.organizationId);
+
+    const deleted = await repository.deleteAssignment(schedule.id, targetType, target.uuid);
+    if (!deleted) {
+        const err = new Error('La entidad no tiene asignado este schedule');
+        err.status = 404;
+        err.code   = 'ASSIGNMENT_NOT_FOUND';
+        throw err;
+    }
+
+    await logAuditAction({
+        entityType:  'schedule',
+        entityId:    publicCode,
+        action:      'unassign',
+        performedBy: userId,
+        changes:     { old: { scheduleId: publicCode, targetType, targetId: target.publicCode }, new: null },
+        metadata:    { organizationId: schedule.organizationId },
+        ipAddress,
+        userAgent
+    });
+
+    scheduleLogger.info({ scheduleId: publicCode, targetType, targetId: target.publicCode, userId }, 'Asignación de schedule eliminada');
+};
+
+/**
+ * Listar asignaciones de la organización (opcionalmente de un schedule o tipo de entidad)
+ *
+ * @param {Object} filters
+ * @param {string|null} filters.organizationId - null = todas (system-admin)
+ * @param {string} [filters.scheduleCode] - Public code del schedule
+ * @param {string} [filters.targetType]
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const listAssignments = async ({ organizationId = null, scheduleCode = null, targetType = null, limit = 50, offset = 0 } = {}) => {
+    let scheduleId = null;
+    if (scheduleCode) {
+        scheduleId = (await findScopedSchedule(scheduleCode, organizationId)).id;
+    }
+
+    return repository.listAssignments({ organizationId, scheduleId, targetType, limit, offset });
+};
+
+/**
+ * Resuelve el schedule efectivo de una entidad: el asignado a ella o, si no tiene,
+ * el de la entidad más específica de su cadena de herencia (ver buildInheritanceChain).
+ *
+ * @param {string} targetType - site | device | channel | hierarchy_node
+ * @param {string} targetCode - Public code de la entidad
+ * @param {Object} options
+ * @param {string|null} options.organizationId - null = sin scoping
+ * @returns {Promise<Object>} { target, schedule, inherited, source, chain }
+ *   schedule/source son null si ninguna entidad de la cadena tiene schedule asignado
+ */
+export const resolveEffectiveSchedule = async (targetType, targetCode, { organizationId = null } = {}) => {
+    const target = await loadAssignmentTarget(targetType, targetCode, organizationId);
+    const chain = await buildInheritanceChain(target);
+
+    const assignments = await repository.findAssignmentsForTargets(
+        chain.map(ref => ({ targetType: ref.targetType, targetId: ref.uuid }))
+    );
+    const byTarget = new Map(assignments.map(a => [`${a.targetType}:${a._targetId}`, a]));
+
+    const resolvedChain = chain.map(ref => ({
+        targetType: ref.targetType,
+        id: ref.publicCode,
+        name: ref.name,
+        schedule: byTarget.get(`${ref.targetType}:${ref.uuid}`)?.schedule ?? null
+    }));
+
+    const winner = resolvedChain.find(ref => ref.schedule);
+
+    return {
+        target: { targetType, id: target.publicCode, name: target.name },
+        schedule: winner?.schedule ?? null,
+        inherited: Boolean(winner) && !(winner.targetType === targetType && winner.id === target.publicCode),
+        source: winner ? { targetType: winner.targetType, id: winner.id, name: winner.name } : null,
+        chain: resolvedChain
+    };
+};
@@ -238,7 +238,7 @@ const seedUsers = async () => {
     const passwordHash = await bcrypt.hash(testPassword, 10);
 
     // Obtener todos los roles para mapeo
-    const allRoles = await Role.findAll();
+    const allRoles = await Role.findAll({ where: { organizationId: null } });
     const roleMap = {};
     allRoles.forEach(role => {
         roleMap[role.name] = role.id;
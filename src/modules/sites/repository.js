@@ -166,6 +166,7 @@ export const deleteSite = async (id) => {
  * 
  * @param {Object} options - Opciones de filtrado y paginación
  * @param {boolean} options.notInHierarchy - Si true, excluye sites que ya están en resource_hierarchy
+ * @param {string[]} [options.publicCodes] - Restringe a estos public codes (ACL de la jerarquía)
  * @returns {Promise<Object>} - { items: [...], total, page, limit }
  */
 export const listSites = async ({ 
@@ -174,6 +175,7 @@ export const listSites = async ({
     countryCode,
     isActive,
     city,
+    publicCodes,
     notInHierarchy = false,
     limit = 20, 
     offset = 0 
@@ -186,6 +188,7 @@ export const listSites = async ({
             countryCode,
             isActive,
             city,
+            publicCodes,
             limit,
             offset
         });
@@ -194,6 +197,11 @@ export const listSites = async ({
     // Flujo normal con Sequelize ORM
     const where = {};
     
+    // ACL de la jerarquía: solo los sites accesibles
+    if (publicCodes !== undefined) {
+        where.publicCode = { [Op.in]: publicCodes };
+    }
+    
     if (organizationIds !== undefined && Array.isArray(organizationIds) && organizationIds.length > 0) {
         where.organizationId = { [Op.in]: organizationIds };
     } else if (organizationId !== undefined && organizationId !== null) {
@@ -253,6 +261,7 @@ const listSitesNotInHierarchy = async ({
     countryCode,
     isActive,
     city,
+    publicCodes,
     limit = 20,
     offset = 0
 }) => {
@@ -260,6 +269,12 @@ const listSitesNotInHierarchy = async ({
     const bindings = [];
     let bindIndex = 1;
     
+    if (publicCodes !== undefined) {
+        conditions.push(`s.public_code = ANY($${bindIndex}::text[])`);
+        bindings.push(publicCodes);
+        bindIndex++;
+    }
+    
     // Filtros de organización
     if (organizationIds && Array.isArray(organizationIds) && organizationIds.length > 0) {
         conditions.push(`s.organization_id = ANY($${bindIndex}::uuid[])`);
@@ -2,10 +2,11 @@
 // Rutas REST para el módulo de Sites (Locaciones Físicas)
 
 import express from 'express';
-import { authenticate, requireRole } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import { validate } from '../../middleware/validate.js';
 import { enforceActiveOrganization } from '../../middleware/enforceActiveOrganization.js';
 import { validateResourceOwnership } from '../../middleware/validateResourceOwnership.js';
+import { attachResourceAccess, requireResourceAccess } from '../../middleware/resourceAccess.js';
 import * as siteServices from './services.js';
 import * as siteRepository from './repository.js';
 import {
@@ -32,7 +33,7 @@ const siteLogger = logger.child({ component: 'sites' });
 
 
 // 📄 Swagger: src/docs/swagger/sites.yaml -> POST /
-router.post('/', authenticate, requireRole(['system-admin', 'org-admin']), enforceActiveOrganization, validate(createSiteSchema), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('sites.create'), enforceActiveOrganization, validate(createSiteSchema), async (req, res, next) => {
     try {
         const userId = req.user.userId;
         const ipAddress = req.ip || req.connection.remoteAddress;
@@ -56,14 +57,15 @@ router.post('/', authenticate, requireRole(['system-admin', 'org-admin']), enfor
 
 
 // 📄 Swagger: src/docs/swagger/sites.yaml -> GET /
-router.get('/', authenticate, enforceActiveOrganization, validate(listSitesSchema), async (req, res, next) => {
+router.get('/', authenticate, enforceActiveOrganization, attachResourceAccess, validate(listSitesSchema), async (req, res, next) => {
     try {
         // Usa la organización del contexto establecido por el middleware
         // Si showAll=true (God View), no filtra por organización
         const result = await siteServices.listSites({
             ...req.query,
             organizationId: req.organizationContext.id,
-            showAll: req.organizationContext.showAll || false
+            showAll: req.organizationContext.showAll || false,
+            accessScope: req.resourceAccess
         });
         
         // Respuesta con estructura estándar: data[] + meta{}
@@ -86,7 +88,7 @@ router.get('/', authenticate, enforceActiveOrganization, validate(listSitesSchem
 
 
 // 📄 Swagger: src/docs/swagger/sites.yaml -> GET /:id
-router.get('/:id', authenticate, validateSiteOwnership, validate(getSiteSchema), async (req, res, next) => {
+router.get('/:id', authenticate, validateSiteOwnership, requireResourceAccess('site'), validate(getSiteSchema), async (req, res, next) => {
     try {
         // El middleware validateSiteOwnership ya validó el acceso
         // Usamos el servicio para obtener el DTO público completo con relaciones
@@ -107,7 +109,7 @@ router.get('/:id', authenticate, validateSiteOwnership, validate(getSiteSchema),
 
 
 // 📄 Swagger: src/docs/swagger/sites.yaml -> PUT /:id
-router.put('/:id', authenticate, requireRole(['system-admin', 'org-admin']), validateSiteOwnership, validate(updateSiteSchema), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('sites.edit'), validateSiteOwnership, requireResourceAccess('site', 'edit'), validate(updateSiteSchema), async (req, res, next) => {
     try {
         // El middleware validateSiteOwnership ya validó el acceso
         const userId = req.user.userId;
@@ -131,7 +133,7 @@ router.put('/:id', authenticate, requireRole(['system-admin', 'org-admin']), val
 
 
 // 📄 Swagger: src/docs/swagger/sites.yaml -> DELETE /:id
-router.delete('/:id', authenticate, requireRole(['system-admin']), validateSiteOwnership, validate(deleteSiteSchema), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('sites.delete'), validateSiteOwnership, requireResourceAccess('site', 'edit'), validate(deleteSiteSchema), async (req, res, next) => {
     try {
         // El middleware validateSiteOwnership ya validó el acceso y existencia
         const userId = req.user.userId;
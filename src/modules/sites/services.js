@@ -6,6 +6,7 @@ import * as siteRepository from './repository.js';
 import * as organizationRepository from '../organizations/repository.js';
 import * as countryRepository from '../countries/repository.js';
 import { cacheSiteList, getCachedSiteList, invalidateSiteCache } from './cache.js';
+import { listAccessibleCodes } from '../resource-hierarchy/accessScope.js';
 import { logAuditAction } from '../../helpers/auditLog.js';
 import { generateHumanId, generatePublicCode } from '../../utils/identifiers.js';
 import Site from './models/Site.js';
@@ -147,15 +148,17 @@ export const getSiteByPublicCode = async (publicCode) => {
 /**
  * Listar sites con filtros y paginación
  * @param {Object} filters - Filtros de búsqueda
+ * @param {Object|null} [filters.accessScope] - Scope de la jerarquía (ver resource-hierarchy/accessScope.js); null = sin restricción
  * @returns {Promise<Object>} - Lista de sites paginada
  */
-export const listSites = async (filters) => {
+export const listSites = async ({ accessScope = null, ...filters }) => {
     const { showAll = false } = filters;
+    const publicCodes = listAccessibleCodes(accessScope, 'site');
     
     // En modo showAll (God View), no filtramos por organización
     if (showAll) {
         // Preparar filtros para el repository sin organización
-        const repoFilters = { ...filters, showAll: true };
+        const repoFilters = { ...filters, publicCodes, showAll: true };
         delete repoFilters.organizationId;
         delete repoFilters.organizationIds;
         
@@ -189,7 +192,8 @@ export const listSites = async (filters) => {
     const cacheKey = JSON.stringify({
         ...filters,
         organizationId: organizationUuid,
-        organizationIds: organizationUuids
+        organizationIds: organizationUuids,
+        accessScope: accessScope?.hash ?? null
     });
     
     // Intentar obtener del cache
@@ -202,7 +206,8 @@ export const listSites = async (filters) => {
     const repoFilters = {
         ...filters,
         organizationId: organizationUuid,
-        organizationIds: organizationUuids
+        organizationIds: organizationUuids,
+        publicCodes
     };
 
     // Obtener de BD
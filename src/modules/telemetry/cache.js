@@ -8,6 +8,7 @@
  * - tm:mtypes:global:{lang} - Measurement types globales
  * - tm:latest:{channelId} - Último dato de telemetría
  * - tm:data:{channelId}:{from}:{to}:{res} - Datos históricos agregados
+ * - tm:export:{jobId} - Estado de jobs de exportación (CSV/XLSX)
  */
 
 import { getCache, setCache, deleteCache, scanAndDelete } from '../../db/redis/client.js';
@@ -256,6 +257,40 @@ export const getCachedHistoricalData = async (channelId, from, to, resolution) =
     }
 };
 
+// ============================================
+// JOBS DE EXPORTACIÓN
+// ============================================
+
+/**
+ * Guarda el estado de un job de exportación
+ * @param {string} jobId - Código público del job (EXP-XXX-XXX)
+ * @param {Object} job - Estado completo del job
+ * @param {number} ttl - TTL en segundos
+ */
+export const cacheExportJob = async (jobId, job, ttl) => {
+    try {
+        const key = buildKey('export', jobId);
+        await setCache(key, job, ttl);
+    } catch (error) {
+        logger.error({ err: error, jobId }, 'Error caching export job');
+    }
+};
+
+/**
+ * Obtiene el estado de un job de exportación
+ * @param {string} jobId - Código público del job
+ * @returns {Promise<Object|null>}
+ */
+export const getCachedExportJob = async (jobId) => {
+    try {
+        const key = buildKey('export', jobId);
+        return await getCache(key);
+    } catch (error) {
+        logger.error({ err: error, jobId }, 'Error getting cached export job');
+        return null;
+    }
+};
+
 // ============================================
 // INVALIDACIÓN DE CACHE
 // ============================================
@@ -390,6 +425,9 @@ export default {
     // Historical
     cacheHistoricalData,
     getCachedHistoricalData,
+    // Export jobs
+    cacheExportJob,
+    getCachedExportJob,
     // Invalidation
     invalidateChannelTelemetryCache,
     invalidateDeviceTelemetryCache,
@@ -5,10 +5,17 @@
  */
 import { Router } from 'express';
 import { search, getLatest, getLatestBatch } from './services/telemetryService.js';
+import { getChannelStats } from './services/statsService.js';
+import { SCHEDULE_RESOLUTIONS, loadChannelSchedule, comparisonOffsetMs, tagTimestamp } from './services/scheduleBreakdownService.js';
 import { variablesRouter } from './routes/variablesRoutes.js';
 import { annotationsRouter } from './routes/annotationsRoutes.js';
+import { exportRouter } from './routes/exportRoutes.js';
 import { getTelemetryMetadata, resolveChannelIdentifier, getChannelVariables, getVariablesByMeasurementType } from './repositories/metadataRepository.js';
 import { authenticate } from '../../middleware/auth.js';
+import { enforceActiveOrganization } from '../../middleware/enforceActiveOrganization.js';
+import { validateResourceOwnership } from '../../middleware/validateResourceOwnership.js';
+import { requireResourceAccess, attachResourceAccess } from '../../middleware/resourceAccess.js';
+import * as channelRepository from '../channels/repository.js';
 import { z } from 'zod';
 import { dayjs } from '../../utils/dateUtils.js';
 
@@ -24,7 +31,11 @@ const searchSchema = z.object({
     tz: z.string().optional(),
     variables: z.array(z.number()).optional(),
     excludeDays: z.array(z.number().min(0).max(6)).optional(),
-    hourRanges: z.array(z.tuple([z.string(), z.string()])).optional()
+    hourRanges: z.array(z.tuple([z.string(), z.string()])).optional(),
+    scheduleCode: z.string().regex(/^(SCH-|auto$)/, 'scheduleCode debe ser un código de schedule (SCH-XXX-XXX) o "auto"').optional()
+}).refine(data => !data.scheduleCode || SCHEDULE_RESOLUTIONS.includes(data.resolution), {
+    message: `scheduleCode requiere resolución ${SCHEDULE_RESOLUTIONS.join(', ')}`,
+    path: ['scheduleCode']
 });
 
 /**
@@ -76,44 +87,61 @@ const formatTsWithOffset = (ts, tz) => {
     return dayjs(ts).tz(tz).format('YYYY-MM-DDTHH:mm:ssZ');
 };
 
+/**
+ * Parsea y valida los query params de búsqueda compartidos por /data y /stats
+ * Soporta forma bracket (?variables[]=1) y plain (?variables=1) para arrays
+ * @param {Object} q - req.query
+ * @returns {import('zod').SafeParseReturnType} Resultado de searchSchema.safeParse
+ */
+const parseSearchQuery = (q) => {
+    const { from, to, comparisonFrom, comparisonTo, resolution, tz, scheduleCode } = q;
+
+    const rawVariables = q['variables[]'] ?? q.variables;
+    const rawExcludeDays = q['excludeDays[]'] ?? q.excludeDays;
+    const rawTimeRanges = q['timeRanges[]'] ?? q.timeRanges;
+
+    const parsedVariables = rawVariables 
+        ? (Array.isArray(rawVariables) ? rawVariables.map(Number) : [Number(rawVariables)])
+        : undefined;
+    
+    const parsedExcludeDays = rawExcludeDays
+        ? (Array.isArray(rawExcludeDays) ? rawExcludeDays.map(Number) : [Number(rawExcludeDays)])
+        : undefined;
+
+    const parsedTimeRanges = parseTimeRanges(rawTimeRanges);
+
+    return searchSchema.safeParse({
+        from,
+        to,
+        comparisonFrom: comparisonFrom || undefined,
+        comparisonTo: comparisonTo || undefined,
+        resolution: resolution || '1m',
+        tz,
+        variables: parsedVariables,
+        excludeDays: parsedExcludeDays,
+        hourRanges: parsedTimeRanges,
+        scheduleCode: scheduleCode || undefined
+    });
+};
+
 const router = Router();
 
+// Canal de la organización del usuario y cubierto por sus grants de la jerarquía
+const validateChannelOwnership = validateResourceOwnership({
+    findById: channelRepository.findChannelById,
+    findByPublicCode: channelRepository.findChannelByPublicCodeInternal,
+    resourceName: 'channel',
+    paramName: 'channelId',
+    checkSoftDelete: true
+});
+
 
 // 📄 Swagger: src/docs/swagger/telemetry.yaml -> GET /channels/:channelId/data
 // Contrato v1.1: respuesta con formato metadata/variables/data
-router.get('/channels/:channelId/data', authenticate, async (req, res) => {
+router.get('/channels/:channelId/data', authenticate, validateChannelOwnership, requireResourceAccess('channel'), async (req, res) => {
     try {
         const { channelId } = req.params;
-        const q = req.query;
-        const { from, to, comparisonFrom, comparisonTo, resolution, tz } = q;
-
-        // Parsear arrays de query params — soporte para forma bracket (?variables[]=1) y plain (?variables=1)
-        const rawVariables = q['variables[]'] ?? q.variables;
-        const rawExcludeDays = q['excludeDays[]'] ?? q.excludeDays;
-        const rawTimeRanges = q['timeRanges[]'] ?? q.timeRanges;
-
-        const parsedVariables = rawVariables 
-            ? (Array.isArray(rawVariables) ? rawVariables.map(Number) : [Number(rawVariables)])
-            : undefined;
-        
-        const parsedExcludeDays = rawExcludeDays
-            ? (Array.isArray(rawExcludeDays) ? rawExcludeDays.map(Number) : [Number(rawExcludeDays)])
-            : undefined;
-
-        const parsedTimeRanges = parseTimeRanges(rawTimeRanges);
-
-        // Validar parámetros
-        const validation = searchSchema.safeParse({
-            from,
-            to,
-            comparisonFrom: comparisonFrom || undefined,
-            comparisonTo: comparisonTo || undefined,
-            resolution: resolution || '1m',
-            tz,
-            variables: parsedVariables,
-            excludeDays: parsedExcludeDays,
-            hourRanges: parsedTimeRanges
-        });
+        const validation = parseSearchQuery(req.query);
 
         if (!validation.success) {
             return res.status(400).json({
@@ -126,6 +154,11 @@ router.get('/channels/:channelId/data', authenticate, async (req, res) => {
             });
         }
 
+        // Schedule opcional: clasificar cada fila por time profile (en horario / fuera de horario)
+        const schedule = validation.data.scheduleCode
+            ? await loadChannelSchedule(channelId, validation.data.scheduleCode, req.locale || 'es')
+            : null;
+
         const result = await search({
             identifier: { publicCode: channelId },
             from: validation.data.from,
@@ -147,21 +180,34 @@ router.get('/channels/:channelId/data', authenticate, async (req, res) => {
         // Construir respuesta v1.1
         const variablesV1 = buildVariablesV1(result.variables);
 
+        // Conteo de filas por segmento del schedule (solo período principal)
+        const segmentCounts = {};
+
         // Helper para transformar filas: omitir valores null y usar timestamps con offset
-        const transformRows = (rows) => rows.map(row => {
+        // Con schedule, cada fila lleva su segmento (evaluado en hora local del dispositivo).
+        // offsetMs: las filas de comparación vienen remapeadas y se clasifican con su fecha real.
+        const transformRows = (rows, { offsetMs = 0, countSegments = false } = {}) => rows.map(row => {
             const values = {};
             for (const [varId, value] of Object.entries(row.values)) {
                 if (value !== null && value !== undefined) {
                     values[varId] = value;
                 }
             }
-            return {
+            const entry = {
                 ts: formatTsWithOffset(row.ts, effectiveTz),
                 values
             };
+            if (schedule) {
+                const realTs = new Date(new Date(row.ts).getTime() - offsetMs);
+                entry.schedule = tagTimestamp(realTs, schedule, result.metadata.timezone);
+                if (countSegments) {
+                    segmentCounts[entry.schedule.segment] = (segmentCounts[entry.schedule.segment] || 0) + 1;
+                }
+            }
+            return entry;
         });
 
-        const dataV1 = transformRows(result.data);
+        const dataV1 = transformRows(result.data, { countSegments: true });
 
         // Transformar bloque comparison si existe
         let comparisonV1 = null;
@@ -170,34 +216,133 @@ router.get('/channels/:channelId/data', authenticate, async (req, res) => {
                 period: result.comparison.period,
                 label: result.comparison.label,
                 totalRecords: result.comparison.totalRecords,
-                data: transformRows(result.comparison.data)
+                data: transformRows(result.comparison.data, {
+                    offsetMs: schedule
+                        ? comparisonOffsetMs(validation.data.from, validation.data.comparisonFrom, result.metadata.timezone)
+                        : 0
+                })
+            };
+        }
+
+        const responseData = {
+            metadata: {
+                uuid: result.metadata.uuid,
+                channelId,
+                channelName: result.metadata.channelName,
+                deviceName: result.metadata.deviceName,
+                timezone: effectiveTz,
+                resolution: result.metadata.resolution,
+                totalRecords: result.metadata.totalRecords,
+                period: {
+                    from: validation.data.from,
+                    to: validation.data.to
+                }
+            },
+            variables: variablesV1,
+            data: dataV1,
+            comparison: comparisonV1
+        };
+
+        if (schedule) {
+            responseData.schedule = {
+                id: schedule.id,
+                name: schedule.name,
+                ...(schedule.source && { source: schedule.source }),
+                segments: schedule.segments.map(segment => ({
+                    ...segment,
+                    totalRecords: segmentCounts[segment.key] || 0
+                }))
             };
         }
 
+        return res.json({
+            ok: true,
+            data: responseData
+        });
+
+    } catch (error) {
+        console.error('Telemetry search error:', error);
+
+        if (error.message.includes('no encontrado') || error.message.includes('not found')) {
+            return res.status(404).json({
+                ok: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: error.message
+                }
+            });
+        }
+
+        return res.status(500).json({
+            ok: false,
+            error: {
+                code: 'INTERNAL_ERROR',
+                message: 'Error al obtener datos de telemetría',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            }
+        });
+    }
+});
+
+
+// 📄 Swagger: src/docs/swagger/telemetry.yaml -> GET /channels/:channelId/stats
+// Estadísticas por variable sobre el período (mismos filtros y comparación que /data)
+router.get('/channels/:channelId/stats', authenticate, validateChannelOwnership, requireResourceAccess('channel'), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+        const validation = parseSearchQuery(req.query);
+
+        if (!validation.success) {
+            return res.status(400).json({
+                ok: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Parámetros inválidos',
+                    details: validation.error.errors
+                }
+            });
+        }
+
+        const schedule = validation.data.scheduleCode
+            ? await loadChannelSchedule(channelId, validation.data.scheduleCode, req.locale || 'es')
+            : null;
+
+        const stats = await getChannelStats({
+            identifier: { publicCode: channelId },
+            from: validation.data.from,
+            to: validation.data.to,
+            comparisonFrom: validation.data.comparisonFrom || null,
+            comparisonTo: validation.data.comparisonTo || null,
+            resolution: validation.data.resolution,
+            tz: validation.data.tz,
+            variables: validation.data.variables,
+            lang: req.locale || 'es',
+            schedule,
+            filters: {
+                excludeDays: validation.data.excludeDays,
+                hourRanges: validation.data.hourRanges
+            }
+        });
+
         return res.json({
             ok: true,
             data: {
                 metadata: {
-                    uuid: result.metadata.uuid,
-                    channelId: channelId,
-                    channelName: result.metadata.channelName,
-                    deviceName: result.metadata.deviceName,
-                    timezone: effectiveTz,
-                    resolution: result.metadata.resolution,
-                    totalRecords: result.metadata.totalRecords,
+                    ...stats.metadata,
+                    channelId,
                     period: {
                         from: validation.data.from,
                         to: validation.data.to
                     }
                 },
-                variables: variablesV1,
-                data: dataV1,
-                comparison: comparisonV1
+                variables: stats.variables,
+                ...(stats.schedule && { schedule: stats.schedule }),
+                comparison: stats.comparison
             }
         });
 
     } catch (error) {
-        console.error('Telemetry search error:', error);
+        console.error('Telemetry stats error:', error);
 
         if (error.message.includes('no encontrado') || error.message.includes('not found')) {
             return res.status(404).json({
@@ -213,7 +358,7 @@ router.get('/channels/:channelId/data', authenticate, async (req, res) => {
             ok: false,
             error: {
                 code: 'INTERNAL_ERROR',
-                message: 'Error al obtener datos de telemetría',
+                message: 'Error al calcular estadísticas de telemetría',
                 details: process.env.NODE_ENV === 'development' ? error.message : undefined
             }
         });
@@ -223,7 +368,7 @@ router.get('/channels/:channelId/data', authenticate, async (req, res) => {
 
 // 📄 E2 — Variables catalog por canal (contrato v1.1)
 // Orden garantizado: display_order ASC NULLS LAST, variable_id ASC (igual que el query SQL)
-router.get('/channels/:channelId/variables', authenticate, async (req, res) => {
+router.get('/channels/:channelId/variables', authenticate, validateChannelOwnership, requireResourceAccess('channel'), async (req, res) => {
     try {
         const { channelId } = req.params;
 
@@ -302,7 +447,7 @@ router.get('/channels/:channelId/variables', authenticate, async (req, res) => {
 
 
 // 📄 Swagger: src/docs/swagger/telemetry.yaml -> GET /channels/:channelId/latest
-router.get('/channels/:channelId/latest', async (req, res) => {
+router.get('/channels/:channelId/latest', authenticate, validateChannelOwnership, requireResourceAccess('channel'), async (req, res) => {
     try {
         const { channelId } = req.params;
         const { since } = req.query;
@@ -340,7 +485,8 @@ router.get('/channels/:channelId/latest', async (req, res) => {
 
 
 // 📄 Swagger: src/docs/swagger/telemetry.yaml -> POST /batch/latest
-router.post('/batch/latest', async (req, res) => {
+// Los canales de otra organización o fuera de los grants de la jerarquía responden como no encontrados
+router.post('/batch/latest', authenticate, enforceActiveOrganization, attachResourceAccess, async (req, res) => {
     try {
         const { channels, since } = req.body;
 
@@ -366,7 +512,10 @@ router.post('/batch/latest', async (req, res) => {
             });
         }
 
-        const result = await getLatestBatch(channels, { since });
+        const result = await getLatestBatch(channels, {
+            since,
+            access: { orgContext: req.organizationContext, accessScope: req.resourceAccess }
+        });
 
         return res.json({
             ok: true,
@@ -394,9 +543,14 @@ router.use('/variables', variablesRouter);
 // Montar rutas de annotations por canal
 router.use('/channels/:channelId/annotations', annotationsRouter);
 
+// Montar rutas de exportación (CSV/XLSX)
+// 📄 Swagger: src/docs/swagger/telemetry.yaml -> POST /export
+router.use('/export', exportRouter);
+
 // Exportar router y servicios
 export { router as telemetryRouter };
 export { search, getLatest, getLatestBatch } from './services/telemetryService.js';
+export { getChannelStats } from './services/statsService.js';
 export { 
     getTelemetryMetadata, 
     resolveChannelIdentifier,
@@ -7,9 +7,15 @@
  *   - GET: cualquier usuario autenticado
  *   - POST: cualquier usuario autenticado
  *   - PUT / DELETE: autor de la anotación o admin
+ *
+ * Todas verifican que el canal sea de una organización accesible y esté cubierto
+ * por los grants de la jerarquía del usuario (si los tiene).
  */
 import { Router } from 'express';
 import { authenticate } from '../../../middleware/auth.js';
+import { validateResourceOwnership } from '../../../middleware/validateResourceOwnership.js';
+import { requireResourceAccess } from '../../../middleware/resourceAccess.js';
+import * as channelRepository from '../../channels/repository.js';
 import {
     getAnnotations,
     postAnnotation,
@@ -19,6 +25,14 @@ import {
 
 const router = Router({ mergeParams: true });
 
+const validateChannelOwnership = validateResourceOwnership({
+    findById: channelRepository.findChannelById,
+    findByPublicCode: channelRepository.findChannelByPublicCodeInternal,
+    resourceName: 'channel',
+    paramName: 'channelId',
+    checkSoftDelete: true
+});
+
 const handleError = (res, error, defaultMessage) => {
     if (error.code === 'NOT_FOUND') {
         return res.status(404).json({
@@ -58,7 +72,7 @@ const handleError = (res, error, defaultMessage) => {
  *   from — YYYY-MM-DD o Unix ms (requerido)
  *   to   — YYYY-MM-DD o Unix ms (requerido)
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, validateChannelOwnership, requireResourceAccess('channel'), async (req, res) => {
     try {
         const { channelId } = req.params;
         const { from, to } = req.query;
@@ -90,7 +104,7 @@ router.get('/', authenticate, async (req, res) => {
  *   category    — 'observation' | 'incident' | 'maintenance' | 'alert_auto' (default: observation)
  *   visibility  — 'public' | 'private' (default: public)
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, validateChannelOwnership, requireResourceAccess('channel'), async (req, res) => {
     try {
         const { channelId } = req.params;
         const annotation = await postAnnotation(channelId, req.body, req.user);
@@ -109,7 +123,7 @@ router.post('/', authenticate, async (req, res) => {
  * Body (JSON, todos opcionales):
  *   from, to, text, category, visibility
  */
-router.put('/:annotationId', authenticate, async (req, res) => {
+router.put('/:annotationId', authenticate, validateChannelOwnership, requireResourceAccess('channel'), async (req, res) => {
     try {
         const { channelId, annotationId } = req.params;
         const annotation = await putAnnotation(channelId, annotationId, req.body, req.user);
@@ -125,7 +139,7 @@ router.put('/:annotationId', authenticate, async (req, res) => {
  *
  * Elimina una anotación. Solo el autor o un admin puede eliminarla.
  */
-router.delete('/:annotationId', authenticate, async (req, res) => {
+router.delete('/:annotationId', authenticate, validateChannelOwnership, requireResourceAccess('channel'), async (req, res) => {
     try {
         const { channelId, annotationId } = req.params;
         const result = await removeAnnotation(channelId, annotationId, req.user);
@@ -0,0 +1,176 @@
+/**
+ * Rutas de Exportación de Telemetría
+ *
+ * Exporta datos de uno o más canales a CSV o XLSX.
+ *
+ * - POST /export: si la estimación de filas es chica responde el archivo directo (stream);
+ *   si supera TELEMETRY_EXPORT_SYNC_MAX_ROWS crea un job en background y responde 202 con jobId.
+ * - GET /export/jobs/:jobId: estado y progreso del job; al completarse incluye URL de descarga temporal.
+ *
+ * El archivo de los jobs queda registrado en el módulo files con category 'export'.
+ */
+import { Router } from 'express';
+import { z } from 'zod';
+import { authenticate, requirePermission } from '../../../middleware/auth.js';
+import { enforceActiveOrganization } from '../../../middleware/enforceActiveOrganization.js';
+import { attachResourceAccess } from '../../../middleware/resourceAccess.js';
+import { config } from '../../../config/env.js';
+import logger from '../../../utils/logger.js';
+import {
+    EXPORT_FORMATS,
+    estimateRows,
+    prepareChannels,
+    writeExport,
+    buildFileName,
+    startExportJob,
+    getExportJob
+} from '../services/exportService.js';
+
+const router = Router();
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RANGE_REGEX = /^\d{2}:\d{2}-\d{2}:\d{2}$/;
+
+// Esquema de validación del body de exportación
+const exportSchema = z.object({
+    channels: z.array(z.string().min(1)).min(1, 'Se requiere al menos un canal'),
+    from: z.string().regex(DATE_REGEX, 'from debe tener formato YYYY-MM-DD'),
+    to: z.string().regex(DATE_REGEX, 'to debe tener formato YYYY-MM-DD'),
+    resolution: z.enum(['raw', '1m', '15m', '60m', 'daily', 'monthly']).default('60m'),
+    format: z.enum(['csv', 'xlsx']).default('csv'),
+    delimiter: z.enum([',', ';']).default(','),
+    tz: z.string().optional(),
+    variables: z.array(z.number()).optional(),
+    excludeDays: z.array(z.number().min(0).max(6)).optional(),
+    timeRanges: z.array(z.string().regex(TIME_RANGE_REGEX, 'timeRanges debe tener formato HH:mm-HH:mm')).optional(),
+    async: z.boolean().optional()
+}).refine(data => data.from <= data.to, {
+    message: 'from debe ser menor o igual a to',
+    path: ['from']
+});
+
+const handleError = (res, error, defaultMessage) => {
+    if (error.code === 'NOT_FOUND') {
+        return res.status(404).json({
+            ok: false,
+            error: { code: 'NOT_FOUND', message: error.message }
+        });
+    }
+    if (error.code === 'VALIDATION_ERROR') {
+        return res.status(400).json({
+            ok: false,
+            error: { code: 'VALIDATION_ERROR', message: error.message }
+        });
+    }
+    return res.status(500).json({
+        ok: false,
+        error: {
+            code: 'INTERNAL_ERROR',
+            message: defaultMessage,
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        }
+    });
+};
+
+/**
+ * POST /api/v1/telemetry/export
+ *
+ * Body:
+ *   channels    — public codes de canales (requerido)
+ *   from, to    — YYYY-MM-DD en hora local del dispositivo (requerido)
+ *   resolution  — raw | 1m | 15m | 60m | daily | monthly (default 60m)
+ *   format      — csv | xlsx (default csv)
+ *   delimiter   — , | ; (solo CSV)
+ *   tz, variables, excludeDays, timeRanges — mismos filtros que /channels/:channelId/data
+ *   async       — forzar job en background aunque la exportación sea chica
+ */
+// 📄 Swagger: src/docs/swagger/telemetry.yaml -> POST /export
+router.post('/', authenticate, requirePermission('telemetry.export'), enforceActiveOrganization, attachResourceAccess, async (req, res) => {
+    const validation = exportSchema.safeParse(req.body || {});
+
+    if (!validation.success) {
+        return res.status(400).json({
+            ok: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'Parámetros inválidos',
+                details: validation.error.errors
+            }
+        });
+    }
+
+    const data = validation.data;
+    const params = {
+        from: data.from,
+        to: data.to,
+        resolution: data.resolution,
+        format: data.format,
+        delimiter: data.delimiter,
+        tz: data.tz,
+        variables: data.variables,
+        lang: req.locale || 'es',
+        filters: {
+            excludeDays: data.excludeDays,
+            hourRanges: data.timeRanges?.map(r => r.split('-'))
+        }
+    };
+
+    let channels;
+    try {
+        channels = await prepareChannels(data.channels, req.organizationContext, params, req.resourceAccess);
+    } catch (error) {
+        return handleError(res, error, 'Error al preparar la exportación');
+    }
+
+    const estimatedRows = estimateRows(params, channels.length);
+
+    // Exportación grande (o async explícito): job en background
+    if (data.async || estimatedRows > config.telemetryExport.syncMaxRows) {
+        try {
+            const job = await startExportJob(channels, params, {
+                userId: req.user.userId,
+                organizationId: req.organizationContext.id || channels[0].organizationId,
+                ipAddress: req.ip || req.connection?.remoteAddress,
+                userAgent: req.headers['user-agent']
+            }, estimatedRows);
+
+            return res.status(202).json({ ok: true, data: job });
+        } catch (error) {
+            return handleError(res, error, 'Error al crear el job de exportación');
+        }
+    }
+
+    // Exportación chica: stream directo al response
+    const formatConfig = EXPORT_FORMATS[params.format];
+    res.status(200);
+    res.setHeader('Content-Type', `${formatConfig.mimeType}${params.format === 'csv' ? '; charset=utf-8' : ''}`);
+    res.setHeader('Content-Disposition', `attachment; filename="${buildFileName(channels, params)}"`);
+
+    try {
+        await writeExport(res, channels, params);
+    } catch (error) {
+        logger.error({ err: error, channels: data.channels }, 'Telemetry export stream error');
+        // Si ya se enviaron bytes no se puede responder JSON: cortar la conexión
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        return handleError(res, error, 'Error al exportar telemetría');
+    }
+});
+
+/**
+ * GET /api/v1/telemetry/export/jobs/:jobId
+ *
+ * Estado de un job de exportación. Solo visible para el usuario que lo creó.
+ */
+// 📄 Swagger: src/docs/swagger/telemetry.yaml -> GET /export/jobs/:jobId
+router.get('/jobs/:jobId', authenticate, async (req, res) => {
+    try {
+        const job = await getExportJob(req.params.jobId, req.user.userId);
+        return res.json({ ok: true, data: job });
+    } catch (error) {
+        return handleError(res, error, 'Error al obtener el job de exportación');
+    }
+});
+
+export { router as exportRouter };
@@ -8,7 +8,7 @@
  *   - POST / PUT / DELETE: solo system-admin
  */
 import { Router } from 'express';
-import { authenticate, requireRole } from '../../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../../middleware/auth.js';
 import {
     listVariables,
     getVariable,
@@ -178,7 +178,7 @@ router.get('/:id', authenticate, async (req, res) => {
  *   translations    — objeto { es: { name, description }, en: { name, description } }
  *                     Requiere al menos traducción 'es'
  */
-router.post('/', authenticate, requireRole(['system-admin']), async (req, res) => {
+router.post('/', authenticate, requirePermission('variables.manage'), async (req, res) => {
     try {
         const variable = await createVariable(req.body, getAuditContext(req));
 
@@ -197,7 +197,7 @@ router.post('/', authenticate, requireRole(['system-admin']), async (req, res) =
  * El campo `code` es inmutable — no se puede editar una vez creado.
  * Todos los demás campos son opcionales (patch parcial).
  */
-router.put('/:id', authenticate, requireRole(['system-admin']), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('variables.manage'), async (req, res) => {
     try {
         const id = parseInt(req.params.id, 10);
 
@@ -224,7 +224,7 @@ router.put('/:id', authenticate, requireRole(['system-admin']), async (req, res)
  * 
  * Para reactivar una variable usar PUT /:id con { isActive: true }.
  */
-router.delete('/:id', authenticate, requireRole(['system-admin']), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('variables.manage'), async (req, res) => {
     try {
         const id = parseInt(req.params.id, 10);
 
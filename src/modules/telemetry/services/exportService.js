@@ -0,0 +1,460 @@
+/**
+ * ExportService - Exportación de telemetría a CSV y XLSX
+ *
+ * Genera archivos a partir de telemetryService.search() para uno o más canales.
+ *
+ * Flujo:
+ * 1. Resolver canales y validar que pertenezcan a la organización activa
+ * 2. Estimar filas (canales × buckets de la resolución en el rango)
+ * 3. Si la estimación es chica: stream directo al response (síncrono)
+ * 4. Si es grande: job en background, el archivo queda en el módulo files
+ *    (category 'export') y el progreso se consulta por jobId en Redis
+ *
+ * Formato de filas (igual en CSV y XLSX):
+ * Fecha/hora | Zona horaria | Canal | Dispositivo | <Variable (unidad)>...
+ * Las columnas de variables son la unión de las variables de todos los canales.
+ */
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import { search } from './telemetryService.js';
+import { getTelemetryMetadata, resolveChannelIdentifier } from '../repositories/metadataRepository.js';
+import { cacheExportJob, getCachedExportJob } from '../cache.js';
+import { storeGeneratedFile, getDownloadUrl } from '../../files/services.js';
+import * as orgRepository from '../../organizations/repository.js';
+import { findChannelByPublicCodeInternal } from '../../channels/repository.js';
+import { canAccessResource } from '../../resource-hierarchy/accessScope.js';
+import { notify, NOTIFICATION_TYPES } from '../../notifications/services.js';
+import { translate } from '../../../middleware/i18n.js';
+import { generatePublicCode } from '../../../utils/identifiers.js';
+import { dayjs } from '../../../utils/dateUtils.js';
+import { config } from '../../../config/env.js';
+import logger from '../../../utils/logger.js';
+
+const exportLogger = logger.child({ component: 'telemetry-export' });
+
+/**
+ * Formatos soportados con su MIME type y extensión
+ */
+export const EXPORT_FORMATS = {
+    csv: {
+        mimeType: 'text/csv',
+        extension: 'csv'
+    },
+    xlsx: {
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx'
+    }
+};
+
+/**
+ * Minutos por bucket según resolución, para estimar filas.
+ * 'raw' no tiene intervalo fijo: se asume 1 minuto (cota razonable para equipos IoT).
+ */
+const RESOLUTION_MINUTES = {
+    raw: 1,
+    '1m': 1,
+    '15m': 15,
+    '60m': 60,
+    daily: 1440,
+    monthly: 43200
+};
+
+// Formato de timestamp en el archivo (hora local del dispositivo, sin offset)
+const TS_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+// BOM UTF-8 para que Excel abra el CSV con acentos correctos
+const UTF8_BOM = '\uFEFF';
+
+const buildError = (message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+/**
+ * Escribe un chunk respetando backpressure del stream
+ * @param {import('stream').Writable} stream
+ * @param {string} chunk
+ */
+const writeChunk = (stream, chunk) => {
+    if (stream.write(chunk)) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => stream.once('drain', resolve));
+};
+
+/**
+ * Estima la cantidad de filas de una exportación
+ * @param {Object} params - { from, to, resolution }
+ * @param {number} channelCount - Cantidad de canales
+ * @returns {number}
+ */
+export const estimateRows = ({ from, to, resolution }, channelCount) => {
+    const start = dayjs(from).startOf('day');
+    const end = dayjs(to).endOf('day');
+    const minutes = Math.max(end.diff(start, 'minute'), 0);
+    const perChannel = Math.ceil(minutes / (RESOLUTION_MINUTES[resolution] || 1));
+    return perChannel * channelCount;
+};
+
+/**
+ * Resuelve los canales de la exportación y valida que pertenezcan a la organización
+ * Devuelve la metadata de cada canal (ya traducida) para armar los encabezados antes de consultar datos.
+ *
+ * @param {string[]} channelCodes - Public codes de los canales (CHN-XXX-XXX)
+ * @param {Object} orgContext - req.organizationContext
+ * @param {Object} options - { variables, lang }
+ * @param {Object|null} [accessScope] - Scope de la jerarquía (req.resourceAccess); los canales fuera del scope se tratan como inexistentes
+ * @returns {Promise<Array<{publicCode: string, metadata: Object}>>}
+ */
+export const prepareChannels = async (channelCodes, orgContext, { variables, lang }, accessScope = null) => {
+    const uniqueCodes = [...new Set(channelCodes)];
+
+    if (uniqueCodes.length > config.telemetryExport.maxChannels) {
+        throw buildError(
+            `Máximo ${config.telemetryExport.maxChannels} canales por exportación`,
+            'VALIDATION_ERROR'
+        );
+    }
+
+    const prepared = [];
+    for (const publicCode of uniqueCodes) {
+        const channel = await findChannelByPublicCodeInternal(publicCode);
+        const belongsToOrg = channel && (orgContext.canAccessAll || channel.organizationId === orgContext.id);
+
+        if (!belongsToOrg || !canAccessResource(accessScope, 'channel', publicCode)) {
+            throw buildError(`Canal no encontrado: ${publicCode}`, 'NOT_FOUND');
+        }
+
+        const resolved = await resolveChannelIdentifier({ publicCode });
+        const metadata = resolved
+            ? await getTelemetryMetadata(resolved.channelId, lang, variables)
+            : null;
+
+        if (!metadata) {
+            throw buildError(`Metadata no encontrada para canal: ${publicCode}`, 'NOT_FOUND');
+        }
+
+        prepared.push({ publicCode, organizationId: channel.organizationId, metadata });
+    }
+
+    return prepared;
+};
+
+/**
+ * Construye las columnas del archivo: fijas + unión de variables de todos los canales
+ * @param {Array} channels - Resultado de prepareChannels
+ * @param {string} lang - Idioma de los encabezados
+ * @returns {{ headers: string[], variableIds: string[] }}
+ */
+const buildColumns = (channels, lang) => {
+    const variables = new Map();
+    for (const { metadata } of channels) {
+        for (const [varId, varInfo] of Object.entries(metadata.variables)) {
+            if (!variables.has(varId)) {
+                variables.set(varId, varInfo);
+            }
+        }
+    }
+
+    const headers = [
+        translate('telemetry.export.header.timestamp', {}, lang),
+        translate('telemetry.export.header.timezone', {}, lang),
+        translate('telemetry.export.header.channel', {}, lang),
+        translate('telemetry.export.header.device', {}, lang),
+        ...[...variables.values()].map(v => (v.unit ? `${v.name} (${v.unit})` : v.name))
+    ];
+
+    return { headers, variableIds: [...variables.keys()], variables: Object.fromEntries(variables) };
+};
+
+/**
+ * Recorre los canales consultando telemetría y emite filas listas para escribir
+ *
+ * @param {Array} channels - Resultado de prepareChannels
+ * @param {Object} params - Parámetros de búsqueda (from, to, resolution, tz, variables, filters, lang)
+ * @param {Object} columns - Resultado de buildColumns
+ * @param {Function} onRows - async (rows: Array<Array>) => void
+ * @param {Function} [onChannelDone] - async (index, totalRecords) => void
+ */
+const forEachChannelRows = async (channels, params, columns, onRows, onChannelDone) => {
+    for (let i = 0; i < channels.length; i++) {
+        const { publicCode } = channels[i];
+
+        const result = await search({
+            identifier: { publicCode },
+            from: params.from,
+            to: params.to,
+            resolution: params.resolution,
+            tz: params.tz,
+            variables: params.variables,
+            lang: params.lang,
+            filters: params.filters,
+            skipCache: true
+        });
+
+        const tz = params.tz || result.metadata.timezone;
+        const rows = result.data.map(row => [
+            dayjs(row.ts).tz(tz).format(TS_FORMAT),
+            tz,
+            result.metadata.channelName,
+            result.metadata.deviceName,
+            ...columns.variableIds.map(varId => {
+                const value = row.values[varId];
+                if (value === null || value === undefined) {
+                    return null;
+                }
+                const decimals = columns.variables[varId].decimalPlaces ?? 2;
+                return Number(value.toFixed(decimals));
+            })
+        ]);
+
+        await onRows(rows);
+
+        if (onChannelDone) {
+            await onChannelDone(i, result.metadata.totalRecords);
+        }
+    }
+};
+
+/**
+ * Escapa un valor para CSV (RFC 4180)
+ * @param {*} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+const toCsvField = (value, delimiter) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const str = String(value);
+    if (str.includes(delimiter) || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+};
+
+/**
+ * Escribe la exportación completa en un stream
+ *
+ * @param {import('stream').Writable} stream - Destino (response HTTP o PassThrough en memoria)
+ * @param {Array} channels - Resultado de prepareChannels
+ * @param {Object} params - Parámetros validados de la exportación
+ * @param {Function} [onChannelDone] - Callback de progreso por canal
+ */
+export const writeExport = async (stream, channels, params, onChannelDone) => {
+    const columns = buildColumns(channels, params.lang);
+
+    if (params.format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+        const sheet = workbook.addWorksheet(translate('telemetry.export.sheet_name', {}, params.lang));
+
+        const headerRow = sheet.addRow(columns.headers);
+        headerRow.font = { bold: true };
+        headerRow.commit();
+
+        await forEachChannelRows(channels, params, columns, async (rows) => {
+            for (const row of rows) {
+                sheet.addRow(row).commit();
+            }
+        }, onChannelDone);
+
+        sheet.commit();
+        await workbook.commit();
+        return;
+    }
+
+    const delimiter = params.delimiter || ',';
+    const toLine = (row) => row.map(v => toCsvField(v, delimiter)).join(delimiter) + '\r\n';
+
+    await writeChunk(stream, UTF8_BOM + toLine(columns.headers));
+
+    await forEachChannelRows(channels, params, columns, async (rows) => {
+        for (const row of rows) {
+            await writeChunk(stream, toLine(row));
+        }
+    }, onChannelDone);
+
+    stream.end();
+};
+
+/**
+ * Nombre de archivo para la exportación
+ * @param {Array} channels
+ * @param {Object} params
+ * @returns {string}
+ */
+export const buildFileName = (channels, params) => {
+    const subject = channels.length === 1 ? channels[0].publicCode : `${channels.length}-channels`;
+    return `telemetry_${subject}_${params.from}_${params.to}_${params.resolution}.${EXPORT_FORMATS[params.format].extension}`;
+};
+
+// ============================================
+// JOBS EN BACKGROUND
+// ============================================
+
+/**
+ * Vista pública de un job (sin IDs internos)
+ * @param {Object} job
+ * @returns {Object}
+ */
+const toPublicJobDto = (job) => ({
+    jobId: job.jobId,
+    status: job.status,
+    format: job.format,
+    progress: job.progress,
+    estimatedRows: job.estimatedRows,
+    totalRecords: job.totalRecords,
+    file: job.file,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt
+});
+
+const saveJob = async (job) => {
+    job.updatedAt = new Date().toISOString();
+    await cacheExportJob(job.jobId, job, config.telemetryExport.jobTTL);
+};
+
+/**
+ * Ejecuta el job: genera el archivo en memoria, lo sube a files y actualiza el estado
+ * @param {Object} job - Estado inicial del job
+ * @param {Array} channels - Resultado de prepareChannels
+ * @param {Object} params - Parámetros validados
+ * @param {Object} requester - { userId, ipAddress, userAgent }
+ */
+const runExportJob = async (job, channels, params, requester) => {
+    job.status = 'processing';
+    await saveJob(job);
+
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        stream.on('end', resolve);
+        stream.on('error', reject);
+    });
+
+    await writeExport(stream, channels, params, async (index, totalRecords) => {
+        job.totalRecords += totalRecords;
+        job.progress = {
+            processedChannels: index + 1,
+            totalChannels: channels.length,
+            percent: Math.round(((index + 1) / channels.length) * 100)
+        };
+        await saveJob(job);
+    });
+    await finished;
+
+    const organization = await orgRepository.findOrganizationByIdInternal(job.organizationId);
+    const formatConfig = EXPORT_FORMATS[params.format];
+
+    const file = await storeGeneratedFile({
+        organizationId: job.organizationId,
+        content: Buffer.concat(chunks),
+        originalName: buildFileName(channels, params),
+        mimeType: formatConfig.mimeType,
+        category: 'export',
+        ownerType: 'organization',
+        ownerId: organization.publicCode,
+        metadata: {
+            source: 'telemetry_export',
+            jobId: job.jobId,
+            channels: channels.map(c => c.publicCode),
+            from: params.from,
+            to: params.to,
+            resolution: params.resolution
+        }
+    }, requester.userId, requester.ipAddress, requester.userAgent);
+
+    job.status = 'completed';
+    job.completedAt = new Date().toISOString();
+    job.file = {
+        publicCode: file.id,
+        name: file.originalName,
+        sizeBytes: file.sizeBytes
+    };
+    await saveJob(job);
+
+    exportLogger.info({ jobId: job.jobId, fileId: file.id, totalRecords: job.totalRecords }, 'Telemetry export job completed');
+
+    await notify([requester.userId], {
+        type: NOTIFICATION_TYPES.EXPORT_COMPLETED,
+        organizationId: job.organizationId,
+        params: { file: file.originalName },
+        data: { jobId: job.jobId, fileId: file.id }
+    });
+};
+
+/**
+ * Crea un job de exportación y lo lanza en background
+ *
+ * @param {Array} channels - Resultado de prepareChannels
+ * @param {Object} params - Parámetros validados
+ * @param {Object} requester - { userId, organizationId, ipAddress, userAgent }
+ * @param {number} estimatedRows
+ * @returns {Promise<Object>} Job público
+ */
+export const startExportJob = async (channels, params, requester, estimatedRows) => {
+    const now = new Date().toISOString();
+    const job = {
+        jobId: generatePublicCode('EXP'),
+        status: 'pending',
+        format: params.format,
+        organizationId: requester.organizationId,
+        requestedBy: requester.userId,
+        estimatedRows,
+        totalRecords: 0,
+        progress: { processedChannels: 0, totalChannels: channels.length, percent: 0 },
+        file: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null
+    };
+
+    await saveJob(job);
+
+    // Sin await: el job corre en background y el request responde 202 de inmediato
+    runExportJob(job, channels, params, requester).catch(async (error) => {
+        exportLogger.error({ err: error, jobId: job.jobId }, 'Telemetry export job failed');
+        job.status = 'failed';
+        job.error = error.message;
+        await saveJob(job);
+
+        await notify([requester.userId], {
+            type: NOTIFICATION_TYPES.EXPORT_FAILED,
+            organizationId: job.organizationId,
+            params: { jobId: job.jobId },
+            data: { jobId: job.jobId }
+        });
+    });
+
+    return toPublicJobDto(job);
+};
+
+/**
+ * Obtiene el estado de un job. Solo visible para quien lo solicitó.
+ * Si está completo incluye una URL de descarga temporal (SAS).
+ *
+ * @param {string} jobId
+ * @param {string} userId - UUID del usuario que consulta
+ * @returns {Promise<Object>}
+ */
+export const getExportJob = async (jobId, userId) => {
+    const job = await getCachedExportJob(jobId);
+
+    if (!job || job.requestedBy !== userId) {
+        throw buildError('Job de exportación no encontrado o expirado', 'NOT_FOUND');
+    }
+
+    const dto = toPublicJobDto(job);
+
+    if (job.status === 'completed' && job.file) {
+        const { url, expiresAt } = await getDownloadUrl(job.file.publicCode);
+        dto.file = { ...dto.file, downloadUrl: url, downloadUrlExpiresAt: expiresAt };
+    }
+
+    return dto;
+};
@@ -0,0 +1,42 @@
+// modules/telemetry/services/exportService.test.js
+// Tests de los helpers puros de exportación (modules/telemetry/services/exportService.js)
+
+import { describe, it, expect } from 'vitest';
+import { estimateRows, buildFileName, EXPORT_FORMATS } from './exportService.js';
+
+describe('estimateRows', () => {
+    it('cuenta días completos según la resolución y los canales', () => {
+        // 1 día = 1439 minutos entre 00:00 y 23:59
+        expect(estimateRows({ from: '2026-10-01', to: '2026-10-01', resolution: '15m' }, 1)).toBe(96);
+        expect(estimateRows({ from: '2026-10-01', to: '2026-10-02', resolution: '60m' }, 3)).toBe(48 * 3);
+    });
+
+    it('asume 1 minuto para raw', () => {
+        expect(estimateRows({ from: '2026-10-01', to: '2026-10-01', resolution: 'raw' }, 2)).toBe(1439 * 2);
+    });
+
+    it('devuelve 0 con un rango invertido', () => {
+        expect(estimateRows({ from: '2026-10-05', to: '2026-10-01', resolution: '1m' }, 4)).toBe(0);
+    });
+});
+
+describe('buildFileName', () => {
+    const params = { from: '2026-10-01', to: '2026-10-07', resolution: '15m', format: 'xlsx' };
+
+    it('usa el public code con un solo canal', () => {
+        expect(buildFileName([{ publicCode: 'CHN-5LYJX-4' }], params))
+            .toBe('telemetry_CHN-5LYJX-4_2026-10-01_2026-10-07_15m.xlsx');
+    });
+
+    it('usa la cantidad de canales con varios', () => {
+        expect(buildFileName([{ publicCode: 'CHN-A' }, { publicCode: 'CHN-B' }], { ...params, format: 'csv' }))
+            .toBe('telemetry_2-channels_2026-10-01_2026-10-07_15m.csv');
+    });
+
+    it('cada formato declara extensión y MIME type', () => {
+        for (const format of Object.values(EXPORT_FORMATS)) {
+            expect(format.extension).toMatch(/^[a-z]+$/);
+            expect(format.mimeType).toContain('/');
+        }
+    });
+});
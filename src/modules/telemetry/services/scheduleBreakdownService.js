@@ -0,0 +1,130 @@
+/**
+ * ScheduleBreakdownService - Desglose de telemetría por schedule (en horario / fuera de horario)
+ *
+ * Conecta un schedule (SCH-XXX-XXX) con los datos de un canal:
+ * cada fila se clasifica según el time profile vigente en su hora local,
+ * respetando vigencias, excepciones 'closed' / 'special' y repeatYearly.
+ *
+ * La hora local es siempre la del dispositivo: el horario pertenece al sitio,
+ * aunque el cliente pida los datos con otro `tz`.
+ *
+ * Con scheduleCode 'auto' se usa el schedule efectivo del canal (asignado o heredado
+ * de device / jerarquía / site).
+ */
+import { getScheduleEvaluator, resolveEffectiveSchedule } from '../../schedules/services.js';
+import { SEGMENT_TYPES } from '../../schedules/helpers/evaluator.js';
+import { findChannelByPublicCodeInternal } from '../../channels/repository.js';
+import { translate } from '../../../middleware/i18n.js';
+import { parseLocalDateToUTC, dayjs } from '../../../utils/dateUtils.js';
+
+/**
+ * Resoluciones que admiten desglose por schedule.
+ * daily/monthly agrupan el día completo y no pueden separarse por rangos horarios.
+ */
+export const SCHEDULE_RESOLUTIONS = ['raw', '1m', '15m', '60m'];
+
+/**
+ * Valor de scheduleCode que resuelve el schedule efectivo del canal
+ */
+export const AUTO_SCHEDULE = 'auto';
+
+/**
+ * Carga el schedule para un canal. El schedule debe pertenecer a la misma organización que el canal.
+ *
+ * @param {string} channelPublicCode - Public code del canal
+ * @param {string} scheduleCode - Public code del schedule o 'auto'
+ * @param {string} [lang='es'] - Idioma para nombres de segmentos
+ * @returns {Promise<Object|null>} Evaluador { id, name, segments, evaluate, source? };
+ *   null si scheduleCode es 'auto' y el canal no tiene schedule efectivo
+ */
+export const loadChannelSchedule = async (channelPublicCode, scheduleCode, lang = 'es') => {
+    const channel = await findChannelByPublicCodeInternal(channelPublicCode);
+    if (!channel) {
+        throw new Error(`Canal no encontrado: ${channelPublicCode}`);
+    }
+
+    let source = null;
+    if (scheduleCode === AUTO_SCHEDULE) {
+        const effective = await resolveEffectiveSchedule('channel', channelPublicCode, { organizationId: channel.organizationId });
+        if (!effective.schedule) return null;
+        scheduleCode = effective.schedule.id;
+        source = effective.source;
+    }
+
+    try {
+        const schedule = await getScheduleEvaluator(scheduleCode, { organizationId: channel.organizationId });
+        return {
+            ...schedule,
+            ...(source && { source }),
+            segments: schedule.segments.map(segment => ({
+                ...segment,
+                name: segment.name ?? translate(`telemetry.schedule.segment.${segment.type}`, {}, lang)
+            }))
+        };
+    } catch (error) {
+        if (error.code === 'SCHEDULE_NOT_FOUND') {
+            throw new Error(`Schedule no encontrado: ${scheduleCode}`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Offset aplicado por search() a las filas de comparación (remapeo al período principal).
+ * Se usa para clasificar las filas de comparación con su fecha real.
+ *
+ * @param {string} from - Inicio del período principal (YYYY-MM-DD)
+ * @param {string} comparisonFrom - Inicio del período de comparación (YYYY-MM-DD)
+ * @param {string} deviceTz - Timezone del dispositivo
+ * @returns {number} Offset en ms
+ */
+export const comparisonOffsetMs = (from, comparisonFrom, deviceTz) =>
+    parseLocalDateToUTC(from, deviceTz, false).getTime()
+    - parseLocalDateToUTC(comparisonFrom, deviceTz, false).getTime();
+
+/**
+ * Clasifica un timestamp contra el schedule
+ *
+ * @param {string|Date} ts - Timestamp UTC
+ * @param {Object} schedule - Evaluador de loadChannelSchedule
+ * @param {string} deviceTz - Timezone del dispositivo
+ * @returns {{ segment: string, profile: string|null, inHours: boolean, exception: Object|null }}
+ */
+export const tagTimestamp = (ts, schedule, deviceTz) => {
+    const result = schedule.evaluate(dayjs(ts).tz(deviceTz));
+    return {
+        segment: result.key,
+        profile: result.profile,
+        inHours: result.type === SEGMENT_TYPES.PROFILE,
+        exception: result.exception
+    };
+};
+
+/**
+ * Agrupa filas { ts, values } por segmento del schedule
+ *
+ * @param {Array<{ts: string, values: Object}>} data - Filas de search()
+ * @param {Object} schedule - Evaluador de loadChannelSchedule
+ * @param {string} deviceTz - Timezone del dispositivo
+ * @param {number} [offsetMs=0] - Offset a descontar (filas de comparación remapeadas)
+ * @returns {Map<string, Array>} key de segmento → filas (incluye todos los segmentos, aunque vacíos)
+ */
+export const splitRowsBySegment = (data, schedule, deviceTz, offsetMs = 0) => {
+    const groups = new Map(schedule.segments.map(segment => [segment.key, []]));
+
+    for (const row of data) {
+        const realTs = offsetMs ? new Date(new Date(row.ts).getTime() - offsetMs) : row.ts;
+        const { key } = schedule.evaluate(dayjs(realTs).tz(deviceTz));
+        groups.get(key).push(row);
+    }
+
+    return groups;
+};
+
+export default {
+    AUTO_SCHEDULE,
+    loadChannelSchedule,
+    comparisonOffsetMs,
+    tagTimestamp,
+    splitRowsBySegment
+};
@@ -0,0 +1,377 @@
+/**
+ * StatsService - Estadísticas por período de telemetría de un canal
+ *
+ * Calcula agregados por variable sobre los datos que devuelve telemetryService.search(),
+ * respetando los mismos filtros (excludeDays, hourRanges) y período de comparación.
+ *
+ * Por variable:
+ * - min / max con su timestamp
+ * - avg, sum, count
+ * - p50 / p95 / p99 (interpolación lineal)
+ * - first / last con su timestamp
+ * - coverage: % de buckets esperados que tienen dato
+ * - headline: cifra principal según el aggregationType de la variable
+ *
+ * Con `schedule` (evaluador de scheduleBreakdownService) las mismas estadísticas
+ * se desglosan por segmento: cada time profile, fuera de horario y días especiales.
+ */
+import { search, filterByExcludeDays, filterByHourRanges } from './telemetryService.js';
+import { splitRowsBySegment } from './scheduleBreakdownService.js';
+import { buildComparisonLabel, dayjs } from '../../../utils/dateUtils.js';
+import { DEFAULT_AGGREGATION } from '../../dashboards/helpers/seriesAggregation.js';
+
+/**
+ * Paso de bucket por resolución para calcular la cobertura esperada.
+ * 'raw' no tiene intervalo fijo → cobertura no calculable (null).
+ */
+const RESOLUTION_STEP = {
+    '1m': { amount: 1, unit: 'minute' },
+    '15m': { amount: 15, unit: 'minute' },
+    '60m': { amount: 1, unit: 'hour' },
+    daily: { amount: 1, unit: 'day' },
+    monthly: { amount: 1, unit: 'month' }
+};
+
+const HEADLINE_TYPES = ['sum', 'avg', 'min', 'max', 'count', 'first', 'last'];
+
+/**
+ * Formatea un timestamp como ISO 8601 con offset de timezone
+ * @param {string|Date} ts
+ * @param {string} tz
+ * @returns {string}
+ */
+const formatTs = (ts, tz) => dayjs(ts).tz(tz).format('YYYY-MM-DDTHH:mm:ssZ');
+
+/**
+ * Redondea a la cantidad de decimales de la variable (evita ruido de punto flotante)
+ * @param {number|null} value
+ * @param {number} decimals
+ * @returns {number|null}
+ */
+const round = (value, decimals) => {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+        return null;
+    }
+    return Number(value.toFixed(decimals));
+};
+
+/**
+ * Percentil con interpolación lineal sobre valores ordenados
+ * @param {number[]} sorted - Valores ordenados ascendente (no vacío)
+ * @param {number} p - Percentil (0-100)
+ * @returns {number}
+ */
+export const percentile = (sorted, p) => {
+    if (sorted.length === 1) {
+        return sorted[0];
+    }
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Genera los buckets esperados en el rango aplicando los mismos filtros que los datos
+ *
+ * @param {Object} params
+ * @param {string} params.from - Inicio UTC (ISO)
+ * @param {string} params.to - Fin UTC (ISO)
+ * @param {string} params.resolution
+ * @param {Object} params.filters - { excludeDays, hourRanges }
+ * @param {string} params.tz - Timezone efectivo
+ * @returns {Array<{timestamp: Date}>|null} Buckets esperados, o null si la resolución no tiene paso fijo
+ */
+export const buildExpectedBuckets = ({ from, to, resolution, filters = {}, tz }) => {
+    const step = RESOLUTION_STEP[resolution];
+    if (!step) {
+        return null;
+    }
+
+    const end = dayjs(to);
+    let buckets = [];
+    for (let cursor = dayjs(from).tz(tz); !cursor.isAfter(end); cursor = cursor.add(step.amount, step.unit)) {
+        buckets.push({ timestamp: cursor.toDate() });
+    }
+
+    if (filters.excludeDays?.length) {
+        buckets = filterByExcludeDays(buckets, filters.excludeDays, tz);
+    }
+    if (filters.hourRanges?.length) {
+        buckets = filterByHourRanges(buckets, filters.hourRanges, tz);
+    }
+
+    return buckets;
+};
+
+/**
+ * Cuenta los buckets esperados en el rango (ver buildExpectedBuckets)
+ * @param {Object} params
+ * @returns {number|null}
+ */
+export const countExpectedBuckets = (params) => {
+    const buckets = buildExpectedBuckets(params);
+    return buckets ? buckets.length : null;
+};
+
+/**
+ * Resuelve el tipo de cifra principal de una variable
+ * @param {Object} varInfo - Info de la variable (mapa variables de search)
+ * @returns {string}
+ */
+export const resolveHeadlineType = (varInfo) => {
+    const type = varInfo?.aggregationType;
+    // Sin aggregationType (o 'none'): el mismo default que la agregación de widgets
+    return HEADLINE_TYPES.includes(type) ? type : DEFAULT_AGGREGATION;
+};
+
+/**
+ * Calcula las estadísticas de una variable sobre filas { ts, values }
+ *
+ * @param {Array<{ts: string, values: Object}>} data - Filas de search()
+ * @param {string} varId - ID de la variable
+ * @param {Object} varInfo - Info de la variable
+ * @param {Object} options - { expectedBuckets, tz }
+ * @returns {Object}
+ */
+export const computeVariableStats = (data, varId, varInfo, { expectedBuckets, tz }) => {
+    const decimals = varInfo.decimalPlaces ?? 2;
+    const points = [];
+
+    for (const row of data) {
+        const value = row.values[varId];
+        if (value !== null && value !== undefined && !Number.isNaN(value)) {
+            points.push({ ts: row.ts, value });
+        }
+    }
+
+    const headlineType = resolveHeadlineType(varInfo);
+
+    if (points.length === 0) {
+        return {
+            headline: { type: headlineType, value: headlineType === 'count' ? 0 : null },
+            min: null,
+            max: null,
+            avg: null,
+            sum: null,
+            count: 0,
+            p50: null,
+            p95: null,
+            p99: null,
+            first: null,
+            last: null,
+            coverage: expectedBuckets ? 0 : null
+        };
+    }
+
+    let minPoint = points[0];
+    let maxPoint = points[0];
+    let sum = 0;
+    for (const point of points) {
+        if (point.value < minPoint.value) minPoint = point;
+        if (point.value > maxPoint.value) maxPoint = point;
+        sum += point.value;
+    }
+
+    const sorted = points.map(p => p.value).sort((a, b) => a - b);
+    const firstPoint = points[0];
+    const lastPoint = points[points.length - 1];
+
+    const stats = {
+        min: { value: round(minPoint.value, decimals), ts: formatTs(minPoint.ts, tz) },
+        max: { value: round(maxPoint.value, decimals), ts: formatTs(maxPoint.ts, tz) },
+        avg: round(sum / points.length, decimals),
+        sum: round(sum, decimals),
+        count: points.length,
+        p50: round(percentile(sorted, 50), decimals),
+        p95: round(percentile(sorted, 95), decimals),
+        p99: round(percentile(sorted, 99), decimals),
+        first: { value: round(firstPoint.value, decimals), ts: formatTs(firstPoint.ts, tz) },
+        last: { value: round(lastPoint.value, decimals), ts: formatTs(lastPoint.ts, tz) },
+        coverage: expectedBuckets
+            ? round(Math.min((points.length / expectedBuckets) * 100, 100), 2)
+            : null
+    };
+
+    const headlineValue = ['min', 'max', 'first', 'last'].includes(headlineType)
+        ? stats[headlineType].value
+        : stats[headlineType];
+
+    return {
+        headline: { type: headlineType, value: headlineValue },
+        ...stats
+    };
+};
+
+/**
+ * Calcula estadísticas de un conjunto de filas para todas las variables
+ * @param {Array} data - Filas { ts, values }
+ * @param {Object} variablesMap - Mapa de variables de search()
+ * @param {Object} options - { expectedBuckets, tz }
+ * @returns {Object} varId → stats
+ */
+const computeVariablesStats = (data, variablesMap, options) => {
+    const variables = {};
+    for (const [varId, varInfo] of Object.entries(variablesMap)) {
+        variables[varId] = computeVariableStats(data, varId, varInfo, options);
+    }
+    return variables;
+};
+
+/**
+ * Calcula estadísticas de todas las variables de un resultado de search()
+ *
+ * Con schedule, además desglosa por segmento (time profile / fuera de horario / especial):
+ * las filas y los buckets esperados se clasifican en la hora local del dispositivo.
+ *
+ * @param {Object} result - Resultado de search() ({ metadata, variables, data })
+ * @param {Object} options - { resolution, filters, tz, schedule }
+ * @returns {{ expectedBuckets: number|null, variables: Object, segments: Array|null }}
+ */
+export const computeResultStats = (result, { resolution, filters, tz, schedule = null }) => {
+    const expected = buildExpectedBuckets({
+        from: result.metadata.from,
+        to: result.metadata.to,
+        resolution,
+        filters,
+        tz
+    });
+    const expectedBuckets = expected ? expected.length : null;
+
+    const variables = computeVariablesStats(result.data, result.variables, { expectedBuckets, tz });
+
+    let segments = null;
+    if (schedule) {
+        const deviceTz = result.metadata.timezone;
+        const rowsBySegment = splitRowsBySegment(result.data, schedule, deviceTz);
+        const expectedBySegment = expected
+            ? splitRowsBySegment(expected.map(b => ({ ts: b.timestamp })), schedule, deviceTz)
+            : null;
+
+        segments = schedule.segments.map(segment => {
+            const rows = rowsBySegment.get(segment.key);
+            const segmentExpected = expectedBySegment ? expectedBySegment.get(segment.key).length : null;
+            return {
+                ...segment,
+                totalRecords: rows.length,
+                expectedRecords: segmentExpected,
+                variables: computeVariablesStats(rows, result.variables, { expectedBuckets: segmentExpected, tz })
+            };
+        });
+    }
+
+    return { expectedBuckets, variables, segments };
+};
+
+/**
+ * Diferencia entre la cifra principal del período y la de comparación
+ * @param {Object} current - Stats del período principal
+ * @param {Object} previous - Stats del período de comparación
+ * @param {number} decimals
+ * @returns {{ absolute: number|null, percent: number|null }}
+ */
+const buildDelta = (current, previous, decimals) => {
+    const a = current.headline.value;
+    const b = previous.headline.value;
+    if (a === null || b === null) {
+        return { absolute: null, percent: null };
+    }
+    return {
+        absolute: round(a - b, decimals),
+        percent: b !== 0 ? round(((a - b) / Math.abs(b)) * 100, 2) : null
+    };
+};
+
+/**
+ * Vista pública del desglose por schedule
+ * @param {Object} schedule - Evaluador
+ * @param {Array} segments - Segmentos calculados por computeResultStats
+ * @returns {Object}
+ */
+const toScheduleBreakdown = (schedule, segments) => ({
+    id: schedule.id,
+    name: schedule.name,
+    ...(schedule.source && { source: schedule.source }),
+    segments
+});
+
+/**
+ * Obtiene estadísticas por variable de un canal en un período
+ *
+ * @param {Object} params - Mismos parámetros que search() (identifier, from, to, resolution, tz,
+ *                          variables, filters, comparisonFrom, comparisonTo, lang)
+ *                          más `schedule` opcional (evaluador de scheduleBreakdownService)
+ * @returns {Promise<Object>} { metadata, variables, schedule, comparison }
+ */
+export const getChannelStats = async (params) => {
+    const { comparisonFrom = null, comparisonTo = null, schedule = null, ...searchParams } = params;
+    const resolution = searchParams.resolution || '1m';
+    const filters = searchParams.filters || {};
+
+    const result = await search({ ...searchParams, resolution });
+    const tz = searchParams.tz || result.metadata.timezone;
+    const current = computeResultStats(result, { resolution, filters, tz, schedule });
+
+    const variables = {};
+    for (const [varId, varInfo] of Object.entries(result.variables)) {
+        variables[varId] = {
+            id: Number(varId),
+            name: varInfo.name,
+            unit: varInfo.unit ?? null,
+            aggregationType: varInfo.aggregationType ?? null,
+            decimalPlaces: varInfo.decimalPlaces ?? 2,
+            ...current.variables[varId]
+        };
+    }
+
+    // Período de comparación: se consulta como período propio (sin remapeo de timestamps)
+    // para que min/max/first/last conserven sus fechas reales
+    let comparison = null;
+    if (comparisonFrom && comparisonTo) {
+        const compResult = await search({
+            ...searchParams,
+            resolution,
+            from: comparisonFrom,
+            to: comparisonTo
+        });
+        const previous = computeResultStats(compResult, { resolution, filters, tz, schedule });
+
+        const compVariables = {};
+        for (const [varId, stats] of Object.entries(previous.variables)) {
+            compVariables[varId] = {
+                ...stats,
+                delta: variables[varId]
+                    ? buildDelta(variables[varId], stats, variables[varId].decimalPlaces)
+                    : { absolute: null, percent: null }
+            };
+        }
+
+        comparison = {
+            period: { from: comparisonFrom, to: comparisonTo },
+            label: buildComparisonLabel(comparisonFrom, comparisonTo),
+            totalRecords: compResult.metadata.totalRecords,
+            expectedRecords: previous.expectedBuckets,
+            variables: compVariables,
+            ...(schedule && { schedule: toScheduleBreakdown(schedule, previous.segments) })
+        };
+    }
+
+    return {
+        metadata: {
+            uuid: result.metadata.uuid,
+            channelName: result.metadata.channelName,
+            deviceName: result.metadata.deviceName,
+            timezone: tz,
+            resolution,
+            totalRecords: result.metadata.totalRecords,
+            expectedRecords: current.expectedBuckets
+        },
+        variables,
+        ...(schedule && { schedule: toScheduleBreakdown(schedule, current.segments) }),
+        comparison
+    };
+};
+
+export default {
+    getChannelStats
+};
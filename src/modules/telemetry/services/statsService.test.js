@@ -0,0 +1,81 @@
+// modules/telemetry/services/statsService.test.js
+// Tests del cálculo de estadísticas por variable (modules/telemetry/services/statsService.js)
+
+import { describe, it, expect } from 'vitest';
+import {
+    percentile,
+    countExpectedBuckets,
+    resolveHeadlineType,
+    computeVariableStats
+} from './statsService.js';
+
+const TZ = 'UTC';
+
+describe('percentile', () => {
+    it('interpola entre los valores vecinos', () => {
+        expect(percentile([1, 2, 3, 4], 50)).toBe(2.5);
+        expect(percentile([10, 20], 95)).toBe(19.5);
+        expect(percentile([7], 99)).toBe(7);
+    });
+});
+
+describe('countExpectedBuckets', () => {
+    it('cuenta buckets inclusivos del rango', () => {
+        expect(countExpectedBuckets({
+            from: '2026-10-01T00:00:00Z', to: '2026-10-01T23:00:00Z', resolution: '60m', tz: TZ
+        })).toBe(24);
+        expect(countExpectedBuckets({
+            from: '2026-10-01T00:00:00Z', to: '2026-10-01T01:00:00Z', resolution: '15m', tz: TZ
+        })).toBe(5);
+    });
+
+    it('devuelve null para raw (sin paso fijo)', () => {
+        expect(countExpectedBuckets({
+            from: '2026-10-01T00:00:00Z', to: '2026-10-02T00:00:00Z', resolution: 'raw', tz: TZ
+        })).toBeNull();
+    });
+});
+
+describe('resolveHeadlineType', () => {
+    it('usa el aggregationType soportado y cae en avg', () => {
+        expect(resolveHeadlineType({ aggregationType: 'sum' })).toBe('sum');
+        expect(resolveHeadlineType({ aggregationType: 'none' })).toBe('avg');
+        expect(resolveHeadlineType(null)).toBe('avg');
+    });
+});
+
+describe('computeVariableStats', () => {
+    const data = [
+        { ts: '2026-10-01T00:00:00Z', values: { 1: 4 } },
+        { ts: '2026-10-01T01:00:00Z', values: { 1: null } },
+        { ts: '2026-10-01T02:00:00Z', values: { 1: 10 } },
+        { ts: '2026-10-01T03:00:00Z', values: { 1: 1 } }
+    ];
+
+    it('calcula min/max con timestamp, promedio, suma y cobertura', () => {
+        const stats = computeVariableStats(data, '1', { aggregationType: 'max', decimalPlaces: 2 }, { expectedBuckets: 4, tz: TZ });
+
+        expect(stats.headline).toEqual({ type: 'max', value: 10 });
+        expect(stats.min).toEqual({ value: 1, ts: '2026-10-01T03:00:00+00:00' });
+        expect(stats.max.ts).toBe('2026-10-01T02:00:00+00:00');
+        expect(stats.avg).toBe(5);
+        expect(stats.sum).toBe(15);
+        expect(stats.count).toBe(3);
+        expect(stats.first.value).toBe(4);
+        expect(stats.last.value).toBe(1);
+        expect(stats.coverage).toBe(75);
+    });
+
+    it('redondea a los decimales de la variable', () => {
+        const stats = computeVariableStats(data, '1', { aggregationType: 'avg', decimalPlaces: 0 }, { expectedBuckets: null, tz: TZ });
+        expect(stats.p50).toBe(4);
+        expect(stats.coverage).toBeNull();
+    });
+
+    it('sin datos devuelve nulls y count 0', () => {
+        const stats = computeVariableStats([], '1', { aggregationType: 'count' }, { expectedBuckets: 10, tz: TZ });
+        expect(stats.headline).toEqual({ type: 'count', value: 0 });
+        expect(stats.min).toBeNull();
+        expect(stats.coverage).toBe(0);
+    });
+});
@@ -22,6 +22,8 @@ import {
     queryTelemetryData, 
     getLatestData 
 } from '../repositories/cassandraRepository.js';
+import { findChannelById } from '../../channels/repository.js';
+import { canAccessResource } from '../../resource-hierarchy/accessScope.js';
 import { parseLocalDateToUTC, remapTimestamps, buildComparisonLabel, dayjs } from '../../../utils/dateUtils.js';
 import {
     cacheLatestData,
@@ -49,6 +51,7 @@ import {
  * @property {string} [tz] - Timezone objetivo
  * @property {string} resolution - Resolución: 'raw', '1m', '15m', '60m', 'daily'
  * @property {number[]} [variables] - IDs de variables específicas
+ * @property {string} [lang] - Idioma para nombres de variables (default: 'es')
  * @property {Object} [options] - Opciones adicionales
  * @property {boolean} [options.includePhases] - Incluir datos por fase
  * @property {Object} [filters] - Filtros adicionales
@@ -117,6 +120,7 @@ export const search = async (req) => {
         tz, 
         resolution = '1m', 
         variables = null,
+        lang = 'es',
         options = {},
         filters = {},
         skipCache = false
@@ -137,7 +141,7 @@ export const search = async (req) => {
     }
 
     // 2. Obtener metadata del canal usando el UUID resuelto
-    const metadata = await getTelemetryMetadata(resolved.channelId, 'es', variables);
+    const metadata = await getTelemetryMetadata(resolved.channelId, lang, variables);
     
     if (!metadata) {
         throw new Error(`Metadata no encontrada para canal: ${resolved.channelId}`);
@@ -175,7 +179,8 @@ export const search = async (req) => {
                         ['daily', 'monthly'].includes(resolution) && 
                         !filters.excludeDays?.length && 
                         !filters.hourRanges?.length &&
-                        !tz;  // No cachear cuando hay tz override — las fechas UTC varían según zona
+                        !tz &&  // No cachear cuando hay tz override — las fechas UTC varían según zona
+                        lang === 'es';  // La clave de cache no incluye idioma (nombres de variables)
     
     if (shouldCache) {
         const cached = await getCachedHistoricalData(
@@ -322,11 +327,26 @@ export const search = async (req) => {
     return result;
 };
 
+/**
+ * ¿El canal pertenece a la organización activa y está dentro del scope de la jerarquía del usuario?
+ * @param {string} channelId - UUID del canal
+ * @param {Object} access - { orgContext: req.organizationContext, accessScope: req.resourceAccess }
+ * @returns {Promise<boolean>}
+ */
+const canAccessChannel = async (channelId, { orgContext, accessScope = null }) => {
+    const channel = await findChannelById(channelId);
+    const belongsToOrg = channel && (orgContext.canAccessAll || channel.organizationId === orgContext.id);
+
+    return Boolean(belongsToOrg) && canAccessResource(accessScope, 'channel', channel.publicCode);
+};
+
 /**
  * @typedef {Object} GetLatestOptions
  * @property {string} [since] - ISO timestamp del último dato que tiene el cliente
  *                              Si el dato más reciente no es más nuevo, retorna hasNew: false
  *                              Optimiza polling reduciendo transferencia de datos
+ * @property {Object} [access] - { orgContext, accessScope } para identificadores enviados por el cliente:
+ *                               canales de otra organización o fuera del scope de la jerarquía se tratan como inexistentes
  * @property {boolean} [skipCache=false] - Saltear cache (para forzar query fresca)
  */
 
@@ -350,7 +370,7 @@ export const getLatest = async (rawIdentifier, options = {}) => {
     const normalizedIdentifier = normalizeIdentifier(rawIdentifier);
     const resolved = await resolveChannelIdentifier(normalizedIdentifier);
     
-    if (!resolved) {
+    if (!resolved || (options.access && !await canAccessChannel(resolved.channelId, options.access))) {
         throw new Error(`Canal no encontrado: ${JSON.stringify(rawIdentifier)}`);
     }
 
@@ -464,6 +484,7 @@ export const getLatest = async (rawIdentifier, options = {}) => {
  * @param {Array<string|ChannelIdentifier>} identifiers - Array de identificadores de canal
  * @param {Object} [options={}] - Opciones compartidas
  * @param {string} [options.since] - ISO timestamp para optimización de polling
+ * @param {Object} [options.access] - { orgContext, accessScope } (ver GetLatestOptions)
  * @returns {Promise<Object>} Resultados indexados por identificador
  */
 export const getLatestBatch = async (identifiers, options = {}) => {
@@ -518,7 +539,7 @@ export const getLatestBatch = async (identifiers, options = {}) => {
  * @param {string} tz - Timezone para determinar día
  * @returns {Array}
  */
-const filterByExcludeDays = (data, excludeDays, tz) => {
+export const filterByExcludeDays = (data, excludeDays, tz) => {
     return data.filter(row => {
         // Convertir timestamp UTC a timezone local para obtener día correcto
         const localDay = dayjs(row.timestamp).tz(tz).day();
@@ -535,7 +556,7 @@ const filterByExcludeDays = (data, excludeDays, tz) => {
  * @param {string} tz - Timezone para determinar hora
  * @returns {Array}
  */
-const filterByHourRanges = (data, hourRanges, tz) => {
+export const filterByHourRanges = (data, hourRanges, tz) => {
     // Parsear rangos a minutos desde medianoche
     const parsedRanges = hourRanges.map(([start, end]) => {
         const [startH, startM] = start.split(':').map(Number);
@@ -13,7 +13,7 @@ import { z } from 'zod';
  * 
  * Validaciones adicionales:
  * - newPassword debe ser diferente de currentPassword
- * - newPassword debe cumplir políticas de complejidad
+ * - newPassword debe cumplir la política de contraseñas de sus organizaciones (passwordPolicyServices)
  */
 export const changePasswordSchema = z.object({
     currentPassword: z.string()
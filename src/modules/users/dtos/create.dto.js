@@ -11,7 +11,7 @@ import { z } from 'zod';
  * - email: Email único (se normalizará con trim + toLowerCase)
  * - firstName: Nombre (1-100 caracteres)
  * - lastName: Apellido (1-100 caracteres)
- * - password: Contraseña (mínimo 8 caracteres)
+ * - password: Contraseña (mínimo 8 caracteres; el resto lo valida la política de contraseñas)
  * - role: Slug del rol (ej: 'user', 'org-admin')
  * 
  * Campos opcionales:
@@ -2,7 +2,7 @@
 // Router de usuarios - CRUD completo con RBAC
 
 import express from 'express';
-import { authenticate, requireRole } from '../../middleware/auth.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
 import * as userServices from './services.js';
 import * as userRepository from './repository.js';
 import { validateCreateUser } from './dtos/create.dto.js';
@@ -12,6 +12,7 @@ import { validateChangePassword } from './dtos/changePassword.dto.js';
 import { validateToggleStatus } from './dtos/toggleStatus.dto.js';
 import { validateEmailValidation } from './dtos/validate.dto.js';
 import { successResponse, errorResponse } from '../../utils/response.js';
+import { notify, NOTIFICATION_TYPES } from '../notifications/services.js';
 import pino from 'pino';
 
 const router = express.Router();
@@ -28,7 +29,7 @@ const userLogger = pino({ name: 'users-routes' });
  * - otros: Denegado (403)
  */
 // 📄 Swagger: src/docs/swagger/users.yaml -> GET /
-router.get('/', authenticate, requireRole(['system-admin', 'org-admin', 'org-manager']), async (req, res, next) => {
+router.get('/', authenticate, requirePermission('users.view'), async (req, res, next) => {
     try {
         const { page, limit = 20, offset = 0, search, role, organization_id, is_active } = req.query;
         
@@ -58,7 +59,7 @@ router.get('/', authenticate, requireRole(['system-admin', 'org-admin', 'org-man
         
         if (role) {
             const Role = (await import('../auth/models/Role.js')).default;
-            const roleObj = await Role.findOne({ where: { name: role } });
+            const roleObj = await Role.findOne({ where: { name: role, organizationId: null } });
             if (roleObj) filters.roleId = roleObj.id;
         }
         
@@ -82,7 +83,7 @@ router.get('/', authenticate, requireRole(['system-admin', 'org-admin', 'org-man
 
 
 // 📄 Swagger: src/docs/swagger/users.yaml -> POST /
-router.post('/', authenticate, requireRole(['system-admin', 'org-admin']), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('users.manage'), async (req, res, next) => {
     try {
         const validatedData = validateCreateUser(req.body);
         
@@ -248,7 +249,7 @@ router.get('/:id', authenticate, async (req, res, next) => {
  * Actualizar usuario existente
  */
 // 📄 Swagger: src/docs/swagger/users.yaml -> PUT /:id
-router.put('/:id', authenticate, requireRole(['system-admin', 'org-admin']), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('users.manage'), async (req, res, next) => {
     try {
         const { id } = req.params;
         const validatedData = validateUpdateUser(req.body);
@@ -270,7 +271,7 @@ router.put('/:id', authenticate, requireRole(['system-admin', 'org-admin']), asy
  * Eliminar usuario (soft delete)
  */
 // 📄 Swagger: src/docs/swagger/users.yaml -> DELETE /:id
-router.delete('/:id', authenticate, requireRole(['system-admin', 'org-admin']), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('users.manage'), async (req, res, next) => {
     try {
         const { id } = req.params;
         
@@ -349,7 +350,7 @@ router.get('/:id/organizations', authenticate, async (req, res, next) => {
 
 
 // 📄 Swagger: src/docs/swagger/users.yaml -> POST /:id/organizations
-router.post('/:id/organizations', authenticate, requireRole(['system-admin', 'org-admin']), async (req, res, next) => {
+router.post('/:id/organizations', authenticate, requirePermission('users.manage'), async (req, res, next) => {
     try {
         const { id } = req.params;
         const { organizationId, isPrimary = false } = req.body;
@@ -402,6 +403,14 @@ router.post('/:id/organizations', authenticate, requireRole(['system-admin', 'or
             }
         });
         
+        await notify([userModel.id], {
+            type: NOTIFICATION_TYPES.ORGANIZATION_MEMBER_ADDED,
+            organizationId: org.id,
+            params: { organization: org.name },
+            data: { organizationId: org.publicCode },
+            actorId: req.user.userId
+        });
+        
         return res.status(201).json({
             ok: true,
             message: 'User added to organization successfully'
@@ -414,7 +423,7 @@ router.post('/:id/organizations', authenticate, requireRole(['system-admin', 'or
 
 
 // 📄 Swagger: src/docs/swagger/users.yaml -> DELETE /:id/organizations/:orgId
-router.delete('/:id/organizations/:orgId', authenticate, requireRole(['system-admin', 'org-admin']), async (req, res, next) => {
+router.delete('/:id/organizations/:orgId', authenticate, requirePermission('users.manage'), async (req, res, next) => {
     try {
         const { id, orgId } = req.params;
         
@@ -461,6 +470,14 @@ router.delete('/:id/organizations/:orgId', authenticate, requireRole(['system-ad
             }
         });
         
+        await notify([userModel.id], {
+            type: NOTIFICATION_TYPES.ORGANIZATION_MEMBER_REMOVED,
+            organizationId: null,
+            params: { organization: org.name },
+            data: { organizationId: org.publicCode },
+            actorId: req.user.userId
+        });
+        
         return res.status(204).send();
     } catch (error) {
         userLogger.error({ err: error, userId: req.params.id }, 'Error removing user from organization');
@@ -560,7 +577,7 @@ router.get('/:id/audit-logs', authenticate, async (req, res, next) => {
  * Requiere rol org-admin o superior
  */
 // 📄 Swagger: src/docs/swagger/users.yaml -> PATCH /:id/status
-router.patch('/:id/status', authenticate, requireRole(['system-admin', 'org-admin']), async (req, res, next) => {
+router.patch('/:id/status', authenticate, requirePermission('users.manage'), async (req, res, next) => {
     try {
         const { id } = req.params;
         const validatedData = validateToggleStatus(req.body);
@@ -577,4 +594,52 @@ router.patch('/:id/status', authenticate, requireRole(['system-admin', 'org-admi
     }
 });
 
+/**
+ * POST /api/v1/users/:id/unlock
+ * Desbloquear una cuenta bloqueada por intentos fallidos de login
+ * Requiere rol org-admin o superior
+ */
+// 📄 Swagger: src/docs/swagger/users.yaml -> POST /:id/unlock
+router.post('/:id/unlock', authenticate, requirePermission('users.manage'), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const actor = { userId: req.user.userId, role: req.user.role };
+        const metadata = { ipAddress: req.ip, userAgent: req.get('user-agent') };
+
+        const updatedUser = await userServices.unlockUser(id, actor, metadata);
+
+        return successResponse(res, updatedUser);
+    } catch (error) {
+        userLogger.error({ err: error, userId: req.params.id }, 'Error unlocking user');
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/v1/users/:id/two-factor
+ * Resetear el 2FA del usuario (secreto y recovery codes) y cerrar sus sesiones
+ * Requiere rol system-admin
+ */
+// 📄 Swagger: src/docs/swagger/users.yaml -> DELETE /:id/two-factor
+router.delete('/:id/two-factor', authenticate, requirePermission('users.reset_two_factor'), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const actor = { userId: req.user.userId, role: req.user.role };
+        const metadata = {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            reason: typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 500) : null
+        };
+
+        await userServices.resetUserTwoFactor(id, actor, metadata);
+
+        return res.status(204).send();
+    } catch (error) {
+        userLogger.error({ err: error, userId: req.params.id }, 'Error resetting user two-factor');
+        next(error);
+    }
+});
+
 export default router;
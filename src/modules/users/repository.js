@@ -36,6 +36,8 @@ export const toPublicUserDto = (user) => {
     if (user.avatarUrl) dto.avatarUrl = user.avatarUrl;
     if (user.language) dto.language = user.language;
     if (user.timezone) dto.timezone = user.timezone;
+    // Bloqueo vigente por la política de contraseñas (se levanta con POST /users/:id/unlock)
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) dto.lockedUntil = user.lockedUntil;
     
     // Incluir rol si está cargado
     if (user.role) {
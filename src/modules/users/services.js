@@ -5,6 +5,9 @@ import bcrypt from 'bcrypt';
 import { Op } from 'sequelize';
 import * as userRepository from './repository.js';
 import * as orgServices from '../organizations/services.js';
+import * as twoFactorServices from '../auth/twoFactorServices.js';
+import * as passwordPolicyServices from '../auth/passwordPolicyServices.js';
+import { clearIdentifierBlock } from '../../middleware/loginRateLimit.js';
 import { generateUuidV7, generateHumanId, generatePublicCode } from '../../utils/identifiers.js';
 import Role from '../auth/models/Role.js';
 import Organization from '../organizations/models/Organization.js';
@@ -122,7 +125,7 @@ export const createUser = async (userData, actor, metadata = {}) => {
     validateRoleHierarchy(actor.role, userData.role);
     
     // Buscar el rol por name
-    const role = await Role.findOne({ where: { name: userData.role } });
+    const role = await Role.findOne({ where: { name: userData.role, organizationId: null } });
     if (!role) {
         const error = new Error('Role not found');
         error.status = 404;
@@ -151,8 +154,13 @@ export const createUser = async (userData, actor, metadata = {}) => {
     const userId = generateUuidV7();
     const publicCode = generatePublicCode('USR');
     
-    // Hashear password (fuera de la transacción, es CPU-bound)
-    const passwordHash = await bcrypt.hash(userData.password, 10);
+    // Validar contra la política de las organizaciones de destino y hashear (fuera de la transacción, es CPU-bound)
+    const passwordHash = await passwordPolicyServices.hashNewUserPassword(userData.password, {
+        organizationPublicCodes: [
+            userData.organizationId,
+            ...(userData.organizationMemberships || []).map(membership => membership.organizationId)
+        ]
+    });
     
     const newUser = await sequelize.transaction(async (t) => {
         // Generar humanId dentro de la transacción para ver inserts previos
@@ -234,6 +242,8 @@ export const createUser = async (userData, actor, metadata = {}) => {
         return createdUser;
     });
     
+    await passwordPolicyServices.recordInitialPassword(userId, passwordHash);
+
     // Cachear usuario después del commit exitoso
     const { cacheUser } = await import('./cache.js');
     await cacheUser(newUser.publicCode, newUser).catch(() => {});
@@ -313,7 +323,7 @@ export const updateUser = async (targetUserId, updateData, actor, metadata = {})
         // Validar jerarquía
         validateRoleHierarchy(actor.role, updateData.role);
         
-        const newRole = await Role.findOne({ where: { name: updateData.role } });
+        const newRole = await Role.findOne({ where: { name: updateData.role, organizationId: null } });
         if (!newRole) {
             const error = new Error('Role not found');
             error.status = 404;
@@ -497,11 +507,8 @@ export const changePassword = async (userId, currentPassword, newPassword, metad
         throw error;
     }
     
-    // Hashear nuevo password
-    const newHash = await bcrypt.hash(newPassword, 10);
-    
-    // Actualizar password
-    await userRepository.updateUser(user.id, { passwordHash: newHash });
+    // Validar contra la política (composición, filtradas, historial), hashear y guardar
+    await passwordPolicyServices.changeUserPassword(user, newPassword);
     
     // Auditar cambio de password
     await auditLog.log({
@@ -597,6 +604,64 @@ export const toggleUserStatus = async (targetUserId, isActive, actor, metadata =
     return updatedUser;
 };
 
+/**
+ * Desbloquear una cuenta bloqueada por intentos fallidos
+ * Levanta el bloqueo de la política de contraseñas (users.locked_until) y el bloqueo
+ * temporal por identificador del rate limiting de login (email y username).
+ *
+ * @param {string} targetUserId - Public code del usuario
+ * @param {Object} actor - Usuario que realiza la acción
+ * @param {Object} metadata - IP, user-agent, etc
+ * @returns {Promise<Object>} - Usuario actualizado (DTO)
+ */
+export const unlockUser = async (targetUserId, actor, metadata = {}) => {
+    const targetUser = await userRepository.getUserModelById(targetUserId, true);
+    if (!targetUser) {
+        const error = new Error('User not found');
+        error.status = 404;
+        error.code = 'USER_NOT_FOUND';
+        throw error;
+    }
+    
+    // Verificar scope (excepto system-admin)
+    if (actor.role !== 'system-admin') {
+        const scope = await getUserScope(actor.userId, actor.role);
+        if (!scope.canAccessAll && !scope.userIds.includes(targetUser.id)) {
+            const error = new Error('User not in your organization scope');
+            error.status = 403;
+            error.code = 'SCOPE_VIOLATION';
+            throw error;
+        }
+    }
+    
+    const updatedUser = await userRepository.updateUser(targetUser.id, {
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null
+    });
+    
+    // Best-effort: el bloqueo por identificador en Redis vence solo
+    await Promise.all([targetUser.email, targetUser.username].filter(Boolean).map(identifier =>
+        clearIdentifierBlock(identifier)
+            .catch((error) => userLogger.warn({ err: error, userId: targetUser.id }, 'Could not clear login identifier block'))
+    ));
+    
+    await auditLog.log({
+        entityType: 'user',
+        entityId: targetUser.publicCode,
+        action: 'unlocked',
+        performedBy: actor.userId,
+        changes: {
+            lockedUntil: { old: targetUser.lockedUntil, new: null }
+        },
+        metadata
+    });
+    
+    userLogger.info({ userId: targetUser.id }, 'User account unlocked');
+    
+    return updatedUser;
+};
+
 /**
  * Validar disponibilidad de email de usuario
  * Endpoint público para validación en tiempo real en formularios
@@ -612,3 +677,28 @@ export const validateEmail = async ({ email, excludePublicCode }) => {
         excludePublicCode 
     });
 };
+
+/**
+ * Resetear el 2FA de un usuario (solo system-admin; ej: perdió el dispositivo y los recovery codes)
+ *
+ * @param {string} targetUserId - ID del usuario (UUID o publicCode)
+ * @param {Object} actor - { userId, role }
+ * @param {Object} metadata - { ipAddress, userAgent, reason }
+ * @returns {Promise<void>}
+ */
+export const resetUserTwoFactor = async (targetUserId, actor, metadata = {}) => {
+    const targetUser = await userRepository.getUserModelById(targetUserId, false);
+    if (!targetUser) {
+        const error = new Error('User not found');
+        error.status = 404;
+        error.code = 'USER_NOT_FOUND';
+        throw error;
+    }
+
+    await twoFactorServices.resetTwoFactor(targetUser, {
+        userId: actor.userId,
+        ipAddress: metadata.ipAddress,
+        userAgent: metadata.userAgent,
+        reason: metadata.reason
+    });
+};
@@ -12,13 +12,17 @@ import locationsRouter from '../modules/locations/index.js';
 import sitesRouter from '../modules/sites/index.js';
 import devicesRouter from '../modules/devices/index.js';
 import channelsRouter from '../modules/channels/index.js';
+import firmwareRouter from '../modules/firmware/index.js';
 import filesRouter from '../modules/files/index.js';
 import telemetryRouter from '../modules/telemetry/index.js';
 import resourceHierarchyRouter from '../modules/resource-hierarchy/index.js';
 import assetCategoriesRouter from '../modules/asset-categories/index.js';
-import { dashboardRouter, groupRouter } from '../modules/dashboards/index.js';
+import { dashboardRouter, groupRouter, templateRouter } from '../modules/dashboards/index.js';
 import { realtimeRouter } from '../modules/realtime/index.js';
 import schedulesRouter from '../modules/schedules/index.js';
+import alertsRouter from '../modules/alerts/index.js';
+import notificationsRouter from '../modules/notifications/index.js';
+import { invitationsRouter } from '../modules/invitations/index.js';
 
 const router = express.Router();
 
@@ -60,6 +64,9 @@ router.use('/devices', devicesRouter);
 // Channels (canales de comunicación de dispositivos)
 router.use('/channels', channelsRouter);
 
+// Firmware (catálogo por modelo de device y campañas de actualización OTA)
+router.use('/firmware', firmwareRouter);
+
 // Files (gestión centralizada de archivos - Azure Blob Storage)
 router.use('/files', filesRouter);
 
@@ -78,12 +85,24 @@ router.use('/dashboards', dashboardRouter);
 // Dashboard Groups (agrupaciones/playlists de dashboards)
 router.use('/dashboard-groups', groupRouter);
 
+// Dashboard Templates (guardar dashboards como template y crearlos en lote vinculando recursos)
+router.use('/dashboard-templates', templateRouter);
+
 // Realtime (WebSocket token + status)
 router.use('/realtime', realtimeRouter);
 
 // Schedules (Motor de Horarios para facturación y analítica)
 router.use('/schedules', schedulesRouter);
 
+// Alerts (reglas de alerta sobre telemetría y alertas disparadas)
+router.use('/alerts', alertsRouter);
+
+// Notifications (centro de notificaciones del usuario, push EC:NOTIFY)
+router.use('/notifications', notificationsRouter);
+
+// Invitations (aceptar/rechazar invitaciones a organizaciones por token)
+router.use('/invitations', invitationsRouter);
+
 // Seeding (Testing/Development)
 router.use('/seed', seedRouter);
 
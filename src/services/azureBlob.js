@@ -226,6 +226,36 @@ export const generateReadSasUrl = (blobPath, expiryMinutes = null) => {
     };
 };
 
+/**
+ * Subir contenido generado por el servidor directamente a Azure (sin SAS de cliente)
+ * Usado para archivos producidos por la API (exportaciones, reportes)
+ * 
+ * @param {string} blobPath - Ruta del blob
+ * @param {Buffer} content - Contenido del archivo
+ * @param {string} contentType - Tipo MIME del contenido
+ * @param {boolean} isPublic - Si va al contenedor público
+ * @returns {Promise<Object>} - { blobPath, blobUrl, sizeBytes }
+ */
+export const uploadBlob = async (blobPath, content, contentType, isPublic = false) => {
+    const { blobServiceClient } = initializeClient();
+    const containerName = isPublic ? config.azure.containerPublic : config.azure.containerPrivate;
+
+    const containerClient = blobServiceClient.getContainerClient(containerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(blobPath);
+
+    await blockBlobClient.uploadData(content, {
+        blobHTTPHeaders: { blobContentType: contentType }
+    });
+
+    logger.info({ blobPath, containerName, sizeBytes: content.length }, 'Blob subido desde el servidor');
+
+    return {
+        blobPath,
+        blobUrl: `${getStorageBaseUrl()}/${containerName}/${blobPath}`,
+        sizeBytes: content.length
+    };
+};
+
 /**
  * Verificar si un blob existe en el storage
  * 
@@ -0,0 +1,52 @@
+// services/mail/index.js
+// Servicio centralizado de email transaccional: templates i18n + cola con reintentos + transporte configurable
+//
+// Uso:
+//   await sendTemplatedMail('password_reset', { to: user.email, locale: user.language, params: { name, link, expiresMinutes } });
+//
+// El envío es best-effort y en background: sendTemplatedMail solo renderiza y encola.
+import { renderMail, MAIL_TEMPLATES } from './templates.js';
+import { enqueueMail, getMailQueueStatus, startMailQueue, stopMailQueue } from './queue.js';
+import { getMailTransport } from './transports.js';
+import logger from '../../utils/logger.js';
+
+const mailLogger = logger.child({ component: 'mail' });
+
+/**
+ * Encola un email ya armado (sin template)
+ * @param {Object} message - { to, subject, text, html?, replyTo?, attachments? } (serializable a JSON)
+ * @returns {Promise<string|null>} ID del job
+ */
+export const sendMail = (message) => enqueueMail(message);
+
+/**
+ * Renderiza un template en el idioma del destinatario y lo encola
+ * @param {string} template - Clave de MAIL_TEMPLATES
+ * @param {Object} options
+ * @param {string} options.to - Email del destinatario
+ * @param {string} [options.locale] - Idioma del destinatario (User.language)
+ * @param {Object} [options.params] - Parámetros del template
+ * @returns {Promise<string|null>} ID del job
+ */
+export const sendTemplatedMail = (template, { to, locale = null, params = {} }) => {
+    const { subject, text, html } = renderMail(template, params, locale);
+    return enqueueMail({ to, subject, text, html }, { template });
+};
+
+/**
+ * Verifica el transporte configurado al arrancar (no bloqueante: solo loguea)
+ * @returns {Promise<boolean>}
+ */
+export const verifyMailTransport = async () => {
+    try {
+        const transport = getMailTransport();
+        await transport.verify();
+        mailLogger.info({ transport: transport.name }, '✅ Transporte de email listo');
+        return true;
+    } catch (error) {
+        mailLogger.warn({ err: error }, '⚠️  Transporte de email no disponible (los envíos se reintentarán)');
+        return false;
+    }
+};
+
+export { MAIL_TEMPLATES, getMailQueueStatus, startMailQueue, stopMailQueue };
@@ -0,0 +1,68 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../db/sql/sequelize.js';
+
+/**
+ * Email pendiente de envío (cola persistente del email transaccional).
+ * El mensaje puede contener links con tokens de un solo uso: se borra la fila al enviarse
+ * y se vacía `message` si el envío se descarta.
+ */
+const MailJob = sequelize.define('MailJob', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        comment: 'UUID v7 - clave primaria time-ordered'
+    },
+    template: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Template de MAIL_TEMPLATES (null = sendMail sin template)'
+    },
+    recipient: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Destinatario (para logs y diagnóstico)'
+    },
+    message: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Mensaje nodemailer { from, to, subject, text, html } (null = descartado)'
+    },
+    status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending',
+        validate: { isIn: [['pending', 'sending', 'failed']] },
+        comment: 'pending | sending | failed'
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    nextAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: 'Próximo intento (backoff exponencial)'
+    },
+    lockedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Fin del lock de la instancia que lo está enviando (vencido = se retoma)'
+    },
+    lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'mail_jobs',
+    timestamps: true,
+    underscored: true,
+    paranoid: false,
+    indexes: [
+        { fields: ['next_attempt_at'], name: 'mail_jobs_due_idx', where: { status: ['pending', 'sending'] } }
+    ],
+    comment: 'Cola persistente de emails transaccionales'
+});
+
+export default MailJob;
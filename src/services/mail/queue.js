@@ -0,0 +1,157 @@
+// services/mail/queue.js
+// Cola persistente (tabla mail_jobs) con reintentos: los emails se envían en background (el request no espera
+// al SMTP y los tiempos de respuesta no revelan si hubo envío) y los fallos se reintentan con backoff exponencial.
+// Los jobs sobreviven reinicios y cada instancia toma los vencidos con FOR UPDATE SKIP LOCKED.
+import { getMailTransport } from './transports.js';
+import * as repository from './repository.js';
+import { generateUuidV7 } from '../../utils/identifiers.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+const mailLogger = logger.child({ component: 'mail' });
+
+// Jobs tomados por ciclo
+const BATCH_SIZE = 20;
+
+// Lock de un job en envío: si la instancia cae, otra lo retoma al vencer
+const SENDING_LOCK_MS = 5 * 60 * 1000;
+
+let timer = null;
+let processing = null;
+let stopped = false;
+
+/**
+ * Espera antes del próximo intento tras un fallo (backoff exponencial)
+ * @param {number} attempts - Intentos realizados (>= 1)
+ * @param {number} backoffSeconds - Espera tras el primer fallo
+ * @returns {number} Milisegundos
+ */
+export const computeRetryDelayMs = (attempts, backoffSeconds) => backoffSeconds * 1000 * 2 ** (attempts - 1);
+
+const handleDeliveryError = async (job, error) => {
+    const { attempts, backoffSeconds } = config.mail.retry;
+
+    if (job.attempts >= attempts) {
+        await repository.failMailJob(job.id, error.message);
+        mailLogger.error({ err: error, jobId: job.id, template: job.template, attempts: job.attempts }, 'Email descartado tras agotar los reintentos');
+        return;
+    }
+
+    const delayMs = computeRetryDelayMs(job.attempts, backoffSeconds);
+    await repository.scheduleMailJobRetry(job.id, new Date(Date.now() + delayMs), error.message);
+    mailLogger.warn({ err: error, jobId: job.id, template: job.template, attempts: job.attempts, retryInMs: delayMs }, 'Error enviando email, se reintentará');
+};
+
+const deliver = async (job) => {
+    let messageId;
+    try {
+        ({ messageId } = await getMailTransport().send(job.message));
+    } catch (error) {
+        await handleDeliveryError(job, error);
+        return;
+    }
+
+    await repository.deleteMailJob(job.id);
+    mailLogger.info({ jobId: job.id, template: job.template, messageId, attempts: job.attempts }, 'Email enviado');
+};
+
+const processQueue = async () => {
+    let jobs;
+    do {
+        jobs = await repository.claimDueMailJobs(BATCH_SIZE, SENDING_LOCK_MS);
+
+        for (const [index, job] of jobs.entries()) {
+            if (stopped) {
+                // Shutdown: los no enviados vuelven a la cola para la próxima instancia
+                await repository.releaseMailJobs(jobs.slice(index).map(pending => pending.id));
+                return;
+            }
+            await deliver(job);
+        }
+    } while (!stopped && jobs.length === BATCH_SIZE);
+};
+
+/**
+ * Ejecuta un ciclo de envío si no hay uno en curso
+ * @returns {Promise<void>|null}
+ */
+const runCycle = () => {
+    if (processing || stopped) return processing;
+
+    processing = processQueue()
+        .catch(error => mailLogger.error({ err: error }, 'Error procesando la cola de email'))
+        .finally(() => {
+            processing = null;
+        });
+    return processing;
+};
+
+/**
+ * Encola un email para envío en background
+ * @param {Object} message - { to, subject, text, html } (formato nodemailer; `from` se completa con MAIL_FROM).
+ *                           Se guarda como JSON: los adjuntos deben ir como string (ej. base64 con `encoding`).
+ * @param {Object} [meta] - { template } para logs
+ * @returns {Promise<string|null>} ID del job, o null si la cola está detenida o no se pudo guardar
+ */
+export const enqueueMail = async (message, { template = null } = {}) => {
+    if (stopped) {
+        mailLogger.warn({ template }, 'Cola de email detenida, email no encolado');
+        return null;
+    }
+
+    const job = {
+        id: generateUuidV7(),
+        template,
+        recipient: String(message.to).slice(0, 255),
+        message: { from: config.mail.from, ...message }
+    };
+
+    try {
+        await repository.createMailJob(job);
+    } catch (error) {
+        mailLogger.error({ err: error, template }, 'No se pudo encolar el email');
+        return null;
+    }
+
+    runCycle();
+    return job.id;
+};
+
+/**
+ * Inicia el procesamiento periódico de la cola (retoma los pendientes de ejecuciones anteriores)
+ */
+export const startMailQueue = () => {
+    if (timer) return;
+    stopped = false;
+
+    timer = setInterval(runCycle, config.mail.pollSeconds * 1000);
+    timer.unref?.();
+    runCycle();
+
+    mailLogger.info({ pollSeconds: config.mail.pollSeconds }, '📧 Cola de email iniciada');
+};
+
+/**
+ * Estado de la cola (health/metrics)
+ * @returns {Promise<{ transport: string, pending: number, retrying: number, sending: number, failed: number }>}
+ */
+export const getMailQueueStatus = async () => ({
+    transport: config.mail.transport,
+    ...await repository.countMailJobs()
+});
+
+/**
+ * Detiene la cola (graceful shutdown). Espera el envío en curso; los jobs tomados
+ * que no llegaron a enviarse vuelven a la cola y quedan en la base para el próximo arranque.
+ * @returns {Promise<void>}
+ */
+export const stopMailQueue = async () => {
+    stopped = true;
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+    if (processing) {
+        await processing;
+    }
+};
@@ -0,0 +1,92 @@
+// services/mail/queue.test.js
+// Tests de la cola persistente de email (services/mail/queue.js) con el repositorio y el transporte simulados
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const repository = vi.hoisted(() => ({
+    createMailJob: vi.fn(),
+    claimDueMailJobs: vi.fn(),
+    deleteMailJob: vi.fn(),
+    scheduleMailJobRetry: vi.fn(),
+    failMailJob: vi.fn(),
+    releaseMailJobs: vi.fn(),
+    countMailJobs: vi.fn()
+}));
+const transport = vi.hoisted(() => ({ send: vi.fn() }));
+
+vi.mock('./repository.js', () => repository);
+vi.mock('./transports.js', () => ({ getMailTransport: () => transport }));
+
+const { computeRetryDelayMs, enqueueMail, startMailQueue, stopMailQueue } = await import('./queue.js');
+const { config } = await import('../../config/env.js');
+
+const job = (id, attempts = 1) => ({ id, template: 'notification', recipient: 'ana@acme.com', message: { to: 'ana@acme.com' }, attempts });
+
+// Deja correr el ciclo disparado por enqueueMail
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+beforeEach(() => {
+    vi.clearAllMocks();
+    repository.claimDueMailJobs.mockResolvedValue([]);
+});
+
+describe('computeRetryDelayMs', () => {
+    it('duplica la espera en cada intento', () => {
+        expect(computeRetryDelayMs(1, 30)).toBe(30_000);
+        expect(computeRetryDelayMs(2, 30)).toBe(60_000);
+        expect(computeRetryDelayMs(4, 30)).toBe(240_000);
+    });
+});
+
+describe('cola de email', () => {
+    it('guarda el job antes de enviarlo y lo borra al enviarse', async () => {
+        repository.claimDueMailJobs.mockResolvedValueOnce([job('a')]);
+        transport.send.mockResolvedValueOnce({ messageId: 'm1' });
+
+        const id = await enqueueMail({ to: 'ana@acme.com', subject: 'Hola' }, { template: 'notification' });
+        await flush();
+
+        expect(repository.createMailJob).toHaveBeenCalledWith(expect.objectContaining({
+            id,
+            recipient: 'ana@acme.com',
+            message: expect.objectContaining({ from: config.mail.from, subject: 'Hola' })
+        }));
+        expect(repository.deleteMailJob).toHaveBeenCalledWith('a');
+    });
+
+    it('reprograma con backoff y descarta al agotar los intentos', async () => {
+        repository.claimDueMailJobs.mockResolvedValueOnce([job('a', 1), job('b', config.mail.retry.attempts)]);
+        transport.send.mockRejectedValue(new Error('SMTP caído'));
+
+        await enqueueMail({ to: 'ana@acme.com' });
+        await flush();
+
+        expect(repository.scheduleMailJobRetry).toHaveBeenCalledWith('a', expect.any(Date), 'SMTP caído');
+        expect(repository.failMailJob).toHaveBeenCalledWith('b', 'SMTP caído');
+        expect(repository.deleteMailJob).not.toHaveBeenCalled();
+    });
+
+    it('devuelve null si no puede guardar el job', async () => {
+        repository.createMailJob.mockRejectedValueOnce(new Error('DB caída'));
+        expect(await enqueueMail({ to: 'ana@acme.com' })).toBeNull();
+    });
+
+    it('al detenerse termina el envío en curso y devuelve a la cola los no enviados', async () => {
+        let finishSend;
+        transport.send.mockImplementationOnce(() => new Promise(resolve => {
+            finishSend = () => resolve({ messageId: 'm1' });
+        }));
+        repository.claimDueMailJobs.mockResolvedValueOnce([job('a'), job('b'), job('c')]);
+
+        startMailQueue();
+        await flush();
+        const stopping = stopMailQueue();
+        finishSend();
+        await stopping;
+
+        expect(repository.deleteMailJob).toHaveBeenCalledWith('a');
+        expect(repository.releaseMailJobs).toHaveBeenCalledWith(['b', 'c']);
+        expect(transport.send).toHaveBeenCalledTimes(1);
+        expect(await enqueueMail({ to: 'ana@acme.com' })).toBeNull();
+    });
+});
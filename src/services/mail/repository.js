@@ -0,0 +1,120 @@
+// services/mail/repository.js
+// Acceso a datos de la cola persistente de emails (mail_jobs)
+
+import { QueryTypes } from 'sequelize';
+import sequelize from '../../db/sql/sequelize.js';
+import MailJob from './models/MailJob.js';
+
+/**
+ * Insertar un job listo para enviar
+ * @param {Object} data - { id, template, recipient, message }
+ * @returns {Promise<MailJob>}
+ */
+export const createMailJob = async ({ id, template, recipient, message }) =>
+    MailJob.create({ id, template, recipient, message, status: 'pending', attempts: 0, nextAttemptAt: new Date() });
+
+/**
+ * Tomar los jobs vencidos para enviarlos desde esta instancia.
+ * Incluye los `sending` con lock vencido (instancia caída a mitad de un envío).
+ * Cada job tomado suma un intento.
+ *
+ * @param {number} limit
+ * @param {number} lockMs - Duración del lock
+ * @returns {Promise<Array<{ id: string, template: string|null, recipient: string, message: Object, attempts: number }>>}
+ */
+export const claimDueMailJobs = async (limit, lockMs) => {
+    const [rows] = await sequelize.query(`
+        UPDATE mail_jobs
+           SET status = 'sending',
+               attempts = attempts + 1,
+               locked_until = now() + ($2 || ' milliseconds')::interval,
+               updated_at = now()
+         WHERE id IN (
+                SELECT id FROM mail_jobs
+                 WHERE (status = 'pending' AND next_attempt_at <= now())
+                    OR (status = 'sending' AND locked_until < now())
+                 ORDER BY next_attempt_at
+                 LIMIT $1
+                 FOR UPDATE SKIP LOCKED
+         )
+        RETURNING id, template, recipient, message, attempts
+    `, { bind: [limit, String(lockMs)] });
+
+    return rows;
+};
+
+/**
+ * Borrar un job enviado (el mensaje puede contener tokens: no se conserva)
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export const deleteMailJob = async (id) => {
+    await MailJob.destroy({ where: { id } });
+};
+
+/**
+ * Devolver un job a la cola para reintentarlo
+ * @param {string} id
+ * @param {Date} nextAttemptAt
+ * @param {string} error
+ * @returns {Promise<void>}
+ */
+export const scheduleMailJobRetry = async (id, nextAttemptAt, error) => {
+    await MailJob.update(
+        { status: 'pending', nextAttemptAt, lockedUntil: null, lastError: error },
+        { where: { id } }
+    );
+};
+
+/**
+ * Descartar un job tras agotar los reintentos (se vacía el mensaje)
+ * @param {string} id
+ * @param {string} error
+ * @returns {Promise<void>}
+ */
+export const failMailJob = async (id, error) => {
+    await MailJob.update(
+        { status: 'failed', message: null, lockedUntil: null, lastError: error },
+        { where: { id } }
+    );
+};
+
+/**
+ * Devolver a la cola jobs tomados que no se llegaron a enviar (shutdown), sin contar el intento
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+export const releaseMailJobs = async (ids) => {
+    if (!ids.length) return;
+
+    await sequelize.query(`
+        UPDATE mail_jobs
+           SET status = 'pending',
+               attempts = GREATEST(attempts - 1, 0),
+               locked_until = NULL,
+               updated_at = now()
+         WHERE id = ANY($1::uuid[])
+           AND status = 'sending'
+    `, { bind: [ids] });
+};
+
+/**
+ * Conteo de jobs por estado
+ * @returns {Promise<{ pending: number, retrying: number, sending: number, failed: number }>}
+ */
+export const countMailJobs = async () => {
+    const [row] = await sequelize.query(`
+        SELECT COUNT(*) FILTER (WHERE status = 'pending')                 AS pending,
+               COUNT(*) FILTER (WHERE status = 'pending' AND attempts > 0) AS retrying,
+               COUNT(*) FILTER (WHERE status = 'sending')                 AS sending,
+               COUNT(*) FILTER (WHERE status = 'failed')                  AS failed
+          FROM mail_jobs
+    `, { type: QueryTypes.SELECT });
+
+    return {
+        pending: Number(row.pending),
+        retrying: Number(row.retrying),
+        sending: Number(row.sending),
+        failed: Number(row.failed)
+    };
+};
@@ -0,0 +1,108 @@
+// services/mail/templates.js
+// Templates de email transaccional. Los textos viven en src/locales/{es,en}.json bajo `mail.*`
+// y se renderizan en el idioma del destinatario (User.language).
+import { translate } from '../../middleware/i18n.js';
+
+const SUPPORTED_LANGUAGES = ['es', 'en'];
+const DEFAULT_LANGUAGE = 'es';
+
+/**
+ * Templates disponibles.
+ * - params: parámetros obligatorios (se interpolan en las claves mail.<template>.*)
+ * - paragraphs: claves de párrafo en orden; el botón (mail.<template>.action) se agrega si hay `link`
+ */
+export const MAIL_TEMPLATES = {
+    password_reset: { params: ['link', 'expiresMinutes'], paragraphs: ['intro', 'outro'] },
+    email_verification: { params: ['link', 'expiresHours'], paragraphs: ['intro', 'outro'] },
+    notification: { params: ['title', 'body'], paragraphs: ['intro'] },
+    organization_invitation: { params: ['inviter', 'organization', 'role', 'link', 'expiresDays'], paragraphs: ['intro', 'outro'] }
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const escapeParams = (params) => Object.fromEntries(
+    Object.entries(params).map(([key, value]) => [key, value === null || value === undefined ? '' : escapeHtml(value)])
+);
+
+/**
+ * Textos de un template en un idioma
+ * @returns {{ subject: string, greeting: string, paragraphs: string[], action: string|null, linkHint: string, signature: string }}
+ */
+const translateParts = (template, definition, params, locale) => {
+    const t = (key, values = params) => translate(key, values, locale);
+
+    return {
+        subject: t(`mail.${template}.subject`),
+        greeting: params.name ? t('mail.common.greeting') : t('mail.common.greeting_anonymous'),
+        paragraphs: definition.paragraphs.map(key => t(`mail.${template}.${key}`)),
+        action: params.link ? t(`mail.${template}.action`) : null,
+        linkHint: t('mail.common.link_hint'),
+        signature: t('mail.common.signature')
+    };
+};
+
+const renderHtml = (parts, link, locale) => {
+    const paragraph = (text) => `<p style="margin:0 0 16px;line-height:1.5">${text}</p>`;
+    const button = parts.action
+        ? `<p style="margin:24px 0"><a href="${link}" style="background:#0f62fe;color:#ffffff;text-decoration:none;padding:12px 20px;border-radius:4px;display:inline-block">${parts.action}</a></p>`
+            + `<p style="margin:0 0 16px;font-size:12px;color:#6b7280">${parts.linkHint}<br><a href="${link}" style="color:#0f62fe;word-break:break-all">${link}</a></p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="${locale}">
+<head><meta charset="utf-8"><title>${parts.subject}</title></head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#1f2937">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr><td align="center">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;background:#ffffff;border-radius:8px"><tr><td style="padding:32px">
+${paragraph(parts.greeting)}
+${paragraph(parts.paragraphs[0])}
+${button}
+${parts.paragraphs.slice(1).map(paragraph).join('\n')}
+${paragraph(parts.signature)}
+</td></tr></table>
+</td></tr></table>
+</body>
+</html>`;
+};
+
+const renderText = (parts, link) => [
+    parts.greeting,
+    parts.paragraphs[0],
+    parts.action ? `${parts.action}: ${link}` : null,
+    ...parts.paragraphs.slice(1),
+    parts.signature
+].filter(Boolean).join('\n\n');
+
+/**
+ * Renderiza un template en el idioma indicado
+ * @param {string} template - Clave de MAIL_TEMPLATES
+ * @param {Object} params - Parámetros de interpolación (`name` opcional para el saludo, `link` para el botón)
+ * @param {string} [locale] - es | en (otro valor usa el idioma por defecto)
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export const renderMail = (template, params = {}, locale = DEFAULT_LANGUAGE) => {
+    const definition = MAIL_TEMPLATES[template];
+    if (!definition) {
+        throw new Error(`Unknown mail template "${template}"`);
+    }
+
+    const missing = definition.params.filter(key => params[key] === undefined || params[key] === null);
+    if (missing.length) {
+        throw new Error(`Missing params for mail template "${template}": ${missing.join(', ')}`);
+    }
+
+    const language = SUPPORTED_LANGUAGES.includes(locale) ? locale : DEFAULT_LANGUAGE;
+    const textParts = translateParts(template, definition, params, language);
+    const htmlParts = translateParts(template, definition, escapeParams(params), language);
+
+    return {
+        subject: textParts.subject,
+        text: renderText(textParts, params.link),
+        html: renderHtml(htmlParts, params.link ? escapeHtml(params.link) : null, language)
+    };
+};
@@ -0,0 +1,55 @@
+// services/mail/templates.test.js
+// Tests del render de templates de email (services/mail/templates.js)
+
+import { describe, it, expect } from 'vitest';
+import { renderMail } from './templates.js';
+
+describe('renderMail', () => {
+    it('renderiza subject, texto y HTML en el idioma del destinatario', () => {
+        const es = renderMail('password_reset', { name: 'Ana', link: 'https://app.ecdata.com/reset?token=abc', expiresMinutes: 30 }, 'es');
+        const en = renderMail('password_reset', { link: 'https://app.ecdata.com/reset?token=abc', expiresMinutes: 30 }, 'en');
+
+        expect(es.subject).toBe('Restablecer tu contraseña de EC.DATA');
+        expect(es.text).toContain('Hola Ana,');
+        expect(es.text).toContain('Restablecer contraseña: https://app.ecdata.com/reset?token=abc');
+        expect(es.html).toContain('<html lang="es">');
+        expect(en.subject).not.toBe(es.subject);
+        expect(en.html).toContain('<html lang="en">');
+    });
+
+    it('usa el idioma por defecto con un locale no soportado', () => {
+        expect(renderMail('email_verification', { link: 'https://x', expiresHours: 48 }, 'fr').subject)
+            .toBe('Verifica tu email en EC.DATA');
+    });
+
+    it('escapa los parámetros en el HTML pero no en el texto plano', () => {
+        const mail = renderMail('notification', {
+            name: '<img src=x onerror=alert(1)>',
+            title: 'Alerta "crítica" & <b>roja</b>',
+            body: '<script>alert(1)</script>'
+        }, 'es');
+
+        expect(mail.html).not.toContain('<script>');
+        expect(mail.html).not.toContain('<img');
+        expect(mail.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+        expect(mail.html).toContain('<title>Alerta &quot;crítica&quot; &amp; &lt;b&gt;roja&lt;/b&gt;</title>');
+        expect(mail.text).toContain('<script>alert(1)</script>');
+        expect(mail.subject).toBe('Alerta "crítica" & <b>roja</b>');
+    });
+
+    it('escapa el link del botón', () => {
+        const mail = renderMail('password_reset', { link: 'https://x/"><script>', expiresMinutes: 30 }, 'es');
+        expect(mail.html).toContain('href="https://x/&quot;&gt;&lt;script&gt;"');
+    });
+
+    it('sin link no agrega el botón', () => {
+        const mail = renderMail('notification', { title: 'T', body: 'B' }, 'es');
+        expect(mail.html).not.toContain('<a href');
+        expect(mail.text).not.toContain('Abrir EC.DATA');
+    });
+
+    it('rechaza templates desconocidos y parámetros faltantes', () => {
+        expect(() => renderMail('welcome', {})).toThrow('Unknown mail template');
+        expect(() => renderMail('password_reset', { link: 'https://x' })).toThrow('expiresMinutes');
+    });
+});
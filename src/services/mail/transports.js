@@ -0,0 +1,102 @@
+// services/mail/transports.js
+// Transportes de email: smtp (producción), file (.eml en disco, dev/tests) y console (solo log)
+// Todos exponen la misma interfaz: { name, send(message) → { messageId }, verify() }
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+const mailLogger = logger.child({ component: 'mail' });
+
+/**
+ * Transporte SMTP (nodemailer con pool de conexiones)
+ * @returns {Object} Transporte
+ */
+const createSmtpTransport = () => {
+    const { host, port, secure, user, password } = config.mail.smtp;
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        pool: true,
+        auth: user ? { user, pass: password } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        },
+        verify: () => transporter.verify()
+    };
+};
+
+/**
+ * Transporte file: genera el mensaje RFC 822 completo y lo guarda como .eml
+ * (se abre con cualquier cliente de correo; útil para revisar templates y en tests)
+ * @returns {Object} Transporte
+ */
+const createFileTransport = () => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const directory = path.resolve(config.mail.fileDir);
+
+    return {
+        name: 'file',
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            await fs.mkdir(directory, { recursive: true });
+
+            const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+            await fs.writeFile(path.join(directory, fileName), info.message);
+
+            mailLogger.debug({ file: fileName }, 'Email guardado en disco');
+            return { messageId: info.messageId };
+        },
+        verify: () => fs.mkdir(directory, { recursive: true })
+    };
+};
+
+/**
+ * Transporte console: loguea el contenido en texto plano (desarrollo)
+ * @returns {Object} Transporte
+ */
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        const messageId = `<${Date.now()}.${Math.random().toString(36).slice(2)}@console>`;
+        mailLogger.info({
+            messageId,
+            to: message.to,
+            subject: message.subject,
+            text: message.text
+        }, 'Email (console transport)');
+        return { messageId };
+    },
+    verify: async () => true
+});
+
+const TRANSPORT_FACTORIES = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+let transport = null;
+
+/**
+ * Transporte configurado en MAIL_TRANSPORT (lazy, una instancia por proceso)
+ * @returns {Object} Transporte
+ */
+export const getMailTransport = () => {
+    if (transport) return transport;
+
+    const factory = TRANSPORT_FACTORIES[config.mail.transport];
+    if (!factory) {
+        throw new Error(`Unknown mail transport "${config.mail.transport}" (expected: ${Object.keys(TRANSPORT_FACTORIES).join(', ')})`);
+    }
+
+    transport = factory();
+    return transport;
+};
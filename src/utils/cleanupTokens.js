@@ -1,7 +1,10 @@
 // utils/cleanupTokens.js
-// Utilidad para limpiar refresh tokens expirados o inactivos
+// Utilidad para limpiar refresh tokens y tokens de reset de password expirados o inactivos
+// y eventos de seguridad fuera del período de retención
 
 import { cleanupExpiredTokens } from '../modules/auth/refreshTokenRepository.js';
+import { cleanupExpiredResetTokens } from '../modules/auth/passwordResetTokenRepository.js';
+import { cleanupOldSecurityEvents } from '../modules/auth/securityEventServices.js';
 import { schedulerLogger } from './logger.js';
 
 /**
@@ -9,11 +12,15 @@ import { schedulerLogger } from './logger.js';
  * - Elimina tokens expirados (expires_at < now)
  * - Elimina tokens con idle timeout (last_used_at > 7 días)
  * - Elimina tokens revocados hace más de 30 días (mantener historial limitado)
+ * - Elimina tokens de reset de password expirados o usados hace más de 1 día
+ * - Elimina eventos de seguridad más viejos que config.security.retentionDays
  */
 export const runTokenCleanup = async () => {
     try {
         const deletedCount = await cleanupExpiredTokens();
-        schedulerLogger.info(`🧹 Token cleanup: ${deletedCount} tokens eliminados`);
+        const deletedResetCount = await cleanupExpiredResetTokens();
+        const deletedEventsCount = await cleanupOldSecurityEvents();
+        schedulerLogger.info(`🧹 Token cleanup: ${deletedCount} tokens eliminados, ${deletedResetCount} tokens de reset eliminados, ${deletedEventsCount} eventos de seguridad eliminados`);
         return deletedCount;
     } catch (error) {
         schedulerLogger.error(error, '❌ Error en cleanup de tokens');
@@ -0,0 +1,41 @@
+// utils/encryption.js
+// Cifrado simétrico de secretos en reposo (AES-256-GCM)
+// Formato: v1.<iv>.<tag>.<ciphertext> (base64). La clave se deriva con SHA-256 del valor configurado.
+
+import crypto from 'crypto';
+
+const ENCRYPTION_VERSION = 'v1';
+
+const deriveKey = (keyMaterial) => crypto.createHash('sha256').update(keyMaterial).digest();
+
+/**
+ * Cifra un texto
+ * @param {string} plaintext
+ * @param {string} keyMaterial - Clave configurada (ej: config.twoFactor.encryptionKey)
+ * @returns {string} Payload versionado
+ */
+export const encryptSecret = (plaintext, keyMaterial) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [ENCRYPTION_VERSION, iv, tag, ciphertext].map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part)).join('.');
+};
+
+/**
+ * Descifra un payload generado por encryptSecret
+ * @param {string} payload
+ * @param {string} keyMaterial - La misma clave usada al cifrar
+ * @returns {string}
+ */
+export const decryptSecret = (payload, keyMaterial) => {
+    const [version, iv, tag, ciphertext] = payload.split('.');
+    if (version !== ENCRYPTION_VERSION) {
+        throw new Error(`Versión de cifrado no soportada: ${version}`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(keyMaterial), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
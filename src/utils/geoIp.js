@@ -0,0 +1,219 @@
+// utils/geoIp.js
+// Geolocalización de IPs con una base local en CSV (formato DB-IP Lite, sin servicios externos)
+//
+// Formatos soportados (una fila por rango, IPs en texto, IPv4 e IPv6):
+//   country lite: ip_start,ip_end,country
+//   city lite:    ip_start,ip_end,continent,country,stateprov,city,latitude,longitude
+// Sin GEOIP_DATABASE_PATH las búsquedas devuelven null (la detección de anomalías usa solo IP y dispositivo).
+
+import fs from 'fs';
+import readline from 'readline';
+import { config } from '../config/env.js';
+import logger from './logger.js';
+
+const geoLogger = logger.child({ component: 'geoip' });
+
+const EARTH_RADIUS_KM = 6371;
+
+// Base cargada en memoria: rangos ordenados por inicio, separados por versión de IP
+let database = null;
+let loadingPromise = null;
+
+/**
+ * Convierte una IP en texto a número (IPv4) o BigInt (IPv6)
+ * Acepta IPv4 mapeadas en IPv6 (::ffff:1.2.3.4) y descarta el zone id (%eth0)
+ * @param {string} ip
+ * @returns {{ version: 4, value: number } | { version: 6, value: bigint } | null}
+ */
+export const parseIp = (ip) => {
+    if (typeof ip !== 'string' || !ip) return null;
+
+    let address = ip.trim().split('%')[0];
+    if (address.toLowerCase().startsWith('::ffff:') && address.includes('.')) {
+        address = address.slice(7);
+    }
+
+    if (address.includes('.')) {
+        const parts = address.split('.');
+        if (parts.length !== 4) return null;
+        let value = 0;
+        for (const part of parts) {
+            const octet = Number(part);
+            if (!/^\d{1,3}$/.test(part) || octet > 255) return null;
+            value = value * 256 + octet;
+        }
+        return { version: 4, value };
+    }
+
+    if (!address.includes(':')) return null;
+
+    const [head, tail = null] = address.split('::');
+    if (address.split('::').length > 2) return null;
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = 8 - headGroups.length - tailGroups.length;
+    if ((tail === null && missing !== 0) || missing < 0) return null;
+
+    const groups = [...headGroups, ...Array(tail === null ? 0 : missing).fill('0'), ...tailGroups];
+    let value = 0n;
+    for (const group of groups) {
+        if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+        value = (value << 16n) + BigInt(parseInt(group, 16));
+    }
+    return { version: 6, value };
+};
+
+/**
+ * ¿La IP es privada, loopback o link-local? (no tiene ubicación geográfica)
+ * @param {string} ip
+ * @returns {boolean}
+ */
+export const isPrivateIp = (ip) => {
+    const parsed = parseIp(ip);
+    if (!parsed) return true;
+
+    if (parsed.version === 4) {
+        const [a, b] = [Math.floor(parsed.value / 2 ** 24), Math.floor(parsed.value / 2 ** 16) % 256];
+        return a === 10 || a === 127 || a === 0
+            || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168)
+            || (a === 169 && b === 254)
+            || (a === 100 && b >= 64 && b <= 127);
+    }
+
+    const top = Number(parsed.value >> 112n);
+    return parsed.value <= 1n
+        || (top & 0xfe00) === 0xfc00   // fc00::/7 unique local
+        || (top & 0xffc0) === 0xfe80;  // fe80::/10 link-local
+};
+
+/**
+ * Rango de red de una IP (/24 en IPv4, /48 en IPv6) para detectar "IP de un rango nuevo"
+ * @param {string} ip
+ * @returns {string|null} ej: '203.0.113.0/24', '2001:db8:85a3::/48'
+ */
+export const getIpRangeKey = (ip) => {
+    const parsed = parseIp(ip);
+    if (!parsed) return null;
+
+    if (parsed.version === 4) {
+        const network = Math.floor(parsed.value / 256);
+        return `${Math.floor(network / 65536)}.${Math.floor(network / 256) % 256}.${network % 256}.0/24`;
+    }
+
+    const prefix = parsed.value >> 80n;
+    const groups = [prefix >> 32n, (prefix >> 16n) & 0xffffn, prefix & 0xffffn].map(group => group.toString(16));
+    return `${groups.join(':')}::/48`;
+};
+
+/**
+ * Distancia en km entre dos coordenadas (haversine)
+ * @param {{ latitude: number, longitude: number }} a
+ * @param {{ latitude: number, longitude: number }} b
+ * @returns {number}
+ */
+export const distanceKm = (a, b) => {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLon = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Parsear una fila del CSV a { start, end, location }
+ * @param {string} line
+ * @returns {Object|null}
+ */
+const parseRow = (line) => {
+    const columns = line.split(',').map(column => column.trim().replace(/^"|"$/g, ''));
+    if (columns.length < 3) return null;
+
+    const start = parseIp(columns[0]);
+    const end = parseIp(columns[1]);
+    if (!start || !end || start.version !== end.version) return null;
+
+    const isCityFormat = columns.length >= 8;
+    const latitude = isCityFormat ? parseFloat(columns[6]) : NaN;
+    const longitude = isCityFormat ? parseFloat(columns[7]) : NaN;
+
+    return {
+        version: start.version,
+        start: start.value,
+        end: end.value,
+        location: {
+            country: (isCityFormat ? columns[3] : columns[2]) || null,
+            region: isCityFormat ? columns[4] || null : null,
+            city: isCityFormat ? columns[5] || null : null,
+            latitude: Number.isFinite(latitude) ? latitude : null,
+            longitude: Number.isFinite(longitude) ? longitude : null
+        }
+    };
+};
+
+/**
+ * Cargar la base CSV en memoria (una sola vez por proceso)
+ * @param {string|null} [filePath] - Default: config.security.geoIpDatabasePath
+ * @returns {Promise<Object|null>} null si no hay base configurada o no se pudo leer
+ */
+export const loadGeoIpDatabase = async (filePath = config.security.geoIpDatabasePath) => {
+    if (database) return database;
+    if (!filePath) return null;
+    if (loadingPromise) return loadingPromise;
+
+    loadingPromise = (async () => {
+        const ranges = { 4: [], 6: [] };
+        const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            const row = parseRow(line);
+            if (row) ranges[row.version].push(row);
+        }
+
+        for (const version of [4, 6]) {
+            ranges[version].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+        }
+
+        database = ranges;
+        geoLogger.info({ filePath, ipv4Ranges: ranges[4].length, ipv6Ranges: ranges[6].length }, 'GeoIP database loaded');
+        return database;
+    })().catch((error) => {
+        geoLogger.error({ err: error, filePath }, 'GeoIP database could not be loaded');
+        loadingPromise = null;
+        return null;
+    });
+
+    return loadingPromise;
+};
+
+/**
+ * Ubicación de una IP según la base local
+ * @param {string} ip
+ * @returns {Promise<{ country: string|null, region: string|null, city: string|null, latitude: number|null, longitude: number|null }|null>}
+ */
+export const lookupIp = async (ip) => {
+    const parsed = parseIp(ip);
+    if (!parsed || isPrivateIp(ip)) return null;
+
+    const db = await loadGeoIpDatabase();
+    if (!db) return null;
+
+    // Búsqueda binaria del último rango cuyo inicio es <= IP
+    const ranges = db[parsed.version];
+    let low = 0;
+    let high = ranges.length - 1;
+    let candidate = null;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (ranges[mid].start <= parsed.value) {
+            candidate = ranges[mid];
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    return candidate && parsed.value <= candidate.end ? candidate.location : null;
+};
@@ -0,0 +1,369 @@
+// utils/oidc.js
+// Cliente OpenID Connect mínimo: discovery, authorization code + PKCE (S256) y validación del id_token contra el JWKS
+// Discovery y JWKS se cachean en Redis; ante un kid desconocido el JWKS se vuelve a descargar una vez (rotación de claves).
+//
+// El issuer lo configura el admin de cada organización: las llamadas al proveedor solo van por https a direcciones
+// públicas (se valida la IP resuelta y la conexión usa esa misma IP) y no siguen redirecciones.
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import jwt from 'jsonwebtoken';
+import { getCache, setCache } from '../db/redis/client.js';
+import { config } from '../config/env.js';
+
+const DISCOVERY_CACHE_PREFIX = 'ec:sso:discovery:';
+const JWKS_CACHE_PREFIX = 'ec:sso:jwks:';
+
+// Algoritmos asimétricos aceptados para el id_token (nunca HS* ni none)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const buildError = (status, code, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.code   = code;
+    return err;
+};
+
+const providerError = () => buildError(502, 'SSO_PROVIDER_ERROR', 'auth.sso.provider_error');
+
+const cacheKey = (prefix, value) => `${prefix}${crypto.createHash('sha256').update(value).digest('hex').slice(0, 32)}`;
+
+// Tamaño máximo de una respuesta del proveedor (discovery, JWKS, token)
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+
+// Rangos no públicos: loopback, redes privadas, link-local (metadata de la nube), CGNAT, multicast y reservados
+// (una lista por familia: BlockList compara las IPv4 también contra los rangos IPv4-mapped de IPv6)
+const NON_PUBLIC_IPV4 = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([range, bits]) => NON_PUBLIC_IPV4.addSubnet(range, bits, 'ipv4'));
+
+const NON_PUBLIC_IPV6 = new net.BlockList();
+[
+    ['::', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([range, bits]) => NON_PUBLIC_IPV6.addSubnet(range, bits, 'ipv6'));
+
+/**
+ * IPv4 de una IPv6 IPv4-mapped (::ffff:a.b.c.d o ::ffff:xxxx:xxxx)
+ * @param {string} address
+ * @returns {string|null}
+ */
+const mappedIpv4 = (address) => {
+    const match = address.toLowerCase().match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (!match) return null;
+    if (match[1]) return match[1];
+    const high = parseInt(match[2], 16);
+    const low = parseInt(match[3], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+/**
+ * ¿La IP es pública? (IPv4-mapped se evalúa como IPv4)
+ * @param {string} address
+ * @returns {boolean}
+ */
+export const isPublicAddress = (address) => {
+    const ip = mappedIpv4(address) ?? address;
+    const family = net.isIP(ip);
+    if (family === 4) return !NON_PUBLIC_IPV4.check(ip, 'ipv4');
+    if (family === 6) return !NON_PUBLIC_IPV6.check(ip, 'ipv6');
+    return false;
+};
+
+const invalidIssuer = () => buildError(400, 'SSO_INVALID_ISSUER', 'auth.sso.invalid_issuer');
+
+const addressNotAllowed = () => buildError(400, 'SSO_ADDRESS_NOT_ALLOWED', 'auth.sso.invalid_issuer');
+
+/**
+ * dns.lookup que rechaza hosts con alguna IP no pública; la conexión usa la IP validada (sin DNS rebinding)
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (!addresses.length || !addresses.every(({ address }) => isPublicAddress(address))) {
+            return callback(addressNotAllowed());
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Verifica que una URL del proveedor se pueda llamar: https y, si el host es una IP literal, pública.
+ * Con SSO_ALLOW_INSECURE_PROVIDERS (solo desarrollo y tests) se aceptan http y direcciones privadas.
+ * @param {string} value
+ * @returns {URL}
+ */
+const assertProviderUrl = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        throw invalidIssuer();
+    }
+    if (config.sso.allowInsecureProviders) return url;
+
+    if (url.protocol !== 'https:' || url.username || url.password) {
+        throw invalidIssuer();
+    }
+    const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(host) && !isPublicAddress(host)) {
+        throw invalidIssuer();
+    }
+    return url;
+};
+
+const requestJson = (value, { method = 'GET', headers = {}, body = null } = {}) => {
+    const url = assertProviderUrl(value);
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(url, {
+            method,
+            headers: {
+                Accept: 'application/json',
+                ...(body && { 'Content-Length': Buffer.byteLength(body) }),
+                ...headers
+            },
+            timeout: config.sso.httpTimeoutMs,
+            ...(!config.sso.allowInsecureProviders && { lookup: publicOnlyLookup })
+        }, (res) => {
+            const chunks = [];
+            let size = 0;
+            res.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_RESPONSE_BYTES) {
+                    req.destroy(buildError(502, 'SSO_PROVIDER_ERROR', 'auth.sso.provider_error'));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => {
+                let parsed = null;
+                try {
+                    parsed = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch {
+                    // Respuesta no JSON
+                }
+                const ok = res.statusCode >= 200 && res.statusCode < 300;
+                resolve({ ok, status: res.statusCode, body: parsed });
+            });
+            res.on('error', reject);
+        });
+
+        req.on('timeout', () => req.destroy(buildError(502, 'SSO_PROVIDER_ERROR', 'auth.sso.provider_error')));
+        req.on('error', reject);
+        if (body) req.write(body);
+        req.end();
+    });
+};
+
+const readCache = async (key) => {
+    try {
+        const cached = await getCache(key);
+        if (cached) return typeof cached === 'string' ? JSON.parse(cached) : cached;
+    } catch {
+        // Cache best-effort
+    }
+    return null;
+};
+
+const writeCache = async (key, value) => {
+    try {
+        await setCache(key, JSON.stringify(value), config.sso.metadataCacheSeconds);
+    } catch {
+        // Cache best-effort
+    }
+};
+
+/**
+ * Genera el par PKCE (S256) y los valores aleatorios del request de autorización
+ * @returns {{ state: string, nonce: string, codeVerifier: string, codeChallenge: string }}
+ */
+export const generateAuthorizationParams = () => {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    return {
+        state: crypto.randomBytes(32).toString('base64url'),
+        nonce: crypto.randomBytes(16).toString('base64url'),
+        codeVerifier,
+        codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+    };
+};
+
+/**
+ * Descarga (o lee del cache) el discovery document del issuer
+ * @param {string} issuer - URL https del issuer (SSO_INVALID_ISSUER si no lo es o resuelve a una IP no pública)
+ * @returns {Promise<Object>} Discovery document
+ */
+export const discover = async (issuer) => {
+    assertProviderUrl(issuer);
+
+    const key = cacheKey(DISCOVERY_CACHE_PREFIX, issuer);
+    const cached = await readCache(key);
+    if (cached) return cached;
+
+    const url = `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+    let result;
+    try {
+        result = await requestJson(url);
+    } catch (error) {
+        // Issuer que resuelve a una dirección no pública: error de configuración
+        if (error.code === 'SSO_ADDRESS_NOT_ALLOWED') {
+            throw invalidIssuer();
+        }
+        throw providerError();
+    }
+
+    const document = result.body;
+    if (!result.ok || !document?.authorization_endpoint || !document?.token_endpoint || !document?.jwks_uri) {
+        throw providerError();
+    }
+    // El issuer del documento debe coincidir con el configurado (OIDC Discovery §4.3)
+    if (document.issuer !== issuer) {
+        throw buildError(502, 'SSO_ISSUER_MISMATCH', 'auth.sso.provider_error');
+    }
+
+    await writeCache(key, document);
+    return document;
+};
+
+const getJwks = async (jwksUri, { forceRefresh = false } = {}) => {
+    const key = cacheKey(JWKS_CACHE_PREFIX, jwksUri);
+    if (!forceRefresh) {
+        const cached = await readCache(key);
+        if (cached) return cached;
+    }
+
+    let result;
+    try {
+        result = await requestJson(jwksUri);
+    } catch {
+        throw providerError();
+    }
+    if (!result.ok || !Array.isArray(result.body?.keys)) {
+        throw providerError();
+    }
+
+    await writeCache(key, result.body);
+    return result.body;
+};
+
+/**
+ * URL de autorización (authorization code + PKCE)
+ * @param {Object} discovery - Discovery document
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.redirectUri
+ * @param {string[]} params.scopes
+ * @param {string} params.state
+ * @param {string} params.nonce
+ * @param {string} params.codeChallenge
+ * @param {string} [params.loginHint] - Email del usuario (el IdP lo precompleta)
+ * @returns {string}
+ */
+export const buildAuthorizationUrl = (discovery, { clientId, redirectUri, scopes, state, nonce, codeChallenge, loginHint }) => {
+    const url = new URL(discovery.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', scopes.join(' '));
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (loginHint) url.searchParams.set('login_hint', loginHint);
+    return url.toString();
+};
+
+/**
+ * Canjea el authorization code por tokens en el token endpoint
+ * Con client secret usa client_secret_basic (default de OIDC) salvo que el proveedor solo anuncie client_secret_post.
+ *
+ * @param {Object} discovery - Discovery document
+ * @param {Object} params - { clientId, clientSecret, code, redirectUri, codeVerifier }
+ * @returns {Promise<Object>} Respuesta del token endpoint (id_token, access_token, ...)
+ */
+export const exchangeCode = async (discovery, { clientId, clientSecret, code, redirectUri, codeVerifier }) => {
+    const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    const authMethods = discovery.token_endpoint_auth_methods_supported ?? ['client_secret_basic'];
+    if (clientSecret && !authMethods.includes('client_secret_basic') && authMethods.includes('client_secret_post')) {
+        form.set('client_id', clientId);
+        form.set('client_secret', clientSecret);
+    } else if (clientSecret) {
+        const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+        form.set('client_id', clientId);
+    }
+
+    let result;
+    try {
+        result = await requestJson(discovery.token_endpoint, { method: 'POST', headers, body: form.toString() });
+    } catch {
+        throw providerError();
+    }
+
+    if (!result.ok || !result.body?.id_token) {
+        // invalid_grant: code vencido, ya usado o verifier incorrecto
+        if (result.body?.error === 'invalid_grant') {
+            throw buildError(400, 'SSO_INVALID_CODE', 'auth.sso.invalid_code');
+        }
+        throw providerError();
+    }
+    return result.body;
+};
+
+/**
+ * Valida un id_token: firma (JWKS), iss, aud, exp/iat, nonce y azp
+ * @param {string} idToken
+ * @param {Object} discovery - Discovery document
+ * @param {Object} params - { clientId, nonce }
+ * @returns {Promise<Object>} Claims del id_token
+ */
+export const verifyIdToken = async (idToken, discovery, { clientId, nonce }) => {
+    const invalidToken = () => buildError(401, 'SSO_INVALID_ID_TOKEN', 'auth.sso.invalid_id_token');
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+        throw invalidToken();
+    }
+
+    const findKey = (jwks) => jwks.keys.find(key =>
+        (decoded.header.kid ? key.kid === decoded.header.kid : true) && (!key.use || key.use === 'sig')
+    );
+
+    let jwk = findKey(await getJwks(discovery.jwks_uri));
+    if (!jwk) {
+        jwk = findKey(await getJwks(discovery.jwks_uri, { forceRefresh: true }));
+    }
+    if (!jwk) throw invalidToken();
+
+    let claims;
+    try {
+        const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        claims = jwt.verify(idToken, publicKey, {
+            algorithms: [decoded.header.alg],
+            issuer: discovery.issuer,
+            audience: clientId,
+            clockTolerance: 60
+        });
+    } catch {
+        throw invalidToken();
+    }
+
+    if (claims.nonce !== nonce) throw invalidToken();
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) throw invalidToken();
+
+    return claims;
+};
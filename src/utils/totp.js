@@ -0,0 +1,138 @@
+// utils/totp.js
+// TOTP (RFC 6238) sobre HOTP (RFC 4226) con HMAC-SHA1, 6 dígitos y pasos de 30 segundos:
+// los parámetros por defecto de Google Authenticator, Microsoft Authenticator, 1Password, etc.
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Codifica bytes en base32 (RFC 4648, sin padding) - formato de los secretos en apps autenticadoras
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decodifica base32 (ignora espacios, guiones y padding; case-insensitive)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Carácter base32 inválido: ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Genera un secreto TOTP nuevo (160 bits, recomendado por RFC 4226)
+ * @returns {string} Secreto en base32
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Paso de tiempo (contador HOTP) para un instante
+ * @param {number} [timestampMs]
+ * @returns {number}
+ */
+export const getTotpStep = (timestampMs = Date.now()) => Math.floor(timestampMs / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Código TOTP de un paso
+ * @param {string} secret - Secreto en base32
+ * @param {number} step
+ * @returns {string} Código de TOTP_DIGITS dígitos
+ */
+export const generateTotpCode = (secret, step = getTotpStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+    return String(binary).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verifica un código contra el paso actual y ±window pasos (tolerancia de reloj)
+ * @param {string} secret - Secreto en base32
+ * @param {string} code - Código ingresado por el usuario
+ * @param {Object} [options]
+ * @param {number} [options.window] - Pasos de tolerancia a cada lado (default 1 = ±30s)
+ * @returns {number|null} Paso que coincidió (para impedir reutilizar el código) o null
+ */
+export const verifyTotpCode = (secret, code, { window = 1 } = {}) => {
+    const normalized = String(code ?? '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const current = getTotpStep();
+    for (let step = current - window; step <= current + window; step++) {
+        const expected = generateTotpCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * URI otpauth:// para el QR de enrolamiento (Key Uri Format de Google Authenticator)
+ * @param {Object} params
+ * @param {string} params.secret - Secreto en base32
+ * @param {string} params.account - Identificador visible de la cuenta (email)
+ * @param {string} params.issuer - Nombre del servicio
+ * @returns {string}
+ */
+export const buildOtpauthUri = ({ secret, account, issuer }) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+    const query = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${query.toString()}`;
+};
@@ -0,0 +1,93 @@
+// utils/totp.test.js
+// Tests de TOTP (utils/totp.js) con los vectores de RFC 6238
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    getTotpStep,
+    generateTotpCode,
+    verifyTotpCode,
+    buildOtpauthUri
+} from './totp.js';
+
+// Secreto ASCII "12345678901234567890" de RFC 6238 (apéndice B, SHA1)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+    it('codifica y decodifica ida y vuelta', () => {
+        expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    });
+
+    it('ignora espacios, guiones, padding y mayúsculas', () => {
+        expect(base32Decode('gezd-gnbv gy3t====').equals(base32Decode('GEZDGNBVGY3T'))).toBe(true);
+    });
+
+    it('rechaza caracteres fuera del alfabeto', () => {
+        expect(() => base32Decode('GEZD1')).toThrow('base32');
+    });
+
+    it('genera secretos de 160 bits', () => {
+        expect(base32Decode(generateTotpSecret())).toHaveLength(20);
+    });
+});
+
+describe('generateTotpCode', () => {
+    it('coincide con los vectores de RFC 6238 (6 dígitos)', () => {
+        expect(generateTotpCode(RFC_SECRET, getTotpStep(59 * 1000))).toBe('287082');
+        expect(generateTotpCode(RFC_SECRET, getTotpStep(1111111109 * 1000))).toBe('081804');
+        expect(generateTotpCode(RFC_SECRET, getTotpStep(1234567890 * 1000))).toBe('005924');
+    });
+});
+
+describe('verifyTotpCode', () => {
+    const NOW = 1234567890 * 1000;
+    const step = getTotpStep(NOW);
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(NOW);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('acepta el paso actual y devuelve el paso que coincidió', () => {
+        expect(verifyTotpCode(RFC_SECRET, '005924')).toBe(step);
+        expect(verifyTotpCode(RFC_SECRET, '005 924')).toBe(step);
+    });
+
+    it('tolera ±1 paso por defecto y nada más', () => {
+        expect(verifyTotpCode(RFC_SECRET, generateTotpCode(RFC_SECRET, step - 1))).toBe(step - 1);
+        expect(verifyTotpCode(RFC_SECRET, generateTotpCode(RFC_SECRET, step + 1))).toBe(step + 1);
+        expect(verifyTotpCode(RFC_SECRET, generateTotpCode(RFC_SECRET, step - 2))).toBeNull();
+        expect(verifyTotpCode(RFC_SECRET, generateTotpCode(RFC_SECRET, step + 2))).toBeNull();
+    });
+
+    it('con window 0 solo acepta el paso actual', () => {
+        expect(verifyTotpCode(RFC_SECRET, generateTotpCode(RFC_SECRET, step - 1), { window: 0 })).toBeNull();
+    });
+
+    it('rechaza códigos mal formados sin compararlos', () => {
+        expect(verifyTotpCode(RFC_SECRET, '')).toBeNull();
+        expect(verifyTotpCode(RFC_SECRET, null)).toBeNull();
+        expect(verifyTotpCode(RFC_SECRET, '00592')).toBeNull();
+        expect(verifyTotpCode(RFC_SECRET, '0059245')).toBeNull();
+        expect(verifyTotpCode(RFC_SECRET, 'abcdef')).toBeNull();
+    });
+});
+
+describe('buildOtpauthUri', () => {
+    it('arma la URI de enrolamiento con issuer y cuenta codificados', () => {
+        const uri = buildOtpauthUri({ secret: RFC_SECRET, account: 'ana@acme.com', issuer: 'EC Data' });
+        const url = new URL(uri);
+
+        expect(uri.startsWith('otpauth://totp/EC%20Data:ana%40acme.com?')).toBe(true);
+        expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+        expect(url.searchParams.get('digits')).toBe('6');
+        expect(url.searchParams.get('period')).toBe('30');
+    });
+});